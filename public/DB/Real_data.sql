@@ -417,3 +417,1817 @@ END;
 $$ LANGUAGE plpgsql;
 
 -- Usage: SELECT reactivate_user('user-uuid-here');
+
+
+
+
+
+
+
+
+#6
+
+-- Configurable request workflow
+
+-- Step 1: Store workflow definitions (statuses + transitions) as JSON.
+-- Only one row is active at a time; older versions are kept for reference.
+CREATE TABLE IF NOT EXISTS v4_workflows (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name TEXT NOT NULL,
+  definition JSONB NOT NULL,
+  is_active BOOLEAN DEFAULT FALSE,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_v4_workflows_active
+  ON v4_workflows (is_active) WHERE is_active;
+
+-- Step 2: Record every status change with the fields captured for it
+CREATE TABLE IF NOT EXISTS v4_request_status_history (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  request_id UUID NOT NULL REFERENCES v4_requests(id) ON DELETE CASCADE,
+  from_status TEXT,
+  to_status TEXT NOT NULL,
+  fields JSONB DEFAULT '{}'::jsonb,
+  changed_by UUID REFERENCES users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_v4_request_status_history_request
+  ON v4_request_status_history (request_id, created_at DESC);
+
+-- Step 3: Statuses are now defined by the workflow, not a fixed list
+ALTER TABLE v4_requests DROP CONSTRAINT IF EXISTS v4_requests_status_check;
+
+-- Step 4: Monthly request counts per status (used by Organization Reports)
+CREATE OR REPLACE FUNCTION public.v4_get_monthly_status_counts(
+  start_date date,
+  end_date date,
+  org_id uuid DEFAULT NULL
+)
+RETURNS TABLE (
+  month date,
+  status text,
+  request_count bigint
+)
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    DATE_TRUNC('month', r.date_received)::date as month,
+    r.status,
+    COUNT(*) as request_count
+  FROM
+    v4_requests r
+  WHERE
+    r.date_received >= start_date
+    AND r.date_received <= end_date
+    AND (org_id IS NULL OR r.sender = org_id)
+  GROUP BY
+    DATE_TRUNC('month', r.date_received), r.status
+  ORDER BY
+    month;
+END;
+$$;
+
+
+
+
+
+
+
+
+#7
+
+-- SLA deadlines and breach tracking
+
+-- Step 1: Response time per priority, optionally per organization.
+-- Rows without an organization are the defaults.
+CREATE TABLE IF NOT EXISTS v4_sla_policies (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID REFERENCES v4_organizations(id) ON DELETE CASCADE,
+  priority TEXT NOT NULL CHECK (priority IN ('low', 'normal', 'high', 'urgent')),
+  business_days INTEGER NOT NULL CHECK (business_days > 0),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_v4_sla_policies_scope
+  ON v4_sla_policies (COALESCE(organization_id, '00000000-0000-0000-0000-000000000000'::uuid), priority);
+
+INSERT INTO v4_sla_policies (organization_id, priority, business_days) VALUES
+  (NULL, 'urgent', 1),
+  (NULL, 'high', 3),
+  (NULL, 'normal', 5),
+  (NULL, 'low', 10)
+ON CONFLICT DO NOTHING;
+
+-- Step 2: Holiday calendar (not counted as business days)
+CREATE TABLE IF NOT EXISTS v4_holidays (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  holiday_date DATE UNIQUE NOT NULL,
+  name TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Step 3: Deadline and breach reason on every request
+ALTER TABLE v4_requests
+ADD COLUMN IF NOT EXISTS due_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS sla_breach_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_v4_requests_due_at ON v4_requests (due_at);
+
+-- Step 4: Add business days to a date, skipping weekends and holidays
+CREATE OR REPLACE FUNCTION v4_add_business_days(start_date DATE, days INTEGER) RETURNS DATE AS $$
+DECLARE
+  result DATE := start_date;
+  remaining INTEGER := days;
+BEGIN
+  WHILE remaining > 0 LOOP
+    result := result + 1;
+    IF EXTRACT(ISODOW FROM result) < 6
+       AND NOT EXISTS (SELECT 1 FROM v4_holidays h WHERE h.holiday_date = result) THEN
+      remaining := remaining - 1;
+    END IF;
+  END LOOP;
+  RETURN result;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Step 5: Deadline for a request - the end of its last business day.
+-- An organization's own policy wins over the default for the priority.
+CREATE OR REPLACE FUNCTION v4_calculate_due_at(req_priority TEXT, req_sender UUID, req_date_received DATE)
+RETURNS TIMESTAMP WITH TIME ZONE AS $$
+DECLARE
+  days INTEGER;
+BEGIN
+  SELECT p.business_days INTO days
+  FROM v4_sla_policies p
+  WHERE p.priority = COALESCE(req_priority, 'normal')
+    AND (p.organization_id = req_sender OR p.organization_id IS NULL)
+  ORDER BY p.organization_id NULLS LAST
+  LIMIT 1;
+
+  IF days IS NULL OR req_date_received IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  RETURN (v4_add_business_days(req_date_received, days) + INTERVAL '1 day' - INTERVAL '1 second')::TIMESTAMP WITH TIME ZONE;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Step 6: Keep due_at in step with priority, sender and date received
+CREATE OR REPLACE FUNCTION v4_set_request_due_at() RETURNS TRIGGER AS $$
+BEGIN
+  NEW.due_at := v4_calculate_due_at(NEW.priority, NEW.sender, NEW.date_received);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_v4_requests_due_at ON v4_requests;
+CREATE TRIGGER trg_v4_requests_due_at
+BEFORE INSERT OR UPDATE OF priority, sender, date_received ON v4_requests
+FOR EACH ROW EXECUTE FUNCTION v4_set_request_due_at();
+
+-- Step 7: Recompute deadlines of open requests after policies or holidays change
+CREATE OR REPLACE FUNCTION v4_recalculate_due_dates() RETURNS INTEGER AS $$
+DECLARE
+  updated INTEGER;
+BEGIN
+  UPDATE v4_requests
+  SET due_at = v4_calculate_due_at(priority, sender, date_received)
+  WHERE completed_at IS NULL;
+
+  GET DIAGNOSTICS updated = ROW_COUNT;
+  RETURN updated;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Step 8: Backfill existing requests
+UPDATE v4_requests
+SET due_at = v4_calculate_due_at(priority, sender, date_received);
+
+
+
+
+
+
+
+
+#8
+
+-- Append-only audit trail
+
+-- Step 1: Audit log table
+CREATE TABLE IF NOT EXISTS v4_audit_logs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  actor_name TEXT,
+  action TEXT NOT NULL,
+  entity_type TEXT NOT NULL,
+  entity_id TEXT,
+  before_data JSONB,
+  after_data JSONB,
+  changes JSONB NOT NULL DEFAULT '{}'::jsonb,
+  metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+  ip_address TEXT,
+  user_agent TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_v4_audit_logs_created_at ON v4_audit_logs(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_v4_audit_logs_entity ON v4_audit_logs(entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS idx_v4_audit_logs_actor ON v4_audit_logs(actor_id);
+CREATE INDEX IF NOT EXISTS idx_v4_audit_logs_action ON v4_audit_logs(action);
+
+-- Step 2: Stamp the time and client IP on the server so clients cannot forge them
+CREATE OR REPLACE FUNCTION v4_audit_logs_stamp() RETURNS TRIGGER AS $$
+DECLARE
+  headers JSON;
+BEGIN
+  NEW.created_at := NOW();
+
+  BEGIN
+    headers := current_setting('request.headers', true)::json;
+  EXCEPTION WHEN OTHERS THEN
+    headers := NULL;
+  END;
+
+  NEW.ip_address := COALESCE(
+    split_part(headers->>'x-forwarded-for', ',', 1),
+    headers->>'x-real-ip',
+    inet_client_addr()::text
+  );
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_v4_audit_logs_stamp ON v4_audit_logs;
+CREATE TRIGGER trg_v4_audit_logs_stamp
+BEFORE INSERT ON v4_audit_logs
+FOR EACH ROW EXECUTE FUNCTION v4_audit_logs_stamp();
+
+-- Step 3: Entries can never be changed or removed
+CREATE OR REPLACE FUNCTION v4_audit_logs_immutable() RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'Audit log entries are append-only and cannot be %', lower(TG_OP);
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_v4_audit_logs_immutable ON v4_audit_logs;
+CREATE TRIGGER trg_v4_audit_logs_immutable
+BEFORE UPDATE OR DELETE ON v4_audit_logs
+FOR EACH ROW EXECUTE FUNCTION v4_audit_logs_immutable();
+
+DROP TRIGGER IF EXISTS trg_v4_audit_logs_no_truncate ON v4_audit_logs;
+CREATE TRIGGER trg_v4_audit_logs_no_truncate
+BEFORE TRUNCATE ON v4_audit_logs
+FOR EACH STATEMENT EXECUTE FUNCTION v4_audit_logs_immutable();
+
+-- Step 4: API roles may only read and append
+REVOKE UPDATE, DELETE, TRUNCATE ON v4_audit_logs FROM anon, authenticated;
+GRANT SELECT, INSERT ON v4_audit_logs TO anon, authenticated;
+
+
+
+
+
+
+
+
+#9
+
+-- Hashed temporary passwords and one-time reset links
+
+-- Step 1: Temporary passwords are now bcrypt hashes; drop any stored in plain text
+UPDATE users
+SET temp_password = NULL,
+    temp_password_expires = NULL
+WHERE temp_password IS NOT NULL
+  AND temp_password NOT LIKE '$2%';
+
+-- Step 2: One-time reset links, stored as SHA-256 hashes of the token
+CREATE TABLE IF NOT EXISTS v4_password_reset_tokens (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash TEXT NOT NULL UNIQUE,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  used_at TIMESTAMP WITH TIME ZONE,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_v4_password_reset_tokens_user ON v4_password_reset_tokens(user_id);
+
+-- Step 3: The browser may issue and revoke links but not redeem them;
+-- redemption happens in the reset-password function with the service role
+REVOKE UPDATE ON v4_password_reset_tokens FROM anon, authenticated;
+GRANT SELECT, INSERT, DELETE ON v4_password_reset_tokens TO anon, authenticated;
+
+
+
+
+
+
+
+
+#10
+
+-- Two-factor authentication (TOTP)
+
+-- Step 1: Administrators can require 2FA for individual users
+ALTER TABLE users ADD COLUMN IF NOT EXISTS mfa_required BOOLEAN DEFAULT FALSE;
+
+-- Step 2: Authenticator secrets and hashed recovery codes, one row per user.
+-- enabled_at stays NULL until the user confirms a code from the app.
+CREATE TABLE IF NOT EXISTS v4_user_mfa (
+  user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  secret TEXT NOT NULL,
+  enabled_at TIMESTAMP WITH TIME ZONE,
+  last_used_step BIGINT,
+  recovery_codes TEXT[] NOT NULL DEFAULT '{}',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Step 3: Secrets are only read by the mfa function with the service role;
+-- the browser may see who is enrolled and reset a user's 2FA
+REVOKE ALL ON v4_user_mfa FROM anon, authenticated;
+GRANT SELECT (user_id, enabled_at) ON v4_user_mfa TO anon, authenticated;
+GRANT DELETE ON v4_user_mfa TO anon, authenticated;
+
+-- Step 4: Roles that must use 2FA
+CREATE TABLE IF NOT EXISTS v4_mfa_role_policies (
+  role TEXT PRIMARY KEY,
+  required BOOLEAN NOT NULL DEFAULT FALSE,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+GRANT SELECT, INSERT, UPDATE ON v4_mfa_role_policies TO anon, authenticated;
+
+
+
+
+
+
+
+
+#11
+
+-- Session timeouts per role
+
+-- Step 1: Idle timeout and maximum session length of each role. Roles
+-- without a row use the app defaults (5 minutes idle, 8 hours).
+CREATE TABLE IF NOT EXISTS v4_session_policies (
+  role TEXT PRIMARY KEY,
+  idle_timeout_minutes INTEGER NOT NULL CHECK (idle_timeout_minutes > 0),
+  max_session_hours INTEGER NOT NULL CHECK (max_session_hours > 0),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+GRANT SELECT, INSERT, UPDATE ON v4_session_policies TO anon, authenticated;
+
+
+
+
+
+
+
+
+#12
+
+-- Role permissions
+
+-- Step 1: Permissions of each role, edited under Settings → Permissions.
+-- Administrators always have every permission and have no rows.
+CREATE TABLE IF NOT EXISTS v4_role_permissions (
+  role TEXT NOT NULL,
+  permission TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (role, permission)
+);
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON v4_role_permissions TO anon, authenticated;
+
+-- Step 2: Start from the permissions the roles had before
+INSERT INTO v4_role_permissions (role, permission) VALUES
+  ('user', 'dashboard.user.view'),
+  ('user', 'requests.view'),
+  ('user', 'requests.view_all'),
+  ('user', 'requests.create'),
+  ('user', 'requests.process'),
+  ('user', 'requests.edit_own'),
+  ('user', 'requests.delete_own'),
+  ('user', 'files.upload_response'),
+  ('user', 'reports.requests.view'),
+  ('user', 'reports.organizations.view'),
+  ('organization', 'dashboard.organization.view'),
+  ('organization', 'requests.view'),
+  ('organization', 'organizations.profile.view'),
+  ('organization', 'notifications.view'),
+  ('organization', 'support.contact')
+ON CONFLICT DO NOTHING;
+
+
+
+
+
+
+
+
+#13
+
+-- Request assignment and workload
+
+-- Step 1: Notifications say what they are about, e.g. request_assigned
+ALTER TABLE v4_notifications
+ADD COLUMN IF NOT EXISTS type TEXT;
+
+-- Step 2: Workload counts and "claim next" look requests up by assignee
+CREATE INDEX IF NOT EXISTS idx_v4_requests_assigned_to ON v4_requests (assigned_to);
+
+-- Step 3: Auto-assignment rules, tried in position order. A rule without an
+-- organization or priority matches any; an empty pool means every processor.
+CREATE TABLE IF NOT EXISTS v4_assignment_rules (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name TEXT NOT NULL,
+  organization_id UUID REFERENCES v4_organizations(id) ON DELETE CASCADE,
+  priority TEXT CHECK (priority IN ('low', 'normal', 'high', 'urgent')),
+  strategy TEXT NOT NULL DEFAULT 'round_robin' CHECK (strategy IN ('round_robin', 'least_loaded')),
+  assignee_ids UUID[] NOT NULL DEFAULT '{}',
+  last_assigned_to UUID REFERENCES users(id) ON DELETE SET NULL,
+  position INTEGER NOT NULL DEFAULT 0,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON v4_assignment_rules TO anon, authenticated;
+
+
+
+
+
+
+
+
+#14
+
+-- Paged request list
+
+-- Step 1: SLA columns the request list can filter on. A request is at risk
+-- once less than a quarter of its SLA window is left (SLA_AT_RISK_RATIO).
+ALTER TABLE v4_requests
+ADD COLUMN IF NOT EXISTS sla_at_risk_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS completed_late BOOLEAN GENERATED ALWAYS AS (completed_at > due_at) STORED;
+
+-- Step 2: Keep sla_at_risk_at in step with due_at, including when
+-- v4_recalculate_due_dates() moves deadlines
+CREATE OR REPLACE FUNCTION v4_set_request_due_at() RETURNS TRIGGER AS $$
+BEGIN
+  NEW.due_at := v4_calculate_due_at(NEW.priority, NEW.sender, NEW.date_received);
+  NEW.sla_at_risk_at := NEW.due_at - (NEW.due_at - NEW.date_received::TIMESTAMP WITH TIME ZONE) * 0.25;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_v4_requests_due_at ON v4_requests;
+CREATE TRIGGER trg_v4_requests_due_at
+BEFORE INSERT OR UPDATE OF priority, sender, date_received, due_at ON v4_requests
+FOR EACH ROW EXECUTE FUNCTION v4_set_request_due_at();
+
+-- Step 3: Backfill existing requests
+UPDATE v4_requests
+SET sla_at_risk_at = due_at - (due_at - date_received::TIMESTAMP WITH TIME ZONE) * 0.25;
+
+-- Step 4: Indexes for the filters and sort orders of the list
+CREATE INDEX IF NOT EXISTS idx_v4_requests_date_received ON v4_requests (date_received DESC);
+CREATE INDEX IF NOT EXISTS idx_v4_requests_status ON v4_requests (status);
+CREATE INDEX IF NOT EXISTS idx_v4_requests_sender ON v4_requests (sender);
+CREATE INDEX IF NOT EXISTS idx_v4_requests_priority ON v4_requests (priority);
+CREATE INDEX IF NOT EXISTS idx_v4_requests_sla_at_risk_at ON v4_requests (sla_at_risk_at);
+
+
+
+
+
+
+
+
+#15
+
+-- Full-text search
+
+-- Step 1: Text extracted from uploaded documents by the extract-text function
+ALTER TABLE v4_request_files
+ADD COLUMN IF NOT EXISTS extracted_text TEXT,
+ADD COLUMN IF NOT EXISTS text_extracted_at TIMESTAMP WITH TIME ZONE;
+
+-- Step 2: Search vectors. Reference and subject weigh most, then the
+-- description and file names, then comments and document text.
+ALTER TABLE v4_requests
+ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+  setweight(to_tsvector('simple', coalesce(reference_number, '')), 'A') ||
+  setweight(to_tsvector('english', coalesce(subject, '')), 'A') ||
+  setweight(to_tsvector('english', coalesce(description, '')), 'B')
+) STORED;
+
+ALTER TABLE v4_comments
+ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+  setweight(to_tsvector('english', coalesce(content, '')), 'C')
+) STORED;
+
+ALTER TABLE v4_request_files
+ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+  setweight(to_tsvector('english', coalesce(file_name, '')), 'B') ||
+  setweight(to_tsvector('english', coalesce(extracted_text, '')), 'C')
+) STORED;
+
+ALTER TABLE v4_organizations
+ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+  setweight(to_tsvector('simple', coalesce(name, '')), 'B')
+) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_v4_requests_search ON v4_requests USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_v4_comments_search ON v4_comments USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_v4_request_files_search ON v4_request_files USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_v4_organizations_search ON v4_organizations USING GIN (search_vector);
+
+-- Step 3: Search requests and everything attached to them. Each request is
+-- ranked by the sum of its matches and shows a snippet of the best one, with
+-- the matched words between [[ and ]]. Without search text the qualifiers
+-- alone filter the requests, newest first.
+CREATE OR REPLACE FUNCTION public.v4_search_requests(
+  search_text TEXT DEFAULT NULL,
+  ref_text TEXT DEFAULT NULL,
+  org_text TEXT DEFAULT NULL,
+  status_filter TEXT[] DEFAULT NULL,
+  organization_filter UUID[] DEFAULT NULL,
+  include_internal BOOLEAN DEFAULT FALSE,
+  page_size INTEGER DEFAULT 20,
+  page_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (
+  id uuid,
+  reference_number text,
+  subject text,
+  status text,
+  priority text,
+  date_received date,
+  due_at timestamp with time zone,
+  completed_at timestamp with time zone,
+  sender_name text,
+  rank real,
+  matched_in text,
+  snippet text,
+  total_count bigint
+)
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+  text_query TSQUERY := CASE
+    WHEN coalesce(trim(search_text), '') = '' THEN NULL
+    ELSE websearch_to_tsquery('english', search_text)
+  END;
+  name_query TSQUERY := CASE
+    WHEN coalesce(trim(search_text), '') = '' THEN NULL
+    ELSE websearch_to_tsquery('simple', search_text)
+  END;
+  headline_options TEXT := 'StartSel=[[, StopSel=]], MaxWords=30, MinWords=10, MaxFragments=2, FragmentDelimiter=" … "';
+BEGIN
+  RETURN QUERY
+  WITH matches AS (
+    SELECT r.id AS request_id, 'request'::text AS source, r.id AS source_id,
+      ts_rank(r.search_vector, text_query || name_query) AS score
+    FROM v4_requests r
+    WHERE r.search_vector @@ (text_query || name_query)
+    UNION ALL
+    SELECT c.request_id, 'comment', c.id, ts_rank(c.search_vector, text_query)
+    FROM v4_comments c
+    WHERE c.search_vector @@ text_query
+      AND (include_internal OR NOT coalesce(c.is_internal, FALSE))
+    UNION ALL
+    SELECT f.request_id, 'file', f.id, ts_rank(f.search_vector, text_query)
+    FROM v4_request_files f
+    WHERE f.search_vector @@ text_query
+    UNION ALL
+    SELECT r.id, 'organization', o.id, ts_rank(o.search_vector, name_query)
+    FROM v4_organizations o
+    JOIN v4_requests r ON r.sender = o.id
+    WHERE o.search_vector @@ name_query
+  ),
+  best AS (
+    SELECT DISTINCT ON (m.request_id) m.request_id, m.source, m.source_id,
+      sum(m.score) OVER (PARTITION BY m.request_id) AS total_score
+    FROM matches m
+    ORDER BY m.request_id, m.score DESC
+  ),
+  results AS (
+    SELECT r.id, r.reference_number, r.subject, r.description, r.status, r.priority,
+      r.date_received, r.due_at, r.completed_at, o.name AS sender_name,
+      coalesce(b.total_score, 0)::real AS rank, b.source, b.source_id,
+      count(*) OVER () AS total_count
+    FROM v4_requests r
+    JOIN v4_organizations o ON o.id = r.sender
+    LEFT JOIN best b ON b.request_id = r.id
+    WHERE (text_query IS NULL OR b.request_id IS NOT NULL)
+      AND (ref_text IS NULL OR r.reference_number ILIKE '%' || ref_text || '%')
+      AND (org_text IS NULL OR o.name ILIKE '%' || org_text || '%')
+      AND (status_filter IS NULL OR r.status = ANY(status_filter))
+      AND (organization_filter IS NULL OR r.sender = ANY(organization_filter))
+    ORDER BY coalesce(b.total_score, 0) DESC, r.date_received DESC, r.reference_number
+    LIMIT page_size OFFSET page_offset
+  )
+  -- Snippets are only built for the page being returned
+  SELECT res.id, res.reference_number, res.subject, res.status, res.priority,
+    res.date_received, res.due_at, res.completed_at, res.sender_name, res.rank,
+    res.source,
+    CASE res.source
+      WHEN 'request' THEN ts_headline('english',
+        res.subject || coalesce(' — ' || res.description, ''), text_query || name_query, headline_options)
+      WHEN 'comment' THEN (
+        SELECT ts_headline('english', c.content, text_query, headline_options)
+        FROM v4_comments c WHERE c.id = res.source_id)
+      WHEN 'file' THEN (
+        SELECT ts_headline('english', f.file_name || coalesce(': ' || f.extracted_text, ''), text_query, headline_options)
+        FROM v4_request_files f WHERE f.id = res.source_id)
+      WHEN 'organization' THEN ts_headline('simple', res.sender_name, name_query, headline_options)
+    END,
+    res.total_count
+  FROM results res
+  ORDER BY res.rank DESC, res.date_received DESC, res.reference_number;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.v4_search_requests(TEXT, TEXT, TEXT, TEXT[], UUID[], BOOLEAN, INTEGER, INTEGER) TO anon, authenticated;
+
+
+
+
+
+
+
+
+#16
+
+-- OCR of scanned request documents
+
+-- Step 1: Where the extracted text came from and, for OCR, how sure the
+-- reader was of it (mean confidence, 0-100)
+ALTER TABLE v4_request_files
+ADD COLUMN IF NOT EXISTS text_source TEXT CHECK (text_source IN ('document', 'ocr')),
+ADD COLUMN IF NOT EXISTS ocr_confidence NUMERIC(5, 2);
+
+-- Step 2: Text extracted before this migration came from the documents themselves
+UPDATE v4_request_files
+SET text_source = 'document'
+WHERE extracted_text IS NOT NULL AND text_source IS NULL;
+
+
+
+
+
+
+
+
+#17
+
+-- Watermarking of response PDFs
+
+-- Step 1: One row of watermark settings, edited under Settings → Documents.
+-- The template may use {organization}, {reference}, {user}, {timestamp}
+-- and {id}.
+CREATE TABLE IF NOT EXISTS v4_watermark_settings (
+  id BOOLEAN PRIMARY KEY DEFAULT TRUE CHECK (id),
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  stamp_on TEXT NOT NULL DEFAULT 'download' CHECK (stamp_on IN ('upload', 'download')),
+  template TEXT NOT NULL DEFAULT '{organization} • {reference} • {user} • {timestamp}',
+  opacity NUMERIC(3, 2) NOT NULL DEFAULT 0.15 CHECK (opacity > 0 AND opacity <= 1),
+  font_size INTEGER NOT NULL DEFAULT 28 CHECK (font_size BETWEEN 8 AND 96),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+INSERT INTO v4_watermark_settings (id) VALUES (TRUE)
+ON CONFLICT DO NOTHING;
+
+GRANT SELECT, INSERT, UPDATE ON v4_watermark_settings TO anon, authenticated;
+
+-- Step 2: Every stamped copy. The ID is hidden in the PDF, so a leaked
+-- copy leads back to who received it and when.
+CREATE TABLE IF NOT EXISTS v4_file_watermarks (
+  id UUID PRIMARY KEY,
+  file_id UUID REFERENCES v4_request_files(id) ON DELETE SET NULL,
+  request_id UUID REFERENCES v4_requests(id) ON DELETE SET NULL,
+  organization_id UUID REFERENCES v4_organizations(id) ON DELETE SET NULL,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  stamped_on TEXT NOT NULL CHECK (stamped_on IN ('upload', 'download')),
+  watermark_text TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_v4_file_watermarks_file ON v4_file_watermarks(file_id);
+
+GRANT SELECT, INSERT ON v4_file_watermarks TO anon, authenticated;
+
+
+
+
+
+
+
+
+#18
+
+-- Password-protected response PDFs
+
+-- Step 1: Organizations can require an open password on their response
+-- PDFs; a request can override its organization (NULL follows it)
+ALTER TABLE v4_organizations
+ADD COLUMN IF NOT EXISTS pdf_password_required BOOLEAN DEFAULT FALSE;
+
+ALTER TABLE v4_requests
+ADD COLUMN IF NOT EXISTS pdf_password_required BOOLEAN;
+
+-- Step 2: Open passwords of each organization. Rotating adds a version
+-- and retires the previous one; files keep the version they were
+-- encrypted with. Passwords are stored encrypted with PDF_PASSWORD_KEY.
+CREATE TABLE IF NOT EXISTS v4_pdf_passwords (
+  organization_id UUID NOT NULL REFERENCES v4_organizations(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  password_encrypted TEXT NOT NULL,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  retired_at TIMESTAMP WITH TIME ZONE,
+  PRIMARY KEY (organization_id, version)
+);
+
+-- Step 3: Passwords are only read by the pdf-password function with the
+-- service role; the browser may see which versions exist
+REVOKE ALL ON v4_pdf_passwords FROM anon, authenticated;
+GRANT SELECT (organization_id, version, created_at, retired_at) ON v4_pdf_passwords TO anon, authenticated;
+
+-- Step 4: The password version a response PDF was encrypted with
+ALTER TABLE v4_request_files
+ADD COLUMN IF NOT EXISTS password_version INTEGER;
+
+-- Step 5: Organization users may look up the passwords of their files
+INSERT INTO v4_role_permissions (role, permission) VALUES
+  ('organization', 'files.pdf_password.view')
+ON CONFLICT DO NOTHING;
+
+
+
+
+
+
+
+
+#19
+
+-- Responses converted to PDF
+
+-- Step 1: Word, Excel and image responses are converted to PDF before they
+-- are secured; the MIME type of the uploaded original is kept here
+ALTER TABLE v4_request_files ADD COLUMN IF NOT EXISTS converted_from TEXT;
+
+
+
+
+
+
+
+
+#20
+
+-- Digital signatures on response PDFs
+
+-- Step 1: Institution certificates response PDFs are signed with, uploaded
+-- by administrators as PKCS#12 files. The file and its passphrase are
+-- stored encrypted with SIGNING_CERTIFICATE_KEY; only one is active.
+CREATE TABLE IF NOT EXISTS v4_signing_certificates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  signer_name TEXT NOT NULL,
+  subject TEXT NOT NULL,
+  issuer TEXT NOT NULL,
+  serial_number TEXT NOT NULL,
+  valid_from TIMESTAMP WITH TIME ZONE NOT NULL,
+  valid_to TIMESTAMP WITH TIME ZONE NOT NULL,
+  p12_encrypted TEXT NOT NULL,
+  passphrase_encrypted TEXT NOT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  uploaded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_v4_signing_certificates_active
+ON v4_signing_certificates(is_active) WHERE is_active;
+
+-- Step 2: The key and passphrase are only read by the sign-pdf function
+-- with the service role
+REVOKE ALL ON v4_signing_certificates FROM anon, authenticated;
+GRANT SELECT (id, signer_name, subject, issuer, serial_number, valid_from, valid_to, is_active, created_at)
+ON v4_signing_certificates TO anon, authenticated;
+
+-- Step 3: Every signed PDF with the SHA-256 of the signed file. The ID is
+-- printed in the signature block so recipients can verify their copy.
+CREATE TABLE IF NOT EXISTS v4_document_signatures (
+  id UUID PRIMARY KEY,
+  file_id UUID REFERENCES v4_request_files(id) ON DELETE SET NULL,
+  request_id UUID REFERENCES v4_requests(id) ON DELETE SET NULL,
+  certificate_id UUID REFERENCES v4_signing_certificates(id) ON DELETE SET NULL,
+  signer_name TEXT NOT NULL,
+  sha256 TEXT NOT NULL,
+  signed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  signed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_v4_document_signatures_sha256 ON v4_document_signatures(sha256);
+
+REVOKE ALL ON v4_document_signatures FROM anon, authenticated;
+GRANT SELECT ON v4_document_signatures TO anon, authenticated;
+
+-- Step 4: The signature of a signed response file
+ALTER TABLE v4_request_files
+ADD COLUMN IF NOT EXISTS signature_id UUID REFERENCES v4_document_signatures(id) ON DELETE SET NULL;
+
+
+
+
+
+
+
+
+#21
+
+-- Retention enforcement
+
+-- Step 1: Documents of completed requests are deleted 90 days after
+-- completion (AUTO_DELETION_DAYS). Requests under a legal hold, placed by
+-- users with requests.legal_hold (administrators by default), are kept;
+-- reminders and purges are tracked so each happens once.
+ALTER TABLE v4_requests
+ADD COLUMN IF NOT EXISTS legal_hold BOOLEAN NOT NULL DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS legal_hold_reason TEXT,
+ADD COLUMN IF NOT EXISTS legal_hold_set_by UUID REFERENCES users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS legal_hold_set_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS deletion_reminded_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS files_purged_at TIMESTAMP WITH TIME ZONE;
+
+-- Step 2: Keep deletion_date in step with completed_at. Reopening a request
+-- clears it, and a new date needs a new reminder.
+CREATE OR REPLACE FUNCTION v4_set_request_deletion_date() RETURNS TRIGGER AS $$
+BEGIN
+  NEW.deletion_date := NEW.completed_at + INTERVAL '90 days';
+
+  IF TG_OP = 'UPDATE' AND NEW.deletion_date IS DISTINCT FROM OLD.deletion_date THEN
+    NEW.deletion_reminded_at := NULL;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_v4_requests_deletion_date ON v4_requests;
+CREATE TRIGGER trg_v4_requests_deletion_date
+BEFORE INSERT OR UPDATE OF completed_at ON v4_requests
+FOR EACH ROW EXECUTE FUNCTION v4_set_request_deletion_date();
+
+UPDATE v4_requests
+SET deletion_date = completed_at + INTERVAL '90 days'
+WHERE deletion_date IS DISTINCT FROM completed_at + INTERVAL '90 days';
+
+CREATE INDEX IF NOT EXISTS idx_v4_requests_deletion_date
+ON v4_requests(deletion_date) WHERE files_purged_at IS NULL;
+
+-- Step 3: Run the retention function every night. Replace the project
+-- URL, anon key and RETENTION_CRON_SECRET before running this step; it
+-- needs the pg_cron and pg_net extensions.
+-- CREATE EXTENSION IF NOT EXISTS pg_net;
+-- SELECT cron.schedule('v4-retention', '0 2 * * *', $$
+--   SELECT net.http_post(
+--     url := 'https://<project-ref>.supabase.co/functions/v1/retention',
+--     headers := jsonb_build_object(
+--       'Content-Type', 'application/json',
+--       'Authorization', 'Bearer <anon-key>',
+--       'x-cron-secret', '<RETENTION_CRON_SECRET>'
+--     ),
+--     body := '{}'::jsonb
+--   );
+-- $$);
+
+
+
+
+
+
+
+
+#22
+
+-- Retention policies
+
+-- Step 1: Retention period after completion, optionally per organization,
+-- priority (the request category) and file kind. The most specific policy
+-- wins: organization first, then priority, then file kind. The row without
+-- any of them is the default.
+CREATE TABLE IF NOT EXISTS v4_retention_policies (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID REFERENCES v4_organizations(id) ON DELETE CASCADE,
+  priority TEXT CHECK (priority IN ('low', 'normal', 'high', 'urgent')),
+  file_kind TEXT CHECK (file_kind IN ('original', 'response')),
+  retention_days INTEGER NOT NULL CHECK (retention_days > 0),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_v4_retention_policies_scope
+  ON v4_retention_policies (
+    COALESCE(organization_id, '00000000-0000-0000-0000-000000000000'::uuid),
+    COALESCE(priority, ''),
+    COALESCE(file_kind, '')
+  );
+
+INSERT INTO v4_retention_policies (organization_id, priority, file_kind, retention_days) VALUES
+  (NULL, NULL, NULL, 90)
+ON CONFLICT DO NOTHING;
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON v4_retention_policies TO anon, authenticated;
+
+-- Step 2: Every file gets its own deletion date; the request's
+-- deletion_date becomes the earliest of them
+ALTER TABLE v4_request_files
+ADD COLUMN IF NOT EXISTS deletion_date TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_v4_request_files_deletion_date
+ON v4_request_files(deletion_date) WHERE deletion_date IS NOT NULL;
+
+-- Step 3: Retention period for a file of a request
+CREATE OR REPLACE FUNCTION v4_retention_days(req_sender UUID, req_priority TEXT, kind TEXT)
+RETURNS INTEGER AS $$
+DECLARE
+  days INTEGER;
+BEGIN
+  SELECT p.retention_days INTO days
+  FROM v4_retention_policies p
+  WHERE (p.organization_id = req_sender OR p.organization_id IS NULL)
+    AND (p.priority = COALESCE(req_priority, 'normal') OR p.priority IS NULL)
+    AND (p.file_kind = kind OR p.file_kind IS NULL)
+  ORDER BY p.organization_id NULLS LAST, p.priority NULLS LAST, p.file_kind NULLS LAST
+  LIMIT 1;
+
+  RETURN COALESCE(days, 90);
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Step 4: Set the deletion dates of a request and its files
+CREATE OR REPLACE FUNCTION v4_apply_retention(req_id UUID) RETURNS VOID AS $$
+DECLARE
+  req RECORD;
+  earliest TIMESTAMP WITH TIME ZONE;
+BEGIN
+  SELECT id, sender, priority, completed_at INTO req FROM v4_requests WHERE id = req_id;
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  UPDATE v4_request_files f
+  SET deletion_date = req.completed_at + make_interval(days => v4_retention_days(
+    req.sender, req.priority, CASE WHEN f.is_response THEN 'response' ELSE 'original' END
+  ))
+  WHERE f.request_id = req_id;
+
+  SELECT MIN(deletion_date) INTO earliest FROM v4_request_files WHERE request_id = req_id;
+
+  -- A new date needs a new reminder
+  UPDATE v4_requests
+  SET deletion_date = earliest, deletion_reminded_at = NULL
+  WHERE id = req_id AND deletion_date IS DISTINCT FROM earliest;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Step 5: Keep the dates in step with completion, sender, priority and the
+-- files of a request. Replaces the fixed 90 days of #21.
+DROP TRIGGER IF EXISTS trg_v4_requests_deletion_date ON v4_requests;
+DROP FUNCTION IF EXISTS v4_set_request_deletion_date();
+
+CREATE OR REPLACE FUNCTION v4_request_retention_trigger() RETURNS TRIGGER AS $$
+BEGIN
+  PERFORM v4_apply_retention(NEW.id);
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_v4_requests_retention ON v4_requests;
+CREATE TRIGGER trg_v4_requests_retention
+AFTER INSERT OR UPDATE OF completed_at, sender, priority ON v4_requests
+FOR EACH ROW EXECUTE FUNCTION v4_request_retention_trigger();
+
+CREATE OR REPLACE FUNCTION v4_request_file_retention_trigger() RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'DELETE' THEN
+    PERFORM v4_apply_retention(OLD.request_id);
+  ELSE
+    PERFORM v4_apply_retention(NEW.request_id);
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_v4_request_files_retention ON v4_request_files;
+CREATE TRIGGER trg_v4_request_files_retention
+AFTER INSERT OR DELETE ON v4_request_files
+FOR EACH ROW EXECUTE FUNCTION v4_request_file_retention_trigger();
+
+-- Step 6: Recompute deletion dates after policies change. Purged requests
+-- are left alone.
+CREATE OR REPLACE FUNCTION v4_recalculate_retention() RETURNS INTEGER AS $$
+DECLARE
+  req RECORD;
+  updated INTEGER := 0;
+BEGIN
+  FOR req IN
+    SELECT id FROM v4_requests WHERE completed_at IS NOT NULL AND files_purged_at IS NULL
+  LOOP
+    PERFORM v4_apply_retention(req.id);
+    updated := updated + 1;
+  END LOOP;
+
+  RETURN updated;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Step 7: Backfill existing requests
+SELECT v4_recalculate_retention();
+
+
+
+
+
+
+
+
+#23
+
+-- Upload size limits
+
+-- Step 1: Largest file that may be uploaded, per kind of file, edited under
+-- Settings → Documents. Files are sent in resumable chunks, so the bucket's
+-- own file size limit must be at least the largest of these.
+CREATE TABLE IF NOT EXISTS v4_upload_limits (
+  category TEXT PRIMARY KEY CHECK (category IN ('pdf', 'word', 'excel', 'image')),
+  max_size_mb INTEGER NOT NULL CHECK (max_size_mb > 0),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+INSERT INTO v4_upload_limits (category, max_size_mb) VALUES
+  ('pdf', 200),
+  ('word', 50),
+  ('excel', 50),
+  ('image', 25)
+ON CONFLICT DO NOTHING;
+
+GRANT SELECT, INSERT, UPDATE ON v4_upload_limits TO anon, authenticated;
+
+
+
+
+
+
+
+
+#24
+
+-- File checksums
+
+-- Step 1: SHA-256 of the stored object, kept up to date when a response is
+-- password-protected or signed in place. Files uploaded before this
+-- migration get theirs on the first run of the integrity check.
+ALTER TABLE v4_request_files
+ADD COLUMN IF NOT EXISTS sha256 TEXT;
+
+-- Step 2: SHA-256 of the file as the user chose it, which finds the same
+-- document attached twice even after conversion or watermarking
+ALTER TABLE v4_request_files
+ADD COLUMN IF NOT EXISTS source_sha256 TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_v4_request_files_source_sha256
+ON v4_request_files(request_id, source_sha256);
+
+
+
+
+
+
+
+
+#25
+
+-- Upload scanning and quarantine
+
+-- Step 1: Result of the scan every upload goes through: clean, quarantined,
+-- released (quarantined, then cleared by an administrator) or failed (a
+-- scanner could not run). Files uploaded before this migration have none.
+ALTER TABLE v4_request_files
+ADD COLUMN IF NOT EXISTS scan_status TEXT CHECK (scan_status IN ('clean', 'quarantined', 'released', 'failed'));
+
+-- Step 2: What the scanners found, as [{ scanner, reason }]
+ALTER TABLE v4_request_files
+ADD COLUMN IF NOT EXISTS scan_findings JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+ALTER TABLE v4_request_files
+ADD COLUMN IF NOT EXISTS scanned_at TIMESTAMP WITH TIME ZONE;
+
+-- Step 3: Quarantined files are moved under quarantine/ in the bucket and
+-- cannot be viewed or downloaded until released
+ALTER TABLE v4_request_files
+ADD COLUMN IF NOT EXISTS quarantined_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_v4_request_files_quarantined
+ON v4_request_files(quarantined_at)
+WHERE scan_status = 'quarantined';
+
+
+
+
+
+
+
+
+#26
+
+-- Response file versions
+
+-- Step 1: Files belong to a logical document. Uploading a corrected
+-- response adds a version to its document instead of an unrelated file;
+-- only the current version is listed by default.
+ALTER TABLE v4_request_files
+ADD COLUMN IF NOT EXISTS document_id UUID;
+
+ALTER TABLE v4_request_files
+ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+
+ALTER TABLE v4_request_files
+ADD COLUMN IF NOT EXISTS is_current BOOLEAN NOT NULL DEFAULT TRUE;
+
+-- Step 2: Why a version was uploaded
+ALTER TABLE v4_request_files
+ADD COLUMN IF NOT EXISTS version_note TEXT;
+
+-- Step 3: A file uploaded without a document starts its own
+CREATE OR REPLACE FUNCTION v4_set_file_document_id() RETURNS TRIGGER AS $$
+BEGIN
+  NEW.document_id := COALESCE(NEW.document_id, NEW.id);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_v4_request_files_document_id ON v4_request_files;
+CREATE TRIGGER trg_v4_request_files_document_id
+BEFORE INSERT ON v4_request_files
+FOR EACH ROW EXECUTE FUNCTION v4_set_file_document_id();
+
+-- Step 4: Backfill existing files as version 1 of their own document
+UPDATE v4_request_files
+SET document_id = id
+WHERE document_id IS NULL;
+
+ALTER TABLE v4_request_files
+ALTER COLUMN document_id SET NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_v4_request_files_document_version
+ON v4_request_files(document_id, version);
+
+
+
+
+
+
+
+
+#27
+
+-- Role permission writes go through the role-permissions function
+
+-- Step 1: Functions check permissions against this table, so the browser
+-- may read it but only the service role may change it
+REVOKE INSERT, UPDATE, DELETE, TRUNCATE ON v4_role_permissions FROM anon, authenticated;
+GRANT SELECT ON v4_role_permissions TO anon, authenticated;
+
+
+
+
+
+
+
+
+#28
+
+-- Deleting a user no longer touches their audit entries
+
+-- Step 1: ON DELETE SET NULL updated the user's audit entries, which the
+-- immutable trigger rejects, so users with audit entries could not be
+-- deleted. actor_id keeps the id of a deleted user and actor_name their name.
+ALTER TABLE v4_audit_logs
+DROP CONSTRAINT IF EXISTS v4_audit_logs_actor_id_fkey;
+
+
+
+
+
+
+
+
+#29
+
+-- Users are changed through the manage-users function
+
+-- Step 1: The browser may read the users columns without secrets and
+-- cannot change users at all
+REVOKE ALL ON users FROM anon, authenticated;
+GRANT SELECT (
+  id, username, full_name, user_role_v4, is_active, created_at, updated_at,
+  created_by, updated_by, last_login, failed_login_attempts, locked_at, mfa_required
+) ON users TO anon, authenticated;
+
+-- Step 2: Reset links and two-factor resets are issued by the function too
+REVOKE ALL ON v4_password_reset_tokens FROM anon, authenticated;
+REVOKE DELETE ON v4_user_mfa FROM anon, authenticated;
+
+
+
+
+
+
+
+
+#30
+
+-- Uploads stay unavailable until their scan clears them
+
+-- Step 1: New files wait for their scan as 'pending'
+ALTER TABLE v4_request_files
+DROP CONSTRAINT IF EXISTS v4_request_files_scan_status_check;
+
+ALTER TABLE v4_request_files
+ADD CONSTRAINT v4_request_files_scan_status_check
+CHECK (scan_status IN ('pending', 'clean', 'quarantined', 'released', 'failed'));
+
+-- Step 2: Only the scan-file function sets scan results. Files added from
+-- the browser always start pending, and browser updates keep the result.
+CREATE OR REPLACE FUNCTION v4_request_files_scan_guard() RETURNS TRIGGER AS $$
+BEGIN
+  IF current_user NOT IN ('anon', 'authenticated') THEN
+    RETURN NEW;
+  END IF;
+
+  IF TG_OP = 'INSERT' THEN
+    NEW.scan_status := 'pending';
+    NEW.scan_findings := '[]'::jsonb;
+    NEW.scanned_at := NULL;
+    NEW.quarantined_at := NULL;
+  ELSE
+    NEW.scan_status := OLD.scan_status;
+    NEW.scan_findings := OLD.scan_findings;
+    NEW.scanned_at := OLD.scanned_at;
+    NEW.quarantined_at := OLD.quarantined_at;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_v4_request_files_scan_guard ON v4_request_files;
+CREATE TRIGGER trg_v4_request_files_scan_guard
+BEFORE INSERT OR UPDATE ON v4_request_files
+FOR EACH ROW EXECUTE FUNCTION v4_request_files_scan_guard();
+
+CREATE INDEX IF NOT EXISTS idx_v4_request_files_scan_pending
+ON v4_request_files(created_at)
+WHERE scan_status = 'pending';
+
+-- Step 3: Scan files left pending every minute. Replace the project URL,
+-- anon key and SCAN_CRON_SECRET before running this step; it needs the
+-- pg_cron and pg_net extensions.
+-- CREATE EXTENSION IF NOT EXISTS pg_net;
+-- SELECT cron.schedule('v4-scan-pending', '* * * * *', $$
+--   SELECT net.http_post(
+--     url := 'https://<project-ref>.supabase.co/functions/v1/scan-file',
+--     headers := jsonb_build_object(
+--       'Content-Type', 'application/json',
+--       'Authorization', 'Bearer <anon-key>',
+--       'x-cron-secret', '<SCAN_CRON_SECRET>'
+--     ),
+--     body := '{}'::jsonb
+--   );
+-- $$);
+
+
+
+
+
+
+
+
+#31
+
+-- Remember which roles have saved permissions
+
+-- Step 1: A role saved without any permissions has no rows in
+-- v4_role_permissions, which looked the same as a role never saved, so the
+-- browser fell back to the default permissions. Roles listed here use their
+-- saved permissions, even when there are none. Only the role-permissions
+-- function adds roles.
+CREATE TABLE IF NOT EXISTS v4_permission_roles (
+  role TEXT PRIMARY KEY,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_by UUID
+);
+
+REVOKE ALL ON v4_permission_roles FROM anon, authenticated;
+GRANT SELECT ON v4_permission_roles TO anon, authenticated;
+
+-- Step 2: Roles seeded with permissions are already configured
+INSERT INTO v4_permission_roles (role)
+SELECT DISTINCT role FROM v4_role_permissions
+ON CONFLICT (role) DO NOTHING;
+
+
+
+
+
+
+
+
+
+#32
+
+-- "Claim next" picks the request in the database
+
+-- Step 1: Assign the most pressing unassigned open request to a user: most
+-- urgent first, then earliest deadline, then oldest. The priority order
+-- matches PRIORITY_RANK in src/config/assignment.js. Requests locked by
+-- someone claiming at the same moment are skipped, so two users never get
+-- the same request. Returns the request before and after the change, for
+-- the audit trail, or no rows when there is nothing to claim.
+CREATE OR REPLACE FUNCTION public.v4_claim_next_request(
+  claimer_id UUID,
+  open_statuses TEXT[]
+)
+RETURNS TABLE (
+  before JSONB,
+  after JSONB
+)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  candidate v4_requests;
+  claimed v4_requests;
+BEGIN
+  SELECT * INTO candidate
+  FROM v4_requests r
+  WHERE r.status = ANY(open_statuses)
+    AND r.assigned_to IS NULL
+  ORDER BY
+    CASE r.priority
+      WHEN 'urgent' THEN 0
+      WHEN 'high' THEN 1
+      WHEN 'low' THEN 3
+      ELSE 2
+    END,
+    r.due_at NULLS LAST,
+    r.date_received,
+    r.created_at
+  LIMIT 1
+  FOR UPDATE SKIP LOCKED;
+
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  UPDATE v4_requests
+  SET assigned_to = claimer_id,
+    updated_by = claimer_id,
+    updated_at = NOW()
+  WHERE id = candidate.id
+  RETURNING * INTO claimed;
+
+  RETURN QUERY SELECT to_jsonb(candidate), to_jsonb(claimed);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.v4_claim_next_request(UUID, TEXT[]) TO anon, authenticated;
+
+CREATE INDEX IF NOT EXISTS idx_v4_requests_unassigned
+ON v4_requests(priority, due_at, date_received)
+WHERE assigned_to IS NULL;
+
+
+
+
+
+
+
+
+#33
+
+-- Uploads are finished on the server before they can be opened
+
+-- Step 1: The scan-file function password-protects or signs responses and
+-- makes new versions current before it marks a file clean, and records
+-- when in processed_at. Files it has not finished stay pending, so a
+-- response is never available without its password or signature, even
+-- when its scan ran later from pg_cron.
+ALTER TABLE v4_request_files
+ADD COLUMN IF NOT EXISTS processed_at TIMESTAMP WITH TIME ZONE;
+
+UPDATE v4_request_files
+SET processed_at = COALESCE(scanned_at, created_at, NOW())
+WHERE processed_at IS NULL
+  AND scan_status IS DISTINCT FROM 'pending';
+
+-- Step 2: Only the function finishes files
+CREATE OR REPLACE FUNCTION v4_request_files_scan_guard() RETURNS TRIGGER AS $$
+BEGIN
+  IF current_user NOT IN ('anon', 'authenticated') THEN
+    RETURN NEW;
+  END IF;
+
+  IF TG_OP = 'INSERT' THEN
+    NEW.scan_status := 'pending';
+    NEW.scan_findings := '[]'::jsonb;
+    NEW.scanned_at := NULL;
+    NEW.quarantined_at := NULL;
+    NEW.processed_at := NULL;
+  ELSE
+    NEW.scan_status := OLD.scan_status;
+    NEW.scan_findings := OLD.scan_findings;
+    NEW.scanned_at := OLD.scanned_at;
+    NEW.quarantined_at := OLD.quarantined_at;
+    NEW.processed_at := OLD.processed_at;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+
+
+
+
+
+
+
+#34
+
+-- Retention policies are saved by the settings function
+
+-- Step 1: The browser reads the policies; the function saves them for
+-- users allowed to manage retention and writes the audit trail
+REVOKE INSERT, UPDATE, DELETE, TRUNCATE ON v4_retention_policies FROM anon, authenticated;
+GRANT SELECT ON v4_retention_policies TO anon, authenticated;
+
+
+
+
+
+
+
+
+#35
+
+-- Two-factor role policies are saved by the settings function
+
+-- Step 1: The login function reads which roles must use 2FA, so only the
+-- function may change them, for users allowed to manage security
+REVOKE INSERT, UPDATE, DELETE, TRUNCATE ON v4_mfa_role_policies FROM anon, authenticated;
+GRANT SELECT ON v4_mfa_role_policies TO anon, authenticated;
+
+
+
+
+
+
+
+
+#36
+
+-- Session policies are saved by the settings function
+
+-- Step 1: The login function reads each role's session lifetime, so only
+-- the function may change it, for users allowed to manage security
+REVOKE INSERT, UPDATE, DELETE, TRUNCATE ON v4_session_policies FROM anon, authenticated;
+GRANT SELECT ON v4_session_policies TO anon, authenticated;
+
+
+
+
+
+
+
+
+#37
+
+-- Upload limits are saved by the settings function and enforced by Storage
+
+-- Step 1: The browser reads the limits; the function saves them for users
+-- allowed to manage document settings and writes the audit trail
+REVOKE INSERT, UPDATE, DELETE, TRUNCATE ON v4_upload_limits FROM anon, authenticated;
+GRANT SELECT ON v4_upload_limits TO anon, authenticated;
+
+-- Step 2: Keep the file size limit of the request-files bucket at the
+-- largest upload limit, so Storage refuses anything bigger. Smaller limits
+-- of a kind of file are checked by the scan-file function.
+CREATE OR REPLACE FUNCTION v4_sync_bucket_size_limit() RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE storage.buckets
+  SET file_size_limit = (SELECT MAX(max_size_mb)::BIGINT * 1024 * 1024 FROM v4_upload_limits)
+  WHERE id = 'request-files';
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS trg_v4_upload_limits_bucket ON v4_upload_limits;
+CREATE TRIGGER trg_v4_upload_limits_bucket
+AFTER INSERT OR UPDATE OR DELETE ON v4_upload_limits
+FOR EACH STATEMENT EXECUTE FUNCTION v4_sync_bucket_size_limit();
+
+UPDATE storage.buckets
+SET file_size_limit = (SELECT MAX(max_size_mb)::BIGINT * 1024 * 1024 FROM v4_upload_limits)
+WHERE id = 'request-files';
+
+
+
+
+
+
+
+
+#38
+
+-- The audit trail is written and read through the audit-log function
+
+-- Step 1: The browser can neither append entries, whose actor it could
+-- choose, nor read them. The audit-log function appends entries as the
+-- user of the session token and lists them for users allowed to view the
+-- audit trail.
+REVOKE ALL ON v4_audit_logs FROM anon, authenticated;
+
+-- Step 2: Entries now arrive from functions, whose request headers are not
+-- the browser's, so keep the client IP a function passes on
+CREATE OR REPLACE FUNCTION v4_audit_logs_stamp() RETURNS TRIGGER AS $$
+DECLARE
+  headers JSON;
+BEGIN
+  NEW.created_at := NOW();
+
+  IF current_user NOT IN ('anon', 'authenticated') AND NEW.ip_address IS NOT NULL THEN
+    RETURN NEW;
+  END IF;
+
+  BEGIN
+    headers := current_setting('request.headers', true)::json;
+  EXCEPTION WHEN OTHERS THEN
+    headers := NULL;
+  END;
+
+  NEW.ip_address := COALESCE(
+    split_part(headers->>'x-forwarded-for', ',', 1),
+    headers->>'x-real-ip',
+    inet_client_addr()::text
+  );
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+
+
+
+
+
+
+
+#39
+
+-- Workflows are saved in one step
+
+-- Step 1: Make a new workflow the active one. Deactivating the old one and
+-- inserting the new one happen in one transaction, so a failed save leaves
+-- the previous workflow active. Saves are serialized, and a workflow that
+-- drops a status some request is still in is refused, as those requests
+-- would be left without a status.
+CREATE OR REPLACE FUNCTION public.v4_save_workflow(
+  workflow_name TEXT,
+  workflow_definition JSONB,
+  saved_by UUID
+)
+RETURNS v4_workflows
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  in_use TEXT;
+  saved v4_workflows;
+BEGIN
+  LOCK TABLE v4_workflows IN SHARE ROW EXCLUSIVE MODE;
+
+  SELECT string_agg(DISTINCT r.status, ', ' ORDER BY r.status) INTO in_use
+  FROM v4_requests r
+  WHERE r.status NOT IN (
+    SELECT s->>'key' FROM jsonb_array_elements(workflow_definition->'statuses') s
+  );
+
+  IF in_use IS NOT NULL THEN
+    RAISE EXCEPTION 'These statuses are still used by requests and cannot be removed: %', in_use;
+  END IF;
+
+  UPDATE v4_workflows SET is_active = FALSE WHERE is_active;
+
+  INSERT INTO v4_workflows (name, definition, is_active, created_by)
+  VALUES (workflow_name, workflow_definition, TRUE, saved_by)
+  RETURNING * INTO saved;
+
+  RETURN saved;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.v4_save_workflow(TEXT, JSONB, UUID) TO anon, authenticated;
+
+
+
+
+
+
+
+
+#40
+
+-- "Claim next" runs for the signed-in user only
+
+-- Step 1: The claim-request function calls this with the user of the
+-- session token, after checking they may process requests. Open statuses
+-- come from the active workflow (the pending and in_progress categories),
+-- or from the built-in one (DEFAULT_WORKFLOW in src/config/workflow.js)
+-- while none is saved. Replaces the version of #32 that took both from
+-- the browser.
+DROP FUNCTION IF EXISTS public.v4_claim_next_request(UUID, TEXT[]);
+
+CREATE OR REPLACE FUNCTION public.v4_claim_next_request(claimer_id UUID)
+RETURNS TABLE (
+  before JSONB,
+  after JSONB
+)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  open_statuses TEXT[];
+  candidate v4_requests;
+  claimed v4_requests;
+BEGIN
+  IF EXISTS (SELECT 1 FROM v4_workflows WHERE is_active) THEN
+    SELECT COALESCE(array_agg(s->>'key'), '{}') INTO open_statuses
+    FROM v4_workflows w, jsonb_array_elements(w.definition->'statuses') s
+    WHERE w.is_active
+      AND s->>'category' IN ('pending', 'in_progress');
+  ELSE
+    open_statuses := ARRAY['pending', 'in_progress'];
+  END IF;
+
+  SELECT * INTO candidate
+  FROM v4_requests r
+  WHERE r.status = ANY(open_statuses)
+    AND r.assigned_to IS NULL
+  ORDER BY
+    CASE r.priority
+      WHEN 'urgent' THEN 0
+      WHEN 'high' THEN 1
+      WHEN 'low' THEN 3
+      ELSE 2
+    END,
+    r.due_at NULLS LAST,
+    r.date_received,
+    r.created_at
+  LIMIT 1
+  FOR UPDATE SKIP LOCKED;
+
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  UPDATE v4_requests
+  SET assigned_to = claimer_id,
+    updated_by = claimer_id,
+    updated_at = NOW()
+  WHERE id = candidate.id
+  RETURNING * INTO claimed;
+
+  RETURN QUERY SELECT to_jsonb(candidate), to_jsonb(claimed);
+END;
+$$;
+
+-- Step 2: Only functions may call it
+REVOKE EXECUTE ON FUNCTION public.v4_claim_next_request(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.v4_claim_next_request(UUID) TO service_role;
+
+
+
+
+
+
+
+
+#41
+
+-- Search runs for the signed-in user only
+
+-- Step 1: The search-requests function calls v4_search_requests with the
+-- organizations and internal comments the user's role allows, so the
+-- browser cannot choose them
+REVOKE EXECUTE ON FUNCTION public.v4_search_requests(TEXT, TEXT, TEXT, TEXT[], UUID[], BOOLEAN, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.v4_search_requests(TEXT, TEXT, TEXT, TEXT[], UUID[], BOOLEAN, INTEGER, INTEGER) TO service_role;
+
+
+
+
+
+
+
+
+#42
+
+-- Role permissions come only from the database
+
+-- Step 1: The browser used to fall back to DEFAULT_ROLE_PERMISSIONS in
+-- src/config/permissions.js for roles never saved, while the functions
+-- only read v4_role_permissions. Both now read the table alone, so roles
+-- not yet configured get their default permissions stored here.
+INSERT INTO v4_role_permissions (role, permission)
+SELECT defaults.role, defaults.permission
+FROM (VALUES
+  ('user', 'dashboard.user.view'),
+  ('user', 'requests.view'),
+  ('user', 'requests.view_all'),
+  ('user', 'requests.create'),
+  ('user', 'requests.process'),
+  ('user', 'requests.edit_own'),
+  ('user', 'requests.delete_own'),
+  ('user', 'files.upload_response'),
+  ('user', 'reports.requests.view'),
+  ('user', 'reports.organizations.view'),
+  ('organization', 'dashboard.organization.view'),
+  ('organization', 'requests.view'),
+  ('organization', 'organizations.profile.view'),
+  ('organization', 'files.pdf_password.view'),
+  ('organization', 'notifications.view'),
+  ('organization', 'support.contact')
+) AS defaults(role, permission)
+WHERE defaults.role NOT IN (SELECT role FROM v4_permission_roles)
+ON CONFLICT DO NOTHING;
+
+INSERT INTO v4_permission_roles (role) VALUES ('user'), ('organization')
+ON CONFLICT (role) DO NOTHING;
+
+
+
+
+
+
+
+
+#43
+
+-- Response versions are numbered by the database
+
+-- Step 1: The browser numbered a new version from the highest it could
+-- see, so two uploads at once could pick the same number. A file added to
+-- an existing document now gets the next number on insert, one at a time
+-- per document; idx_v4_request_files_document_version (migration #26)
+-- still refuses duplicates.
+CREATE OR REPLACE FUNCTION v4_set_file_version() RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.document_id = NEW.id THEN
+    NEW.version := 1;
+    RETURN NEW;
+  END IF;
+
+  PERFORM pg_advisory_xact_lock(hashtext('v4_request_files.version'), hashtext(NEW.document_id::TEXT));
+
+  SELECT COALESCE(MAX(version), 0) + 1
+  INTO NEW.version
+  FROM v4_request_files
+  WHERE document_id = NEW.document_id;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Step 2: Runs after trg_v4_request_files_document_id, which sets the
+-- document of a file uploaded without one
+DROP TRIGGER IF EXISTS trg_v4_request_files_version ON v4_request_files;
+CREATE TRIGGER trg_v4_request_files_version
+BEFORE INSERT ON v4_request_files
+FOR EACH ROW EXECUTE FUNCTION v4_set_file_version();
@@ -1,15 +1,19 @@
-import { Routes, Route, Navigate, useLocation } from 'react-router-dom';
+import { Routes, Route, Navigate } from 'react-router-dom';
 import { useAuth } from './hooks/useAuth';
 import { getRoleBasedDashboard } from './utils/roleRoutes';
+import { PERMISSIONS } from './config/permissions';
 
 // Layout Components
 import Header from './components/layout/Header';
 import Footer from './components/layout/Footer';
+import SessionTimeoutWarning from './components/auth/SessionTimeoutWarning';
+import ProtectedRoute from './components/ProtectedRoute';
 
 // Pages
 import LoginPage from './pages/Login/Login';
 import UserManagement from './pages/UserManagement/UserManagement';
 import Unauthorized from './pages/Unauthorized';
+import VerifyDocument from './pages/VerifyDocument';
 
 // Dashboard Pages
 import AdminDashboard from './pages/dashboard/AdminDashboard';
@@ -20,6 +24,10 @@ import OrgDashboard from './pages/dashboard/OrgDashboard';
 import RequestList from './pages/requests/RequestList';
 import RequestDetail from './pages/requests/RequestDetail';
 import NewRequest from './pages/requests/NewRequest';
+import WorkloadBoard from './pages/requests/WorkloadBoard';
+
+// Search Page
+import SearchResults from './pages/search/SearchResults';
 
 // Organization Pages
 import OrganizationList from './pages/organizations/OrganizationList';
@@ -39,34 +47,22 @@ import NotificationCenter from './pages/notifications/NotificationCenter';
 // Contact Page
 import Contact from './pages/Contact';
 
-const ProtectedRoute = ({ children, requiredRoles = [] }) => {
-  const { user, loading } = useAuth();
-  const location = useLocation();
-
-  if (loading) {
-    return (
-      <div className="flex items-center justify-center min-h-screen">
-        <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-black dark:border-white"></div>
-      </div>
-    );
-  }
-
-  if (!user) {
-    return <Navigate to="/login" state={{ from: location }} replace />;
-  }
-
-  if (requiredRoles.length > 0 && !requiredRoles.includes(user.role?.toLowerCase())) {
-    return <Navigate to="/unauthorized" replace />;
-  }
-
-  return children;
-};
+// Settings
+import WorkflowSettings from './pages/settings/WorkflowSettings';
+import SlaSettings from './pages/settings/SlaSettings';
+import AssignmentSettings from './pages/settings/AssignmentSettings';
+import AuditTrail from './pages/settings/AuditTrail';
+import SecuritySettings from './pages/settings/SecuritySettings';
+import PermissionSettings from './pages/settings/PermissionSettings';
+import DocumentSettings from './pages/settings/DocumentSettings';
+import RetentionSettings from './pages/settings/RetentionSettings';
 
 const AuthenticatedLayout = ({ children }) => (
   <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
     <Header />
     <main className="pt-10 pb-10">{children}</main>
     <Footer />
+    <SessionTimeoutWarning />
   </div>
 );
 
@@ -75,39 +71,55 @@ const App = () => {
 
   return (
     <Routes>
-      {/* Public route */}
+      {/* Public routes */}
       <Route path="/login" element={user ? <Navigate to={getRoleBasedDashboard(user.role)} replace /> : <LoginPage />} />
+      <Route path="/verify" element={<VerifyDocument />} />
+      <Route path="/verify/:signatureId" element={<VerifyDocument />} />
 
       {/* Dashboard routes */}
-      <Route path="/admindashboard" element={<ProtectedRoute requiredRoles={['administrator']}><AuthenticatedLayout><AdminDashboard /></AuthenticatedLayout></ProtectedRoute>} />
-      <Route path="/userdashboard" element={<ProtectedRoute requiredRoles={['administrator','user']}><AuthenticatedLayout><UserDashboard /></AuthenticatedLayout></ProtectedRoute>} />
-      <Route path="/orgdashboard" element={<ProtectedRoute requiredRoles={['administrator','organization']}><AuthenticatedLayout><OrgDashboard /></AuthenticatedLayout></ProtectedRoute>} />
+      <Route path="/admindashboard" element={<ProtectedRoute permission={PERMISSIONS.DASHBOARD_ADMIN_VIEW}><AuthenticatedLayout><AdminDashboard /></AuthenticatedLayout></ProtectedRoute>} />
+      <Route path="/userdashboard" element={<ProtectedRoute permission={PERMISSIONS.DASHBOARD_USER_VIEW}><AuthenticatedLayout><UserDashboard /></AuthenticatedLayout></ProtectedRoute>} />
+      <Route path="/orgdashboard" element={<ProtectedRoute permission={PERMISSIONS.DASHBOARD_ORGANIZATION_VIEW}><AuthenticatedLayout><OrgDashboard /></AuthenticatedLayout></ProtectedRoute>} />
       
-      {/* User Management routes - only for administrators */}
-      <Route path="/user-management" element={<ProtectedRoute requiredRoles={['administrator']}><AuthenticatedLayout><UserManagement /></AuthenticatedLayout></ProtectedRoute>} />
+      {/* User Management routes */}
+      <Route path="/user-management" element={<ProtectedRoute permission={PERMISSIONS.USERS_MANAGE}><AuthenticatedLayout><UserManagement /></AuthenticatedLayout></ProtectedRoute>} />
       
       {/* Request routes */}
-      <Route path="/requests" element={<ProtectedRoute><AuthenticatedLayout><RequestList /></AuthenticatedLayout></ProtectedRoute>} />
-      <Route path="/requests/:id" element={<ProtectedRoute><AuthenticatedLayout><RequestDetail /></AuthenticatedLayout></ProtectedRoute>} />
-      <Route path="/requests/new" element={<ProtectedRoute requiredRoles={['administrator', 'user']}><AuthenticatedLayout><NewRequest /></AuthenticatedLayout></ProtectedRoute>} />
+      <Route path="/requests" element={<ProtectedRoute permission={PERMISSIONS.REQUESTS_VIEW}><AuthenticatedLayout><RequestList /></AuthenticatedLayout></ProtectedRoute>} />
+      <Route path="/requests/:id" element={<ProtectedRoute permission={PERMISSIONS.REQUESTS_VIEW}><AuthenticatedLayout><RequestDetail /></AuthenticatedLayout></ProtectedRoute>} />
+      <Route path="/requests/new" element={<ProtectedRoute permission={PERMISSIONS.REQUESTS_CREATE}><AuthenticatedLayout><NewRequest /></AuthenticatedLayout></ProtectedRoute>} />
+      <Route path="/requests/workload" element={<ProtectedRoute permission={PERMISSIONS.REQUESTS_ASSIGN}><AuthenticatedLayout><WorkloadBoard /></AuthenticatedLayout></ProtectedRoute>} />
+      
+      {/* Search route */}
+      <Route path="/search" element={<ProtectedRoute permission={PERMISSIONS.REQUESTS_VIEW}><AuthenticatedLayout><SearchResults /></AuthenticatedLayout></ProtectedRoute>} />
       
-      {/* Organization routes - only for administrators */}
-      <Route path="/organizations" element={<ProtectedRoute requiredRoles={['administrator']}><AuthenticatedLayout><OrganizationList /></AuthenticatedLayout></ProtectedRoute>} />
-      <Route path="/organizations/users" element={<ProtectedRoute requiredRoles={['administrator']}><AuthenticatedLayout><OrganizationUsers /></AuthenticatedLayout></ProtectedRoute>} />
-      <Route path="/organizations/:id" element={<ProtectedRoute requiredRoles={['administrator']}><AuthenticatedLayout><OrganizationDetail /></AuthenticatedLayout></ProtectedRoute>} />
-      <Route path="/organization-profile" element={<ProtectedRoute requiredRoles={['administrator','organization']}><AuthenticatedLayout><OrganizationProfile /></AuthenticatedLayout></ProtectedRoute>} />
+      {/* Organization routes */}
+      <Route path="/organizations" element={<ProtectedRoute permission={PERMISSIONS.ORGANIZATIONS_MANAGE}><AuthenticatedLayout><OrganizationList /></AuthenticatedLayout></ProtectedRoute>} />
+      <Route path="/organizations/users" element={<ProtectedRoute permission={PERMISSIONS.ORGANIZATIONS_MANAGE}><AuthenticatedLayout><OrganizationUsers /></AuthenticatedLayout></ProtectedRoute>} />
+      <Route path="/organizations/:id" element={<ProtectedRoute permission={PERMISSIONS.ORGANIZATIONS_MANAGE}><AuthenticatedLayout><OrganizationDetail /></AuthenticatedLayout></ProtectedRoute>} />
+      <Route path="/organization-profile" element={<ProtectedRoute permission={PERMISSIONS.ORGANIZATIONS_PROFILE_VIEW}><AuthenticatedLayout><OrganizationProfile /></AuthenticatedLayout></ProtectedRoute>} />
       
-      {/* Report routes - only for administrators */}
-      <Route path="/reports/requests" element={<ProtectedRoute requiredRoles={['administrator', 'user']}><AuthenticatedLayout><RequestReports /></AuthenticatedLayout></ProtectedRoute>} />
-      <Route path="/reports/performance" element={<ProtectedRoute requiredRoles={['administrator']}><AuthenticatedLayout><PerformanceReports /></AuthenticatedLayout></ProtectedRoute>} />
-      <Route path="/reports/organizations" element={<ProtectedRoute requiredRoles={['administrator', 'user']}><AuthenticatedLayout><OrganizationReports /></AuthenticatedLayout></ProtectedRoute>} />
-      <Route path="/reports/custom" element={<ProtectedRoute requiredRoles={['administrator']}><AuthenticatedLayout><CustomReports /></AuthenticatedLayout></ProtectedRoute>} />
+      {/* Report routes */}
+      <Route path="/reports/requests" element={<ProtectedRoute permission={PERMISSIONS.REPORTS_REQUESTS_VIEW}><AuthenticatedLayout><RequestReports /></AuthenticatedLayout></ProtectedRoute>} />
+      <Route path="/reports/performance" element={<ProtectedRoute permission={PERMISSIONS.REPORTS_PERFORMANCE_VIEW}><AuthenticatedLayout><PerformanceReports /></AuthenticatedLayout></ProtectedRoute>} />
+      <Route path="/reports/organizations" element={<ProtectedRoute permission={PERMISSIONS.REPORTS_ORGANIZATIONS_VIEW}><AuthenticatedLayout><OrganizationReports /></AuthenticatedLayout></ProtectedRoute>} />
+      <Route path="/reports/custom" element={<ProtectedRoute permission={PERMISSIONS.REPORTS_CUSTOM_VIEW}><AuthenticatedLayout><CustomReports /></AuthenticatedLayout></ProtectedRoute>} />
+
+      {/* Settings Routes */}
+      <Route path="/settings/workflow" element={<ProtectedRoute permission={PERMISSIONS.SETTINGS_WORKFLOW_MANAGE}><AuthenticatedLayout><WorkflowSettings /></AuthenticatedLayout></ProtectedRoute>} />
+      <Route path="/settings/sla" element={<ProtectedRoute permission={PERMISSIONS.SETTINGS_SLA_MANAGE}><AuthenticatedLayout><SlaSettings /></AuthenticatedLayout></ProtectedRoute>} />
+      <Route path="/settings/assignment" element={<ProtectedRoute permission={PERMISSIONS.SETTINGS_ASSIGNMENT_MANAGE}><AuthenticatedLayout><AssignmentSettings /></AuthenticatedLayout></ProtectedRoute>} />
+      <Route path="/settings/audit" element={<ProtectedRoute permission={PERMISSIONS.AUDIT_VIEW}><AuthenticatedLayout><AuditTrail /></AuthenticatedLayout></ProtectedRoute>} />
+      <Route path="/settings/security" element={<ProtectedRoute permission={PERMISSIONS.SETTINGS_SECURITY_MANAGE}><AuthenticatedLayout><SecuritySettings /></AuthenticatedLayout></ProtectedRoute>} />
+      <Route path="/settings/permissions" element={<ProtectedRoute permission={PERMISSIONS.SETTINGS_PERMISSIONS_MANAGE}><AuthenticatedLayout><PermissionSettings /></AuthenticatedLayout></ProtectedRoute>} />
+      <Route path="/settings/documents" element={<ProtectedRoute permission={PERMISSIONS.SETTINGS_DOCUMENTS_MANAGE}><AuthenticatedLayout><DocumentSettings /></AuthenticatedLayout></ProtectedRoute>} />
+      <Route path="/settings/retention" element={<ProtectedRoute permission={PERMISSIONS.SETTINGS_RETENTION_MANAGE}><AuthenticatedLayout><RetentionSettings /></AuthenticatedLayout></ProtectedRoute>} />
       
       {/* Notification route */}
-      <Route path="/notifications" element={<ProtectedRoute requiredRoles={['administrator','organization']}><AuthenticatedLayout><NotificationCenter /></AuthenticatedLayout></ProtectedRoute>} />
+      <Route path="/notifications" element={<ProtectedRoute permission={PERMISSIONS.NOTIFICATIONS_VIEW}><AuthenticatedLayout><NotificationCenter /></AuthenticatedLayout></ProtectedRoute>} />
 
       {/* Contact route */}
-      <Route path="/contact" element={<ProtectedRoute requiredRoles={['administrator','organization']}><AuthenticatedLayout><Contact /></AuthenticatedLayout></ProtectedRoute>} />
+      <Route path="/contact" element={<ProtectedRoute permission={PERMISSIONS.SUPPORT_CONTACT}><AuthenticatedLayout><Contact /></AuthenticatedLayout></ProtectedRoute>} />
 
       
 
@@ -0,0 +1,71 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import { Clock } from 'lucide-react';
+import { useAuth } from '../../hooks/useAuth';
+import { SESSION_WARNING_REASONS } from '../../config/session';
+
+/**
+ * Countdown shown before an automatic sign-out
+ */
+const SessionTimeoutWarning = () => {
+  const { sessionWarning, staySignedIn, logout } = useAuth();
+
+  if (!sessionWarning) return null;
+
+  const isExpiry = sessionWarning.reason === SESSION_WARNING_REASONS.EXPIRY;
+  const { secondsLeft } = sessionWarning;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <motion.div
+        initial={{ scale: 0.95, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        role="alertdialog"
+        aria-live="assertive"
+        className="bg-white dark:bg-gray-800 rounded-3xl p-8 max-w-md w-full mx-4"
+      >
+        <div className="flex items-center gap-3 mb-4">
+          <Clock className="w-6 h-6 text-amber-500" />
+          <h2 className="text-xl font-bold text-gray-900 dark:text-white">
+            {isExpiry ? 'Your Session Is Ending' : 'Are You Still There?'}
+          </h2>
+        </div>
+
+        <p className="text-gray-600 dark:text-gray-300 mb-6">
+          {isExpiry
+            ? 'For security, sessions have a maximum length. '
+            : 'You have been inactive for a while. '}
+          You will be signed out in{' '}
+          <span className="font-semibold text-gray-900 dark:text-white">
+            {secondsLeft} second{secondsLeft === 1 ? '' : 's'}
+          </span>
+          {isExpiry ? '. Save your work and sign in again to continue.' : '.'}
+        </p>
+
+        <div className="flex justify-end gap-4">
+          <button
+            type="button"
+            onClick={logout}
+            className="px-4 py-2 text-gray-600 dark:text-gray-400 hover:text-gray-900
+                     dark:hover:text-white transition-colors"
+          >
+            Sign Out
+          </button>
+          {!isExpiry && (
+            <button
+              type="button"
+              onClick={staySignedIn}
+              autoFocus
+              className="px-4 py-2 bg-black dark:bg-white text-white dark:text-black rounded-lg
+                       hover:bg-gray-800 dark:hover:bg-gray-100 transition-colors"
+            >
+              Stay Signed In
+            </button>
+          )}
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
+export default SessionTimeoutWarning;
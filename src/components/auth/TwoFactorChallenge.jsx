@@ -0,0 +1,141 @@
+import React, { useState } from 'react';
+import { AlertCircle, KeyRound, Loader2, ShieldCheck } from 'lucide-react';
+
+const inputClassName = `w-full px-4 py-3 rounded-lg border border-gray-200 dark:border-gray-700
+  bg-white dark:bg-gray-900 text-gray-900 dark:text-white text-center tracking-widest
+  focus:outline-none focus:ring-2 focus:ring-black dark:focus:ring-white`;
+
+/**
+ * Second login step: a code from the authenticator app, or a recovery code
+ *
+ * @param {Function} onVerify - Called with { code } or { recoveryCode }; returns { error, attemptsLeft }
+ * @param {Function} onCancel - Back to the password step
+ */
+const TwoFactorChallenge = ({ onVerify, onCancel }) => {
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [value, setValue] = useState('');
+  const [error, setError] = useState('');
+  const [attemptsLeft, setAttemptsLeft] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setIsSubmitting(true);
+
+    const factor = useRecoveryCode
+      ? { recoveryCode: value.trim() }
+      : { code: value.replace(/\s/g, '') };
+
+    const result = await onVerify(factor);
+
+    // On success the parent moves on; only failures come back here
+    if (result?.error) {
+      setError(result.error);
+      setAttemptsLeft(result.attemptsLeft ?? null);
+      setValue('');
+      setIsSubmitting(false);
+    }
+  };
+
+  const toggleMode = () => {
+    setUseRecoveryCode(!useRecoveryCode);
+    setValue('');
+    setError('');
+  };
+
+  return (
+    <div>
+      <div className="flex flex-col items-center text-center mb-6">
+        <ShieldCheck className="w-10 h-10 text-gray-900 dark:text-white mb-3" />
+        <h2 className="text-2xl font-bold text-gray-900 dark:text-white">
+          Two-Factor Authentication
+        </h2>
+        <p className="text-sm text-gray-500 dark:text-gray-400 mt-2">
+          {useRecoveryCode
+            ? 'Enter one of the recovery codes you saved when you set up two-factor authentication.'
+            : 'Enter the 6-digit code from your authenticator app.'}
+        </p>
+      </div>
+
+      {error && (
+        <div className="mb-6 px-4 py-3 rounded-lg flex items-start gap-2 bg-red-50 dark:bg-red-900/30
+                      border border-red-400 dark:border-red-800 text-red-700 dark:text-red-200">
+          <AlertCircle className="w-5 h-5 mt-0.5 flex-shrink-0" />
+          <span>
+            {error}
+            {attemptsLeft !== null && attemptsLeft > 0 && (
+              <> ({attemptsLeft} attempt{attemptsLeft === 1 ? '' : 's'} left)</>
+            )}
+          </span>
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-6">
+        {useRecoveryCode ? (
+          <input
+            type="text"
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            className={inputClassName}
+            placeholder="xxxxx-xxxxx"
+            autoComplete="off"
+            autoFocus
+            required
+            disabled={isSubmitting}
+          />
+        ) : (
+          <input
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            pattern="[0-9 ]{6,7}"
+            maxLength={7}
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            className={inputClassName}
+            placeholder="123456"
+            autoFocus
+            required
+            disabled={isSubmitting}
+          />
+        )}
+
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="w-full py-3 rounded-lg bg-black dark:bg-white text-white dark:text-black
+                   hover:bg-gray-800 dark:hover:bg-gray-100
+                   focus:outline-none focus:ring-2 focus:ring-black dark:focus:ring-white
+                   transition-colors flex items-center justify-center gap-2 disabled:opacity-50"
+        >
+          {isSubmitting && <Loader2 className="h-5 w-5 animate-spin" />}
+          Verify
+        </button>
+      </form>
+
+      <div className="flex justify-between mt-6 text-sm">
+        <button
+          type="button"
+          onClick={onCancel}
+          disabled={isSubmitting}
+          className="text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white transition-colors"
+        >
+          Back to sign in
+        </button>
+        <button
+          type="button"
+          onClick={toggleMode}
+          disabled={isSubmitting}
+          className="flex items-center gap-1 text-gray-600 dark:text-gray-400 hover:text-gray-900
+                   dark:hover:text-white transition-colors"
+        >
+          <KeyRound className="w-4 h-4" />
+          {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default TwoFactorChallenge;
@@ -0,0 +1,176 @@
+import React, { useEffect, useState } from 'react';
+import { AlertCircle, Loader2 } from 'lucide-react';
+import {
+  getMfaStatus,
+  startMfaEnrollment,
+  confirmMfaEnrollment,
+  disableMfa
+} from '../../services/authService';
+import TwoFactorSetup from './TwoFactorSetup';
+
+/**
+ * Two-factor status of the signed-in user, with set-up and turn-off
+ */
+const TwoFactorSettings = () => {
+  const [status, setStatus] = useState(null);
+  const [isSettingUp, setIsSettingUp] = useState(false);
+  const [isDisabling, setIsDisabling] = useState(false);
+  const [code, setCode] = useState('');
+  const [error, setError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const loadStatus = async () => {
+    try {
+      const result = await getMfaStatus();
+
+      if (result.error) {
+        setError(result.error);
+        return;
+      }
+
+      setStatus(result);
+    } catch (err) {
+      setError('Unable to load two-factor status');
+    }
+  };
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    setError('');
+    setIsSubmitting(true);
+
+    try {
+      const result = await disableMfa(code.replace(/\s/g, ''));
+
+      if (result.error) {
+        setError(result.error);
+        return;
+      }
+
+      setIsDisabling(false);
+      setCode('');
+      await loadStatus();
+    } catch (err) {
+      setError('Unable to turn off two-factor authentication');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleSetupDone = async () => {
+    setIsSettingUp(false);
+    await loadStatus();
+  };
+
+  if (isSettingUp) {
+    return (
+      <div className="p-3 bg-gray-50 dark:bg-gray-800 rounded-lg">
+        <TwoFactorSetup
+          onStart={() => startMfaEnrollment()}
+          onConfirm={(setupCode) => confirmMfaEnrollment(setupCode)}
+          onDone={handleSetupDone}
+          onCancel={() => setIsSettingUp(false)}
+        />
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-3 bg-gray-50 dark:bg-gray-800 rounded-lg space-y-3">
+      <div className="flex items-center justify-between">
+        <span className="text-sm text-gray-500 dark:text-gray-400">Two-Factor Auth</span>
+        {!status ? (
+          !error && <Loader2 className="h-4 w-4 animate-spin text-gray-400" />
+        ) : (
+          <div className="flex items-center gap-3">
+            <span className={`text-sm font-medium ${
+              status.enabled
+                ? 'text-green-600 dark:text-green-400'
+                : 'text-gray-900 dark:text-gray-100'
+            }`}>
+              {status.enabled ? 'On' : status.required ? 'Required' : 'Off'}
+            </span>
+            {!status.enabled && (
+              <button
+                type="button"
+                onClick={() => {
+                  setError('');
+                  setIsSettingUp(true);
+                }}
+                className="text-sm text-blue-600 dark:text-blue-400 hover:underline"
+              >
+                Set up
+              </button>
+            )}
+            {status.enabled && !status.required && !isDisabling && (
+              <button
+                type="button"
+                onClick={() => {
+                  setError('');
+                  setIsDisabling(true);
+                }}
+                className="text-sm text-red-600 dark:text-red-400 hover:underline"
+              >
+                Turn off
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      {error && (
+        <div className="p-2 bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-200 rounded-lg flex items-start gap-2 text-sm">
+          <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {isDisabling && (
+        <form onSubmit={handleDisable} className="flex items-center gap-2">
+          <input
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            pattern="[0-9 ]{6,7}"
+            maxLength={7}
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            className="flex-1 min-w-0 px-3 py-2 rounded-lg border border-gray-200 dark:border-gray-700
+                     bg-white dark:bg-gray-900 text-gray-900 dark:text-white text-sm tracking-widest
+                     focus:outline-none focus:ring-2 focus:ring-black dark:focus:ring-white"
+            placeholder="Code from app"
+            required
+            disabled={isSubmitting}
+          />
+          <button
+            type="submit"
+            disabled={isSubmitting}
+            className="px-3 py-2 text-sm bg-red-600 text-white rounded-lg hover:bg-red-700
+                     transition-colors flex items-center gap-1 disabled:opacity-50"
+          >
+            {isSubmitting && <Loader2 className="w-4 h-4 animate-spin" />}
+            Turn off
+          </button>
+          <button
+            type="button"
+            onClick={() => {
+              setIsDisabling(false);
+              setCode('');
+              setError('');
+            }}
+            disabled={isSubmitting}
+            className="px-2 py-2 text-sm text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white"
+          >
+            Cancel
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
@@ -0,0 +1,252 @@
+import React, { useEffect, useState } from 'react';
+import { AlertCircle, Check, Copy, Download, Loader2, ShieldCheck } from 'lucide-react';
+
+const STEPS = {
+  LOADING: 'loading',
+  SCAN: 'scan',
+  RECOVERY_CODES: 'recovery_codes'
+};
+
+/**
+ * Set up an authenticator app: scan a QR code, confirm a code, save recovery codes
+ *
+ * @param {Function} onStart - Returns { secret, qrCode, error } where qrCode is an SVG
+ * @param {Function} onConfirm - Called with the code; returns { recoveryCodes, error }
+ * @param {Function} onDone - Called once the recovery codes have been saved
+ * @param {Function} onCancel - Abandon the set-up
+ * @param {boolean} isRequired - Whether the user has to set up 2FA to continue
+ */
+const TwoFactorSetup = ({ onStart, onConfirm, onDone, onCancel, isRequired = false }) => {
+  const [step, setStep] = useState(STEPS.LOADING);
+  const [enrollment, setEnrollment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [code, setCode] = useState('');
+  const [error, setError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    const start = async () => {
+      try {
+        const result = await onStart();
+
+        if (result.error) {
+          setError(result.error);
+          return;
+        }
+
+        setEnrollment(result);
+        setStep(STEPS.SCAN);
+      } catch (err) {
+        setError('Unable to start the set-up. Please try again.');
+      }
+    };
+
+    start();
+  }, []);
+
+  const handleConfirm = async (e) => {
+    e.preventDefault();
+    setError('');
+    setIsSubmitting(true);
+
+    try {
+      const result = await onConfirm(code.replace(/\s/g, ''));
+
+      if (result.error) {
+        setError(result.error);
+        setCode('');
+        return;
+      }
+
+      setRecoveryCodes(result.recoveryCodes || []);
+      setStep(STEPS.RECOVERY_CODES);
+    } catch (err) {
+      setError('Unable to finish the set-up. Please try again.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(recoveryCodes.join('\n'));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Failed to copy recovery codes:', err);
+    }
+  };
+
+  const handleDownload = () => {
+    const blob = new Blob([`${recoveryCodes.join('\n')}\n`], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div>
+      <div className="flex flex-col items-center text-center mb-6">
+        <ShieldCheck className="w-10 h-10 text-gray-900 dark:text-white mb-3" />
+        <h2 className="text-xl font-bold text-gray-900 dark:text-white">
+          {step === STEPS.RECOVERY_CODES ? 'Save Your Recovery Codes' : 'Set Up Two-Factor Authentication'}
+        </h2>
+        {isRequired && step !== STEPS.RECOVERY_CODES && (
+          <p className="text-sm text-gray-500 dark:text-gray-400 mt-2">
+            Two-factor authentication is required for your account.
+          </p>
+        )}
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-200 rounded-lg flex items-start gap-2">
+          <AlertCircle className="w-5 h-5 mt-0.5 flex-shrink-0" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {step === STEPS.LOADING && !error && (
+        <div className="flex justify-center py-8">
+          <Loader2 className="w-8 h-8 animate-spin text-gray-400" />
+        </div>
+      )}
+
+      {step === STEPS.SCAN && enrollment && (
+        <form onSubmit={handleConfirm} className="space-y-4">
+          <p className="text-sm text-gray-600 dark:text-gray-300">
+            Scan this QR code with an authenticator app such as Google Authenticator, Microsoft Authenticator or 1Password.
+          </p>
+
+          <div className="flex justify-center">
+            <img
+              src={`data:image/svg+xml;utf8,${encodeURIComponent(enrollment.qrCode)}`}
+              alt="Authenticator QR code"
+              className="w-48 h-48 bg-white p-2 rounded-lg"
+            />
+          </div>
+
+          <div className="text-sm text-gray-500 dark:text-gray-400">
+            <p className="mb-1">Can&apos;t scan it? Enter this key instead:</p>
+            <code className="block p-2 rounded-lg bg-gray-100 dark:bg-gray-900 text-gray-900 dark:text-white
+                           font-mono text-xs break-all select-all">
+              {enrollment.secret}
+            </code>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Code from the app
+            </label>
+            <input
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              pattern="[0-9 ]{6,7}"
+              maxLength={7}
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              className="w-full px-4 py-3 rounded-lg border border-gray-200 dark:border-gray-700
+                       bg-white dark:bg-gray-900 text-gray-900 dark:text-white text-center tracking-widest
+                       focus:outline-none focus:ring-2 focus:ring-black dark:focus:ring-white"
+              placeholder="123456"
+              required
+              disabled={isSubmitting}
+            />
+          </div>
+
+          <div className="flex justify-end gap-4 pt-2">
+            <button
+              type="button"
+              onClick={onCancel}
+              disabled={isSubmitting}
+              className="px-4 py-2 text-gray-600 dark:text-gray-400 hover:text-gray-900
+                       dark:hover:text-white transition-colors disabled:opacity-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="px-4 py-2 bg-black dark:bg-white text-white dark:text-black rounded-lg
+                       hover:bg-gray-800 dark:hover:bg-gray-100 transition-colors
+                       flex items-center gap-2 disabled:opacity-50"
+            >
+              {isSubmitting && <Loader2 className="w-4 h-4 animate-spin" />}
+              Verify and Turn On
+            </button>
+          </div>
+        </form>
+      )}
+
+      {step === STEPS.RECOVERY_CODES && (
+        <div className="space-y-4">
+          <p className="text-sm text-gray-600 dark:text-gray-300">
+            If you lose access to your authenticator app, you can sign in with one of these codes.
+            Each code works once. Store them somewhere safe — they will not be shown again.
+          </p>
+
+          <div className="grid grid-cols-2 gap-2 p-4 rounded-lg bg-gray-100 dark:bg-gray-900">
+            {recoveryCodes.map(recoveryCode => (
+              <code key={recoveryCode} className="font-mono text-sm text-gray-900 dark:text-white text-center">
+                {recoveryCode}
+              </code>
+            ))}
+          </div>
+
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={handleCopy}
+              className="flex-1 px-4 py-2 rounded-lg border border-gray-200 dark:border-gray-700
+                       text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700
+                       transition-colors flex items-center justify-center gap-2"
+            >
+              {copied ? <Check className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
+              {copied ? 'Copied' : 'Copy'}
+            </button>
+            <button
+              type="button"
+              onClick={handleDownload}
+              className="flex-1 px-4 py-2 rounded-lg border border-gray-200 dark:border-gray-700
+                       text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700
+                       transition-colors flex items-center justify-center gap-2"
+            >
+              <Download className="w-4 h-4" />
+              Download
+            </button>
+          </div>
+
+          <div className="flex justify-end pt-2">
+            <button
+              type="button"
+              onClick={onDone}
+              className="px-4 py-2 bg-black dark:bg-white text-white dark:text-black rounded-lg
+                       hover:bg-gray-800 dark:hover:bg-gray-100 transition-colors"
+            >
+              I&apos;ve Saved My Codes
+            </button>
+          </div>
+        </div>
+      )}
+
+      {step === STEPS.LOADING && error && (
+        <div className="flex justify-end pt-2">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 text-gray-600 dark:text-gray-400 hover:text-gray-900
+                     dark:hover:text-white transition-colors"
+          >
+            Close
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSetup;
@@ -2,10 +2,15 @@ import { useState, useEffect, useRef } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { useAuth } from '../../hooks/useAuth';
 import { Moon, Sun, ChevronDown, User, LogOut, Menu, X, UserCircle } from 'lucide-react';
-import { roleBasedNavigation } from './navigationConfig';
+import { navigationItems as allNavigationItems } from './navigationConfig';
+import usePermission from '../../hooks/usePermission';
+import { filterNavigation } from '../../utils/permissionUtils';
 import { Dialog, DialogContent } from '../ui/dialog';
 import { getRoleBasedDashboard } from '../../utils/roleRoutes';
 import NotificationBell from '../notifications/NotificationBell';
+import TwoFactorSettings from '../auth/TwoFactorSettings';
+import GlobalSearch from '../search/GlobalSearch';
+import { PERMISSIONS } from '../../config/permissions';
 
 const Header = () => {
   const [isDropdownOpen, setIsDropdownOpen] = useState(false);
@@ -13,6 +18,7 @@ const Header = () => {
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
   const [isProfileModalOpen, setIsProfileModalOpen] = useState(false);
   const { user, logout } = useAuth();
+  const { can } = usePermission();
   const navigate = useNavigate();
   const dropdownRef = useRef(null);
   const menuRef = useRef(null);
@@ -25,8 +31,8 @@ const Header = () => {
     return window.matchMedia('(prefers-color-scheme: dark)').matches;
   });
 
-  // Get navigation items based on the user's role
-  const navigationItems = user ? roleBasedNavigation[user.role] || [] : [];
+  // Get navigation items the user has permission for
+  const navigationItems = user ? filterNavigation(allNavigationItems, can, user.role) : [];
 
   // Handle click outside dropdown and submenus
   useEffect(() => {
@@ -199,6 +205,7 @@ const Header = () => {
             {/* Desktop User Menu and Notifications */}
             {user && (
               <div className="hidden md:flex items-center space-x-4">
+                {can(PERMISSIONS.REQUESTS_VIEW) && <GlobalSearch className="w-56 lg:w-64" />}
                 <NotificationBell />
                 
                 <div className="relative" ref={dropdownRef}>
@@ -284,6 +291,12 @@ const Header = () => {
                 </div>
               </div>
               
+              {can(PERMISSIONS.REQUESTS_VIEW) && (
+                <div className="px-4 pt-4">
+                  <GlobalSearch onNavigate={() => setIsMobileMenuOpen(false)} />
+                </div>
+              )}
+
               <nav className="flex-1 px-4 py-4 space-y-2 overflow-y-auto">
                 {navigationItems.map((item) => {
                   const Icon = item.icon;
@@ -439,6 +452,9 @@ const Header = () => {
                     </span>
                   </div>
                 </div>
+
+                {/* Two-Factor Authentication */}
+                {isProfileModalOpen && <TwoFactorSettings />}
               </div>
             </div>
           </div>
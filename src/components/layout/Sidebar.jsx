@@ -1,14 +1,17 @@
 import React from 'react';
 import { Link, useLocation } from 'react-router-dom';
 import { useAuth } from '../../hooks/useAuth';
-import { roleBasedNavigation } from './navigationConfig';
+import { navigationItems as allNavigationItems } from './navigationConfig';
+import usePermission from '../../hooks/usePermission';
+import { filterNavigation } from '../../utils/permissionUtils';
 
 const Sidebar = ({ isOpen, onClose }) => {
   const { user } = useAuth();
+  const { can } = usePermission();
   const location = useLocation();
   
-  // Get navigation items based on user role
-  const navigationItems = user ? roleBasedNavigation[user.role] || [] : [];
+  // Get navigation items the user has permission for
+  const navigationItems = user ? filterNavigation(allNavigationItems, can, user.role) : [];
 
   // Check if a route is active
   const isActiveRoute = (path) => {
@@ -15,118 +15,150 @@ import {
   Settings,
   List,
   Plus,
-  Bell
+  Bell,
+  Shield,
+  Key,
+  Stamp,
+  Archive
 } from 'lucide-react';
+import { PERMISSIONS } from '../../config/permissions';
+import { getRoleBasedDashboard } from '../../utils/roleRoutes';
 
-export const roleBasedNavigation = {
-  administrator: [
-    {
-      name: 'Dashboard',
-      path: '/admindashboard',
-      icon: LayoutDashboard
-    },
-    
-    {
-      name: 'Organizations',
-      path: '/organizations',
-      icon: Building
-    },
-    
-    {
-      name: 'User Management',
-      path: '/user-management',
-      icon: UserCog
-    },
-    
-    {
-      name: 'Requests',
-      path: '/requests',
-      icon: FileText
-    },
-    
-    {
-      name: 'Reports',
-      path: '/reports',
-      icon: BarChart,
-      children: [
-        {
-          name: 'Request Reports',
-          path: '/reports/requests',
-          icon: FileSearch
-        },
-        {
-          name: 'Performance Reports',
-          path: '/reports/performance',
-          icon: PieChart
-        },
-        {
-          name: 'Organization Reports',
-          path: '/reports/organizations',
-          icon: Building
-        }
-      ]
-    }
+// Navigation for every role. Items are shown to users who have their
+// permission; hiddenWith hides an item from users who have that permission
+// too, and scopedName is shown to users who only see their own
+// organization's requests.
+export const navigationItems = [
+  {
+    name: 'Dashboard',
+    getPath: (role) => getRoleBasedDashboard(role),
+    icon: LayoutDashboard
+  },
 
-  ],
-  
-  user: [
-    {
-      name: 'Dashboard',
-      path: '/userdashboard',
-      icon: LayoutDashboard
-    },
-    
-    {
-      name: 'Requests',
-      path: '/requests',
-      icon: FileText
-    },
-    
-    {
-      name: 'Reports',
-      path: '/reports',
-      icon: BarChart,
-      children: [
-        {
-          name: 'Request Reports',
-          path: '/reports/requests',
-          icon: FileSearch
-        },
-        {
-          name: 'Organization Reports',
-          path: '/reports/organizations',
-          icon: Building
-        }
-      ]
-    }
-  ],
-  
-  organization: [
-    {
-      name: 'Dashboard',
-      path: '/orgdashboard',
-      icon: LayoutDashboard
-    },
-    {
-      name: 'My Requests',
-      path: '/requests',
-      icon: FileText
-    },
-    {
-      name: 'Organization Profile',
-      path: '/organization-profile',
-      icon: Building
-    },
-    {
-      name: 'Contact Support',
-      path: '/contact',
-      icon: MessageSquare
-    }
-  ]
-};
+  {
+    name: 'Organizations',
+    path: '/organizations',
+    icon: Building,
+    permission: PERMISSIONS.ORGANIZATIONS_MANAGE
+  },
 
+  {
+    name: 'User Management',
+    path: '/user-management',
+    icon: UserCog,
+    permission: PERMISSIONS.USERS_MANAGE
+  },
 
+  {
+    name: 'Requests',
+    scopedName: 'My Requests',
+    path: '/requests',
+    icon: FileText,
+    permission: PERMISSIONS.REQUESTS_VIEW
+  },
 
+  {
+    name: 'Team Workload',
+    path: '/requests/workload',
+    icon: Users,
+    permission: PERMISSIONS.REQUESTS_ASSIGN
+  },
 
+  {
+    name: 'Organization Profile',
+    path: '/organization-profile',
+    icon: Building,
+    permission: PERMISSIONS.ORGANIZATIONS_PROFILE_VIEW,
+    hiddenWith: PERMISSIONS.ORGANIZATIONS_MANAGE
+  },
 
-  
+  {
+    name: 'Reports',
+    path: '/reports',
+    icon: BarChart,
+    children: [
+      {
+        name: 'Request Reports',
+        path: '/reports/requests',
+        icon: FileSearch,
+        permission: PERMISSIONS.REPORTS_REQUESTS_VIEW
+      },
+      {
+        name: 'Performance Reports',
+        path: '/reports/performance',
+        icon: PieChart,
+        permission: PERMISSIONS.REPORTS_PERFORMANCE_VIEW
+      },
+      {
+        name: 'Organization Reports',
+        path: '/reports/organizations',
+        icon: Building,
+        permission: PERMISSIONS.REPORTS_ORGANIZATIONS_VIEW
+      }
+    ]
+  },
+
+  {
+    name: 'Settings',
+    path: '/settings',
+    icon: Settings,
+    children: [
+      {
+        name: 'Request Workflow',
+        path: '/settings/workflow',
+        icon: List,
+        permission: PERMISSIONS.SETTINGS_WORKFLOW_MANAGE
+      },
+      {
+        name: 'Service Levels',
+        path: '/settings/sla',
+        icon: Clock,
+        permission: PERMISSIONS.SETTINGS_SLA_MANAGE
+      },
+      {
+        name: 'Assignment Rules',
+        path: '/settings/assignment',
+        icon: CheckSquare,
+        permission: PERMISSIONS.SETTINGS_ASSIGNMENT_MANAGE
+      },
+      {
+        name: 'Audit Trail',
+        path: '/settings/audit',
+        icon: FileSearch,
+        permission: PERMISSIONS.AUDIT_VIEW
+      },
+      {
+        name: 'Security',
+        path: '/settings/security',
+        icon: Shield,
+        permission: PERMISSIONS.SETTINGS_SECURITY_MANAGE
+      },
+      {
+        name: 'Permissions',
+        path: '/settings/permissions',
+        icon: Key,
+        permission: PERMISSIONS.SETTINGS_PERMISSIONS_MANAGE
+      },
+      {
+        name: 'Documents',
+        path: '/settings/documents',
+        icon: Stamp,
+        permission: PERMISSIONS.SETTINGS_DOCUMENTS_MANAGE
+      },
+      {
+        name: 'Retention',
+        path: '/settings/retention',
+        icon: Archive,
+        permission: PERMISSIONS.SETTINGS_RETENTION_MANAGE
+      }
+    ]
+  },
+
+  {
+    name: 'Contact Support',
+    path: '/contact',
+    icon: MessageSquare,
+    permission: PERMISSIONS.SUPPORT_CONTACT,
+    hiddenWith: PERMISSIONS.USERS_MANAGE
+  }
+];
@@ -14,6 +14,8 @@ import {
 } from 'lucide-react';
 import { supabase } from '../../config/supabase';
 import { useAuth } from '../../hooks/useAuth';
+import { createOrganization, updateOrganization } from '../../services/organizationService';
+import PdfPasswordPanel from '../organizations/PdfPasswordPanel';
 
 // Modal component
 const Modal = ({ isOpen, onClose, title, children, maxWidth = 'max-w-4xl' }) => {
@@ -95,7 +97,8 @@ const ModalOrganizationDetail = ({ isOpen, onClose, organizationId, onSuccess })
     phone2: '',
     email: '',
     address: '',
-    is_active: true
+    is_active: true,
+    pdf_password_required: false
   });
   
   const [loading, setLoading] = useState(!isNewOrg);
@@ -117,7 +120,8 @@ const ModalOrganizationDetail = ({ isOpen, onClose, organizationId, onSuccess })
         phone2: '',
         email: '',
         address: '',
-        is_active: true
+        is_active: true,
+        pdf_password_required: false
       });
       setLoading(false);
     }
@@ -193,18 +197,13 @@ const ModalOrganizationDetail = ({ isOpen, onClose, organizationId, onSuccess })
         phone2: formData.phone2,
         email: formData.email,
         address: formData.address,
-        is_active: formData.is_active
+        is_active: formData.is_active,
+        pdf_password_required: Boolean(formData.pdf_password_required)
       };
       
       if (isNewOrg) {
         // Create new organization
-        const { data, error } = await supabase
-          .from('v4_organizations')
-          .insert([submissionData])
-          .select()
-          .single();
-          
-        if (error) throw error;
+        const data = await createOrganization(submissionData);
         
         if (onSuccess) {
           onSuccess(data);
@@ -213,12 +212,7 @@ const ModalOrganizationDetail = ({ isOpen, onClose, organizationId, onSuccess })
         onClose();
       } else {
         // Update existing organization
-        const { error } = await supabase
-          .from('v4_organizations')
-          .update(submissionData)
-          .eq('id', organizationId);
-          
-        if (error) throw error;
+        await updateOrganization(organizationId, submissionData);
         
         if (onSuccess) {
           onSuccess();
@@ -360,6 +354,21 @@ const ModalOrganizationDetail = ({ isOpen, onClose, organizationId, onSuccess })
                   Active
                 </label>
               </div>
+              
+              {/* PDF open password */}
+              <div className="flex items-center">
+                <input
+                  type="checkbox"
+                  id="pdf_password_required"
+                  name="pdf_password_required"
+                  checked={Boolean(formData.pdf_password_required)}
+                  onChange={handleChange}
+                  className="h-4 w-4 text-black focus:ring-black rounded border-gray-300"
+                />
+                <label htmlFor="pdf_password_required" className="ml-2 block text-sm text-gray-700 dark:text-gray-300">
+                  Require an open password on response PDFs
+                </label>
+              </div>
             </div>
             
             {/* Organization Stats (only for existing organizations) */}
@@ -382,6 +391,12 @@ const ModalOrganizationDetail = ({ isOpen, onClose, organizationId, onSuccess })
                 </div>
               </div>
             )}
+            
+            {!isNewOrg && formData.pdf_password_required && (
+              <div className="mt-4">
+                <PdfPasswordPanel organizationId={organizationId} />
+              </div>
+            )}
           </div>
           
           <div className="p-6 border-t border-gray-200 dark:border-gray-700 flex justify-end">
@@ -14,7 +14,10 @@ import {
   MinusCircle
 } from 'lucide-react';
 import { supabase } from '../../config/supabase';
+import { USER_COLUMNS } from '../../services/userService';
 import { useAuth } from '../../hooks/useAuth';
+import { logAuditEvent } from '../../services/auditService';
+import { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES } from '../../config/audit';
 
 const Modal = ({ isOpen, onClose, title, children, maxWidth = 'max-w-4xl' }) => {
   // Handle escape key press
@@ -116,7 +119,7 @@ const ModalOrganizationUsers = ({ isOpen, onClose, organizationId }) => {
         // Fetch all users with organization role
         const { data: allUsersData, error: usersError } = await supabase
           .from('users')
-          .select('*')
+          .select(USER_COLUMNS)
           .eq('user_role_v4', 'organization');
           
         if (usersError) throw usersError;
@@ -210,6 +213,13 @@ const ModalOrganizationUsers = ({ isOpen, onClose, organizationId }) => {
           
         if (deleteError) throw deleteError;
         
+        await logAuditEvent({
+          action: AUDIT_ACTIONS.ORGANIZATION_USER_REMOVED,
+          entityType: AUDIT_ENTITY_TYPES.ORGANIZATION,
+          entityId: organizationId,
+          metadata: { user_id: userId }
+        });
+        
         // Update local state
         setOrgUsers(prevUsers => 
           prevUsers.map(user => 
@@ -244,6 +254,13 @@ const ModalOrganizationUsers = ({ isOpen, onClose, organizationId }) => {
           
         if (insertError) throw insertError;
         
+        await logAuditEvent({
+          action: AUDIT_ACTIONS.ORGANIZATION_USER_ADDED,
+          entityType: AUDIT_ENTITY_TYPES.ORGANIZATION,
+          entityId: organizationId,
+          metadata: { user_id: userId, is_primary: isPrimary }
+        });
+        
         // Update local state
         setOrgUsers(prevUsers => 
           prevUsers.map(user => 
@@ -301,6 +318,13 @@ const ModalOrganizationUsers = ({ isOpen, onClose, organizationId }) => {
         
       if (setPrimaryError) throw setPrimaryError;
       
+      await logAuditEvent({
+        action: AUDIT_ACTIONS.ORGANIZATION_PRIMARY_SET,
+        entityType: AUDIT_ENTITY_TYPES.ORGANIZATION,
+        entityId: organizationId,
+        metadata: { user_id: userId }
+      });
+      
       // Update local state
       setOrgUsers(prevUsers => 
         prevUsers.map(user => ({
@@ -3,6 +3,8 @@ import { motion, AnimatePresence } from 'framer-motion';
 import { X, Loader2, AlertCircle } from 'lucide-react';
 import { supabase } from '../../config/supabase';
 import { useAuth } from '../../hooks/useAuth';
+import usePermission from '../../hooks/usePermission';
+import { PERMISSIONS } from '../../config/permissions';
 import RequestDetails from '../requests/RequestDetails';
 
 const Modal = ({ isOpen, onClose, title, children, maxWidth = 'max-w-4xl' }) => {
@@ -75,6 +77,7 @@ const Modal = ({ isOpen, onClose, title, children, maxWidth = 'max-w-4xl' }) =>
 
 const ModalRequestDetail = ({ isOpen, onClose, requestId, onUpdate }) => {
   const { user } = useAuth();
+  const { can } = usePermission();
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [request, setRequest] = useState(null);
@@ -114,18 +117,11 @@ const ModalRequestDetail = ({ isOpen, onClose, requestId, onUpdate }) => {
     fetchRequest();
   }, [isOpen, requestId]);
   
-  // Role-based editing permissions
+  // Permission-based editing
   const canEditRequest = (request, user) => {
     if (!user || !request) return false;
-    
-    // Administrators can edit any request
-    if (user.role === 'administrator') return true;
-    
-    // Regular users can only edit requests they created
-    if (user.role === 'user' && request.created_by === user.id) return true;
-    
-    // Organization users cannot edit requests
-    return false;
+    return can(PERMISSIONS.REQUESTS_EDIT) ||
+      (can(PERMISSIONS.REQUESTS_EDIT_OWN) && request.created_by === user.id);
   };
 
   return (
@@ -3,7 +3,10 @@ import { motion, AnimatePresence } from 'framer-motion';
 import { X, Loader2, AlertCircle } from 'lucide-react';
 import { supabase } from '../../config/supabase';
 import { useAuth } from '../../hooks/useAuth';
+import { createRequest } from '../../services/requestService';
+import { uploadRequestFile } from '../../services/fileService';
 import RequestForm from '../requests/RequestForm';
+import useAssignment from '../../hooks/useAssignment';
 
 const Modal = ({ isOpen, onClose, title, children, maxWidth = 'max-w-4xl' }) => {
   // Handle click outside modal
@@ -91,30 +94,32 @@ const createNotification = async (userId, title, message, relatedRequestId) => {
 
 const ModalRequestForm = ({ isOpen, onClose, onSuccess }) => {
   const { user } = useAuth();
+  const { autoAssign } = useAssignment();
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
   // Handle form submission
-  const handleSubmit = async (requestData) => {
+  const handleSubmit = async (requestData, { letterFile } = {}) => {
     try {
       setLoading(true);
       setError(null);
       
       // Insert new request
-      const { data, error } = await supabase
-        .from('v4_requests')
-        .insert([
-          {
-            ...requestData,
-            created_by: user.id
-          }
-        ])
-        .select();
-        
-      if (error) throw error;
+      const data = await createRequest({
+        ...requestData,
+        created_by: user.id
+      });
+      
+      await autoAssign(data);
+      
+      // Keep the scanned letter the form was filled from with the request
+      if (letterFile) {
+        await uploadRequestFile(letterFile, data.id, false, user.id)
+          .catch(error => console.error('Error attaching letter:', error));
+      }
       
       // Send notifications to organization users
-      const newRequestId = data[0].id;
+      const newRequestId = data.id;
       const orgId = requestData.sender;
       const refNum = requestData.reference_number;
       
@@ -142,7 +147,7 @@ const ModalRequestForm = ({ isOpen, onClose, onSuccess }) => {
       
       // Call success callback
       if (onSuccess) {
-        onSuccess(data[0]);
+        onSuccess(data);
       }
       
       // Close modal
@@ -0,0 +1,145 @@
+import { useState, useEffect } from 'react';
+import { format } from 'date-fns';
+import { KeyRound, RefreshCw, Loader2, Copy, Check } from 'lucide-react';
+import {
+  fetchPdfPasswordVersions,
+  revealPdfPassword,
+  rotatePdfPassword
+} from '../../services/pdfSecurityService';
+
+/**
+ * Open password of an organization's response PDFs, with reveal and rotation
+ * @param {string} organizationId - Organization ID
+ */
+const PdfPasswordPanel = ({ organizationId }) => {
+  const [versions, setVersions] = useState([]);
+  const [password, setPassword] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadVersions = async () => {
+    try {
+      setLoading(true);
+      setVersions(await fetchPdfPasswordVersions(organizationId));
+    } catch (error) {
+      setError('Failed to load the PDF passwords.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    setPassword(null);
+    loadVersions();
+  }, [organizationId]);
+
+  const handleReveal = async () => {
+    try {
+      setWorking(true);
+      setError('');
+      const result = await revealPdfPassword({ organizationId });
+      setPassword(result.password);
+      // The first reveal creates the first password
+      if (versions.length === 0) await loadVersions();
+    } catch (error) {
+      setError('Failed to show the password.');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleRotate = async () => {
+    if (!window.confirm('Create a new password? PDFs protected before keep their current password.')) return;
+
+    try {
+      setWorking(true);
+      setError('');
+      await rotatePdfPassword(organizationId);
+      setPassword(null);
+      await loadVersions();
+    } catch (error) {
+      setError('Failed to rotate the password.');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(password);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.error('Error copying password:', error);
+    }
+  };
+
+  const current = versions.find(version => !version.retired_at);
+
+  return (
+    <div className="bg-gray-50 dark:bg-gray-700/30 rounded-lg p-4">
+      <div className="flex items-center justify-between gap-2 mb-2">
+        <div className="flex items-center text-sm font-medium text-gray-500 dark:text-gray-400">
+          <KeyRound className="w-4 h-4 mr-1" />
+          <span>PDF Open Password</span>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            type="button"
+            onClick={handleReveal}
+            disabled={working || loading}
+            className="px-2 py-1 text-xs rounded border border-gray-300 dark:border-gray-600 text-gray-700
+                     dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-50"
+          >
+            Show
+          </button>
+          <button
+            type="button"
+            onClick={handleRotate}
+            disabled={working || loading}
+            className="flex items-center px-2 py-1 text-xs rounded border border-gray-300 dark:border-gray-600 text-gray-700
+                     dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-50"
+          >
+            <RefreshCw className="w-3 h-3 mr-1" />
+            Rotate
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <Loader2 className="w-4 h-4 animate-spin text-gray-400" />
+      ) : (
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          {current
+            ? `Version ${current.version}, created ${format(new Date(current.created_at), 'MMM d, yyyy')}`
+            : 'No password yet; one is created for the first protected PDF.'}
+          {versions.length > 1 && ` • ${versions.length - 1} retired`}
+        </p>
+      )}
+
+      {password && (
+        <div className="mt-2 flex items-center gap-2">
+          <code className="px-2 py-1 rounded bg-white dark:bg-gray-900 text-sm text-gray-900 dark:text-white">
+            {password}
+          </code>
+          <button
+            type="button"
+            onClick={handleCopy}
+            title="Copy"
+            className="p-1 rounded text-gray-500 hover:text-gray-700 dark:hover:text-gray-300"
+          >
+            {copied ? <Check className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
+          </button>
+        </div>
+      )}
+
+      {error && (
+        <p className="mt-2 text-xs text-red-600 dark:text-red-400">{error}</p>
+      )}
+    </div>
+  );
+};
+
+export default PdfPasswordPanel;
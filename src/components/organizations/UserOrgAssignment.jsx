@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { Loader2, Plus, Trash2, Check, Star, StarOff } from 'lucide-react';
 import { supabase } from '../../config/supabase';
+import { logAuditEvent } from '../../services/auditService';
+import { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES } from '../../config/audit';
 
 const UserOrgAssignment = ({ user, organizations, onRefresh }) => {
   const [userOrgs, setUserOrgs] = useState([]);
@@ -69,6 +71,13 @@ const UserOrgAssignment = ({ user, organizations, onRefresh }) => {
 
       if (error) throw error;
       
+      await logAuditEvent({
+        action: AUDIT_ACTIONS.ORGANIZATION_USER_ADDED,
+        entityType: AUDIT_ENTITY_TYPES.ORGANIZATION,
+        entityId: selectedOrg,
+        metadata: { user_id: user.id, is_primary: isPrimary }
+      });
+      
       // Refresh the list
       await fetchUserOrganizations();
       if (onRefresh) onRefresh();
@@ -94,6 +103,13 @@ const UserOrgAssignment = ({ user, organizations, onRefresh }) => {
 
       if (error) throw error;
       
+      await logAuditEvent({
+        action: AUDIT_ACTIONS.ORGANIZATION_USER_REMOVED,
+        entityType: AUDIT_ENTITY_TYPES.ORGANIZATION,
+        entityId: userOrgs.find(org => org.id === assignmentId)?.organization_id,
+        metadata: { user_id: user.id }
+      });
+      
       // Refresh the list
       await fetchUserOrganizations();
       if (onRefresh) onRefresh();
@@ -129,6 +145,13 @@ const UserOrgAssignment = ({ user, organizations, onRefresh }) => {
         
       if (updateError) throw updateError;
       
+      await logAuditEvent({
+        action: AUDIT_ACTIONS.ORGANIZATION_PRIMARY_SET,
+        entityType: AUDIT_ENTITY_TYPES.ORGANIZATION,
+        entityId: userOrgs.find(org => org.id === assignmentId)?.organization_id,
+        metadata: { user_id: user.id }
+      });
+      
       // Refresh the list
       await fetchUserOrganizations();
       if (onRefresh) onRefresh();
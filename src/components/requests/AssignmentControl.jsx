@@ -0,0 +1,144 @@
+import React, { useState, useEffect } from 'react';
+import { UserCheck, Loader2, Check, X, Edit2 } from 'lucide-react';
+import { useAuth } from '../../hooks/useAuth';
+import usePermission from '../../hooks/usePermission';
+import useAssignment from '../../hooks/useAssignment';
+import { PERMISSIONS } from '../../config/permissions';
+import { assignRequest } from '../../services/requestService';
+import { fetchProcessors } from '../../services/assignmentService';
+
+/**
+ * Shows who a request is assigned to and lets the user change it
+ * @param {Object} request - Request with assigned_to and assigned_to_user
+ * @param {Function} onAssigned - Called with the updated request
+ */
+const AssignmentControl = ({ request, onAssigned }) => {
+  const { user } = useAuth();
+  const { can } = usePermission();
+  const { processorRoles, openStatuses } = useAssignment();
+  const [processors, setProcessors] = useState([]);
+  const [editing, setEditing] = useState(false);
+  const [assigneeId, setAssigneeId] = useState(request.assigned_to || '');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const canAssign = can(PERMISSIONS.REQUESTS_ASSIGN);
+  const canClaim = openStatuses.includes(request.status) && !request.assigned_to && can(PERMISSIONS.REQUESTS_PROCESS);
+
+  useEffect(() => {
+    if (!canAssign) return;
+
+    fetchProcessors(processorRoles)
+      .then(setProcessors)
+      .catch(() => setError('Failed to load processors.'));
+  }, [canAssign, processorRoles]);
+
+  useEffect(() => {
+    setAssigneeId(request.assigned_to || '');
+  }, [request.assigned_to]);
+
+  const saveAssignment = async (userId, assignee, onlyIfUnassigned = false) => {
+    try {
+      setSaving(true);
+      setError('');
+
+      const updated = await assignRequest(request.id, userId, user.id, { onlyIfUnassigned });
+      if (!updated) {
+        setError('Someone else has just taken this request.');
+        return;
+      }
+
+      onAssigned?.({
+        ...updated,
+        assigned_to_user: assignee ? { full_name: assignee.full_name, username: assignee.username } : null
+      });
+      setEditing(false);
+    } catch (error) {
+      setError(error.message || 'Failed to assign request');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSave = () => {
+    const assignee = processors.find(processor => processor.id === assigneeId);
+    saveAssignment(assigneeId || null, assignee);
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mt-1">
+      <UserCheck className="h-4 w-4 text-gray-500 dark:text-gray-400" />
+      {editing ? (
+        <>
+          <select
+            value={assigneeId}
+            onChange={(e) => setAssigneeId(e.target.value)}
+            className="px-2 py-1 rounded border border-gray-200 dark:border-gray-700
+                     bg-white dark:bg-gray-900 text-gray-900 dark:text-white text-xs
+                     focus:outline-none focus:ring-1 focus:ring-black dark:focus:ring-white"
+          >
+            <option value="">Unassigned</option>
+            {processors.map(processor => (
+              <option key={processor.id} value={processor.id}>
+                {processor.full_name || processor.username}
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className="p-1 bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-200 rounded-full"
+            title="Save assignment"
+          >
+            {saving ? <Loader2 className="h-4 w-4 animate-spin" /> : <Check className="h-4 w-4" />}
+          </button>
+          <button
+            onClick={() => {
+              setEditing(false);
+              setAssigneeId(request.assigned_to || '');
+            }}
+            className="p-1 bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200 rounded-full"
+            title="Cancel"
+          >
+            <X className="h-4 w-4" />
+          </button>
+        </>
+      ) : (
+        <>
+          <span className="text-sm text-gray-500 dark:text-gray-400">
+            Assigned to: {request.assigned_to
+              ? request.assigned_to_user?.full_name || 'Unknown'
+              : 'Nobody'}
+          </span>
+          {canAssign && (
+            <button
+              onClick={() => setEditing(true)}
+              className="p-1 text-gray-500 dark:text-gray-400 hover:text-gray-700
+                       dark:hover:text-gray-200 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700"
+              title={request.assigned_to ? 'Reassign' : 'Assign'}
+            >
+              <Edit2 className="h-3 w-3" />
+            </button>
+          )}
+          {canClaim && (
+            <button
+              onClick={() => saveAssignment(user.id, user, true)}
+              disabled={saving}
+              className="flex items-center px-2 py-0.5 text-xs border border-gray-300 dark:border-gray-600
+                       text-gray-700 dark:text-gray-300 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700
+                       transition-colors disabled:opacity-50"
+            >
+              {saving && <Loader2 className="h-3 w-3 mr-1 animate-spin" />}
+              Assign to me
+            </button>
+          )}
+        </>
+      )}
+      {error && (
+        <span className="text-xs text-red-600 dark:text-red-400">{error}</span>
+      )}
+    </div>
+  );
+};
+
+export default AssignmentControl;
@@ -0,0 +1,138 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Copy, Check, Search, AlertTriangle, Loader2 } from 'lucide-react';
+import { getFileText } from '../../services/fileService';
+import { OCR_LOW_CONFIDENCE, TEXT_SOURCES } from '../../config/ocr';
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Extracted text of a document, with copy and find
+ * The text is loaded when the panel opens, as OCR may finish after the
+ * file list was loaded.
+ * @param {string} fileId - The ID of the file record
+ */
+const DocumentTextPanel = ({ fileId }) => {
+  const [fileText, setFileText] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [term, setTerm] = useState('');
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    setLoading(true);
+    setError('');
+    getFileText(fileId)
+      .then(setFileText)
+      .catch(() => setError('Failed to load the document text.'))
+      .finally(() => setLoading(false));
+  }, [fileId]);
+
+  const text = fileText?.extracted_text || '';
+  const source = fileText?.text_source;
+  const confidence = fileText?.ocr_confidence;
+
+  // Split on the search term; odd parts are matches
+  const parts = useMemo(() => {
+    const trimmed = term.trim();
+    if (!text || !trimmed) return [text];
+    return text.split(new RegExp(`(${escapeRegExp(trimmed)})`, 'gi'));
+  }, [text, term]);
+
+  const matchCount = Math.floor(parts.length / 2);
+  const isOcr = source === TEXT_SOURCES.OCR;
+  const hasConfidence = isOcr && confidence !== null && confidence !== undefined;
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.error('Error copying text:', error);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center p-6">
+        <Loader2 className="h-6 w-6 animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="p-4 text-sm text-red-600 dark:text-red-400">
+        {error}
+      </div>
+    );
+  }
+
+  if (!text) {
+    return (
+      <div className="p-4 text-sm text-gray-500 dark:text-gray-400">
+        No text has been extracted from this document.
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex flex-col h-full">
+      <div className="p-3 border-b border-gray-200 dark:border-gray-700 space-y-2">
+        <div className="flex items-center justify-between gap-2">
+          <span className="text-xs text-gray-500 dark:text-gray-400">
+            {isOcr ? 'Read with OCR' : 'Text of the document'}
+            {hasConfidence && ` • ${Math.round(confidence)}% confidence`}
+          </span>
+          <button
+            onClick={handleCopy}
+            className="flex items-center px-2 py-1 text-xs rounded border border-gray-300 dark:border-gray-600
+                     text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+          >
+            {copied ? <Check className="h-3 w-3 mr-1" /> : <Copy className="h-3 w-3 mr-1" />}
+            {copied ? 'Copied' : 'Copy'}
+          </button>
+        </div>
+
+        {hasConfidence && confidence < OCR_LOW_CONFIDENCE && (
+          <p className="flex items-start text-xs text-orange-700 dark:text-orange-300">
+            <AlertTriangle className="h-3 w-3 mr-1 mt-0.5 flex-shrink-0" />
+            The scan was hard to read; check the text against the document.
+          </p>
+        )}
+
+        <div className="relative">
+          <Search className="absolute left-2 top-1/2 -translate-y-1/2 h-3 w-3 text-gray-400" />
+          <input
+            type="search"
+            value={term}
+            onChange={(e) => setTerm(e.target.value)}
+            placeholder="Find in text..."
+            className="w-full pl-7 pr-2 py-1 rounded border border-gray-200 dark:border-gray-700
+                     bg-white dark:bg-gray-900 text-sm text-gray-900 dark:text-white
+                     focus:outline-none focus:ring-1 focus:ring-black dark:focus:ring-white"
+          />
+        </div>
+        {term.trim() && (
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            {matchCount} {matchCount === 1 ? 'match' : 'matches'}
+          </p>
+        )}
+      </div>
+
+      <div className="flex-1 overflow-auto p-3">
+        <p className="text-sm text-gray-800 dark:text-gray-200 whitespace-pre-wrap break-words">
+          {parts.map((part, index) => index % 2 === 1 ? (
+            <mark key={index} className="bg-yellow-100 dark:bg-yellow-900/40 text-gray-900 dark:text-white rounded">
+              {part}
+            </mark>
+          ) : (
+            <span key={index}>{part}</span>
+          ))}
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default DocumentTextPanel;
@@ -1,23 +1,56 @@
 import React, { useState, useEffect } from 'react';
-import { Loader2, X, ChevronLeft, ChevronRight, Download, Lock } from 'lucide-react';
+import { Loader2, X, Download, ScanText, ShieldAlert } from 'lucide-react';
 import { supabase } from '../../config/supabase';
+import DocumentTextPanel from './DocumentTextPanel';
+import PdfRenderer from './PdfRenderer';
+import { downloadFile, fetchFileForPrint, recordFilePrinted } from '../../services/fileService';
+import { fetchFileScan, releaseQuarantinedFile, isQuarantined, isScanBlocked } from '../../services/scanService';
+import { SCAN_STATUSES } from '../../config/scanning';
+import usePermission from '../../hooks/usePermission';
+import { PERMISSIONS } from '../../config/permissions';
 
-const DocumentViewer = ({ filePath, fileName, fileType, isSecured, onClose }) => {
+const DocumentViewer = ({
+  filePath,
+  fileName,
+  fileType,
+  isSecured,
+  fileId,
+  onClose,
+  onReleased
+}) => {
+  const { can } = usePermission();
   const [loading, setLoading] = useState(true);
+  const [showText, setShowText] = useState(false);
   const [fileUrl, setFileUrl] = useState(null);
   const [error, setError] = useState(null);
-  const [currentPage, setCurrentPage] = useState(1);
-  const [totalPages, setTotalPages] = useState(1);
+  const [storagePath, setStoragePath] = useState(filePath);
+  const [quarantine, setQuarantine] = useState(null);
+  const [releasing, setReleasing] = useState(false);
+  const [released, setReleased] = useState(false);
   
   useEffect(() => {
     const fetchFile = async () => {
       try {
         setLoading(true);
+        setError(null);
+        
+        // The list the viewer was opened from may predate the upload scan,
+        // so the scan result and the current path are looked up here
+        let path = filePath;
+        if (fileId) {
+          const scan = await fetchFileScan(fileId);
+          if (isScanBlocked(scan)) {
+            setQuarantine(scan);
+            return;
+          }
+          path = scan.file_path;
+          setStoragePath(path);
+        }
         
         // Get file from Supabase storage
         const { data, error } = await supabase.storage
           .from('request-files')
-          .download(filePath);
+          .download(path);
           
         if (error) throw error;
         
@@ -38,47 +71,42 @@ const DocumentViewer = ({ filePath, fileName, fileType, isSecured, onClose }) =>
     };
 
     fetchFile();
-  }, [filePath]);
+  }, [filePath, fileId, released]);
 
-  // Handle PDF page navigation
-  const handlePrevPage = () => {
-    if (currentPage > 1) {
-      setCurrentPage(currentPage - 1);
+  // Download file; response PDFs are watermarked like any other download
+  const handleDownload = async () => {
+    try {
+      await downloadFile(storagePath, fileName, fileId);
+    } catch (err) {
+      console.error('Error downloading file:', err);
+      setError('Failed to download the file. Please try again.');
     }
   };
 
-  const handleNextPage = () => {
-    if (currentPage < totalPages) {
-      setCurrentPage(currentPage + 1);
-    }
-  };
+  // Printed copies are watermarked and audited like downloads
+  const handlePreparePrint = () => (fileId ? fetchFileForPrint(storagePath, fileId) : null);
 
-  // Handle iframe load event for PDFs to get total pages
-  const handleIframeLoad = () => {
-    if (fileType === 'application/pdf') {
-      // Try to get total pages through iframe messaging (if possible)
-      const iframe = document.querySelector('#pdf-viewer');
-      if (iframe && iframe.contentWindow) {
-        // This is a simplified approach - actual page count detection would require PDF.js integration
-        // or similar, which is beyond this example's scope
-        setTotalPages(1);
-      }
+  const handlePrinted = async (copy) => {
+    if (!fileId) return;
+    try {
+      await recordFilePrinted(fileId, fileName, copy?.watermarkId || null);
+    } catch (err) {
+      // The document was printed; only the audit entry is missing
     }
   };
 
-  // Download file
-  const handleDownload = async () => {
+  // Release a file held by the scan after review; the viewer then loads it
+  const handleRelease = async () => {
     try {
-      // Create a link and click it
-      const a = document.createElement('a');
-      a.href = fileUrl;
-      a.download = fileName;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
+      setReleasing(true);
+      const { filePath: releasedPath } = await releaseQuarantinedFile(fileId);
+      setQuarantine(null);
+      setReleased(true);
+      if (onReleased) onReleased(fileId, releasedPath);
     } catch (err) {
-      console.error('Error downloading file:', err);
-      setError('Failed to download the file. Please try again.');
+      setError(err.message || 'Failed to release the file.');
+    } finally {
+      setReleasing(false);
     }
   };
 
@@ -93,6 +121,46 @@ const DocumentViewer = ({ filePath, fileName, fileType, isSecured, onClose }) =>
       );
     }
 
+    if (quarantine) {
+      return (
+        <div className="flex flex-col items-center justify-center h-96">
+          <div className="bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-200 p-4 rounded-lg max-w-md">
+            <div className="flex items-center font-medium mb-2">
+              <ShieldAlert className="h-5 w-5 mr-2" />
+              {isQuarantined(quarantine)
+                ? 'This file is quarantined'
+                : quarantine.scan_status === SCAN_STATUSES.FAILED
+                  ? 'This file could not be scanned'
+                  : 'This file is waiting for its scan'}
+            </div>
+            <p className="text-sm mb-2">
+              {quarantine.scan_status === SCAN_STATUSES.PENDING
+                ? 'It cannot be viewed or downloaded until the upload scan has checked it. Try again in a minute.'
+                : isQuarantined(quarantine)
+                  ? 'It was flagged when it was uploaded and cannot be viewed or downloaded until an administrator releases it.'
+                  : 'It cannot be viewed or downloaded until it is scanned again or an administrator releases it.'}
+            </p>
+            <ul className="text-sm list-disc pl-5 space-y-1">
+              {(quarantine.scan_findings || []).map((finding, index) => (
+                <li key={index}>{finding.reason}</li>
+              ))}
+            </ul>
+            {error && <p className="text-sm mt-2">{error}</p>}
+            {can(PERMISSIONS.FILES_QUARANTINE_MANAGE) && quarantine.scan_status !== SCAN_STATUSES.PENDING && (
+              <button
+                onClick={handleRelease}
+                disabled={releasing}
+                className="mt-4 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors disabled:opacity-50 flex items-center"
+              >
+                {releasing && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                Release File
+              </button>
+            )}
+          </div>
+        </div>
+      );
+    }
+
     if (error) {
       return (
         <div className="flex flex-col items-center justify-center h-96">
@@ -111,52 +179,13 @@ const DocumentViewer = ({ filePath, fileName, fileType, isSecured, onClose }) =>
 
     if (fileType === 'application/pdf') {
       return (
-        <div className="flex flex-col h-full">
-          <div className="bg-gray-100 dark:bg-gray-700 p-2 flex justify-between items-center">
-            <div className="flex items-center">
-              <button
-                onClick={handlePrevPage}
-                disabled={currentPage <= 1}
-                className="p-1 rounded-full hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-50"
-              >
-                <ChevronLeft className="h-5 w-5" />
-              </button>
-              <span className="mx-2 text-sm">
-                Page {currentPage} of {totalPages}
-              </span>
-              <button
-                onClick={handleNextPage}
-                disabled={currentPage >= totalPages}
-                className="p-1 rounded-full hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-50"
-              >
-                <ChevronRight className="h-5 w-5" />
-              </button>
-            </div>
-            <div className="flex items-center">
-              {isSecured && (
-                <div className="flex items-center mr-3 px-2 py-1 bg-blue-100 dark:bg-blue-900/30 text-blue-800 dark:text-blue-200 rounded-full text-xs">
-                  <Lock className="h-3 w-3 mr-1" />
-                  Secured
-                </div>
-              )}
-              <button
-                onClick={handleDownload}
-                className="flex items-center p-1 rounded-full hover:bg-gray-200 dark:hover:bg-gray-600"
-              >
-                <Download className="h-5 w-5" />
-              </button>
-            </div>
-          </div>
-          <div className="flex-1 bg-gray-200 dark:bg-gray-800 overflow-auto">
-            <iframe
-              id="pdf-viewer"
-              src={`${fileUrl}#page=${currentPage}`}
-              className="w-full h-full border-0"
-              onLoad={handleIframeLoad}
-              title="PDF Viewer"
-            />
-          </div>
-        </div>
+        <PdfRenderer
+          fileUrl={fileUrl}
+          isSecured={isSecured}
+          onDownload={handleDownload}
+          onPreparePrint={handlePreparePrint}
+          onPrint={handlePrinted}
+        />
       );
     } else if (fileType.startsWith('image/')) {
       return (
@@ -210,15 +239,38 @@ const DocumentViewer = ({ filePath, fileName, fileType, isSecured, onClose }) =>
           <h2 className="text-xl font-semibold text-gray-900 dark:text-white truncate">
             {fileName}
           </h2>
-          <button
-            onClick={onClose}
-            className="p-1 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700"
-          >
-            <X className="h-6 w-6" />
-          </button>
+          <div className="flex items-center gap-2">
+            {fileId && (
+              <button
+                onClick={() => setShowText(prev => !prev)}
+                className={`flex items-center px-3 py-1 rounded-lg text-sm transition-colors ${
+                  showText
+                    ? 'bg-black text-white dark:bg-white dark:text-black'
+                    : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+                }`}
+                title="Show the text of the document"
+              >
+                <ScanText className="h-4 w-4 mr-1" />
+                Text
+              </button>
+            )}
+            <button
+              onClick={onClose}
+              className="p-1 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700"
+            >
+              <X className="h-6 w-6" />
+            </button>
+          </div>
         </div>
-        <div className="flex-1 overflow-hidden">
-          {renderContent()}
+        <div className="flex-1 flex overflow-hidden">
+          <div className="flex-1 min-w-0 overflow-hidden">
+            {renderContent()}
+          </div>
+          {showText && (
+            <div className="w-80 flex-shrink-0 border-l border-gray-200 dark:border-gray-700">
+              <DocumentTextPanel fileId={fileId} />
+            </div>
+          )}
         </div>
       </div>
     </div>
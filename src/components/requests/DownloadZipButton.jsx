@@ -0,0 +1,54 @@
+import React, { useState } from 'react';
+import { Archive, Loader2 } from 'lucide-react';
+import { useAuth } from '../../hooks/useAuth';
+import usePermission from '../../hooks/usePermission';
+import { PERMISSIONS } from '../../config/permissions';
+import { downloadRequestsZip } from '../../services/fileService';
+
+/**
+ * Downloads the documents of one or more requests as a single ZIP, showing
+ * progress while the archive is assembled
+ * @param {Array<string>} requestIds - The requests to include
+ * @param {string} label - Button text
+ * @param {Function} onComplete - Called with the number of files after a download
+ */
+const DownloadZipButton = ({ requestIds, label = 'Download All', onComplete }) => {
+  const { user } = useAuth();
+  const { can } = usePermission();
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState('');
+
+  const handleDownload = async () => {
+    try {
+      setProgress({ done: 0, total: 0 });
+      setError('');
+      const { fileCount, saved } = await downloadRequestsZip(requestIds, {
+        userId: user.id,
+        canViewAll: can(PERMISSIONS.REQUESTS_VIEW_ALL),
+        onProgress: (done, total) => setProgress({ done, total })
+      });
+      if (saved && onComplete) onComplete(fileCount);
+    } catch (err) {
+      setError(err.message || 'Failed to download the documents');
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  return (
+    <button
+      onClick={handleDownload}
+      disabled={progress !== null || requestIds.length === 0}
+      title={error || 'Download the documents as one ZIP file'}
+      className={`flex items-center px-3 py-1 bg-gray-100 dark:bg-gray-700 rounded-lg
+               hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors text-sm disabled:opacity-50 ${
+                 error ? 'text-red-600 dark:text-red-400' : 'text-gray-700 dark:text-gray-300'
+               }`}
+    >
+      {progress ? <Loader2 className="h-4 w-4 mr-1 animate-spin" /> : <Archive className="h-4 w-4 mr-1" />}
+      {progress?.total ? `Zipping ${progress.done} of ${progress.total}` : label}
+    </button>
+  );
+};
+
+export default DownloadZipButton;
@@ -1,20 +1,57 @@
-import React, { useState, useCallback, useRef } from 'react';
-import { Upload, X, AlertCircle, File, Check, Loader2 } from 'lucide-react';
+import React, { useState, useCallback, useRef, useEffect } from 'react';
+import { Upload, X, AlertCircle, File, Check, Loader2, Pause, Play, ShieldAlert } from 'lucide-react';
 import { useAuth } from '../../hooks/useAuth';
-import { supabase } from '../../config/supabase';
 import { motion, AnimatePresence } from 'framer-motion';
 import { applyPdfSecurity, isPdfFile } from '../../services/pdfSecurityService';
+import { saveFileMetadata, findDuplicateFile } from '../../services/fileService';
+import { stampResponsePdf, recordWatermark } from '../../services/watermarkService';
+import { WATERMARK_STAMP_ON } from '../../config/watermark';
+import { isOcrCandidate, recognizeScannedFile } from '../../services/ocrService';
+import { isConvertibleFile, convertToPdf } from '../../services/conversionService';
+import { completeRequest } from '../../services/workflowService';
+import { fetchUploadLimits, getUploadLimit, uploadResumable, isUploadPaused } from '../../services/uploadService';
+import { isScanBlocked, isHeldForReview, describeScanHold, describeUploadHold } from '../../services/scanService';
+import { UPLOAD_CATEGORIES, DEFAULT_UPLOAD_LIMITS_MB, UPLOAD_CONCURRENCY } from '../../config/upload';
+import { formatFileSize, hashFile } from '../../utils/fileUtils';
 
-const FileUploader = ({ requestId, onUploadComplete, isResponseUpload = false }) => {
+/**
+ * Run a worker over items, at most `limit` of them at a time
+ * @param {Array} items - Items to work on
+ * @param {number} limit - Maximum running at once
+ * @param {Function} worker - Async function called with each item
+ * @returns {Promise<void>}
+ */
+const runWithConcurrency = async (items, limit, worker) => {
+  const queue = [...items];
+  const next = async () => {
+    while (queue.length > 0) {
+      await worker(queue.shift());
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, next));
+};
+
+/**
+ * Upload files to a request
+ * With replaceFile, one file is uploaded as the next version of that
+ * response document, with versionNote saying why. It becomes the current
+ * version once it is processed.
+ */
+const FileUploader = ({ requestId, onUploadComplete, isResponseUpload = false, replaceFile = null, versionNote = '' }) => {
   const { user } = useAuth();
   const [files, setFiles] = useState([]);
   const [uploading, setUploading] = useState(false);
   const [uploadProgress, setUploadProgress] = useState({});
+  const [uploadLimits, setUploadLimits] = useState(DEFAULT_UPLOAD_LIMITS_MB);
   const [error, setError] = useState(null);
   const fileInputRef = useRef(null);
+  const filesRef = useRef(files);
+  const preparedRef = useRef({});
+  const controllersRef = useRef({});
+  const resultsRef = useRef({});
+  const runningRef = useRef(0);
   
-  // Maximum file size in bytes (20MB)
-  const MAX_FILE_SIZE = 20 * 1024 * 1024;
+  filesRef.current = files;
   
   // Allowed file types
   const ALLOWED_TYPES = [
@@ -27,6 +64,11 @@ const FileUploader = ({ requestId, onUploadComplete, isResponseUpload = false })
     'image/png'
   ];
 
+  useEffect(() => {
+    // Keep the built-in limits if the saved ones cannot be loaded
+    fetchUploadLimits().then(setUploadLimits).catch(() => {});
+  }, []);
+
   // Handle file selection
   const handleFileChange = (e) => {
     const selectedFiles = Array.from(e.target.files);
@@ -46,18 +88,16 @@ const FileUploader = ({ requestId, onUploadComplete, isResponseUpload = false })
       }
       
       // Check file size
-      if (file.size > MAX_FILE_SIZE) {
-        errors.push(`"${file.name}" exceeds the maximum file size of 20MB.`);
+      const limit = getUploadLimit(file, uploadLimits);
+      if (file.size > limit.bytes) {
+        errors.push(`"${file.name}" exceeds the maximum size of ${formatFileSize(limit.bytes)} for ${limit.label} files.`);
         return;
       }
       
       // Add unique ID to each file for tracking
       validatedFiles.push({
         file,
-        id: `${file.name}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-        progress: 0,
-        error: null,
-        uploaded: false
+        id: `${file.name}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
       });
     });
     
@@ -67,7 +107,22 @@ const FileUploader = ({ requestId, onUploadComplete, isResponseUpload = false })
     }
     
     if (validatedFiles.length > 0) {
-      setFiles(prev => [...prev, ...validatedFiles]);
+      // A new version replaces a single document
+      setFiles(prev => replaceFile ? validatedFiles.slice(-1) : [...prev, ...validatedFiles]);
+      validatedFiles.forEach(checkForDuplicate);
+    }
+  };
+  
+  // Hash a new file and note when the same content is already attached
+  const checkForDuplicate = async ({ file, id }) => {
+    try {
+      const sha256 = await hashFile(file);
+      const duplicate = await findDuplicateFile(requestId, sha256);
+      setFiles(prev => prev.map(item => (
+        item.id === id ? { ...item, sha256, duplicateOf: duplicate?.file_name || null } : item
+      )));
+    } catch (error) {
+      // Only a warning; the upload hashes the file again
     }
   };
   
@@ -79,7 +134,7 @@ const FileUploader = ({ requestId, onUploadComplete, isResponseUpload = false })
     if (e.dataTransfer.files && e.dataTransfer.files.length > 0) {
       validateAndAddFiles(Array.from(e.dataTransfer.files));
     }
-  }, []);
+  }, [uploadLimits]);
   
   const onDragOver = useCallback((e) => {
     e.preventDefault();
@@ -93,207 +148,310 @@ const FileUploader = ({ requestId, onUploadComplete, isResponseUpload = false })
 
   // Remove file from the list
   const removeFile = (id) => {
+    delete preparedRef.current[id];
+    delete resultsRef.current[id];
     setFiles(prev => prev.filter(file => file.id !== id));
   };
 
-  // Upload files to Supabase
-  const uploadFiles = async () => {
-    if (files.length === 0) return;
+  // Convert, watermark, secure and hash a file. Done once per file, so a
+  // resumed upload sends the same bytes again.
+  const prepareFile = async ({ file: originalFile, id, sha256 }) => {
+    let file = originalFile;
     
-    setUploading(true);
-    let uploadedCount = 0;
-    const uploadErrors = [];
+    // Responses are shared as PDFs, so images and Word or Excel
+    // documents are converted first
+    if (isResponseUpload && isConvertibleFile(originalFile)) {
+      setUploadProgress(prev => ({
+        ...prev,
+        [id]: { progress: 0, status: 'converting' }
+      }));
+      
+      file = await convertToPdf(originalFile);
+    }
     
-    // Create a copy of files to track progress
-    const filesCopy = [...files];
+    // If it's a PDF, try to apply security settings
+    let fileToUpload = file;
+    let isSecured = false;
+    let stamped = null;
+    let warning = null;
     
-    // Skip bucket creation - assume it exists or was created by admin
-    // If you're getting RLS errors on bucket creation, your admin needs to
-    // create the bucket first in the Supabase dashboard
-
-    for (let i = 0; i < filesCopy.length; i++) {
-      const { file, id } = filesCopy[i];
-      
+    if (isPdfFile(file) && isResponseUpload) {
       try {
-        // If it's a PDF, try to apply security settings
-        let fileToUpload = file;
-        let isSecured = false;
+        setUploadProgress(prev => ({
+          ...prev,
+          [id]: { progress: 0, status: 'processing' }
+        }));
         
-        if (isPdfFile(file) && isResponseUpload) {
-          try {
-            // Update progress to show processing
-            setUploadProgress(prev => ({
-              ...prev,
-              [id]: { progress: 0, status: 'processing' }
-            }));
-            
-            // Try to apply PDF security - if it fails, just use the original file
-            const securedFile = await applyPdfSecurity(file);
-            if (securedFile) {
-              fileToUpload = securedFile;
-              isSecured = true;
-            }
-
-          
-            // Update progress after processing
-            setUploadProgress(prev => ({
-              ...prev,
-              [id]: { progress: 10, status: 'uploading' }
-            }));
+        // Watermark the response for its recipient, then apply PDF
+        // security - if either fails, just use the original file
+        stamped = await stampResponsePdf(file, requestId, WATERMARK_STAMP_ON.UPLOAD);
+        const securedFile = await applyPdfSecurity(stamped ? stamped.blob : file);
+        if (securedFile) {
+          fileToUpload = securedFile;
+          isSecured = true;
+        }
+      } catch (pdfError) {
+        console.error('Error securing PDF:', pdfError);
+        // Continue with original file if security application fails
+        fileToUpload = file;
+        stamped = null;
+        warning = 'Could not apply security features';
+      }
+    }
+    
+    // Generate file path
+    const timestamp = Date.now();
+    const fileExt = file.name.split('.').pop();
+    const fileName = `${file.name.split('.')[0]}-${timestamp}.${fileExt}`;
+    
+    const sourceSha256 = sha256 || await hashFile(originalFile);
+    
+    return {
+      file,
+      fileToUpload,
+      isSecured,
+      stamped,
+      warning,
+      sourceSha256,
+      sha256: fileToUpload === originalFile ? sourceSha256 : await hashFile(fileToUpload),
+      filePath: `${requestId}/${fileName}`,
+      // Unchanged files can be resumed after a reload; processed ones are
+      // different bytes each time, so only within this page
+      fingerprint: fileToUpload === originalFile
+        ? `${requestId}:${isResponseUpload ? 'response' : 'original'}:${originalFile.name}:${originalFile.size}:${originalFile.lastModified}`
+        : id
+    };
+  };
 
-          uploadedCount++;
+  // Upload one file and record it. Returns an error message, if any.
+  const uploadOne = async (item) => {
+    const { file: originalFile, id } = item;
+    const controller = new AbortController();
+    controllersRef.current[id] = controller;
+    
+    try {
+      if (!preparedRef.current[id]) {
+        preparedRef.current[id] = await prepareFile(item);
+      }
+      const prepared = preparedRef.current[id];
+      const { file, fileToUpload, isSecured, stamped } = prepared;
+      let warning = prepared.warning;
       
-      // Update file status in state
-      filesCopy[i] = {
-        ...filesCopy[i],
-        uploaded: true,
-        error: null
-      };
-            
-          } catch (pdfError) {
-            console.error('Error securing PDF:', pdfError);
-            // Continue with original file if security application fails
+      if (!prepared.uploadedPath) {
+        setUploadProgress(prev => ({
+          ...prev,
+          [id]: { progress: 0, status: 'uploading', uploaded: 0, total: fileToUpload.size, warning }
+        }));
+        
+        // Upload file to Supabase storage in resumable chunks
+        const { filePath } = await uploadResumable({
+          file: fileToUpload,
+          bucket: 'request-files',  // This bucket should be pre-created by admin
+          filePath: prepared.filePath,
+          contentType: file.type,
+          fingerprint: prepared.fingerprint,
+          signal: controller.signal,
+          onProgress: (uploaded, total) => {
             setUploadProgress(prev => ({
               ...prev,
-              [id]: { progress: 10, status: 'uploading', warning: 'Could not apply security features' }
+              [id]: {
+                ...prev[id],
+                progress: total > 0 ? Math.round((uploaded / total) * 100) : 100,
+                uploaded,
+                total,
+                status: 'uploading'
+              }
             }));
           }
-        } else {
-          // Set initial progress for non-PDF files
-          setUploadProgress(prev => ({
-            ...prev,
-            [id]: { progress: 10, status: 'uploading' }
-          }));
-        }
+        });
         
-        // Generate file path
-        const timestamp = Date.now();
-        const fileExt = file.name.split('.').pop();
-        const fileName = `${file.name.split('.')[0]}-${timestamp}.${fileExt}`;
-        const filePath = `${requestId}/${fileName}`;  // Changed to a simpler path structure
+        prepared.uploadedPath = filePath;
+      }
+      
+      // Update progress to show processing metadata
+      setUploadProgress(prev => ({
+        ...prev,
+        [id]: { progress: 100, status: 'processing', warning }
+      }));
+      
+      // Record file metadata in database
+      if (!prepared.savedFile) {
+        // The database numbers the version (migration #43)
+        const versionFields = replaceFile ? {
+          document_id: replaceFile.document_id,
+          version_note: versionNote.trim(),
+          is_current: false
+        } : {};
         
-        // Upload file to Supabase storage
-        const { error: uploadError, data } = await supabase.storage
-          .from('request-files')  // This bucket should be pre-created by admin
-          .upload(filePath, fileToUpload, {
-            cacheControl: '3600',
-            upsert: false,
-            onUploadProgress: (progress) => {
-              // Calculate progress percentage (10-90%)
-              const progressPercentage = 10 + Math.round((progress.loaded / progress.total) * 80);
-              setUploadProgress(prev => ({
-                ...prev,
-                [id]: { 
-                  ...prev[id],
-                  progress: progressPercentage, 
-                  status: 'uploading' 
-                }
-              }));
-            },
-          });
-          
-        if (uploadError) {
-          if (uploadError.message && uploadError.message.includes("Bucket not found")) {
-            throw new Error("Storage bucket 'request-files' doesn't exist. Please contact your system administrator.");
-          }
-          throw uploadError;
-        }
+        prepared.savedFile = await saveFileMetadata({
+          request_id: requestId,
+          file_name: file.name,
+          file_path: prepared.uploadedPath,
+          file_size: fileToUpload.size,
+          file_type: file.type,
+          is_secured: isSecured,
+          is_original_request: !isResponseUpload,
+          is_response: isResponseUpload,
+          converted_from: file === originalFile ? null : originalFile.type,
+          sha256: prepared.sha256,
+          source_sha256: prepared.sourceSha256,
+          uploaded_by: user.id,
+          ...versionFields
+        });
         
-        // Update progress to show processing metadata
+        if (stamped) {
+          await recordWatermark({ ...stamped.watermark, fileId: prepared.savedFile.id });
+        }
+      }
+      const { savedFile } = prepared;
+      
+      // Files held for review (including responses that could not be
+      // password-protected) stay stored but are not processed further
+      if (isHeldForReview(savedFile)) {
+        resultsRef.current[id] = 'quarantined';
         setUploadProgress(prev => ({
           ...prev,
-          [id]: { progress: 95, status: 'processing' }
+          [id]: { progress: 100, status: 'quarantined', findings: describeScanHold(savedFile) }
         }));
-        
-        // Record file metadata in database
-        const { error: metadataError } = await supabase
-          .from('v4_request_files')
-          .insert([
-            {
-              request_id: requestId,
-              file_name: file.name,
-              file_path: filePath,
-              file_size: file.size,
-              file_type: file.type,
-              is_secured: isSecured,
-              is_original_request: !isResponseUpload,
-              is_response: isResponseUpload,
-              uploaded_by: user.id
-            },
-          ]);
-          
-        if (metadataError) throw metadataError;
-        
-        // Update progress to show success
+        return describeUploadHold(savedFile, originalFile.name);
+      }
+      
+      // The server password-protected or signed responses and made a new
+      // version current once the scan cleared it. When the scan could not
+      // start, it does so when the scheduled scan runs.
+      if (isScanBlocked(savedFile)) {
+        warning = warning || describeScanHold(savedFile);
+      } else if (savedFile.processing_warning) {
+        warning = warning || savedFile.processing_warning;
+      }
+      
+      // Read incoming scans with OCR. The file is already saved, so a
+      // failure here only means its text is not searchable.
+      if (!isResponseUpload && isOcrCandidate(file)) {
         setUploadProgress(prev => ({
           ...prev,
-          [id]: { progress: 100, status: 'completed' }
+          [id]: { progress: 0, status: 'recognizing' }
         }));
         
-        uploadedCount++;
-        
-        // Update file status in state
-        filesCopy[i] = {
-          ...filesCopy[i],
-          uploaded: true,
-          error: null
-        };
-        
-      } catch (error) {
-        console.error('Error uploading file:', error);
-        
-        // Update progress to show error
+        try {
+          await recognizeScannedFile(file, savedFile.id, (progress) => {
+            setUploadProgress(prev => ({
+              ...prev,
+              [id]: { progress: Math.round(progress * 100), status: 'recognizing' }
+            }));
+          });
+        } catch (ocrError) {
+          warning = 'Could not read the text of this document';
+        }
+      }
+      
+      // Update progress to show success
+      setUploadProgress(prev => ({
+        ...prev,
+        [id]: { progress: 100, status: 'completed', warning }
+      }));
+      
+      resultsRef.current[id] = 'completed';
+      return null;
+    } catch (error) {
+      if (isUploadPaused(error)) {
+        resultsRef.current[id] = 'paused';
         setUploadProgress(prev => ({
           ...prev,
-          [id]: { progress: 0, status: 'error', message: error.message }
+          [id]: { ...prev[id], status: 'paused' }
         }));
-        
-        // Update file status in state
-        filesCopy[i] = {
-          ...filesCopy[i],
-          error: error.message
-        };
-        
-        uploadErrors.push(`Failed to upload "${file.name}": ${error.message}`);
+        return null;
       }
+      
+      console.error('Error uploading file:', error);
+      
+      const message = error.message?.includes('Bucket not found')
+        ? "Storage bucket 'request-files' doesn't exist. Please contact your system administrator."
+        : error.message;
+      
+      // Update progress to show error
+      resultsRef.current[id] = 'error';
+      setUploadProgress(prev => ({
+        ...prev,
+        [id]: { ...prev[id], status: 'error', message }
+      }));
+      
+      return `Failed to upload "${originalFile.name}": ${message}`;
+    } finally {
+      delete controllersRef.current[id];
     }
+  };
+
+  // Once every file is uploaded, complete the request through the workflow
+  // (for responses) and report back
+  const finishIfComplete = async () => {
+    const allFiles = filesRef.current;
+    const uploadedCount = allFiles.filter(({ id }) => resultsRef.current[id] === 'completed').length;
     
-    // Update request status if this is a response upload and all files were uploaded successfully
-  if (isResponseUpload && uploadedCount > 0 && uploadedCount === files.length) {
-    try {
-      await supabase
-        .from('v4_requests')
-        .update({ 
-          status: 'completed',
-          completed_at: new Date().toISOString(),
-          updated_by: user.id,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', requestId);
-    } catch (statusError) {
-      console.error('Error updating request status:', statusError);
-    }
-  }
-    
-    setUploading(false);
+    if (runningRef.current > 0 || uploadedCount === 0 || uploadedCount !== allFiles.length) return;
     
-    // Show error if any
-    if (uploadErrors.length > 0) {
-      setError(uploadErrors.join(' '));
-      setTimeout(() => setError(null), 5000);
+    // A new version corrects a response the request was completed with
+    if (isResponseUpload && !replaceFile) {
+      try {
+        await completeRequest(requestId, user);
+      } catch (statusError) {
+        console.error('Error updating request status:', statusError);
+      }
     }
     
-  // Call the callback with the count if all files were uploaded successfully
-  if (uploadedCount === files.length && uploadedCount > 0) {
     if (onUploadComplete) onUploadComplete(uploadedCount);
     
     // Clear the files list after successful upload
     setTimeout(() => {
       setFiles([]);
       setUploadProgress({});
+      preparedRef.current = {};
+      resultsRef.current = {};
     }, 2000);
-  }
-};
+  };
+
+  // Upload files to Supabase, a few at a time
+  const runUploads = async (items) => {
+    runningRef.current += 1;
+    setUploading(true);
+    const uploadErrors = [];
+    
+    await runWithConcurrency(items, UPLOAD_CONCURRENCY, async (item) => {
+      const uploadError = await uploadOne(item);
+      if (uploadError) uploadErrors.push(uploadError);
+    });
+    
+    runningRef.current -= 1;
+    if (runningRef.current === 0) setUploading(false);
+    
+    // Show error if any
+    if (uploadErrors.length > 0) {
+      setError(uploadErrors.join(' '));
+      setTimeout(() => setError(null), 5000);
+    }
+    
+    await finishIfComplete();
+  };
+
+  const uploadFiles = () => {
+    const pending = files.filter(({ id }) =>
+      !['completed', 'quarantined'].includes(resultsRef.current[id]) && !controllersRef.current[id]
+    );
+    if (pending.length > 0) {
+      runUploads(pending);
+    } else {
+      // Everything is uploaded; finishes once quarantined files are removed
+      finishIfComplete();
+    }
+  };
+
+  const pauseUpload = (id) => {
+    controllersRef.current[id]?.abort();
+  };
+
+  const resumeUpload = (item) => {
+    runUploads([item]);
+  };
 
   // Get file icon based on mime type
   const getFileIcon = (fileType) => {
@@ -318,7 +476,9 @@ const FileUploader = ({ requestId, onUploadComplete, isResponseUpload = false })
       return <Check className="h-4 w-4 text-green-500" />;
     } else if (status === 'error') {
       return <AlertCircle className="h-4 w-4 text-red-500" />;
-    } else if (status === 'processing' || status === 'uploading') {
+    } else if (status === 'quarantined') {
+      return <ShieldAlert className="h-4 w-4 text-red-500" />;
+    } else if (status === 'processing' || status === 'uploading' || status === 'recognizing' || status === 'converting') {
       return <Loader2 className="h-4 w-4 animate-spin text-blue-500" />;
     } else {
       return null;
@@ -344,20 +504,29 @@ const FileUploader = ({ requestId, onUploadComplete, isResponseUpload = false })
           type="file"
           ref={fileInputRef}
           onChange={handleFileChange}
-          multiple
+          multiple={!replaceFile}
           className="hidden"
           disabled={uploading}
         />
         
         <Upload className="h-10 w-10 text-gray-400 dark:text-gray-500 mb-2" />
         <p className="text-sm font-medium text-gray-700 dark:text-gray-300 text-center">
-          {isResponseUpload 
+          {replaceFile
+            ? "Drag and drop the new version here or click to browse"
+            : isResponseUpload 
             ? "Drag and drop response files here or click to browse"
             : "Drag and drop request documents here or click to browse"}
         </p>
         <p className="text-xs text-gray-500 dark:text-gray-400 mt-1 text-center">
-          PDF, Word, Excel, JPEG, PNG (max 20MB per file)
+          {Object.entries(UPLOAD_CATEGORIES)
+            .map(([category, { label }]) => `${label} up to ${uploadLimits[category]} MB`)
+            .join(', ')}. Large files can be paused and resumed.
         </p>
+        {isResponseUpload && (
+          <p className="text-xs text-gray-500 dark:text-gray-400 mt-1 text-center">
+            Word, Excel and image files are converted to secured PDFs
+          </p>
+        )}
       </div>
       
       {/* Error message */}
@@ -378,59 +547,111 @@ const FileUploader = ({ requestId, onUploadComplete, isResponseUpload = false })
           <div className="border border-gray-200 dark:border-gray-700 rounded-lg overflow-hidden">
             <ul className="divide-y divide-gray-200 dark:divide-gray-700">
               <AnimatePresence initial={false}>
-                {files.map(({ file, id }) => (
-                  <motion.li
-                    key={id}
-                    initial={{ opacity: 0, height: 0 }}
-                    animate={{ opacity: 1, height: 'auto' }}
-                    exit={{ opacity: 0, height: 0 }}
-                    transition={{ duration: 0.2 }}
-                    className="flex items-center justify-between p-3 bg-white dark:bg-gray-800"
-                  >
-                    <div className="flex items-center space-x-3 overflow-hidden">
-                      {getFileIcon(file.type)}
-                      <div className="min-w-0">
-                        <p className="text-sm font-medium text-gray-900 dark:text-white truncate">
-                          {file.name}
-                        </p>
-                        <p className="text-xs text-gray-500 dark:text-gray-400">
-                          {(file.size / 1024 / 1024).toFixed(2)} MB
-                        </p>
-                      </div>
-                    </div>
-                    
-                    <div className="flex items-center space-x-2">
-                      {/* Progress indicator */}
-                      {uploadProgress[id] && (
-                        <div className="flex items-center space-x-2">
-                          {getStatusIcon(id)}
-                          {uploadProgress[id].status !== 'completed' && (
-                            <div className="w-16 bg-gray-200 dark:bg-gray-700 rounded-full h-1.5">
-                              <div 
-                                className="bg-blue-600 h-1.5 rounded-full" 
-                                style={{ width: `${uploadProgress[id].progress}%` }} 
-                              />
-                            </div>
+                {files.map((item, index) => {
+                  const { file, id } = item;
+                  const sameAsSelected = item.sha256 && files
+                    .slice(0, index)
+                    .find(other => other.sha256 === item.sha256);
+                  return (
+                    <motion.li
+                      key={id}
+                      initial={{ opacity: 0, height: 0 }}
+                      animate={{ opacity: 1, height: 'auto' }}
+                      exit={{ opacity: 0, height: 0 }}
+                      transition={{ duration: 0.2 }}
+                      className="flex items-center justify-between p-3 bg-white dark:bg-gray-800"
+                    >
+                      <div className="flex items-center space-x-3 overflow-hidden">
+                        {getFileIcon(file.type)}
+                        <div className="min-w-0">
+                          <p className="text-sm font-medium text-gray-900 dark:text-white truncate">
+                            {file.name}
+                          </p>
+                          <p className="text-xs text-gray-500 dark:text-gray-400">
+                            {uploadProgress[id]?.status === 'uploading' || uploadProgress[id]?.status === 'paused'
+                              ? `${formatFileSize(uploadProgress[id].uploaded || 0)} of ${formatFileSize(uploadProgress[id].total)}`
+                              : `${(file.size / 1024 / 1024).toFixed(2)} MB`}
+                            {uploadProgress[id]?.status === 'paused' && ' • Paused'}
+                            {uploadProgress[id]?.status === 'converting' && ' • Converting to PDF...'}
+                            {uploadProgress[id]?.status === 'recognizing' && ' • Reading text...'}
+                            {uploadProgress[id]?.warning && ` • ${uploadProgress[id].warning}`}
+                          </p>
+                          {uploadProgress[id]?.status === 'quarantined' && (
+                            <p className="text-xs text-red-600 dark:text-red-400">
+                              {uploadProgress[id].findings}
+                            </p>
+                          )}
+                          {(item.duplicateOf || sameAsSelected) && (
+                            <p className="text-xs text-amber-600 dark:text-amber-400">
+                              {item.duplicateOf
+                                ? `Same content is already attached as "${item.duplicateOf}"`
+                                : `Same content as "${sameAsSelected.file.name}" above`}
+                            </p>
                           )}
                         </div>
-                      )}
+                      </div>
                       
-                      {/* Remove button (only visible if not uploaded/uploading) */}
-                      {(!uploadProgress[id] || uploadProgress[id].status === 'error') && (
-                        <button
-                          type="button"
-                          onClick={(e) => {
-                            e.stopPropagation();
-                            removeFile(id);
-                          }}
-                          className="p-1 rounded-full text-gray-400 hover:text-gray-500 dark:text-gray-500 dark:hover:text-gray-400"
-                        >
-                          <X className="h-4 w-4" />
-                        </button>
-                      )}
-                    </div>
-                  </motion.li>
-                ))}
+                      <div className="flex items-center space-x-2">
+                        {/* Progress indicator */}
+                        {uploadProgress[id] && (
+                          <div className="flex items-center space-x-2">
+                            {getStatusIcon(id)}
+                            {uploadProgress[id].status !== 'completed' && uploadProgress[id].status !== 'quarantined' && (
+                              <div className="w-16 bg-gray-200 dark:bg-gray-700 rounded-full h-1.5">
+                                <div 
+                                  className="bg-blue-600 h-1.5 rounded-full" 
+                                  style={{ width: `${uploadProgress[id].progress}%` }} 
+                                />
+                              </div>
+                            )}
+                          </div>
+                        )}
+                        
+                        {/* Pause and resume */}
+                        {uploadProgress[id]?.status === 'uploading' && (
+                          <button
+                            type="button"
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              pauseUpload(id);
+                            }}
+                            className="p-1 rounded-full text-gray-400 hover:text-gray-500 dark:text-gray-500 dark:hover:text-gray-400"
+                            title="Pause upload"
+                          >
+                            <Pause className="h-4 w-4" />
+                          </button>
+                        )}
+                        {uploadProgress[id]?.status === 'paused' && (
+                          <button
+                            type="button"
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              resumeUpload(item);
+                            }}
+                            className="p-1 rounded-full text-gray-400 hover:text-gray-500 dark:text-gray-500 dark:hover:text-gray-400"
+                            title="Resume upload"
+                          >
+                            <Play className="h-4 w-4" />
+                          </button>
+                        )}
+                        
+                        {/* Remove button (only visible if not uploaded/uploading) */}
+                        {(!uploadProgress[id] || ['error', 'paused', 'quarantined'].includes(uploadProgress[id].status)) && (
+                          <button
+                            type="button"
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              removeFile(id);
+                            }}
+                            className="p-1 rounded-full text-gray-400 hover:text-gray-500 dark:text-gray-500 dark:hover:text-gray-400"
+                          >
+                            <X className="h-4 w-4" />
+                          </button>
+                        )}
+                      </div>
+                    </motion.li>
+                  );
+                })}
               </AnimatePresence>
             </ul>
           </div>
@@ -443,7 +664,7 @@ const FileUploader = ({ requestId, onUploadComplete, isResponseUpload = false })
           <button
             type="button"
             onClick={uploadFiles}
-            disabled={uploading || files.length === 0}
+            disabled={uploading || files.length === 0 || (replaceFile && !versionNote.trim())}
             className="px-4 py-2 bg-black dark:bg-white text-white dark:text-black rounded-lg
                      hover:bg-gray-800 dark:hover:bg-gray-100 transition-colors 
                      flex items-center gap-2 disabled:opacity-50"
@@ -0,0 +1,147 @@
+import React, { useState } from 'react';
+import { format } from 'date-fns';
+import { History, Upload, Eye, RotateCcw, Loader2 } from 'lucide-react';
+import FileUploader from './FileUploader';
+import { restoreVersion } from '../../services/versionService';
+import { isScanBlocked } from '../../services/scanService';
+import usePermission from '../../hooks/usePermission';
+import { PERMISSIONS } from '../../config/permissions';
+
+/**
+ * Version history of a response document, with uploading a new version and
+ * restoring an earlier one
+ * @param {Object} file - The current version
+ * @param {Array} versions - Every version of the document, newest first
+ * @param {Function} onView - Called with a version to open it in the viewer
+ * @param {Function} onChanged - Called after a new version or a restore
+ * @param {Function} onUploadComplete - Called with the number of files uploaded
+ */
+const FileVersions = ({ file, versions, onView, onChanged, onUploadComplete }) => {
+  const { can } = usePermission();
+  const [showHistory, setShowHistory] = useState(false);
+  const [replacing, setReplacing] = useState(false);
+  const [note, setNote] = useState('');
+  const [restoringId, setRestoringId] = useState(null);
+  const [error, setError] = useState('');
+
+  const canManage = can(PERMISSIONS.FILES_UPLOAD_RESPONSE);
+
+  const handleRestore = async (version) => {
+    try {
+      setRestoringId(version.id);
+      setError('');
+      await restoreVersion(version);
+      onChanged();
+    } catch (err) {
+      setError('Failed to restore this version. Please try again.');
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  const handleUploaded = (count) => {
+    setReplacing(false);
+    setNote('');
+    if (onUploadComplete) onUploadComplete(count);
+    onChanged();
+  };
+
+  if (versions.length < 2 && !canManage) return null;
+
+  return (
+    <div className="px-3 pb-3">
+      <div className="flex items-center gap-3 text-xs">
+        {versions.length > 1 && (
+          <button
+            onClick={() => setShowHistory(prev => !prev)}
+            className="flex items-center text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white"
+          >
+            <History className="h-3 w-3 mr-1" />
+            Version {file.version || 1} of {versions.length} • {showHistory ? 'Hide history' : 'Show history'}
+          </button>
+        )}
+        {canManage && (
+          <button
+            onClick={() => setReplacing(prev => !prev)}
+            className="flex items-center text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white"
+          >
+            <Upload className="h-3 w-3 mr-1" />
+            {replacing ? 'Cancel new version' : 'Replace with new version'}
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <p className="mt-2 text-xs text-red-600 dark:text-red-400">{error}</p>
+      )}
+
+      {showHistory && (
+        <ul className="mt-2 divide-y divide-gray-200 dark:divide-gray-700 border border-gray-200 dark:border-gray-700 rounded-lg">
+          {versions.map(version => (
+            <li key={version.id} className="flex items-start justify-between gap-3 p-2 text-xs">
+              <div className="min-w-0">
+                <p className="font-medium text-gray-900 dark:text-white truncate">
+                  v{version.version || 1} • {version.file_name}
+                  {version.is_current && (
+                    <span className="ml-2 px-2 py-0.5 font-medium bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-200 rounded-full">
+                      Current
+                    </span>
+                  )}
+                </p>
+                <p className="text-gray-500 dark:text-gray-400">
+                  {version.uploaded_by_user?.full_name || version.uploaded_by_user?.username || 'Unknown user'} • {format(new Date(version.created_at), 'PPp')}
+                </p>
+                {version.version_note && (
+                  <p className="text-gray-600 dark:text-gray-300">{version.version_note}</p>
+                )}
+              </div>
+              <div className="flex items-center gap-2 flex-shrink-0">
+                <button
+                  onClick={() => onView(version)}
+                  className="flex items-center text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white"
+                >
+                  <Eye className="h-3 w-3 mr-1" />
+                  View
+                </button>
+                {canManage && !version.is_current && !isScanBlocked(version) && (
+                  <button
+                    onClick={() => handleRestore(version)}
+                    disabled={restoringId !== null}
+                    className="flex items-center text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white disabled:opacity-50"
+                  >
+                    {restoringId === version.id
+                      ? <Loader2 className="h-3 w-3 mr-1 animate-spin" />
+                      : <RotateCcw className="h-3 w-3 mr-1" />}
+                    Restore
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {replacing && (
+        <div className="mt-2 space-y-2">
+          <textarea
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder="What changed in this version?"
+            rows={2}
+            className="w-full px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg
+                     bg-white dark:bg-gray-800 text-gray-900 dark:text-white"
+          />
+          <FileUploader
+            requestId={file.request_id}
+            onUploadComplete={handleUploaded}
+            isResponseUpload={true}
+            replaceFile={file}
+            versionNote={note}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FileVersions;
@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { format } from 'date-fns';
+import { Lock, Loader2 } from 'lucide-react';
+import { setLegalHold } from '../../services/requestService';
+import { useAuth } from '../../hooks/useAuth';
+import usePermission from '../../hooks/usePermission';
+import { PERMISSIONS } from '../../config/permissions';
+
+/**
+ * Deletion date of a request's documents, with its legal hold
+ * @param {Object} request - Request with deletion_date, legal_hold and files_purged_at
+ * @param {Function} onUpdated - Called with the updated request
+ */
+const LegalHold = ({ request, onUpdated }) => {
+  const { user } = useAuth();
+  const { can } = usePermission();
+  const [placing, setPlacing] = useState(false);
+  const [reason, setReason] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const canHold = can(PERMISSIONS.REQUESTS_LEGAL_HOLD);
+
+  const save = async (hold) => {
+    try {
+      setSaving(true);
+      setError('');
+      const updated = await setLegalHold(request.id, hold, reason.trim(), user.id);
+      setPlacing(false);
+      setReason('');
+      onUpdated?.(updated);
+    } catch (error) {
+      setError('Failed to save the legal hold');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (request.files_purged_at) {
+    return (
+      <p className="text-sm text-gray-600 dark:text-gray-400">
+        <span className="font-medium">Documents deleted:</span>{' '}
+        {format(new Date(request.files_purged_at), 'PPP')}
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-2">
+      {request.legal_hold ? (
+        <p className="text-sm text-amber-700 dark:text-amber-300 flex items-start">
+          <Lock className="h-4 w-4 mr-1 mt-0.5 flex-shrink-0" />
+          <span>
+            <span className="font-medium">Legal hold:</span> documents are kept until the hold is released
+            {request.legal_hold_reason && ` (${request.legal_hold_reason})`}
+          </span>
+        </p>
+      ) : request.deletion_date && (
+        <p className="text-sm text-red-600 dark:text-red-400">
+          <span className="font-medium">Auto-deletion date:</span>{' '}
+          {format(new Date(request.deletion_date), 'PPP')}
+        </p>
+      )}
+
+      {canHold && !placing && (
+        <button
+          type="button"
+          onClick={() => (request.legal_hold ? save(false) : setPlacing(true))}
+          disabled={saving}
+          className="flex items-center text-xs text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white disabled:opacity-50"
+        >
+          {saving && <Loader2 className="h-3 w-3 mr-1 animate-spin" />}
+          {request.legal_hold ? 'Release legal hold' : 'Place legal hold'}
+        </button>
+      )}
+
+      {placing && (
+        <div className="flex flex-wrap items-center gap-2">
+          <input
+            type="text"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder="Reason, e.g. case number"
+            className="flex-1 min-w-0 px-2 py-1 rounded border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-900
+                     text-gray-900 dark:text-white text-sm focus:outline-none focus:ring-1 focus:ring-black dark:focus:ring-white"
+          />
+          <button
+            type="button"
+            onClick={() => save(true)}
+            disabled={saving || !reason.trim()}
+            className="px-2 py-1 text-xs rounded bg-black text-white dark:bg-white dark:text-black disabled:opacity-50"
+          >
+            Hold
+          </button>
+          <button
+            type="button"
+            onClick={() => setPlacing(false)}
+            className="px-2 py-1 text-xs rounded border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300"
+          >
+            Cancel
+          </button>
+        </div>
+      )}
+
+      {error && <p className="text-xs text-red-600 dark:text-red-400">{error}</p>}
+    </div>
+  );
+};
+
+export default LegalHold;
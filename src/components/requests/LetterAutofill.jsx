@@ -0,0 +1,235 @@
+import React, { useState, useRef } from 'react';
+import { ScanText, Loader2, Check, X, AlertTriangle } from 'lucide-react';
+import { format } from 'date-fns';
+import { recognizeLetter, isOcrCandidate } from '../../services/ocrService';
+import { suggestRequestFields } from '../../utils/letterUtils';
+import { SUGGESTION_CONFIDENCE } from '../../config/ocr';
+
+const FIELD_LABELS = {
+  reference_number: 'Reference',
+  date_received: 'Date',
+  sender: 'Sender',
+  subject: 'Subject'
+};
+
+/**
+ * Badge label and colors for a suggestion confidence
+ * @param {number} confidence - Confidence (0-100)
+ * @returns {Object} { label, classes }
+ */
+const getConfidenceBadge = (confidence) => {
+  if (confidence >= SUGGESTION_CONFIDENCE.HIGH) {
+    return { label: 'High', classes: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300' };
+  }
+  if (confidence >= SUGGESTION_CONFIDENCE.MEDIUM) {
+    return { label: 'Medium', classes: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-300' };
+  }
+  return { label: 'Low', classes: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300' };
+};
+
+/**
+ * Reads a scanned incoming letter with OCR and proposes request fields
+ * Nothing is filled in until a suggestion is accepted.
+ * @param {Array<Object>} organizations - Organizations the sender may be { id, name }
+ * @param {Function} onAccept - Called with the accepted fields { field: value }
+ * @param {Function} onLetterChange - Called with the letter file, or null when it is removed
+ * @param {Array<string>} excludeFields - Fields not to suggest, e.g. a fixed sender
+ * @param {boolean} disabled - Disable the picker
+ */
+const LetterAutofill = ({ organizations = [], onAccept, onLetterChange, excludeFields = [], disabled = false }) => {
+  const [letter, setLetter] = useState(null);
+  const [reading, setReading] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [suggestions, setSuggestions] = useState({});
+  const [accepted, setAccepted] = useState([]);
+  const [error, setError] = useState('');
+  const [dragActive, setDragActive] = useState(false);
+  const inputRef = useRef(null);
+
+  const readLetter = async (file) => {
+    if (!isOcrCandidate(file)) {
+      setError('Only JPEG, PNG and PDF scans can be read.');
+      return;
+    }
+
+    setLetter(file);
+    setSuggestions({});
+    setAccepted([]);
+    setError('');
+    setProgress(0);
+    setReading(true);
+    onLetterChange?.(file);
+
+    try {
+      const { lines } = await recognizeLetter(file, setProgress);
+      const found = suggestRequestFields(lines, organizations);
+      excludeFields.forEach(field => delete found[field]);
+
+      setSuggestions(found);
+      if (Object.keys(found).length === 0) {
+        setError('No request details were recognized in this letter.');
+      }
+    } catch (error) {
+      setError(error.message || 'Could not read this letter.');
+    } finally {
+      setReading(false);
+    }
+  };
+
+  const handleRemove = () => {
+    setLetter(null);
+    setSuggestions({});
+    setAccepted([]);
+    setError('');
+    onLetterChange?.(null);
+    if (inputRef.current) inputRef.current.value = '';
+  };
+
+  const accept = (fields) => {
+    onAccept(Object.fromEntries(fields.map(field => [field, suggestions[field].value])));
+    setAccepted(prev => [...new Set([...prev, ...fields])]);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragActive(false);
+    if (!disabled && !reading && e.dataTransfer.files?.[0]) {
+      readLetter(e.dataTransfer.files[0]);
+    }
+  };
+
+  const fields = Object.keys(FIELD_LABELS).filter(field => suggestions[field]);
+  const pending = fields.filter(field => !accepted.includes(field));
+
+  const displayValue = (field) => {
+    const suggestion = suggestions[field];
+    if (field === 'sender') return suggestion.label;
+    if (field === 'date_received') return format(new Date(`${suggestion.value}T00:00:00`), 'MMM d, yyyy');
+    return suggestion.value;
+  };
+
+  if (!letter) {
+    return (
+      <div>
+        <div
+          onDragOver={(e) => { e.preventDefault(); setDragActive(true); }}
+          onDragLeave={() => setDragActive(false)}
+          onDrop={handleDrop}
+          className={`flex items-center justify-between gap-3 p-3 rounded-lg border border-dashed ${
+            dragActive
+              ? 'border-black dark:border-white bg-gray-50 dark:bg-gray-800'
+              : 'border-gray-300 dark:border-gray-600'
+          }`}
+        >
+          <div className="flex items-center text-sm text-gray-600 dark:text-gray-400">
+            <ScanText className="h-4 w-4 mr-2 flex-shrink-0" />
+            Drop the scanned letter here to fill in the form
+          </div>
+          <button
+            type="button"
+            onClick={() => inputRef.current?.click()}
+            disabled={disabled}
+            className="px-3 py-1 text-xs rounded border border-gray-300 dark:border-gray-600 text-gray-700
+                     dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-50"
+          >
+            Choose file
+          </button>
+          <input
+            ref={inputRef}
+            type="file"
+            accept="image/jpeg,image/png,application/pdf"
+            className="hidden"
+            onChange={(e) => e.target.files?.[0] && readLetter(e.target.files[0])}
+          />
+        </div>
+        {error && (
+          <p className="mt-1 text-xs text-red-600 dark:text-red-400">{error}</p>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-3 rounded-lg border border-gray-200 dark:border-gray-700 space-y-2">
+      <div className="flex items-center justify-between gap-2">
+        <div className="flex items-center min-w-0 text-sm text-gray-700 dark:text-gray-300">
+          <ScanText className="h-4 w-4 mr-2 flex-shrink-0" />
+          <span className="truncate">{letter.name}</span>
+          {reading && (
+            <span className="ml-2 flex items-center text-xs text-gray-500 dark:text-gray-400 whitespace-nowrap">
+              <Loader2 className="h-3 w-3 mr-1 animate-spin" />
+              Reading... {Math.round(progress * 100)}%
+            </span>
+          )}
+        </div>
+        <div className="flex items-center gap-2">
+          {pending.length > 1 && (
+            <button
+              type="button"
+              onClick={() => accept(pending)}
+              className="px-2 py-1 text-xs rounded bg-black dark:bg-white text-white dark:text-black hover:opacity-90"
+            >
+              Accept all
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={handleRemove}
+            disabled={reading}
+            title="Remove letter"
+            className="p-1 rounded text-gray-400 hover:text-gray-600 dark:hover:text-gray-200 disabled:opacity-50"
+          >
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <p className="flex items-start text-xs text-orange-700 dark:text-orange-300">
+          <AlertTriangle className="h-3 w-3 mr-1 mt-0.5 flex-shrink-0" />
+          {error}
+        </p>
+      )}
+
+      {fields.length > 0 && (
+        <ul className="divide-y divide-gray-100 dark:divide-gray-700">
+          {fields.map(field => {
+            const badge = getConfidenceBadge(suggestions[field].confidence);
+            const isAccepted = accepted.includes(field);
+
+            return (
+              <li key={field} className="flex items-center gap-2 py-1.5 text-sm" title={suggestions[field].line}>
+                <span className="w-20 flex-shrink-0 text-xs text-gray-500 dark:text-gray-400">
+                  {FIELD_LABELS[field]}
+                </span>
+                <span className="flex-1 min-w-0 truncate text-gray-900 dark:text-white">
+                  {displayValue(field)}
+                </span>
+                <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${badge.classes}`}>
+                  {badge.label}
+                </span>
+                {isAccepted ? (
+                  <span className="flex items-center w-16 justify-end text-xs text-green-700 dark:text-green-400">
+                    <Check className="h-3 w-3 mr-1" />
+                    Filled
+                  </span>
+                ) : (
+                  <button
+                    type="button"
+                    onClick={() => accept([field])}
+                    className="w-16 px-2 py-0.5 text-xs rounded border border-gray-300 dark:border-gray-600
+                             text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+                  >
+                    Accept
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default LetterAutofill;
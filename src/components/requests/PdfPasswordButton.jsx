@@ -0,0 +1,71 @@
+import React, { useState } from 'react';
+import { KeyRound, Loader2, Copy, Check } from 'lucide-react';
+import { revealPdfPassword } from '../../services/pdfSecurityService';
+
+/**
+ * Shows the open password of a password-protected response PDF on request
+ * @param {string} fileId - The ID of the file record
+ */
+const PdfPasswordButton = ({ fileId }) => {
+  const [password, setPassword] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleReveal = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const result = await revealPdfPassword({ fileId });
+      setPassword(result.password);
+    } catch (error) {
+      setError('Could not get the password');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(password);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.error('Error copying password:', error);
+    }
+  };
+
+  if (password) {
+    return (
+      <span className="flex items-center gap-1">
+        <code className="px-2 py-1 rounded bg-white dark:bg-gray-900 text-xs text-gray-900 dark:text-white">
+          {password}
+        </code>
+        <button
+          onClick={handleCopy}
+          title="Copy password"
+          className="p-1 rounded text-gray-500 hover:text-gray-700 dark:hover:text-gray-300"
+        >
+          {copied ? <Check className="h-4 w-4" /> : <Copy className="h-4 w-4" />}
+        </button>
+      </span>
+    );
+  }
+
+  return (
+    <button
+      onClick={handleReveal}
+      disabled={loading}
+      title={error || 'Show the password needed to open this PDF'}
+      className={`flex items-center px-3 py-1 bg-gray-100 dark:bg-gray-700 rounded-lg
+               hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors text-sm disabled:opacity-50 ${
+                 error ? 'text-red-600 dark:text-red-400' : 'text-gray-700 dark:text-gray-300'
+               }`}
+    >
+      {loading ? <Loader2 className="h-4 w-4 mr-1 animate-spin" /> : <KeyRound className="h-4 w-4 mr-1" />}
+      Password
+    </button>
+  );
+};
+
+export default PdfPasswordButton;
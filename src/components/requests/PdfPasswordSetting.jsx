@@ -0,0 +1,62 @@
+import React, { useState } from 'react';
+import { KeyRound, Loader2 } from 'lucide-react';
+import { updateRequest } from '../../services/requestService';
+
+const OPTIONS = [
+  { value: '', label: 'As set for the organization' },
+  { value: 'true', label: 'Always' },
+  { value: 'false', label: 'Never' }
+];
+
+/**
+ * Whether response PDFs of a request get an open password
+ * Applies to PDFs uploaded after the change.
+ * @param {Object} request - Request with pdf_password_required (null follows the organization)
+ * @param {Function} onUpdated - Called with the updated request
+ */
+const PdfPasswordSetting = ({ request, onUpdated }) => {
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const value = request.pdf_password_required === null || request.pdf_password_required === undefined
+    ? ''
+    : String(request.pdf_password_required);
+
+  const handleChange = async (e) => {
+    try {
+      setSaving(true);
+      setError('');
+      const updated = await updateRequest(request.id, {
+        pdf_password_required: e.target.value === '' ? null : e.target.value === 'true'
+      });
+      onUpdated?.(updated);
+    } catch (error) {
+      setError('Failed to save');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-3 text-sm text-gray-600 dark:text-gray-400">
+      <KeyRound className="h-4 w-4" />
+      <label htmlFor="pdf_password_required">Password-protect response PDFs:</label>
+      <select
+        id="pdf_password_required"
+        value={value}
+        onChange={handleChange}
+        disabled={saving}
+        className="px-2 py-1 rounded border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-900
+                 text-gray-900 dark:text-white text-sm focus:outline-none focus:ring-1 focus:ring-black dark:focus:ring-white"
+      >
+        {OPTIONS.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+      {saving && <Loader2 className="h-4 w-4 animate-spin" />}
+      {error && <span className="text-red-600 dark:text-red-400">{error}</span>}
+    </div>
+  );
+};
+
+export default PdfPasswordSetting;
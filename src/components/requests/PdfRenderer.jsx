@@ -0,0 +1,489 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  Loader2,
+  ChevronLeft,
+  ChevronRight,
+  ChevronUp,
+  ChevronDown,
+  Download,
+  Lock,
+  ZoomIn,
+  ZoomOut,
+  MoveHorizontal,
+  RotateCw,
+  Printer,
+  PanelLeft,
+  Search
+} from 'lucide-react';
+import PdfThumbnails from './PdfThumbnails';
+import {
+  openPdf,
+  openPdfData,
+  renderPage,
+  createTextLayer,
+  isRenderCancelled,
+  findInPdf,
+  canPrintPdf,
+  printPdf
+} from '../../services/pdfViewerService';
+import { VIEWER_ZOOM } from '../../config/viewer';
+
+// Room left around the page when fitting it to the width of the viewer
+const PAGE_MARGIN = 32;
+
+const clampZoom = (zoom) => Math.min(VIEWER_ZOOM.MAX, Math.max(VIEWER_ZOOM.MIN, zoom));
+
+/**
+ * Renders a PDF page by page on a canvas, with thumbnails, zoom, rotation,
+ * text search, keyboard navigation and printing
+ * Text of secured PDFs cannot be selected or copied, and they are only
+ * printable when their security allows it.
+ * @param {string} fileUrl - Object URL of the PDF
+ * @param {boolean} isSecured - Whether the file was secured on upload
+ * @param {Function} onDownload - Called when the download button is clicked
+ * @param {Function} onPreparePrint - Resolves to { blob } of the copy to print instead of the one shown, or null
+ * @param {Function} onPrint - Called with that copy after the document was sent to the printer
+ */
+const PdfRenderer = ({ fileUrl, isSecured, onDownload, onPreparePrint, onPrint }) => {
+  const containerRef = useRef(null);
+  const canvasRef = useRef(null);
+  const textLayerRef = useRef(null);
+  const searchRef = useRef(null);
+  const [pdf, setPdf] = useState(null);
+  const [error, setError] = useState(null);
+  const [passwordPrompt, setPasswordPrompt] = useState(null);
+  const [password, setPassword] = useState('');
+  const [currentPage, setCurrentPage] = useState(1);
+  const [pageInput, setPageInput] = useState('1');
+  const [zoom, setZoom] = useState(null);
+  const [rotation, setRotation] = useState(0);
+  const [showThumbnails, setShowThumbnails] = useState(true);
+  const [textLayerDrawn, setTextLayerDrawn] = useState(0);
+  const [query, setQuery] = useState('');
+  const [search, setSearch] = useState({ query: '', matches: [], index: 0 });
+  const [searching, setSearching] = useState(false);
+  const [canPrint, setCanPrint] = useState(false);
+  const [printing, setPrinting] = useState(false);
+
+  // Open the document
+  useEffect(() => {
+    let cancelled = false;
+    setPdf(null);
+    setError(null);
+    setCurrentPage(1);
+    setZoom(null);
+    setSearch({ query: '', matches: [], index: 0 });
+
+    const loadingTask = openPdf(fileUrl, (submit, incorrect) => {
+      setPasswordPrompt({ submit, incorrect });
+    });
+
+    loadingTask.promise
+      .then(async (loaded) => {
+        const printable = await canPrintPdf(loaded, isSecured);
+        if (cancelled) return;
+        setPasswordPrompt(null);
+        setCanPrint(printable);
+        setPdf(loaded);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error('Error opening PDF:', err);
+        setError('Failed to open the PDF. Please try downloading instead.');
+      });
+
+    return () => {
+      cancelled = true;
+      loadingTask.destroy();
+    };
+  }, [fileUrl, isSecured]);
+
+  // Fit the page to the width of the viewer
+  const fitWidth = useCallback(async () => {
+    if (!pdf || !containerRef.current) return;
+    const page = await pdf.getPage(currentPage);
+    const viewport = page.getViewport({ scale: 1, rotation: (page.rotate + rotation) % 360 });
+    setZoom(clampZoom((containerRef.current.clientWidth - PAGE_MARGIN) / viewport.width));
+  }, [pdf, currentPage, rotation]);
+
+  // Start at the width of the viewer
+  useEffect(() => {
+    if (pdf && zoom === null) fitWidth();
+  }, [pdf, zoom, fitWidth]);
+
+  // Draw the page shown, with its text over it
+  useEffect(() => {
+    if (!pdf || zoom === null) return;
+    let cancelled = false;
+    let renderTask = null;
+    let textLayer = null;
+
+    const draw = async () => {
+      try {
+        const page = await pdf.getPage(currentPage);
+        if (cancelled) return;
+        const viewport = page.getViewport({ scale: zoom, rotation: (page.rotate + rotation) % 360 });
+        renderTask = renderPage(page, canvasRef.current, viewport);
+        textLayer = createTextLayer(page, textLayerRef.current, viewport);
+        await Promise.all([renderTask.promise, textLayer.render()]);
+        setTextLayerDrawn(count => count + 1);
+      } catch (err) {
+        if (isRenderCancelled(err)) return;
+        console.error(`Error rendering page ${currentPage}:`, err);
+        setError('Failed to render this page. Please try downloading instead.');
+      }
+    };
+
+    draw();
+    return () => {
+      cancelled = true;
+      if (renderTask) renderTask.cancel();
+      if (textLayer) textLayer.cancel();
+    };
+  }, [pdf, currentPage, zoom, rotation]);
+
+  // Highlight search matches on the page shown
+  useEffect(() => {
+    if (!textLayerRef.current) return;
+    const needle = search.query.toLowerCase();
+    const current = search.matches[search.index];
+    let index = 0;
+
+    textLayerRef.current.querySelectorAll('span').forEach(span => {
+      const isMatch = Boolean(needle) && span.textContent.toLowerCase().includes(needle);
+      const isCurrent = isMatch && current?.pageNumber === currentPage && current.index === index;
+      span.classList.toggle('highlight', isMatch);
+      span.classList.toggle('selected', isCurrent);
+      if (isCurrent) span.scrollIntoView({ block: 'center', inline: 'nearest' });
+      if (isMatch) index++;
+    });
+  }, [search, currentPage, textLayerDrawn]);
+
+  useEffect(() => {
+    setPageInput(String(currentPage));
+  }, [currentPage]);
+
+  const goToPage = useCallback((pageNumber) => {
+    if (!pdf) return;
+    setCurrentPage(Math.min(pdf.numPages, Math.max(1, pageNumber)));
+  }, [pdf]);
+
+  const changeZoom = useCallback((steps) => {
+    setZoom(prev => clampZoom(Math.round(((prev || 1) + steps * VIEWER_ZOOM.STEP) / VIEWER_ZOOM.STEP) * VIEWER_ZOOM.STEP));
+  }, []);
+
+  const rotate = useCallback(() => {
+    setRotation(prev => (prev + 90) % 360);
+  }, []);
+
+  // Move to the next (or previous) match, searching first when the query changed
+  const findNext = async (backwards = false) => {
+    if (!pdf || !query.trim()) return;
+
+    if (search.query !== query.trim()) {
+      try {
+        setSearching(true);
+        const matches = await findInPdf(pdf, query);
+        // Start from the page shown rather than the top of the document
+        const first = matches.findIndex(match => match.pageNumber >= currentPage);
+        const index = first === -1 ? 0 : first;
+        setSearch({ query: query.trim(), matches, index });
+        if (matches.length > 0) goToPage(matches[index].pageNumber);
+      } catch (err) {
+        console.error('Error searching PDF:', err);
+      } finally {
+        setSearching(false);
+      }
+      return;
+    }
+
+    if (search.matches.length === 0) return;
+    const count = search.matches.length;
+    const index = (search.index + (backwards ? count - 1 : 1)) % count;
+    setSearch(prev => ({ ...prev, index }));
+    goToPage(search.matches[index].pageNumber);
+  };
+
+  const handlePrint = useCallback(async () => {
+    if (!pdf || !canPrint) return;
+    try {
+      setPrinting(true);
+      const copy = onPreparePrint ? await onPreparePrint() : null;
+
+      if (copy) {
+        const loadingTask = openPdfData(await copy.blob.arrayBuffer());
+        try {
+          await printPdf(await loadingTask.promise, rotation);
+        } finally {
+          loadingTask.destroy();
+        }
+      } else {
+        await printPdf(pdf, rotation);
+      }
+
+      if (onPrint) onPrint(copy);
+    } catch (err) {
+      console.error('Error printing PDF:', err);
+      alert('Failed to print the document. Please try again.');
+    } finally {
+      setPrinting(false);
+    }
+  }, [pdf, canPrint, rotation, onPreparePrint, onPrint]);
+
+  // Keyboard navigation; keys typed into fields are left alone
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      const modifier = event.ctrlKey || event.metaKey;
+      if (modifier && event.key === 'f') {
+        event.preventDefault();
+        searchRef.current?.focus();
+        searchRef.current?.select();
+        return;
+      }
+      if (modifier && event.key === 'p') {
+        event.preventDefault();
+        handlePrint();
+        return;
+      }
+      if (modifier || event.altKey || ['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) return;
+
+      const actions = {
+        ArrowLeft: () => setCurrentPage(page => Math.max(1, page - 1)),
+        PageUp: () => setCurrentPage(page => Math.max(1, page - 1)),
+        ArrowRight: () => setCurrentPage(page => Math.min(pdf.numPages, page + 1)),
+        PageDown: () => setCurrentPage(page => Math.min(pdf.numPages, page + 1)),
+        Home: () => goToPage(1),
+        End: () => goToPage(pdf.numPages),
+        '+': () => changeZoom(1),
+        '=': () => changeZoom(1),
+        '-': () => changeZoom(-1),
+        '0': () => fitWidth(),
+        r: () => rotate()
+      };
+      if (!pdf || !actions[event.key]) return;
+      event.preventDefault();
+      actions[event.key]();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [pdf, goToPage, changeZoom, fitWidth, rotate, handlePrint]);
+
+  const handleSubmitPassword = (e) => {
+    e.preventDefault();
+    passwordPrompt.submit(password);
+    setPassword('');
+  };
+
+  const toolbarButton = 'p-1 rounded hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-50';
+
+  if (error) {
+    return (
+      <div className="flex flex-col items-center justify-center h-96">
+        <div className="bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-200 p-4 rounded-lg max-w-md text-center">
+          <p>{error}</p>
+          <button
+            onClick={onDownload}
+            className="mt-4 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors"
+          >
+            Try Downloading Instead
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (!pdf && passwordPrompt) {
+    return (
+      <div className="flex flex-col items-center justify-center h-96">
+        <form onSubmit={handleSubmitPassword} className="w-full max-w-xs space-y-3">
+          <p className="flex items-center text-sm text-gray-700 dark:text-gray-300">
+            <Lock className="h-4 w-4 mr-2" />
+            This PDF is password protected.
+          </p>
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Password"
+            autoFocus
+          />
+          {passwordPrompt.incorrect && (
+            <p className="text-sm text-red-600 dark:text-red-400">Incorrect password. Please try again.</p>
+          )}
+          <button
+            type="submit"
+            disabled={!password}
+            className="w-full px-4 py-2 bg-black dark:bg-white text-white dark:text-black rounded-lg
+                     hover:bg-gray-800 dark:hover:bg-gray-100 transition-colors disabled:opacity-50"
+          >
+            Open
+          </button>
+        </form>
+      </div>
+    );
+  }
+
+  if (!pdf) {
+    return (
+      <div className="flex flex-col items-center justify-center h-96">
+        <Loader2 className="h-12 w-12 animate-spin text-gray-400 mb-4" />
+        <p className="text-gray-500 dark:text-gray-400">Opening document...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex flex-col h-full">
+      <div className="bg-gray-100 dark:bg-gray-700 p-2 flex flex-wrap justify-between items-center gap-2 text-gray-700 dark:text-gray-200">
+        <div className="flex items-center gap-1">
+          <button
+            onClick={() => setShowThumbnails(prev => !prev)}
+            className={toolbarButton}
+            title={showThumbnails ? 'Hide thumbnails' : 'Show thumbnails'}
+          >
+            <PanelLeft className="h-5 w-5" />
+          </button>
+          <button
+            onClick={() => goToPage(currentPage - 1)}
+            disabled={currentPage <= 1}
+            className={toolbarButton}
+            title="Previous page"
+          >
+            <ChevronLeft className="h-5 w-5" />
+          </button>
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              goToPage(parseInt(pageInput, 10) || currentPage);
+            }}
+            className="flex items-center text-sm"
+          >
+            <input
+              type="number"
+              min={1}
+              max={pdf.numPages}
+              value={pageInput}
+              onChange={(e) => setPageInput(e.target.value)}
+              onBlur={() => setPageInput(String(currentPage))}
+              className="w-14 px-1 py-0.5 rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-center"
+              aria-label="Page"
+            />
+            <span className="ml-1">of {pdf.numPages}</span>
+          </form>
+          <button
+            onClick={() => goToPage(currentPage + 1)}
+            disabled={currentPage >= pdf.numPages}
+            className={toolbarButton}
+            title="Next page"
+          >
+            <ChevronRight className="h-5 w-5" />
+          </button>
+        </div>
+
+        <div className="flex items-center gap-1">
+          <button onClick={() => changeZoom(-1)} disabled={zoom <= VIEWER_ZOOM.MIN} className={toolbarButton} title="Zoom out">
+            <ZoomOut className="h-5 w-5" />
+          </button>
+          <span className="w-12 text-center text-sm">{Math.round((zoom || 1) * 100)}%</span>
+          <button onClick={() => changeZoom(1)} disabled={zoom >= VIEWER_ZOOM.MAX} className={toolbarButton} title="Zoom in">
+            <ZoomIn className="h-5 w-5" />
+          </button>
+          <button onClick={fitWidth} className={toolbarButton} title="Fit to width">
+            <MoveHorizontal className="h-5 w-5" />
+          </button>
+          <button onClick={rotate} className={toolbarButton} title="Rotate">
+            <RotateCw className="h-5 w-5" />
+          </button>
+        </div>
+
+        <div className="flex items-center gap-1">
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              findNext();
+            }}
+            className="flex items-center"
+          >
+            <div className="relative">
+              <Search className="absolute left-2 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400" />
+              <input
+                ref={searchRef}
+                type="search"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter' && e.shiftKey) {
+                    e.preventDefault();
+                    findNext(true);
+                  }
+                }}
+                placeholder="Find in document"
+                className="w-40 pl-7 pr-2 py-0.5 text-sm rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800"
+              />
+            </div>
+            {searching ? (
+              <Loader2 className="h-4 w-4 mx-2 animate-spin" />
+            ) : search.query && search.query === query.trim() && (
+              <span className="mx-2 text-xs whitespace-nowrap">
+                {search.matches.length === 0 ? 'No matches' : `${search.index + 1} of ${search.matches.length}`}
+              </span>
+            )}
+            <button type="button" onClick={() => findNext(true)} disabled={!query.trim()} className={toolbarButton} title="Previous match">
+              <ChevronUp className="h-5 w-5" />
+            </button>
+            <button type="button" onClick={() => findNext()} disabled={!query.trim()} className={toolbarButton} title="Next match">
+              <ChevronDown className="h-5 w-5" />
+            </button>
+          </form>
+
+          {isSecured && (
+            <div className="flex items-center mx-1 px-2 py-1 bg-blue-100 dark:bg-blue-900/30 text-blue-800 dark:text-blue-200 rounded-full text-xs">
+              <Lock className="h-3 w-3 mr-1" />
+              Secured
+            </div>
+          )}
+          <button
+            onClick={handlePrint}
+            disabled={!canPrint || printing}
+            className={toolbarButton}
+            title={canPrint ? 'Print' : 'This secured document cannot be printed'}
+          >
+            {printing ? <Loader2 className="h-5 w-5 animate-spin" /> : <Printer className="h-5 w-5" />}
+          </button>
+          <button onClick={onDownload} className={toolbarButton} title="Download">
+            <Download className="h-5 w-5" />
+          </button>
+        </div>
+      </div>
+
+      <div className="flex-1 flex min-h-0">
+        {showThumbnails && (
+          <div className="w-32 flex-shrink-0 border-r border-gray-200 dark:border-gray-700">
+            <PdfThumbnails
+              pdf={pdf}
+              currentPage={currentPage}
+              rotation={rotation}
+              matchPages={new Set(search.matches.map(match => match.pageNumber))}
+              onSelect={goToPage}
+            />
+          </div>
+        )}
+        <div ref={containerRef} className="flex-1 min-w-0 bg-gray-200 dark:bg-gray-800 overflow-auto">
+          <div className="w-max mx-auto p-4">
+            <div
+              className="relative bg-white shadow-md"
+              onCopy={(e) => isSecured && e.preventDefault()}
+              onContextMenu={(e) => isSecured && e.preventDefault()}
+            >
+              <canvas ref={canvasRef} className="block" />
+              <div ref={textLayerRef} className={`textLayer ${isSecured ? 'select-none' : ''}`} />
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PdfRenderer;
@@ -0,0 +1,101 @@
+import React, { useEffect, useRef } from 'react';
+import { renderPage, isRenderCancelled } from '../../services/pdfViewerService';
+import { THUMBNAIL_WIDTH } from '../../config/viewer';
+
+/**
+ * Thumbnail of one page, drawn once it scrolls into view
+ * @param {PDFDocumentProxy} pdf - The document
+ * @param {number} pageNumber - The page
+ * @param {number} rotation - Rotation applied in the viewer, in degrees
+ * @param {boolean} active - Whether this is the page shown
+ * @param {boolean} hasMatches - Whether the page contains search matches
+ * @param {Function} onSelect - Called with the page number when clicked
+ */
+const PdfThumbnail = ({ pdf, pageNumber, rotation, active, hasMatches, onSelect }) => {
+  const buttonRef = useRef(null);
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    let renderTask = null;
+    let cancelled = false;
+
+    const observer = new IntersectionObserver(async ([entry]) => {
+      if (!entry.isIntersecting) return;
+      observer.disconnect();
+
+      try {
+        const page = await pdf.getPage(pageNumber);
+        if (cancelled) return;
+        const unscaled = page.getViewport({ scale: 1, rotation: (page.rotate + rotation) % 360 });
+        const viewport = page.getViewport({
+          scale: THUMBNAIL_WIDTH / unscaled.width,
+          rotation: (page.rotate + rotation) % 360
+        });
+        renderTask = renderPage(page, canvasRef.current, viewport);
+        await renderTask.promise;
+      } catch (err) {
+        if (!isRenderCancelled(err)) console.error(`Error drawing thumbnail of page ${pageNumber}:`, err);
+      }
+    });
+
+    observer.observe(buttonRef.current);
+    return () => {
+      cancelled = true;
+      observer.disconnect();
+      if (renderTask) renderTask.cancel();
+    };
+  }, [pdf, pageNumber, rotation]);
+
+  // Keep the thumbnail of the page shown in view
+  useEffect(() => {
+    if (active) buttonRef.current.scrollIntoView({ block: 'nearest' });
+  }, [active]);
+
+  return (
+    <button
+      ref={buttonRef}
+      onClick={() => onSelect(pageNumber)}
+      className={`block mx-auto p-1 rounded border-2 transition-colors ${
+        active ? 'border-black dark:border-white' : 'border-transparent hover:border-gray-400'
+      }`}
+      title={`Page ${pageNumber}`}
+    >
+      <canvas
+        ref={canvasRef}
+        className="bg-white shadow-sm"
+        style={{ width: THUMBNAIL_WIDTH, minHeight: THUMBNAIL_WIDTH }}
+      />
+      <span className={`block mt-1 text-xs ${
+        hasMatches ? 'font-semibold text-yellow-700 dark:text-yellow-400' : 'text-gray-600 dark:text-gray-400'
+      }`}>
+        {pageNumber}
+      </span>
+    </button>
+  );
+};
+
+/**
+ * Page thumbnails of a PDF, for jumping to a page
+ * @param {PDFDocumentProxy} pdf - The document
+ * @param {number} currentPage - The page shown
+ * @param {number} rotation - Rotation applied in the viewer, in degrees
+ * @param {Set<number>} matchPages - Pages with search matches
+ * @param {Function} onSelect - Called with the page number of a clicked thumbnail
+ */
+const PdfThumbnails = ({ pdf, currentPage, rotation, matchPages, onSelect }) => (
+  <div className="h-full overflow-y-auto p-2 space-y-2 bg-gray-100 dark:bg-gray-900">
+    {Array.from({ length: pdf.numPages }, (_, index) => (
+      <PdfThumbnail
+        key={index + 1}
+        pdf={pdf}
+        pageNumber={index + 1}
+        rotation={rotation}
+        active={currentPage === index + 1}
+        hasMatches={matchPages.has(index + 1)}
+        onSelect={onSelect}
+      />
+    ))}
+  </div>
+);
+
+export default PdfThumbnails;
@@ -2,8 +2,18 @@ import React from 'react';
 import { motion } from 'framer-motion';
 import { Calendar, MessageSquare, FileText, ExternalLink, Clock } from 'lucide-react';
 import { formatDistanceToNow } from 'date-fns';
+import StatusBadge from './StatusBadge';
+import SlaBadge from './SlaBadge';
 
-const RequestCard = ({ request, onClick }) => {
+/**
+ * Summary card of a request in the request list
+ * @param {Object} request - The request
+ * @param {Function} onClick - Called when the card is clicked
+ * @param {boolean} selected - Whether the request is selected
+ * @param {Function} onSelect - Called with the new selection state; the
+ *   checkbox is only shown when given
+ */
+const RequestCard = ({ request, onClick, selected = false, onSelect }) => {
   const { 
     reference_number, 
     date_received, 
@@ -22,20 +32,6 @@ const RequestCard = ({ request, onClick }) => {
   // Calculate how long ago the request was created
   const timeAgo = formatDistanceToNow(new Date(created_at), { addSuffix: true });
 
-  // Determine status color
-  const getStatusColor = (status) => {
-    switch(status) {
-      case 'pending':
-        return 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-200';
-      case 'in_progress':
-        return 'bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-200';
-      case 'completed':
-        return 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-200';
-      default:
-        return 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-200';
-    }
-  };
-
   // Determine priority color
   const getPriorityColor = (priority) => {
     switch(priority) {
@@ -52,27 +48,32 @@ const RequestCard = ({ request, onClick }) => {
     }
   };
 
-  // Format status text for display
-  const formatStatus = (status) => {
-    return status.split('_').map(word => 
-      word.charAt(0).toUpperCase() + word.slice(1)
-    ).join(' ');
-  };
-
   return (
     <motion.div
       whileHover={{ scale: 1.01 }}
-      className="bg-white dark:bg-gray-800 rounded-xl shadow-sm overflow-hidden border border-gray-200 dark:border-gray-700 transition-all hover:shadow-md"
+      className={`bg-white dark:bg-gray-800 rounded-xl shadow-sm overflow-hidden border transition-all hover:shadow-md ${
+        selected ? 'border-gray-900 dark:border-white' : 'border-gray-200 dark:border-gray-700'
+      }`}
       onClick={onClick}
     >
       <div className="p-5">
         <div className="flex justify-between items-start">
-          <h3 className="text-lg font-semibold text-gray-900 dark:text-white truncate">
-            {reference_number}
-          </h3>
-          <span className={`px-2.5 py-0.5 rounded-full text-xs font-medium ${getStatusColor(status)}`}>
-            {formatStatus(status)}
-          </span>
+          <div className="flex items-center min-w-0">
+            {onSelect && (
+              <input
+                type="checkbox"
+                checked={selected}
+                onClick={(e) => e.stopPropagation()}
+                onChange={(e) => onSelect(e.target.checked)}
+                className="mr-3 h-4 w-4 rounded border-gray-300 dark:border-gray-600"
+                aria-label={`Select ${reference_number}`}
+              />
+            )}
+            <h3 className="text-lg font-semibold text-gray-900 dark:text-white truncate">
+              {reference_number}
+            </h3>
+          </div>
+          <StatusBadge status={status} showIcon={false} />
         </div>
 
         <p className="mt-2 text-sm text-gray-500 dark:text-gray-400 line-clamp-2">
@@ -89,10 +90,11 @@ const RequestCard = ({ request, onClick }) => {
           <span className="truncate">From: {sender_name}</span>
         </div>
 
-        <div className="mt-3 flex items-center">
+        <div className="mt-3 flex items-center gap-2">
           <span className={`px-2 py-0.5 text-xs rounded-full ${getPriorityColor(priority)}`}>
             {priority.charAt(0).toUpperCase() + priority.slice(1)} Priority
           </span>
+          <SlaBadge request={request} />
         </div>
 
         <div className="mt-4 pt-3 border-t border-gray-200 dark:border-gray-700 flex justify-between">
@@ -4,6 +4,7 @@ import {
   FileText, 
   MessageSquare,
   Download,
+  Eye,
   User,
   Loader2,
   AlertCircle,
@@ -11,24 +12,48 @@ import {
   X,
   Check,
   ChevronDown,
-  Trash2
+  Trash2,
+  ShieldAlert
 } from 'lucide-react';
 import { supabase } from '../../config/supabase';
 import { useAuth } from '../../hooks/useAuth';
+import usePermission from '../../hooks/usePermission';
+import { PERMISSIONS } from '../../config/permissions';
+import { useWorkflow } from '../../contexts/WorkflowContext';
+import { TRANSITION_FIELDS } from '../../config/workflow';
+import { getRequiredTransitionFields } from '../../utils/workflowUtils';
+import { transitionRequestStatus } from '../../services/workflowService';
+import { updateRequest, deleteRequest } from '../../services/requestService';
+import { downloadFile, getRequestFiles } from '../../services/fileService';
+import { groupVersions } from '../../services/versionService';
+import { isScanBlocked, describeScanHold } from '../../services/scanService';
+import { SCAN_STATUSES } from '../../config/scanning';
 import FileUploader from './FileUploader';
+import FileVersions from './FileVersions';
+import PdfPasswordButton from './PdfPasswordButton';
+import PdfPasswordSetting from './PdfPasswordSetting';
+import SlaBadge from './SlaBadge';
+import AssignmentControl from './AssignmentControl';
+import LegalHold from './LegalHold';
+import DocumentViewer from './DocumentViewer';
+import DownloadZipButton from './DownloadZipButton';
 import CommentSection from './CommentSection';
 import { format, formatDistanceToNow } from 'date-fns';
 
 const RequestDetails = ({ requestId, onClose, onUpdate }) => {
   const { user } = useAuth();
+  const { can } = usePermission();
+  const { workflow, getStatusLabel, getStatusBadgeClasses, getStatusCategory, getAvailableTransitions } = useWorkflow();
   const [request, setRequest] = useState(null);
   const [requestFiles, setRequestFiles] = useState([]);
+  const [viewingFile, setViewingFile] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [editing, setEditing] = useState(false);
   const [changingStatus, setChangingStatus] = useState(false);
   const [editData, setEditData] = useState({});
   const [newStatus, setNewStatus] = useState('');
+  const [transitionValues, setTransitionValues] = useState({});
   const [saving, setSaving] = useState(false);
   const [savingStatus, setSavingStatus] = useState(false);
   const [organizations, setOrganizations] = useState([]);
@@ -60,7 +85,8 @@ const RequestDetails = ({ requestId, onClose, onUpdate }) => {
           .from('v4_requests')
           .select(`
             *,
-            created_by_user:created_by (full_name, username)
+            created_by_user:created_by (full_name, username),
+            assigned_to_user:assigned_to (full_name, username)
           `)
           .eq('id', requestId)
           .single();
@@ -174,55 +200,35 @@ const RequestDetails = ({ requestId, onClose, onUpdate }) => {
     fetchOrganizations();
   }, [editing]);
 
+  // Reload the files, e.g. after a new version or a restore
+  const refreshFiles = async () => {
+    try {
+      setRequestFiles(await getRequestFiles(requestId));
+    } catch (error) {
+      // Keep the list shown
+    }
+  };
+
   // Download a file
-  const downloadFile = async (filePath, fileName) => {
+  const handleDownload = async (file) => {
     try {
-      const { data, error } = await supabase.storage
-        .from('request-files')
-        .download(filePath);
-        
-      if (error) throw error;
-      
-      // Create download link
-      const url = URL.createObjectURL(data);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = fileName;
-      document.body.appendChild(a);
-      a.click();
-      window.URL.revokeObjectURL(url);
-      a.remove();
+      await downloadFile(file.file_path, file.file_name, file.id);
     } catch (error) {
-      console.error('Error downloading file:', error);
       alert('Failed to download the file. Please try again.');
     }
   };
 
   // Permission checks
+  const isOwnRequest = () => request?.created_by === user?.id;
+
   const canEditRequest = () => {
     if (!user || !request) return false;
-    
-    // Administrators can edit any request
-    if (user.role === 'administrator') return true;
-    
-    // Regular users can only edit requests they created
-    if (user.role === 'user' && request.created_by === user.id) return true;
-    
-    // Organization users cannot edit requests
-    return false;
+    return can(PERMISSIONS.REQUESTS_EDIT) || (can(PERMISSIONS.REQUESTS_EDIT_OWN) && isOwnRequest());
   };
   
   const canDeleteRequest = () => {
     if (!user || !request) return false;
-    
-    // Administrators can delete any request
-    if (user.role === 'administrator') return true;
-    
-    // Regular users can only delete requests they created
-    if (user.role === 'user' && request.created_by === user.id) return true;
-    
-    // Organization users cannot delete requests
-    return false;
+    return can(PERMISSIONS.REQUESTS_DELETE) || (can(PERMISSIONS.REQUESTS_DELETE_OWN) && isOwnRequest());
   };
 
   // Update request data (for edit button)
@@ -260,20 +266,15 @@ const RequestDetails = ({ requestId, onClose, onUpdate }) => {
       }
       
       // Update the request
-      const { error } = await supabase
-        .from('v4_requests')
-        .update({
-          subject: editData.subject,
-          description: editData.description,
-          priority: editData.priority,
-          sender: editData.sender,
-          date_received: editData.date_received,
-          updated_by: user.id,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', requestId);
-        
-      if (error) throw error;
+      await updateRequest(requestId, {
+        subject: editData.subject,
+        description: editData.description,
+        priority: editData.priority,
+        sender: editData.sender,
+        date_received: editData.date_received,
+        updated_by: user.id,
+        updated_at: new Date().toISOString()
+      });
       
       setEditing(false);
       
@@ -291,82 +292,79 @@ const RequestDetails = ({ requestId, onClose, onUpdate }) => {
 
   // Update just the status
   const handleStatusChange = async () => {
+    if (newStatus === request.status) {
+      setChangingStatus(false);
+      return;
+    }
+    
     try {
       setSavingStatus(true);
       
-      // Only create notifications if status actually changed
-      if (newStatus !== request.status) {
-        // Notify the request creator
+      // Validate and apply the transition defined by the workflow
+      await transitionRequestStatus(workflow, request, newStatus, user, {
+        values: transitionValues,
+        files: requestFiles
+      });
+      
+      // Notify the request creator
+      if (request.created_by !== user.id) {
+        await createNotification(
+          request.created_by,
+          'Request Status Updated',
+          `Request ${request.reference_number} status has been changed to ${getStatusLabel(newStatus)} by ${user.full_name || 'a user'}.`
+        );
+      }
+      
+      // Notify organization users
+      const { data: orgUsers } = await supabase
+        .from('v4_user_organizations')
+        .select('user_id')
+        .eq('organization_id', request.sender);
+        
+      if (orgUsers && orgUsers.length > 0) {
+        // Create notifications for each organization user
+        const notificationPromises = orgUsers
+          .filter(orgUser => orgUser.user_id !== user.id) // Don't notify the current user
+          .map(orgUser => 
+            createNotification(
+              orgUser.user_id,
+              'Request Status Updated',
+              `Request ${request.reference_number} status has been changed to ${getStatusLabel(newStatus)}.`
+            )
+          );
+        
+        await Promise.all(notificationPromises);
+      }
+      
+      // Special notifications when the request reaches a completed status
+      if (getStatusCategory(newStatus) === 'completed') {
+        // Notify request creator of completion
         if (request.created_by !== user.id) {
           await createNotification(
             request.created_by,
-            'Request Status Updated',
-            `Request ${request.reference_number} status has been changed to ${formatStatus(newStatus)} by ${user.full_name || 'a user'}.`
+            'Request Completed',
+            `Request ${request.reference_number} has been marked as ${getStatusLabel(newStatus)} by ${user.full_name || 'a user'}.`
           );
         }
         
-        // Notify organization users
-        const { data: orgUsers } = await supabase
-          .from('v4_user_organizations')
-          .select('user_id')
-          .eq('organization_id', request.sender);
-          
+        // Notify organization users of completion
         if (orgUsers && orgUsers.length > 0) {
-          // Create notifications for each organization user
-          const notificationPromises = orgUsers
-            .filter(orgUser => orgUser.user_id !== user.id) // Don't notify the current user
+          const completionPromises = orgUsers
+            .filter(orgUser => orgUser.user_id !== user.id)
             .map(orgUser => 
               createNotification(
                 orgUser.user_id,
-                'Request Status Updated',
-                `Request ${request.reference_number} status has been changed to ${formatStatus(newStatus)}.`
+                'Request Completed',
+                `Request ${request.reference_number} has been marked as ${getStatusLabel(newStatus)}.`
               )
             );
           
-          await Promise.all(notificationPromises);
-        }
-        
-        // Special notifications for completed status
-        if (newStatus === 'completed') {
-          // Notify request creator of completion
-          if (request.created_by !== user.id) {
-            await createNotification(
-              request.created_by,
-              'Request Completed',
-              `Request ${request.reference_number} has been marked as completed by ${user.full_name || 'a user'}.`
-            );
-          }
-          
-          // Notify organization users of completion
-          if (orgUsers && orgUsers.length > 0) {
-            const completionPromises = orgUsers
-              .filter(orgUser => orgUser.user_id !== user.id)
-              .map(orgUser => 
-                createNotification(
-                  orgUser.user_id,
-                  'Request Completed',
-                  `Request ${request.reference_number} has been marked as completed.`
-                )
-              );
-            
-            await Promise.all(completionPromises);
-          }
+          await Promise.all(completionPromises);
         }
       }
       
-      // Update the request status
-      const { error } = await supabase
-        .from('v4_requests')
-        .update({
-          status: newStatus,
-          updated_by: user.id,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', requestId);
-        
-      if (error) throw error;
-      
       setChangingStatus(false);
+      setTransitionValues({});
       
       // Call update callback
       if (onUpdate) {
@@ -374,7 +372,7 @@ const RequestDetails = ({ requestId, onClose, onUpdate }) => {
       }
     } catch (error) {
       console.error('Error updating request status:', error);
-      alert('Failed to update status. Please try again.');
+      alert(error.message || 'Failed to update status. Please try again.');
     } finally {
       setSavingStatus(false);
     }
@@ -437,12 +435,7 @@ const RequestDetails = ({ requestId, onClose, onUpdate }) => {
       }
       
       // Delete the request (this will cascade delete files and comments due to DB constraints)
-      const { error } = await supabase
-        .from('v4_requests')
-        .delete()
-        .eq('id', requestId);
-        
-      if (error) throw error;
+      await deleteRequest(requestId);
       
       // Close the modal and refresh the list
       if (onClose) onClose();
@@ -488,27 +481,6 @@ const RequestDetails = ({ requestId, onClose, onUpdate }) => {
     }
   };
 
-  // Get status color
-  const getStatusColor = (status) => {
-    switch(status) {
-      case 'pending':
-        return 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-200';
-      case 'in_progress':
-        return 'bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-200';
-      case 'completed':
-        return 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-200';
-      default:
-        return 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-200';
-    }
-  };
-
-  // Format status text
-  const formatStatus = (status) => {
-    return status.split('_').map(word => 
-      word.charAt(0).toUpperCase() + word.slice(1)
-    ).join(' ');
-  };
-
   // Get priority badge color
   const getPriorityBadgeColor = (priority) => {
     switch(priority) {
@@ -525,9 +497,18 @@ const RequestDetails = ({ requestId, onClose, onUpdate }) => {
 
   // Check if user can upload files - now allowed for all statuses
   const canUpload = () => {
-    return (user.role === 'administrator' || user.role === 'user');
+    return can(PERMISSIONS.FILES_UPLOAD_RESPONSE);
   };
 
+  // Response documents with every version; only the current one is listed
+  const versionsByDocument = groupVersions(requestFiles.filter(file => file.is_response));
+
+  // Transitions the current user may take from the current status
+  const availableTransitions = request ? getAvailableTransitions(request.status, user.role) : [];
+  const selectedTransition = availableTransitions.find(t => t.to === newStatus);
+  const transitionInputFields = getRequiredTransitionFields(workflow, request, selectedTransition)
+    .filter(field => TRANSITION_FIELDS[field]?.kind === 'input');
+
   if (loading) {
     return (
       <div className="flex items-center justify-center min-h-[400px]">
@@ -578,6 +559,21 @@ const RequestDetails = ({ requestId, onClose, onUpdate }) => {
                 Created by: {request.created_by_user?.full_name || 'Unknown'}
               </span>
             </div>
+            <AssignmentControl
+              request={request}
+              onAssigned={(updated) => {
+                setRequest(prev => ({ ...prev, ...updated }));
+                if (onUpdate) onUpdate();
+              }}
+            />
+            {request.completed_at && (
+              <div className="mt-2">
+                <LegalHold
+                  request={request}
+                  onUpdated={(updated) => setRequest(prev => ({ ...prev, ...updated }))}
+                />
+              </div>
+            )}
           </div>
           
           <div className="flex flex-wrap items-center gap-2">
@@ -586,6 +582,9 @@ const RequestDetails = ({ requestId, onClose, onUpdate }) => {
               {request.priority.charAt(0).toUpperCase() + request.priority.slice(1)} Priority
             </div>
             
+            {/* SLA badge */}
+            <SlaBadge request={request} showDueDate />
+
             {/* Status dropdown */}
             <div className="relative">
               {changingStatus ? (
@@ -597,9 +596,12 @@ const RequestDetails = ({ requestId, onClose, onUpdate }) => {
                              bg-white dark:bg-gray-900 text-gray-900 dark:text-white text-xs
                              focus:outline-none focus:ring-1 focus:ring-black dark:focus:ring-white"
                   >
-                    <option value="pending">Pending</option>
-                    <option value="in_progress">In Progress</option>
-                    <option value="completed">Completed</option>
+                    <option value={request.status}>{getStatusLabel(request.status)}</option>
+                    {availableTransitions.map((transition) => (
+                      <option key={transition.to} value={transition.to}>
+                        {getStatusLabel(transition.to)}
+                      </option>
+                    ))}
                   </select>
                   <button
                     onClick={handleStatusChange}
@@ -613,20 +615,28 @@ const RequestDetails = ({ requestId, onClose, onUpdate }) => {
                     )}
                   </button>
                   <button
-                    onClick={() => setChangingStatus(false)}
+                    onClick={() => {
+                      setChangingStatus(false);
+                      setNewStatus(request.status);
+                      setTransitionValues({});
+                    }}
                     className="p-1 bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200 rounded-full"
                   >
                     <X className="h-4 w-4" />
                   </button>
                 </div>
-              ) : (
+              ) : availableTransitions.length > 0 ? (
                 <button 
                   onClick={() => setChangingStatus(true)}
-                  className={`flex items-center px-3 py-1 rounded-full text-xs font-medium ${getStatusColor(request.status)} hover:opacity-90`}
+                  className={`flex items-center px-3 py-1 rounded-full text-xs font-medium ${getStatusBadgeClasses(request.status)} hover:opacity-90`}
                 >
-                  {formatStatus(request.status)}
+                  {getStatusLabel(request.status)}
                   <ChevronDown className="h-3 w-3 ml-1" />
                 </button>
+              ) : (
+                <span className={`flex items-center px-3 py-1 rounded-full text-xs font-medium ${getStatusBadgeClasses(request.status)}`}>
+                  {getStatusLabel(request.status)}
+                </span>
               )}
             </div>
             
@@ -658,6 +668,34 @@ const RequestDetails = ({ requestId, onClose, onUpdate }) => {
           </div>
         </div>
         
+        {/* SLA breach reason */}
+        {request.sla_breach_reason && !editing && (
+          <div className="mt-4 p-3 bg-red-50 dark:bg-red-900/20 rounded-lg text-sm text-red-700 dark:text-red-200">
+            <span className="font-medium">Completed after SLA deadline:</span> {request.sla_breach_reason}
+          </div>
+        )}
+
+        {/* Fields required by the selected status transition */}
+        {changingStatus && transitionInputFields.length > 0 && (
+          <div className="mt-4 p-4 border border-gray-200 dark:border-gray-700 rounded-lg space-y-3">
+            {transitionInputFields.map((field) => (
+              <div key={field}>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  {TRANSITION_FIELDS[field].label}*
+                </label>
+                <textarea
+                  value={transitionValues[field] || ''}
+                  onChange={(e) => setTransitionValues(prev => ({ ...prev, [field]: e.target.value }))}
+                  rows="2"
+                  className="w-full px-3 py-2 text-sm rounded border border-gray-200 dark:border-gray-700
+                           bg-white dark:bg-gray-900 text-gray-900 dark:text-white
+                           focus:outline-none focus:ring-1 focus:ring-black dark:focus:ring-white"
+                />
+              </div>
+            ))}
+          </div>
+        )}
+        
         {/* Editing form */}
         {editing && (
           <div className="mt-4 p-4 border border-gray-200 dark:border-gray-700 rounded-lg">
@@ -813,10 +851,15 @@ const RequestDetails = ({ requestId, onClose, onUpdate }) => {
       
       {/* Files Section */}
       <div className="p-6 border-b border-gray-200 dark:border-gray-700">
-        <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4 flex items-center">
-          <FileText className="h-5 w-5 mr-2" />
-          Documents
-        </h3>
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white flex items-center">
+            <FileText className="h-5 w-5 mr-2" />
+            Documents
+          </h3>
+          {requestFiles.length > 0 && (
+            <DownloadZipButton requestIds={[requestId]} />
+          )}
+        </div>
         
         {/* Original request documents */}
         {requestFiles.some(file => file.is_original_request) && (
@@ -840,19 +883,38 @@ const RequestDetails = ({ requestId, onClose, onUpdate }) => {
                         </p>
                         <p className="text-xs text-gray-500 dark:text-gray-400">
                           {(file.file_size / 1024 / 1024).toFixed(2)} MB • Uploaded {formatDistanceToNow(new Date(file.created_at), { addSuffix: true })}
+                          {file.deletion_date && !request.legal_hold && ` • Deleted on ${format(new Date(file.deletion_date), 'PP')}`}
                         </p>
+                        {isScanBlocked(file) && (
+                          <p className="flex items-center text-xs text-red-600 dark:text-red-400">
+                            <ShieldAlert className="h-3 w-3 mr-1 flex-shrink-0" />
+                            {describeScanHold(file)}
+                          </p>
+                        )}
                       </div>
                     </div>
                     
-                    <button
-                      onClick={() => downloadFile(file.file_path, file.file_name)}
-                      className="flex items-center px-3 py-1 bg-gray-100 dark:bg-gray-700 rounded-lg
-                               text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600
-                               transition-colors text-sm"
-                    >
-                      <Download className="h-4 w-4 mr-1" />
-                      Download
-                    </button>
+                    <div className="flex items-center gap-2">
+                      <button
+                        onClick={() => setViewingFile(file)}
+                        className="flex items-center px-3 py-1 bg-gray-100 dark:bg-gray-700 rounded-lg
+                                 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600
+                                 transition-colors text-sm"
+                      >
+                        <Eye className="h-4 w-4 mr-1" />
+                        View
+                      </button>
+                      <button
+                        onClick={() => handleDownload(file)}
+                        disabled={isScanBlocked(file)}
+                        className="flex items-center px-3 py-1 bg-gray-100 dark:bg-gray-700 rounded-lg
+                                 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600
+                                 transition-colors text-sm disabled:opacity-50"
+                      >
+                        <Download className="h-4 w-4 mr-1" />
+                        Download
+                      </button>
+                    </div>
                   </div>
                 ))}
             </div>
@@ -868,40 +930,78 @@ const RequestDetails = ({ requestId, onClose, onUpdate }) => {
           {requestFiles.some(file => file.is_response) ? (
             <div className="space-y-2">
               {requestFiles
-                .filter(file => file.is_response)
+                .filter(file => file.is_response && file.is_current !== false)
                 .map((file) => (
-                  <div 
-                    key={file.id} 
-                    className="flex items-center justify-between p-3 bg-gray-50 dark:bg-gray-700/30 rounded-lg"
-                  >
-                    <div className="flex items-center space-x-3 overflow-hidden">
-                      <FileText className="h-5 w-5 text-gray-500 dark:text-gray-400" />
-                      <div className="min-w-0">
-                        <p className="text-sm font-medium text-gray-900 dark:text-white truncate">
-                          {file.file_name}
-                        </p>
-                        <div className="flex items-center">
-                          <p className="text-xs text-gray-500 dark:text-gray-400">
-                            {(file.file_size / 1024 / 1024).toFixed(2)} MB • Uploaded {formatDistanceToNow(new Date(file.created_at), { addSuffix: true })}
+                  <div key={file.id} className="bg-gray-50 dark:bg-gray-700/30 rounded-lg">
+                    <div className="flex items-center justify-between p-3">
+                      <div className="flex items-center space-x-3 overflow-hidden">
+                        <FileText className="h-5 w-5 text-gray-500 dark:text-gray-400" />
+                        <div className="min-w-0">
+                          <p className="text-sm font-medium text-gray-900 dark:text-white truncate">
+                            {file.file_name}
                           </p>
-                          {file.is_secured && (
-                            <span className="ml-2 px-2 py-0.5 text-xs font-medium bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-200 rounded-full">
-                              Secured
-                            </span>
+                          <div className="flex items-center">
+                            <p className="text-xs text-gray-500 dark:text-gray-400">
+                              {(file.file_size / 1024 / 1024).toFixed(2)} MB • Uploaded {formatDistanceToNow(new Date(file.created_at), { addSuffix: true })}
+                              {file.deletion_date && !request.legal_hold && ` • Deleted on ${format(new Date(file.deletion_date), 'PP')}`}
+                            </p>
+                            {file.is_secured && (
+                              <span className="ml-2 px-2 py-0.5 text-xs font-medium bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-200 rounded-full">
+                                Secured
+                              </span>
+                            )}
+                            {file.password_version && (
+                              <span className="ml-2 px-2 py-0.5 text-xs font-medium bg-purple-100 text-purple-800 dark:bg-purple-900/30 dark:text-purple-200 rounded-full">
+                                Password
+                              </span>
+                            )}
+                            {file.signature_id && (
+                              <span className="ml-2 px-2 py-0.5 text-xs font-medium bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-200 rounded-full">
+                                Signed
+                              </span>
+                            )}
+                          </div>
+                          {isScanBlocked(file) && (
+                            <p className="flex items-center text-xs text-red-600 dark:text-red-400">
+                              <ShieldAlert className="h-3 w-3 mr-1 flex-shrink-0" />
+                              {describeScanHold(file)}
+                            </p>
                           )}
                         </div>
                       </div>
-                    </div>
                     
-                    <button
-                      onClick={() => downloadFile(file.file_path, file.file_name)}
-                      className="flex items-center px-3 py-1 bg-gray-100 dark:bg-gray-700 rounded-lg
-                               text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600
-                               transition-colors text-sm"
-                    >
-                      <Download className="h-4 w-4 mr-1" />
-                      Download
-                    </button>
+                      <div className="flex items-center gap-2">
+                        {file.password_version && can(PERMISSIONS.FILES_PDF_PASSWORD_VIEW) && (
+                          <PdfPasswordButton fileId={file.id} />
+                        )}
+                        <button
+                          onClick={() => setViewingFile(file)}
+                          className="flex items-center px-3 py-1 bg-gray-100 dark:bg-gray-700 rounded-lg
+                                   text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600
+                                   transition-colors text-sm"
+                        >
+                          <Eye className="h-4 w-4 mr-1" />
+                          View
+                        </button>
+                        <button
+                          onClick={() => handleDownload(file)}
+                          disabled={isScanBlocked(file)}
+                          className="flex items-center px-3 py-1 bg-gray-100 dark:bg-gray-700 rounded-lg
+                                   text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600
+                                   transition-colors text-sm disabled:opacity-50"
+                        >
+                          <Download className="h-4 w-4 mr-1" />
+                          Download
+                        </button>
+                      </div>
+                    </div>
+                    <FileVersions
+                      file={file}
+                      versions={versionsByDocument[file.document_id] || [file]}
+                      onView={setViewingFile}
+                      onChanged={refreshFiles}
+                      onUploadComplete={handleFileUploadComplete}
+                    />
                   </div>
                 ))}
             </div>
@@ -918,6 +1018,10 @@ const RequestDetails = ({ requestId, onClose, onUpdate }) => {
             <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-3">
               Upload Response Files
             </h4>
+            <PdfPasswordSetting
+              request={request}
+              onUpdated={(updated) => setRequest(prev => ({ ...prev, ...updated }))}
+            />
             <FileUploader 
               requestId={request.id} 
               onUploadComplete={handleFileUploadComplete} 
@@ -968,6 +1072,20 @@ const RequestDetails = ({ requestId, onClose, onUpdate }) => {
           }}
         />
       </div>
+
+      {viewingFile && (
+        <DocumentViewer
+          filePath={viewingFile.file_path}
+          fileName={viewingFile.file_name}
+          fileType={viewingFile.file_type}
+          isSecured={viewingFile.is_secured}
+          fileId={viewingFile.id}
+          onClose={() => setViewingFile(null)}
+          onReleased={(fileId, filePath) => setRequestFiles(prev => prev.map(file => (
+            file.id === fileId ? { ...file, scan_status: SCAN_STATUSES.RELEASED, file_path: filePath } : file
+          )))}
+        />
+      )}
     </div>
   );
 };
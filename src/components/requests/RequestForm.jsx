@@ -3,13 +3,17 @@ import { motion } from 'framer-motion';
 import { AlertCircle, Loader2, Calendar } from 'lucide-react';
 import { supabase } from '../../config/supabase';
 import { useAuth } from '../../hooks/useAuth';
+import { useWorkflow } from '../../contexts/WorkflowContext';
+import LetterAutofill from './LetterAutofill';
 
 const RequestForm = ({ onSubmit, onCancel, isSubmitting = false, layoutType = "default" }) => {
   const { user } = useAuth();
+  const { getInitialStatus, getStatusLabel } = useWorkflow();
   const [organizations, setOrganizations] = useState([]);
   const [isDuplicate, setIsDuplicate] = useState(false);
   const [duplicateDetails, setDuplicateDetails] = useState(null);
   const [checkingRef, setCheckingRef] = useState(false);
+  const [letterFile, setLetterFile] = useState(null);
   
   const [formData, setFormData] = useState({
     reference_number: '',
@@ -85,6 +89,16 @@ const RequestForm = ({ onSubmit, onCancel, isSubmitting = false, layoutType = "d
     }
   };
 
+  // Fill in fields suggested from the scanned letter
+  const handleAcceptSuggestions = (fields) => {
+    setFormData((prev) => ({ ...prev, ...fields }));
+    setErrors((prev) => ({ ...prev, ...Object.fromEntries(Object.keys(fields).map(name => [name, null])) }));
+
+    if (fields.reference_number) {
+      checkDuplicateReference(fields.reference_number);
+    }
+  };
+
   // Validate form
   const validateForm = () => {
     const newErrors = {};
@@ -119,11 +133,11 @@ const RequestForm = ({ onSubmit, onCancel, isSubmitting = false, layoutType = "d
       const newRequest = {
         ...formData,
         created_by: user.id,
-        status: 'pending',
+        status: getInitialStatus(),
         is_duplicate: isDuplicate
       };
       
-      await onSubmit(newRequest);
+      await onSubmit(newRequest, { letterFile });
     } catch (error) {
       console.error('Error submitting request:', error);
       setErrors({ submit: 'Failed to submit request. Please try again.' });
@@ -134,6 +148,12 @@ const RequestForm = ({ onSubmit, onCancel, isSubmitting = false, layoutType = "d
   if (layoutType === "very-compact") {
     return (
       <form onSubmit={handleSubmit} className="space-y-4">
+        <LetterAutofill
+          organizations={organizations}
+          onAccept={handleAcceptSuggestions}
+          onLetterChange={setLetterFile}
+          disabled={isSubmitting}
+        />
         {/* Row 1: Ref Number, Date, Organization */}
         <div className="grid grid-cols-3 gap-4">
           {/* Reference Number */}
@@ -321,7 +341,7 @@ const RequestForm = ({ onSubmit, onCancel, isSubmitting = false, layoutType = "d
         {/* Duplicate warning (if needed) */}
         {isDuplicate && duplicateDetails && (
           <div className="p-3 bg-yellow-50 dark:bg-yellow-900/30 text-yellow-800 dark:text-yellow-200 rounded text-sm">
-            <p className="font-medium">Duplicate reference detected for request from {new Date(duplicateDetails.date_received).toLocaleDateString()} (Status: {duplicateDetails.status.toUpperCase()})</p>
+            <p className="font-medium">Duplicate reference detected for request from {new Date(duplicateDetails.date_received).toLocaleDateString()} (Status: {getStatusLabel(duplicateDetails.status).toUpperCase()})</p>
           </div>
         )}
       </form>
@@ -332,6 +352,12 @@ const RequestForm = ({ onSubmit, onCancel, isSubmitting = false, layoutType = "d
   if (layoutType === "compact") {
     return (
       <form onSubmit={handleSubmit} className="space-y-4">
+        <LetterAutofill
+          organizations={organizations}
+          onAccept={handleAcceptSuggestions}
+          onLetterChange={setLetterFile}
+          disabled={isSubmitting}
+        />
         {/* Row 1: Ref Number, Date, Organization */}
         <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
           {/* Reference Number */}
@@ -519,7 +545,7 @@ const RequestForm = ({ onSubmit, onCancel, isSubmitting = false, layoutType = "d
             <p className="mt-1">
               This reference number already exists for a request received on{' '}
               {new Date(duplicateDetails.date_received).toLocaleDateString()}. 
-              Current status: {duplicateDetails.status.toUpperCase()}
+              Current status: {getStatusLabel(duplicateDetails.status).toUpperCase()}
             </p>
             <p className="mt-1">You can continue with this reference if needed.</p>
           </div>
@@ -543,6 +569,12 @@ const RequestForm = ({ onSubmit, onCancel, isSubmitting = false, layoutType = "d
       )}
       
       <form onSubmit={handleSubmit} className="space-y-4">
+        <LetterAutofill
+          organizations={organizations}
+          onAccept={handleAcceptSuggestions}
+          onLetterChange={setLetterFile}
+          disabled={isSubmitting}
+        />
         <div>
           <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
             Reference Number*
@@ -578,7 +610,7 @@ const RequestForm = ({ onSubmit, onCancel, isSubmitting = false, layoutType = "d
               <p className="mt-1">
                 This reference number already exists for a request received on{' '}
                 {new Date(duplicateDetails.date_received).toLocaleDateString()}. 
-                Current status: {duplicateDetails.status.toUpperCase()}
+                Current status: {getStatusLabel(duplicateDetails.status).toUpperCase()}
               </p>
               <p className="mt-1">You can continue with this reference if needed.</p>
             </div>
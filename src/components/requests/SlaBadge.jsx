@@ -0,0 +1,40 @@
+import React from 'react';
+import { AlertTriangle, Clock, CheckCircle, XCircle } from 'lucide-react';
+import { format } from 'date-fns';
+import { useWorkflow } from '../../contexts/WorkflowContext';
+import { getSlaState } from '../../utils/slaUtils';
+import { SLA_STATE_LABELS, SLA_STATE_BADGES } from '../../config/sla';
+
+const SlaBadge = ({ request, showIcon = true, showDueDate = false }) => {
+  const { getStatusCategory } = useWorkflow();
+  const state = getSlaState(request, getStatusCategory(request?.status));
+
+  if (!state) return null;
+
+  // Get SLA state icon
+  const getSlaIcon = (state) => {
+    switch(state) {
+      case 'at_risk':
+        return <AlertTriangle className="h-3.5 w-3.5" />;
+      case 'breached':
+        return <XCircle className="h-3.5 w-3.5" />;
+      case 'met':
+        return <CheckCircle className="h-3.5 w-3.5" />;
+      default:
+        return <Clock className="h-3.5 w-3.5" />;
+    }
+  };
+
+  return (
+    <span
+      className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium whitespace-nowrap ${SLA_STATE_BADGES[state]}`}
+      title={`Due ${format(new Date(request.due_at), 'PPP')}`}
+    >
+      {showIcon && <span className="mr-1">{getSlaIcon(state)}</span>}
+      {SLA_STATE_LABELS[state]}
+      {showDueDate && ` · due ${format(new Date(request.due_at), 'dd MMM yyyy')}`}
+    </span>
+  );
+};
+
+export default SlaBadge;
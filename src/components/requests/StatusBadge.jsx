@@ -1,42 +1,21 @@
 import React from 'react';
-import { Clock, Loader2, CheckCircle } from 'lucide-react';
+import { Clock, Loader2, CheckCircle, XCircle } from 'lucide-react';
+import { useWorkflow } from '../../contexts/WorkflowContext';
 
 const StatusBadge = ({ status, size = 'md', showIcon = true }) => {
-  // Format status text for display
-  const formatStatus = (status) => {
-    if (!status) return 'Unknown';
-    return status.split('_').map(word => 
-      word.charAt(0).toUpperCase() + word.slice(1)
-    ).join(' ');
-  };
+  const { getStatusLabel, getStatusBadgeClasses, getStatusCategory } = useWorkflow();
 
-  // Get status color and icon
-  const getStatusInfo = (status) => {
-    switch(status) {
-      case 'pending':
-        return { 
-          bgColor: 'bg-yellow-100 dark:bg-yellow-900/30',
-          textColor: 'text-yellow-800 dark:text-yellow-200',
-          icon: <Clock className="h-4 w-4" />
-        };
+  // Get status icon from its workflow category
+  const getStatusIcon = (status) => {
+    switch(getStatusCategory(status)) {
       case 'in_progress':
-        return { 
-          bgColor: 'bg-blue-100 dark:bg-blue-900/30',
-          textColor: 'text-blue-800 dark:text-blue-200',
-          icon: <Loader2 className="h-4 w-4 animate-spin" />
-        };
+        return <Loader2 className="h-4 w-4 animate-spin" />;
       case 'completed':
-        return { 
-          bgColor: 'bg-green-100 dark:bg-green-900/30',
-          textColor: 'text-green-800 dark:text-green-200',
-          icon: <CheckCircle className="h-4 w-4" />
-        };
+        return <CheckCircle className="h-4 w-4" />;
+      case 'cancelled':
+        return <XCircle className="h-4 w-4" />;
       default:
-        return { 
-          bgColor: 'bg-gray-100 dark:bg-gray-700',
-          textColor: 'text-gray-800 dark:text-gray-200',
-          icon: <Clock className="h-4 w-4" />
-        };
+        return <Clock className="h-4 w-4" />;
     }
   };
 
@@ -47,13 +26,12 @@ const StatusBadge = ({ status, size = 'md', showIcon = true }) => {
     lg: 'px-3 py-1 text-sm',
   };
 
-  const { bgColor, textColor, icon } = getStatusInfo(status);
   const sizeClass = sizeClasses[size] || sizeClasses.md;
 
   return (
-    <span className={`inline-flex items-center rounded-full font-medium ${bgColor} ${textColor} ${sizeClass}`}>
-      {showIcon && <span className="mr-1">{icon}</span>}
-      {formatStatus(status)}
+    <span className={`inline-flex items-center rounded-full font-medium ${getStatusBadgeClasses(status)} ${sizeClass}`}>
+      {showIcon && <span className="mr-1">{getStatusIcon(status)}</span>}
+      {getStatusLabel(status)}
     </span>
   );
 };
@@ -0,0 +1,178 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Search, Loader2 } from 'lucide-react';
+import useRequestSearch from '../../hooks/useRequestSearch';
+import { SEARCH_MATCH_LABELS, SEARCH_SUGGESTION_LIMIT } from '../../config/search';
+import SearchSnippet from './SearchSnippet';
+
+// Shortest query that shows suggestions
+const MIN_QUERY_LENGTH = 2;
+
+/**
+ * Search box for the header
+ * Shows the best matches while typing; Enter opens the search page.
+ * @param {Function} onNavigate - Called after leaving the box for a result or the search page
+ * @param {string} className - Extra classes
+ */
+const GlobalSearch = ({ onNavigate, className = '' }) => {
+  const navigate = useNavigate();
+  const { search } = useRequestSearch();
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [count, setCount] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const containerRef = useRef(null);
+
+  // Fetch suggestions once typing pauses
+  useEffect(() => {
+    const trimmed = query.trim();
+    if (trimmed.length < MIN_QUERY_LENGTH) {
+      setResults([]);
+      setCount(0);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timeout = setTimeout(async () => {
+      try {
+        setLoading(true);
+        const { data, count } = await search(trimmed, { pageSize: SEARCH_SUGGESTION_LIMIT });
+        if (cancelled) return;
+        setResults(data);
+        setCount(count);
+        setActiveIndex(-1);
+      } catch (error) {
+        if (!cancelled) setResults([]);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [query, search]);
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const goTo = (path) => {
+    setIsOpen(false);
+    setQuery('');
+    navigate(path);
+    onNavigate?.();
+  };
+
+  const openSearchPage = () => {
+    const trimmed = query.trim();
+    if (trimmed) goTo(`/search?q=${encodeURIComponent(trimmed)}`);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setIsOpen(true);
+      setActiveIndex(prev => Math.min(prev + 1, results.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(prev => Math.max(prev - 1, -1));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (activeIndex >= 0 && results[activeIndex]) {
+        goTo(`/requests/${results[activeIndex].id}`);
+      } else {
+        openSearchPage();
+      }
+    } else if (e.key === 'Escape') {
+      setIsOpen(false);
+    }
+  };
+
+  const showDropdown = isOpen && query.trim().length >= MIN_QUERY_LENGTH;
+
+  return (
+    <div className={`relative ${className}`} ref={containerRef}>
+      <div className="relative">
+        <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400" />
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setIsOpen(true);
+          }}
+          onFocus={() => setIsOpen(true)}
+          onKeyDown={handleKeyDown}
+          placeholder="Search requests..."
+          aria-label="Search requests"
+          className="w-full pl-9 pr-8 py-2 rounded-full border border-gray-200 dark:border-gray-700
+                   bg-white dark:bg-gray-800 text-sm text-gray-900 dark:text-white placeholder-gray-400
+                   focus:outline-none focus:ring-2 focus:ring-black dark:focus:ring-white"
+        />
+        {loading && (
+          <Loader2 className="absolute right-3 top-1/2 -translate-y-1/2 h-4 w-4 animate-spin text-gray-400" />
+        )}
+      </div>
+
+      {showDropdown && (
+        <div className="absolute right-0 mt-2 w-96 max-w-[90vw] bg-white dark:bg-gray-800 rounded-lg shadow-lg
+                      border border-gray-200 dark:border-gray-700 z-20 overflow-hidden">
+          {results.length === 0 ? (
+            <p className="px-4 py-3 text-sm text-gray-500 dark:text-gray-400">
+              {loading ? 'Searching...' : 'No matching requests.'}
+            </p>
+          ) : (
+            <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100 dark:divide-gray-700">
+              {results.map((result, index) => (
+                <li key={result.id}>
+                  <button
+                    onClick={() => goTo(`/requests/${result.id}`)}
+                    onMouseEnter={() => setActiveIndex(index)}
+                    className={`w-full text-left px-4 py-3 ${
+                      index === activeIndex ? 'bg-gray-100 dark:bg-gray-700' : ''
+                    }`}
+                  >
+                    <div className="flex items-center justify-between gap-2">
+                      <span className="text-sm font-medium text-gray-900 dark:text-white truncate">
+                        {result.reference_number} · {result.subject}
+                      </span>
+                      {result.matched_in && (
+                        <span className="text-xs text-gray-500 dark:text-gray-400 whitespace-nowrap">
+                          {SEARCH_MATCH_LABELS[result.matched_in]}
+                        </span>
+                      )}
+                    </div>
+                    <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                      {result.sender_name}
+                    </p>
+                    <SearchSnippet snippet={result.snippet} className="mt-1 text-xs line-clamp-2" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          <button
+            onClick={openSearchPage}
+            className="w-full px-4 py-2 text-sm font-medium text-left border-t border-gray-200 dark:border-gray-700
+                     text-gray-900 dark:text-gray-100 hover:bg-gray-100 dark:hover:bg-gray-700"
+          >
+            {count > results.length ? `See all ${count} results` : 'Open search page'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GlobalSearch;
@@ -0,0 +1,28 @@
+import React from 'react';
+import { splitSnippet } from '../../utils/searchUtils';
+
+/**
+ * Search snippet with the matched words highlighted
+ * @param {string} snippet - Snippet from the search results
+ * @param {string} className - Extra classes
+ */
+const SearchSnippet = ({ snippet, className = '' }) => {
+  if (!snippet) return null;
+
+  return (
+    <p className={`text-sm text-gray-600 dark:text-gray-300 ${className}`}>
+      {splitSnippet(snippet).map((part, index) => part.highlighted ? (
+        <mark
+          key={index}
+          className="bg-yellow-100 dark:bg-yellow-900/40 text-gray-900 dark:text-white rounded px-0.5"
+        >
+          {part.text}
+        </mark>
+      ) : (
+        <span key={index}>{part.text}</span>
+      ))}
+    </p>
+  );
+};
+
+export default SearchSnippet;
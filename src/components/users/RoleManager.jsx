@@ -1,10 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { Shield, Check, X, Loader2 } from 'lucide-react';
-import { supabase } from '../../config/supabase';
-import { useAuth } from '../../hooks/useAuth';
+import { updateUser } from '../../services/userService';
 
 const RoleManager = ({ userId, currentRole, onRoleChange, disabled = false }) => {
-  const { user: currentUser } = useAuth();
   const [selectedRole, setSelectedRole] = useState(currentRole || 'user');
   const [isOpen, setIsOpen] = useState(false);
   const [loading, setLoading] = useState(false);
@@ -35,16 +33,7 @@ const RoleManager = ({ userId, currentRole, onRoleChange, disabled = false }) =>
     setError(null);
 
     try {
-      const { error } = await supabase
-        .from('users')
-        .update({
-          role,
-          updated_by: currentUser.username,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', userId);
-
-      if (error) throw error;
+      await updateUser(userId, { user_role_v4: role });
 
       setSelectedRole(role);
       if (onRoleChange) onRoleChange(role);
@@ -0,0 +1,26 @@
+// How an assignment rule picks a processor from its pool
+export const ASSIGNMENT_STRATEGIES = {
+  ROUND_ROBIN: 'round_robin',
+  LEAST_LOADED: 'least_loaded',
+};
+
+// Assignment strategy labels (for display)
+export const ASSIGNMENT_STRATEGY_LABELS = {
+  round_robin: 'Round robin',
+  least_loaded: 'Least loaded',
+};
+
+// Order in which "claim next" hands out unassigned requests; the
+// v4_claim_next_request database function uses the same order
+export const PRIORITY_RANK = {
+  urgent: 0,
+  high: 1,
+  normal: 2,
+  low: 3,
+};
+
+export default {
+  ASSIGNMENT_STRATEGIES,
+  ASSIGNMENT_STRATEGY_LABELS,
+  PRIORITY_RANK,
+};
@@ -0,0 +1,73 @@
+// Kinds of records the audit log tracks
+export const AUDIT_ENTITY_TYPES = {
+  REQUEST: 'request',
+  FILE: 'file',
+  ORGANIZATION: 'organization',
+  USER: 'user',
+  SETTING: 'setting',
+};
+
+// Audit entity type labels (for display)
+export const AUDIT_ENTITY_TYPE_LABELS = {
+  request: 'Request',
+  file: 'File',
+  organization: 'Organization',
+  user: 'User',
+  setting: 'Setting',
+};
+
+// Audit actions, named <entity>.<verb>
+export const AUDIT_ACTIONS = {
+  REQUEST_CREATED: 'request.created',
+  REQUEST_UPDATED: 'request.updated',
+  REQUEST_STATUS_CHANGED: 'request.status_changed',
+  REQUEST_COMPLETED: 'request.completed',
+  REQUEST_ASSIGNED: 'request.assigned',
+  REQUEST_DELETED: 'request.deleted',
+  REQUEST_LEGAL_HOLD_CHANGED: 'request.legal_hold_changed',
+  REQUEST_FILES_PURGED: 'request.files_purged',
+  FILE_UPLOADED: 'file.uploaded',
+  FILE_DOWNLOADED: 'file.downloaded',
+  FILE_PRINTED: 'file.printed',
+  FILE_DELETED: 'file.deleted',
+  FILE_PASSWORD_PROTECTED: 'file.password_protected',
+  FILE_PASSWORD_VIEWED: 'file.password_viewed',
+  FILE_SIGNED: 'file.signed',
+  FILE_INTEGRITY_CHECKED: 'file.integrity_checked',
+  FILE_QUARANTINED: 'file.quarantined',
+  FILE_RELEASED: 'file.released',
+  FILE_VERSION_RESTORED: 'file.version_restored',
+  ORGANIZATION_CREATED: 'organization.created',
+  ORGANIZATION_UPDATED: 'organization.updated',
+  ORGANIZATION_DELETED: 'organization.deleted',
+  ORGANIZATION_USER_ADDED: 'organization.user_added',
+  ORGANIZATION_USER_REMOVED: 'organization.user_removed',
+  ORGANIZATION_PRIMARY_SET: 'organization.primary_set',
+  ORGANIZATION_PDF_PASSWORD_ROTATED: 'organization.pdf_password_rotated',
+  USER_CREATED: 'user.created',
+  USER_UPDATED: 'user.updated',
+  USER_DELETED: 'user.deleted',
+  USER_PASSWORD_RESET: 'user.password_reset',
+  USER_UNLOCKED: 'user.unlocked',
+  USER_MFA_ENROLLED: 'user.mfa_enrolled',
+  USER_MFA_DISABLED: 'user.mfa_disabled',
+  USER_MFA_FAILED: 'user.mfa_failed',
+  USER_MFA_RECOVERY_CODE_USED: 'user.mfa_recovery_code_used',
+  USER_MFA_RESET: 'user.mfa_reset',
+  USER_MFA_REQUIREMENT_CHANGED: 'user.mfa_requirement_changed',
+  SETTING_UPDATED: 'setting.updated',
+};
+
+// Fields that are never written to the audit log
+export const AUDIT_REDACTED_FIELDS = ['password', 'temp_password'];
+
+// Fields that change on every write and add noise to diffs
+export const AUDIT_IGNORED_FIELDS = ['updated_at'];
+
+export default {
+  AUDIT_ENTITY_TYPES,
+  AUDIT_ENTITY_TYPE_LABELS,
+  AUDIT_ACTIONS,
+  AUDIT_REDACTED_FIELDS,
+  AUDIT_IGNORED_FIELDS,
+};
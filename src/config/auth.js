@@ -0,0 +1,39 @@
+// Ways an administrator can hand over new credentials
+export const CREDENTIAL_METHODS = {
+  TEMP_PASSWORD: 'temp_password',
+  RESET_LINK: 'reset_link',
+};
+
+// Credential method labels (for display)
+export const CREDENTIAL_METHOD_LABELS = {
+  temp_password: 'Temporary password',
+  reset_link: 'One-time reset link',
+};
+
+// Default lifetime of temporary passwords and reset links (hours)
+export const DEFAULT_CREDENTIAL_EXPIRY_HOURS =
+  Number(import.meta.env.VITE_CREDENTIAL_EXPIRY_HOURS) || 24;
+
+// Lifetimes an administrator can choose from (hours)
+export const CREDENTIAL_EXPIRY_OPTIONS = [1, 4, 24, 72];
+
+// Query parameter carrying a reset token on the login page
+export const RESET_TOKEN_PARAM = 'reset';
+
+// Password policy, checked in order; the server enforces the same rules
+export const PASSWORD_RULES = [
+  { test: (password) => password.length >= 8, message: 'Password must be at least 8 characters long', label: 'At least 8 characters' },
+  { test: (password) => /[A-Z]/.test(password), message: 'Must contain at least one uppercase letter', label: 'At least one uppercase letter' },
+  { test: (password) => /[a-z]/.test(password), message: 'Must contain at least one lowercase letter', label: 'At least one lowercase letter' },
+  { test: (password) => /[0-9]/.test(password), message: 'Must contain at least one number', label: 'At least one number' },
+  { test: (password) => /[!@#$%^&*]/.test(password), message: 'Must contain at least one special character (!@#$%^&*)', label: 'At least one special character (!@#$%^&*)' },
+];
+
+export default {
+  CREDENTIAL_METHODS,
+  CREDENTIAL_METHOD_LABELS,
+  DEFAULT_CREDENTIAL_EXPIRY_HOURS,
+  CREDENTIAL_EXPIRY_OPTIONS,
+  RESET_TOKEN_PARAM,
+  PASSWORD_RULES,
+};
@@ -4,20 +4,6 @@ export const STORAGE_BUCKETS = {
   USER_PROFILES: 'user-profiles',
 };
 
-// Request Status Options
-export const REQUEST_STATUS = {
-  PENDING: 'pending',
-  IN_PROGRESS: 'in_progress',
-  COMPLETED: 'completed',
-};
-
-// Request Status Labels (for display)
-export const REQUEST_STATUS_LABELS = {
-  pending: 'Pending',
-  in_progress: 'In Progress',
-  completed: 'Completed',
-};
-
 // Request Priority Options
 export const REQUEST_PRIORITIES = {
   LOW: 'low',
@@ -34,22 +20,18 @@ export const REQUEST_PRIORITY_LABELS = {
   urgent: 'Urgent',
 };
 
-// User Roles
+// User Roles (users.user_role_v4)
 export const USER_ROLES = {
-  ADMIN: 'admin',
-  SUPERVISOR: 'supervisor',
-  PROCESSOR: 'processor',
-  ORGANIZATION: 'organization',
+  ADMINISTRATOR: 'administrator',
   USER: 'user',
+  ORGANIZATION: 'organization',
 };
 
 // User Role Labels (for display)
 export const USER_ROLE_LABELS = {
-  admin: 'Administrator',
-  supervisor: 'Supervisor',
-  processor: 'Processor',
+  administrator: 'Administrator',
+  user: 'User',
   organization: 'Organization',
-  user: 'Regular User',
 };
 
 // Allowed file types for uploads
@@ -70,7 +52,7 @@ export const MAX_FILE_SIZE = 20 * 1024 * 1024;
 
 // PDF security options (for secured documents)
 export const PDF_SECURITY_OPTIONS = {
-  userPassword: null, // No password required to open
+  userPassword: null, // No password required to open; organizations that need one get it from the pdf-password function
   ownerPassword: 'secure-document', // Password for changing permissions
   permissions: {
     printing: 'highResolution',
@@ -98,9 +80,15 @@ export const DATE_FORMATS = {
   ISO: 'yyyy-MM-dd\'T\'HH:mm:ss.SSSxxx',
 };
 
-// Auto-deletion period in days
+// Default auto-deletion period in days, until administrators change the
+// default retention policy; the documents of completed requests are deleted
+// by the retention function (mirrors the migration)
 export const AUTO_DELETION_DAYS = 90; // 3 months
 
+// Days before deletion that organizations are reminded; the retention
+// function has its own copy in supabase/functions/_shared/retention.ts
+export const DELETION_REMINDER_DAYS = 14;
+
 // API endpoints (for reference)
 export const API_ENDPOINTS = {
   REQUESTS: 'requests',
@@ -119,6 +107,7 @@ export const NOTIFICATION_TYPES = {
   COMMENT_ADDED: 'comment_added',
   FILE_UPLOADED: 'file_uploaded',
   DELETION_REMINDER: 'deletion_reminder',
+  FILE_QUARANTINED: 'file_quarantined',
 };
 
 // Default application settings
@@ -130,8 +119,6 @@ export const APP_SETTINGS = {
 
 export default {
   STORAGE_BUCKETS,
-  REQUEST_STATUS,
-  REQUEST_STATUS_LABELS,
   REQUEST_PRIORITIES,
   REQUEST_PRIORITY_LABELS,
   USER_ROLES,
@@ -142,6 +129,7 @@ export default {
   PAGINATION_DEFAULTS,
   DATE_FORMATS,
   AUTO_DELETION_DAYS,
+  DELETION_REMINDER_DAYS,
   API_ENDPOINTS,
   NOTIFICATION_TYPES,
   APP_SETTINGS,
@@ -0,0 +1,33 @@
+// Conversion service for Word and Excel responses: a Gotenberg-compatible
+// LibreOffice endpoint that takes the document as the multipart "files" field
+// and answers with the PDF. Without it office responses cannot be uploaded.
+export const CONVERSION_SERVICE_URL = import.meta.env.VITE_CONVERSION_SERVICE_URL || '';
+
+// Seconds to wait for the conversion service before giving up
+export const CONVERSION_TIMEOUT_SECONDS =
+  Number(import.meta.env.VITE_CONVERSION_TIMEOUT_SECONDS) || 60;
+
+// Responses turned into PDFs in the browser
+export const CONVERTIBLE_IMAGE_TYPES = ['image/jpeg', 'image/png'];
+
+// Responses turned into PDFs by the conversion service
+export const CONVERTIBLE_OFFICE_TYPES = [
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+];
+
+// Page images are placed on (A4 in points), turned to landscape for wide
+// images, and the margin around them
+export const IMAGE_PAGE_SIZE = [595.28, 841.89];
+export const IMAGE_PAGE_MARGIN = 36;
+
+export default {
+  CONVERSION_SERVICE_URL,
+  CONVERSION_TIMEOUT_SECONDS,
+  CONVERTIBLE_IMAGE_TYPES,
+  CONVERTIBLE_OFFICE_TYPES,
+  IMAGE_PAGE_SIZE,
+  IMAGE_PAGE_MARGIN,
+};
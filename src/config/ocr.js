@@ -0,0 +1,51 @@
+// Language(s) scanned documents are read in, as tesseract language codes
+// joined with "+", e.g. "eng+fra"
+export const OCR_LANGUAGES = import.meta.env.VITE_OCR_LANGUAGES || 'eng';
+
+// Uploads that are read with OCR when they are original request documents.
+// PDFs are only read when they have no text layer of their own.
+export const OCR_IMAGE_TYPES = ['image/jpeg', 'image/png'];
+
+// Most pages of a scanned PDF that are read; later pages are skipped
+export const OCR_MAX_PAGES = 20;
+
+// Resolution pages of a scanned PDF are drawn at for OCR, in dots per inch
+export const OCR_RESOLUTION = 300;
+
+// Mean confidence (0-100) under which the text is flagged as unreliable
+export const OCR_LOW_CONFIDENCE = 60;
+
+// Where the extracted text of a file came from
+export const TEXT_SOURCES = {
+  DOCUMENT: 'document',
+  OCR: 'ocr',
+};
+
+// Reading of incoming letters to fill in the new request form.
+// Numeric dates such as 03/04/2024 are read day first unless set otherwise.
+export const LETTER_DATES_DAY_FIRST = import.meta.env.VITE_LETTER_DATES_DAY_FIRST !== 'false';
+
+// Lines at the top of a letter searched for the letterhead (sender) and date
+export const LETTER_HEADER_LINES = 15;
+
+// Similarity (0-1) an organization name needs to be proposed as the sender
+export const ORGANIZATION_MATCH_THRESHOLD = 0.6;
+
+// Confidence (0-100) from which a suggested field counts as high or medium
+export const SUGGESTION_CONFIDENCE = {
+  HIGH: 80,
+  MEDIUM: 55,
+};
+
+export default {
+  OCR_LANGUAGES,
+  OCR_IMAGE_TYPES,
+  OCR_MAX_PAGES,
+  OCR_RESOLUTION,
+  OCR_LOW_CONFIDENCE,
+  TEXT_SOURCES,
+  LETTER_DATES_DAY_FIRST,
+  LETTER_HEADER_LINES,
+  ORGANIZATION_MATCH_THRESHOLD,
+  SUGGESTION_CONFIDENCE,
+};
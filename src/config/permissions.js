@@ -0,0 +1,142 @@
+// Everything access control checks, named <area>.<action>. Routes,
+// navigation and buttons ask for a permission rather than a role.
+export const PERMISSIONS = {
+  DASHBOARD_ADMIN_VIEW: 'dashboard.admin.view',
+  DASHBOARD_USER_VIEW: 'dashboard.user.view',
+  DASHBOARD_ORGANIZATION_VIEW: 'dashboard.organization.view',
+  REQUESTS_VIEW: 'requests.view',
+  REQUESTS_VIEW_ALL: 'requests.view_all',
+  REQUESTS_CREATE: 'requests.create',
+  REQUESTS_PROCESS: 'requests.process',
+  REQUESTS_EDIT: 'requests.edit',
+  REQUESTS_EDIT_OWN: 'requests.edit_own',
+  REQUESTS_DELETE: 'requests.delete',
+  REQUESTS_DELETE_OWN: 'requests.delete_own',
+  REQUESTS_ASSIGN: 'requests.assign',
+  REQUESTS_LEGAL_HOLD: 'requests.legal_hold',
+  FILES_UPLOAD_RESPONSE: 'files.upload_response',
+  FILES_PDF_PASSWORD_VIEW: 'files.pdf_password.view',
+  FILES_QUARANTINE_MANAGE: 'files.quarantine.manage',
+  ORGANIZATIONS_MANAGE: 'organizations.manage',
+  ORGANIZATIONS_PROFILE_VIEW: 'organizations.profile.view',
+  USERS_MANAGE: 'users.manage',
+  REPORTS_REQUESTS_VIEW: 'reports.requests.view',
+  REPORTS_PERFORMANCE_VIEW: 'reports.performance.view',
+  REPORTS_ORGANIZATIONS_VIEW: 'reports.organizations.view',
+  REPORTS_CUSTOM_VIEW: 'reports.custom.view',
+  SETTINGS_WORKFLOW_MANAGE: 'settings.workflow.manage',
+  SETTINGS_SLA_MANAGE: 'settings.sla.manage',
+  SETTINGS_ASSIGNMENT_MANAGE: 'settings.assignment.manage',
+  SETTINGS_SECURITY_MANAGE: 'settings.security.manage',
+  SETTINGS_PERMISSIONS_MANAGE: 'settings.permissions.manage',
+  SETTINGS_DOCUMENTS_MANAGE: 'settings.documents.manage',
+  SETTINGS_RETENTION_MANAGE: 'settings.retention.manage',
+  AUDIT_VIEW: 'audit.view',
+  NOTIFICATIONS_VIEW: 'notifications.view',
+  SUPPORT_CONTACT: 'support.contact',
+};
+
+// Permission registry (for the permissions editor), grouped by area
+export const PERMISSION_GROUPS = [
+  {
+    name: 'Dashboards',
+    permissions: [
+      { key: 'dashboard.admin.view', label: 'Administrator dashboard' },
+      { key: 'dashboard.user.view', label: 'Processing dashboard' },
+      { key: 'dashboard.organization.view', label: 'Organization dashboard' },
+    ],
+  },
+  {
+    name: 'Requests',
+    permissions: [
+      { key: 'requests.view', label: 'View requests of their organizations' },
+      { key: 'requests.view_all', label: 'View all requests' },
+      { key: 'requests.create', label: 'Create requests' },
+      { key: 'requests.process', label: 'Process requests (status and details)' },
+      { key: 'requests.edit', label: 'Edit any request' },
+      { key: 'requests.edit_own', label: 'Edit requests they created' },
+      { key: 'requests.delete', label: 'Delete any request' },
+      { key: 'requests.delete_own', label: 'Delete requests they created' },
+      { key: 'requests.assign', label: 'Assign requests and see team workload' },
+      { key: 'requests.legal_hold', label: 'Place and release legal holds' },
+      { key: 'files.upload_response', label: 'Upload response files' },
+      { key: 'files.pdf_password.view', label: 'See open passwords of protected response PDFs' },
+      { key: 'files.quarantine.manage', label: 'Review and release quarantined uploads' },
+    ],
+  },
+  {
+    name: 'Organizations and Users',
+    permissions: [
+      { key: 'organizations.manage', label: 'Manage organizations' },
+      { key: 'organizations.profile.view', label: 'View their organization profile' },
+      { key: 'users.manage', label: 'Manage users' },
+    ],
+  },
+  {
+    name: 'Reports',
+    permissions: [
+      { key: 'reports.requests.view', label: 'Request reports' },
+      { key: 'reports.performance.view', label: 'Performance reports' },
+      { key: 'reports.organizations.view', label: 'Organization reports' },
+      { key: 'reports.custom.view', label: 'Custom reports' },
+    ],
+  },
+  {
+    name: 'Settings',
+    permissions: [
+      { key: 'settings.workflow.manage', label: 'Request workflow' },
+      { key: 'settings.sla.manage', label: 'Service levels' },
+      { key: 'settings.assignment.manage', label: 'Assignment rules' },
+      { key: 'settings.security.manage', label: 'Security' },
+      { key: 'settings.permissions.manage', label: 'Permissions' },
+      { key: 'settings.documents.manage', label: 'Document protection' },
+      { key: 'settings.retention.manage', label: 'Retention policies' },
+      { key: 'audit.view', label: 'Audit trail' },
+    ],
+  },
+  {
+    name: 'Other',
+    permissions: [
+      { key: 'notifications.view', label: 'Notification center' },
+      { key: 'support.contact', label: 'Contact support' },
+    ],
+  },
+];
+
+// Roles whose permissions cannot be edited; administrators always have
+// every permission so they can never lock themselves out
+export const LOCKED_ROLES = ['administrator'];
+
+// Permissions each role starts with, offered again by "Reset to defaults"
+// under Settings → Permissions; mirrors the rows seeded by the migrations.
+// Permission checks only use the rows in v4_role_permissions.
+export const DEFAULT_ROLE_PERMISSIONS = {
+  administrator: Object.values(PERMISSIONS),
+  user: [
+    'dashboard.user.view',
+    'requests.view',
+    'requests.view_all',
+    'requests.create',
+    'requests.process',
+    'requests.edit_own',
+    'requests.delete_own',
+    'files.upload_response',
+    'reports.requests.view',
+    'reports.organizations.view',
+  ],
+  organization: [
+    'dashboard.organization.view',
+    'requests.view',
+    'organizations.profile.view',
+    'files.pdf_password.view',
+    'notifications.view',
+    'support.contact',
+  ],
+};
+
+export default {
+  PERMISSIONS,
+  PERMISSION_GROUPS,
+  LOCKED_ROLES,
+  DEFAULT_ROLE_PERMISSIONS,
+};
@@ -0,0 +1,21 @@
+// Kinds of file a retention policy can target: what the organization sent
+// with the request, or what was sent back as the response
+export const FILE_KINDS = {
+  ORIGINAL: 'original',
+  RESPONSE: 'response',
+};
+
+// File kind labels (for display)
+export const FILE_KIND_LABELS = {
+  original: 'Original documents',
+  response: 'Response documents',
+};
+
+// How far ahead the retention settings list files due for deletion
+export const RETENTION_PREVIEW_DAYS = 30;
+
+export default {
+  FILE_KINDS,
+  FILE_KIND_LABELS,
+  RETENTION_PREVIEW_DAYS,
+};
@@ -0,0 +1,13 @@
+// Results of the scan every upload goes through (v4_request_files.scan_status).
+// Files uploaded before scanning was added have none.
+export const SCAN_STATUSES = {
+  PENDING: 'pending',
+  CLEAN: 'clean',
+  QUARANTINED: 'quarantined',
+  RELEASED: 'released',
+  FAILED: 'failed',
+};
+
+export default {
+  SCAN_STATUSES,
+};
@@ -0,0 +1,42 @@
+// Qualifiers that can narrow a search, e.g. `org:"City Council" status:pending`
+export const SEARCH_QUALIFIERS = {
+  ORGANIZATION: 'org',
+  STATUS: 'status',
+  REFERENCE: 'ref',
+};
+
+// Qualifier help (for display)
+export const SEARCH_QUALIFIER_HINTS = [
+  { example: 'org:"City Council"', description: 'Requests from organizations whose name contains the text' },
+  { example: 'status:pending', description: 'Requests with a status, by key or label' },
+  { example: 'ref:2024-15', description: 'Requests whose reference number contains the text' },
+];
+
+// Markers around the matched words in search snippets (set by v4_search_requests)
+export const SEARCH_HIGHLIGHT = {
+  START: '[[',
+  STOP: ']]',
+};
+
+// Where the best match of a result was found (for display)
+export const SEARCH_MATCH_LABELS = {
+  request: 'Request',
+  comment: 'Comment',
+  file: 'Document',
+  organization: 'Organization',
+};
+
+// Results per page on the search page
+export const SEARCH_PAGE_SIZE = 20;
+
+// Results shown under the header search box
+export const SEARCH_SUGGESTION_LIMIT = 5;
+
+export default {
+  SEARCH_QUALIFIERS,
+  SEARCH_QUALIFIER_HINTS,
+  SEARCH_HIGHLIGHT,
+  SEARCH_MATCH_LABELS,
+  SEARCH_PAGE_SIZE,
+  SEARCH_SUGGESTION_LIMIT,
+};
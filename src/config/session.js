@@ -0,0 +1,44 @@
+// Minutes of inactivity before a user is signed out, unless their role's
+// session policy says otherwise
+export const DEFAULT_IDLE_TIMEOUT_MINUTES =
+  Number(import.meta.env.VITE_IDLE_TIMEOUT_MINUTES) || 5;
+
+// Hours a session lasts before the user has to sign in again, unless their
+// role's session policy says otherwise; mirrors SESSION_TTL_SECONDS on the server
+export const DEFAULT_SESSION_LIFETIME_HOURS = 8;
+
+// Seconds of warning before an automatic sign-out
+export const SESSION_WARNING_SECONDS = 60;
+
+// Browser events that count as activity
+export const ACTIVITY_EVENTS = ['mousemove', 'keydown', 'click', 'scroll', 'touchstart'];
+
+// Activity is shared with other tabs at most this often (milliseconds)
+export const ACTIVITY_SYNC_INTERVAL_MS = 5000;
+
+// BroadcastChannel used to keep tabs of the app in step
+export const SESSION_CHANNEL_NAME = 'go-digital-session';
+
+// Messages sent between tabs
+export const SESSION_EVENTS = {
+  ACTIVITY: 'activity',
+  LOGIN: 'login',
+  LOGOUT: 'logout',
+};
+
+// Why a sign-out warning is showing
+export const SESSION_WARNING_REASONS = {
+  IDLE: 'idle',
+  EXPIRY: 'expiry',
+};
+
+export default {
+  DEFAULT_IDLE_TIMEOUT_MINUTES,
+  DEFAULT_SESSION_LIFETIME_HOURS,
+  SESSION_WARNING_SECONDS,
+  ACTIVITY_EVENTS,
+  ACTIVITY_SYNC_INTERVAL_MS,
+  SESSION_CHANNEL_NAME,
+  SESSION_EVENTS,
+  SESSION_WARNING_REASONS,
+};
@@ -0,0 +1,44 @@
+// SLA states a request can be in. Open requests are on track, at risk or
+// breached; completed requests either met their deadline or breached it.
+export const SLA_STATES = {
+  ON_TRACK: 'on_track',
+  AT_RISK: 'at_risk',
+  BREACHED: 'breached',
+  MET: 'met',
+};
+
+// SLA state labels (for display)
+export const SLA_STATE_LABELS = {
+  on_track: 'On Track',
+  at_risk: 'At Risk',
+  breached: 'Breached',
+  met: 'Met',
+};
+
+// SLA state badge classes
+export const SLA_STATE_BADGES = {
+  on_track: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-200',
+  at_risk: 'bg-orange-100 text-orange-800 dark:bg-orange-900/30 dark:text-orange-200',
+  breached: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-200',
+  met: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-200',
+};
+
+// Default response time per priority, in business days. Used until an
+// administrator saves policies; mirrors the rows seeded by the migration.
+export const DEFAULT_SLA_BUSINESS_DAYS = {
+  urgent: 1,
+  high: 3,
+  normal: 5,
+  low: 10,
+};
+
+// An open request is at risk once less than this share of its SLA window is left
+export const SLA_AT_RISK_RATIO = 0.25;
+
+export default {
+  SLA_STATES,
+  SLA_STATE_LABELS,
+  SLA_STATE_BADGES,
+  DEFAULT_SLA_BUSINESS_DAYS,
+  SLA_AT_RISK_RATIO,
+};
@@ -0,0 +1,61 @@
+// Kinds of file with their own upload size limit, and the types they cover;
+// kept in step with supabase/functions/_shared/uploadLimits.ts
+export const UPLOAD_CATEGORIES = {
+  pdf: {
+    label: 'PDF',
+    types: ['application/pdf'],
+  },
+  word: {
+    label: 'Word',
+    types: [
+      'application/msword',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    ],
+  },
+  excel: {
+    label: 'Excel',
+    types: [
+      'application/vnd.ms-excel',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    ],
+  },
+  image: {
+    label: 'Image',
+    types: ['image/jpeg', 'image/png'],
+  },
+};
+
+// Upload size limits in MB until an administrator changes them; mirrors the
+// rows seeded by the migration
+export const DEFAULT_UPLOAD_LIMITS_MB = {
+  pdf: 200,
+  word: 50,
+  excel: 50,
+  image: 25,
+};
+
+// Supabase Storage endpoint for resumable (tus) uploads
+export const RESUMABLE_UPLOAD_URL = `${import.meta.env.VITE_SUPABASE_URL}/storage/v1/upload/resumable`;
+
+// Size of each uploaded chunk. Supabase Storage only accepts 6MB chunks.
+export const UPLOAD_CHUNK_SIZE = 6 * 1024 * 1024;
+
+// Files uploaded at the same time
+export const UPLOAD_CONCURRENCY = 3;
+
+// Waits in milliseconds before each retry of a failed chunk; once they are
+// used up the upload fails and can be resumed by hand
+export const UPLOAD_RETRY_DELAYS = [1000, 3000, 5000, 10000, 20000];
+
+// Hours an unfinished upload can be resumed; Supabase Storage discards it after 24
+export const UPLOAD_RESUME_HOURS = 24;
+
+export default {
+  UPLOAD_CATEGORIES,
+  DEFAULT_UPLOAD_LIMITS_MB,
+  RESUMABLE_UPLOAD_URL,
+  UPLOAD_CHUNK_SIZE,
+  UPLOAD_CONCURRENCY,
+  UPLOAD_RETRY_DELAYS,
+  UPLOAD_RESUME_HOURS,
+};
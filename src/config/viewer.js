@@ -0,0 +1,24 @@
+// Zoom of the PDF viewer, as a fraction of the page's actual size
+export const VIEWER_ZOOM = {
+  MIN: 0.25,
+  MAX: 4,
+  STEP: 0.25,
+};
+
+// Width of the page thumbnails, in CSS pixels
+export const THUMBNAIL_WIDTH = 96;
+
+// Resolution pages are rendered at for printing, in dots per inch
+export const PRINT_RESOLUTION = 150;
+
+// Whether secured PDFs can be printed from the viewer. Off unless
+// VITE_SECURED_PDF_PRINTING=true; printed response PDFs are then stamped
+// like a download first.
+export const SECURED_PDF_PRINTING = import.meta.env.VITE_SECURED_PDF_PRINTING === 'true';
+
+export default {
+  VIEWER_ZOOM,
+  THUMBNAIL_WIDTH,
+  PRINT_RESOLUTION,
+  SECURED_PDF_PRINTING,
+};
@@ -0,0 +1,47 @@
+// When response PDFs are stamped. On upload every recipient gets the same
+// copy; on download each copy carries who downloaded it and when.
+export const WATERMARK_STAMP_ON = {
+  UPLOAD: 'upload',
+  DOWNLOAD: 'download',
+};
+
+// Stamp moment labels (for display)
+export const WATERMARK_STAMP_ON_LABELS = {
+  upload: 'When the response is uploaded',
+  download: 'Each time it is downloaded',
+};
+
+// Placeholders the watermark template can use
+export const WATERMARK_PLACEHOLDERS = [
+  { key: '{organization}', description: 'Recipient organization' },
+  { key: '{reference}', description: 'Request reference number' },
+  { key: '{user}', description: 'User who uploaded or downloaded the file' },
+  { key: '{timestamp}', description: 'Date and time of the upload or download' },
+  { key: '{id}', description: 'Identifier of this copy' },
+];
+
+// Watermark settings used until an administrator saves them; mirrors the
+// row seeded by the migration
+export const DEFAULT_WATERMARK_SETTINGS = {
+  enabled: true,
+  stamp_on: 'download',
+  template: '{organization} • {reference} • {user} • {timestamp}',
+  opacity: 0.15,
+  font_size: 28,
+};
+
+// Angle of the visible watermark, in degrees from the page's bottom edge
+export const WATERMARK_ANGLE = 45;
+
+// Prefix of the copy identifier hidden in a stamped PDF's keywords and
+// in invisible text on each page
+export const WATERMARK_ID_PREFIX = 'wmid:';
+
+export default {
+  WATERMARK_STAMP_ON,
+  WATERMARK_STAMP_ON_LABELS,
+  WATERMARK_PLACEHOLDERS,
+  DEFAULT_WATERMARK_SETTINGS,
+  WATERMARK_ANGLE,
+  WATERMARK_ID_PREFIX,
+};
@@ -0,0 +1,151 @@
+// Status categories - every workflow status belongs to exactly one category.
+// Reports and dashboards aggregate on categories so they keep working when
+// administrators add or rename statuses.
+export const STATUS_CATEGORIES = {
+  PENDING: 'pending',
+  IN_PROGRESS: 'in_progress',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+};
+
+// Status category labels (for display)
+export const STATUS_CATEGORY_LABELS = {
+  pending: 'Pending',
+  in_progress: 'In Progress',
+  completed: 'Completed',
+  cancelled: 'Cancelled',
+};
+
+// Colors a status can use. Tailwind classes are spelled out in full so they
+// survive purging; chart colors are used by recharts and the Excel exports.
+export const STATUS_COLOR_PALETTE = {
+  yellow: {
+    badge: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-200',
+    chart: '#F59E0B',
+  },
+  blue: {
+    badge: 'bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-200',
+    chart: '#3B82F6',
+  },
+  green: {
+    badge: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-200',
+    chart: '#10B981',
+  },
+  red: {
+    badge: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-200',
+    chart: '#EF4444',
+  },
+  purple: {
+    badge: 'bg-purple-100 text-purple-800 dark:bg-purple-900/30 dark:text-purple-200',
+    chart: '#8B5CF6',
+  },
+  indigo: {
+    badge: 'bg-indigo-100 text-indigo-800 dark:bg-indigo-900/30 dark:text-indigo-200',
+    chart: '#6366F1',
+  },
+  orange: {
+    badge: 'bg-orange-100 text-orange-800 dark:bg-orange-900/30 dark:text-orange-200',
+    chart: '#F97316',
+  },
+  cyan: {
+    badge: 'bg-cyan-100 text-cyan-800 dark:bg-cyan-900/30 dark:text-cyan-200',
+    chart: '#06B6D4',
+  },
+  gray: {
+    badge: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-200',
+    chart: '#9CA3AF',
+  },
+};
+
+// Fields a transition can require before it is allowed.
+// 'input' fields are captured in the status change form and stored with the
+// status history entry; 'request' fields must already be set on the request.
+export const TRANSITION_FIELDS = {
+  comment: {
+    label: 'Comment',
+    kind: 'input',
+  },
+  reason: {
+    label: 'Reason',
+    kind: 'input',
+  },
+  assigned_to: {
+    label: 'Assigned processor',
+    kind: 'request',
+  },
+  response_file: {
+    label: 'At least one response file',
+    kind: 'request',
+  },
+  // Added automatically when a request is completed after its SLA deadline
+  sla_breach_reason: {
+    label: 'SLA breach reason',
+    kind: 'input',
+    system: true,
+  },
+};
+
+// Roles that can be granted a transition
+export const WORKFLOW_ROLES = ['administrator', 'user', 'organization'];
+
+// Default workflow - used until an administrator saves a custom one.
+// Matches the original pending / in progress / completed behaviour.
+export const DEFAULT_WORKFLOW = {
+  name: 'Standard',
+  statuses: [
+    { key: 'pending', label: 'Pending', color: 'yellow', category: 'pending', initial: true },
+    { key: 'in_progress', label: 'In Progress', color: 'blue', category: 'in_progress' },
+    { key: 'completed', label: 'Completed', color: 'green', category: 'completed' },
+  ],
+  transitions: [
+    { from: 'pending', to: 'in_progress', roles: ['administrator', 'user'], requiredFields: [] },
+    { from: 'pending', to: 'completed', roles: ['administrator', 'user'], requiredFields: [] },
+    { from: 'in_progress', to: 'pending', roles: ['administrator', 'user'], requiredFields: [] },
+    { from: 'in_progress', to: 'completed', roles: ['administrator', 'user'], requiredFields: [] },
+    { from: 'completed', to: 'in_progress', roles: ['administrator', 'user'], requiredFields: ['reason'] },
+  ],
+};
+
+// Ready-made workflows administrators can start from
+export const WORKFLOW_PRESETS = {
+  standard: DEFAULT_WORKFLOW,
+  review: {
+    name: 'Review and dispatch',
+    statuses: [
+      { key: 'received', label: 'Received', color: 'yellow', category: 'pending', initial: true },
+      { key: 'triaged', label: 'Triaged', color: 'orange', category: 'pending' },
+      { key: 'awaiting_clarification', label: 'Awaiting Clarification', color: 'purple', category: 'in_progress' },
+      { key: 'in_review', label: 'In Review', color: 'blue', category: 'in_progress' },
+      { key: 'approved', label: 'Approved', color: 'indigo', category: 'in_progress' },
+      { key: 'dispatched', label: 'Dispatched', color: 'cyan', category: 'completed' },
+      { key: 'closed', label: 'Closed', color: 'green', category: 'completed' },
+      { key: 'rejected', label: 'Rejected', color: 'red', category: 'cancelled' },
+      { key: 'withdrawn', label: 'Withdrawn', color: 'gray', category: 'cancelled' },
+    ],
+    transitions: [
+      { from: 'received', to: 'triaged', roles: ['administrator', 'user'], requiredFields: [] },
+      { from: 'triaged', to: 'awaiting_clarification', roles: ['administrator', 'user'], requiredFields: ['comment'] },
+      { from: 'triaged', to: 'in_review', roles: ['administrator', 'user'], requiredFields: ['assigned_to'] },
+      { from: 'awaiting_clarification', to: 'in_review', roles: ['administrator', 'user'], requiredFields: [] },
+      { from: 'in_review', to: 'approved', roles: ['administrator'], requiredFields: [] },
+      { from: 'in_review', to: 'awaiting_clarification', roles: ['administrator', 'user'], requiredFields: ['comment'] },
+      { from: 'approved', to: 'dispatched', roles: ['administrator', 'user'], requiredFields: ['response_file'] },
+      { from: 'dispatched', to: 'closed', roles: ['administrator'], requiredFields: [] },
+      { from: 'received', to: 'rejected', roles: ['administrator'], requiredFields: ['reason'] },
+      { from: 'triaged', to: 'rejected', roles: ['administrator'], requiredFields: ['reason'] },
+      { from: 'in_review', to: 'rejected', roles: ['administrator'], requiredFields: ['reason'] },
+      { from: 'received', to: 'withdrawn', roles: ['administrator', 'organization'], requiredFields: ['reason'] },
+      { from: 'awaiting_clarification', to: 'withdrawn', roles: ['administrator', 'organization'], requiredFields: ['reason'] },
+    ],
+  },
+};
+
+export default {
+  STATUS_CATEGORIES,
+  STATUS_CATEGORY_LABELS,
+  STATUS_COLOR_PALETTE,
+  TRANSITION_FIELDS,
+  WORKFLOW_ROLES,
+  DEFAULT_WORKFLOW,
+  WORKFLOW_PRESETS,
+};
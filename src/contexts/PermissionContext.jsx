@@ -0,0 +1,56 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import { fetchRolePermissions } from '../services/permissionService';
+
+// Create context
+const PermissionContext = createContext();
+
+/**
+ * Provider component for the role → permission mappings
+ */
+export const PermissionProvider = ({ children }) => {
+  const [rolePermissions, setRolePermissions] = useState({});
+  const [loading, setLoading] = useState(true);
+
+  /**
+   * Load the saved mappings from the database
+   * They are the only source: if they cannot be loaded, roles other than
+   * administrator get no permissions, as the functions would refuse them.
+   */
+  const refreshPermissions = useCallback(async () => {
+    setLoading(true);
+    try {
+      setRolePermissions(await fetchRolePermissions());
+    } catch (error) {
+      setRolePermissions({});
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    refreshPermissions();
+  }, [refreshPermissions]);
+
+  const value = useMemo(() => ({
+    rolePermissions,
+    loading,
+    refreshPermissions
+  }), [rolePermissions, loading, refreshPermissions]);
+
+  return (
+    <PermissionContext.Provider value={value}>
+      {children}
+    </PermissionContext.Provider>
+  );
+};
+
+/**
+ * Hook for using the permission context
+ */
+export const usePermissionContext = () => {
+  const context = useContext(PermissionContext);
+  if (context === undefined) {
+    throw new Error('usePermissionContext must be used within a PermissionProvider');
+  }
+  return context;
+};
@@ -0,0 +1,69 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import { DEFAULT_WORKFLOW } from '../config/workflow';
+import { getActiveWorkflow } from '../services/workflowService';
+import {
+  getStatusLabel,
+  getStatusBadgeClasses,
+  getStatusChartColor,
+  getStatusCategory,
+  getStatusesByCategory,
+  getInitialStatus,
+  getAvailableTransitions,
+} from '../utils/workflowUtils';
+
+// Create context
+const WorkflowContext = createContext();
+
+/**
+ * Provider component for the active request workflow
+ */
+export const WorkflowProvider = ({ children }) => {
+  const [workflow, setWorkflow] = useState(DEFAULT_WORKFLOW);
+  const [loading, setLoading] = useState(true);
+
+  /**
+   * Load the active workflow from the database
+   */
+  const refreshWorkflow = useCallback(async () => {
+    setLoading(true);
+    const activeWorkflow = await getActiveWorkflow();
+    setWorkflow(activeWorkflow);
+    setLoading(false);
+  }, []);
+
+  useEffect(() => {
+    refreshWorkflow();
+  }, [refreshWorkflow]);
+
+  const value = useMemo(() => ({
+    workflow,
+    statuses: workflow.statuses,
+    loading,
+    refreshWorkflow,
+    setWorkflow,
+    getStatusLabel: (status) => getStatusLabel(workflow, status),
+    getStatusBadgeClasses: (status) => getStatusBadgeClasses(workflow, status),
+    getStatusChartColor: (status) => getStatusChartColor(workflow, status),
+    getStatusCategory: (status) => getStatusCategory(workflow, status),
+    getStatusesByCategory: (categories) => getStatusesByCategory(workflow, categories),
+    getInitialStatus: () => getInitialStatus(workflow),
+    getAvailableTransitions: (fromStatus, role) => getAvailableTransitions(workflow, fromStatus, role)
+  }), [workflow, loading, refreshWorkflow]);
+
+  return (
+    <WorkflowContext.Provider value={value}>
+      {children}
+    </WorkflowContext.Provider>
+  );
+};
+
+/**
+ * Hook for using the workflow context
+ */
+export const useWorkflow = () => {
+  const context = useContext(WorkflowContext);
+  if (context === undefined) {
+    throw new Error('useWorkflow must be used within a WorkflowProvider');
+  }
+  return context;
+};
@@ -0,0 +1,56 @@
+import { useMemo, useCallback } from 'react';
+import { useAuth } from './useAuth';
+import { usePermissionContext } from '../contexts/PermissionContext';
+import { useWorkflow } from '../contexts/WorkflowContext';
+import { PERMISSIONS } from '../config/permissions';
+import { getRolesWithPermission } from '../utils/permissionUtils';
+import { autoAssignRequest, claimNextRequest } from '../services/assignmentService';
+
+/**
+ * Hook for assigning requests to processors
+ * @returns {Object} { processorRoles, openStatuses, autoAssign, claimNext }
+ */
+const useAssignment = () => {
+  const { user } = useAuth();
+  const { rolePermissions } = usePermissionContext();
+  const { getStatusesByCategory } = useWorkflow();
+
+  // Anyone whose role can process requests can be assigned one
+  const processorRoles = useMemo(
+    () => getRolesWithPermission(rolePermissions, PERMISSIONS.REQUESTS_PROCESS),
+    [rolePermissions]
+  );
+
+  const openStatuses = useMemo(
+    () => getStatusesByCategory(['pending', 'in_progress']),
+    [getStatusesByCategory]
+  );
+
+  /**
+   * Apply the auto-assignment rules to a new request
+   * A failure leaves the request unassigned rather than failing its creation.
+   * @param {Object} request - The new request
+   * @returns {Promise<Object|null>} The assigned request, or null
+   */
+  const autoAssign = useCallback(async (request) => {
+    try {
+      return await autoAssignRequest(request, {
+        processorRoles,
+        openStatuses,
+        updatedBy: user.id
+      });
+    } catch (error) {
+      return null;
+    }
+  }, [processorRoles, openStatuses, user]);
+
+  /**
+   * Assign the most pressing unassigned request to the current user
+   * @returns {Promise<Object|null>} The claimed request, or null if there is none
+   */
+  const claimNext = useCallback(() => claimNextRequest(), []);
+
+  return { processorRoles, openStatuses, autoAssign, claimNext };
+};
+
+export default useAssignment;
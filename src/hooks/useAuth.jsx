@@ -1,17 +1,17 @@
-import React, { createContext, useContext, useState, useEffect, useRef } from 'react';
-import { createClient } from '@supabase/supabase-js';
-import bcrypt from 'bcryptjs';
-
-const supabase = createClient(
-  import.meta.env.VITE_SUPABASE_URL,
-  import.meta.env.VITE_SUPABASE_ANON_KEY
-);
+import React, { createContext, useContext, useState, useEffect } from 'react';
+import {
+  signIn,
+  changePassword,
+  redeemResetToken,
+  verifyMfa,
+  confirmMfaEnrollment,
+  getStoredSession,
+  storeSession
+} from '../services/authService';
+import useSessionTimeout from './useSessionTimeout';
 
 const AuthContext = createContext(null);
 
-// Maximum number of failed login attempts allowed
-const MAX_LOGIN_ATTEMPTS = 5;
-
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(() => {
     const storedUser = localStorage.getItem('user');
@@ -19,16 +19,27 @@ export const AuthProvider = ({ children }) => {
   });
   
   const [loading, setLoading] = useState(true);
-  const logoutTimer = useRef(null);
+
+  // Idle and absolute session limits, kept in step across tabs
+  const { warning: sessionWarning, staySignedIn, notifyLogin, notifyLogout } = useSessionTimeout({
+    active: Boolean(user),
+    onTimeout: () => logout(),
+    onRemoteLogout: () => clearSession(),
+    onRemoteLogin: () => {
+      const storedUser = localStorage.getItem('user');
+      if (storedUser && getStoredSession()) {
+        setUser(JSON.parse(storedUser));
+      }
+    }
+  });
 
   useEffect(() => {
     const storedUser = localStorage.getItem('user');
     if (storedUser) {
       const parsedUser = JSON.parse(storedUser);
-      // Check if user is active
-      if (parsedUser.is_active) {
+      // Check if user is active and the signed session is still valid
+      if (parsedUser.is_active && getStoredSession()) {
         setUser(parsedUser);
-        resetLogoutTimer();
       } else {
         // Clear user if account is not active
         logout();
@@ -37,290 +48,148 @@ export const AuthProvider = ({ children }) => {
     setLoading(false);
   }, []);
 
-  // Reset the auto-logout timer
-  const resetLogoutTimer = () => {
-    // Clear any existing timers
-    clearTimeout(logoutTimer.current);
-    
-    // Set a new timer for 5 minutes of inactivity
-    logoutTimer.current = setTimeout(() => {
-      logout();
-    }, 5 * 60 * 1000); // 5 minutes of inactivity
-  };
-
-  const login = async (username, password) => {
-    try {
-      // First check user exists
-      const { data: userData, error: userError } = await supabase
-        .from('users')
-        .select('*')
-        .eq('username', username)
-        .single();
-
-      if (userError) {
-        // User not found, return generic error
-        return { 
-          user: null, 
-          error: 'Invalid credentials',
-          attemptsLeft: null
-        };
-      }
-
-      // Check user active status
-      if (!userData.is_active) {
-        return { 
-          user: null, 
-          error: 'Account is locked due to too many failed login attempts. Please contact an administrator.',
-          accountInactive: true,
-          attemptsLeft: 0
-        };
-      }
-
-      // Check failed login attempts
-      const currentAttempts = userData.failed_login_attempts || 0;
-      
-      // First check if there's a valid temporary password
-      if (userData?.temp_password) {
-        const tempPasswordValid = 
-          userData.temp_password === password && 
-          new Date(userData.temp_password_expires) > new Date();
-
-        if (tempPasswordValid) {
-          // Reset failed login attempts on successful login
-          await supabase
-            .from('users')
-            .update({ 
-              failed_login_attempts: 0,
-              last_login: new Date().toISOString() 
-            })
-            .eq('id', userData.id);
-            
-          // Use only user_role_v4 for role
-          const userWithRole = {
-            ...userData,
-            role: userData.user_role_v4,
-            failed_login_attempts: 0
-          };
-          
-          return { 
-            user: userWithRole, 
-            error: null, 
-            passwordChangeRequired: true
-          };
-        }
-      }
-
-      // If no valid temp password, check regular password
-      if (!userData.password) {
-        // Increment failed login attempts
-        const newAttempts = currentAttempts + 1;
-        const attemptsLeft = MAX_LOGIN_ATTEMPTS - newAttempts;
-        
-        // Deactivate account if max attempts reached
-        if (newAttempts >= MAX_LOGIN_ATTEMPTS) {
-          await supabase
-            .from('users')
-            .update({ 
-              failed_login_attempts: newAttempts,
-              is_active: false,
-              locked_at: new Date().toISOString()
-            })
-            .eq('id', userData.id);
-            
-          return { 
-            user: null, 
-            error: 'Account has been locked due to too many failed login attempts. Please contact an administrator.',
-            accountLocked: true,
-            attemptsLeft: 0
-          };
-        }
-        
-        // Update failed attempts
-        await supabase
-          .from('users')
-          .update({ failed_login_attempts: newAttempts })
-          .eq('id', userData.id);
-          
-        return { 
-          user: null, 
-          error: `Invalid credentials. ${attemptsLeft} login ${attemptsLeft === 1 ? 'attempt' : 'attempts'} remaining.`,
-          attemptsLeft
-        };
-      }
+  // Turn a response from the login, reset or two-factor functions into a login result
+  const handleSignInResult = (result) => {
+    const {
+      user: loggedInUser,
+      session,
+      passwordChangeRequired,
+      passwordChangeToken,
+      error,
+      attemptsLeft,
+      accountLocked,
+      accountInactive,
+      mfaRequired,
+      mfaEnrollmentRequired,
+      mfaToken
+    } = result;
+
+    if (error) {
+      return {
+        user: null,
+        error,
+        attemptsLeft: attemptsLeft ?? null,
+        accountLocked,
+        accountInactive
+      };
+    }
 
-      const isValidPassword = await bcrypt.compare(password, userData.password);
+    // The password was right; a second factor is still needed
+    if (mfaRequired || mfaEnrollmentRequired) {
+      return { user: null, error: null, mfaRequired, mfaEnrollmentRequired, mfaToken };
+    }
 
-      if (!isValidPassword) {
-        // Increment failed login attempts
-        const newAttempts = currentAttempts + 1;
-        const attemptsLeft = MAX_LOGIN_ATTEMPTS - newAttempts;
-        
-        // Deactivate account if max attempts reached
-        if (newAttempts >= MAX_LOGIN_ATTEMPTS) {
-          await supabase
-            .from('users')
-            .update({ 
-              failed_login_attempts: newAttempts,
-              is_active: false,
-              locked_at: new Date().toISOString()
-            })
-            .eq('id', userData.id);
-            
-          return { 
-            user: null, 
-            error: 'Account has been locked due to too many failed login attempts. Please contact an administrator.',
-            accountLocked: true,
-            attemptsLeft: 0
-          };
-        }
-        
-        // Update failed attempts
-        await supabase
-          .from('users')
-          .update({ failed_login_attempts: newAttempts })
-          .eq('id', userData.id);
-          
-        return { 
-          user: null, 
-          error: `Invalid credentials. ${attemptsLeft} login ${attemptsLeft === 1 ? 'attempt' : 'attempts'} remaining.`,
-          attemptsLeft
-        };
-      }
+    if (!loggedInUser) {
+      return { user: null, error: 'Invalid credentials', attemptsLeft: null };
+    }
 
-      // Reset failed login attempts on successful login
-      // Update last login
-      const { error: updateError } = await supabase
-        .from('users')
-        .update({ 
-          failed_login_attempts: 0,
-          last_login: new Date().toISOString() 
-        })
-        .eq('id', userData.id);
+    // A temporary password gets no session, only a token to set a new password
+    if (passwordChangeRequired) {
+      return {
+        user: loggedInUser,
+        error: null,
+        passwordChangeRequired: true,
+        passwordChangeToken
+      };
+    }
 
-      if (updateError) console.error('Error updating last login:', updateError);
+    storeSession(session);
 
-      // Use only user_role_v4 for role
-      const userWithRole = {
-        ...userData,
-        role: userData.user_role_v4,
-        failed_login_attempts: 0
-      };
+    // Store the processed user in localStorage
+    localStorage.setItem('user', JSON.stringify(loggedInUser));
+    
+    // Start the idle timer here and sign in any other open tabs
+    notifyLogin();
 
-      // Store the processed user in localStorage
-      localStorage.setItem('user', JSON.stringify(userWithRole));
-      
-      // Start the auto-logout timer
-      resetLogoutTimer();
+    return { 
+      user: loggedInUser, 
+      error: null, 
+      passwordChangeRequired: false
+    };
+  };
 
-      return { 
-        user: userWithRole, 
-        error: null, 
-        passwordChangeRequired: false
-      };
+  const login = async (username, password) => {
+    try {
+      // Verification, lockout and temporary password expiry happen on the server
+      return handleSignInResult(await signIn(username, password));
     } catch (error) {
       console.error('Login error:', error.message);
-      return { user: null, error: error.message };
+      return { user: null, error: 'Unable to sign in right now. Please try again.' };
     }
   };
 
-  const updatePassword = async (userId, newPassword) => {
+  const verifyTwoFactor = async (mfaToken, factor) => {
     try {
-      // Hash the new password
-      const salt = await bcrypt.genSalt(10);
-      const hashedPassword = await bcrypt.hash(newPassword, salt);
-
-      const { error: updateError } = await supabase
-        .from('users')
-        .update({
-          password: hashedPassword,
-          temp_password: null,
-          temp_password_expires: null,
-          password_change_required: false,
-          failed_login_attempts: 0, // Reset failed attempts when password is changed
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', userId);
+      return handleSignInResult(await verifyMfa(mfaToken, factor));
+    } catch (error) {
+      console.error('Two-factor error:', error.message);
+      return { user: null, error: 'Unable to verify the code right now. Please try again.' };
+    }
+  };
 
-      if (updateError) throw updateError;
+  const completeTwoFactorEnrollment = async (mfaToken, code) => {
+    try {
+      const result = await confirmMfaEnrollment(code, mfaToken);
+      return { ...handleSignInResult(result), recoveryCodes: result.recoveryCodes };
+    } catch (error) {
+      console.error('Two-factor set-up error:', error.message);
+      return { user: null, error: 'Unable to finish the set-up right now. Please try again.' };
+    }
+  };
 
-      // Fetch updated user information
-      const { data: updatedUser, error: fetchError } = await supabase
-        .from('users')
-        .select('*')
-        .eq('id', userId)
-        .single();
+  const updatePassword = async (currentPassword, newPassword, passwordChangeToken = null) => {
+    try {
+      const { user: updatedUser, session, error } = await changePassword(currentPassword, newPassword, passwordChangeToken);
 
-      if (fetchError) throw fetchError;
+      if (error) throw new Error(error);
 
-      // Use only user_role_v4 for role
-      const updatedUserWithRole = {
-        ...updatedUser,
-        role: updatedUser.user_role_v4
-      };
+      // Signing in with a temporary password finishes here
+      if (session) {
+        storeSession(session);
+      }
 
       // Update user in state and localStorage
-      setUser(updatedUserWithRole);
-      localStorage.setItem('user', JSON.stringify(updatedUserWithRole));
+      setUser(updatedUser);
+      localStorage.setItem('user', JSON.stringify(updatedUser));
       
-      // Reset the auto-logout timer
-      resetLogoutTimer();
+      // Start the idle timer here and sign in any other open tabs
+      notifyLogin();
 
-      return { error: null };
+      return { user: updatedUser, error: null };
     } catch (error) {
       console.error('Password update error:', error);
-      return { error: error.message };
+      return { user: null, error: error.message };
     }
   };
 
-  const unlockAccount = async (userId) => {
+  const resetPasswordWithToken = async (token, newPassword) => {
     try {
-      const { error } = await supabase
-        .from('users')
-        .update({
-          is_active: true,
-          failed_login_attempts: 0,
-          locked_at: null,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', userId);
+      // A redeemed link signs the user in, through 2FA if they have it
+      const result = handleSignInResult(await redeemResetToken(token, newPassword));
+
+      if (result.user) {
+        setUser(result.user);
+      }
 
-      if (error) throw error;
-      return { error: null };
+      return result;
     } catch (error) {
-      console.error('Error unlocking account:', error);
-      return { error: error.message };
+      console.error('Password reset error:', error);
+      return { user: null, error: error.message };
     }
   };
 
-  const logout = () => {
+  // Sign out in this tab only
+  const clearSession = () => {
     setUser(null);
     localStorage.removeItem('user');
-    clearTimeout(logoutTimer.current);
+    storeSession(null);
   };
 
-  // Reset logout timer on user activity
-  useEffect(() => {
-    const resetTimerOnActivity = () => {
-      if (user && user.is_active) {
-        resetLogoutTimer();
-      }
-    };
-    
-    // Add event listeners for user activity
-    window.addEventListener('mousemove', resetTimerOnActivity);
-    window.addEventListener('keydown', resetTimerOnActivity);
-    window.addEventListener('click', resetTimerOnActivity);
-    window.addEventListener('scroll', resetTimerOnActivity);
-
-    // Clean up event listeners on unmount
-    return () => {
-      window.removeEventListener('mousemove', resetTimerOnActivity);
-      window.removeEventListener('keydown', resetTimerOnActivity);
-      window.removeEventListener('click', resetTimerOnActivity);
-      window.removeEventListener('scroll', resetTimerOnActivity);
-      clearTimeout(logoutTimer.current);
-    };
-  }, [user]);
+  // Sign out in every tab
+  const logout = () => {
+    clearSession();
+    notifyLogout();
+  };
 
   return (
     <AuthContext.Provider value={{ 
@@ -330,8 +199,11 @@ export const AuthProvider = ({ children }) => {
       login, 
       logout, 
       updatePassword,
-      unlockAccount,
-      resetLogoutTimer 
+      resetPasswordWithToken,
+      verifyTwoFactor,
+      completeTwoFactorEnrollment,
+      sessionWarning,
+      staySignedIn
     }}>
       {children}
     </AuthContext.Provider>
@@ -0,0 +1,32 @@
+import { useMemo, useCallback } from 'react';
+import { useAuth } from './useAuth';
+import { usePermissionContext } from '../contexts/PermissionContext';
+import { getRolePermissions, hasPermission } from '../utils/permissionUtils';
+
+/**
+ * Hook for checking what the current user may do
+ * @returns {Object} { can, permissions, loading }
+ */
+const usePermission = () => {
+  const { user } = useAuth();
+  const { rolePermissions, loading } = usePermissionContext();
+
+  const permissions = useMemo(
+    () => new Set(user ? getRolePermissions(rolePermissions, user.role) : []),
+    [rolePermissions, user]
+  );
+
+  /**
+   * Check a permission
+   * @param {string|Array<string>} permission - A permission, or a list of which any is enough
+   * @returns {boolean} True if the user has it
+   */
+  const can = useCallback(
+    (permission) => hasPermission(permissions, permission),
+    [permissions]
+  );
+
+  return { can, permissions, loading };
+};
+
+export default usePermission;
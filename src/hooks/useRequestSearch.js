@@ -0,0 +1,41 @@
+import { useCallback } from 'react';
+import { useWorkflow } from '../contexts/WorkflowContext';
+import { searchRequests } from '../services/searchService';
+import { parseSearchQuery, matchStatusKeys } from '../utils/searchUtils';
+
+/**
+ * Hook for searching the requests the current user may see
+ * Which organizations and comments are searched follows from the user's
+ * role on the server.
+ * @returns {Object} { search }
+ */
+const useRequestSearch = () => {
+  const { statuses } = useWorkflow();
+
+  /**
+   * Run a search
+   * @param {string} query - Query as typed, with optional org:, status: and ref: qualifiers
+   * @param {Object} options - { page, pageSize }
+   * @returns {Promise<Object>} { data, count }
+   */
+  const search = useCallback(async (query, { page = 1, pageSize } = {}) => {
+    const { text, org, status, ref } = parseSearchQuery(query);
+    const statusKeys = status ? matchStatusKeys(statuses, status) : null;
+
+    // A status that matches nothing finds nothing
+    if (statusKeys?.length === 0) return { data: [], count: 0 };
+
+    return searchRequests({
+      text,
+      org,
+      ref,
+      statuses: statusKeys,
+      page,
+      pageSize
+    });
+  }, [statuses]);
+
+  return { search };
+};
+
+export default useRequestSearch;
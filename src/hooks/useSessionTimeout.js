@@ -0,0 +1,165 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { getStoredSession } from '../services/authService';
+import {
+  DEFAULT_IDLE_TIMEOUT_MINUTES,
+  SESSION_WARNING_SECONDS,
+  ACTIVITY_EVENTS,
+  ACTIVITY_SYNC_INTERVAL_MS,
+  SESSION_CHANNEL_NAME,
+  SESSION_EVENTS,
+  SESSION_WARNING_REASONS
+} from '../config/session';
+
+// Last activity in any tab, so new tabs and reloads pick up where others left off
+const LAST_ACTIVITY_KEY = 'lastActivity';
+
+const readLastActivity = () => Number(localStorage.getItem(LAST_ACTIVITY_KEY)) || 0;
+
+/**
+ * Sign out after inactivity or when the session expires, in step across tabs
+ * Activity in any tab keeps every tab signed in, and signing in or out in
+ * one tab does the same in the others.
+ * @param {Object} options
+ * @param {boolean} options.active - Whether a user is signed in
+ * @param {Function} options.onTimeout - Sign out because of inactivity or expiry
+ * @param {Function} options.onRemoteLogout - Another tab signed out
+ * @param {Function} options.onRemoteLogin - Another tab signed in
+ * @returns {Object} { warning, staySignedIn, notifyLogin, notifyLogout }
+ */
+const useSessionTimeout = ({ active, onTimeout, onRemoteLogout, onRemoteLogin }) => {
+  // { reason, secondsLeft } while a sign-out is close
+  const [warning, setWarning] = useState(null);
+  const channelRef = useRef(null);
+  const lastActivityRef = useRef(readLastActivity() || Date.now());
+  const lastSyncRef = useRef(0);
+  const warningRef = useRef(null);
+  const callbacksRef = useRef({});
+
+  warningRef.current = warning;
+  callbacksRef.current = { onTimeout, onRemoteLogout, onRemoteLogin };
+
+  const postMessage = useCallback((message) => {
+    channelRef.current?.postMessage(message);
+  }, []);
+
+  const recordActivity = useCallback((force = false) => {
+    const now = Date.now();
+    lastActivityRef.current = now;
+
+    // Other tabs only need to hear about it every few seconds
+    if (force || now - lastSyncRef.current >= ACTIVITY_SYNC_INTERVAL_MS) {
+      lastSyncRef.current = now;
+      localStorage.setItem(LAST_ACTIVITY_KEY, String(now));
+      postMessage({ type: SESSION_EVENTS.ACTIVITY, at: now });
+    }
+  }, [postMessage]);
+
+  // Listen to the other tabs
+  useEffect(() => {
+    if (typeof BroadcastChannel === 'undefined') return undefined;
+
+    const channel = new BroadcastChannel(SESSION_CHANNEL_NAME);
+    channel.onmessage = ({ data }) => {
+      switch (data?.type) {
+        case SESSION_EVENTS.ACTIVITY:
+          lastActivityRef.current = Math.max(lastActivityRef.current, data.at);
+          break;
+        case SESSION_EVENTS.LOGIN:
+          callbacksRef.current.onRemoteLogin?.();
+          break;
+        case SESSION_EVENTS.LOGOUT:
+          setWarning(null);
+          callbacksRef.current.onRemoteLogout?.();
+          break;
+        default:
+          break;
+      }
+    };
+    channelRef.current = channel;
+
+    return () => {
+      channel.close();
+      channelRef.current = null;
+    };
+  }, []);
+
+  // Count activity in this tab
+  useEffect(() => {
+    if (!active) return undefined;
+
+    const handleActivity = () => {
+      // Once the warning shows, only "Stay signed in" keeps the session
+      if (!warningRef.current) {
+        recordActivity();
+      }
+    };
+
+    ACTIVITY_EVENTS.forEach(event => window.addEventListener(event, handleActivity, { passive: true }));
+
+    return () => {
+      ACTIVITY_EVENTS.forEach(event => window.removeEventListener(event, handleActivity));
+    };
+  }, [active, recordActivity]);
+
+  // Check the idle and absolute limits every second
+  useEffect(() => {
+    if (!active) {
+      setWarning(null);
+      return undefined;
+    }
+
+    const tick = () => {
+      const session = getStoredSession();
+
+      if (!session) {
+        setWarning(null);
+        callbacksRef.current.onTimeout?.();
+        return;
+      }
+
+      const now = Date.now();
+      lastActivityRef.current = Math.max(lastActivityRef.current, readLastActivity());
+
+      const idleTimeoutMs = (session.idle_timeout_minutes || DEFAULT_IDLE_TIMEOUT_MINUTES) * 60 * 1000;
+      const idleLeft = lastActivityRef.current + idleTimeoutMs - now;
+      const expiryLeft = new Date(session.expires_at).getTime() - now;
+      const timeLeft = Math.min(idleLeft, expiryLeft);
+
+      if (timeLeft <= 0) {
+        setWarning(null);
+        callbacksRef.current.onTimeout?.();
+      } else if (timeLeft <= SESSION_WARNING_SECONDS * 1000) {
+        setWarning({
+          reason: expiryLeft <= idleLeft ? SESSION_WARNING_REASONS.EXPIRY : SESSION_WARNING_REASONS.IDLE,
+          secondsLeft: Math.ceil(timeLeft / 1000)
+        });
+      } else {
+        setWarning(null);
+      }
+    };
+
+    tick();
+    const interval = setInterval(tick, 1000);
+
+    return () => clearInterval(interval);
+  }, [active]);
+
+  const staySignedIn = useCallback(() => {
+    recordActivity(true);
+    setWarning(null);
+  }, [recordActivity]);
+
+  const notifyLogin = useCallback(() => {
+    recordActivity(true);
+    postMessage({ type: SESSION_EVENTS.LOGIN });
+  }, [recordActivity, postMessage]);
+
+  const notifyLogout = useCallback(() => {
+    localStorage.removeItem(LAST_ACTIVITY_KEY);
+    postMessage({ type: SESSION_EVENTS.LOGOUT });
+  }, [postMessage]);
+
+  return { warning, staySignedIn, notifyLogin, notifyLogout };
+};
+
+export default useSessionTimeout;
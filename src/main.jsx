@@ -4,6 +4,8 @@ import { BrowserRouter } from 'react-router-dom'
 import { QueryClient, QueryClientProvider } from '@tanstack/react-query'
 import App from './App'
 import { AuthProvider } from './hooks/useAuth'
+import { WorkflowProvider } from './contexts/WorkflowContext'
+import { PermissionProvider } from './contexts/PermissionContext'
 import './styles/globals.css'
 
 // Create a client for React Query
@@ -21,7 +23,11 @@ ReactDOM.createRoot(document.getElementById('root')).render(
     <BrowserRouter>
       <QueryClientProvider client={queryClient}>
         <AuthProvider>
-          <App />
+          <PermissionProvider>
+            <WorkflowProvider>
+              <App />
+            </WorkflowProvider>
+          </PermissionProvider>
         </AuthProvider>
       </QueryClientProvider>
     </BrowserRouter>
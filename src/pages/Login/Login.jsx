@@ -1,13 +1,17 @@
 import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import { Moon, Sun, User, Lock, AlertCircle, Loader2, ShieldAlert } from 'lucide-react';
 import { motion } from 'framer-motion';
 import { useAuth } from '../../hooks/useAuth';
-import { supabase } from '../../config/supabase';
 import { getRoleBasedDashboard } from '../../utils/roleRoutes';
+import { PASSWORD_RULES, RESET_TOKEN_PARAM } from '../../config/auth';
+import { startMfaEnrollment } from '../../services/authService';
+import TwoFactorChallenge from '../../components/auth/TwoFactorChallenge';
+import TwoFactorSetup from '../../components/auth/TwoFactorSetup';
 
 // Password Change Modal Component
-const PasswordChangeModal = ({ isOpen, onClose, onSubmit, isTemp }) => {
+const PasswordChangeModal = ({ isOpen, onClose, onSubmit, isTemp, isReset }) => {
+  const [currentPassword, setCurrentPassword] = useState('');
   const [newPassword, setNewPassword] = useState('');
   const [confirmPassword, setConfirmPassword] = useState('');
   const [error, setError] = useState('');
@@ -20,28 +24,10 @@ const PasswordChangeModal = ({ isOpen, onClose, onSubmit, isTemp }) => {
     setError('');
     setIsSubmitting(true);
 
-    // Comprehensive password validation
-    const validationErrors = [];
-
-    if (newPassword.length < 8) {
-      validationErrors.push('Password must be at least 8 characters long');
-    }
-
-    if (!/[A-Z]/.test(newPassword)) {
-      validationErrors.push('Must contain at least one uppercase letter');
-    }
-
-    if (!/[a-z]/.test(newPassword)) {
-      validationErrors.push('Must contain at least one lowercase letter');
-    }
-
-    if (!/[0-9]/.test(newPassword)) {
-      validationErrors.push('Must contain at least one number');
-    }
-
-    if (!/[!@#$%^&*]/.test(newPassword)) {
-      validationErrors.push('Must contain at least one special character (!@#$%^&*)');
-    }
+    // Password policy validation (the server checks the same rules)
+    const validationErrors = PASSWORD_RULES
+      .filter(rule => !rule.test(newPassword))
+      .map(rule => rule.message);
 
     if (newPassword !== confirmPassword) {
       validationErrors.push('Passwords do not match');
@@ -54,7 +40,7 @@ const PasswordChangeModal = ({ isOpen, onClose, onSubmit, isTemp }) => {
     }
 
     try {
-      await onSubmit(newPassword);
+      await onSubmit(newPassword, currentPassword);
       setIsSubmitting(false);
     } catch (err) {
       setError(err.message || 'Failed to update password');
@@ -70,10 +56,16 @@ const PasswordChangeModal = ({ isOpen, onClose, onSubmit, isTemp }) => {
         className="bg-white dark:bg-gray-800 rounded-3xl p-8 max-w-md w-full mx-4"
       >
         <h2 className="text-xl font-bold mb-2 text-gray-900 dark:text-white">
-          {isTemp ? 'Change Temporary Password' : 'Change Password'}
+          {isReset ? 'Reset Password' : isTemp ? 'Change Temporary Password' : 'Change Password'}
         </h2>
         
-        {isTemp && (
+        {isReset && (
+          <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+            Choose a new password for your account. This link can only be used once.
+          </p>
+        )}
+
+        {isTemp && !isReset && (
           <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
             Your temporary password has expired or needs to be changed. Please create a new password.
           </p>
@@ -87,6 +79,23 @@ const PasswordChangeModal = ({ isOpen, onClose, onSubmit, isTemp }) => {
         )}
 
         <form onSubmit={handleSubmit} className="space-y-4">
+          {!isReset && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                {isTemp ? 'Temporary Password' : 'Current Password'}
+              </label>
+              <input
+                type="password"
+                value={currentPassword}
+                onChange={(e) => setCurrentPassword(e.target.value)}
+                className="w-full px-4 py-3 rounded-lg border border-gray-200 dark:border-gray-700 
+                         bg-white dark:bg-gray-900 text-gray-900 dark:text-white
+                         focus:outline-none focus:ring-2 focus:ring-black dark:focus:ring-white"
+                required
+              />
+            </div>
+          )}
+
           <div>
             <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
               New Password
@@ -120,11 +129,9 @@ const PasswordChangeModal = ({ isOpen, onClose, onSubmit, isTemp }) => {
           <div className="text-sm text-gray-500 dark:text-gray-400 space-y-1">
             <p>Password must contain:</p>
             <ul className="list-disc list-inside pl-2 space-y-0.5">
-              <li>At least 8 characters</li>
-              <li>At least one uppercase letter</li>
-              <li>At least one lowercase letter</li>
-              <li>At least one number</li>
-              <li>At least one special character (!@#$%^&*)</li>
+              {PASSWORD_RULES.map(rule => (
+                <li key={rule.label}>{rule.label}</li>
+              ))}
             </ul>
           </div>
 
@@ -162,11 +169,24 @@ const LoginPage = () => {
   const [attemptsLeft, setAttemptsLeft] = useState(null);
   const [showPasswordChange, setShowPasswordChange] = useState(false);
   const [tempUser, setTempUser] = useState(null);
+  const [passwordChangeToken, setPasswordChangeToken] = useState(null);
   const [isDarkMode, setIsDarkMode] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
+  // { token, enroll } while the two-factor step is pending
+  const [mfaChallenge, setMfaChallenge] = useState(null);
+  const [enrolledLogin, setEnrolledLogin] = useState(null);
   
   const navigate = useNavigate();
-  const { login, updatePassword, setUser } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const resetToken = searchParams.get(RESET_TOKEN_PARAM);
+  const {
+    login,
+    updatePassword,
+    resetPasswordWithToken,
+    verifyTwoFactor,
+    completeTwoFactorEnrollment,
+    setUser
+  } = useAuth();
 
   // Initialize dark mode on component mount
   useEffect(() => {
@@ -184,10 +204,14 @@ const LoginPage = () => {
       const { 
         error: loginError, 
         passwordChangeRequired, 
+        passwordChangeToken: changeToken,
         user: loggedInUser,
         accountInactive,
         accountLocked,
-        attemptsLeft: remainingAttempts
+        attemptsLeft: remainingAttempts,
+        mfaRequired,
+        mfaEnrollmentRequired,
+        mfaToken
       } = await login(username, password);
       
       setIsLoading(false);
@@ -203,66 +227,91 @@ const LoginPage = () => {
         return;
       }
 
-      if (passwordChangeRequired) {
-        // Store temporary user for password change
-        setTempUser(loggedInUser);
-        setShowPasswordChange(true);
-      } else {
-        // Normal login flow with role-based redirect
-        setUser(loggedInUser);
-        localStorage.setItem('user', JSON.stringify(loggedInUser));
-        
-        // Get role-specific dashboard path - using only user_role_v4
-        const dashboardPath = getRoleBasedDashboard(loggedInUser.user_role_v4);
-        navigate(dashboardPath);
+      if (mfaRequired || mfaEnrollmentRequired) {
+        setPassword('');
+        setMfaChallenge({ token: mfaToken, enroll: Boolean(mfaEnrollmentRequired) });
+        return;
       }
+
+      finishLogin(loggedInUser, passwordChangeRequired, changeToken);
     } catch (err) {
       setIsLoading(false);
       setError('An unexpected error occurred');
     }
   };
 
-  const handlePasswordChange = async (newPassword) => {
-    try {
-      // Use the temporary user stored during login
-      const userId = tempUser?.id;
+  const finishLogin = (loggedInUser, passwordChangeRequired, changeToken = null) => {
+    if (passwordChangeRequired) {
+      // Store temporary user for password change; the session comes after it
+      setTempUser(loggedInUser);
+      setPasswordChangeToken(changeToken);
+      setShowPasswordChange(true);
+    } else {
+      // Normal login flow with role-based redirect
+      setUser(loggedInUser);
+      
+      // Get role-specific dashboard path - using only user_role_v4
+      const dashboardPath = getRoleBasedDashboard(loggedInUser.user_role_v4);
+      navigate(dashboardPath);
+    }
+  };
 
-      if (!userId) {
-        setError('User information is missing. Please log in again.');
-        return;
-      }
+  const cancelMfaChallenge = () => {
+    setMfaChallenge(null);
+    setEnrolledLogin(null);
+  };
 
-      const { error } = await updatePassword(userId, newPassword);
-      
-      if (error) {
-        setError(error);
-        return;
+  const handleVerifyTwoFactor = async (factor) => {
+    const result = await verifyTwoFactor(mfaChallenge.token, factor);
+
+    if (result.error) {
+      if (result.accountInactive || result.accountLocked) {
+        // Locked out: back to the sign-in form with the reason
+        cancelMfaChallenge();
+        setError(result.error);
       }
+      return result;
+    }
+
+    setMfaChallenge(null);
+    finishLogin(result.user, result.passwordChangeRequired, result.passwordChangeToken);
+    return result;
+  };
 
-      // Fetch updated user information
-      const { data: updatedUser, error: fetchError } = await supabase
-        .from('users')
-        .select('*')
-        .eq('id', userId)
-        .single();
+  const handleConfirmEnrollment = async (code) => {
+    const result = await completeTwoFactorEnrollment(mfaChallenge.token, code);
+
+    // Signed in; finish once the recovery codes are saved
+    if (!result.error) {
+      setEnrolledLogin(result);
+    }
+
+    return result;
+  };
 
-      if (fetchError) {
-        console.error('Error fetching updated user:', fetchError);
-        setError('Failed to retrieve updated user information');
+  const handleEnrollmentDone = () => {
+    const { user: loggedInUser, passwordChangeRequired, passwordChangeToken: changeToken } = enrolledLogin;
+    cancelMfaChallenge();
+    finishLogin(loggedInUser, passwordChangeRequired, changeToken);
+  };
+
+  const handlePasswordChange = async (newPassword, currentPassword) => {
+    try {
+      if (!tempUser) {
+        setError('User information is missing. Please log in again.');
         return;
       }
 
-      // Update user state and storage - using only user_role_v4
-      const userWithRole = {
-        ...updatedUser,
-        role: updatedUser.user_role_v4
-      };
+      // The server identifies the user from the token issued at login
+      const { user: updatedUser, error } = await updatePassword(currentPassword, newPassword, passwordChangeToken);
       
-      setUser(userWithRole);
-      localStorage.setItem('user', JSON.stringify(userWithRole));
+      if (error) {
+        throw new Error(error);
+      }
       
       // Reset temporary user and close modal
       setTempUser(null);
+      setPasswordChangeToken(null);
       setShowPasswordChange(false);
       
       // Navigate based on user_role_v4
@@ -270,10 +319,38 @@ const LoginPage = () => {
       navigate(dashboardPath);
     } catch (error) {
       console.error('Password change error:', error);
-      setError(error.message || 'An unexpected error occurred');
+      throw error;
     }
   };
 
+  const handleResetPassword = async (newPassword) => {
+    const {
+      user: updatedUser,
+      error,
+      mfaRequired,
+      mfaEnrollmentRequired,
+      mfaToken
+    } = await resetPasswordWithToken(resetToken, newPassword);
+
+    if (error) {
+      throw new Error(error);
+    }
+
+    // The new password is set; sign in with the second factor
+    if (mfaRequired || mfaEnrollmentRequired) {
+      closeResetModal();
+      setMfaChallenge({ token: mfaToken, enroll: Boolean(mfaEnrollmentRequired) });
+      return;
+    }
+
+    navigate(getRoleBasedDashboard(updatedUser.user_role_v4), { replace: true });
+  };
+
+  const closeResetModal = () => {
+    searchParams.delete(RESET_TOKEN_PARAM);
+    setSearchParams(searchParams, { replace: true });
+  };
+
   const toggleDarkMode = () => {
     const newMode = !isDarkMode;
     setIsDarkMode(newMode);
@@ -314,83 +391,100 @@ const LoginPage = () => {
         animate={{ scale: 1, opacity: 1 }}
         className="w-96 p-8 rounded-3xl shadow-xl bg-white dark:bg-gray-800"
       >
-        {/* Login Form Content */}
-        <div className="flex justify-center mb-6">
-          <img 
-            src="/logo.png" 
-            alt="Logo" 
-            className="h-20 w-auto object-contain"
+        {mfaChallenge?.enroll ? (
+          <TwoFactorSetup
+            onStart={() => startMfaEnrollment(mfaChallenge.token)}
+            onConfirm={handleConfirmEnrollment}
+            onDone={handleEnrollmentDone}
+            onCancel={cancelMfaChallenge}
+            isRequired={true}
           />
-        </div>
-
-        <h2 className="text-2xl font-bold text-center text-gray-900 dark:text-white mb-6">
-          Welcome Back
-        </h2>
+        ) : mfaChallenge ? (
+          <TwoFactorChallenge
+            onVerify={handleVerifyTwoFactor}
+            onCancel={cancelMfaChallenge}
+          />
+        ) : (
+          <>
+            {/* Login Form Content */}
+            <div className="flex justify-center mb-6">
+              <img 
+                src="/logo.png" 
+                alt="Logo" 
+                className="h-20 w-auto object-contain"
+              />
+            </div>
+
+            <h2 className="text-2xl font-bold text-center text-gray-900 dark:text-white mb-6">
+              Welcome Back
+            </h2>
         
-        {error && (
-          <div className={`mb-6 px-4 py-3 rounded-lg flex items-start gap-2
-            ${errorSeverity === 'high' 
-              ? 'bg-red-100 dark:bg-red-900/40 border border-red-500 dark:border-red-800 text-red-800 dark:text-red-200' 
-              : errorSeverity === 'medium'
-                ? 'bg-amber-100 dark:bg-amber-900/30 border border-amber-500 dark:border-amber-800 text-amber-800 dark:text-amber-200'
-                : 'bg-red-50 dark:bg-red-900/30 border border-red-400 dark:border-red-800 text-red-700 dark:text-red-200'
-            }`}
-          >
-            {errorSeverity === 'high' ? (
-              <ShieldAlert className="w-5 h-5 mt-0.5 flex-shrink-0" />
-            ) : (
-              <AlertCircle className="w-5 h-5 mt-0.5 flex-shrink-0" />
+            {error && (
+              <div className={`mb-6 px-4 py-3 rounded-lg flex items-start gap-2
+                ${errorSeverity === 'high' 
+                  ? 'bg-red-100 dark:bg-red-900/40 border border-red-500 dark:border-red-800 text-red-800 dark:text-red-200' 
+                  : errorSeverity === 'medium'
+                    ? 'bg-amber-100 dark:bg-amber-900/30 border border-amber-500 dark:border-amber-800 text-amber-800 dark:text-amber-200'
+                    : 'bg-red-50 dark:bg-red-900/30 border border-red-400 dark:border-red-800 text-red-700 dark:text-red-200'
+                }`}
+              >
+                {errorSeverity === 'high' ? (
+                  <ShieldAlert className="w-5 h-5 mt-0.5 flex-shrink-0" />
+                ) : (
+                  <AlertCircle className="w-5 h-5 mt-0.5 flex-shrink-0" />
+                )}
+                <span>{error}</span>
+              </div>
             )}
-            <span>{error}</span>
-          </div>
-        )}
 
-        <form onSubmit={handleLogin} className="space-y-6">
-          <div className="relative">
-            <input 
-              type="text" 
-              value={username}
-              onChange={(e) => setUsername(e.target.value)}
-              className="w-full pl-12 pr-4 py-3 rounded-lg border border-gray-200 dark:border-gray-700 
-                       bg-white dark:bg-gray-900 text-gray-900 dark:text-white
-                       focus:outline-none focus:ring-2 focus:ring-black dark:focus:ring-white
-                       transition-colors duration-200"
-              placeholder="Username"
-              required
-              disabled={isLoading}
-            />
-            <User className="absolute right-4 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400 dark:text-gray-500" />
-          </div>
+            <form onSubmit={handleLogin} className="space-y-6">
+              <div className="relative">
+                <input 
+                  type="text" 
+                  value={username}
+                  onChange={(e) => setUsername(e.target.value)}
+                  className="w-full pl-12 pr-4 py-3 rounded-lg border border-gray-200 dark:border-gray-700 
+                           bg-white dark:bg-gray-900 text-gray-900 dark:text-white
+                           focus:outline-none focus:ring-2 focus:ring-black dark:focus:ring-white
+                           transition-colors duration-200"
+                  placeholder="Username"
+                  required
+                  disabled={isLoading}
+                />
+                <User className="absolute right-4 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400 dark:text-gray-500" />
+              </div>
           
-          <div className="relative">
-            <input 
-              type="password" 
-              value={password}
-              onChange={(e) => setPassword(e.target.value)}
-              className="w-full pl-12 pr-4 py-3 rounded-lg border border-gray-200 dark:border-gray-700 
-                       bg-white dark:bg-gray-900 text-gray-900 dark:text-white
-                       focus:outline-none focus:ring-2 focus:ring-black dark:focus:ring-white
-                       transition-colors duration-200"
-              placeholder="Password"
-              required
-              disabled={isLoading}
-            />
-            <Lock className="absolute right-4 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400 dark:text-gray-500" />
-          </div>
-
-          <button 
-            type="submit" 
-            disabled={isLoading}
-            className="w-full py-3 rounded-lg bg-black dark:bg-white text-white dark:text-black
-                     hover:bg-gray-800 dark:hover:bg-gray-100
-                     focus:outline-none focus:ring-2 focus:ring-black dark:focus:ring-white
-                     transition-all duration-200 transform hover:scale-[1.02]
-                     flex items-center justify-center gap-2 disabled:opacity-50"
-          >
-            {isLoading && <Loader2 className="h-5 w-5 animate-spin" />}
-            Sign In
-          </button>
-        </form>
+              <div className="relative">
+                <input 
+                  type="password" 
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  className="w-full pl-12 pr-4 py-3 rounded-lg border border-gray-200 dark:border-gray-700 
+                           bg-white dark:bg-gray-900 text-gray-900 dark:text-white
+                           focus:outline-none focus:ring-2 focus:ring-black dark:focus:ring-white
+                           transition-colors duration-200"
+                  placeholder="Password"
+                  required
+                  disabled={isLoading}
+                />
+                <Lock className="absolute right-4 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400 dark:text-gray-500" />
+              </div>
+
+              <button 
+                type="submit" 
+                disabled={isLoading}
+                className="w-full py-3 rounded-lg bg-black dark:bg-white text-white dark:text-black
+                         hover:bg-gray-800 dark:hover:bg-gray-100
+                         focus:outline-none focus:ring-2 focus:ring-black dark:focus:ring-white
+                         transition-all duration-200 transform hover:scale-[1.02]
+                         flex items-center justify-center gap-2 disabled:opacity-50"
+              >
+                {isLoading && <Loader2 className="h-5 w-5 animate-spin" />}
+                Sign In
+              </button>
+            </form>
+          </>
+        )}
       </motion.div>
 
       {/* Password Change Modal */}
@@ -399,10 +493,19 @@ const LoginPage = () => {
         onClose={() => {
           setShowPasswordChange(false);
           setTempUser(null);
+          setPasswordChangeToken(null);
         }}
         onSubmit={handlePasswordChange}
         isTemp={true}
       />
+
+      {/* Reset Link Modal */}
+      <PasswordChangeModal 
+        isOpen={Boolean(resetToken)}
+        onClose={closeResetModal}
+        onSubmit={handleResetPassword}
+        isReset={true}
+      />
     </div>
   );
 };
@@ -1,10 +1,27 @@
 import { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
-import { UserPlus, Edit2, Lock, Trash2, Search, Copy, Check, FileSpreadsheet, FileText, Loader2, Key, AlertTriangle, Unlock} from 'lucide-react';
+import { UserPlus, Edit2, Lock, Trash2, Search, Copy, Check, FileSpreadsheet, FileText, Loader2, Key, AlertTriangle, Unlock, ShieldCheck, ShieldOff } from 'lucide-react';
 import * as XLSX from 'xlsx';
 import { supabase } from '../../config/supabase';
 import { useAuth } from '../../hooks/useAuth';
-import useRoleAccess from '../../hooks/useRoleCheck';
+import { fetchMfaEnrolledUserIds } from '../../services/securityService';
+import {
+  USER_COLUMNS,
+  createUser,
+  updateUser,
+  deleteUser,
+  unlockUser,
+  issueTempPassword,
+  issueResetLink,
+  setUserMfaRequired,
+  resetUserMfa
+} from '../../services/userService';
+import {
+  CREDENTIAL_METHODS,
+  CREDENTIAL_METHOD_LABELS,
+  CREDENTIAL_EXPIRY_OPTIONS,
+  DEFAULT_CREDENTIAL_EXPIRY_HOURS
+} from '../../config/auth';
 import UnlockAccountModal from '../../components/modals/UnlockAccountModal';
 
 // User Modal Component for Create/Edit
@@ -152,14 +169,113 @@ const UserModal = ({ isOpen, mode, user, onClose, onSubmit }) => {
     </div>
   );
 };
-// Temporary Password Modal Component
-const TempPasswordModal = ({ isOpen, onClose, tempPassword }) => {
+// Reset Password Modal Component
+const ResetPasswordModal = ({ isOpen, user, onClose, onSubmit }) => {
+  const [method, setMethod] = useState(CREDENTIAL_METHODS.TEMP_PASSWORD);
+  const [expiresInHours, setExpiresInHours] = useState(DEFAULT_CREDENTIAL_EXPIRY_HOURS);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  if (!isOpen || !user) return null;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    await onSubmit(user, method, Number(expiresInHours));
+    setIsSubmitting(false);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <motion.div
+        initial={{ scale: 0.95, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        className="bg-white dark:bg-gray-800 rounded-3xl p-6 max-w-md w-full mx-4"
+      >
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-white">
+            Reset Password
+          </h2>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+          >
+            ✕
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            Give {user.full_name || user.username} new sign-in credentials. Their current password keeps working until they use them.
+          </p>
+
+          <div className="space-y-2">
+            {Object.values(CREDENTIAL_METHODS).map((value) => (
+              <label key={value} className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                <input
+                  type="radio"
+                  name="method"
+                  value={value}
+                  checked={method === value}
+                  onChange={(e) => setMethod(e.target.value)}
+                />
+                {CREDENTIAL_METHOD_LABELS[value]}
+              </label>
+            ))}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Valid for
+            </label>
+            <select
+              value={expiresInHours}
+              onChange={(e) => setExpiresInHours(e.target.value)}
+              className="w-full px-4 py-2 rounded-lg border border-gray-200 dark:border-gray-700 
+                       bg-white dark:bg-gray-900 text-gray-900 dark:text-white
+                       focus:outline-none focus:ring-2 focus:ring-black dark:focus:ring-white"
+            >
+              {CREDENTIAL_EXPIRY_OPTIONS.map((hours) => (
+                <option key={hours} value={hours}>
+                  {hours} {hours === 1 ? 'hour' : 'hours'}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="flex justify-end gap-4 pt-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="px-4 py-2 bg-black dark:bg-white text-white dark:text-black rounded-lg hover:bg-gray-800 dark:hover:bg-gray-100 transition-colors flex items-center gap-2 disabled:opacity-50"
+            >
+              {isSubmitting && <Loader2 className="w-4 h-4 animate-spin" />}
+              Generate
+            </button>
+          </div>
+        </form>
+      </motion.div>
+    </div>
+  );
+};
+
+// Issued Credential Modal Component (temporary password or reset link)
+const CredentialModal = ({ isOpen, onClose, credential }) => {
   const [copied, setCopied] = useState(false);
 
-  if (!isOpen) return null;
+  if (!isOpen || !credential) return null;
+
+  const isLink = credential.method === CREDENTIAL_METHODS.RESET_LINK;
+  const expiresAt = new Date(credential.expiresAt).toLocaleString();
 
   const handleCopy = () => {
-    navigator.clipboard.writeText(tempPassword);
+    navigator.clipboard.writeText(credential.value);
     setCopied(true);
     setTimeout(() => setCopied(false), 2000);
   };
@@ -173,7 +289,7 @@ const TempPasswordModal = ({ isOpen, onClose, tempPassword }) => {
       >
         <div className="flex justify-between items-center mb-4">
           <h2 className="text-xl font-semibold text-gray-900 dark:text-white">
-            Temporary Password Generated
+            {isLink ? 'Reset Link Generated' : 'Temporary Password Generated'}
           </h2>
           <button
             onClick={onClose}
@@ -185,11 +301,11 @@ const TempPasswordModal = ({ isOpen, onClose, tempPassword }) => {
 
         <div className="mb-6">
           <p className="text-sm text-gray-500 dark:text-gray-400 mb-3">
-            Please copy this temporary password. It will expire in 24 hours.
+            Please copy this {isLink ? 'link' : 'temporary password'} now. It will not be shown again and expires on {expiresAt}.
           </p>
           <div className="flex items-center gap-2">
-            <code className="flex-1 p-3 bg-gray-100 dark:bg-gray-900 rounded-lg font-mono text-lg break-all">
-              {tempPassword}
+            <code className={`flex-1 p-3 bg-gray-100 dark:bg-gray-900 rounded-lg font-mono break-all ${isLink ? 'text-xs' : 'text-lg'}`}>
+              {credential.value}
             </code>
             <button
               onClick={handleCopy}
@@ -213,9 +329,13 @@ const TempPasswordModal = ({ isOpen, onClose, tempPassword }) => {
         <div className="space-y-2 text-sm text-gray-500 dark:text-gray-400">
           <p>Important notes:</p>
           <ul className="list-disc list-inside space-y-1">
-            <li>This password is valid for 24 hours only</li>
-            <li>User will be required to change it upon first login</li>
-            <li>Keep this password secure and do not share it</li>
+            <li>It can be used only once</li>
+            <li>
+              {isLink
+                ? 'The user chooses a new password when they open the link'
+                : 'User will be required to change it upon first login'}
+            </li>
+            <li>Keep it secure and only share it with the user</li>
           </ul>
         </div>
 
@@ -256,7 +376,7 @@ const AccountLockStatus = ({ user, onUnlock }) => {
   );
 };
 const UserManagement = () => {
-  const { user: currentUser, unlockAccount } = useAuth();
+  const { user: currentUser } = useAuth();
 
   const [users, setUsers] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -264,14 +384,15 @@ const UserManagement = () => {
   const [selectedUser, setSelectedUser] = useState(null);
   const [showModal, setShowModal] = useState(false);
   const [modalMode, setModalMode] = useState('create');
-  const [showTempPasswordModal, setShowTempPasswordModal] = useState(false);
-  const [currentTempPassword, setCurrentTempPassword] = useState('');
+  const [resetTarget, setResetTarget] = useState(null);
+  const [issuedCredential, setIssuedCredential] = useState(null);
   const [currentPage, setCurrentPage] = useState(1);
   const [itemsPerPage] = useState(10);
   const [statusFilter, setStatusFilter] = useState('all');
   const [roleFilter, setRoleFilter] = useState('all');
   const [showUnlockModal, setShowUnlockModal] = useState(false);
   const [userToUnlock, setUserToUnlock] = useState(null);
+  const [mfaEnrolledIds, setMfaEnrolledIds] = useState(new Set());
 
   // Available roles (simplified to 3 roles)
   const roles = [
@@ -284,24 +405,12 @@ const UserManagement = () => {
     fetchUsers();
   }, [searchTerm, statusFilter, roleFilter]);
 
-  const generateTempPassword = () => {
-    const characters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789!@#$%^&*()';
-    let tempPassword = '';
-    const randomValues = new Uint32Array(10);
-    crypto.getRandomValues(randomValues);
-    
-    randomValues.forEach((value) => {
-      tempPassword += characters[value % characters.length];
-    });
-
-    return tempPassword;
-  };
   const fetchUsers = async () => {
     try {
       setLoading(true);
       let query = supabase
         .from('users')
-        .select('*')
+        .select(USER_COLUMNS)
         .order('created_at', { ascending: false });
 
       // Apply status filter
@@ -329,6 +438,7 @@ const UserManagement = () => {
 
       if (error) throw error;
       setUsers(data || []);
+      setMfaEnrolledIds(await fetchMfaEnrolledUserIds());
     } catch (error) {
       console.error('Error fetching users:', error);
     } finally {
@@ -338,84 +448,52 @@ const UserManagement = () => {
 
   const handleCreateUser = async (userData) => {
     try {
-      const tempPassword = generateTempPassword();
-      const tempPasswordExpiry = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+      // The temporary password is created on the server; only its hash is stored
+      const { password, expiresAt } = await createUser(userData);
 
-      const { data, error } = await supabase
-        .from('users')
-        .insert([{
-          ...userData,
-          temp_password: tempPassword,
-          temp_password_expires: tempPasswordExpiry,
-          password_change_required: true,
-          created_by: currentUser.username
-        }]);
-
-      if (error) throw error;
-      
-      setCurrentTempPassword(tempPassword);
-      setShowTempPasswordModal(true);
+      setIssuedCredential({
+        method: CREDENTIAL_METHODS.TEMP_PASSWORD,
+        value: password,
+        expiresAt
+      });
       fetchUsers();
       setShowModal(false);
     } catch (error) {
       console.error('Error creating user:', error);
+      alert(error.message || 'Failed to create the user. Please try again.');
     }
   };
 
   const handleUpdateUser = async (userData) => {
     try {
-      const { error } = await supabase
-        .from('users')
-        .update({
-          ...userData,
-          updated_by: currentUser.username,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', selectedUser.id);
+      await updateUser(selectedUser.id, userData);
 
-      if (error) throw error;
-      
       fetchUsers();
       setShowModal(false);
     } catch (error) {
       console.error('Error updating user:', error);
+      alert(error.message || 'Failed to update the user. Please try again.');
     }
   };
 
-  const handleResetPassword = async (userId) => {
+  const handleResetPassword = async (targetUser, method, expiresInHours) => {
     try {
-      // Generate a 10-character temporary password
-      const characters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789!@#$%^&*()';
-      let tempPassword = '';
-      const randomValues = new Uint32Array(10);
-      crypto.getRandomValues(randomValues);
-      
-      randomValues.forEach((value) => {
-        tempPassword += characters[value % characters.length];
+      const isLink = method === CREDENTIAL_METHODS.RESET_LINK;
+      const credential = isLink
+        ? await issueResetLink(targetUser.id, expiresInHours)
+        : await issueTempPassword(targetUser.id, expiresInHours);
+
+      setResetTarget(null);
+      setIssuedCredential({
+        method,
+        value: isLink ? credential.url : credential.password,
+        expiresAt: credential.expiresAt
       });
-
-      // Set expiry to 24 hours from now
-      const tempPasswordExpiry = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
-      
-      // Only update temp password fields, NOT the actual password
-      const { error } = await supabase
-        .from('users')
-        .update({
-          temp_password: tempPassword,
-          temp_password_expires: tempPasswordExpiry,
-          password_change_required: true,
-          updated_by: currentUser.username
-        })
-        .eq('id', userId);
-
-      if (error) throw error;
-
-      setCurrentTempPassword(tempPassword);
-      setShowTempPasswordModal(true);
       
       fetchUsers();
     } catch (error) {
       console.error('Error resetting password:', error);
+      alert('Failed to reset the password. Please try again.');
     }
   };
 
@@ -423,23 +501,16 @@ const UserManagement = () => {
     if (!window.confirm('Are you sure you want to delete this user?')) return;
 
     try {
-      const { error } = await supabase
-        .from('users')
-        .delete()
-        .eq('id', userId);
-
-      if (error) throw error;
-      
+      await deleteUser(userId);
       fetchUsers();
     } catch (error) {
       console.error('Error deleting user:', error);
+      alert(error.message || 'Failed to delete the user. Please try again.');
     }
   };
   const handleUnlockAccount = async (userId) => {
     try {
-      const { error } = await unlockAccount(userId);
-      
-      if (error) throw new Error(error);
+      await unlockUser(userId);
       
       // Refresh the users list
       fetchUsers();
@@ -451,6 +522,28 @@ const UserManagement = () => {
     }
   };
 
+  const handleToggleMfaRequired = async (targetUser) => {
+    try {
+      await setUserMfaRequired(targetUser.id, !targetUser.mfa_required);
+      fetchUsers();
+    } catch (error) {
+      console.error('Error updating two-factor requirement:', error);
+      alert('Failed to update the two-factor requirement. Please try again.');
+    }
+  };
+
+  const handleResetMfa = async (targetUser) => {
+    if (!window.confirm(`Remove the authenticator app for ${targetUser.username}? They will need to set up two-factor authentication again if it is required.`)) return;
+
+    try {
+      await resetUserMfa(targetUser.id);
+      fetchUsers();
+    } catch (error) {
+      console.error('Error resetting two-factor authentication:', error);
+      alert('Failed to reset two-factor authentication. Please try again.');
+    }
+  };
+
   const openUnlockModal = (user) => {
     setUserToUnlock(user);
     setShowUnlockModal(true);
@@ -464,6 +557,7 @@ const UserManagement = () => {
         'Role': getUserRole(user),
         'Status': user.is_active ? 'Active' : 'Inactive',
         'Login Attempts': user.failed_login_attempts || 0,
+        'Two-Factor': mfaEnrolledIds.has(user.id) ? 'On' : user.mfa_required ? 'Required' : 'Off',
         'Locked': user.locked_at ? 'Yes' : 'No',
         'Locked At': user.locked_at ? new Date(user.locked_at).toLocaleString() : 'N/A',
         'Created At': new Date(user.created_at).toLocaleString(),
@@ -683,6 +777,16 @@ const UserManagement = () => {
                           }`}>
                             {user.is_active ? 'Active' : 'Inactive'}
                           </span>
+                          {mfaEnrolledIds.has(user.id) ? (
+                            <span className="ml-2 px-2 py-1 inline-flex items-center gap-1 text-xs leading-5 font-semibold rounded-full bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-200">
+                              <ShieldCheck className="w-3 h-3" />
+                              2FA
+                            </span>
+                          ) : user.mfa_required && (
+                            <span className="ml-2 px-2 py-1 inline-flex text-xs leading-5 font-semibold rounded-full bg-amber-100 text-amber-800 dark:bg-amber-900/30 dark:text-amber-200">
+                              2FA required
+                            </span>
+                          )}
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
                             {user.created_at 
@@ -739,12 +843,30 @@ const UserManagement = () => {
                                   <Edit2 className="w-4 h-4" />
                                 </button>
                                 <button
-                                  onClick={() => handleResetPassword(user.id)}
+                                  onClick={() => setResetTarget(user)}
                                   className="text-gray-400 hover:text-gray-500 dark:hover:text-gray-300"
                                   title="Reset Password"
                                 >
                                   <Lock className="w-4 h-4" />
                                 </button>
+                                <button
+                                  onClick={() => handleToggleMfaRequired(user)}
+                                  className={user.mfa_required
+                                    ? 'text-blue-400 hover:text-blue-500 dark:hover:text-blue-300'
+                                    : 'text-gray-400 hover:text-gray-500 dark:hover:text-gray-300'}
+                                  title={user.mfa_required ? 'Stop Requiring 2FA' : 'Require 2FA'}
+                                >
+                                  <ShieldCheck className="w-4 h-4" />
+                                </button>
+                                {mfaEnrolledIds.has(user.id) && (
+                                  <button
+                                    onClick={() => handleResetMfa(user)}
+                                    className="text-gray-400 hover:text-gray-500 dark:hover:text-gray-300"
+                                    title="Reset 2FA"
+                                  >
+                                    <ShieldOff className="w-4 h-4" />
+                                  </button>
+                                )}
                               </>
                             )}
                             <button
@@ -850,11 +972,19 @@ const UserManagement = () => {
         onSubmit={modalMode === 'create' ? handleCreateUser : handleUpdateUser}
       />
 
-      {/* Temporary Password Modal */}
-      <TempPasswordModal
-        isOpen={showTempPasswordModal}
-        onClose={() => setShowTempPasswordModal(false)}
-        tempPassword={currentTempPassword}
+      {/* Reset Password Modal */}
+      <ResetPasswordModal
+        isOpen={Boolean(resetTarget)}
+        user={resetTarget}
+        onClose={() => setResetTarget(null)}
+        onSubmit={handleResetPassword}
+      />
+
+      {/* Issued Credential Modal */}
+      <CredentialModal
+        isOpen={Boolean(issuedCredential)}
+        onClose={() => setIssuedCredential(null)}
+        credential={issuedCredential}
       />
 
       {/* Account Unlock Modal */}
@@ -0,0 +1,125 @@
+import React, { useState } from 'react';
+import { useParams } from 'react-router-dom';
+import { format } from 'date-fns';
+import { ShieldCheck, ShieldAlert, Upload, Loader2 } from 'lucide-react';
+import { verifyDocument } from '../services/signatureService';
+
+/**
+ * Public page where recipients check a response PDF against the signed
+ * original. Reached from the link in the signature block.
+ */
+const VerifyDocument = () => {
+  const { signatureId } = useParams();
+  const [fileName, setFileName] = useState('');
+  const [checking, setChecking] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      setChecking(true);
+      setError('');
+      setResult(null);
+      setFileName(file.name);
+      setResult(await verifyDocument(file, signatureId || null));
+    } catch (error) {
+      setError('The document could not be checked. Please try again later.');
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900 flex items-center justify-center px-4 sm:px-6 lg:px-8">
+      <div className="max-w-lg w-full space-y-6 bg-white dark:bg-gray-800 p-8 rounded-xl shadow-lg">
+        <div className="text-center">
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white">
+            Verify a Document
+          </h1>
+          <p className="mt-2 text-sm text-gray-500 dark:text-gray-400">
+            Choose the PDF you received to check that it was signed by us and has not been changed since.
+            The file is checked on your device; only its fingerprint is sent.
+          </p>
+          {signatureId && (
+            <p className="mt-2 text-xs text-gray-500 dark:text-gray-400 break-all">
+              Signature {signatureId}
+            </p>
+          )}
+        </div>
+
+        <label className={`flex flex-col items-center justify-center border-2 border-dashed rounded-lg p-6 cursor-pointer
+                         border-gray-300 dark:border-gray-600 hover:border-gray-400 dark:hover:border-gray-500
+                         ${checking ? 'opacity-50 pointer-events-none' : ''}`}>
+          {checking ? (
+            <Loader2 className="h-10 w-10 text-gray-400 mb-2 animate-spin" />
+          ) : (
+            <Upload className="h-10 w-10 text-gray-400 dark:text-gray-500 mb-2" />
+          )}
+          <span className="text-sm font-medium text-gray-700 dark:text-gray-300">
+            {fileName || 'Choose PDF'}
+          </span>
+          <input type="file" accept="application/pdf" className="hidden" onChange={handleFile} />
+        </label>
+
+        {error && (
+          <p className="text-sm text-red-600 dark:text-red-400">{error}</p>
+        )}
+
+        {result?.match && (
+          <div className="p-4 rounded-lg bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800">
+            <div className="flex items-center text-green-800 dark:text-green-200 font-medium">
+              <ShieldCheck className="h-5 w-5 mr-2" />
+              Authentic and unaltered
+            </div>
+            <dl className="mt-3 space-y-2 text-sm">
+              <div>
+                <dt className="text-gray-500 dark:text-gray-400">Signed by</dt>
+                <dd className="text-gray-900 dark:text-white">{result.signature.signer_name}</dd>
+              </div>
+              <div>
+                <dt className="text-gray-500 dark:text-gray-400">Signed on</dt>
+                <dd className="text-gray-900 dark:text-white">
+                  {format(new Date(result.signature.signed_at), 'MMM d, yyyy HH:mm')}
+                </dd>
+              </div>
+              {result.signature.reference_number && (
+                <div>
+                  <dt className="text-gray-500 dark:text-gray-400">Reference</dt>
+                  <dd className="text-gray-900 dark:text-white">{result.signature.reference_number}</dd>
+                </div>
+              )}
+              {result.signature.certificate && (
+                <div>
+                  <dt className="text-gray-500 dark:text-gray-400">Certificate</dt>
+                  <dd className="text-gray-900 dark:text-white break-words">
+                    {result.signature.certificate.subject}, issued by {result.signature.certificate.issuer}
+                  </dd>
+                </div>
+              )}
+            </dl>
+          </div>
+        )}
+
+        {result && !result.match && (
+          <div className="p-4 rounded-lg bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800">
+            <div className="flex items-center text-red-800 dark:text-red-200 font-medium">
+              <ShieldAlert className="h-5 w-5 mr-2" />
+              Not verified
+            </div>
+            <p className="mt-2 text-sm text-red-700 dark:text-red-300">
+              {result.found
+                ? 'This file differs from the document that was signed. It may have been changed after signing.'
+                : 'No document signed by us matches this file.'}
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyDocument;
@@ -2,27 +2,28 @@ import { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import {  BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, PieChart, Pie, Cell} from 'recharts';
-import {  Users, UserCheck, FileText, Building, Clock, CheckSquare, ArrowRight, BarChart as BarChartIcon} from 'lucide-react';
+import {  Users, UserCheck, FileText, Building, Clock, CheckSquare, ArrowRight, AlertTriangle, XCircle, BarChart as BarChartIcon} from 'lucide-react';
 import { useAuth } from '../../hooks/useAuth';
+import { useWorkflow } from '../../contexts/WorkflowContext';
 import { supabase } from '../../config/supabase';
 import { StatCard } from '../../components/common/StatCard';
+import SlaBadge from '../../components/requests/SlaBadge';
+import { countSlaStates } from '../../utils/slaUtils';
 import { format, parseISO, subDays } from 'date-fns';
 
 const COLORS = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042', '#8884D8'];
-const STATUS_COLORS = {
-  pending: '#FFBB28',
-  in_progress: '#0088FE',
-  completed: '#00C49F'
-};
 
 const AdminDashboard = () => {
   const { user } = useAuth();
+  const { workflow, getStatusLabel, getStatusBadgeClasses, getStatusChartColor, getStatusCategory, getStatusesByCategory } = useWorkflow();
   const [stats, setStats] = useState({
     totalUsers: 0,
     activeUsers: 0,
     totalRequests: 0,
     pendingRequests: 0,
     completedRequests: 0,
+    atRiskRequests: 0,
+    breachedRequests: 0,
     totalOrganizations: 0
   });
   const [userRoleStats, setUserRoleStats] = useState([]);
@@ -44,7 +45,7 @@ const AdminDashboard = () => {
 
   useEffect(() => {
     fetchAdminDashboardData();
-  }, []);
+  }, [workflow]);
 
   const fetchAdminDashboardData = async () => {
     try {
@@ -53,12 +54,12 @@ const AdminDashboard = () => {
       // Fetch user statistics
       const { count: totalUsers } = await supabase
         .from('users')
-        .select('*', { count: 'exact' });
+        .select('id', { count: 'exact', head: true });
 
       // Fetch active users
       const { count: activeUsers } = await supabase
         .from('users')
-        .select('*', { count: 'exact' })
+        .select('id', { count: 'exact', head: true })
         .eq('is_active', true);
 
       // Fetch user role distribution
@@ -94,13 +95,22 @@ const AdminDashboard = () => {
       const { count: pendingRequests } = await supabase
         .from('v4_requests')
         .select('*', { count: 'exact' })
-        .in('status', ['pending', 'in_progress']);
+        .in('status', getStatusesByCategory(['pending', 'in_progress']));
 
       // Fetch completed requests
       const { count: completedRequests } = await supabase
         .from('v4_requests')
         .select('*', { count: 'exact' })
-        .eq('status', 'completed');
+        .in('status', getStatusesByCategory('completed'));
+
+      // Fetch open requests with a deadline to work out their SLA state
+      const { data: openSlaData } = await supabase
+        .from('v4_requests')
+        .select('status, date_received, due_at, completed_at')
+        .in('status', getStatusesByCategory(['pending', 'in_progress']))
+        .not('due_at', 'is', null);
+
+      const slaCounts = countSlaStates(openSlaData || [], getStatusCategory);
 
       // Fetch request status distribution
       const { data: statusData } = await supabase
@@ -114,9 +124,9 @@ const AdminDashboard = () => {
       }, {}) || {};
 
       const statusStatsArray = Object.entries(statusCounts).map(([name, value]) => ({
-        name: formatStatus(name),
+        name: getStatusLabel(name),
         value,
-        color: STATUS_COLORS[name] || '#8884D8'
+        color: getStatusChartColor(name)
       }));
 
       setRequestStatusStats(statusStatsArray);
@@ -131,6 +141,8 @@ const AdminDashboard = () => {
           subject,
           status,
           priority,
+          due_at,
+          completed_at,
           organizations:sender (name)
         `)
         .order('created_at', { ascending: false })
@@ -150,6 +162,8 @@ const AdminDashboard = () => {
         totalRequests: totalRequests || 0,
         pendingRequests: pendingRequests || 0,
         completedRequests: completedRequests || 0,
+        atRiskRequests: slaCounts.at_risk,
+        breachedRequests: slaCounts.breached,
         totalOrganizations: totalOrganizations || 0
       });
 
@@ -174,27 +188,6 @@ const AdminDashboard = () => {
     }
   };
 
-  // Format status for display
-  const formatStatus = (status) => {
-    return status.split('_').map(word => 
-      word.charAt(0).toUpperCase() + word.slice(1)
-    ).join(' ');
-  };
-
-  // Get status color
-  const getStatusColor = (status) => {
-    switch(status) {
-      case 'pending':
-        return 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-200';
-      case 'in_progress':
-        return 'bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-200';
-      case 'completed':
-        return 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-200';
-      default:
-        return 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-200';
-    }
-  };
-
   // Get priority color
   const getPriorityColor = (priority) => {
     switch(priority) {
@@ -276,7 +269,7 @@ const AdminDashboard = () => {
             </div>
 
             {/* Request Status Grid */}
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+            <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-5 gap-6">
               <StatCard
                 title="Pending Requests"
                 value={stats.pendingRequests}
@@ -300,6 +293,20 @@ const AdminDashboard = () => {
                 color="bg-blue-50 dark:bg-blue-900/10"
                 textColor="text-blue-700 dark:text-blue-300"
               />
+              <StatCard
+                title="SLA At Risk"
+                value={stats.atRiskRequests}
+                icon={<AlertTriangle size={24} className="text-orange-500" />}
+                color="bg-orange-50 dark:bg-orange-900/10"
+                textColor="text-orange-700 dark:text-orange-300"
+              />
+              <StatCard
+                title="SLA Breached"
+                value={stats.breachedRequests}
+                icon={<XCircle size={24} className="text-red-500" />}
+                color="bg-red-50 dark:bg-red-900/10"
+                textColor="text-red-700 dark:text-red-300"
+              />
             </div>
 
             {/* Charts Section */}
@@ -415,6 +422,9 @@ const AdminDashboard = () => {
                         <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
                           Priority
                         </th>
+                        <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
+                          SLA
+                        </th>
                       </tr>
                     </thead>
                     <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
@@ -437,8 +447,8 @@ const AdminDashboard = () => {
                             {request.sender}
                           </td>
                           <td className="px-6 py-4 whitespace-nowrap">
-                            <span className={`px-2.5 py-0.5 rounded-full text-xs font-medium ${getStatusColor(request.status)}`}>
-                              {formatStatus(request.status)}
+                            <span className={`px-2.5 py-0.5 rounded-full text-xs font-medium ${getStatusBadgeClasses(request.status)}`}>
+                              {getStatusLabel(request.status)}
                             </span>
                           </td>
                           <td className="px-6 py-4 whitespace-nowrap">
@@ -446,6 +456,9 @@ const AdminDashboard = () => {
                               {request.priority.charAt(0).toUpperCase() + request.priority.slice(1)}
                             </span>
                           </td>
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <SlaBadge request={request} showIcon={false} />
+                          </td>
                         </tr>
                       ))}
                     </tbody>
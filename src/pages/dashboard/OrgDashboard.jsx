@@ -14,11 +14,15 @@ import {
   AlertCircle
 } from 'lucide-react';
 import { useAuth } from '../../hooks/useAuth';
+import { useWorkflow } from '../../contexts/WorkflowContext';
 import { supabase } from '../../config/supabase';
+import SlaBadge from '../../components/requests/SlaBadge';
+import DownloadZipButton from '../../components/requests/DownloadZipButton';
 import { format, parseISO, subDays } from 'date-fns';
 
 const OrgDashboard = () => {
   const { user } = useAuth();
+  const { workflow, getStatusLabel, getStatusBadgeClasses, getStatusesByCategory } = useWorkflow();
   const [stats, setStats] = useState({
     totalRequests: 0,
     pendingRequests: 0,
@@ -84,7 +88,7 @@ const OrgDashboard = () => {
     };
     
     fetchOrgUserData();
-  }, [user.id]);
+  }, [user.id, workflow]);
 
   const fetchOrgDashboardData = async (organizationId) => {
     try {
@@ -99,14 +103,14 @@ const OrgDashboard = () => {
         .from('v4_requests')
         .select('*', { count: 'exact' })
         .eq('sender', organizationId)
-        .in('status', ['pending', 'in_progress']);
+        .in('status', getStatusesByCategory(['pending', 'in_progress']));
 
       // Get completed request count
       const { count: completedRequests } = await supabase
         .from('v4_requests')
         .select('*', { count: 'exact' })
         .eq('sender', organizationId)
-        .eq('status', 'completed');
+        .in('status', getStatusesByCategory('completed'));
 
       // Fetch recent requests
       const { data: recentRequestsData } = await supabase
@@ -118,6 +122,8 @@ const OrgDashboard = () => {
           subject,
           status,
           priority,
+          due_at,
+          completed_at,
           created_at
         `)
         .eq('sender', organizationId)
@@ -131,10 +137,11 @@ const OrgDashboard = () => {
           id,
           reference_number,
           subject,
-          completed_at
+          completed_at,
+          legal_hold
         `)
         .eq('sender', organizationId)
-        .eq('status', 'completed')
+        .in('status', getStatusesByCategory('completed'))
         .order('completed_at', { ascending: false })
         .limit(5);
         
@@ -142,9 +149,11 @@ const OrgDashboard = () => {
       const responsePromises = recentCompletedRequests.map(async (request) => {
         const { data: files } = await supabase
           .from('v4_request_files')
-          .select('id, file_name, created_at')
+          .select('id, file_name, created_at, deletion_date')
           .eq('request_id', request.id)
           .eq('is_response', true)
+          .eq('is_current', true)
+          .or('scan_status.is.null,scan_status.in.(clean,released)')
           .order('created_at', { ascending: false })
           .limit(1);
           
@@ -174,27 +183,6 @@ const OrgDashboard = () => {
     }
   };
 
-  // Format status for display
-  const formatStatus = (status) => {
-    return status?.split('_').map(word => 
-      word.charAt(0).toUpperCase() + word.slice(1)
-    ).join(' ');
-  };
-
-  // Get status color
-  const getStatusColor = (status) => {
-    switch(status) {
-      case 'pending':
-        return 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-200';
-      case 'in_progress':
-        return 'bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-200';
-      case 'completed':
-        return 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-200';
-      default:
-        return 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-200';
-    }
-  };
-
   // Get priority color
   const getPriorityColor = (priority) => {
     switch(priority) {
@@ -414,6 +402,9 @@ const OrgDashboard = () => {
                       <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
                         Priority
                       </th>
+                      <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
+                        SLA
+                      </th>
                     </tr>
                   </thead>
                   <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
@@ -433,8 +424,8 @@ const OrgDashboard = () => {
                           </div>
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap">
-                          <span className={`px-2.5 py-0.5 rounded-full text-xs font-medium ${getStatusColor(request.status)}`}>
-                            {formatStatus(request.status)}
+                          <span className={`px-2.5 py-0.5 rounded-full text-xs font-medium ${getStatusBadgeClasses(request.status)}`}>
+                            {getStatusLabel(request.status)}
                           </span>
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap">
@@ -442,6 +433,9 @@ const OrgDashboard = () => {
                             {request.priority.charAt(0).toUpperCase() + request.priority.slice(1)}
                           </span>
                         </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <SlaBadge request={request} showIcon={false} />
+                        </td>
                       </tr>
                     ))}
                   </tbody>
@@ -461,12 +455,20 @@ const OrgDashboard = () => {
               <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
                 Latest Responses
               </h2>
-              <Link 
-                to="/requests?status=completed"
-                className="text-sm text-blue-600 dark:text-blue-400 flex items-center hover:underline"
-              >
-                View all <ArrowRight className="h-4 w-4 ml-1" />
-              </Link>
+              <div className="flex items-center gap-3">
+                {recentResponses.length > 1 && (
+                  <DownloadZipButton
+                    requestIds={recentResponses.map(response => response.id)}
+                    label="Download all"
+                  />
+                )}
+                <Link 
+                  to="/requests?status=completed"
+                  className="text-sm text-blue-600 dark:text-blue-400 flex items-center hover:underline"
+                >
+                  View all <ArrowRight className="h-4 w-4 ml-1" />
+                </Link>
+              </div>
             </div>
 
             {recentResponses.length === 0 ? (
@@ -499,20 +501,28 @@ const OrgDashboard = () => {
                         <span>
                           Completed on {format(new Date(response.completed_at), 'dd MMM yyyy')}
                         </span>
+                        {response.responseFile.deletion_date && !response.legal_hold && (
+                          <span className="ml-3 text-red-600 dark:text-red-400">
+                            Deleted on {format(new Date(response.responseFile.deletion_date), 'dd MMM yyyy')}
+                          </span>
+                        )}
                       </div>
                     </div>
                     
-                    <button
-                      onClick={() => downloadResponseFile(
-                        response.id, 
-                        response.responseFile.id, 
-                        response.responseFile.file_name
-                      )}
-                      className="flex items-center px-3 py-1.5 bg-black text-white dark:bg-white dark:text-black text-sm rounded-lg hover:bg-gray-800 dark:hover:bg-gray-100"
-                    >
-                      <Download className="h-4 w-4 mr-1" />
-                      Download
-                    </button>
+                    <div className="flex items-center gap-2">
+                      <DownloadZipButton requestIds={[response.id]} label="All files" />
+                      <button
+                        onClick={() => downloadResponseFile(
+                          response.id, 
+                          response.responseFile.id, 
+                          response.responseFile.file_name
+                        )}
+                        className="flex items-center px-3 py-1.5 bg-black text-white dark:bg-white dark:text-black text-sm rounded-lg hover:bg-gray-800 dark:hover:bg-gray-100"
+                      >
+                        <Download className="h-4 w-4 mr-1" />
+                        Download
+                      </button>
+                    </div>
                   </div>
                 ))}
               </div>
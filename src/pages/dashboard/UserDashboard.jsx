@@ -7,25 +7,32 @@ import {
   CheckSquare, 
   ArrowRight,
   AlertTriangle,
+  XCircle,
   Loader2
 } from 'lucide-react';
 import { useAuth } from '../../hooks/useAuth';
+import { useWorkflow } from '../../contexts/WorkflowContext';
 import { supabase } from '../../config/supabase';
+import SlaBadge from '../../components/requests/SlaBadge';
+import { countSlaStates } from '../../utils/slaUtils';
 import { format } from 'date-fns';
 
 const UserDashboard = () => {
   const { user } = useAuth();
+  const { workflow, getStatusLabel, getStatusBadgeClasses, getStatusCategory, getStatusesByCategory } = useWorkflow();
   const [stats, setStats] = useState({
     pendingRequests: 0,
     completedRequests: 0,
-    urgentRequests: 0
+    urgentRequests: 0,
+    atRiskRequests: 0,
+    breachedRequests: 0
   });
   const [recentRequests, setRecentRequests] = useState([]);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
     fetchUserDashboardData();
-  }, [user.id]);
+  }, [user.id, workflow]);
 
   const fetchUserDashboardData = async () => {
     try {
@@ -35,13 +42,13 @@ const UserDashboard = () => {
       const { count: pendingRequests } = await supabase
         .from('v4_requests')
         .select('*', { count: 'exact' })
-        .eq('status', 'pending');
+        .in('status', getStatusesByCategory('pending'));
 
       // Fetch completed requests count
       const { count: completedRequests } = await supabase
         .from('v4_requests')
         .select('*', { count: 'exact' })
-        .eq('status', 'completed');
+        .in('status', getStatusesByCategory('completed'));
 
       // Fetch urgent requests count
       const { count: urgentRequests } = await supabase
@@ -49,6 +56,15 @@ const UserDashboard = () => {
         .select('*', { count: 'exact' })
         .eq('priority', 'urgent');
 
+      // Fetch open requests with a deadline to work out their SLA state
+      const { data: openSlaData } = await supabase
+        .from('v4_requests')
+        .select('status, date_received, due_at, completed_at')
+        .in('status', getStatusesByCategory(['pending', 'in_progress']))
+        .not('due_at', 'is', null);
+
+      const slaCounts = countSlaStates(openSlaData || [], getStatusCategory);
+
       // Fetch recent requests
       const { data: recentRequestsData } = await supabase
         .from('v4_requests')
@@ -59,6 +75,8 @@ const UserDashboard = () => {
           subject,
           status,
           priority,
+          due_at,
+          completed_at,
           organizations:sender (name)
         `)
         .order('created_at', { ascending: false })
@@ -73,7 +91,9 @@ const UserDashboard = () => {
       setStats({
         pendingRequests: pendingRequests || 0,
         completedRequests: completedRequests || 0,
-        urgentRequests: urgentRequests || 0
+        urgentRequests: urgentRequests || 0,
+        atRiskRequests: slaCounts.at_risk,
+        breachedRequests: slaCounts.breached
       });
       
       setRecentRequests(processedRecentRequests);
@@ -96,27 +116,6 @@ const UserDashboard = () => {
     }
   };
 
-  // Format status for display
-  const formatStatus = (status) => {
-    return status?.split('_').map(word => 
-      word.charAt(0).toUpperCase() + word.slice(1)
-    ).join(' ');
-  };
-
-  // Get status color
-  const getStatusColor = (status) => {
-    switch(status) {
-      case 'pending':
-        return 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-200';
-      case 'in_progress':
-        return 'bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-200';
-      case 'completed':
-        return 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-200';
-      default:
-        return 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-200';
-    }
-  };
-
   // Get priority color
   const getPriorityColor = (priority) => {
     switch(priority) {
@@ -157,7 +156,7 @@ const UserDashboard = () => {
             </motion.div>
 
             {/* Stats Cards */}
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+            <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-5 gap-6">
               <motion.div
                 initial={{ opacity: 0, y: 20 }}
                 animate={{ opacity: 1, y: 0 }}
@@ -220,6 +219,48 @@ const UserDashboard = () => {
                   </div>
                 </div>
               </motion.div>
+
+              <motion.div
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                transition={{ delay: 0.35 }}
+                className="bg-white dark:bg-gray-800 rounded-xl p-6 shadow-sm"
+              >
+                <div className="flex items-center">
+                  <div className="p-3 rounded-full bg-orange-100 dark:bg-orange-900/30 mr-4">
+                    <AlertTriangle className="h-6 w-6 text-orange-600 dark:text-orange-400" />
+                  </div>
+                  <div>
+                    <p className="text-sm font-medium text-gray-500 dark:text-gray-400">
+                      SLA At Risk
+                    </p>
+                    <p className="text-2xl font-bold text-gray-900 dark:text-white">
+                      {stats.atRiskRequests}
+                    </p>
+                  </div>
+                </div>
+              </motion.div>
+
+              <motion.div
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                transition={{ delay: 0.4 }}
+                className="bg-white dark:bg-gray-800 rounded-xl p-6 shadow-sm"
+              >
+                <div className="flex items-center">
+                  <div className="p-3 rounded-full bg-red-100 dark:bg-red-900/30 mr-4">
+                    <XCircle className="h-6 w-6 text-red-600 dark:text-red-400" />
+                  </div>
+                  <div>
+                    <p className="text-sm font-medium text-gray-500 dark:text-gray-400">
+                      SLA Breached
+                    </p>
+                    <p className="text-2xl font-bold text-gray-900 dark:text-white">
+                      {stats.breachedRequests}
+                    </p>
+                  </div>
+                </div>
+              </motion.div>
             </div>
 
             {/* Recent Requests */}
@@ -274,6 +315,9 @@ const UserDashboard = () => {
                         <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
                           Priority
                         </th>
+                        <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
+                          SLA
+                        </th>
                       </tr>
                     </thead>
                     <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
@@ -296,8 +340,8 @@ const UserDashboard = () => {
                             {request.sender}
                           </td>
                           <td className="px-6 py-4 whitespace-nowrap">
-                            <span className={`px-2.5 py-0.5 rounded-full text-xs font-medium ${getStatusColor(request.status)}`}>
-                              {formatStatus(request.status)}
+                            <span className={`px-2.5 py-0.5 rounded-full text-xs font-medium ${getStatusBadgeClasses(request.status)}`}>
+                              {getStatusLabel(request.status)}
                             </span>
                           </td>
                           <td className="px-6 py-4 whitespace-nowrap">
@@ -305,6 +349,9 @@ const UserDashboard = () => {
                               {request.priority.charAt(0).toUpperCase() + request.priority.slice(1)}
                             </span>
                           </td>
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <SlaBadge request={request} showIcon={false} />
+                          </td>
                         </tr>
                       ))}
                     </tbody>
@@ -14,6 +14,8 @@ import {
 } from 'lucide-react';
 import { supabase } from '../../config/supabase';
 import { useAuth } from '../../hooks/useAuth';
+import { createOrganization, updateOrganization } from '../../services/organizationService';
+import PdfPasswordPanel from '../../components/organizations/PdfPasswordPanel';
 
 const OrganizationDetail = () => {
   const { id } = useParams();
@@ -27,7 +29,8 @@ const OrganizationDetail = () => {
     phone2: '',
     email: '',
     address: '',
-    is_active: true
+    is_active: true,
+    pdf_password_required: false
   });
   
   const [loading, setLoading] = useState(!isNewOrg);
@@ -48,7 +51,7 @@ const OrganizationDetail = () => {
       // Fetch organization details
       const { data: orgData, error: orgError } = await supabase
         .from('v4_organizations')
-        .select('*')
+        .select('name, phone, phone2, email, address, is_active, pdf_password_required')
         .eq('id', id)
         .single();
         
@@ -100,24 +103,13 @@ const OrganizationDetail = () => {
     try {
       if (isNewOrg) {
         // Create new organization
-        const { data, error } = await supabase
-          .from('v4_organizations')
-          .insert([formData])
-          .select()
-          .single();
-          
-        if (error) throw error;
+        const data = await createOrganization(formData);
         
         // Redirect to the new organization page
         navigate(`/organizations/${data.id}`, { replace: true });
       } else {
         // Update existing organization
-        const { error } = await supabase
-          .from('v4_organizations')
-          .update(formData)
-          .eq('id', id);
-          
-        if (error) throw error;
+        await updateOrganization(id, formData);
         
         // Refresh data
         fetchOrganizationData();
@@ -272,6 +264,21 @@ const OrganizationDetail = () => {
                     Active
                   </label>
                 </div>
+                
+                {/* PDF open password */}
+                <div className="flex items-center">
+                  <input
+                    type="checkbox"
+                    id="pdf_password_required"
+                    name="pdf_password_required"
+                    checked={Boolean(formData.pdf_password_required)}
+                    onChange={handleChange}
+                    className="h-4 w-4 text-black focus:ring-black rounded border-gray-300"
+                  />
+                  <label htmlFor="pdf_password_required" className="ml-2 block text-sm text-gray-700 dark:text-gray-300">
+                    Require an open password on response PDFs
+                  </label>
+                </div>
               </div>
               
               {/* Organization Stats (only for existing organizations) */}
@@ -294,6 +301,12 @@ const OrganizationDetail = () => {
                   </div>
                 </div>
               )}
+              
+              {!isNewOrg && formData.pdf_password_required && (
+                <div className="mt-4">
+                  <PdfPasswordPanel organizationId={id} />
+                </div>
+              )}
             </div>
             
             <div className="p-6 border-t border-gray-200 dark:border-gray-700 flex justify-end">
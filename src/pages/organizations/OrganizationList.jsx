@@ -13,6 +13,7 @@ import {
 import * as XLSX from 'xlsx';
 import { supabase } from '../../config/supabase';
 import { useAuth } from '../../hooks/useAuth';
+import { deleteOrganization } from '../../services/organizationService';
 import ModalOrganizationUsers from '../../components/modals/ModalOrganizationUsers';
 import ModalOrganizationDetail from '../../components/modals/ModalOrganizationDetail';
 
@@ -62,12 +63,7 @@ const OrganizationList = () => {
     }
 
     try {
-      const { error } = await supabase
-        .from('v4_organizations')
-        .delete()
-        .eq('id', id);
-
-      if (error) throw error;
+      await deleteOrganization(id);
       
       setOrganizations(organizations.filter(org => org.id !== id));
     } catch (error) {
@@ -1,11 +1,13 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../../hooks/useAuth';
+import { useWorkflow } from '../../contexts/WorkflowContext';
 import { supabase } from '../../config/supabase';
 import { Building, Mail, Phone, MapPin, Calendar, User } from 'lucide-react';
 import { format } from 'date-fns';
 
 const OrganizationProfile = () => {
   const { user } = useAuth();
+  const { workflow, getStatusesByCategory } = useWorkflow();
   const [organization, setOrganization] = useState(null);
   const [requestStats, setRequestStats] = useState({
     total: 0,
@@ -60,14 +62,14 @@ const OrganizationProfile = () => {
             .from('v4_requests')
             .select('id', { count: 'exact', head: true })
             .eq('sender', orgData.id)
-            .in('status', ['pending', 'in_progress']),
+            .in('status', getStatusesByCategory(['pending', 'in_progress'])),
             
           // Completed requests count
           supabase
             .from('v4_requests')
             .select('id', { count: 'exact', head: true })
             .eq('sender', orgData.id)
-            .eq('status', 'completed')
+            .in('status', getStatusesByCategory('completed'))
         ]);
         
         setRequestStats({
@@ -86,7 +88,7 @@ const OrganizationProfile = () => {
     if (user) {
       fetchOrganization();
     }
-  }, [user]);
+  }, [user, workflow]);
 
   if (loading) {
     return (
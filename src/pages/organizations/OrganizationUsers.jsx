@@ -11,7 +11,10 @@ import {
   Loader2
 } from 'lucide-react';
 import { supabase } from '../../config/supabase';
+import { USER_COLUMNS } from '../../services/userService';
 import { useAuth } from '../../hooks/useAuth';
+import { logAuditEvent } from '../../services/auditService';
+import { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES } from '../../config/audit';
 
 // User-Organization Assignment Component
 const UserOrgAssignment = ({ user, organizations, userOrgs, onAssign, onRemove, onSetPrimary }) => {
@@ -164,7 +167,7 @@ const OrganizationUsers = () => {
         // Fetch users with organization role
         const { data: usersData, error: usersError } = await supabase
           .from('users')
-          .select('*')
+          .select(USER_COLUMNS)
           .eq('user_role_v4', 'organization');
           
         if (usersError) throw usersError;
@@ -240,6 +243,13 @@ const OrganizationUsers = () => {
         
       if (error) throw error;
       
+      await logAuditEvent({
+        action: AUDIT_ACTIONS.ORGANIZATION_USER_ADDED,
+        entityType: AUDIT_ENTITY_TYPES.ORGANIZATION,
+        entityId: orgId,
+        metadata: { user_id: userId, is_primary: isPrimary }
+      });
+      
       // Update local state
       setUserOrganizations(prev => [...prev, ...data]);
     } catch (error) {
@@ -297,6 +307,13 @@ const OrganizationUsers = () => {
         
       if (error) throw error;
       
+      await logAuditEvent({
+        action: AUDIT_ACTIONS.ORGANIZATION_USER_REMOVED,
+        entityType: AUDIT_ENTITY_TYPES.ORGANIZATION,
+        entityId: userOrg.organization_id,
+        metadata: { user_id: userOrg.user_id }
+      });
+      
       // Update local state
       setUserOrganizations(prev => prev.filter(uo => uo.id !== userOrgId));
     } catch (error) {
@@ -337,6 +354,13 @@ const OrganizationUsers = () => {
         
       if (error) throw error;
       
+      await logAuditEvent({
+        action: AUDIT_ACTIONS.ORGANIZATION_PRIMARY_SET,
+        entityType: AUDIT_ENTITY_TYPES.ORGANIZATION,
+        entityId: userOrg.organization_id,
+        metadata: { user_id: userOrg.user_id }
+      });
+      
       // Update local state
       setUserOrganizations(prev => 
         prev.map(uo => ({
@@ -13,6 +13,7 @@ import {
 } from 'lucide-react';
 import { supabase } from '../../config/supabase';
 import { useAuth } from '../../hooks/useAuth';
+import { useWorkflow } from '../../contexts/WorkflowContext';
 import  useReports  from '../../hooks/useReports';
 import ReportFilters from '../../components/reports/ReportFilters';
 import ReportTable from '../../components/reports/ReportTable';
@@ -22,6 +23,7 @@ import { format, subMonths } from 'date-fns';
 
 const CustomReports = () => {
   const { user } = useAuth();
+  const { statuses } = useWorkflow();
   const { 
     runCustomReport, 
     saveCustomReport, 
@@ -316,9 +318,11 @@ const CustomReports = () => {
                     className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
                   >
                     <option value="all">All Statuses</option>
-                    <option value="pending">Pending</option>
-                    <option value="in_progress">In Progress</option>
-                    <option value="completed">Completed</option>
+                    {statuses.map((status) => (
+                      <option key={status.key} value={status.key}>
+                        {status.label}
+                      </option>
+                    ))}
                   </select>
                 </div>
                 
@@ -10,6 +10,7 @@ import {
   X
 } from 'lucide-react';
 import { supabase } from '../../config/supabase';
+import { useWorkflow } from '../../contexts/WorkflowContext';
 import {
   BarChart,
   Bar,
@@ -33,13 +34,10 @@ import { ArrowRight, FileText, PieChart as PieChartIcon } from 'lucide-react';
 
 // Chart colors
 const COLORS = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042', '#8884D8', '#82ca9d'];
-const STATUS_COLORS = {
-  pending: '#FFBB28',
-  in_progress: '#0088FE',
-  completed: '#00C49F'
-};
 
 const OrganizationReports = () => {
+  const { statuses, getStatusLabel, getStatusBadgeClasses, getStatusChartColor, getStatusCategory } = useWorkflow();
+  
   // Default date range (last 6 months)
   const [dateRange, setDateRange] = useState({
     start: format(subMonths(new Date(), 6), 'yyyy-MM-dd'),
@@ -66,6 +64,7 @@ const OrganizationReports = () => {
     totalRequests: 0,
     avgResponseTime: 0,
     completionRate: 0,
+    completedRequests: 0,
     pendingRequests: 0
   });
 
@@ -84,12 +83,11 @@ const OrganizationReports = () => {
   useEffect(() => {
     if (selectedOrganization && organizations.length > 0) {
       const org = organizations.find(o => o.id === selectedOrganization);
-      const completed = statusDistribution.find(s => s.name === 'Completed')?.value || 0;
       
       setOrgSummary({
         name: org?.name || 'All Organizations',
         totalRequests: summaryMetrics.totalRequests,
-        completedRequests: completed,
+        completedRequests: summaryMetrics.completedRequests,
         pendingRequests: summaryMetrics.pendingRequests,
         completionRate: summaryMetrics.completionRate,
         avgResponseDays: summaryMetrics.avgResponseTime
@@ -98,7 +96,7 @@ const OrganizationReports = () => {
       setOrgSummary({
         name: 'All Organizations',
         totalRequests: summaryMetrics.totalRequests,
-        completedRequests: statusDistribution.find(s => s.name === 'Completed')?.value || 0,
+        completedRequests: summaryMetrics.completedRequests,
         pendingRequests: summaryMetrics.pendingRequests,
         completionRate: summaryMetrics.completionRate,
         avgResponseDays: summaryMetrics.avgResponseTime
@@ -299,6 +297,29 @@ const OrganizationReports = () => {
         // Fetch monthly activity by organization - with fallback
         const fetchMonthlyActivity = async () => {
           try {
+            // Group counts into one row per month with a column per workflow status
+            const buildMonthlyRows = (counts) => {
+              const monthlyGroups = {};
+              counts.forEach(({ monthKey, status, count }) => {
+                if (!monthlyGroups[monthKey]) {
+                  monthlyGroups[monthKey] = { total: 0 };
+                  statuses.forEach(s => {
+                    monthlyGroups[monthKey][s.key] = 0;
+                  });
+                }
+                
+                monthlyGroups[monthKey].total += count;
+                monthlyGroups[monthKey][status] = (monthlyGroups[monthKey][status] || 0) + count;
+              });
+              
+              return Object.keys(monthlyGroups)
+                .sort()
+                .map(monthKey => ({
+                  month: format(new Date(`${monthKey}-01`), 'MMM yyyy'),
+                  ...monthlyGroups[monthKey]
+                }));
+            };
+            
             // Try RPC first
             const options = {
               start_date: dateRange.start,
@@ -306,7 +327,7 @@ const OrganizationReports = () => {
               org_id: selectedOrganization || null
             };
             
-            const { data, error } = await supabase.rpc('v4_get_monthly_requests_by_org', options);
+            const { data, error } = await supabase.rpc('v4_get_monthly_status_counts', options);
             
             // If RPC fails, use direct query
             if (error) {
@@ -327,57 +348,21 @@ const OrganizationReports = () => {
                 
               if (requestsError) throw requestsError;
               
-              // Group by month and status
-              const monthlyGroups = {};
-              requestsData.forEach(request => {
+              setOrgMonthlyActivity(buildMonthlyRows(requestsData.map(request => ({
                 // Format to YYYY-MM
-                const monthKey = request.date_received.substring(0, 7);
-                if (!monthlyGroups[monthKey]) {
-                  monthlyGroups[monthKey] = {
-                    total: 0,
-                    completed: 0,
-                    pending: 0,
-                    in_progress: 0
-                  };
-                }
-                
-                monthlyGroups[monthKey].total += 1;
-                
-                // Increment status counter
-                const status = request.status || 'pending';
-                monthlyGroups[monthKey][status] = (monthlyGroups[monthKey][status] || 0) + 1;
-              });
-              
-              // Convert to array for chart
-              const processedData = Object.entries(monthlyGroups)
-                .map(([month, data]) => ({
-                  month: format(new Date(`${month}-01`), 'MMM yyyy'),
-                  total: data.total,
-                  completed: data.completed || 0,
-                  pending: data.pending || 0,
-                  in_progress: data.in_progress || 0
-                }))
-                .sort((a, b) => {
-                  // Sort chronologically
-                  const dateA = new Date(a.month);
-                  const dateB = new Date(b.month);
-                  return dateA - dateB;
-                });
-              
-              setOrgMonthlyActivity(processedData);
+                monthKey: request.date_received.substring(0, 7),
+                status: request.status,
+                count: 1
+              }))));
               return;
             }
             
             // Process data from RPC
-            const processedData = (data || []).map(item => ({
-              month: format(parseISO(item.month), 'MMM yyyy'),
-              total: parseInt(item.total_count),
-              completed: parseInt(item.completed_count),
-              pending: parseInt(item.pending_count),
-              in_progress: parseInt(item.in_progress_count)
-            }));
-            
-            setOrgMonthlyActivity(processedData);
+            setOrgMonthlyActivity(buildMonthlyRows((data || []).map(item => ({
+              monthKey: item.month.substring(0, 7),
+              status: item.status,
+              count: parseInt(item.request_count)
+            }))));
           } catch (err) {
             console.error('Error in fetchMonthlyActivity:', err);
             setOrgMonthlyActivity([]);
@@ -404,7 +389,7 @@ const OrganizationReports = () => {
             // Process data for chart - manual grouping
             const statusCounts = {};
             data.forEach(item => {
-              const status = item.status || 'pending';
+              const status = item.status;
               
               if (!statusCounts[status]) {
                 statusCounts[status] = 0;
@@ -415,22 +400,26 @@ const OrganizationReports = () => {
             
             // Convert to array for chart
             const processedData = Object.entries(statusCounts).map(([status, count]) => ({
-              name: formatStatus(status),
+              name: getStatusLabel(status),
               value: count,
-              color: STATUS_COLORS[status] || '#8884D8'
+              color: getStatusChartColor(status)
             }));
             
             setStatusDistribution(processedData);
             
             // Update summary metrics
             const totalRequests = processedData.reduce((sum, item) => sum + item.value, 0);
-            const completedCount = processedData.find(item => item.name === 'Completed')?.value || 0;
-            const pendingCount = processedData.find(item => item.name === 'Pending')?.value || 0;
+            const countByCategory = (category) => Object.entries(statusCounts)
+              .filter(([status]) => getStatusCategory(status) === category)
+              .reduce((sum, [, count]) => sum + count, 0);
+            const completedCount = countByCategory('completed');
+            const pendingCount = countByCategory('pending');
             
             setSummaryMetrics(prev => ({
               ...prev,
               totalRequests,
               completionRate: totalRequests > 0 ? (completedCount / totalRequests * 100).toFixed(1) : 0,
+              completedRequests: completedCount,
               pendingRequests: pendingCount
             }));
           } catch (err) {
@@ -526,14 +515,7 @@ const OrganizationReports = () => {
     };
     
     fetchReportData();
-  }, [organizations, selectedOrganization, dateRange]);
-
-  // Helper function to format status
-  const formatStatus = (status) => {
-    return status.split('_').map(word => 
-      word.charAt(0).toUpperCase() + word.slice(1)
-    ).join(' ');
-  };
+  }, [organizations, selectedOrganization, dateRange, statuses]);
 
   const CustomTooltip = ({ active, payload, label }) => {
     if (active && payload && payload.length) {
@@ -551,15 +533,6 @@ const OrganizationReports = () => {
     return null;
   };
   
-  const getStatusColor = (status) => {
-    const colors = {
-      pending: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-300',
-      in_progress: 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-300',
-      completed: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300'
-    };
-    return colors[status] || 'bg-gray-100 text-gray-800 dark:bg-gray-900 dark:text-gray-300';
-  };
-  
 
   // Export data to Excel
   const exportToExcel = () => {
@@ -588,13 +561,16 @@ const OrganizationReports = () => {
       
       // Create monthly activity sheet
       const monthlySheet = XLSX.utils.json_to_sheet(
-        orgMonthlyActivity.map(item => ({
-          'Month': item.month,
-          'Total Requests': item.total,
-          'Completed': item.completed,
-          'In Progress': item.in_progress,
-          'Pending': item.pending
-        }))
+        orgMonthlyActivity.map(item => {
+          const row = {
+            'Month': item.month,
+            'Total Requests': item.total
+          };
+          statuses.forEach(status => {
+            row[status.label] = item[status.key] || 0;
+          });
+          return row;
+        })
       );
       XLSX.utils.book_append_sheet(wb, monthlySheet, 'Monthly Activity');
       
@@ -912,24 +888,15 @@ return (
                     strokeWidth={2}
                     activeDot={{ r: 8 }} 
                   />
-                  <Line 
-                    type="monotone" 
-                    dataKey="pending" 
-                    name="Pending"
-                    stroke="#FFBB28" 
-                  />
-                  <Line 
-                    type="monotone" 
-                    dataKey="in_progress" 
-                    name="In Progress"
-                    stroke="#0088FE" 
-                  />
-                  <Line 
-                    type="monotone" 
-                    dataKey="completed" 
-                    name="Completed"
-                    stroke="#00C49F" 
-                  />
+                  {statuses.map(status => (
+                    <Line 
+                      key={status.key}
+                      type="monotone" 
+                      dataKey={status.key} 
+                      name={status.label}
+                      stroke={getStatusChartColor(status.key)} 
+                    />
+                  ))}
                 </LineChart>
               </ResponsiveContainer>
             </div>
@@ -993,8 +960,8 @@ return (
                           </div>
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap">
-                          <span className={`px-2.5 py-0.5 rounded-full text-xs font-medium ${getStatusColor(request.status)}`}>
-                            {formatStatus(request.status)}
+                          <span className={`px-2.5 py-0.5 rounded-full text-xs font-medium ${getStatusBadgeClasses(request.status)}`}>
+                            {getStatusLabel(request.status)}
                           </span>
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
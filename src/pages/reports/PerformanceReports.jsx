@@ -1,12 +1,16 @@
 import { useState, useEffect } from 'react';
 import { supabase } from '../../config/supabase';
+import { useWorkflow } from '../../contexts/WorkflowContext';
+import { getSlaState } from '../../utils/slaUtils';
 import ReportChart from '../../components/reports/ReportChart';
 import ReportTable from '../../components/reports/ReportTable';
 import { subMonths, format, parseISO } from 'date-fns';
-import { Loader2, Clock, UserCheck, FileUp, BarChart, Filter, Calendar,FileSpreadsheet } from 'lucide-react';
+import { Loader2, Clock, UserCheck, FileUp, BarChart, Filter, Calendar,FileSpreadsheet, ShieldCheck } from 'lucide-react';
 import html2pdf from 'html2pdf.js';
 
 const PerformanceReports = () => {
+  const { getStatusCategory } = useWorkflow();
+  
   // Default to last 3 months
   const [dateRange, setDateRange] = useState({
     start: format(subMonths(new Date(), 3), 'yyyy-MM-dd'),
@@ -23,6 +27,7 @@ const PerformanceReports = () => {
   const [userPerformance, setUserPerformance] = useState([]);
   const [responseTimeData, setResponseTimeData] = useState([]);
   const [volumeData, setVolumeData] = useState([]);
+  const [slaData, setSlaData] = useState(null);
   const [loading, setLoading] = useState(true);
   
   // Fetch organizations for filters
@@ -59,6 +64,9 @@ const PerformanceReports = () => {
           case 'volume_trends':
             await fetchVolumeData();
             break;
+          case 'sla_compliance':
+            await fetchSlaComplianceData();
+            break;
           default:
             await fetchResponseTimeData();
         }
@@ -237,12 +245,13 @@ const PerformanceReports = () => {
         
         userStats[userId].total += 1;
         
-        // Increment the appropriate status counter
-        if (item.status === 'completed') {
+        // Increment the counter for the status's workflow category
+        const category = getStatusCategory(item.status);
+        if (category === 'completed') {
           userStats[userId].completed += 1;
-        } else if (item.status === 'pending') {
+        } else if (category === 'pending') {
           userStats[userId].pending += 1;
-        } else if (item.status === 'in_progress') {
+        } else if (category === 'in_progress') {
           userStats[userId].in_progress += 1;
         }
       });
@@ -320,6 +329,104 @@ const PerformanceReports = () => {
     }
   };
   
+  // Fetch SLA compliance data
+  const fetchSlaComplianceData = async () => {
+    try {
+      // Build the query
+      let query = supabase
+        .from('v4_requests')
+        .select(`
+          reference_number,
+          priority,
+          status,
+          date_received,
+          due_at,
+          completed_at,
+          sla_breach_reason,
+          v4_organizations:sender(name)
+        `)
+        .gte('date_received', dateRange.start)
+        .lte('date_received', dateRange.end)
+        .not('due_at', 'is', null);
+      
+      // Add organization filter if selected
+      if (organizationFilter !== "all") {
+        query = query.eq('sender', organizationFilter);
+      }
+      
+      // Execute query
+      const { data: requestsData, error: requestsError } = await query;
+      
+      if (requestsError) {
+        console.error('Error fetching SLA data:', requestsError);
+        setSlaData(null);
+        return;
+      }
+      
+      const now = new Date();
+      const summary = { met: 0, breached: 0, at_risk: 0, on_track: 0 };
+      const priorityGroups = {};
+      const breaches = [];
+      
+      requestsData.forEach(request => {
+        const category = getStatusCategory(request.status);
+        const state = getSlaState(request, category, now);
+        if (!state) return;
+        
+        summary[state] += 1;
+        
+        // Compliance only counts requests that have finished
+        if (category !== 'completed') return;
+        
+        const priority = request.priority || 'normal';
+        if (!priorityGroups[priority]) {
+          priorityGroups[priority] = { met: 0, breached: 0 };
+        }
+        priorityGroups[priority][state] += 1;
+        
+        if (state === 'breached') {
+          breaches.push({
+            reference_number: request.reference_number,
+            organization: request.v4_organizations?.name || 'Unknown',
+            priority,
+            due_at: format(new Date(request.due_at), 'MMM d, yyyy'),
+            completed_at: format(new Date(request.completed_at), 'MMM d, yyyy'),
+            days_late: Math.ceil((new Date(request.completed_at) - new Date(request.due_at)) / (1000 * 60 * 60 * 24)),
+            reason: request.sla_breach_reason || 'Not recorded'
+          });
+        }
+      });
+      
+      const priorityOrder = { 'urgent': 0, 'high': 1, 'normal': 2, 'low': 3 };
+      const priorityData = Object.entries(priorityGroups)
+        .map(([priority, data]) => ({
+          priority,
+          met: data.met,
+          breached: data.breached,
+          compliance_rate: Math.round((data.met / (data.met + data.breached)) * 100)
+        }))
+        .sort((a, b) => priorityOrder[a.priority] - priorityOrder[b.priority]);
+      
+      // Latest breaches first
+      breaches.sort((a, b) => new Date(b.completed_at) - new Date(a.completed_at));
+      
+      const completedMet = priorityData.reduce((sum, row) => sum + row.met, 0);
+      const completedBreached = priorityData.reduce((sum, row) => sum + row.breached, 0);
+      
+      setSlaData({
+        summary,
+        complianceRate: completedMet + completedBreached > 0
+          ? Math.round((completedMet / (completedMet + completedBreached)) * 100)
+          : 100,
+        priorityData,
+        breaches
+      });
+    } catch (error) {
+      console.error('Error processing SLA data:', error);
+      setSlaData(null);
+    }
+  };
+  
   // Report title based on type
   const getReportTitle = () => {
     switch (reportType) {
@@ -329,6 +436,8 @@ const PerformanceReports = () => {
         return 'User Performance Analysis';
       case 'volume_trends':
         return 'Request Volume Trends';
+      case 'sla_compliance':
+        return 'SLA Compliance';
       default:
         return 'Performance Report';
     }
@@ -359,7 +468,7 @@ const PerformanceReports = () => {
           <BarChart className="h-5 w-5 text-gray-500 dark:text-gray-400" />
           <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Report Type</h2>
         </div>
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
           <button
             onClick={() => setReportType('response_time')}
             className={`p-4 rounded-lg border flex items-center gap-3 transition-colors
@@ -407,6 +516,22 @@ const PerformanceReports = () => {
               <div className="text-xs">Request volume over time</div>
             </div>
           </button>
+          
+          <button
+            onClick={() => setReportType('sla_compliance')}
+            className={`p-4 rounded-lg border flex items-center gap-3 transition-colors
+              border-gray-200 dark:border-gray-700 
+              hover:border-blue-500 hover:bg-blue-50 dark:hover:bg-blue-900/20 hover:text-blue-700 dark:hover:text-blue-300
+              text-gray-700 dark:text-gray-300
+              ${reportType === 'sla_compliance' ? 'ring-2 ring-gray-200 dark:ring-gray-600' : ''}
+            `}
+          >
+            <ShieldCheck className="h-5 w-5" />
+            <div className="text-left">
+              <div className="font-medium">SLA Compliance</div>
+              <div className="text-xs">Deadlines met and breach reasons</div>
+            </div>
+          </button>
         </div>
       </div>
       
@@ -583,6 +708,63 @@ const PerformanceReports = () => {
               </div>
             </div>
           )}
+          
+          {reportType === 'sla_compliance' && slaData && (
+            <>
+              {/* SLA summary */}
+              <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+                {[
+                  { label: 'Compliance Rate', value: `${slaData.complianceRate}%` },
+                  { label: 'Met', value: slaData.summary.met },
+                  { label: 'Breached', value: slaData.summary.breached },
+                  { label: 'At Risk', value: slaData.summary.at_risk },
+                  { label: 'On Track', value: slaData.summary.on_track }
+                ].map((item) => (
+                  <div key={item.label} className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-4">
+                    <p className="text-sm text-gray-500 dark:text-gray-400">{item.label}</p>
+                    <p className="text-2xl font-bold text-gray-900 dark:text-white">{item.value}</p>
+                  </div>
+                ))}
+              </div>
+              
+              {/* Compliance by Priority */}
+              <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6">
+                <h2 className="text-lg font-semibold mb-4 text-gray-900 dark:text-white">
+                  SLA Compliance by Priority (completed requests)
+                </h2>
+                <div className="h-64">
+                  <ReportChart 
+                    type="bar" 
+                    data={slaData.priorityData} 
+                    dataKey="compliance_rate" 
+                    nameKey="priority"
+                    xAxisLabel="Priority"
+                    yAxisLabel="Compliance %"
+                    colors={['#10B981']}
+                  />
+                </div>
+              </div>
+              
+              {/* Breaches and reasons */}
+              <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6">
+                <h2 className="text-lg font-semibold mb-4 text-gray-900 dark:text-white">
+                  Requests Completed Late
+                </h2>
+                <ReportTable
+                  data={slaData.breaches}
+                  columns={[
+                    { Header: 'Reference', accessor: 'reference_number' },
+                    { Header: 'Organization', accessor: 'organization' },
+                    { Header: 'Priority', accessor: 'priority' },
+                    { Header: 'Due', accessor: 'due_at' },
+                    { Header: 'Completed', accessor: 'completed_at' },
+                    { Header: 'Days Late', accessor: 'days_late' },
+                    { Header: 'Breach Reason', accessor: 'reason' }
+                  ]}
+                />
+              </div>
+            </>
+          )}
         </div>
       )}
     </div>
@@ -17,6 +17,7 @@ import {
 } from 'lucide-react';
 import { supabase } from '../../config/supabase';
 import { useAuth } from '../../hooks/useAuth';
+import { useWorkflow } from '../../contexts/WorkflowContext';
 import {
   BarChart,
   Bar,
@@ -43,14 +44,10 @@ import "react-datepicker/dist/react-datepicker.css";
 
 // Chart colors - Enhanced color palette
 const COLORS = ['#3B82F6', '#10B981', '#F59E0B', '#EF4444', '#8B5CF6', '#EC4899', '#06B6D4', '#F97316'];
-const STATUS_COLORS = {
-  pending: '#F59E0B',     // Amber
-  in_progress: '#3B82F6', // Blue
-  completed: '#10B981'    // Green
-};
 
 const RequestReports = () => {
   const { user } = useAuth();
+  const { statuses, getStatusLabel, getStatusChartColor, getStatusCategory } = useWorkflow();
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [organizations, setOrganizations] = useState([]);
@@ -110,13 +107,6 @@ const RequestReports = () => {
     fetchOrganizations();
   }, []);
 
-  // Format status for display
-  const formatStatus = (status) => {
-    return status.split('_').map(word => 
-      word.charAt(0).toUpperCase() + word.slice(1)
-    ).join(' ');
-  };
-
   // Fetch report data based on filters
   const fetchReportData = async (isRefreshing = false) => {
     try {
@@ -153,9 +143,9 @@ const RequestReports = () => {
       });
       
       const formattedStatusData = Object.entries(statusCounts).map(([status, count]) => ({
-        name: formatStatus(status),
+        name: getStatusLabel(status),
         value: count,
-        color: STATUS_COLORS[status] || '#8884D8'
+        color: getStatusChartColor(status)
       }));
       
       setStatusDistribution(formattedStatusData);
@@ -164,13 +154,14 @@ const RequestReports = () => {
       const totalCount = allRequests.length;
       setTotalRequests(totalCount);
       
-      const completedCount = allRequests.filter(r => r.status === 'completed').length;
+      // Totals are grouped by workflow category so custom statuses are counted
+      const completedCount = allRequests.filter(r => getStatusCategory(r.status) === 'completed').length;
       setCompletedRequests(completedCount);
       
-      const pendingCount = allRequests.filter(r => r.status === 'pending').length;
+      const pendingCount = allRequests.filter(r => getStatusCategory(r.status) === 'pending').length;
       setPendingRequests(pendingCount);
       
-      const inProgressCount = allRequests.filter(r => r.status === 'in_progress').length;
+      const inProgressCount = allRequests.filter(r => getStatusCategory(r.status) === 'in_progress').length;
       setInProgressRequests(inProgressCount);
       
       // Fetch organizations data separately for organization names
@@ -225,12 +216,15 @@ const RequestReports = () => {
       // Initialize monthly data with all months
       const initialMonthlyData = months.map(month => {
         const monthStr = format(month, 'yyyy-MM');
+        const statusCounts = {};
+        statuses.forEach(status => {
+          statusCounts[status.key] = 0;
+        });
+        
         return {
           month: format(month, 'MMM yyyy'),
           monthKey: monthStr,
-          pending: 0,
-          in_progress: 0,
-          completed: 0,
+          ...statusCounts,
           total: 0
         };
       });
@@ -242,11 +236,14 @@ const RequestReports = () => {
           return requestMonth === monthData.monthKey;
         });
         
+        const statusCounts = {};
+        statuses.forEach(status => {
+          statusCounts[status.key] = monthRequests.filter(r => r.status === status.key).length;
+        });
+        
         return {
           ...monthData,
-          pending: monthRequests.filter(r => r.status === 'pending').length,
-          in_progress: monthRequests.filter(r => r.status === 'in_progress').length,
-          completed: monthRequests.filter(r => r.status === 'completed').length,
+          ...statusCounts,
           total: monthRequests.length
         };
       });
@@ -255,7 +252,7 @@ const RequestReports = () => {
       
       // Calculate average response time
       const completedRequests = allRequests.filter(r => 
-        r.status === 'completed' && r.completed_at
+        getStatusCategory(r.status) === 'completed' && r.completed_at
       );
       
       if (completedRequests.length > 0) {
@@ -285,7 +282,7 @@ const RequestReports = () => {
   // Fetch data when filters change
   useEffect(() => {
     fetchReportData();
-  }, [filters, sortConfig]);
+  }, [filters, sortConfig, statuses]);
 
   // Handle filter change
   const handleFilterChange = (newFilters) => {
@@ -369,7 +366,7 @@ const handleExport = async () => {
       
       return [
         request.id || '',
-        formatStatus(request.status || ''),
+        getStatusLabel(request.status),
         orgMap[request.sender] || 'Unknown',
         request.date_received ? format(receivedDate, 'PPP') : '',
         request.completed_at ? format(completedDate, 'PPP') : '',
@@ -416,13 +413,16 @@ const handleExport = async () => {
     XLSX.utils.book_append_sheet(wb, orgSheet, 'Organization Distribution');
     
     // 4. Monthly trends sheet
-    const trendsSheet = XLSX.utils.json_to_sheet(monthlyTrends.map(item => ({
-      Month: item.month,
-      'Total Requests': item.total,
-      Pending: item.pending,
-      'In Progress': item.in_progress,
-      Completed: item.completed
-    })));
+    const trendsSheet = XLSX.utils.json_to_sheet(monthlyTrends.map(item => {
+      const row = {
+        Month: item.month,
+        'Total Requests': item.total
+      };
+      statuses.forEach(status => {
+        row[status.label] = item[status.key] || 0;
+      });
+      return row;
+    }));
     XLSX.utils.book_append_sheet(wb, trendsSheet, 'Monthly Trends');
     
     // 5. Summary sheet
@@ -773,9 +773,17 @@ const handleExport = async () => {
                   <Tooltip content={<CustomTooltip />} />
                   <Legend />
                   <Area type="monotone" dataKey="total" name="Total" fill="#8884d8" stroke="#8884d8" fillOpacity={0.2} />
-                  <Area type="monotone" dataKey="completed" name="Completed" fill={STATUS_COLORS.completed} stroke={STATUS_COLORS.completed} fillOpacity={0.6} />
-                  <Area type="monotone" dataKey="in_progress" name="In Progress" fill={STATUS_COLORS.in_progress} stroke={STATUS_COLORS.in_progress} fillOpacity={0.6} />
-                  <Area type="monotone" dataKey="pending" name="Pending" fill={STATUS_COLORS.pending} stroke={STATUS_COLORS.pending} fillOpacity={0.6} />
+                  {statuses.map(status => (
+                    <Area
+                      key={status.key}
+                      type="monotone"
+                      dataKey={status.key}
+                      name={status.label}
+                      fill={getStatusChartColor(status.key)}
+                      stroke={getStatusChartColor(status.key)}
+                      fillOpacity={0.6}
+                    />
+                  ))}
                 </AreaChart>
               </ResponsiveContainer>
             </div>
@@ -10,12 +10,22 @@ import {
 } from 'lucide-react';
 import { supabase } from '../../config/supabase';
 import { useAuth } from '../../hooks/useAuth';
+import { useWorkflow } from '../../contexts/WorkflowContext';
+import { createRequest } from '../../services/requestService';
 import FileUploader from '../../components/requests/FileUploader';
-import useRoleCheck from '../../hooks/useRoleCheck';
+import LetterAutofill from '../../components/requests/LetterAutofill';
+import { uploadRequestFile } from '../../services/fileService';
+import usePermission from '../../hooks/usePermission';
+import { PERMISSIONS } from '../../config/permissions';
+import useAssignment from '../../hooks/useAssignment';
 
 const NewRequest = () => {
   const { user } = useAuth();
-  const { canProcessRequests } = useRoleCheck();
+  const { getInitialStatus, getStatusLabel } = useWorkflow();
+  const { can } = usePermission();
+  const { autoAssign } = useAssignment();
+  // Users who only see their own organizations send requests as their primary one
+  const isOwnOrganizationOnly = !can(PERMISSIONS.REQUESTS_VIEW_ALL);
   const navigate = useNavigate();
   
   const [loading, setLoading] = useState(false);
@@ -25,6 +35,7 @@ const NewRequest = () => {
   const [isDuplicate, setIsDuplicate] = useState(false);
   const [duplicateDetails, setDuplicateDetails] = useState(null);
   const [uploadSuccess, setUploadSuccess] = useState(false);
+  const [letterFile, setLetterFile] = useState(null);
   
   const [formData, setFormData] = useState({
     reference_number: '',
@@ -49,7 +60,7 @@ const NewRequest = () => {
         setOrganizations(data || []);
         
         // If user is from an organization, set it as default
-        if (user.role === 'organization') {
+        if (isOwnOrganizationOnly) {
           const { data: userOrgs, error: userOrgError } = await supabase
             .from('v4_user_organizations')
             .select('organization_id')
@@ -68,7 +79,7 @@ const NewRequest = () => {
     };
     
     fetchOrganizations();
-  }, [user]);
+  }, [user, isOwnOrganizationOnly]);
 
   // Handle form input changes
   const handleChange = (e) => {
@@ -105,6 +116,16 @@ const NewRequest = () => {
     }
   };
 
+  // Fill in fields suggested from the scanned letter
+  const handleAcceptSuggestions = (fields) => {
+    setFormData(prev => ({ ...prev, ...fields }));
+    if (formError) setFormError('');
+
+    if (fields.reference_number) {
+      checkDuplicateReference(fields.reference_number);
+    }
+  };
+
   // Handle upload completion
   const handleUploadComplete = (count) => {
     setUploadSuccess(true);
@@ -137,27 +158,28 @@ const NewRequest = () => {
     
     try {
       // Insert new request
-      const { data, error } = await supabase
-        .from('v4_requests')
-        .insert([
-          {
-            reference_number: formData.reference_number,
-            date_received: formData.date_received,
-            sender: formData.sender,
-            subject: formData.subject,
-            description: formData.description || null,
-            priority: formData.priority,
-            status: 'pending',
-            is_duplicate: isDuplicate,
-            created_by: user.id
-          }
-        ])
-        .select();
-        
-      if (error) throw error;
+      const data = await createRequest({
+        reference_number: formData.reference_number,
+        date_received: formData.date_received,
+        sender: formData.sender,
+        subject: formData.subject,
+        description: formData.description || null,
+        priority: formData.priority,
+        status: getInitialStatus(),
+        is_duplicate: isDuplicate,
+        created_by: user.id
+      });
+      
+      await autoAssign(data);
+      
+      // Keep the scanned letter the form was filled from with the request
+      if (letterFile) {
+        await uploadRequestFile(letterFile, data.id, false, user.id)
+          .catch(error => console.error('Error attaching letter:', error));
+      }
       
       // Navigate to the file upload section of the request detail
-      navigate(`/requests/${data[0].id}`);
+      navigate(`/requests/${data.id}`);
     } catch (error) {
       console.error('Error creating request:', error);
       setFormError('Failed to create request. Please try again.');
@@ -202,6 +224,14 @@ const NewRequest = () => {
           )}
           
           <form onSubmit={handleSubmit} className="space-y-6">
+            <LetterAutofill
+              organizations={organizations}
+              onAccept={handleAcceptSuggestions}
+              onLetterChange={setLetterFile}
+              excludeFields={isOwnOrganizationOnly ? ['sender'] : []}
+              disabled={loading}
+            />
+            
             {/* Reference Number */}
             <div>
               <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
@@ -231,7 +261,7 @@ const NewRequest = () => {
                   <p className="mt-1">
                     This reference exists for a request received on{' '}
                     {new Date(duplicateDetails.date_received).toLocaleDateString()}. 
-                    Current status: {duplicateDetails.status.toUpperCase()}
+                    Current status: {getStatusLabel(duplicateDetails.status).toUpperCase()}
                   </p>
                   <p className="mt-1">You can continue with this reference if needed.</p>
                 </div>
@@ -270,7 +300,7 @@ const NewRequest = () => {
                 className="w-full px-4 py-2 rounded-lg border border-gray-200 dark:border-gray-700
                          bg-white dark:bg-gray-900 text-gray-900 dark:text-white
                          focus:outline-none focus:ring-2 focus:ring-black dark:focus:ring-white"
-                disabled={loading || user.role === 'organization'}
+                disabled={loading || isOwnOrganizationOnly}
               >
                 <option value="">Select an organization</option>
                 {organizations.map((org) => (
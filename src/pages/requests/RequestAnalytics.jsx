@@ -10,6 +10,8 @@ import {
 } from 'lucide-react';
 import { supabase } from '../../config/supabase';
 import { useAuth } from '../../hooks/useAuth';
+import { useWorkflow } from '../../contexts/WorkflowContext';
+import { STATUS_CATEGORIES } from '../../config/workflow';
 import {
   BarChart,
   Bar,
@@ -30,14 +32,10 @@ import { format, parseISO, startOfMonth, endOfMonth, eachMonthOfInterval, subMon
 
 // Chart colors
 const COLORS = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042', '#8884D8', '#82ca9d'];
-const STATUS_COLORS = {
-  pending: '#FFBB28',
-  in_progress: '#0088FE',
-  completed: '#00C49F'
-};
 
 const RequestAnalytics = () => {
   const { user } = useAuth();
+  const { statuses, getStatusLabel, getStatusChartColor, getStatusCategory } = useWorkflow();
   const [loading, setLoading] = useState(true);
   const [requests, setRequests] = useState([]);
   const [organizations, setOrganizations] = useState([]);
@@ -133,9 +131,9 @@ const RequestAnalytics = () => {
     }, {});
     
     const statusData = Object.entries(statusCounts).map(([status, count]) => ({
-      name: formatStatus(status),
+      name: getStatusLabel(status),
       value: count,
-      color: STATUS_COLORS[status] || '#8884D8'
+      color: getStatusChartColor(status)
     }));
     
     setStatusDistribution(statusData);
@@ -196,15 +194,14 @@ const RequestAnalytics = () => {
       });
       
       // Count by status
-      const pending = monthRequests.filter(r => r.status === 'pending').length;
-      const inProgress = monthRequests.filter(r => r.status === 'in_progress').length;
-      const completed = monthRequests.filter(r => r.status === 'completed').length;
+      const statusCounts = {};
+      statuses.forEach(status => {
+        statusCounts[status.key] = monthRequests.filter(r => r.status === status.key).length;
+      });
       
       return {
         month: format(month, 'MMM yyyy'),
-        pending,
-        in_progress: inProgress,
-        completed,
+        ...statusCounts,
         total: monthRequests.length
       };
     });
@@ -213,7 +210,7 @@ const RequestAnalytics = () => {
     
     // Calculate average response time for completed requests
     const completedRequests = requestData.filter(
-      r => r.status === 'completed' && r.completed_at
+      r => isCompleted(r) && r.completed_at
     );
     
     if (completedRequests.length > 0) {
@@ -230,12 +227,9 @@ const RequestAnalytics = () => {
     }
   };
 
-  // Format status for display
-  const formatStatus = (status) => {
-    return status.split('_').map(word => 
-      word.charAt(0).toUpperCase() + word.slice(1)
-    ).join(' ');
-  };
+  // Reports count by workflow category so custom statuses are included
+  const isCompleted = (request) => getStatusCategory(request.status) === STATUS_CATEGORIES.COMPLETED;
+  const isPending = (request) => getStatusCategory(request.status) === STATUS_CATEGORIES.PENDING;
 
   // Handle filter changes
   const handleFilterChange = (name, value) => {
@@ -268,13 +262,16 @@ const RequestAnalytics = () => {
       XLSX.utils.book_append_sheet(wb, orgSheet, 'Organization Distribution');
       
       // Monthly trends sheet
-      const trendsSheet = XLSX.utils.json_to_sheet(monthlyTrends.map(item => ({
-        Month: item.month,
-        'Total Requests': item.total,
-        Pending: item.pending,
-        'In Progress': item.in_progress,
-        Completed: item.completed
-      })));
+      const trendsSheet = XLSX.utils.json_to_sheet(monthlyTrends.map(item => {
+        const row = {
+          Month: item.month,
+          'Total Requests': item.total
+        };
+        statuses.forEach(status => {
+          row[status.label] = item[status.key] || 0;
+        });
+        return row;
+      }));
       XLSX.utils.book_append_sheet(wb, trendsSheet, 'Monthly Trends');
       
       // Request list sheet
@@ -283,7 +280,7 @@ const RequestAnalytics = () => {
         'Date Received': format(parseISO(request.date_received), 'yyyy-MM-dd'),
         'Organization': request.sender_name,
         'Subject': request.subject,
-        'Status': formatStatus(request.status),
+        'Status': getStatusLabel(request.status),
         'Priority': request.priority.charAt(0).toUpperCase() + request.priority.slice(1),
         'Completed Date': request.completed_at ? format(parseISO(request.completed_at), 'yyyy-MM-dd') : 'N/A',
         'Is Duplicate': request.is_duplicate ? 'Yes' : 'No'
@@ -468,7 +465,7 @@ const RequestAnalytics = () => {
                       Completed Requests
                     </p>
                     <p className="text-2xl font-bold text-gray-900 dark:text-white mt-1">
-                      {formatNumber(requests.filter(r => r.status === 'completed').length)}
+                      {formatNumber(requests.filter(isCompleted).length)}
                     </p>
                   </div>
                   <div className="h-10 w-10 rounded-full bg-green-100 dark:bg-green-900/30 flex items-center justify-center">
@@ -477,7 +474,7 @@ const RequestAnalytics = () => {
                 </div>
                 <div className="mt-4 flex items-center text-xs">
                   <span className="text-gray-500 dark:text-gray-400">
-                    {((requests.filter(r => r.status === 'completed').length / requests.length) * 100).toFixed(1)}% completion rate
+                    {((requests.filter(isCompleted).length / requests.length) * 100).toFixed(1)}% completion rate
                   </span>
                 </div>
               </div>
@@ -490,7 +487,7 @@ const RequestAnalytics = () => {
                       Pending Requests
                     </p>
                     <p className="text-2xl font-bold text-gray-900 dark:text-white mt-1">
-                      {formatNumber(requests.filter(r => r.status === 'pending').length)}
+                      {formatNumber(requests.filter(isPending).length)}
                     </p>
                   </div>
                   <div className="h-10 w-10 rounded-full bg-yellow-100 dark:bg-yellow-900/30 flex items-center justify-center">
@@ -499,7 +496,7 @@ const RequestAnalytics = () => {
                 </div>
                 <div className="mt-4 flex items-center text-xs">
                   <span className="text-gray-500 dark:text-gray-400">
-                    {((requests.filter(r => r.status === 'pending').length / requests.length) * 100).toFixed(1)}% of total requests
+                    {((requests.filter(isPending).length / requests.length) * 100).toFixed(1)}% of total requests
                   </span>
                 </div>
               </div>
@@ -521,7 +518,7 @@ const RequestAnalytics = () => {
                 </div>
                 <div className="mt-4 flex items-center text-xs">
                   <span className="text-gray-500 dark:text-gray-400">
-                    Based on {requests.filter(r => r.status === 'completed' && r.completed_at).length} completed requests
+                    Based on {requests.filter(r => isCompleted(r) && r.completed_at).length} completed requests
                   </span>
                 </div>
               </div>
@@ -643,24 +640,15 @@ const RequestAnalytics = () => {
                         strokeWidth={2}
                         activeDot={{ r: 8 }} 
                       />
-                      <Line 
-                        type="monotone" 
-                        dataKey="pending" 
-                        name="Pending"
-                        stroke={STATUS_COLORS.pending} 
-                      />
-                      <Line 
-                        type="monotone" 
-                        dataKey="in_progress" 
-                        name="In Progress"
-                        stroke={STATUS_COLORS.in_progress} 
-                      />
-                      <Line 
-                        type="monotone" 
-                        dataKey="completed" 
-                        name="Completed"
-                        stroke={STATUS_COLORS.completed} 
-                      />
+                      {statuses.map(status => (
+                        <Line 
+                          key={status.key}
+                          type="monotone" 
+                          dataKey={status.key} 
+                          name={status.label}
+                          stroke={getStatusChartColor(status.key)} 
+                        />
+                      ))}
                     </LineChart>
                   </ResponsiveContainer>
                 </div>
@@ -11,30 +11,55 @@ import {
   AlertCircle,
   Check,
   Download,
+  Eye,
   Edit2,
   User,
   Building,
   Tag,
   ClipboardList,
   AlertTriangle,
-  Flag
+  Flag,
+  ShieldAlert
 } from 'lucide-react';
 import { supabase } from '../../config/supabase';
 import { useAuth } from '../../hooks/useAuth';
+import usePermission from '../../hooks/usePermission';
+import { PERMISSIONS } from '../../config/permissions';
+import { useWorkflow } from '../../contexts/WorkflowContext';
+import { TRANSITION_FIELDS } from '../../config/workflow';
+import { getRequiredTransitionFields } from '../../utils/workflowUtils';
+import { transitionRequestStatus } from '../../services/workflowService';
+import { updateRequest } from '../../services/requestService';
+import { downloadFile, getRequestFiles } from '../../services/fileService';
+import { groupVersions } from '../../services/versionService';
+import { isScanBlocked, describeScanHold } from '../../services/scanService';
+import { SCAN_STATUSES } from '../../config/scanning';
 import FileUploader from '../../components/requests/FileUploader';
+import FileVersions from '../../components/requests/FileVersions';
+import PdfPasswordButton from '../../components/requests/PdfPasswordButton';
+import LegalHold from '../../components/requests/LegalHold';
+import PdfPasswordSetting from '../../components/requests/PdfPasswordSetting';
 import CommentSection from '../../components/requests/CommentSection';
+import SlaBadge from '../../components/requests/SlaBadge';
+import AssignmentControl from '../../components/requests/AssignmentControl';
+import DocumentViewer from '../../components/requests/DocumentViewer';
+import DownloadZipButton from '../../components/requests/DownloadZipButton';
 import { format, parseISO, formatDistanceToNow } from 'date-fns';
 
 const RequestDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
   const { user } = useAuth();
+  const { can } = usePermission();
+  const { workflow, getStatusLabel, getStatusBadgeClasses, getStatusCategory, getAvailableTransitions } = useWorkflow();
   const [request, setRequest] = useState(null);
   const [requestFiles, setRequestFiles] = useState([]);
+  const [viewingFile, setViewingFile] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [editing, setEditing] = useState(false);
   const [editData, setEditData] = useState({});
+  const [transitionValues, setTransitionValues] = useState({});
   const [saving, setSaving] = useState(false);
   const [orgData, setOrgData] = useState(null);
   const [organizations, setOrganizations] = useState([]);
@@ -167,26 +192,20 @@ const RequestDetail = () => {
     };
   }, [id]);
 
+  // Reload the files, e.g. after a new version or a restore
+  const refreshFiles = async () => {
+    try {
+      setRequestFiles(await getRequestFiles(id));
+    } catch (error) {
+      // Keep the list shown
+    }
+  };
+
   // Download a file
-  const downloadFile = async (filePath, fileName) => {
+  const handleDownload = async (file) => {
     try {
-      const { data, error } = await supabase.storage
-        .from('request-files')
-        .download(filePath);
-        
-      if (error) throw error;
-      
-      // Create download link
-      const url = URL.createObjectURL(data);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = fileName;
-      document.body.appendChild(a);
-      a.click();
-      window.URL.revokeObjectURL(url);
-      a.remove();
+      await downloadFile(file.file_path, file.file_name, file.id);
     } catch (error) {
-      console.error('Error downloading file:', error);
       alert('Failed to download the file. Please try again.');
     }
   };
@@ -196,26 +215,29 @@ const RequestDetail = () => {
     try {
       setSaving(true);
       
-      const { error } = await supabase
-        .from('v4_requests')
-        .update({
-          subject: editData.subject,
-          description: editData.description,
-          status: editData.status,
-          priority: editData.priority,
-          sender: editData.sender,
-          date_received: editData.date_received,
-          updated_by: user.id,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', id);
-        
-      if (error) throw error;
+      // Status changes go through the workflow so transitions are enforced
+      if (editData.status !== request.status) {
+        await transitionRequestStatus(workflow, request, editData.status, user, {
+          values: transitionValues,
+          files: requestFiles
+        });
+      }
+      
+      await updateRequest(id, {
+        subject: editData.subject,
+        description: editData.description,
+        priority: editData.priority,
+        sender: editData.sender,
+        date_received: editData.date_received,
+        updated_by: user.id,
+        updated_at: new Date().toISOString()
+      });
       
       setEditing(false);
+      setTransitionValues({});
     } catch (error) {
       console.error('Error updating request:', error);
-      alert('Failed to update request. Please try again.');
+      alert(error.message || 'Failed to update request. Please try again.');
     } finally {
       setSaving(false);
     }
@@ -230,15 +252,7 @@ const RequestDetail = () => {
   // Check if user can edit this request
   const canEdit = () => {
     if (!user || !request) return false;
-    
-    // Administrators can edit any request
-    if (user.role === 'administrator') return true;
-    
-    // Users with processing capabilities can edit
-    if (user.role === 'user') return true;
-    
-    // Organization users cannot edit
-    return false;
+    return can(PERMISSIONS.REQUESTS_PROCESS);
   };
 
     // Get priority color
@@ -257,27 +271,6 @@ const RequestDetail = () => {
     }
   };
 
-  // Get status color
-  const getStatusColor = (status) => {
-    switch(status) {
-      case 'pending':
-        return 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-200';
-      case 'in_progress':
-        return 'bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-200';
-      case 'completed':
-        return 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-200';
-      default:
-        return 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-200';
-    }
-  };
-
-  // Format status text
-  const formatStatus = (status) => {
-    return status.split('_').map(word => 
-      word.charAt(0).toUpperCase() + word.slice(1)
-    ).join(' ');
-  };
-
   // Get priority color and icon
   const getPriorityInfo = (priority) => {
     switch(priority) {
@@ -312,10 +305,18 @@ const RequestDetail = () => {
   const canUploadResponse = () => {
     if (!user || !request) return false;
     
-    // Only administrators and users can upload responses
-    return (user.role === 'administrator' || user.role === 'user') && request.status !== 'completed';
+    return can(PERMISSIONS.FILES_UPLOAD_RESPONSE) && getStatusCategory(request.status) !== 'completed';
   };
 
+  // Response documents with every version; only the current one is listed
+  const versionsByDocument = groupVersions(requestFiles.filter(file => file.is_response));
+
+  // Transitions the current user may take from the current status
+  const availableTransitions = request ? getAvailableTransitions(request.status, user.role) : [];
+  const selectedTransition = availableTransitions.find(t => t.to === editData.status);
+  const transitionInputFields = getRequiredTransitionFields(workflow, request, selectedTransition)
+    .filter(field => TRANSITION_FIELDS[field]?.kind === 'input');
+
   if (loading) {
     return (
       <div className="min-h-screen bg-gray-50 dark:bg-gray-900 flex items-center justify-center">
@@ -412,12 +413,15 @@ const RequestDetail = () => {
                 </div>
                 
                 {/* Status badge */}
-                <div className={`px-3 py-1 rounded-full text-xs font-medium ${getStatusColor(request.status)}`}>
-                  {formatStatus(request.status)}
+                <div className={`px-3 py-1 rounded-full text-xs font-medium ${getStatusBadgeClasses(request.status)}`}>
+                  {getStatusLabel(request.status)}
                 </div>
+
+                {/* SLA badge */}
+                <SlaBadge request={request} showDueDate />
                 
-                {/* Edit button (only for admin and user roles) */}
-                {(user.role === 'administrator' || user.role === 'user') && (
+                {/* Edit button (only for users who process requests) */}
+                {canEdit() && (
                   <button
                     onClick={() => setEditing(!editing)}
                     disabled={saving}
@@ -480,10 +484,28 @@ const RequestDetail = () => {
                                  bg-white dark:bg-gray-900 text-gray-900 dark:text-white
                                  focus:outline-none focus:ring-2 focus:ring-black dark:focus:ring-white"
                       >
-                        <option value="pending">Pending</option>
-                        <option value="in_progress">In Progress</option>
-                        <option value="completed">Completed</option>
+                        <option value={request.status}>{getStatusLabel(request.status)}</option>
+                        {availableTransitions.map((transition) => (
+                          <option key={transition.to} value={transition.to}>
+                            {getStatusLabel(transition.to)}
+                          </option>
+                        ))}
                       </select>
+                      {transitionInputFields.map((field) => (
+                        <div key={field} className="mt-2">
+                          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                            {TRANSITION_FIELDS[field].label}*
+                          </label>
+                          <textarea
+                            value={transitionValues[field] || ''}
+                            onChange={(e) => setTransitionValues(prev => ({ ...prev, [field]: e.target.value }))}
+                            rows="2"
+                            className="w-full px-4 py-2 rounded-lg border border-gray-200 dark:border-gray-700
+                                     bg-white dark:bg-gray-900 text-gray-900 dark:text-white
+                                     focus:outline-none focus:ring-2 focus:ring-black dark:focus:ring-white"
+                          />
+                        </div>
+                      ))}
                     </div>
                     
                     <div>
@@ -587,6 +609,18 @@ const RequestDetail = () => {
                       </p>
                     )}
                   </div>
+
+                  {/* SLA breach reason */}
+                  {request.sla_breach_reason && (
+                    <div className="bg-red-50 dark:bg-red-900/20 rounded-lg p-4">
+                      <h3 className="text-sm font-medium text-red-700 dark:text-red-300 mb-1">
+                        Completed after SLA deadline
+                      </h3>
+                      <p className="text-sm text-red-700 dark:text-red-200 whitespace-pre-line">
+                        {request.sla_breach_reason}
+                      </p>
+                    </div>
+                  )}
                   
                   {/* Organization info */}
                   <div className="bg-gray-50 dark:bg-gray-700/30 rounded-lg p-4">
@@ -635,6 +669,10 @@ const RequestDetail = () => {
                           <span className="font-medium">Created by:</span>{' '}
                           {request.created_by_user?.full_name || 'Unknown'}
                         </p>
+                        <AssignmentControl
+                          request={request}
+                          onAssigned={(updated) => setRequest(prev => ({ ...prev, ...updated }))}
+                        />
                         <p className="text-sm text-gray-700 dark:text-gray-300">
                           <span className="font-medium">Created on:</span>{' '}
                           {format(new Date(request.created_at), 'PPP')}
@@ -660,12 +698,10 @@ const RequestDetail = () => {
                             This request has a duplicate reference number.
                           </p>
                         )}
-                        {request.status === 'completed' && request.deletion_date && (
-                          <p className="text-sm text-red-600 dark:text-red-400">
-                            <span className="font-medium">Auto-deletion date:</span>{' '}
-                            {format(new Date(request.deletion_date), 'PPP')}
-                          </p>
-                        )}
+                        <LegalHold
+                          request={request}
+                          onUpdated={(updated) => setRequest(prev => ({ ...prev, ...updated }))}
+                        />
                       </div>
                     </div>
                   </div>
@@ -676,11 +712,14 @@ const RequestDetail = () => {
           
           {/* Request documents */}
           <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm overflow-hidden mb-6">
-            <div className="p-6 border-b border-gray-200 dark:border-gray-700">
+            <div className="p-6 border-b border-gray-200 dark:border-gray-700 flex items-center justify-between">
               <h2 className="text-lg font-semibold text-gray-900 dark:text-white flex items-center">
                 <FileText className="h-5 w-5 mr-2" />
                 Documents
               </h2>
+              {requestFiles.length > 0 && (
+                <DownloadZipButton requestIds={[id]} />
+              )}
             </div>
             
             <div className="p-6">
@@ -707,18 +746,36 @@ const RequestDetail = () => {
                               <p className="text-xs text-gray-500 dark:text-gray-400">
                                 {(file.file_size / 1024 / 1024).toFixed(2)} MB • Uploaded {formatDistanceToNow(new Date(file.created_at), { addSuffix: true })}
                               </p>
+                              {isScanBlocked(file) && (
+                                <p className="flex items-center text-xs text-red-600 dark:text-red-400">
+                                  <ShieldAlert className="h-3 w-3 mr-1 flex-shrink-0" />
+                                  {describeScanHold(file)}
+                                </p>
+                              )}
                             </div>
                           </div>
                           
-                          <button
-                            onClick={() => downloadFile(file.file_path, file.file_name)}
-                            className="flex items-center px-3 py-1 bg-gray-100 dark:bg-gray-700 rounded-lg
-                                     text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600
-                                     transition-colors text-sm"
-                          >
-                            <Download className="h-4 w-4 mr-1" />
-                            Download
-                          </button>
+                          <div className="flex items-center gap-2">
+                            <button
+                              onClick={() => setViewingFile(file)}
+                              className="flex items-center px-3 py-1 bg-gray-100 dark:bg-gray-700 rounded-lg
+                                       text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600
+                                       transition-colors text-sm"
+                            >
+                              <Eye className="h-4 w-4 mr-1" />
+                              View
+                            </button>
+                            <button
+                              onClick={() => handleDownload(file)}
+                              disabled={isScanBlocked(file)}
+                              className="flex items-center px-3 py-1 bg-gray-100 dark:bg-gray-700 rounded-lg
+                                       text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600
+                                       transition-colors text-sm disabled:opacity-50"
+                            >
+                              <Download className="h-4 w-4 mr-1" />
+                              Download
+                            </button>
+                          </div>
                         </div>
                       ))}
                   </div>
@@ -734,40 +791,76 @@ const RequestDetail = () => {
                 {requestFiles.some(file => file.is_response) ? (
                   <div className="space-y-2">
                     {requestFiles
-                      .filter(file => file.is_response)
+                      .filter(file => file.is_response && file.is_current !== false)
                       .map((file) => (
-                        <div 
-                          key={file.id} 
-                          className="flex items-center justify-between p-3 bg-gray-50 dark:bg-gray-700/30 rounded-lg"
-                        >
-                          <div className="flex items-center space-x-3 overflow-hidden">
-                            <FileText className="h-5 w-5 text-gray-500 dark:text-gray-400" />
-                            <div className="min-w-0">
-                              <p className="text-sm font-medium text-gray-900 dark:text-white truncate">
-                                {file.file_name}
-                              </p>
-                              <div className="flex items-center">
-                                <p className="text-xs text-gray-500 dark:text-gray-400">
-                                  {(file.file_size / 1024 / 1024).toFixed(2)} MB • Uploaded {formatDistanceToNow(new Date(file.created_at), { addSuffix: true })}
+                        <div key={file.id} className="bg-gray-50 dark:bg-gray-700/30 rounded-lg">
+                          <div className="flex items-center justify-between p-3">
+                            <div className="flex items-center space-x-3 overflow-hidden">
+                              <FileText className="h-5 w-5 text-gray-500 dark:text-gray-400" />
+                              <div className="min-w-0">
+                                <p className="text-sm font-medium text-gray-900 dark:text-white truncate">
+                                  {file.file_name}
                                 </p>
-                                {file.is_secured && (
-                                  <span className="ml-2 px-2 py-0.5 text-xs font-medium bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-200 rounded-full">
-                                    Secured
-                                  </span>
+                                <div className="flex items-center">
+                                  <p className="text-xs text-gray-500 dark:text-gray-400">
+                                    {(file.file_size / 1024 / 1024).toFixed(2)} MB • Uploaded {formatDistanceToNow(new Date(file.created_at), { addSuffix: true })}
+                                  </p>
+                                  {file.is_secured && (
+                                    <span className="ml-2 px-2 py-0.5 text-xs font-medium bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-200 rounded-full">
+                                      Secured
+                                    </span>
+                                  )}
+                                  {file.password_version && (
+                                    <span className="ml-2 px-2 py-0.5 text-xs font-medium bg-purple-100 text-purple-800 dark:bg-purple-900/30 dark:text-purple-200 rounded-full">
+                                      Password
+                                    </span>
+                                  )}
+                                  {file.signature_id && (
+                                    <span className="ml-2 px-2 py-0.5 text-xs font-medium bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-200 rounded-full">
+                                      Signed
+                                    </span>
+                                  )}
+                                </div>
+                                {isScanBlocked(file) && (
+                                  <p className="flex items-center text-xs text-red-600 dark:text-red-400">
+                                    <ShieldAlert className="h-3 w-3 mr-1 flex-shrink-0" />
+                                    {describeScanHold(file)}
+                                  </p>
                                 )}
                               </div>
                             </div>
-                          </div>
                           
-                          <button
-                            onClick={() => downloadFile(file.file_path, file.file_name)}
-                            className="flex items-center px-3 py-1 bg-gray-100 dark:bg-gray-700 rounded-lg
-                                     text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600
-                                     transition-colors text-sm"
-                          >
-                            <Download className="h-4 w-4 mr-1" />
-                            Download
-                          </button>
+                            <div className="flex items-center gap-2">
+                              {file.password_version && can(PERMISSIONS.FILES_PDF_PASSWORD_VIEW) && (
+                                <PdfPasswordButton fileId={file.id} />
+                              )}
+                              <button
+                                onClick={() => setViewingFile(file)}
+                                className="flex items-center px-3 py-1 bg-gray-100 dark:bg-gray-700 rounded-lg
+                                         text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600
+                                         transition-colors text-sm"
+                              >
+                                <Eye className="h-4 w-4 mr-1" />
+                                View
+                              </button>
+                              <button
+                                onClick={() => handleDownload(file)}
+                                disabled={isScanBlocked(file)}
+                                className="flex items-center px-3 py-1 bg-gray-100 dark:bg-gray-700 rounded-lg
+                                         text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600
+                                         transition-colors text-sm disabled:opacity-50"
+                              >
+                                <Download className="h-4 w-4 mr-1" />
+                                Download
+                              </button>
+                            </div>
+                          </div>
+                          <FileVersions
+                            file={file}
+                            versions={versionsByDocument[file.document_id] || [file]}
+                            onView={setViewingFile}
+                            onChanged={refreshFiles}
+                          />
                         </div>
                       ))}
                   </div>
@@ -779,11 +872,15 @@ const RequestDetail = () => {
               </div>
               
               {/* Upload new response files (only for admin and user) */}
-              {(user.role === 'administrator' || user.role === 'user') && request.status !== 'completed' && (
+              {canUploadResponse() && (
                 <div className="mt-6 pt-6 border-t border-gray-200 dark:border-gray-700">
                   <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-3">
                     Upload Response Files
                   </h3>
+                  <PdfPasswordSetting
+                    request={request}
+                    onUpdated={(updated) => setRequest(prev => ({ ...prev, ...updated }))}
+                  />
                   <FileUploader 
                     requestId={request.id} 
                     onUploadComplete={() => {}} 
@@ -810,6 +907,20 @@ const RequestDetail = () => {
         </>
       )}
     </div>
+
+    {viewingFile && (
+      <DocumentViewer
+        filePath={viewingFile.file_path}
+        fileName={viewingFile.file_name}
+        fileType={viewingFile.file_type}
+        isSecured={viewingFile.is_secured}
+        fileId={viewingFile.id}
+        onClose={() => setViewingFile(null)}
+        onReleased={(fileId, filePath) => setRequestFiles(prev => prev.map(file => (
+          file.id === fileId ? { ...file, scan_status: SCAN_STATUSES.RELEASED, file_path: filePath } : file
+        )))}
+      />
+    )}
   </div>
 );
 
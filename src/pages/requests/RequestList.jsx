@@ -1,5 +1,5 @@
-import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { 
   Search, 
   Plus, 
@@ -8,44 +8,109 @@ import {
   X, 
   Calendar, 
   Loader2,
-  AlertCircle
+  AlertCircle,
+  Hand,
+  ArrowUp,
+  ArrowDown
 } from 'lucide-react';
 import RequestCard from '../../components/requests/RequestCard';
+import DownloadZipButton from '../../components/requests/DownloadZipButton';
+import Pagination from '../../components/common/Pagination';
 import { useAuth } from '../../hooks/useAuth';
-import useRoleCheck from '../../hooks/useRoleCheck';
+import { useWorkflow } from '../../contexts/WorkflowContext';
+import { getRequests } from '../../services/requestService';
+import { SLA_STATE_LABELS } from '../../config/sla';
+import usePermission from '../../hooks/usePermission';
+import { PERMISSIONS } from '../../config/permissions';
+import useAssignment from '../../hooks/useAssignment';
 import ModalRequestForm from '../../components/modals/ModalRequestForm';
 import ModalRequestDetail from '../../components/modals/ModalRequestDetail';
 
+const PAGE_SIZE = 12;
+
+// List state kept in the URL, so a filtered view can be bookmarked or shared.
+// Values equal to these defaults are left out of the URL.
+const DEFAULT_FILTERS = {
+  q: '',
+  status: 'all',
+  organization: 'all',
+  priority: 'all',
+  sla: 'all',
+  assigned: 'all',
+  from: '',
+  to: '',
+  sort: 'date_received',
+  dir: 'desc',
+  page: '1'
+};
+
+const SORT_OPTIONS = [
+  { value: 'date_received', label: 'Date Received' },
+  { value: 'created_at', label: 'Date Created' },
+  { value: 'updated_at', label: 'Last Updated' },
+  { value: 'due_at', label: 'Due Date' },
+  { value: 'reference_number', label: 'Reference Number' },
+  { value: 'subject', label: 'Subject' },
+  { value: 'priority', label: 'Priority' },
+  { value: 'status', label: 'Status' }
+];
+
+// Filters that narrow the list (search, sorting and paging do not)
+const NARROWING_FILTERS = ['status', 'organization', 'priority', 'sla', 'assigned', 'from', 'to'];
+
+const readFilters = (searchParams) =>
+  Object.keys(DEFAULT_FILTERS).reduce((filters, key) => ({
+    ...filters,
+    [key]: searchParams.get(key) ?? DEFAULT_FILTERS[key]
+  }), {});
+
 const RequestList = () => {
   const { user } = useAuth();
-  const { canProcessRequests, isRestrictedToOrganization } = useRoleCheck();
-  const navigate = useNavigate();
+  const { statuses, getStatusesByCategory } = useWorkflow();
+  const { can } = usePermission();
+  const { claimNext } = useAssignment();
+  // Users without this only see requests of their own organizations
+  const canViewAll = can(PERMISSIONS.REQUESTS_VIEW_ALL);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const filters = useMemo(() => readFilters(searchParams), [searchParams]);
+  const currentPage = Math.max(1, parseInt(filters.page, 10) || 1);
   const [requests, setRequests] = useState([]);
-  const [filteredRequests, setFilteredRequests] = useState([]);
+  const [totalCount, setTotalCount] = useState(0);
   const [loading, setLoading] = useState(true);
-  const [searchTerm, setSearchTerm] = useState('');
-  const [showFilters, setShowFilters] = useState(false);
+  const [searchInput, setSearchInput] = useState(filters.q);
+  const [showFilters, setShowFilters] = useState(
+    NARROWING_FILTERS.some(key => filters[key] !== DEFAULT_FILTERS[key])
+  );
   const [organizations, setOrganizations] = useState([]);
-  const [userOrganizations, setUserOrganizations] = useState([]);
+  const [userOrganizations, setUserOrganizations] = useState(null);
   const [error, setError] = useState(null);
+  const [claiming, setClaiming] = useState(false);
+  const [claimMessage, setClaimMessage] = useState('');
+  // Requests picked for a ZIP download, kept while paging and filtering
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
   
   // Modal states
   const [newRequestModalOpen, setNewRequestModalOpen] = useState(false);
   const [detailModalOpen, setDetailModalOpen] = useState(false);
   const [selectedRequestId, setSelectedRequestId] = useState(null);
-  
-  // Filters
-  const [filters, setFilters] = useState({
-    status: 'all',
-    organization: 'all',
-    dateRange: {
-      start: null,
-      end: null
-    },
-    priority: 'all'
-  });
 
-  // Fetch user's organizations if they're an organization user
+  /**
+   * Change list state in the URL
+   * Any change other than the page goes back to the first page.
+   * @param {Object} changes - Filter values to change
+   */
+  const updateFilters = useCallback((changes) => {
+    setSearchParams(prev => {
+      const next = { ...readFilters(prev), page: DEFAULT_FILTERS.page, ...changes };
+      const params = new URLSearchParams();
+      Object.entries(next).forEach(([key, value]) => {
+        if (value && value !== DEFAULT_FILTERS[key]) params.set(key, value);
+      });
+      return params;
+    }, { replace: true });
+  }, [setSearchParams]);
+
+  // Fetch the organizations a user is linked to
   useEffect(() => {
     const fetchUserOrganizations = async () => {
       if (!user) return;
@@ -62,74 +127,21 @@ const RequestList = () => {
           
         if (error) throw error;
         
-        if (data && data.length > 0) {
-          setUserOrganizations(data.map(item => ({
-            id: item.organization_id,
-            name: item.v4_organizations.name
-          })));
-        }
+        setUserOrganizations((data || []).map(item => ({
+          id: item.organization_id,
+          name: item.v4_organizations.name
+        })));
       } catch (error) {
         console.error('Error fetching user organizations:', error);
+        setUserOrganizations([]);
       }
     };
     
     fetchUserOrganizations();
   }, [user]);
 
-  // Fetch requests based on user role
+  // Fetch organizations for the filter
   useEffect(() => {
-    const fetchRequests = async () => {
-      try {
-        setLoading(true);
-        setError(null);
-        
-        const { supabase } = await import('../../config/supabase');
-        
-        let query = supabase
-          .from('v4_requests')
-          .select(`
-            *,
-            v4_organizations:sender (name),
-            v4_request_files!v4_request_files_request_id_fkey (id),
-            v4_comments!v4_comments_request_id_fkey (id)
-          `)
-          .order('date_received', { ascending: false });
-        
-        // Filter by organization if user is organization role and has assigned organizations
-        if (user.role === 'organization' && userOrganizations.length > 0) {
-          const orgIds = userOrganizations.map(org => org.id);
-          query = query.in('sender', orgIds);
-        } else if (user.role === 'organization' && userOrganizations.length === 0) {
-          // If organization user but no assigned organizations, return empty list
-          setRequests([]);
-          setFilteredRequests([]);
-          setLoading(false);
-          return;
-        }
-        
-        const { data, error: fetchError } = await query;
-        
-        if (fetchError) throw fetchError;
-        
-        // Process request data
-        const processedRequests = data.map(request => ({
-          ...request,
-          sender_name: request.v4_organizations?.name || 'Unknown',
-          files_count: request.v4_request_files ? request.v4_request_files.length : 0,
-          comments_count: request.v4_comments ? request.v4_comments.length : 0
-        }));
-        
-        setRequests(processedRequests);
-        setFilteredRequests(processedRequests);
-      } catch (error) {
-        console.error('Error fetching requests:', error);
-        setError('Failed to load requests. Please try again.');
-      } finally {
-        setLoading(false);
-      }
-    };
-    
-    // Fetch organizations
     const fetchOrganizations = async () => {
       try {
         const { supabase } = await import('../../config/supabase');
@@ -145,142 +157,131 @@ const RequestList = () => {
       }
     };
     
-    // Only fetch if user is loaded and (not organization role OR has organizations)
-    if (user && (user.role !== 'organization' || userOrganizations.length > 0)) {
-      fetchRequests();
-      fetchOrganizations();
-    } else if (user && user.role === 'organization') {
-      // For organization users without orgs, just set loading to false
-      setLoading(false);
-    }
-  }, [user, userOrganizations]);
+    if (canViewAll) fetchOrganizations();
+  }, [canViewAll]);
 
-  // Apply filters and search
-  useEffect(() => {
-    if (requests.length === 0) return;
+  // Fetch the current page of requests
+  const loadRequests = useCallback(async () => {
+    if (!user || (!canViewAll && userOrganizations === null)) return;
     
-    let result = [...requests];
-    
-    // Apply status filter
-    if (filters.status !== 'all') {
-      result = result.filter(request => request.status === filters.status);
-    }
-    
-    // Apply organization filter
-    if (filters.organization !== 'all') {
-      result = result.filter(request => request.sender === filters.organization);
+    // Users who only see their own organizations and have none see nothing
+    if (!canViewAll && userOrganizations.length === 0) {
+      setRequests([]);
+      setTotalCount(0);
+      setLoading(false);
+      return;
     }
     
-    // Apply date range filter
-    if (filters.dateRange.start && filters.dateRange.end) {
-      const start = new Date(filters.dateRange.start);
-      const end = new Date(filters.dateRange.end);
-      end.setHours(23, 59, 59, 999); // End of day
+    try {
+      setLoading(true);
+      setError(null);
       
-      result = result.filter(request => {
-        const date = new Date(request.date_received);
-        return date >= start && date <= end;
+      const { data, count } = await getRequests({
+        status: filters.status,
+        organization: filters.organization,
+        organizationIds: canViewAll ? null : userOrganizations.map(org => org.id),
+        priority: filters.priority,
+        dateRange: { start: filters.from, end: filters.to },
+        searchTerm: filters.q,
+        assignedTo: filters.assigned === 'mine' ? user.id : filters.assigned,
+        sla: filters.sla,
+        slaStatuses: {
+          open: getStatusesByCategory(['pending', 'in_progress']),
+          completed: getStatusesByCategory('completed')
+        },
+        sortBy: filters.sort,
+        ascending: filters.dir === 'asc',
+        page: currentPage,
+        pageSize: PAGE_SIZE
       });
+      
+      setRequests(data);
+      setTotalCount(count);
+    } catch (error) {
+      console.error('Error fetching requests:', error);
+      setError('Failed to load requests. Please try again.');
+    } finally {
+      setLoading(false);
     }
-    
-    // Apply priority filter
-    if (filters.priority !== 'all') {
-      result = result.filter(request => request.priority === filters.priority);
-    }
-    
-    // Apply search term
-    if (searchTerm) {
-      const lowerSearchTerm = searchTerm.toLowerCase();
-      result = result.filter(request => 
-        request.reference_number?.toLowerCase().includes(lowerSearchTerm) ||
-        request.subject?.toLowerCase().includes(lowerSearchTerm) ||
-        request.sender_name?.toLowerCase().includes(lowerSearchTerm)
-      );
-    }
-    
-    setFilteredRequests(result);
-  }, [requests, filters, searchTerm]);
+  }, [user, canViewAll, userOrganizations, filters, currentPage, getStatusesByCategory]);
+
+  useEffect(() => {
+    loadRequests();
+  }, [loadRequests]);
+
+  // Keep the search box in step with the URL (back button, clear filters)
+  useEffect(() => {
+    setSearchInput(prev => (prev.trim() === filters.q ? prev : filters.q));
+  }, [filters.q]);
 
-  // Clear all filters
+  // Search once typing pauses
+  useEffect(() => {
+    if (searchInput.trim() === filters.q) return;
+    const timer = setTimeout(() => updateFilters({ q: searchInput.trim() }), 300);
+    return () => clearTimeout(timer);
+  }, [searchInput, filters.q, updateFilters]);
+
+  // Clear all filters, keeping the sort order
   const clearFilters = () => {
-    setFilters({
-      status: 'all',
-      organization: 'all',
-      dateRange: {
-        start: null,
-        end: null
-      },
-      priority: 'all'
+    updateFilters({
+      ...NARROWING_FILTERS.reduce((cleared, key) => ({ ...cleared, [key]: DEFAULT_FILTERS[key] }), {}),
+      q: ''
     });
-    setSearchTerm('');
+    setSearchInput('');
   };
 
-  // Manual refresh function
-  const refreshData = async () => {
+  const hasActiveFilters = Boolean(filters.q) ||
+    NARROWING_FILTERS.some(key => filters[key] !== DEFAULT_FILTERS[key]);
+  const totalPages = Math.ceil(totalCount / PAGE_SIZE);
+  
+  // Add a request to the download selection, or take it out
+  const toggleSelected = (requestId, selected) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      if (selected) next.add(requestId);
+      else next.delete(requestId);
+      return next;
+    });
+  };
+  
+  const allOnPageSelected = requests.length > 0 && requests.every(request => selectedIds.has(request.id));
+  
+  // Handle card click
+  const handleCardClick = (requestId) => {
+    setSelectedRequestId(requestId);
+    setDetailModalOpen(true);
+  };
+  
+  // Take the most pressing unassigned request and open it
+  const handleClaimNext = async () => {
     try {
-      setLoading(true);
+      setClaiming(true);
       setError(null);
+      setClaimMessage('');
       
-      const { supabase } = await import('../../config/supabase');
-      
-      let query = supabase
-        .from('v4_requests')
-        .select(`
-          *,
-          v4_organizations:sender (name),
-          v4_request_files!v4_request_files_request_id_fkey (id),
-          v4_comments!v4_comments_request_id_fkey (id)
-        `)
-        .order('date_received', { ascending: false });
-      
-      // Filter by organization if user is organization role and has assigned organizations
-      if (user.role === 'organization' && userOrganizations.length > 0) {
-        const orgIds = userOrganizations.map(org => org.id);
-        query = query.in('sender', orgIds);
-      } else if (user.role === 'organization' && userOrganizations.length === 0) {
-        // If organization user but no assigned organizations, return empty list
-        setRequests([]);
-        setFilteredRequests([]);
-        setLoading(false);
+      const claimed = await claimNext();
+      if (!claimed) {
+        setClaimMessage('There are no unassigned requests to claim.');
         return;
       }
       
-      const { data, error: fetchError } = await query;
-      
-      if (fetchError) throw fetchError;
-      
-      // Process request data
-      const processedRequests = data.map(request => ({
-        ...request,
-        sender_name: request.v4_organizations?.name || 'Unknown',
-        files_count: request.v4_request_files ? request.v4_request_files.length : 0,
-        comments_count: request.v4_comments ? request.v4_comments.length : 0
-      }));
-      
-      setRequests(processedRequests);
-      setFilteredRequests(processedRequests);
+      await loadRequests();
+      handleCardClick(claimed.id);
     } catch (error) {
-      console.error('Error refreshing data:', error);
-      setError('Failed to refresh data. Please try again.');
+      setError('Failed to claim a request. Please try again.');
     } finally {
-      setLoading(false);
+      setClaiming(false);
     }
   };
   
-  // Handle card click
-  const handleCardClick = (requestId) => {
-    setSelectedRequestId(requestId);
-    setDetailModalOpen(true);
-  };
-  
   // Handle request creation success
   const handleRequestCreated = () => {
-    refreshData();
+    loadRequests();
   };
   
   // Handle request update
   const handleRequestUpdated = () => {
-    refreshData();
+    loadRequests();
   };
 
   return (
@@ -313,7 +314,7 @@ const RequestList = () => {
           <div className="flex gap-2">
             {/* Refresh button */}
             <button
-              onClick={refreshData}
+              onClick={loadRequests}
               disabled={loading}
               className="flex items-center px-4 py-2 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-lg
                       hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors disabled:opacity-50"
@@ -328,8 +329,24 @@ const RequestList = () => {
               Refresh
             </button>
             
-            {/* Only show "New Request" button for admin and user roles */}
-            {canProcessRequests() && (
+            {can(PERMISSIONS.REQUESTS_PROCESS) && (
+              <button
+                onClick={handleClaimNext}
+                disabled={claiming}
+                className="flex items-center px-4 py-2 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-lg
+                      hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors disabled:opacity-50"
+              >
+                {claiming ? (
+                  <Loader2 className="w-4 h-4 animate-spin mr-2" />
+                ) : (
+                  <Hand className="w-4 h-4 mr-2" />
+                )}
+                Claim Next
+              </button>
+            )}
+            
+            {/* Only show "New Request" button to users who can create requests */}
+            {can(PERMISSIONS.REQUESTS_CREATE) && (
               <button
                 onClick={() => setNewRequestModalOpen(true)}
                 className="flex items-center px-4 py-2 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-lg
@@ -352,6 +369,12 @@ const RequestList = () => {
           </div>
         )}
         
+        {claimMessage && (
+          <div className="bg-gray-100 dark:bg-gray-800 text-gray-700 dark:text-gray-300 p-4 rounded-lg mb-6">
+            {claimMessage}
+          </div>
+        )}
+        
         {/* Search and filter bar */}
         <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-4 mb-6">
           <div className="flex flex-col sm:flex-row gap-4">
@@ -360,9 +383,9 @@ const RequestList = () => {
               <Search className="absolute right-3 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
               <input
                 type="text"
-                placeholder="Search by reference, subject, or sender..."
-                value={searchTerm}
-                onChange={(e) => setSearchTerm(e.target.value)}
+                placeholder="Search by reference or subject..."
+                value={searchInput}
+                onChange={(e) => setSearchInput(e.target.value)}
                 className="w-full pl-10 pr-4 py-2 rounded-lg border border-gray-200 dark:border-gray-700
                         bg-white dark:bg-gray-900 text-gray-900 dark:text-white
                         focus:outline-none focus:ring-2 focus:ring-black dark:focus:ring-white"
@@ -380,6 +403,32 @@ const RequestList = () => {
               Filters
               <ChevronDown className={`w-4 h-4 ml-2 transition-transform ${showFilters ? 'rotate-180' : ''}`} />
             </button>
+            
+            {/* Sort order */}
+            <div className="flex gap-2">
+              <select
+                value={filters.sort}
+                onChange={(e) => updateFilters({ sort: e.target.value })}
+                className="px-3 py-2 rounded-lg border border-gray-200 dark:border-gray-700
+                        bg-white dark:bg-gray-900 text-gray-900 dark:text-white
+                        focus:outline-none focus:ring-2 focus:ring-black dark:focus:ring-white"
+                aria-label="Sort by"
+              >
+                {SORT_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+              <button
+                onClick={() => updateFilters({ dir: filters.dir === 'asc' ? 'desc' : 'asc' })}
+                className="p-2 border border-gray-200 dark:border-gray-700 rounded-lg text-gray-700 dark:text-gray-300
+                        hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
+                title={filters.dir === 'asc' ? 'Ascending' : 'Descending'}
+              >
+                {filters.dir === 'asc' ? <ArrowUp className="w-4 h-4" /> : <ArrowDown className="w-4 h-4" />}
+              </button>
+            </div>
           </div>
           
           {/* Expanded filters */}
@@ -393,27 +442,29 @@ const RequestList = () => {
                   </label>
                   <select
                     value={filters.status}
-                    onChange={(e) => setFilters({ ...filters, status: e.target.value })}
+                    onChange={(e) => updateFilters({ status: e.target.value })}
                     className="w-full px-3 py-2 rounded-lg border border-gray-200 dark:border-gray-700
                             bg-white dark:bg-gray-900 text-gray-900 dark:text-white
                             focus:outline-none focus:ring-2 focus:ring-black dark:focus:ring-white"
                   >
                     <option value="all">All Statuses</option>
-                    <option value="pending">Pending</option>
-                    <option value="in_progress">In Progress</option>
-                    <option value="completed">Completed</option>
+                    {statuses.map((status) => (
+                      <option key={status.key} value={status.key}>
+                        {status.label}
+                      </option>
+                    ))}
                   </select>
                 </div>
                 
-                {/* Organization filter - not needed for organization users */}
-                {user.role !== 'organization' && (
+                {/* Organization filter - not needed for users who only see their own organizations */}
+                {canViewAll && (
                   <div>
                     <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
                       Organization
                     </label>
                     <select
                       value={filters.organization}
-                      onChange={(e) => setFilters({ ...filters, organization: e.target.value })}
+                      onChange={(e) => updateFilters({ organization: e.target.value })}
                       className="w-full px-3 py-2 rounded-lg border border-gray-200 dark:border-gray-700
                               bg-white dark:bg-gray-900 text-gray-900 dark:text-white
                               focus:outline-none focus:ring-2 focus:ring-black dark:focus:ring-white"
@@ -437,11 +488,8 @@ const RequestList = () => {
                     <Calendar className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
                     <input
                       type="date"
-                      value={filters.dateRange.start || ''}
-                      onChange={(e) => setFilters({
-                        ...filters,
-                        dateRange: { ...filters.dateRange, start: e.target.value }
-                      })}
+                      value={filters.from}
+                      onChange={(e) => updateFilters({ from: e.target.value })}
                       className="w-full pl-10 pr-4 py-2 rounded-lg border border-gray-200 dark:border-gray-700
                               bg-white dark:bg-gray-900 text-gray-900 dark:text-white
                               focus:outline-none focus:ring-2 focus:ring-black dark:focus:ring-white"
@@ -457,11 +505,8 @@ const RequestList = () => {
                     <Calendar className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
                     <input
                       type="date"
-                      value={filters.dateRange.end || ''}
-                      onChange={(e) => setFilters({
-                        ...filters,
-                        dateRange: { ...filters.dateRange, end: e.target.value }
-                      })}
+                      value={filters.to}
+                      onChange={(e) => updateFilters({ to: e.target.value })}
                       className="w-full pl-10 pr-4 py-2 rounded-lg border border-gray-200 dark:border-gray-700
                               bg-white dark:bg-gray-900 text-gray-900 dark:text-white
                               focus:outline-none focus:ring-2 focus:ring-black dark:focus:ring-white"
@@ -476,7 +521,7 @@ const RequestList = () => {
                   </label>
                   <select
                     value={filters.priority}
-                    onChange={(e) => setFilters({ ...filters, priority: e.target.value })}
+                    onChange={(e) => updateFilters({ priority: e.target.value })}
                     className="w-full px-3 py-2 rounded-lg border border-gray-200 dark:border-gray-700
                             bg-white dark:bg-gray-900 text-gray-900 dark:text-white
                             focus:outline-none focus:ring-2 focus:ring-black dark:focus:ring-white"
@@ -488,6 +533,45 @@ const RequestList = () => {
                     <option value="urgent">Urgent</option>
                   </select>
                 </div>
+                
+                {/* SLA filter */}
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    SLA
+                  </label>
+                  <select
+                    value={filters.sla}
+                    onChange={(e) => updateFilters({ sla: e.target.value })}
+                    className="w-full px-3 py-2 rounded-lg border border-gray-200 dark:border-gray-700
+                            bg-white dark:bg-gray-900 text-gray-900 dark:text-white
+                            focus:outline-none focus:ring-2 focus:ring-black dark:focus:ring-white"
+                  >
+                    <option value="all">All</option>
+                    {Object.entries(SLA_STATE_LABELS).map(([key, label]) => (
+                      <option key={key} value={key}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                
+                {/* Assignment filter */}
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    Assigned To
+                  </label>
+                  <select
+                    value={filters.assigned}
+                    onChange={(e) => updateFilters({ assigned: e.target.value })}
+                    className="w-full px-3 py-2 rounded-lg border border-gray-200 dark:border-gray-700
+                            bg-white dark:bg-gray-900 text-gray-900 dark:text-white
+                            focus:outline-none focus:ring-2 focus:ring-black dark:focus:ring-white"
+                  >
+                    <option value="all">Anyone</option>
+                    <option value="mine">Me</option>
+                    <option value="unassigned">Nobody</option>
+                  </select>
+                </div>
               </div>
               
               {/* Clear filters button */}
@@ -511,7 +595,7 @@ const RequestList = () => {
           <div className="flex items-center justify-center min-h-[400px]">
             <Loader2 className="h-8 w-8 animate-spin text-gray-400" />
           </div>
-        ) : filteredRequests.length === 0 ? (
+        ) : requests.length === 0 ? (
           <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-8 text-center">
             <div className="flex flex-col items-center">
               <Filter className="h-12 w-12 text-gray-400 dark:text-gray-500 mb-4" />
@@ -519,15 +603,13 @@ const RequestList = () => {
                 No requests found
               </h3>
               <p className="text-gray-500 dark:text-gray-400 max-w-md mx-auto">
-                {searchTerm || filters.status !== 'all' || filters.organization !== 'all' || 
-                filters.dateRange.start || filters.dateRange.end || filters.priority !== 'all' ? (
+                {hasActiveFilters ? (
                   'No requests match your current filters. Try adjusting your search criteria.'
                 ) : (
                   'No document requests have been recorded yet.'
                 )}
               </p>
-              {(searchTerm || filters.status !== 'all' || filters.organization !== 'all' || 
-                filters.dateRange.start || filters.dateRange.end || filters.priority !== 'all') && (
+              {hasActiveFilters && (
                 <button
                   onClick={clearFilters}
                   className="mt-4 px-4 py-2 bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 
@@ -539,15 +621,56 @@ const RequestList = () => {
             </div>
           </div>
         ) : (
-          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-            {filteredRequests.map((request) => (
-              <RequestCard
-                key={request.id}
-                request={request}
-                onClick={() => handleCardClick(request.id)}
-              />
-            ))}
-          </div>
+          <>
+            {/* Selection for downloading several requests at once */}
+            <div className="flex flex-wrap items-center justify-between gap-3 mb-4 text-sm text-gray-700 dark:text-gray-300">
+              <label className="flex items-center">
+                <input
+                  type="checkbox"
+                  checked={allOnPageSelected}
+                  onChange={(e) => requests.forEach(request => toggleSelected(request.id, e.target.checked))}
+                  className="mr-2 h-4 w-4 rounded border-gray-300 dark:border-gray-600"
+                />
+                Select all on this page
+              </label>
+              {selectedIds.size > 0 && (
+                <div className="flex items-center gap-3">
+                  <span>{selectedIds.size} selected</span>
+                  <button
+                    onClick={() => setSelectedIds(new Set())}
+                    className="text-gray-500 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white"
+                  >
+                    Clear
+                  </button>
+                  <DownloadZipButton
+                    requestIds={[...selectedIds]}
+                    label={`Download ${selectedIds.size} as ZIP`}
+                  />
+                </div>
+              )}
+            </div>
+            
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+              {requests.map((request) => (
+                <RequestCard
+                  key={request.id}
+                  request={request}
+                  onClick={() => handleCardClick(request.id)}
+                  selected={selectedIds.has(request.id)}
+                  onSelect={(selected) => toggleSelected(request.id, selected)}
+                />
+              ))}
+            </div>
+            
+            <Pagination
+              currentPage={currentPage}
+              totalPages={totalPages}
+              pageSize={PAGE_SIZE}
+              totalItems={totalCount}
+              onChange={(page) => updateFilters({ page: String(page) })}
+              className="mt-6"
+            />
+          </>
         )}
       </div>
     </div>
@@ -0,0 +1,246 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { Loader2, AlertCircle, RefreshCw, Inbox, User } from 'lucide-react';
+import { useAuth } from '../../hooks/useAuth';
+import useAssignment from '../../hooks/useAssignment';
+import { useWorkflow } from '../../contexts/WorkflowContext';
+import { fetchProcessors, fetchOpenRequests } from '../../services/assignmentService';
+import { assignRequest } from '../../services/requestService';
+import { sortByClaimOrder } from '../../utils/assignmentUtils';
+import { REQUEST_PRIORITY_LABELS } from '../../config/constants';
+import SlaBadge from '../../components/requests/SlaBadge';
+
+const PRIORITIES = ['urgent', 'high', 'normal', 'low'];
+
+const getPriorityBadgeColor = (priority) => {
+  switch(priority) {
+    case 'low':
+      return 'bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-200';
+    case 'high':
+      return 'bg-orange-100 text-orange-800 dark:bg-orange-900/30 dark:text-orange-200';
+    case 'urgent':
+      return 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-200';
+    default: // normal
+      return 'bg-gray-100 text-gray-700 dark:bg-gray-800/80 dark:text-gray-300';
+  }
+};
+
+const WorkloadBoard = () => {
+  const { user } = useAuth();
+  const { processorRoles, openStatuses } = useAssignment();
+  const { getStatusLabel, getStatusBadgeClasses } = useWorkflow();
+  const [processors, setProcessors] = useState([]);
+  const [requests, setRequests] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [savingId, setSavingId] = useState(null);
+  const [error, setError] = useState('');
+
+  const loadData = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const [processorData, requestData] = await Promise.all([
+        fetchProcessors(processorRoles),
+        fetchOpenRequests(openStatuses)
+      ]);
+      setProcessors(processorData);
+      setRequests(sortByClaimOrder(requestData));
+    } catch (error) {
+      setError('Failed to load the team workload. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [processorRoles, openStatuses]);
+
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
+
+  const handleReassign = async (request, assigneeId) => {
+    try {
+      setSavingId(request.id);
+      setError('');
+      await assignRequest(request.id, assigneeId || null, user.id);
+      setRequests(prev => prev.map(item =>
+        item.id === request.id ? { ...item, assigned_to: assigneeId || null } : item
+      ));
+    } catch (error) {
+      setError(error.message || 'Failed to reassign request');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  // Requests assigned to someone who can no longer process them are shown
+  // with the unassigned ones so they are not lost
+  const processorIds = new Set(processors.map(processor => processor.id));
+  const columns = [
+    {
+      id: 'unassigned',
+      name: 'Unassigned',
+      items: requests.filter(request => !processorIds.has(request.assigned_to))
+    },
+    ...processors
+      .map(processor => ({
+        id: processor.id,
+        name: processor.full_name || processor.username,
+        items: requests.filter(request => request.assigned_to === processor.id)
+      }))
+      .sort((a, b) => b.items.length - a.items.length)
+  ];
+
+  const now = new Date();
+  const maxLoad = Math.max(1, ...columns.slice(1).map(column => column.items.length));
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <Loader2 className="w-8 h-8 animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6">
+      <div className="max-w-7xl mx-auto">
+        <div className="flex justify-between items-center mb-6">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 dark:text-white">
+              Team Workload
+            </h1>
+            <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+              Open requests per processor, most pressing first. Change the assignee of a request from its card.
+            </p>
+          </div>
+          <button
+            onClick={loadData}
+            className="flex items-center px-4 py-2 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-lg
+                    hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+          >
+            <RefreshCw className="w-4 h-4 mr-2" />
+            Refresh
+          </button>
+        </div>
+
+        {error && (
+          <div className="mb-6 p-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg
+                        flex items-center text-red-700 dark:text-red-300">
+            <AlertCircle className="w-5 h-5 mr-2" />
+            {error}
+          </div>
+        )}
+
+        <div className="flex gap-4 overflow-x-auto pb-4">
+          {columns.map(column => {
+            const overdue = column.items.filter(item => item.due_at && new Date(item.due_at) < now).length;
+
+            return (
+              <div
+                key={column.id}
+                className="flex-shrink-0 w-80 bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700"
+              >
+                <div className="p-4 border-b border-gray-200 dark:border-gray-700">
+                  <div className="flex items-center justify-between">
+                    <h2 className="flex items-center text-sm font-semibold text-gray-900 dark:text-white">
+                      {column.id === 'unassigned' ? (
+                        <Inbox className="w-4 h-4 mr-2 text-gray-400" />
+                      ) : (
+                        <User className="w-4 h-4 mr-2 text-gray-400" />
+                      )}
+                      {column.name}
+                    </h2>
+                    <span className="text-sm font-medium text-gray-500 dark:text-gray-400">
+                      {column.items.length} open
+                    </span>
+                  </div>
+
+                  {column.id !== 'unassigned' && (
+                    <div className="mt-2 h-1.5 rounded-full bg-gray-100 dark:bg-gray-700">
+                      <div
+                        className="h-1.5 rounded-full bg-black dark:bg-white"
+                        style={{ width: `${(column.items.length / maxLoad) * 100}%` }}
+                      />
+                    </div>
+                  )}
+
+                  <div className="flex flex-wrap gap-1 mt-2">
+                    {PRIORITIES.map(priority => {
+                      const count = column.items.filter(item => item.priority === priority).length;
+                      return count > 0 && (
+                        <span
+                          key={priority}
+                          className={`px-2 py-0.5 rounded-full text-xs font-medium ${getPriorityBadgeColor(priority)}`}
+                        >
+                          {count} {REQUEST_PRIORITY_LABELS[priority]}
+                        </span>
+                      );
+                    })}
+                    {overdue > 0 && (
+                      <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-200">
+                        {overdue} overdue
+                      </span>
+                    )}
+                  </div>
+                </div>
+
+                <div className="p-3 space-y-2 max-h-[60vh] overflow-y-auto">
+                  {column.items.length === 0 ? (
+                    <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-4">
+                      Nothing open.
+                    </p>
+                  ) : column.items.map(request => (
+                    <div
+                      key={request.id}
+                      className="p-3 rounded-lg border border-gray-200 dark:border-gray-700"
+                    >
+                      <div className="flex items-start justify-between gap-2">
+                        <Link
+                          to={`/requests/${request.id}`}
+                          className="text-sm font-medium text-gray-900 dark:text-white hover:underline"
+                        >
+                          {request.reference_number}
+                        </Link>
+                        <span className={`px-2 py-0.5 rounded-full text-xs font-medium whitespace-nowrap ${getStatusBadgeClasses(request.status)}`}>
+                          {getStatusLabel(request.status)}
+                        </span>
+                      </div>
+                      <p className="text-xs text-gray-500 dark:text-gray-400 mt-1 truncate">
+                        {request.subject}
+                      </p>
+                      <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                        {request.organizations?.name}
+                      </p>
+                      <div className="flex items-center justify-between gap-2 mt-2">
+                        <SlaBadge request={request} showIcon={false} />
+                        <div className="flex items-center gap-1 ml-auto">
+                          {savingId === request.id && <Loader2 className="w-3 h-3 animate-spin text-gray-400" />}
+                          <select
+                            value={processorIds.has(request.assigned_to) ? request.assigned_to : ''}
+                            onChange={(e) => handleReassign(request, e.target.value)}
+                            disabled={savingId === request.id}
+                            className="max-w-[9rem] px-2 py-1 rounded border border-gray-200 dark:border-gray-700
+                                     bg-white dark:bg-gray-900 text-gray-900 dark:text-white text-xs
+                                     focus:outline-none focus:ring-1 focus:ring-black dark:focus:ring-white"
+                          >
+                            <option value="">Unassigned</option>
+                            {processors.map(processor => (
+                              <option key={processor.id} value={processor.id}>
+                                {processor.full_name || processor.username}
+                              </option>
+                            ))}
+                          </select>
+                        </div>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default WorkloadBoard;
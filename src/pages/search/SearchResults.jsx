@@ -0,0 +1,189 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Search, Loader2, AlertCircle, Calendar, Building } from 'lucide-react';
+import { format } from 'date-fns';
+import Pagination from '../../components/common/Pagination';
+import SearchSnippet from '../../components/search/SearchSnippet';
+import useRequestSearch from '../../hooks/useRequestSearch';
+import { useWorkflow } from '../../contexts/WorkflowContext';
+import { SEARCH_MATCH_LABELS, SEARCH_PAGE_SIZE, SEARCH_QUALIFIER_HINTS } from '../../config/search';
+
+const SearchResults = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const query = searchParams.get('q') || '';
+  const currentPage = Math.max(1, parseInt(searchParams.get('page'), 10) || 1);
+  const { search } = useRequestSearch();
+  const { getStatusLabel, getStatusBadgeClasses } = useWorkflow();
+  const [input, setInput] = useState(query);
+  const [results, setResults] = useState([]);
+  const [totalCount, setTotalCount] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setInput(query);
+  }, [query]);
+
+  useEffect(() => {
+    if (!query.trim()) {
+      setResults([]);
+      setTotalCount(0);
+      return;
+    }
+
+    let cancelled = false;
+
+    const runSearch = async () => {
+      try {
+        setLoading(true);
+        setError('');
+        const { data, count } = await search(query, { page: currentPage, pageSize: SEARCH_PAGE_SIZE });
+        if (cancelled) return;
+        setResults(data);
+        setTotalCount(count);
+      } catch (error) {
+        if (!cancelled) setError('Search failed. Please try again.');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    runSearch();
+    return () => {
+      cancelled = true;
+    };
+  }, [query, currentPage, search]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const trimmed = input.trim();
+    setSearchParams(trimmed ? { q: trimmed } : {});
+  };
+
+  const handlePageChange = (page) => {
+    setSearchParams(page > 1 ? { q: query, page: String(page) } : { q: query });
+    window.scrollTo(0, 0);
+  };
+
+  return (
+    <div className="p-6">
+      <div className="max-w-5xl mx-auto">
+        <h1 className="text-2xl font-bold text-gray-900 dark:text-white mb-6">
+          Search
+        </h1>
+
+        <form onSubmit={handleSubmit} className="mb-4">
+          <div className="relative">
+            <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-5 w-5 text-gray-400" />
+            <input
+              type="search"
+              value={input}
+              onChange={(e) => setInput(e.target.value)}
+              placeholder="Search subjects, descriptions, comments, documents and organizations..."
+              className="w-full pl-10 pr-4 py-3 rounded-lg border border-gray-200 dark:border-gray-700
+                       bg-white dark:bg-gray-800 text-gray-900 dark:text-white
+                       focus:outline-none focus:ring-2 focus:ring-black dark:focus:ring-white"
+              autoFocus
+            />
+          </div>
+        </form>
+
+        <div className="flex flex-wrap gap-x-6 gap-y-1 mb-6 text-xs text-gray-500 dark:text-gray-400">
+          {SEARCH_QUALIFIER_HINTS.map(hint => (
+            <span key={hint.example} title={hint.description}>
+              <code className="px-1 py-0.5 rounded bg-gray-100 dark:bg-gray-800 text-gray-700 dark:text-gray-300">
+                {hint.example}
+              </code>
+              {' '}{hint.description}
+            </span>
+          ))}
+        </div>
+
+        {error && (
+          <div className="mb-6 p-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg
+                        flex items-center text-red-700 dark:text-red-300">
+            <AlertCircle className="w-5 h-5 mr-2" />
+            {error}
+          </div>
+        )}
+
+        {loading ? (
+          <div className="flex justify-center items-center h-64">
+            <Loader2 className="w-8 h-8 animate-spin text-gray-400" />
+          </div>
+        ) : !query.trim() ? (
+          <p className="text-center text-gray-500 dark:text-gray-400 py-12">
+            Type a word or phrase to search all requests you have access to.
+          </p>
+        ) : results.length === 0 ? (
+          <p className="text-center text-gray-500 dark:text-gray-400 py-12">
+            No requests match "{query}".
+          </p>
+        ) : (
+          <>
+            <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+              {totalCount} {totalCount === 1 ? 'request' : 'requests'} found
+            </p>
+
+            <div className="space-y-3">
+              {results.map(result => (
+                <Link
+                  key={result.id}
+                  to={`/requests/${result.id}`}
+                  className="block p-4 bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200
+                           dark:border-gray-700 hover:border-gray-400 dark:hover:border-gray-500 transition-colors"
+                >
+                  <div className="flex items-start justify-between gap-4">
+                    <div className="min-w-0">
+                      <p className="text-xs font-medium text-gray-500 dark:text-gray-400">
+                        {result.reference_number}
+                      </p>
+                      <h2 className="text-base font-semibold text-gray-900 dark:text-white truncate">
+                        {result.subject}
+                      </h2>
+                    </div>
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-medium whitespace-nowrap ${getStatusBadgeClasses(result.status)}`}>
+                      {getStatusLabel(result.status)}
+                    </span>
+                  </div>
+
+                  {result.matched_in && (
+                    <div className="mt-2 flex items-start gap-2">
+                      <span className="px-2 py-0.5 rounded text-xs font-medium bg-gray-100 dark:bg-gray-700
+                                     text-gray-700 dark:text-gray-300 whitespace-nowrap">
+                        {SEARCH_MATCH_LABELS[result.matched_in]}
+                      </span>
+                      <SearchSnippet snippet={result.snippet} />
+                    </div>
+                  )}
+
+                  <div className="mt-3 flex flex-wrap gap-4 text-xs text-gray-500 dark:text-gray-400">
+                    <span className="flex items-center">
+                      <Building className="w-3 h-3 mr-1" />
+                      {result.sender_name}
+                    </span>
+                    <span className="flex items-center">
+                      <Calendar className="w-3 h-3 mr-1" />
+                      {format(new Date(result.date_received), 'MMM d, yyyy')}
+                    </span>
+                  </div>
+                </Link>
+              ))}
+            </div>
+
+            <Pagination
+              currentPage={currentPage}
+              totalPages={Math.ceil(totalCount / SEARCH_PAGE_SIZE)}
+              pageSize={SEARCH_PAGE_SIZE}
+              totalItems={totalCount}
+              onChange={handlePageChange}
+              className="mt-6"
+            />
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SearchResults;
@@ -0,0 +1,352 @@
+import { useState, useEffect } from 'react';
+import {
+  Plus,
+  Trash,
+  Loader2,
+  AlertCircle,
+  CheckCircle,
+  ArrowUp,
+  ArrowDown
+} from 'lucide-react';
+import { fetchAllOrganizations } from '../../services/organizationService';
+import {
+  fetchAssignmentRules,
+  saveAssignmentRule,
+  deleteAssignmentRule,
+  fetchProcessors
+} from '../../services/assignmentService';
+import useAssignment from '../../hooks/useAssignment';
+import { ASSIGNMENT_STRATEGIES, ASSIGNMENT_STRATEGY_LABELS } from '../../config/assignment';
+import { REQUEST_PRIORITY_LABELS } from '../../config/constants';
+
+const inputClasses = `w-full px-3 py-2 rounded-lg border border-gray-200 dark:border-gray-700
+  bg-white dark:bg-gray-900 text-gray-900 dark:text-white text-sm
+  focus:outline-none focus:ring-2 focus:ring-black dark:focus:ring-white`;
+
+const PRIORITIES = ['urgent', 'high', 'normal', 'low'];
+
+const EMPTY_RULE = {
+  name: '',
+  organization_id: '',
+  priority: '',
+  strategy: ASSIGNMENT_STRATEGIES.ROUND_ROBIN,
+  assignee_ids: []
+};
+
+const AssignmentSettings = () => {
+  const { processorRoles } = useAssignment();
+  const [rules, setRules] = useState([]);
+  const [organizations, setOrganizations] = useState([]);
+  const [processors, setProcessors] = useState([]);
+  const [newRule, setNewRule] = useState(EMPTY_RULE);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    loadData();
+  }, [processorRoles]);
+
+  const loadData = async () => {
+    try {
+      setLoading(true);
+      const [ruleData, orgData, processorData] = await Promise.all([
+        fetchAssignmentRules(),
+        fetchAllOrganizations(),
+        fetchProcessors(processorRoles)
+      ]);
+
+      setRules(ruleData);
+      setOrganizations(orgData);
+      setProcessors(processorData);
+    } catch (error) {
+      setError('Failed to load assignment rules. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const applyChange = async (change, successText) => {
+    try {
+      setSaving(true);
+      setError('');
+      setMessage('');
+      await change();
+      await loadData();
+      setMessage(successText);
+    } catch (error) {
+      setError(error.message || 'Failed to save assignment rules');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleAssignee = (id) => {
+    setNewRule(prev => ({
+      ...prev,
+      assignee_ids: prev.assignee_ids.includes(id)
+        ? prev.assignee_ids.filter(assigneeId => assigneeId !== id)
+        : [...prev.assignee_ids, id]
+    }));
+  };
+
+  const handleAddRule = () => {
+    if (!newRule.name.trim()) {
+      setError('Give the rule a name.');
+      return;
+    }
+
+    const position = rules.reduce((max, rule) => Math.max(max, rule.position), 0) + 1;
+
+    applyChange(async () => {
+      await saveAssignmentRule({ ...newRule, name: newRule.name.trim(), position });
+      setNewRule(EMPTY_RULE);
+    }, 'Assignment rule added.');
+  };
+
+  const handleToggleRule = (rule) => {
+    applyChange(
+      () => saveAssignmentRule({ ...rule, is_active: !rule.is_active }),
+      rule.is_active ? 'Assignment rule paused.' : 'Assignment rule turned on.'
+    );
+  };
+
+  // Swap a rule with its neighbour so it is tried earlier or later
+  const handleMoveRule = (index, direction) => {
+    const other = rules[index + direction];
+    const rule = rules[index];
+    if (!other) return;
+
+    applyChange(async () => {
+      await saveAssignmentRule({ ...rule, position: other.position });
+      await saveAssignmentRule({ ...other, position: rule.position });
+    }, 'Rule order saved.');
+  };
+
+  const handleDeleteRule = (rule) => {
+    if (!window.confirm(`Delete the assignment rule "${rule.name}"?`)) return;
+    applyChange(() => deleteAssignmentRule(rule.id), 'Assignment rule deleted.');
+  };
+
+  const describePool = (rule) => {
+    if (!rule.assignee_ids?.length) return 'All processors';
+    return rule.assignee_ids
+      .map(id => {
+        const processor = processors.find(p => p.id === id);
+        return processor ? processor.full_name || processor.username : 'Inactive user';
+      })
+      .join(', ');
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <Loader2 className="w-8 h-8 animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6">
+      <div className="max-w-6xl mx-auto">
+        <div className="mb-6">
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white">
+            Assignment Rules
+          </h1>
+          <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+            New requests are assigned by the first active rule that matches their organization and priority.
+            Requests no rule matches stay unassigned until someone assigns or claims them.
+          </p>
+        </div>
+
+        {error && (
+          <div className="mb-6 p-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg
+                        flex items-center text-red-700 dark:text-red-300">
+            <AlertCircle className="w-5 h-5 mr-2" />
+            {error}
+          </div>
+        )}
+
+        {message && (
+          <div className="mb-6 p-4 bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800 rounded-lg
+                        flex items-center text-green-700 dark:text-green-300">
+            <CheckCircle className="w-5 h-5 mr-2" />
+            {message}
+          </div>
+        )}
+
+        {/* New rule */}
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 p-6 mb-6">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">New Rule</h2>
+          <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+            Round robin takes turns; least loaded picks whoever has the fewest open requests.
+            Leave the pool empty to use every processor.
+          </p>
+
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4">
+            <input
+              type="text"
+              placeholder="Rule name"
+              value={newRule.name}
+              onChange={(e) => setNewRule(prev => ({ ...prev, name: e.target.value }))}
+              className={inputClasses}
+            />
+            <select
+              value={newRule.organization_id}
+              onChange={(e) => setNewRule(prev => ({ ...prev, organization_id: e.target.value }))}
+              className={inputClasses}
+            >
+              <option value="">Any organization</option>
+              {organizations.map(org => (
+                <option key={org.id} value={org.id}>{org.name}</option>
+              ))}
+            </select>
+            <select
+              value={newRule.priority}
+              onChange={(e) => setNewRule(prev => ({ ...prev, priority: e.target.value }))}
+              className={inputClasses}
+            >
+              <option value="">Any priority</option>
+              {PRIORITIES.map(priority => (
+                <option key={priority} value={priority}>{REQUEST_PRIORITY_LABELS[priority]}</option>
+              ))}
+            </select>
+            <select
+              value={newRule.strategy}
+              onChange={(e) => setNewRule(prev => ({ ...prev, strategy: e.target.value }))}
+              className={inputClasses}
+            >
+              {Object.values(ASSIGNMENT_STRATEGIES).map(strategy => (
+                <option key={strategy} value={strategy}>{ASSIGNMENT_STRATEGY_LABELS[strategy]}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="mb-4">
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              Pool
+            </label>
+            {processors.length === 0 ? (
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                No active users can process requests.
+              </p>
+            ) : (
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+                {processors.map(processor => (
+                  <label key={processor.id} className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={newRule.assignee_ids.includes(processor.id)}
+                      onChange={() => toggleAssignee(processor.id)}
+                      className="h-4 w-4 text-black dark:text-white border-gray-300 dark:border-gray-700
+                               rounded focus:ring-black dark:focus:ring-white"
+                    />
+                    <span className="text-sm text-gray-900 dark:text-white">
+                      {processor.full_name || processor.username}
+                    </span>
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="flex justify-end">
+            <button
+              onClick={handleAddRule}
+              disabled={saving}
+              className="flex items-center justify-center px-4 py-2 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-lg
+                      hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors disabled:opacity-50"
+            >
+              {saving ? (
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+              ) : (
+                <Plus className="w-4 h-4 mr-2" />
+              )}
+              Add Rule
+            </button>
+          </div>
+        </div>
+
+        {/* Existing rules */}
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">Rules</h2>
+
+          {rules.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-4">
+              No rules yet. New requests stay unassigned.
+            </p>
+          ) : (
+            <table className="min-w-full text-sm divide-y divide-gray-200 dark:divide-gray-700">
+              <thead>
+                <tr className="text-left text-gray-500 dark:text-gray-400">
+                  <th className="py-2 font-medium">Order</th>
+                  <th className="py-2 font-medium">Name</th>
+                  <th className="py-2 font-medium">Organization</th>
+                  <th className="py-2 font-medium">Priority</th>
+                  <th className="py-2 font-medium">Strategy</th>
+                  <th className="py-2 font-medium">Pool</th>
+                  <th className="py-2 font-medium">Active</th>
+                  <th className="py-2 font-medium"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                {rules.map((rule, index) => (
+                  <tr key={rule.id} className={`text-gray-900 dark:text-white ${rule.is_active ? '' : 'opacity-50'}`}>
+                    <td className="py-2">
+                      <div className="flex items-center">
+                        <button
+                          onClick={() => handleMoveRule(index, -1)}
+                          disabled={saving || index === 0}
+                          className="p-1 text-gray-400 hover:text-gray-700 dark:hover:text-gray-200 disabled:opacity-30"
+                          title="Try earlier"
+                        >
+                          <ArrowUp className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => handleMoveRule(index, 1)}
+                          disabled={saving || index === rules.length - 1}
+                          className="p-1 text-gray-400 hover:text-gray-700 dark:hover:text-gray-200 disabled:opacity-30"
+                          title="Try later"
+                        >
+                          <ArrowDown className="w-4 h-4" />
+                        </button>
+                      </div>
+                    </td>
+                    <td className="py-2">{rule.name}</td>
+                    <td className="py-2">{rule.organization_id ? rule.v4_organizations?.name || 'Unknown' : 'Any'}</td>
+                    <td className="py-2">{rule.priority ? REQUEST_PRIORITY_LABELS[rule.priority] : 'Any'}</td>
+                    <td className="py-2">{ASSIGNMENT_STRATEGY_LABELS[rule.strategy]}</td>
+                    <td className="py-2 max-w-xs truncate" title={describePool(rule)}>{describePool(rule)}</td>
+                    <td className="py-2">
+                      <input
+                        type="checkbox"
+                        checked={rule.is_active}
+                        onChange={() => handleToggleRule(rule)}
+                        disabled={saving}
+                        className="h-4 w-4 text-black dark:text-white border-gray-300 dark:border-gray-700
+                                 rounded focus:ring-black dark:focus:ring-white"
+                      />
+                    </td>
+                    <td className="py-2 text-right">
+                      <button
+                        onClick={() => handleDeleteRule(rule)}
+                        disabled={saving}
+                        className="p-2 text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                        title="Delete rule"
+                      >
+                        <Trash className="w-4 h-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AssignmentSettings;
@@ -0,0 +1,367 @@
+import { Fragment, useState, useEffect } from 'react';
+import { format, parseISO } from 'date-fns';
+import * as XLSX from 'xlsx';
+import {
+  Loader2,
+  AlertCircle,
+  ChevronDown,
+  ChevronRight,
+  FileSpreadsheet,
+  FileText,
+  X
+} from 'lucide-react';
+import { supabase } from '../../config/supabase';
+import { fetchAuditLogs } from '../../services/auditService';
+import { AUDIT_ACTIONS, AUDIT_ENTITY_TYPE_LABELS } from '../../config/audit';
+import Pagination from '../../components/common/Pagination';
+
+const inputClasses = `w-full px-3 py-2 rounded-lg border border-gray-200 dark:border-gray-700
+  bg-white dark:bg-gray-900 text-gray-900 dark:text-white text-sm
+  focus:outline-none focus:ring-2 focus:ring-black dark:focus:ring-white`;
+
+const PAGE_SIZE = 25;
+
+const EMPTY_FILTERS = {
+  entityType: 'all',
+  action: 'all',
+  actorId: 'all',
+  entityId: '',
+  dateRange: { start: '', end: '' }
+};
+
+// Show a stored value in the diff table and exports
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// One line per changed field, e.g. "status: pending → completed"
+const summarizeChanges = (changes) =>
+  Object.entries(changes || {})
+    .map(([field, { from, to }]) => `${field}: ${formatValue(from)} → ${formatValue(to)}`)
+    .join('\n');
+
+const AuditTrail = () => {
+  const [logs, setLogs] = useState([]);
+  const [totalCount, setTotalCount] = useState(0);
+  const [actors, setActors] = useState([]);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [expandedId, setExpandedId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchActors = async () => {
+      const { data } = await supabase
+        .from('users')
+        .select('id, full_name, username')
+        .order('full_name');
+      setActors(data || []);
+    };
+
+    fetchActors();
+  }, []);
+
+  useEffect(() => {
+    loadLogs();
+  }, [filters, currentPage]);
+
+  const loadLogs = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const { data, count } = await fetchAuditLogs({
+        ...filters,
+        page: currentPage,
+        pageSize: PAGE_SIZE
+      });
+      setLogs(data);
+      setTotalCount(count);
+    } catch (error) {
+      setError('Failed to load the audit trail. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateFilter = (name, value) => {
+    setFilters(prev => ({ ...prev, [name]: value }));
+    setCurrentPage(1);
+  };
+
+  const updateDateRange = (name, value) => {
+    setFilters(prev => ({ ...prev, dateRange: { ...prev.dateRange, [name]: value } }));
+    setCurrentPage(1);
+  };
+
+  const clearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setCurrentPage(1);
+  };
+
+  // Export every entry matching the filters, not just the current page
+  const exportLogs = async (fileType) => {
+    try {
+      setExporting(true);
+      const { data } = await fetchAuditLogs(filters);
+
+      const exportData = data.map(log => ({
+        'Date': format(parseISO(log.created_at), 'yyyy-MM-dd HH:mm:ss'),
+        'Actor': log.actor_name,
+        'Action': log.action,
+        'Entity Type': AUDIT_ENTITY_TYPE_LABELS[log.entity_type] || log.entity_type,
+        'Entity ID': log.entity_id || '',
+        'Changes': summarizeChanges(log.changes),
+        'Details': log.metadata ? JSON.stringify(log.metadata) : '',
+        'IP Address': log.ip_address || '',
+        'User Agent': log.user_agent || ''
+      }));
+
+      const wb = XLSX.utils.book_new();
+      const ws = XLSX.utils.json_to_sheet(exportData);
+      XLSX.utils.book_append_sheet(wb, ws, 'Audit Trail');
+      XLSX.writeFile(
+        wb,
+        `audit_trail_${new Date().toISOString().split('T')[0]}.${fileType}`,
+        { bookType: fileType }
+      );
+    } catch (error) {
+      console.error('Error exporting audit trail:', error);
+      setError('Failed to export the audit trail. Please try again.');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const totalPages = Math.ceil(totalCount / PAGE_SIZE);
+
+  return (
+    <div className="p-6">
+      <div className="max-w-7xl mx-auto">
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-6 gap-4">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 dark:text-white">
+              Audit Trail
+            </h1>
+            <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+              Every change to requests, files, organizations and users. Entries cannot be edited or removed.
+            </p>
+          </div>
+          <div className="flex gap-2">
+            <button
+              onClick={() => exportLogs('xlsx')}
+              disabled={exporting}
+              className="flex items-center px-4 py-2 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-lg
+                      hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors disabled:opacity-50"
+            >
+              <FileSpreadsheet className="w-4 h-4 mr-2" />
+              Excel
+            </button>
+            <button
+              onClick={() => exportLogs('csv')}
+              disabled={exporting}
+              className="flex items-center px-4 py-2 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-lg
+                      hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors disabled:opacity-50"
+            >
+              {exporting ? (
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+              ) : (
+                <FileText className="w-4 h-4 mr-2" />
+              )}
+              CSV
+            </button>
+          </div>
+        </div>
+
+        {error && (
+          <div className="mb-6 p-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg
+                        flex items-center text-red-700 dark:text-red-300">
+            <AlertCircle className="w-5 h-5 mr-2" />
+            {error}
+          </div>
+        )}
+
+        {/* Filters */}
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 p-4 mb-6">
+          <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-6 gap-4">
+            <select
+              value={filters.entityType}
+              onChange={(e) => updateFilter('entityType', e.target.value)}
+              className={inputClasses}
+            >
+              <option value="all">All Records</option>
+              {Object.entries(AUDIT_ENTITY_TYPE_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <select
+              value={filters.action}
+              onChange={(e) => updateFilter('action', e.target.value)}
+              className={inputClasses}
+            >
+              <option value="all">All Actions</option>
+              {Object.values(AUDIT_ACTIONS)
+                .filter(action => filters.entityType === 'all' || action.startsWith(`${filters.entityType}.`))
+                .map(action => (
+                  <option key={action} value={action}>{action}</option>
+                ))}
+            </select>
+            <select
+              value={filters.actorId}
+              onChange={(e) => updateFilter('actorId', e.target.value)}
+              className={inputClasses}
+            >
+              <option value="all">All Users</option>
+              {actors.map(actor => (
+                <option key={actor.id} value={actor.id}>{actor.full_name || actor.username}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              placeholder="Record ID"
+              value={filters.entityId}
+              onChange={(e) => updateFilter('entityId', e.target.value.trim())}
+              className={inputClasses}
+            />
+            <input
+              type="date"
+              value={filters.dateRange.start}
+              onChange={(e) => updateDateRange('start', e.target.value)}
+              className={inputClasses}
+            />
+            <div className="flex gap-2">
+              <input
+                type="date"
+                value={filters.dateRange.end}
+                onChange={(e) => updateDateRange('end', e.target.value)}
+                className={inputClasses}
+              />
+              <button
+                onClick={clearFilters}
+                className="p-2 text-gray-400 hover:text-gray-600 dark:hover:text-gray-200"
+                title="Clear filters"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {/* Entries */}
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 overflow-hidden">
+          {loading ? (
+            <div className="flex justify-center items-center h-64">
+              <Loader2 className="w-8 h-8 animate-spin text-gray-400" />
+            </div>
+          ) : logs.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-12">
+              No audit entries match the selected filters.
+            </p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm divide-y divide-gray-200 dark:divide-gray-700">
+                <thead className="bg-gray-50 dark:bg-gray-900/50">
+                  <tr className="text-left text-gray-500 dark:text-gray-400">
+                    <th className="px-4 py-3 font-medium w-8"></th>
+                    <th className="px-4 py-3 font-medium">Date</th>
+                    <th className="px-4 py-3 font-medium">User</th>
+                    <th className="px-4 py-3 font-medium">Action</th>
+                    <th className="px-4 py-3 font-medium">Record</th>
+                    <th className="px-4 py-3 font-medium">IP Address</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                  {logs.map(log => {
+                    const isExpanded = expandedId === log.id;
+                    const changes = Object.entries(log.changes || {});
+
+                    return (
+                      <Fragment key={log.id}>
+                        <tr
+                          onClick={() => setExpandedId(isExpanded ? null : log.id)}
+                          className="text-gray-900 dark:text-white cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700/50"
+                        >
+                          <td className="px-4 py-3 text-gray-400">
+                            {isExpanded ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+                          </td>
+                          <td className="px-4 py-3 whitespace-nowrap">
+                            {format(parseISO(log.created_at), 'MMM d, yyyy HH:mm:ss')}
+                          </td>
+                          <td className="px-4 py-3">{log.actor_name}</td>
+                          <td className="px-4 py-3 font-mono text-xs">{log.action}</td>
+                          <td className="px-4 py-3">
+                            <span className="text-gray-500 dark:text-gray-400">
+                              {AUDIT_ENTITY_TYPE_LABELS[log.entity_type] || log.entity_type}
+                            </span>
+                            {log.entity_id && (
+                              <span className="ml-2 font-mono text-xs">{log.entity_id}</span>
+                            )}
+                          </td>
+                          <td className="px-4 py-3 text-gray-500 dark:text-gray-400">{log.ip_address || '—'}</td>
+                        </tr>
+                        {isExpanded && (
+                          <tr className="bg-gray-50 dark:bg-gray-900/50">
+                            <td></td>
+                            <td colSpan={5} className="px-4 py-4">
+                              {changes.length > 0 ? (
+                                <table className="min-w-full text-xs mb-3">
+                                  <thead>
+                                    <tr className="text-left text-gray-500 dark:text-gray-400">
+                                      <th className="py-1 pr-4 font-medium">Field</th>
+                                      <th className="py-1 pr-4 font-medium">Before</th>
+                                      <th className="py-1 font-medium">After</th>
+                                    </tr>
+                                  </thead>
+                                  <tbody>
+                                    {changes.map(([field, { from, to }]) => (
+                                      <tr key={field} className="align-top">
+                                        <td className="py-1 pr-4 font-mono text-gray-700 dark:text-gray-300">{field}</td>
+                                        <td className="py-1 pr-4 text-red-600 dark:text-red-400 break-all">{formatValue(from)}</td>
+                                        <td className="py-1 text-green-600 dark:text-green-400 break-all">{formatValue(to)}</td>
+                                      </tr>
+                                    ))}
+                                  </tbody>
+                                </table>
+                              ) : (
+                                <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">No field changes recorded.</p>
+                              )}
+                              {log.metadata && Object.keys(log.metadata).length > 0 && (
+                                <p className="text-xs text-gray-500 dark:text-gray-400 break-all">
+                                  Details: <span className="font-mono">{JSON.stringify(log.metadata)}</span>
+                                </p>
+                              )}
+                              {log.user_agent && (
+                                <p className="text-xs text-gray-500 dark:text-gray-400 mt-1 break-all">
+                                  Browser: {log.user_agent}
+                                </p>
+                              )}
+                            </td>
+                          </tr>
+                        )}
+                      </Fragment>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <div className="px-4 py-3 border-t border-gray-200 dark:border-gray-700">
+            <Pagination
+              currentPage={currentPage}
+              totalPages={totalPages}
+              pageSize={PAGE_SIZE}
+              totalItems={totalCount}
+              onChange={setCurrentPage}
+            />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AuditTrail;
@@ -0,0 +1,623 @@
+import { useState, useEffect } from 'react';
+import { format } from 'date-fns';
+import { Save, Loader2, AlertCircle, CheckCircle, Search, Upload, ShieldCheck } from 'lucide-react';
+import {
+  fetchWatermarkSettings,
+  saveWatermarkSettings,
+  readWatermarkId,
+  traceWatermark
+} from '../../services/watermarkService';
+import { fetchSigningCertificate, saveSigningCertificate } from '../../services/signatureService';
+import { fetchUploadLimits, saveUploadLimits } from '../../services/uploadService';
+import { checkStorageIntegrity } from '../../services/fileService';
+import { WATERMARK_PLACEHOLDERS, WATERMARK_STAMP_ON_LABELS } from '../../config/watermark';
+import { UPLOAD_CATEGORIES } from '../../config/upload';
+import { formatFileSize } from '../../utils/fileUtils';
+
+const inputClasses = `w-full px-3 py-2 rounded-lg border border-gray-200 dark:border-gray-700
+  bg-white dark:bg-gray-900 text-gray-900 dark:text-white text-sm
+  focus:outline-none focus:ring-2 focus:ring-black dark:focus:ring-white`;
+
+const DocumentSettings = () => {
+  const [watermark, setWatermark] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [traceId, setTraceId] = useState('');
+  const [tracing, setTracing] = useState(false);
+  const [traceResult, setTraceResult] = useState(null);
+  const [traceError, setTraceError] = useState('');
+  const [certificate, setCertificate] = useState(null);
+  const [certificateForm, setCertificateForm] = useState({ file: null, passphrase: '', signerName: '' });
+  const [savingCertificate, setSavingCertificate] = useState(false);
+  const [uploadLimits, setUploadLimits] = useState(null);
+  const [savingLimits, setSavingLimits] = useState(false);
+  const [checking, setChecking] = useState(false);
+  const [checkedCount, setCheckedCount] = useState(0);
+  const [integrityReport, setIntegrityReport] = useState(null);
+  const [integrityError, setIntegrityError] = useState('');
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  const loadData = async () => {
+    try {
+      setLoading(true);
+      const [watermarkData, certificateData, limitData] = await Promise.all([
+        fetchWatermarkSettings(),
+        fetchSigningCertificate(),
+        fetchUploadLimits()
+      ]);
+      setWatermark(watermarkData);
+      setCertificate(certificateData);
+      setUploadLimits(limitData);
+    } catch (error) {
+      setError('Failed to load document settings. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateWatermark = (field, value) => {
+    setWatermark(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSaveWatermark = async () => {
+    const opacity = Number(watermark.opacity);
+    const fontSize = Number(watermark.font_size);
+
+    if (!watermark.template.trim()) {
+      setError('The watermark text cannot be empty.');
+      return;
+    }
+
+    if (!(opacity > 0 && opacity <= 1) || !(fontSize >= 8 && fontSize <= 96)) {
+      setError('Opacity must be between 0.01 and 1 and the font size between 8 and 96.');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      setError('');
+      setMessage('');
+      await saveWatermarkSettings(watermark);
+      await loadData();
+      setMessage('Watermark settings saved.');
+    } catch (error) {
+      setError(error.message || 'Failed to save watermark settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSaveLimits = async () => {
+    if (Object.keys(UPLOAD_CATEGORIES).some(category => !(Number(uploadLimits[category]) > 0))) {
+      setError('Upload limits must be at least 1 MB.');
+      return;
+    }
+
+    try {
+      setSavingLimits(true);
+      setError('');
+      setMessage('');
+      await saveUploadLimits(uploadLimits);
+      setMessage('Upload limits saved.');
+    } catch (error) {
+      setError(error.message || 'Failed to save upload limits');
+    } finally {
+      setSavingLimits(false);
+    }
+  };
+
+  const handleSaveCertificate = async (e) => {
+    e.preventDefault();
+    if (!certificateForm.file) return;
+
+    try {
+      setSavingCertificate(true);
+      setError('');
+      setMessage('');
+      setCertificate(await saveSigningCertificate(certificateForm));
+      setCertificateForm({ file: null, passphrase: '', signerName: '' });
+      setMessage('Signing certificate saved. New response PDFs are signed with it.');
+    } catch (error) {
+      setError(error.message || 'Failed to save the signing certificate');
+    } finally {
+      setSavingCertificate(false);
+    }
+  };
+
+  const handleIntegrityCheck = async () => {
+    try {
+      setChecking(true);
+      setCheckedCount(0);
+      setIntegrityError('');
+      setIntegrityReport(null);
+      setIntegrityReport(await checkStorageIntegrity(setCheckedCount));
+    } catch (error) {
+      setIntegrityError(error.message || 'The integrity check failed. Please try again.');
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const runTrace = async (identifier) => {
+    try {
+      setTracing(true);
+      setTraceError('');
+      setTraceResult(null);
+
+      const record = await traceWatermark(identifier);
+      if (record) {
+        setTraceResult(record);
+      } else {
+        setTraceError('No copy with this identifier was handed out.');
+      }
+    } catch (error) {
+      setTraceError('Failed to look up the identifier. Please check it and try again.');
+    } finally {
+      setTracing(false);
+    }
+  };
+
+  const handleTraceFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const identifier = await readWatermarkId(file);
+      if (!identifier) {
+        setTraceResult(null);
+        setTraceError('This PDF carries no watermark identifier. Enter it by hand if you found it in the text.');
+        return;
+      }
+      setTraceId(identifier);
+      await runTrace(identifier);
+    } catch (error) {
+      setTraceResult(null);
+      setTraceError('This file could not be read as a PDF.');
+    }
+  };
+
+  const handleTraceSubmit = (e) => {
+    e.preventDefault();
+    if (traceId.trim()) runTrace(traceId.trim());
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <Loader2 className="w-8 h-8 animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6">
+      <div className="max-w-6xl mx-auto">
+        <div className="mb-6">
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white">
+            Documents
+          </h1>
+          <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+            How documents are uploaded, and how responses are protected when they are handed out.
+          </p>
+        </div>
+
+        {error && (
+          <div className="mb-6 p-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg
+                        flex items-center text-red-700 dark:text-red-300">
+            <AlertCircle className="w-5 h-5 mr-2" />
+            {error}
+          </div>
+        )}
+
+        {message && (
+          <div className="mb-6 p-4 bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800 rounded-lg
+                        flex items-center text-green-700 dark:text-green-300">
+            <CheckCircle className="w-5 h-5 mr-2" />
+            {message}
+          </div>
+        )}
+
+        {uploadLimits && (
+          <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 p-6 mb-6">
+            <div className="flex justify-between items-center mb-4">
+              <div>
+                <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Upload Limits</h2>
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  Largest file that can be uploaded, per type. The storage bucket's own limit must be at least as large.
+                </p>
+              </div>
+              <button
+                onClick={handleSaveLimits}
+                disabled={savingLimits}
+                className="flex items-center px-4 py-2 bg-black text-white dark:bg-white dark:text-black
+                         rounded-lg transition-colors hover:bg-gray-800 dark:hover:bg-gray-200 disabled:opacity-50"
+              >
+                {savingLimits ? (
+                  <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                ) : (
+                  <Save className="w-4 h-4 mr-2" />
+                )}
+                Save
+              </button>
+            </div>
+
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              {Object.entries(UPLOAD_CATEGORIES).map(([category, { label }]) => (
+                <div key={category}>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    {label} (MB)
+                  </label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={uploadLimits[category]}
+                    onChange={(e) => setUploadLimits(prev => ({ ...prev, [category]: e.target.value }))}
+                    className={inputClasses}
+                  />
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {watermark && (
+          <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 p-6 mb-6">
+            <div className="flex justify-between items-center mb-4">
+              <div>
+                <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Watermark</h2>
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  Response PDFs are stamped with diagonal text and a hidden identifier of the copy.
+                </p>
+              </div>
+              <button
+                onClick={handleSaveWatermark}
+                disabled={saving}
+                className="flex items-center px-4 py-2 bg-black text-white dark:bg-white dark:text-black
+                         rounded-lg transition-colors hover:bg-gray-800 dark:hover:bg-gray-200 disabled:opacity-50"
+              >
+                {saving ? (
+                  <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                ) : (
+                  <Save className="w-4 h-4 mr-2" />
+                )}
+                Save
+              </button>
+            </div>
+
+            <div className="space-y-4">
+              <label className="flex items-center gap-3">
+                <input
+                  type="checkbox"
+                  checked={Boolean(watermark.enabled)}
+                  onChange={(e) => updateWatermark('enabled', e.target.checked)}
+                  className="h-4 w-4 text-black dark:text-white border-gray-300 dark:border-gray-700
+                           rounded focus:ring-black dark:focus:ring-white"
+                />
+                <span className="text-sm text-gray-900 dark:text-white">
+                  Watermark response PDFs
+                </span>
+              </label>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  Stamp
+                </label>
+                <select
+                  value={watermark.stamp_on}
+                  onChange={(e) => updateWatermark('stamp_on', e.target.value)}
+                  disabled={!watermark.enabled}
+                  className={inputClasses}
+                >
+                  {Object.entries(WATERMARK_STAMP_ON_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  Text
+                </label>
+                <input
+                  type="text"
+                  value={watermark.template}
+                  onChange={(e) => updateWatermark('template', e.target.value)}
+                  disabled={!watermark.enabled}
+                  className={inputClasses}
+                />
+                <div className="flex flex-wrap gap-x-4 gap-y-1 mt-2 text-xs text-gray-500 dark:text-gray-400">
+                  {WATERMARK_PLACEHOLDERS.map(placeholder => (
+                    <span key={placeholder.key}>
+                      <code className="px-1 py-0.5 rounded bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300">
+                        {placeholder.key}
+                      </code>
+                      {' '}{placeholder.description}
+                    </span>
+                  ))}
+                </div>
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    Opacity (0.01 - 1)
+                  </label>
+                  <input
+                    type="number"
+                    min="0.01"
+                    max="1"
+                    step="0.05"
+                    value={watermark.opacity}
+                    onChange={(e) => updateWatermark('opacity', e.target.value)}
+                    disabled={!watermark.enabled}
+                    className={inputClasses}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    Font size
+                  </label>
+                  <input
+                    type="number"
+                    min="8"
+                    max="96"
+                    value={watermark.font_size}
+                    onChange={(e) => updateWatermark('font_size', e.target.value)}
+                    disabled={!watermark.enabled}
+                    className={inputClasses}
+                  />
+                </div>
+              </div>
+            </div>
+          </div>
+        )}
+
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 p-6 mb-6">
+          <div className="mb-4">
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Signing Certificate</h2>
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              Response PDFs without an open password are signed with this certificate. Recipients can check them at{' '}
+              <span className="font-mono">{window.location.origin}/verify</span>.
+            </p>
+          </div>
+
+          {certificate ? (
+            <dl className="mb-4 grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-2 text-sm">
+              <div>
+                <dt className="text-gray-500 dark:text-gray-400">Signer</dt>
+                <dd className="text-gray-900 dark:text-white">{certificate.signer_name}</dd>
+              </div>
+              <div>
+                <dt className="text-gray-500 dark:text-gray-400">Valid</dt>
+                <dd className={new Date(certificate.valid_to) < new Date()
+                  ? 'text-red-600 dark:text-red-400'
+                  : 'text-gray-900 dark:text-white'}>
+                  {format(new Date(certificate.valid_from), 'MMM d, yyyy')} – {format(new Date(certificate.valid_to), 'MMM d, yyyy')}
+                </dd>
+              </div>
+              <div>
+                <dt className="text-gray-500 dark:text-gray-400">Subject</dt>
+                <dd className="text-gray-900 dark:text-white break-words">{certificate.subject}</dd>
+              </div>
+              <div>
+                <dt className="text-gray-500 dark:text-gray-400">Issuer</dt>
+                <dd className="text-gray-900 dark:text-white break-words">{certificate.issuer}</dd>
+              </div>
+            </dl>
+          ) : (
+            <p className="mb-4 text-sm text-gray-500 dark:text-gray-400">
+              No certificate yet; response PDFs are not signed.
+            </p>
+          )}
+
+          <form onSubmit={handleSaveCertificate} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+            <label className="flex items-center justify-center px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600
+                            text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 cursor-pointer truncate">
+              {certificateForm.file ? certificateForm.file.name : 'Choose .p12 / .pfx'}
+              <input
+                type="file"
+                accept=".p12,.pfx,application/x-pkcs12"
+                className="hidden"
+                onChange={(e) => setCertificateForm(prev => ({ ...prev, file: e.target.files?.[0] || null }))}
+              />
+            </label>
+            <input
+              type="password"
+              value={certificateForm.passphrase}
+              onChange={(e) => setCertificateForm(prev => ({ ...prev, passphrase: e.target.value }))}
+              placeholder="Passphrase"
+              autoComplete="new-password"
+              className={inputClasses}
+            />
+            <input
+              type="text"
+              value={certificateForm.signerName}
+              onChange={(e) => setCertificateForm(prev => ({ ...prev, signerName: e.target.value }))}
+              placeholder="Signer name (defaults to the certificate)"
+              className={inputClasses}
+            />
+            <button
+              type="submit"
+              disabled={savingCertificate || !certificateForm.file}
+              className="flex items-center justify-center px-4 py-2 bg-black text-white dark:bg-white dark:text-black
+                       rounded-lg transition-colors hover:bg-gray-800 dark:hover:bg-gray-200 disabled:opacity-50"
+            >
+              {savingCertificate ? (
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+              ) : (
+                <Upload className="w-4 h-4 mr-2" />
+              )}
+              {certificate ? 'Replace' : 'Upload'}
+            </button>
+          </form>
+        </div>
+
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 p-6 mb-6">
+          <div className="mb-4">
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Trace a Leaked Copy</h2>
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              Choose the leaked PDF, or enter the identifier found in its text, to see who received it.
+            </p>
+          </div>
+
+          <div className="flex flex-col md:flex-row gap-4">
+            <label className="flex items-center justify-center px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600
+                            text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 cursor-pointer">
+              Choose PDF
+              <input type="file" accept="application/pdf" className="hidden" onChange={handleTraceFile} />
+            </label>
+
+            <form onSubmit={handleTraceSubmit} className="flex flex-1 gap-2">
+              <input
+                type="text"
+                value={traceId}
+                onChange={(e) => setTraceId(e.target.value)}
+                placeholder="Identifier, e.g. 3f2b8c1e-..."
+                className={inputClasses}
+              />
+              <button
+                type="submit"
+                disabled={tracing || !traceId.trim()}
+                className="flex items-center px-4 py-2 bg-black text-white dark:bg-white dark:text-black
+                         rounded-lg transition-colors hover:bg-gray-800 dark:hover:bg-gray-200 disabled:opacity-50"
+              >
+                {tracing ? <Loader2 className="w-4 h-4 animate-spin" /> : <Search className="w-4 h-4" />}
+              </button>
+            </form>
+          </div>
+
+          {traceError && (
+            <p className="mt-4 text-sm text-red-600 dark:text-red-400">{traceError}</p>
+          )}
+
+          {traceResult && (
+            <dl className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-2 text-sm">
+              <div>
+                <dt className="text-gray-500 dark:text-gray-400">Recipient organization</dt>
+                <dd className="text-gray-900 dark:text-white">{traceResult.organization?.name || '—'}</dd>
+              </div>
+              <div>
+                <dt className="text-gray-500 dark:text-gray-400">
+                  {traceResult.stamped_on === 'download' ? 'Downloaded by' : 'Uploaded by'}
+                </dt>
+                <dd className="text-gray-900 dark:text-white">
+                  {traceResult.user?.full_name || traceResult.user?.username || '—'}
+                </dd>
+              </div>
+              <div>
+                <dt className="text-gray-500 dark:text-gray-400">Request</dt>
+                <dd className="text-gray-900 dark:text-white">
+                  {traceResult.request
+                    ? `${traceResult.request.reference_number} — ${traceResult.request.subject}`
+                    : '—'}
+                </dd>
+              </div>
+              <div>
+                <dt className="text-gray-500 dark:text-gray-400">File</dt>
+                <dd className="text-gray-900 dark:text-white">{traceResult.file?.file_name || 'Deleted'}</dd>
+              </div>
+              <div>
+                <dt className="text-gray-500 dark:text-gray-400">Stamped</dt>
+                <dd className="text-gray-900 dark:text-white">
+                  {format(new Date(traceResult.created_at), 'MMM d, yyyy HH:mm')}
+                </dd>
+              </div>
+              <div>
+                <dt className="text-gray-500 dark:text-gray-400">Watermark text</dt>
+                <dd className="text-gray-900 dark:text-white break-words">{traceResult.watermark_text}</dd>
+              </div>
+            </dl>
+          )}
+        </div>
+
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+          <div className="flex justify-between items-center mb-4">
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Storage Integrity</h2>
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                Re-hashes every stored file and compares it with the checksum taken at upload, and lists stored
+                objects without a file record. Files uploaded before checksums were kept get theirs recorded.
+              </p>
+            </div>
+            <button
+              onClick={handleIntegrityCheck}
+              disabled={checking}
+              className="flex items-center flex-shrink-0 ml-4 px-4 py-2 bg-black text-white dark:bg-white dark:text-black
+                       rounded-lg transition-colors hover:bg-gray-800 dark:hover:bg-gray-200 disabled:opacity-50"
+            >
+              {checking ? (
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+              ) : (
+                <ShieldCheck className="w-4 h-4 mr-2" />
+              )}
+              {checking ? `Checked ${checkedCount} files...` : 'Run Check'}
+            </button>
+          </div>
+
+          {integrityError && (
+            <p className="text-sm text-red-600 dark:text-red-400">{integrityError}</p>
+          )}
+
+          {integrityReport && (
+            <div className="space-y-4 text-sm">
+              <p className="text-gray-700 dark:text-gray-300">
+                {integrityReport.checked} files checked: {integrityReport.ok} intact,{' '}
+                {integrityReport.recorded} checksums recorded, {integrityReport.problems.length} problems,{' '}
+                {integrityReport.orphans.length} orphaned objects.
+              </p>
+
+              {integrityReport.problems.length > 0 && (
+                <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+                  <thead>
+                    <tr className="text-left text-gray-500 dark:text-gray-400">
+                      <th className="py-2 font-medium">Request</th>
+                      <th className="py-2 font-medium">File</th>
+                      <th className="py-2 font-medium">Problem</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                    {integrityReport.problems.map(problem => (
+                      <tr key={problem.file_id} className="text-gray-900 dark:text-white">
+                        <td className="py-2">{problem.reference_number || '—'}</td>
+                        <td className="py-2 break-all">{problem.file_name}</td>
+                        <td className="py-2 text-red-600 dark:text-red-400">
+                          {problem.status === 'missing' ? 'Missing from storage' : 'Contents changed'}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+
+              {integrityReport.orphans.length > 0 && (
+                <div>
+                  <h3 className="font-medium text-gray-700 dark:text-gray-300 mb-2">Objects without a file record</h3>
+                  <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+                    {integrityReport.orphans.map(orphan => (
+                      <li key={orphan.path} className="flex justify-between py-2 text-gray-900 dark:text-white">
+                        <span className="font-mono break-all">{orphan.path}</span>
+                        {orphan.size !== null && (
+                          <span className="ml-4 flex-shrink-0 text-gray-500 dark:text-gray-400">
+                            {formatFileSize(orphan.size)}
+                          </span>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DocumentSettings;
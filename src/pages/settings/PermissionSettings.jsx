@@ -0,0 +1,205 @@
+import { useState, useEffect, Fragment } from 'react';
+import { Save, Loader2, AlertCircle, CheckCircle, RotateCcw, Lock } from 'lucide-react';
+import { usePermissionContext } from '../../contexts/PermissionContext';
+import { saveRolePermissions } from '../../services/permissionService';
+import {
+  PERMISSION_GROUPS,
+  LOCKED_ROLES,
+  DEFAULT_ROLE_PERMISSIONS
+} from '../../config/permissions';
+import { USER_ROLES, USER_ROLE_LABELS } from '../../config/constants';
+import { getRolePermissions } from '../../utils/permissionUtils';
+
+const ROLES = Object.values(USER_ROLES).map(role => ({
+  value: role,
+  label: USER_ROLE_LABELS[role],
+  locked: LOCKED_ROLES.includes(role)
+}));
+
+const EDITABLE_ROLES = ROLES.filter(role => !role.locked);
+
+const PermissionSettings = () => {
+  const { rolePermissions, loading, refreshPermissions } = usePermissionContext();
+  const [selected, setSelected] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    setSelected(EDITABLE_ROLES.reduce((all, role) => ({
+      ...all,
+      [role.value]: getRolePermissions(rolePermissions, role.value)
+    }), {}));
+  }, [rolePermissions]);
+
+  const togglePermission = (role, permission) => {
+    setSelected(prev => {
+      const current = prev[role] || [];
+      return {
+        ...prev,
+        [role]: current.includes(permission)
+          ? current.filter(key => key !== permission)
+          : [...current, permission]
+      };
+    });
+  };
+
+  const resetToDefaults = () => {
+    setSelected(EDITABLE_ROLES.reduce((all, role) => ({
+      ...all,
+      [role.value]: [...(DEFAULT_ROLE_PERMISSIONS[role.value] || [])]
+    }), {}));
+    setMessage('');
+  };
+
+  const handleSave = async () => {
+    // A role without any saved permissions falls back to the defaults,
+    // so an empty selection would not do what it looks like
+    const empty = EDITABLE_ROLES.find(role => !selected[role.value]?.length);
+    if (empty) {
+      setError(`${empty.label} needs at least one permission.`);
+      return;
+    }
+
+    try {
+      setSaving(true);
+      setError('');
+      setMessage('');
+
+      for (const role of EDITABLE_ROLES) {
+        await saveRolePermissions(role.value, selected[role.value]);
+      }
+
+      await refreshPermissions();
+      setMessage('Permissions saved.');
+    } catch (error) {
+      setError(error.message || 'Failed to save permissions');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading && Object.keys(selected).length === 0) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <Loader2 className="w-8 h-8 animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6">
+      <div className="max-w-6xl mx-auto">
+        <div className="flex justify-between items-center mb-6">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 dark:text-white">
+              Permissions
+            </h1>
+            <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+              What each role can see and do. Administrators always have every permission.
+            </p>
+          </div>
+          <div className="flex gap-2">
+            <button
+              onClick={resetToDefaults}
+              disabled={saving}
+              className="flex items-center px-4 py-2 border border-gray-200 dark:border-gray-700
+                       text-gray-700 dark:text-gray-300 rounded-lg transition-colors
+                       hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50"
+            >
+              <RotateCcw className="w-4 h-4 mr-2" />
+              Defaults
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="flex items-center px-4 py-2 bg-black text-white dark:bg-white dark:text-black
+                       rounded-lg transition-colors hover:bg-gray-800 dark:hover:bg-gray-200 disabled:opacity-50"
+            >
+              {saving ? (
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+              ) : (
+                <Save className="w-4 h-4 mr-2" />
+              )}
+              Save
+            </button>
+          </div>
+        </div>
+
+        {error && (
+          <div className="mb-6 p-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg
+                        flex items-center text-red-700 dark:text-red-300">
+            <AlertCircle className="w-5 h-5 mr-2" />
+            {error}
+          </div>
+        )}
+
+        {message && (
+          <div className="mb-6 p-4 bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800 rounded-lg
+                        flex items-center text-green-700 dark:text-green-300">
+            <CheckCircle className="w-5 h-5 mr-2" />
+            {message}
+          </div>
+        )}
+
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+            <thead className="bg-gray-50 dark:bg-gray-900/50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                  Permission
+                </th>
+                {ROLES.map(role => (
+                  <th
+                    key={role.value}
+                    className="px-6 py-3 text-center text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider"
+                  >
+                    <span className="inline-flex items-center gap-1">
+                      {role.locked && <Lock className="w-3 h-3" />}
+                      {role.label}
+                    </span>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+              {PERMISSION_GROUPS.map(group => (
+                <Fragment key={group.name}>
+                  <tr className="bg-gray-50/50 dark:bg-gray-900/30">
+                    <td
+                      colSpan={ROLES.length + 1}
+                      className="px-6 py-2 text-sm font-semibold text-gray-900 dark:text-white"
+                    >
+                      {group.name}
+                    </td>
+                  </tr>
+                  {group.permissions.map(permission => (
+                    <tr key={permission.key}>
+                      <td className="px-6 py-3 text-sm text-gray-700 dark:text-gray-300">
+                        {permission.label}
+                      </td>
+                      {ROLES.map(role => (
+                        <td key={role.value} className="px-6 py-3 text-center">
+                          <input
+                            type="checkbox"
+                            checked={role.locked || Boolean(selected[role.value]?.includes(permission.key))}
+                            disabled={role.locked || saving}
+                            onChange={() => togglePermission(role.value, permission.key)}
+                            className="h-4 w-4 text-black dark:text-white border-gray-300 dark:border-gray-700
+                                     rounded focus:ring-black dark:focus:ring-white disabled:opacity-50"
+                          />
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PermissionSettings;
@@ -0,0 +1,332 @@
+import { useState, useEffect } from 'react';
+import { format } from 'date-fns';
+import {
+  Plus,
+  Trash,
+  Save,
+  Loader2,
+  AlertCircle,
+  CheckCircle,
+  Calendar
+} from 'lucide-react';
+import { fetchAllOrganizations } from '../../services/organizationService';
+import {
+  fetchRetentionPolicies,
+  saveRetentionPolicy,
+  deleteRetentionPolicy,
+  recalculateRetention,
+  fetchUpcomingDeletions
+} from '../../services/retentionService';
+import { FILE_KINDS, FILE_KIND_LABELS, RETENTION_PREVIEW_DAYS } from '../../config/retention';
+import { REQUEST_PRIORITY_LABELS, AUTO_DELETION_DAYS } from '../../config/constants';
+import { formatFileSize } from '../../utils/fileUtils';
+
+const inputClasses = `w-full px-3 py-2 rounded-lg border border-gray-200 dark:border-gray-700
+  bg-white dark:bg-gray-900 text-gray-900 dark:text-white text-sm
+  focus:outline-none focus:ring-2 focus:ring-black dark:focus:ring-white`;
+
+const PRIORITIES = ['urgent', 'high', 'normal', 'low'];
+
+const EMPTY_RULE = { organization_id: '', priority: '', file_kind: '', retention_days: AUTO_DELETION_DAYS };
+
+const isDefaultPolicy = (policy) => !policy.organization_id && !policy.priority && !policy.file_kind;
+
+const RetentionSettings = () => {
+  const [policies, setPolicies] = useState([]);
+  const [organizations, setOrganizations] = useState([]);
+  const [upcoming, setUpcoming] = useState([]);
+  const [defaultDays, setDefaultDays] = useState(AUTO_DELETION_DAYS);
+  const [newRule, setNewRule] = useState(EMPTY_RULE);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  const loadData = async () => {
+    try {
+      setLoading(true);
+      const [policyData, orgData, upcomingData] = await Promise.all([
+        fetchRetentionPolicies(),
+        fetchAllOrganizations(),
+        fetchUpcomingDeletions()
+      ]);
+
+      setPolicies(policyData);
+      setOrganizations(orgData);
+      setUpcoming(upcomingData);
+      setDefaultDays(policyData.find(isDefaultPolicy)?.retention_days ?? AUTO_DELETION_DAYS);
+    } catch (error) {
+      setError('Failed to load retention settings. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Run a change, then recompute deletion dates of completed requests
+  const applyChange = async (change, successText) => {
+    try {
+      setSaving(true);
+      setError('');
+      setMessage('');
+      await change();
+      const updated = await recalculateRetention();
+      await loadData();
+      setMessage(`${successText} Deletion dates of ${updated} completed request(s) were recalculated.`);
+    } catch (error) {
+      setError(error.message || 'Failed to save retention settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSaveDefault = () => {
+    if (!(Number(defaultDays) > 0)) {
+      setError('Documents must be kept for at least one day.');
+      return;
+    }
+
+    applyChange(
+      () => saveRetentionPolicy({
+        id: policies.find(isDefaultPolicy)?.id,
+        retention_days: defaultDays
+      }),
+      'Default retention period saved.'
+    );
+  };
+
+  const handleAddRule = () => {
+    if (!newRule.organization_id && !newRule.priority && !newRule.file_kind) {
+      setError('Choose an organization, a priority or a file kind for the rule.');
+      return;
+    }
+    if (!(Number(newRule.retention_days) > 0)) {
+      setError('Documents must be kept for at least one day.');
+      return;
+    }
+
+    const existing = policies.find(p =>
+      (p.organization_id || '') === newRule.organization_id &&
+      (p.priority || '') === newRule.priority &&
+      (p.file_kind || '') === newRule.file_kind
+    );
+
+    applyChange(async () => {
+      await saveRetentionPolicy({ ...newRule, id: existing?.id });
+      setNewRule(EMPTY_RULE);
+    }, 'Retention rule saved.');
+  };
+
+  const handleDeleteRule = (policy) => {
+    if (!window.confirm('Remove this retention rule?')) return;
+    applyChange(() => deleteRetentionPolicy(policy.id), 'Retention rule removed.');
+  };
+
+  const rules = policies.filter(policy => !isDefaultPolicy(policy));
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <Loader2 className="w-8 h-8 animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6">
+      <div className="max-w-6xl mx-auto">
+        <div className="mb-6">
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white">
+            Document Retention
+          </h1>
+          <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+            Documents are deleted a number of days after their request is completed. The most specific
+            rule wins: organization first, then priority, then file kind. Requests under a legal hold are kept.
+          </p>
+        </div>
+
+        {error && (
+          <div className="mb-6 p-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg
+                        flex items-center text-red-700 dark:text-red-300">
+            <AlertCircle className="w-5 h-5 mr-2" />
+            {error}
+          </div>
+        )}
+
+        {message && (
+          <div className="mb-6 p-4 bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800 rounded-lg
+                        flex items-center text-green-700 dark:text-green-300">
+            <CheckCircle className="w-5 h-5 mr-2" />
+            {message}
+          </div>
+        )}
+
+        {/* Default retention period */}
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 p-6 mb-6">
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Default Retention Period</h2>
+            <button
+              onClick={handleSaveDefault}
+              disabled={saving}
+              className="flex items-center px-4 py-2 bg-black text-white dark:bg-white dark:text-black
+                       rounded-lg transition-colors hover:bg-gray-800 dark:hover:bg-gray-200 disabled:opacity-50"
+            >
+              {saving ? (
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+              ) : (
+                <Save className="w-4 h-4 mr-2" />
+              )}
+              Save Default
+            </button>
+          </div>
+
+          <div className="max-w-xs">
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Days after completion
+            </label>
+            <input
+              type="number"
+              min="1"
+              value={defaultDays}
+              onChange={(e) => setDefaultDays(e.target.value)}
+              className={inputClasses}
+            />
+          </div>
+        </div>
+
+        {/* Retention rules */}
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 p-6 mb-6">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Retention Rules</h2>
+          <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+            Keep documents longer or shorter for an organization, a request priority or a kind of file.
+          </p>
+
+          <div className="grid grid-cols-1 md:grid-cols-5 gap-4 mb-4">
+            <select
+              value={newRule.organization_id}
+              onChange={(e) => setNewRule(prev => ({ ...prev, organization_id: e.target.value }))}
+              className={inputClasses}
+            >
+              <option value="">Any organization</option>
+              {organizations.map(org => (
+                <option key={org.id} value={org.id}>{org.name}</option>
+              ))}
+            </select>
+            <select
+              value={newRule.priority}
+              onChange={(e) => setNewRule(prev => ({ ...prev, priority: e.target.value }))}
+              className={inputClasses}
+            >
+              <option value="">Any priority</option>
+              {PRIORITIES.map(priority => (
+                <option key={priority} value={priority}>{REQUEST_PRIORITY_LABELS[priority]}</option>
+              ))}
+            </select>
+            <select
+              value={newRule.file_kind}
+              onChange={(e) => setNewRule(prev => ({ ...prev, file_kind: e.target.value }))}
+              className={inputClasses}
+            >
+              <option value="">Any file</option>
+              {Object.values(FILE_KINDS).map(kind => (
+                <option key={kind} value={kind}>{FILE_KIND_LABELS[kind]}</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              min="1"
+              value={newRule.retention_days}
+              onChange={(e) => setNewRule(prev => ({ ...prev, retention_days: e.target.value }))}
+              className={inputClasses}
+            />
+            <button
+              onClick={handleAddRule}
+              disabled={saving}
+              className="flex items-center justify-center px-4 py-2 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-lg
+                      hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors disabled:opacity-50"
+            >
+              <Plus className="w-4 h-4 mr-2" />
+              Save Rule
+            </button>
+          </div>
+
+          {rules.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-4">
+              All documents use the default retention period.
+            </p>
+          ) : (
+            <table className="min-w-full text-sm divide-y divide-gray-200 dark:divide-gray-700">
+              <thead>
+                <tr className="text-left text-gray-500 dark:text-gray-400">
+                  <th className="py-2 font-medium">Organization</th>
+                  <th className="py-2 font-medium">Priority</th>
+                  <th className="py-2 font-medium">Files</th>
+                  <th className="py-2 font-medium">Days</th>
+                  <th className="py-2 font-medium"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                {rules.map(policy => (
+                  <tr key={policy.id} className="text-gray-900 dark:text-white">
+                    <td className="py-2">
+                      {policy.organization_id ? policy.v4_organizations?.name || 'Unknown' : 'Any'}
+                    </td>
+                    <td className="py-2">{policy.priority ? REQUEST_PRIORITY_LABELS[policy.priority] : 'Any'}</td>
+                    <td className="py-2">{policy.file_kind ? FILE_KIND_LABELS[policy.file_kind] : 'Any'}</td>
+                    <td className="py-2">{policy.retention_days}</td>
+                    <td className="py-2 text-right">
+                      <button
+                        onClick={() => handleDeleteRule(policy)}
+                        disabled={saving}
+                        className="p-2 text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                        title="Remove rule"
+                      >
+                        <Trash className="w-4 h-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        {/* Upcoming deletions */}
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Upcoming Deletions</h2>
+          <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+            Files the nightly retention job will delete in the next {RETENTION_PREVIEW_DAYS} days.
+          </p>
+
+          {upcoming.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-4">
+              No files are due for deletion.
+            </p>
+          ) : (
+            <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+              {upcoming.map(file => (
+                <li key={file.id} className="flex items-center justify-between py-2 text-sm">
+                  <div className="flex items-center min-w-0 text-gray-900 dark:text-white">
+                    <Calendar className="w-4 h-4 mr-2 text-gray-400 flex-shrink-0" />
+                    <span className="w-32 flex-shrink-0">{format(new Date(file.deletion_date), 'MMM d, yyyy')}</span>
+                    <span className="truncate">{file.file_name}</span>
+                  </div>
+                  <div className="ml-4 flex-shrink-0 text-gray-500 dark:text-gray-400">
+                    {file.request?.reference_number} • {file.request?.organizations?.name || 'Unknown'} •{' '}
+                    {FILE_KIND_LABELS[file.is_response ? FILE_KINDS.RESPONSE : FILE_KINDS.ORIGINAL]} •{' '}
+                    {formatFileSize(file.file_size)}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RetentionSettings;
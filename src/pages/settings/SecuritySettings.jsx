@@ -0,0 +1,256 @@
+import { useState, useEffect } from 'react';
+import { Save, Loader2, AlertCircle, CheckCircle } from 'lucide-react';
+import {
+  fetchMfaRolePolicies,
+  saveMfaRolePolicy,
+  fetchSessionPolicies,
+  saveSessionPolicy
+} from '../../services/securityService';
+import { DEFAULT_IDLE_TIMEOUT_MINUTES, DEFAULT_SESSION_LIFETIME_HOURS } from '../../config/session';
+
+const inputClasses = `w-full px-3 py-2 rounded-lg border border-gray-200 dark:border-gray-700
+  bg-white dark:bg-gray-900 text-gray-900 dark:text-white text-sm
+  focus:outline-none focus:ring-2 focus:ring-black dark:focus:ring-white`;
+
+const ROLES = [
+  { value: 'administrator', label: 'Administrator' },
+  { value: 'user', label: 'User' },
+  { value: 'organization', label: 'Organization' }
+];
+
+const SecuritySettings = () => {
+  const [savedPolicies, setSavedPolicies] = useState({});
+  const [policies, setPolicies] = useState({});
+  const [sessionPolicies, setSessionPolicies] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  const loadData = async () => {
+    try {
+      setLoading(true);
+      const [mfaData, sessionData] = await Promise.all([
+        fetchMfaRolePolicies(),
+        fetchSessionPolicies()
+      ]);
+      setSavedPolicies(mfaData);
+      setPolicies(mfaData);
+
+      // Roles without a saved policy use the app defaults
+      setSessionPolicies(ROLES.reduce((all, role) => ({
+        ...all,
+        [role.value]: {
+          idle_timeout_minutes: sessionData[role.value]?.idle_timeout_minutes ?? DEFAULT_IDLE_TIMEOUT_MINUTES,
+          max_session_hours: sessionData[role.value]?.max_session_hours ?? DEFAULT_SESSION_LIFETIME_HOURS
+        }
+      }), {}));
+    } catch (error) {
+      setError('Failed to load security settings. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError('');
+      setMessage('');
+
+      // Only roles that changed are saved, so the audit trail stays meaningful
+      const changed = ROLES.filter(role =>
+        Boolean(policies[role.value]) !== Boolean(savedPolicies[role.value])
+      );
+
+      for (const role of changed) {
+        await saveMfaRolePolicy(role.value, Boolean(policies[role.value]));
+      }
+
+      await loadData();
+      setMessage('Security settings saved.');
+    } catch (error) {
+      setError(error.message || 'Failed to save security settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSaveSessions = async () => {
+    const invalid = ROLES.some(role => {
+      const policy = sessionPolicies[role.value];
+      return !(Number(policy.idle_timeout_minutes) >= 1) || !(Number(policy.max_session_hours) >= 1);
+    });
+
+    if (invalid) {
+      setError('Idle timeouts must be at least one minute and session lifetimes at least one hour.');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      setError('');
+      setMessage('');
+
+      for (const role of ROLES) {
+        await saveSessionPolicy(role.value, sessionPolicies[role.value]);
+      }
+
+      await loadData();
+      setMessage('Session timeouts saved. They apply from each user\'s next login.');
+    } catch (error) {
+      setError(error.message || 'Failed to save session timeouts');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const updateSessionPolicy = (role, field, value) => {
+    setSessionPolicies(prev => ({ ...prev, [role]: { ...prev[role], [field]: value } }));
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <Loader2 className="w-8 h-8 animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6">
+      <div className="max-w-6xl mx-auto">
+        <div className="mb-6">
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white">
+            Security
+          </h1>
+          <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+            Sign-in and session rules for each role. Users can also turn on two-factor
+            authentication from their profile, and it can be required for individual users from User Management.
+          </p>
+        </div>
+
+        {error && (
+          <div className="mb-6 p-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg
+                        flex items-center text-red-700 dark:text-red-300">
+            <AlertCircle className="w-5 h-5 mr-2" />
+            {error}
+          </div>
+        )}
+
+        {message && (
+          <div className="mb-6 p-4 bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800 rounded-lg
+                        flex items-center text-green-700 dark:text-green-300">
+            <CheckCircle className="w-5 h-5 mr-2" />
+            {message}
+          </div>
+        )}
+
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 p-6 mb-6">
+          <div className="flex justify-between items-center mb-4">
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Two-Factor Authentication</h2>
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                Users in these roles who have not set up an authenticator app are asked to at their next login.
+              </p>
+            </div>
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="flex items-center px-4 py-2 bg-black text-white dark:bg-white dark:text-black
+                       rounded-lg transition-colors hover:bg-gray-800 dark:hover:bg-gray-200 disabled:opacity-50"
+            >
+              {saving ? (
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+              ) : (
+                <Save className="w-4 h-4 mr-2" />
+              )}
+              Save
+            </button>
+          </div>
+
+          <div className="space-y-3">
+            {ROLES.map(role => (
+              <label key={role.value} className="flex items-center gap-3">
+                <input
+                  type="checkbox"
+                  checked={Boolean(policies[role.value])}
+                  onChange={(e) => setPolicies(prev => ({ ...prev, [role.value]: e.target.checked }))}
+                  className="h-4 w-4 text-black dark:text-white border-gray-300 dark:border-gray-700
+                           rounded focus:ring-black dark:focus:ring-white"
+                />
+                <span className="text-sm text-gray-900 dark:text-white">
+                  Require for {role.label} accounts
+                </span>
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 p-6 mb-6">
+          <div className="flex justify-between items-center mb-4">
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Session Timeouts</h2>
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                Users are warned a minute before they are signed out. Activity in any open tab counts.
+              </p>
+            </div>
+            <button
+              onClick={handleSaveSessions}
+              disabled={saving}
+              className="flex items-center px-4 py-2 bg-black text-white dark:bg-white dark:text-black
+                       rounded-lg transition-colors hover:bg-gray-800 dark:hover:bg-gray-200 disabled:opacity-50"
+            >
+              {saving ? (
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+              ) : (
+                <Save className="w-4 h-4 mr-2" />
+              )}
+              Save
+            </button>
+          </div>
+
+          <div className="space-y-4">
+            {ROLES.map(role => (
+              <div key={role.value} className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+                <div className="text-sm font-medium text-gray-900 dark:text-white md:pb-2">
+                  {role.label}
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    Sign out after inactivity (minutes)
+                  </label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={sessionPolicies[role.value].idle_timeout_minutes}
+                    onChange={(e) => updateSessionPolicy(role.value, 'idle_timeout_minutes', e.target.value)}
+                    className={inputClasses}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    Maximum session length (hours)
+                  </label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={sessionPolicies[role.value].max_session_hours}
+                    onChange={(e) => updateSessionPolicy(role.value, 'max_session_hours', e.target.value)}
+                    className={inputClasses}
+                  />
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SecuritySettings;
@@ -0,0 +1,369 @@
+import { useState, useEffect } from 'react';
+import { format, parseISO } from 'date-fns';
+import {
+  Plus,
+  Trash,
+  Save,
+  Loader2,
+  AlertCircle,
+  CheckCircle,
+  Calendar
+} from 'lucide-react';
+import { fetchAllOrganizations } from '../../services/organizationService';
+import {
+  fetchSlaPolicies,
+  saveSlaPolicy,
+  deleteSlaPolicy,
+  fetchHolidays,
+  addHoliday,
+  deleteHoliday,
+  recalculateDueDates
+} from '../../services/slaService';
+import { DEFAULT_SLA_BUSINESS_DAYS } from '../../config/sla';
+import { REQUEST_PRIORITY_LABELS } from '../../config/constants';
+
+const inputClasses = `w-full px-3 py-2 rounded-lg border border-gray-200 dark:border-gray-700
+  bg-white dark:bg-gray-900 text-gray-900 dark:text-white text-sm
+  focus:outline-none focus:ring-2 focus:ring-black dark:focus:ring-white`;
+
+const PRIORITIES = ['urgent', 'high', 'normal', 'low'];
+
+const SlaSettings = () => {
+  const [policies, setPolicies] = useState([]);
+  const [holidays, setHolidays] = useState([]);
+  const [organizations, setOrganizations] = useState([]);
+  const [defaultDays, setDefaultDays] = useState(DEFAULT_SLA_BUSINESS_DAYS);
+  const [newOverride, setNewOverride] = useState({ organization_id: '', priority: 'normal', business_days: 5 });
+  const [newHoliday, setNewHoliday] = useState({ holiday_date: '', name: '' });
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  const loadData = async () => {
+    try {
+      setLoading(true);
+      const [policyData, holidayData, orgData] = await Promise.all([
+        fetchSlaPolicies(),
+        fetchHolidays(),
+        fetchAllOrganizations()
+      ]);
+
+      setPolicies(policyData);
+      setHolidays(holidayData);
+      setOrganizations(orgData);
+
+      // Saved defaults override the built-in ones
+      const defaults = { ...DEFAULT_SLA_BUSINESS_DAYS };
+      policyData
+        .filter(policy => !policy.organization_id)
+        .forEach(policy => { defaults[policy.priority] = policy.business_days; });
+      setDefaultDays(defaults);
+    } catch (error) {
+      setError('Failed to load SLA settings. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Run a change, then recompute deadlines of open requests
+  const applyChange = async (change, successText) => {
+    try {
+      setSaving(true);
+      setError('');
+      setMessage('');
+      await change();
+      const updated = await recalculateDueDates();
+      await loadData();
+      setMessage(`${successText} Due dates of ${updated} open request(s) were recalculated.`);
+    } catch (error) {
+      setError(error.message || 'Failed to save SLA settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSaveDefaults = () => {
+    const invalid = PRIORITIES.some(priority => !(Number(defaultDays[priority]) > 0));
+    if (invalid) {
+      setError('Response times must be at least one business day.');
+      return;
+    }
+
+    applyChange(async () => {
+      for (const priority of PRIORITIES) {
+        const existing = policies.find(p => !p.organization_id && p.priority === priority);
+        await saveSlaPolicy({
+          id: existing?.id,
+          organization_id: null,
+          priority,
+          business_days: defaultDays[priority]
+        });
+      }
+    }, 'Default response times saved.');
+  };
+
+  const handleAddOverride = () => {
+    if (!newOverride.organization_id || !(Number(newOverride.business_days) > 0)) {
+      setError('Choose an organization and a response time of at least one business day.');
+      return;
+    }
+
+    const existing = policies.find(p =>
+      p.organization_id === newOverride.organization_id && p.priority === newOverride.priority
+    );
+
+    applyChange(async () => {
+      await saveSlaPolicy({ ...newOverride, id: existing?.id });
+      setNewOverride({ organization_id: '', priority: 'normal', business_days: 5 });
+    }, 'Organization policy saved.');
+  };
+
+  const handleDeleteOverride = (policy) => {
+    if (!window.confirm(`Remove the ${policy.priority} policy for ${policy.v4_organizations?.name}?`)) return;
+    applyChange(() => deleteSlaPolicy(policy.id), 'Organization policy removed.');
+  };
+
+  const handleAddHoliday = () => {
+    if (!newHoliday.holiday_date || !newHoliday.name.trim()) {
+      setError('Enter a date and a name for the holiday.');
+      return;
+    }
+
+    applyChange(async () => {
+      await addHoliday({ holiday_date: newHoliday.holiday_date, name: newHoliday.name.trim() });
+      setNewHoliday({ holiday_date: '', name: '' });
+    }, 'Holiday added.');
+  };
+
+  const handleDeleteHoliday = (holiday) => {
+    if (!window.confirm(`Remove ${holiday.name} from the holiday calendar?`)) return;
+    applyChange(() => deleteHoliday(holiday.id), 'Holiday removed.');
+  };
+
+  const overrides = policies.filter(policy => policy.organization_id);
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <Loader2 className="w-8 h-8 animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6">
+      <div className="max-w-6xl mx-auto">
+        <div className="mb-6">
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white">
+            Service Level Agreements
+          </h1>
+          <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+            Response times are counted in business days from the date a request is received.
+            Weekends and the holidays below are skipped.
+          </p>
+        </div>
+
+        {error && (
+          <div className="mb-6 p-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg
+                        flex items-center text-red-700 dark:text-red-300">
+            <AlertCircle className="w-5 h-5 mr-2" />
+            {error}
+          </div>
+        )}
+
+        {message && (
+          <div className="mb-6 p-4 bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800 rounded-lg
+                        flex items-center text-green-700 dark:text-green-300">
+            <CheckCircle className="w-5 h-5 mr-2" />
+            {message}
+          </div>
+        )}
+
+        {/* Default response times */}
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 p-6 mb-6">
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Default Response Times</h2>
+            <button
+              onClick={handleSaveDefaults}
+              disabled={saving}
+              className="flex items-center px-4 py-2 bg-black text-white dark:bg-white dark:text-black
+                       rounded-lg transition-colors hover:bg-gray-800 dark:hover:bg-gray-200 disabled:opacity-50"
+            >
+              {saving ? (
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+              ) : (
+                <Save className="w-4 h-4 mr-2" />
+              )}
+              Save Defaults
+            </button>
+          </div>
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            {PRIORITIES.map(priority => (
+              <div key={priority}>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  {REQUEST_PRIORITY_LABELS[priority]} (business days)
+                </label>
+                <input
+                  type="number"
+                  min="1"
+                  value={defaultDays[priority]}
+                  onChange={(e) => setDefaultDays(prev => ({ ...prev, [priority]: e.target.value }))}
+                  className={inputClasses}
+                />
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {/* Organization overrides */}
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 p-6 mb-6">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Organization Policies</h2>
+          <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+            Override the default response time for a specific organization and priority.
+          </p>
+
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4">
+            <select
+              value={newOverride.organization_id}
+              onChange={(e) => setNewOverride(prev => ({ ...prev, organization_id: e.target.value }))}
+              className={inputClasses}
+            >
+              <option value="">Select organization...</option>
+              {organizations.map(org => (
+                <option key={org.id} value={org.id}>{org.name}</option>
+              ))}
+            </select>
+            <select
+              value={newOverride.priority}
+              onChange={(e) => setNewOverride(prev => ({ ...prev, priority: e.target.value }))}
+              className={inputClasses}
+            >
+              {PRIORITIES.map(priority => (
+                <option key={priority} value={priority}>{REQUEST_PRIORITY_LABELS[priority]}</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              min="1"
+              value={newOverride.business_days}
+              onChange={(e) => setNewOverride(prev => ({ ...prev, business_days: e.target.value }))}
+              className={inputClasses}
+            />
+            <button
+              onClick={handleAddOverride}
+              disabled={saving}
+              className="flex items-center justify-center px-4 py-2 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-lg
+                      hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors disabled:opacity-50"
+            >
+              <Plus className="w-4 h-4 mr-2" />
+              Save Policy
+            </button>
+          </div>
+
+          {overrides.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-4">
+              All organizations use the default response times.
+            </p>
+          ) : (
+            <table className="min-w-full text-sm divide-y divide-gray-200 dark:divide-gray-700">
+              <thead>
+                <tr className="text-left text-gray-500 dark:text-gray-400">
+                  <th className="py-2 font-medium">Organization</th>
+                  <th className="py-2 font-medium">Priority</th>
+                  <th className="py-2 font-medium">Business Days</th>
+                  <th className="py-2 font-medium"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                {overrides.map(policy => (
+                  <tr key={policy.id} className="text-gray-900 dark:text-white">
+                    <td className="py-2">{policy.v4_organizations?.name || 'Unknown'}</td>
+                    <td className="py-2">{REQUEST_PRIORITY_LABELS[policy.priority]}</td>
+                    <td className="py-2">{policy.business_days}</td>
+                    <td className="py-2 text-right">
+                      <button
+                        onClick={() => handleDeleteOverride(policy)}
+                        disabled={saving}
+                        className="p-2 text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                        title="Remove policy"
+                      >
+                        <Trash className="w-4 h-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        {/* Holiday calendar */}
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Holiday Calendar</h2>
+          <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+            Holidays are not counted as business days.
+          </p>
+
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4">
+            <input
+              type="date"
+              value={newHoliday.holiday_date}
+              onChange={(e) => setNewHoliday(prev => ({ ...prev, holiday_date: e.target.value }))}
+              className={inputClasses}
+            />
+            <input
+              type="text"
+              placeholder="Holiday name"
+              value={newHoliday.name}
+              onChange={(e) => setNewHoliday(prev => ({ ...prev, name: e.target.value }))}
+              className={`${inputClasses} md:col-span-2`}
+            />
+            <button
+              onClick={handleAddHoliday}
+              disabled={saving}
+              className="flex items-center justify-center px-4 py-2 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-lg
+                      hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors disabled:opacity-50"
+            >
+              <Plus className="w-4 h-4 mr-2" />
+              Add Holiday
+            </button>
+          </div>
+
+          {holidays.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-4">
+              No holidays added yet.
+            </p>
+          ) : (
+            <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+              {holidays.map(holiday => (
+                <li key={holiday.id} className="flex items-center justify-between py-2">
+                  <div className="flex items-center text-sm text-gray-900 dark:text-white">
+                    <Calendar className="w-4 h-4 mr-2 text-gray-400" />
+                    <span className="w-40">{format(parseISO(holiday.holiday_date), 'EEE, MMM d, yyyy')}</span>
+                    <span>{holiday.name}</span>
+                  </div>
+                  <button
+                    onClick={() => handleDeleteHoliday(holiday)}
+                    disabled={saving}
+                    className="p-2 text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                    title="Remove holiday"
+                  >
+                    <Trash className="w-4 h-4" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SlaSettings;
@@ -0,0 +1,469 @@
+import { useState, useEffect } from 'react';
+import {
+  Plus,
+  Trash,
+  Save,
+  RotateCcw,
+  Loader2,
+  AlertCircle,
+  CheckCircle,
+  ArrowRight
+} from 'lucide-react';
+import { useAuth } from '../../hooks/useAuth';
+import { useWorkflow } from '../../contexts/WorkflowContext';
+import { saveWorkflow } from '../../services/workflowService';
+import { validateWorkflow } from '../../utils/workflowUtils';
+import {
+  STATUS_CATEGORY_LABELS,
+  STATUS_COLOR_PALETTE,
+  TRANSITION_FIELDS,
+  WORKFLOW_ROLES,
+  WORKFLOW_PRESETS
+} from '../../config/workflow';
+
+const inputClasses = `w-full px-3 py-2 rounded-lg border border-gray-200 dark:border-gray-700
+  bg-white dark:bg-gray-900 text-gray-900 dark:text-white text-sm
+  focus:outline-none focus:ring-2 focus:ring-black dark:focus:ring-white`;
+
+// Deep copy so edits never touch the active workflow held in context
+const cloneWorkflow = (workflow) => JSON.parse(JSON.stringify({
+  name: workflow.name,
+  statuses: workflow.statuses,
+  transitions: workflow.transitions
+}));
+
+const WorkflowSettings = () => {
+  const { user } = useAuth();
+  const { workflow, loading, refreshWorkflow } = useWorkflow();
+  const [draft, setDraft] = useState(() => cloneWorkflow(workflow));
+  const [saving, setSaving] = useState(false);
+  const [errors, setErrors] = useState([]);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    if (!loading) {
+      setDraft(cloneWorkflow(workflow));
+    }
+  }, [workflow, loading]);
+
+  const statusKeys = draft.statuses.map(s => s.key);
+
+  const updateStatus = (index, changes) => {
+    setDraft(prev => {
+      const statuses = prev.statuses.map((status, i) => {
+        if (i === index) return { ...status, ...changes };
+        // Only one status can be the initial one
+        if (changes.initial) return { ...status, initial: false };
+        return status;
+      });
+
+      // Keep transitions pointing at a renamed status
+      let transitions = prev.transitions;
+      if (changes.key !== undefined) {
+        const oldKey = prev.statuses[index].key;
+        transitions = transitions.map(t => ({
+          ...t,
+          from: t.from === oldKey ? changes.key : t.from,
+          to: t.to === oldKey ? changes.key : t.to
+        }));
+      }
+
+      return { ...prev, statuses, transitions };
+    });
+  };
+
+  const addStatus = () => {
+    setDraft(prev => ({
+      ...prev,
+      statuses: [
+        ...prev.statuses,
+        { key: `status_${prev.statuses.length + 1}`, label: '', color: 'gray', category: 'in_progress' }
+      ]
+    }));
+  };
+
+  const removeStatus = (index) => {
+    setDraft(prev => {
+      const key = prev.statuses[index].key;
+      return {
+        ...prev,
+        statuses: prev.statuses.filter((_, i) => i !== index),
+        transitions: prev.transitions.filter(t => t.from !== key && t.to !== key)
+      };
+    });
+  };
+
+  const updateTransition = (index, changes) => {
+    setDraft(prev => ({
+      ...prev,
+      transitions: prev.transitions.map((t, i) => i === index ? { ...t, ...changes } : t)
+    }));
+  };
+
+  const toggleTransitionItem = (index, listName, item) => {
+    const current = draft.transitions[index][listName] || [];
+    updateTransition(index, {
+      [listName]: current.includes(item)
+        ? current.filter(value => value !== item)
+        : [...current, item]
+    });
+  };
+
+  const addTransition = () => {
+    setDraft(prev => ({
+      ...prev,
+      transitions: [
+        ...prev.transitions,
+        {
+          from: prev.statuses[0]?.key || '',
+          to: prev.statuses[1]?.key || '',
+          roles: ['administrator'],
+          requiredFields: []
+        }
+      ]
+    }));
+  };
+
+  const removeTransition = (index) => {
+    setDraft(prev => ({
+      ...prev,
+      transitions: prev.transitions.filter((_, i) => i !== index)
+    }));
+  };
+
+  const loadPreset = (presetKey) => {
+    if (!presetKey) return;
+    if (!window.confirm('Replace the current draft with this preset? Unsaved changes will be lost.')) return;
+    setDraft(cloneWorkflow(WORKFLOW_PRESETS[presetKey]));
+    setErrors([]);
+    setMessage('');
+  };
+
+  const handleReset = () => {
+    setDraft(cloneWorkflow(workflow));
+    setErrors([]);
+    setMessage('');
+  };
+
+  const handleSave = async () => {
+    const validationErrors = validateWorkflow(draft);
+    setErrors(validationErrors);
+    setMessage('');
+    if (validationErrors.length > 0) return;
+
+    try {
+      setSaving(true);
+      await saveWorkflow(draft, user.id);
+      await refreshWorkflow();
+      setMessage('Workflow saved. New status changes will follow these rules.');
+    } catch (error) {
+      setErrors([error.message || 'Failed to save workflow']);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <Loader2 className="w-8 h-8 animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6">
+      <div className="max-w-6xl mx-auto">
+        <div className="flex justify-between items-center mb-6">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 dark:text-white">
+              Request Workflow
+            </h1>
+            <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+              Define the statuses a request moves through and who may change them.
+            </p>
+          </div>
+
+          <div className="flex space-x-3">
+            <select
+              defaultValue=""
+              onChange={(e) => { loadPreset(e.target.value); e.target.value = ''; }}
+              className="px-4 py-2 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-lg
+                       bg-white dark:bg-gray-800 text-sm"
+            >
+              <option value="">Load preset...</option>
+              {Object.entries(WORKFLOW_PRESETS).map(([key, preset]) => (
+                <option key={key} value={key}>{preset.name}</option>
+              ))}
+            </select>
+
+            <button
+              onClick={handleReset}
+              disabled={saving}
+              className="flex items-center px-4 py-2 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-lg
+                      hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+            >
+              <RotateCcw className="w-4 h-4 mr-2" />
+              Reset
+            </button>
+
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="flex items-center px-4 py-2 bg-black text-white dark:bg-white dark:text-black
+                       rounded-lg transition-colors hover:bg-gray-800 dark:hover:bg-gray-200 disabled:opacity-50"
+            >
+              {saving ? (
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+              ) : (
+                <Save className="w-4 h-4 mr-2" />
+              )}
+              Save Workflow
+            </button>
+          </div>
+        </div>
+
+        {errors.length > 0 && (
+          <div className="mb-6 p-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg">
+            <div className="flex items-center text-red-700 dark:text-red-300 font-medium mb-2">
+              <AlertCircle className="w-5 h-5 mr-2" />
+              Please fix the following before saving
+            </div>
+            <ul className="list-disc list-inside text-sm text-red-600 dark:text-red-300 space-y-1">
+              {errors.map((error, index) => (
+                <li key={index}>{error}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {message && (
+          <div className="mb-6 p-4 bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800 rounded-lg
+                        flex items-center text-green-700 dark:text-green-300">
+            <CheckCircle className="w-5 h-5 mr-2" />
+            {message}
+          </div>
+        )}
+
+        {/* Workflow name */}
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 p-6 mb-6">
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+            Workflow name
+          </label>
+          <input
+            type="text"
+            value={draft.name || ''}
+            onChange={(e) => setDraft(prev => ({ ...prev, name: e.target.value }))}
+            className={`${inputClasses} max-w-md`}
+          />
+        </div>
+
+        {/* Statuses */}
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 p-6 mb-6">
+          <div className="flex justify-between items-center mb-4">
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Statuses</h2>
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                The category decides how a status is counted in dashboards and reports.
+              </p>
+            </div>
+            <button
+              onClick={addStatus}
+              className="flex items-center px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-lg
+                      hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+            >
+              <Plus className="w-4 h-4 mr-1" />
+              Add Status
+            </button>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 dark:text-gray-400">
+                  <th className="py-2 pr-3 font-medium">Key</th>
+                  <th className="py-2 pr-3 font-medium">Label</th>
+                  <th className="py-2 pr-3 font-medium">Category</th>
+                  <th className="py-2 pr-3 font-medium">Color</th>
+                  <th className="py-2 pr-3 font-medium">Initial</th>
+                  <th className="py-2 font-medium"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                {draft.statuses.map((status, index) => (
+                  <tr key={index}>
+                    <td className="py-2 pr-3">
+                      <input
+                        type="text"
+                        value={status.key}
+                        onChange={(e) => updateStatus(index, { key: e.target.value.toLowerCase().replace(/\s+/g, '_') })}
+                        className={inputClasses}
+                      />
+                    </td>
+                    <td className="py-2 pr-3">
+                      <input
+                        type="text"
+                        value={status.label}
+                        onChange={(e) => updateStatus(index, { label: e.target.value })}
+                        className={inputClasses}
+                      />
+                    </td>
+                    <td className="py-2 pr-3">
+                      <select
+                        value={status.category}
+                        onChange={(e) => updateStatus(index, { category: e.target.value })}
+                        className={inputClasses}
+                      >
+                        {Object.entries(STATUS_CATEGORY_LABELS).map(([key, label]) => (
+                          <option key={key} value={key}>{label}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="py-2 pr-3">
+                      <div className="flex items-center space-x-2">
+                        <select
+                          value={status.color}
+                          onChange={(e) => updateStatus(index, { color: e.target.value })}
+                          className={inputClasses}
+                        >
+                          {Object.keys(STATUS_COLOR_PALETTE).map(color => (
+                            <option key={color} value={color}>{color}</option>
+                          ))}
+                        </select>
+                        <span className={`px-2 py-1 rounded-full text-xs whitespace-nowrap ${(STATUS_COLOR_PALETTE[status.color] || STATUS_COLOR_PALETTE.gray).badge}`}>
+                          {status.label || status.key}
+                        </span>
+                      </div>
+                    </td>
+                    <td className="py-2 pr-3 text-center">
+                      <input
+                        type="radio"
+                        name="initial-status"
+                        checked={!!status.initial}
+                        onChange={() => updateStatus(index, { initial: true })}
+                      />
+                    </td>
+                    <td className="py-2 text-right">
+                      <button
+                        onClick={() => removeStatus(index)}
+                        className="p-2 text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                        title="Remove status"
+                      >
+                        <Trash className="w-4 h-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="mt-3 text-xs text-gray-500 dark:text-gray-400">
+            Renaming or removing a key does not change existing requests. Move them to a new status first.
+          </p>
+        </div>
+
+        {/* Transitions */}
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+          <div className="flex justify-between items-center mb-4">
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Transitions</h2>
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                Only the transitions listed here are offered when changing a request's status.
+              </p>
+            </div>
+            <button
+              onClick={addTransition}
+              disabled={draft.statuses.length < 2}
+              className="flex items-center px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-lg
+                      hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors disabled:opacity-50"
+            >
+              <Plus className="w-4 h-4 mr-1" />
+              Add Transition
+            </button>
+          </div>
+
+          {draft.transitions.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-6">
+              No transitions defined. Requests will stay in their initial status.
+            </p>
+          ) : (
+            <div className="space-y-3">
+              {draft.transitions.map((transition, index) => (
+                <div
+                  key={index}
+                  className="p-4 rounded-lg border border-gray-200 dark:border-gray-700 flex flex-col lg:flex-row lg:items-start gap-4"
+                >
+                  <div className="flex items-center gap-2 lg:w-1/3">
+                    <select
+                      value={transition.from}
+                      onChange={(e) => updateTransition(index, { from: e.target.value })}
+                      className={inputClasses}
+                    >
+                      {statusKeys.map(key => (
+                        <option key={key} value={key}>{key}</option>
+                      ))}
+                    </select>
+                    <ArrowRight className="w-4 h-4 text-gray-400 flex-shrink-0" />
+                    <select
+                      value={transition.to}
+                      onChange={(e) => updateTransition(index, { to: e.target.value })}
+                      className={inputClasses}
+                    >
+                      {statusKeys.map(key => (
+                        <option key={key} value={key}>{key}</option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <div className="lg:w-1/4">
+                    <p className="text-xs font-medium text-gray-500 dark:text-gray-400 mb-1">Allowed roles</p>
+                    <div className="flex flex-wrap gap-3">
+                      {WORKFLOW_ROLES.map(role => (
+                        <label key={role} className="flex items-center text-sm text-gray-700 dark:text-gray-300">
+                          <input
+                            type="checkbox"
+                            checked={(transition.roles || []).includes(role)}
+                            onChange={() => toggleTransitionItem(index, 'roles', role)}
+                            className="mr-1"
+                          />
+                          {role}
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+
+                  <div className="flex-1">
+                    <p className="text-xs font-medium text-gray-500 dark:text-gray-400 mb-1">Required before change</p>
+                    <div className="flex flex-wrap gap-3">
+                      {Object.entries(TRANSITION_FIELDS).filter(([, config]) => !config.system).map(([field, config]) => (
+                        <label key={field} className="flex items-center text-sm text-gray-700 dark:text-gray-300">
+                          <input
+                            type="checkbox"
+                            checked={(transition.requiredFields || []).includes(field)}
+                            onChange={() => toggleTransitionItem(index, 'requiredFields', field)}
+                            className="mr-1"
+                          />
+                          {config.label}
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+
+                  <button
+                    onClick={() => removeTransition(index)}
+                    className="p-2 text-gray-400 hover:text-red-600 dark:hover:text-red-400 self-start"
+                    title="Remove transition"
+                  >
+                    <Trash className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default WorkflowSettings;
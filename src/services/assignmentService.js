@@ -0,0 +1,242 @@
+import { supabase } from '../config/supabase';
+import { getStoredSession } from './authService';
+import { logAuditEvent } from './auditService';
+import { assignRequest } from './requestService';
+import { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES } from '../config/audit';
+import {
+  findAssignmentRule,
+  getRulePool,
+  pickAssignee
+} from '../utils/assignmentUtils';
+
+/**
+ * Fetch the active users who can be assigned requests
+ * @param {Array<string>} roles - Roles that may process requests
+ * @returns {Promise<Array>} Users ordered by name
+ */
+export const fetchProcessors = async (roles) => {
+  try {
+    if (roles.length === 0) return [];
+
+    const { data, error } = await supabase
+      .from('users')
+      .select('id, full_name, username, user_role_v4')
+      .in('user_role_v4', roles)
+      .eq('is_active', true)
+      .order('full_name');
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error fetching processors:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch all open requests with their assignee
+ * @param {Array<string>} openStatuses - Status keys that count as open
+ * @returns {Promise<Array>} Open requests, oldest first
+ */
+export const fetchOpenRequests = async (openStatuses) => {
+  try {
+    const { data, error } = await supabase
+      .from('v4_requests')
+      .select(`
+        id,
+        reference_number,
+        subject,
+        status,
+        priority,
+        date_received,
+        due_at,
+        sender,
+        assigned_to,
+        organizations:sender (name)
+      `)
+      .in('status', openStatuses)
+      .order('date_received');
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error fetching open requests:', error);
+    throw error;
+  }
+};
+
+/**
+ * Count the open requests of each assignee
+ * @param {Array<string>} openStatuses - Status keys that count as open
+ * @returns {Promise<Object>} Open request count, keyed by user ID
+ */
+export const fetchWorkload = async (openStatuses) => {
+  try {
+    const { data, error } = await supabase
+      .from('v4_requests')
+      .select('assigned_to')
+      .in('status', openStatuses)
+      .not('assigned_to', 'is', null);
+
+    if (error) throw error;
+
+    return (data || []).reduce((workload, { assigned_to }) => ({
+      ...workload,
+      [assigned_to]: (workload[assigned_to] || 0) + 1
+    }), {});
+  } catch (error) {
+    console.error('Error fetching workload:', error);
+    throw error;
+  }
+};
+
+/**
+ * Assign the most pressing unassigned open request to the signed-in user
+ * The claim-request function checks the user may process requests, and the
+ * database picks and assigns it in one step, most urgent first, then
+ * earliest deadline, then oldest. Requests someone else is claiming at the
+ * same moment are skipped.
+ * @returns {Promise<Object|null>} The claimed request, or null if there is none
+ */
+export const claimNextRequest = async () => {
+  try {
+    const { data, error } = await supabase.functions.invoke('claim-request', {
+      headers: { 'x-session-token': getStoredSession()?.access_token || '' }
+    });
+
+    if (error) throw error;
+    if (data?.error) throw new Error(data.error);
+
+    return data?.request || null;
+  } catch (error) {
+    console.error('Error claiming request:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch the auto-assignment rules
+ * @returns {Promise<Array>} Rules in the order they are tried
+ */
+export const fetchAssignmentRules = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('v4_assignment_rules')
+      .select(`
+        *,
+        v4_organizations:organization_id (name)
+      `)
+      .order('position');
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error fetching assignment rules:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create or update an auto-assignment rule
+ * @param {Object} rule - Rule data (name, organization_id, priority, strategy, assignee_ids, position, is_active)
+ * @returns {Promise<Object>} Saved rule
+ */
+export const saveAssignmentRule = async (rule) => {
+  try {
+    const payload = {
+      name: rule.name,
+      organization_id: rule.organization_id || null,
+      priority: rule.priority || null,
+      strategy: rule.strategy,
+      assignee_ids: rule.assignee_ids || [],
+      position: Number(rule.position) || 0,
+      is_active: rule.is_active ?? true,
+      updated_at: new Date().toISOString()
+    };
+
+    const query = rule.id
+      ? supabase.from('v4_assignment_rules').update(payload).eq('id', rule.id)
+      : supabase.from('v4_assignment_rules').insert([payload]);
+
+    const { data, error } = await query.select().single();
+
+    if (error) throw error;
+
+    await logAuditEvent({
+      action: AUDIT_ACTIONS.SETTING_UPDATED,
+      entityType: AUDIT_ENTITY_TYPES.SETTING,
+      entityId: `assignment_rules.${data.id}`,
+      after: data
+    });
+
+    return data;
+  } catch (error) {
+    console.error('Error saving assignment rule:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete an auto-assignment rule
+ * @param {string} id - Rule ID
+ * @returns {Promise<void>}
+ */
+export const deleteAssignmentRule = async (id) => {
+  try {
+    const { error } = await supabase
+      .from('v4_assignment_rules')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+
+    await logAuditEvent({
+      action: AUDIT_ACTIONS.SETTING_UPDATED,
+      entityType: AUDIT_ENTITY_TYPES.SETTING,
+      entityId: `assignment_rules.${id}`,
+      metadata: { deleted: true }
+    });
+  } catch (error) {
+    console.error(`Error deleting assignment rule ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Assign a new request using the first rule that matches it
+ * Requests no rule matches are left unassigned.
+ * @param {Object} request - The new request
+ * @param {Object} options - Assignment context
+ * @param {Array<string>} options.processorRoles - Roles that may process requests
+ * @param {Array<string>} options.openStatuses - Status keys that count as open
+ * @param {string} options.updatedBy - The ID of the user creating the request
+ * @returns {Promise<Object|null>} The assigned request, or null if no rule applied
+ */
+export const autoAssignRequest = async (request, { processorRoles, openStatuses, updatedBy }) => {
+  try {
+    const rule = findAssignmentRule(await fetchAssignmentRules(), request);
+    if (!rule) return null;
+
+    const [processors, workload] = await Promise.all([
+      fetchProcessors(processorRoles),
+      fetchWorkload(openStatuses)
+    ]);
+
+    const assignee = pickAssignee(rule, getRulePool(rule, processors), workload);
+    if (!assignee) return null;
+
+    const assigned = await assignRequest(request.id, assignee.id, updatedBy, { onlyIfUnassigned: true });
+
+    const { error } = await supabase
+      .from('v4_assignment_rules')
+      .update({ last_assigned_to: assignee.id })
+      .eq('id', rule.id);
+
+    if (error) console.error('Error recording round robin position:', error);
+
+    return assigned;
+  } catch (error) {
+    console.error('Error auto-assigning request:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,150 @@
+import { supabase } from '../config/supabase';
+import { getStoredSession } from './authService';
+import { AUDIT_REDACTED_FIELDS, AUDIT_IGNORED_FIELDS } from '../config/audit';
+
+/**
+ * Call the audit-log function as the signed-in user
+ * The browser cannot read or write the audit log itself; the function takes
+ * the actor from the session token.
+ *
+ * @param {Object} body - { action, ... }
+ * @returns {Promise<Object>} - The response body
+ */
+const invokeAuditLog = async (body) => {
+  const { data, error } = await supabase.functions.invoke('audit-log', {
+    body,
+    headers: { 'x-session-token': getStoredSession()?.access_token || '' }
+  });
+
+  if (error) {
+    const response = await error.context?.json?.().catch(() => null);
+    throw new Error(response?.error || error.message);
+  }
+  if (data?.error) throw new Error(data.error);
+  return data;
+};
+
+/**
+ * Remove secrets from a record before it is stored
+ *
+ * @param {Object} record - A database row
+ * @returns {Object|null} - The row without redacted fields
+ */
+const redact = (record) => {
+  if (!record) return null;
+
+  return Object.fromEntries(
+    Object.entries(record).filter(([key]) => !AUDIT_REDACTED_FIELDS.includes(key))
+  );
+};
+
+/**
+ * Keep only the columns of the stored row
+ * Callers often pass a row enriched with joined data (organization names,
+ * user objects); those are not part of the change.
+ *
+ * @param {Object} before - The record before the change
+ * @param {Object} after - The record after the change
+ * @returns {Object|null} - `before` limited to the keys of `after`
+ */
+const alignToRow = (before, after) => {
+  if (!before || !after) return before;
+
+  return Object.fromEntries(
+    Object.keys(after).filter(key => key in before).map(key => [key, before[key]])
+  );
+};
+
+/**
+ * Compare two versions of a record
+ *
+ * @param {Object} before - The record before the change
+ * @param {Object} after - The record after the change
+ * @returns {Object} - Changed fields as { field: { from, to } }
+ */
+export const diffRecords = (before, after) => {
+  const changes = {};
+  const keys = after
+    ? Object.keys(after)
+    : Object.keys(before || {});
+
+  keys.forEach(key => {
+    if (AUDIT_IGNORED_FIELDS.includes(key)) return;
+
+    const from = before?.[key] ?? null;
+    const to = after?.[key] ?? null;
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[key] = AUDIT_REDACTED_FIELDS.includes(key)
+        ? { from: '[redacted]', to: '[redacted]' }
+        : { from, to };
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Append an entry to the audit log
+ * Written by the audit-log function as the signed-in user. The log is
+ * append-only; the database rejects updates and deletes.
+ * Failures are logged but never interrupt the action being audited.
+ *
+ * @param {Object} event - The audit event
+ * @param {string} event.action - One of AUDIT_ACTIONS
+ * @param {string} event.entityType - One of AUDIT_ENTITY_TYPES
+ * @param {string} event.entityId - ID of the affected record
+ * @param {Object} event.before - The record before the change
+ * @param {Object} event.after - The record after the change
+ * @param {Object} event.metadata - Any extra context (e.g. request_id of a file)
+ * @returns {Promise<void>}
+ */
+export const logAuditEvent = async ({ action, entityType, entityId, before = null, after = null, metadata = {} }) => {
+  try {
+    const previous = alignToRow(before, after);
+
+    await invokeAuditLog({
+      action: 'log',
+      event: {
+        action,
+        entityType,
+        entityId: entityId ? String(entityId) : null,
+        before: redact(previous),
+        after: redact(after),
+        changes: diffRecords(previous, after),
+        metadata
+      }
+    });
+  } catch (error) {
+    console.error(`Error writing audit log for ${action}:`, error);
+  }
+};
+
+/**
+ * Fetch audit log entries
+ *
+ * @param {Object} filters - Filter options
+ * @param {string} filters.entityType - Entity type
+ * @param {string} filters.action - Action
+ * @param {string} filters.actorId - User who performed the action
+ * @param {string} filters.entityId - ID of the affected record
+ * @param {Object} filters.dateRange - { start, end } (yyyy-MM-dd)
+ * @param {number} filters.page - Page number (1-based)
+ * @param {number} filters.pageSize - Entries per page; omit to fetch everything
+ * @returns {Promise<Object>} - { data, count }
+ */
+export const fetchAuditLogs = async (filters = {}) => {
+  try {
+    const { data, count } = await invokeAuditLog({ action: 'list', filters });
+    return { data: data || [], count: count || 0 };
+  } catch (error) {
+    console.error('Error fetching audit logs:', error);
+    throw error;
+  }
+};
+
+export default {
+  diffRecords,
+  logAuditEvent,
+  fetchAuditLogs,
+};
@@ -0,0 +1,227 @@
+import { supabase } from '../config/supabase';
+
+const SESSION_STORAGE_KEY = 'session';
+
+/**
+ * Call an auth edge function
+ * Error responses carry a JSON body (error, attemptsLeft, ...) that is
+ * returned as-is rather than thrown.
+ *
+ * @param {string} name - Function name
+ * @param {Object} body - Request body
+ * @param {Object} headers - Extra request headers
+ * @returns {Promise<Object>} - The response body
+ */
+const invokeAuthFunction = async (name, body, headers = {}) => {
+  const { data, error } = await supabase.functions.invoke(name, { body, headers });
+
+  if (!error) return data;
+
+  if (error.context && typeof error.context.json === 'function') {
+    try {
+      return await error.context.json();
+    } catch (parseError) {
+      // Fall through to the generic error below
+    }
+  }
+
+  throw error;
+};
+
+/**
+ * Get the stored session if it has not expired
+ *
+ * @returns {Object|null} - { access_token, expires_at }
+ */
+export const getStoredSession = () => {
+  try {
+    const session = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+    if (!session?.access_token) return null;
+    if (new Date(session.expires_at) <= new Date()) return null;
+    return session;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Store the session issued by the server
+ *
+ * @param {Object} session - { access_token, expires_at }
+ */
+export const storeSession = (session) => {
+  if (session) {
+    localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+  } else {
+    localStorage.removeItem(SESSION_STORAGE_KEY);
+  }
+};
+
+/**
+ * Sign in with a username and password
+ * Verification, lockout and temporary password expiry happen on the server.
+ *
+ * @param {string} username - Username
+ * @param {string} password - Password or temporary password
+ * @returns {Promise<Object>} - { user, session, passwordChangeRequired, passwordChangeToken, error, attemptsLeft, accountLocked, accountInactive }
+ */
+export const signIn = async (username, password) => {
+  try {
+    return await invokeAuthFunction('login', { username, password });
+  } catch (error) {
+    console.error('Error signing in:', error);
+    throw error;
+  }
+};
+
+/**
+ * Change the password of the signed-in user, or of a user who has just
+ * signed in with a temporary password
+ * The second gets their session once the new password is set.
+ *
+ * @param {string} currentPassword - The current (or temporary) password
+ * @param {string} newPassword - The new password
+ * @param {string} passwordChangeToken - Token from signing in with a temporary password
+ * @returns {Promise<Object>} - { user, session, error }
+ */
+export const changePassword = async (currentPassword, newPassword, passwordChangeToken = null) => {
+  try {
+    const session = getStoredSession();
+    if (!passwordChangeToken && !session) {
+      return { user: null, error: 'Your session has expired. Please log in again.' };
+    }
+
+    const headers = passwordChangeToken
+      ? { 'x-password-change-token': passwordChangeToken }
+      : { 'x-session-token': session.access_token };
+
+    return await invokeAuthFunction('change-password', { currentPassword, newPassword }, headers);
+  } catch (error) {
+    console.error('Error changing password:', error);
+    throw error;
+  }
+};
+
+/**
+ * Call the two-factor function
+ * During login the token from the password step identifies the user;
+ * otherwise the stored session does.
+ *
+ * @param {string} action - status, enroll, confirm, verify or disable
+ * @param {Object} body - Action parameters
+ * @param {string} mfaToken - Token from the password step, if logging in
+ * @returns {Promise<Object>} - The response body
+ */
+const invokeMfa = async (action, body = {}, mfaToken = null) => {
+  const headers = mfaToken
+    ? { 'x-mfa-token': mfaToken }
+    : { 'x-session-token': getStoredSession()?.access_token || '' };
+
+  return invokeAuthFunction('mfa', { action, ...body }, headers);
+};
+
+/**
+ * Get the two-factor status of the signed-in user
+ *
+ * @returns {Promise<Object>} - { enabled, required, error }
+ */
+export const getMfaStatus = async () => {
+  try {
+    return await invokeMfa('status');
+  } catch (error) {
+    console.error('Error fetching two-factor status:', error);
+    throw error;
+  }
+};
+
+/**
+ * Start setting up an authenticator app
+ *
+ * @param {string} mfaToken - Token from the password step, if logging in
+ * @returns {Promise<Object>} - { secret, otpauthUrl, qrCode, error } where qrCode is an SVG
+ */
+export const startMfaEnrollment = async (mfaToken = null) => {
+  try {
+    return await invokeMfa('enroll', {}, mfaToken);
+  } catch (error) {
+    console.error('Error starting two-factor set-up:', error);
+    throw error;
+  }
+};
+
+/**
+ * Finish setting up an authenticator app with a code from it
+ * During login this also signs the user in.
+ *
+ * @param {string} code - Six-digit code
+ * @param {string} mfaToken - Token from the password step, if logging in
+ * @returns {Promise<Object>} - { recoveryCodes, user, session, passwordChangeRequired, error }
+ */
+export const confirmMfaEnrollment = async (code, mfaToken = null) => {
+  try {
+    return await invokeMfa('confirm', { code }, mfaToken);
+  } catch (error) {
+    console.error('Error confirming two-factor set-up:', error);
+    throw error;
+  }
+};
+
+/**
+ * Complete login with a code from the authenticator app or a recovery code
+ *
+ * @param {string} mfaToken - Token from the password step
+ * @param {Object} factor - { code } or { recoveryCode }
+ * @returns {Promise<Object>} - { user, session, passwordChangeRequired, error, attemptsLeft }
+ */
+export const verifyMfa = async (mfaToken, factor) => {
+  try {
+    return await invokeMfa('verify', factor, mfaToken);
+  } catch (error) {
+    console.error('Error verifying two-factor code:', error);
+    throw error;
+  }
+};
+
+/**
+ * Turn off two-factor authentication for the signed-in user
+ *
+ * @param {string} code - Six-digit code
+ * @returns {Promise<Object>} - { enabled, error }
+ */
+export const disableMfa = async (code) => {
+  try {
+    return await invokeMfa('disable', { code });
+  } catch (error) {
+    console.error('Error turning off two-factor authentication:', error);
+    throw error;
+  }
+};
+
+/**
+ * Set a new password using a reset link
+ *
+ * @param {string} token - Token from the reset link
+ * @param {string} newPassword - The new password
+ * @returns {Promise<Object>} - { user, session, error }
+ */
+export const redeemResetToken = async (token, newPassword) => {
+  try {
+    return await invokeAuthFunction('reset-password', { token, newPassword });
+  } catch (error) {
+    console.error('Error resetting password:', error);
+    throw error;
+  }
+};
+
+export default {
+  getStoredSession,
+  storeSession,
+  signIn,
+  changePassword,
+  redeemResetToken,
+  getMfaStatus,
+  startMfaEnrollment,
+  confirmMfaEnrollment,
+  verifyMfa,
+  disableMfa,
+};
@@ -0,0 +1,129 @@
+import { PDFDocument } from 'pdf-lib';
+import {
+  CONVERSION_SERVICE_URL,
+  CONVERSION_TIMEOUT_SECONDS,
+  CONVERTIBLE_IMAGE_TYPES,
+  CONVERTIBLE_OFFICE_TYPES,
+  IMAGE_PAGE_SIZE,
+  IMAGE_PAGE_MARGIN
+} from '../config/conversion';
+
+/**
+ * Checks if a file is turned into a PDF before it is shared as a response
+ *
+ * @param {File} file - The file to check
+ * @returns {boolean} - True for images and Word or Excel documents
+ */
+export const isConvertibleFile = (file) => {
+  return Boolean(file) && (
+    CONVERTIBLE_IMAGE_TYPES.includes(file.type) ||
+    CONVERTIBLE_OFFICE_TYPES.includes(file.type)
+  );
+};
+
+/**
+ * Name of the PDF a file is converted to
+ *
+ * @param {string} fileName - Original file name
+ * @returns {string} - The name with a .pdf extension
+ */
+const toPdfName = (fileName) => {
+  const dot = fileName.lastIndexOf('.');
+  return `${dot > 0 ? fileName.slice(0, dot) : fileName}.pdf`;
+};
+
+/**
+ * Place an image on a single PDF page, scaled down to fit
+ *
+ * @param {File} file - JPEG or PNG image
+ * @returns {Promise<Uint8Array>} - The PDF bytes
+ */
+const imageToPdf = async (file) => {
+  const pdfDoc = await PDFDocument.create();
+  const bytes = await file.arrayBuffer();
+  const image = file.type === 'image/png'
+    ? await pdfDoc.embedPng(bytes)
+    : await pdfDoc.embedJpg(bytes);
+
+  const [shortSide, longSide] = IMAGE_PAGE_SIZE;
+  const [pageWidth, pageHeight] = image.width > image.height
+    ? [longSide, shortSide]
+    : [shortSide, longSide];
+
+  const scale = Math.min(
+    (pageWidth - IMAGE_PAGE_MARGIN * 2) / image.width,
+    (pageHeight - IMAGE_PAGE_MARGIN * 2) / image.height,
+    1
+  );
+  const width = image.width * scale;
+  const height = image.height * scale;
+
+  const page = pdfDoc.addPage([pageWidth, pageHeight]);
+  page.drawImage(image, {
+    x: (pageWidth - width) / 2,
+    y: (pageHeight - height) / 2,
+    width,
+    height
+  });
+
+  pdfDoc.setTitle(file.name);
+  return pdfDoc.save();
+};
+
+/**
+ * Send a Word or Excel document to the conversion service
+ *
+ * @param {File} file - The office document
+ * @returns {Promise<ArrayBuffer>} - The PDF bytes
+ */
+const officeToPdf = async (file) => {
+  const body = new FormData();
+  body.append('files', file, file.name);
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), CONVERSION_TIMEOUT_SECONDS * 1000);
+
+  try {
+    const response = await fetch(CONVERSION_SERVICE_URL, {
+      method: 'POST',
+      body,
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`Conversion service answered ${response.status}`);
+    }
+
+    return await response.arrayBuffer();
+  } finally {
+    clearTimeout(timeout);
+  }
+};
+
+/**
+ * Convert an image or office document to a PDF
+ * Images are converted in the browser, Word and Excel documents by the
+ * conversion service.
+ *
+ * @param {File} file - The file to convert
+ * @returns {Promise<File>} - The PDF, named after the original
+ */
+export const convertToPdf = async (file) => {
+  const isImage = CONVERTIBLE_IMAGE_TYPES.includes(file.type);
+
+  if (!isImage && !CONVERSION_SERVICE_URL) {
+    throw new Error('Word and Excel responses cannot be converted to PDF here. Please upload a PDF instead.');
+  }
+
+  try {
+    const bytes = isImage ? await imageToPdf(file) : await officeToPdf(file);
+
+    // Make sure what came back is a readable PDF before it is secured
+    await PDFDocument.load(bytes);
+
+    return new File([bytes], toPdfName(file.name), { type: 'application/pdf' });
+  } catch (error) {
+    console.error(`Error converting ${file.name} to PDF:`, error);
+    throw new Error(`"${file.name}" could not be converted to PDF. Please upload a PDF instead.`);
+  }
+};
@@ -1,23 +1,150 @@
 import { supabase } from '../config/supabase';
 import { applyPdfSecurity, isPdfFile } from './pdfSecurityService';
+import { logAuditEvent } from './auditService';
+import { getStoredSession } from './authService';
+import { recognizeScannedFile } from './ocrService';
+import { isConvertibleFile, convertToPdf } from './conversionService';
+import { stampResponsePdf, recordWatermark } from './watermarkService';
+import { fetchUploadLimits, getUploadLimit, uploadResumable } from './uploadService';
+import { scanUploadedFile, isScanBlocked, isHeldForReview, describeUploadHold } from './scanService';
+import { setCurrentVersion } from './versionService';
+import { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES } from '../config/audit';
+import { WATERMARK_STAMP_ON } from '../config/watermark';
+import { formatFileSize, hashFile } from '../utils/fileUtils';
+import { createZipStream, saveStream } from '../utils/zipUtils';
+
+/**
+ * Record the metadata of an uploaded file and scan it
+ * Files the scan cleared come back finished: responses are
+ * password-protected or signed on the server, and a new version is the
+ * current one. Quarantined and failed files are held for review, see
+ * isHeldForReview. Files still pending because the scan could not be
+ * started are scanned and finished later by the scheduled scan.
+ * 
+ * @param {Object} fileMetadata - Row for v4_request_files
+ * @returns {Promise<Object>} - The saved file metadata, with processing_warning when it was finished with a warning
+ */
+export const saveFileMetadata = async (fileMetadata) => {
+  try {
+    const { data, error } = await supabase
+      .from('v4_request_files')
+      .insert([fileMetadata])
+      .select()
+      .single();
+      
+    if (error) throw error;
+    
+    await logAuditEvent({
+      action: AUDIT_ACTIONS.FILE_UPLOADED,
+      entityType: AUDIT_ENTITY_TYPES.FILE,
+      entityId: data.id,
+      after: data,
+      metadata: { request_id: data.request_id }
+    });
+    
+    // Suspicious files are quarantined before anything else reads them, and
+    // the others are finished on the server (password, signature, version)
+    let saved = data;
+    try {
+      const scan = await scanUploadedFile(data.id);
+      saved = scan.file
+        ? { ...scan.file, processing_warning: scan.warning || null }
+        : { ...data, scan_status: scan.status, file_path: scan.filePath };
+    } catch (scanError) {
+      // Logged by the scan service; the file stays pending and unavailable
+      // until the scheduled scan finishes it
+    }
+    
+    // Not awaited: the upload is done, search picks the text up when ready
+    if (!isScanBlocked(saved)) {
+      extractFileText(data.id).catch(() => {});
+    }
+    
+    return saved;
+  } catch (error) {
+    console.error('Error saving file metadata:', error);
+    throw error;
+  }
+};
+
+/**
+ * Extract the text of an uploaded document so search can find it
+ * 
+ * @param {string} fileId - The ID of the file record
+ * @returns {Promise<Object>} - { extracted, characters }
+ */
+export const extractFileText = async (fileId) => {
+  try {
+    const { data, error } = await supabase.functions.invoke('extract-text', {
+      body: { fileId },
+      headers: { 'x-session-token': getStoredSession()?.access_token || '' }
+    });
+    
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error(`Error extracting text of file ${fileId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get the extracted text of a file
+ * 
+ * @param {string} fileId - The ID of the file record
+ * @returns {Promise<Object>} - { extracted_text, text_source, ocr_confidence, text_extracted_at }
+ */
+export const getFileText = async (fileId) => {
+  try {
+    const { data, error } = await supabase
+      .from('v4_request_files')
+      .select('extracted_text, text_source, ocr_confidence, text_extracted_at')
+      .eq('id', fileId)
+      .single();
+      
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error(`Error fetching text of file ${fileId}:`, error);
+    throw error;
+  }
+};
 
 /**
  * Upload a file related to a request
+ * Responses leave the system as secured PDFs: images and Word or Excel
+ * documents are converted first. Files are sent in resumable chunks and
+ * must fit the upload size limit of their type. The SHA-256 of the chosen
+ * file and of the stored object are kept with it. Files the upload scan
+ * held for review are reported as an error; files still waiting for their
+ * scan are finished on the server once it runs.
  * 
- * @param {File} file - The file to upload
+ * @param {File} originalFile - The file to upload
  * @param {string} requestId - The ID of the request
  * @param {boolean} isResponse - Whether this is a response file
  * @param {string} userId - The ID of the user uploading the file
  * @returns {Promise<Object>} - The uploaded file metadata
  */
-export const uploadRequestFile = async (file, requestId, isResponse, userId) => {
+export const uploadRequestFile = async (originalFile, requestId, isResponse, userId) => {
   try {
+    // Refused here before anything is sent; the bucket and the upload scan
+    // enforce the same limits on the server
+    const limit = getUploadLimit(originalFile, await fetchUploadLimits());
+    if (originalFile.size > limit.bytes) {
+      throw new Error(`"${originalFile.name}" exceeds the maximum size of ${formatFileSize(limit.bytes)}${limit.label ? ` for ${limit.label} files` : ''}.`);
+    }
+    
+    const file = isResponse && isConvertibleFile(originalFile)
+      ? await convertToPdf(originalFile)
+      : originalFile;
     let fileToUpload = file;
     let isSecured = false;
+    let stamped = null;
     
-    // Apply security to PDF files that are responses
+    // Watermark and apply security to PDF files that are responses
     if (isPdfFile(file) && isResponse) {
-      fileToUpload = await applyPdfSecurity(file);
+      stamped = await stampResponsePdf(file, requestId, WATERMARK_STAMP_ON.UPLOAD);
+      fileToUpload = await applyPdfSecurity(stamped ? stamped.blob : file);
       isSecured = true;
     }
     
@@ -28,60 +155,113 @@ export const uploadRequestFile = async (file, requestId, isResponse, userId) =>
     const filePath = `requests/${requestId}/${fileName}`;
     
     // Upload file to Supabase storage
-    const { error: uploadError, data } = await supabase.storage
-      .from('request-files')
-      .upload(filePath, fileToUpload, {
-        cacheControl: '3600',
-        upsert: false
-      });
-      
-    if (uploadError) throw uploadError;
+    await uploadResumable({
+      file: fileToUpload,
+      bucket: 'request-files',
+      filePath,
+      contentType: file.type,
+      fingerprint: filePath
+    });
     
     // Record file metadata in database
-    const { error: metadataError, data: fileData } = await supabase
-      .from('v4_request_files')
-      .insert([
-        {
-          request_id: requestId,
-          file_name: file.name,
-          file_path: filePath,
-          file_size: file.size,
-          file_type: file.type,
-          is_secured: isSecured,
-          is_original_request: !isResponse,
-          is_response: isResponse,
-          uploaded_by: userId
-        },
-      ])
-      .select()
-      .single();
-      
-    if (metadataError) throw metadataError;
+    const sourceSha256 = await hashFile(originalFile);
+    const savedFile = await saveFileMetadata({
+      request_id: requestId,
+      file_name: file.name,
+      file_path: filePath,
+      file_size: fileToUpload.size,
+      file_type: file.type,
+      is_secured: isSecured,
+      is_original_request: !isResponse,
+      is_response: isResponse,
+      converted_from: file === originalFile ? null : originalFile.type,
+      sha256: fileToUpload === originalFile ? sourceSha256 : await hashFile(fileToUpload),
+      source_sha256: sourceSha256,
+      uploaded_by: userId
+    });
+    
+    if (stamped) {
+      await recordWatermark({ ...stamped.watermark, fileId: savedFile.id });
+    }
+    
+    if (isHeldForReview(savedFile)) {
+      throw new Error(describeUploadHold(savedFile, originalFile.name));
+    }
     
-    return fileData;
+    // Incoming scans are read with OCR in the background
+    if (!isResponse) {
+      recognizeScannedFile(file, savedFile.id).catch(() => {});
+    }
+    
+    return savedFile;
   } catch (error) {
     console.error('Error uploading file:', error);
     throw error;
   }
 };
 
+/**
+ * Fetch a file from storage as it is handed out for download
+ * Response PDFs are watermarked for the downloading user when the
+ * watermark settings stamp on download. Files held by the upload scan are refused.
+ * 
+ * @param {string} filePath - The path of the file in storage
+ * @param {string} fileId - The ID of the file record (for the watermark)
+ * @returns {Promise<Object>} - { blob, watermarkId }
+ */
+const fetchFileForDownload = async (filePath, fileId) => {
+  let file = null;
+  
+  if (fileId) {
+    const { data: fileData, error: fileError } = await supabase
+      .from('v4_request_files')
+      .select('request_id, file_type, is_response, password_version, signature_id, scan_status')
+      .eq('id', fileId)
+      .single();
+      
+    if (fileError) throw fileError;
+    
+    if (isScanBlocked(fileData)) {
+      throw new Error('This file is held by the upload scan and cannot be downloaded.');
+    }
+    file = fileData;
+  }
+  
+  const { data, error } = await supabase.storage
+    .from('request-files')
+    .download(filePath);
+    
+  if (error) throw error;
+  
+  // Password-protected PDFs cannot be stamped without their password, and
+  // stamping a signed PDF would break its signature
+  if (file?.is_response && file.file_type === 'application/pdf' && !file.password_version && !file.signature_id) {
+    const stamped = await stampResponsePdf(data, file.request_id, WATERMARK_STAMP_ON.DOWNLOAD);
+    if (stamped) {
+      await recordWatermark({ ...stamped.watermark, fileId });
+      return { blob: stamped.blob, watermarkId: stamped.watermark.id };
+    }
+  }
+  
+  return { blob: data, watermarkId: null };
+};
+
 /**
  * Download a file
+ * Response PDFs are watermarked for the downloading user when the
+ * watermark settings stamp on download. Files held by the upload scan are refused.
  * 
  * @param {string} filePath - The path of the file in storage
  * @param {string} fileName - The name to use for the downloaded file
+ * @param {string} fileId - The ID of the file record (for the audit log and watermark)
  * @returns {Promise<void>}
  */
-export const downloadFile = async (filePath, fileName) => {
+export const downloadFile = async (filePath, fileName, fileId = null) => {
   try {
-    const { data, error } = await supabase.storage
-      .from('request-files')
-      .download(filePath);
-      
-    if (error) throw error;
+    const { blob, watermarkId } = await fetchFileForDownload(filePath, fileId);
     
     // Create download link
-    const url = URL.createObjectURL(data);
+    const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
     a.download = fileName;
@@ -89,12 +269,184 @@ export const downloadFile = async (filePath, fileName) => {
     a.click();
     window.URL.revokeObjectURL(url);
     a.remove();
+    
+    await logAuditEvent({
+      action: AUDIT_ACTIONS.FILE_DOWNLOADED,
+      entityType: AUDIT_ENTITY_TYPES.FILE,
+      entityId: fileId,
+      metadata: { file_path: filePath, file_name: fileName, watermark_id: watermarkId }
+    });
   } catch (error) {
     console.error('Error downloading file:', error);
     throw error;
   }
 };
 
+/**
+ * Fetch the copy of a file the document viewer prints
+ * A printed copy leaves the system like a download, so it is watermarked
+ * the same way.
+ * 
+ * @param {string} filePath - The path of the file in storage
+ * @param {string} fileId - The ID of the file record (for the watermark)
+ * @returns {Promise<Object>} - { blob, watermarkId }
+ */
+export const fetchFileForPrint = (filePath, fileId) => fetchFileForDownload(filePath, fileId);
+
+/**
+ * Record that a file was printed from the document viewer
+ * 
+ * @param {string} fileId - The ID of the file record
+ * @param {string} fileName - The name of the file
+ * @param {string} watermarkId - Identifier of the printed copy, if it was watermarked
+ * @returns {Promise<void>}
+ */
+export const recordFilePrinted = async (fileId, fileName, watermarkId = null) => {
+  try {
+    await logAuditEvent({
+      action: AUDIT_ACTIONS.FILE_PRINTED,
+      entityType: AUDIT_ENTITY_TYPES.FILE,
+      entityId: fileId,
+      metadata: { file_name: fileName, watermark_id: watermarkId }
+    });
+  } catch (error) {
+    console.error('Error recording file print:', error);
+    throw error;
+  }
+};
+
+// Characters not allowed in file and folder names on common systems
+const UNSAFE_NAME_CHARACTERS = /[\\/:*?"<>|\x00-\x1f]/g;
+
+const safeName = (name) => (name || '').replace(UNSAFE_NAME_CHARACTERS, '_').trim() || 'untitled';
+
+/**
+ * Path in the archive that does not clash with one already used, numbering
+ * repeated names the way browsers do ("letter (2).pdf")
+ * 
+ * @param {string} folder - Folder in the archive
+ * @param {string} fileName - Original file name
+ * @param {Set<string>} usedPaths - Paths already in the archive, lower case
+ * @returns {string} - The path
+ */
+const uniquePath = (folder, fileName, usedPaths) => {
+  const name = safeName(fileName);
+  const dot = name.lastIndexOf('.');
+  const [base, extension] = dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ''];
+  let path = `${folder}/${name}`;
+  for (let n = 2; usedPaths.has(path.toLowerCase()); n++) {
+    path = `${folder}/${base} (${n})${extension}`;
+  }
+  usedPaths.add(path.toLowerCase());
+  return path;
+};
+
+const csvCell = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+
+/**
+ * Download the documents of one or more requests as a single ZIP
+ * The archive is assembled in the browser one file at a time, with each
+ * request in its own folder and a manifest.csv listing every file's name,
+ * size and SHA-256. Users who cannot view all requests only get the
+ * response files of their own organizations' requests. Only the current
+ * version of each document is included, and quarantined files are left out.
+ * 
+ * @param {Array<string>} requestIds - The requests to include
+ * @param {Object} options - Download options
+ * @param {string} options.userId - The downloading user
+ * @param {boolean} options.canViewAll - Whether the user can view all requests
+ * @param {Function} options.onProgress - Called with (done, total) after each file
+ * @returns {Promise<Object>} - { fileCount, saved }, saved false if the user cancelled
+ */
+export const downloadRequestsZip = async (requestIds, { userId, canViewAll, onProgress } = {}) => {
+  try {
+    let query = supabase
+      .from('v4_requests')
+      .select('id, reference_number, sender')
+      .in('id', requestIds);
+      
+    if (!canViewAll) {
+      const { data: memberships, error: membershipError } = await supabase
+        .from('v4_user_organizations')
+        .select('organization_id')
+        .eq('user_id', userId);
+        
+      if (membershipError) throw membershipError;
+      query = query.in('sender', (memberships || []).map(item => item.organization_id));
+    }
+    
+    const { data: requests, error: requestError } = await query.order('reference_number');
+    if (requestError) throw requestError;
+    if (!requests?.length) {
+      throw new Error('None of the selected requests can be downloaded.');
+    }
+    
+    let filesQuery = supabase
+      .from('v4_request_files')
+      .select('id, request_id, file_name, file_path, is_response, created_at, scan_status')
+      .in('request_id', requests.map(request => request.id))
+      .eq('is_current', true)
+      .order('created_at');
+      
+    if (!canViewAll) filesQuery = filesQuery.eq('is_response', true);
+    
+    const { data: files, error: filesError } = await filesQuery;
+    if (filesError) throw filesError;
+    
+    const downloadable = (files || []).filter(file => !isScanBlocked(file));
+    if (downloadable.length === 0) {
+      throw new Error('There are no documents to download.');
+    }
+    
+    const requestsById = Object.fromEntries(requests.map(request => [request.id, request]));
+    const usedPaths = new Set();
+    const manifest = [['Reference', 'Path', 'Size (bytes)', 'SHA-256', 'Uploaded'].map(csvCell).join(',')];
+    const downloaded = [];
+    
+    const entries = requests.flatMap(request => downloadable
+      .filter(file => file.request_id === request.id)
+      .map(file => {
+        const folder = `${safeName(request.reference_number)}/${file.is_response ? 'Responses' : 'Request Files'}`;
+        const path = uniquePath(folder, file.file_name, usedPaths);
+        return {
+          name: path,
+          date: new Date(file.created_at),
+          load: async () => {
+            const { blob, watermarkId } = await fetchFileForDownload(file.file_path, file.id);
+            manifest.push([request.reference_number, path, blob.size, await hashFile(blob), file.created_at].map(csvCell).join(','));
+            downloaded.push({ file, path, watermarkId });
+            if (onProgress) onProgress(downloaded.length, downloadable.length);
+            return new Uint8Array(await blob.arrayBuffer());
+          }
+        };
+      }));
+      
+    // The manifest goes last so it can list what was actually written
+    entries.push({
+      name: 'manifest.csv',
+      load: async () => new TextEncoder().encode(`${manifest.join('\r\n')}\r\n`)
+    });
+    
+    const archiveName = requests.length === 1
+      ? `${safeName(requests[0].reference_number)}.zip`
+      : `documents-${new Date().toISOString().slice(0, 10)}.zip`;
+    
+    const saved = await saveStream(createZipStream(entries), archiveName);
+    
+    await Promise.all(downloaded.map(({ file, path, watermarkId }) => logAuditEvent({
+      action: AUDIT_ACTIONS.FILE_DOWNLOADED,
+      entityType: AUDIT_ENTITY_TYPES.FILE,
+      entityId: file.id,
+      metadata: { file_path: file.file_path, file_name: file.file_name, archive: archiveName, archive_path: path, watermark_id: watermarkId }
+    })));
+    
+    return { fileCount: downloaded.length, saved };
+  } catch (error) {
+    console.error('Error downloading request documents:', error);
+    throw error;
+  }
+};
+
 /**
  * Get files for a request
  * 
@@ -129,6 +481,12 @@ export const getRequestFiles = async (requestId) => {
  */
 export const deleteFile = async (fileId, filePath) => {
   try {
+    const { data: before } = await supabase
+      .from('v4_request_files')
+      .select('*')
+      .eq('id', fileId)
+      .maybeSingle();
+    
     // Delete from storage first
     const { error: storageError } = await supabase.storage
       .from('request-files')
@@ -143,8 +501,120 @@ export const deleteFile = async (fileId, filePath) => {
       .eq('id', fileId);
       
     if (dbError) throw dbError;
+    
+    // Deleting the current version of a document brings back the latest
+    // earlier one, so the rest of its history stays listed
+    if (before?.is_current) {
+      const { data: previous, error: previousError } = await supabase
+        .from('v4_request_files')
+        .select('id, document_id')
+        .eq('document_id', before.document_id)
+        .order('version', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+        
+      if (previousError) throw previousError;
+      if (previous) await setCurrentVersion(previous);
+    }
+    
+    await logAuditEvent({
+      action: AUDIT_ACTIONS.FILE_DELETED,
+      entityType: AUDIT_ENTITY_TYPES.FILE,
+      entityId: fileId,
+      before,
+      metadata: { request_id: before?.request_id, file_path: filePath }
+    });
   } catch (error) {
     console.error('Error deleting file:', error);
     throw error;
   }
 };
+
+/**
+ * Find a file of a request with the same content
+ * Matches what the user chose as well as what was stored, so a document is
+ * recognized after conversion or watermarking too.
+ * 
+ * @param {string} requestId - The ID of the request
+ * @param {string} sha256 - SHA-256 of the file about to be attached
+ * @returns {Promise<Object|null>} - { id, file_name, is_response }, or null
+ */
+export const findDuplicateFile = async (requestId, sha256) => {
+  try {
+    const { data, error } = await supabase
+      .from('v4_request_files')
+      .select('id, file_name, is_response')
+      .eq('request_id', requestId)
+      .or(`source_sha256.eq.${sha256},sha256.eq.${sha256}`)
+      .limit(1)
+      .maybeSingle();
+      
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error looking for duplicate files:', error);
+    throw error;
+  }
+};
+
+/**
+ * Call the integrity-check function as the signed-in user
+ * 
+ * @param {Object} body - { action, ... }
+ * @returns {Promise<Object>} - The response body
+ */
+const invokeIntegrityCheck = async (body) => {
+  const { data, error } = await supabase.functions.invoke('integrity-check', {
+    body,
+    headers: { 'x-session-token': getStoredSession()?.access_token || '' }
+  });
+  
+  if (error) throw error;
+  if (data?.error) throw new Error(data.error);
+  return data;
+};
+
+/**
+ * Check every stored file against its recorded SHA-256 and look for
+ * objects in storage that no file record points to
+ * Files are re-hashed by the integrity-check function, batch by batch.
+ * 
+ * @param {Function} onProgress - Called with the number of files checked so far
+ * @returns {Promise<Object>} - { checked, ok, recorded, problems, orphans }
+ */
+export const checkStorageIntegrity = async (onProgress) => {
+  try {
+    const report = { checked: 0, ok: 0, recorded: 0, problems: [], orphans: [] };
+    let offset = 0;
+    
+    while (offset !== null) {
+      const batch = await invokeIntegrityCheck({ action: 'files', offset });
+      report.checked += batch.checked;
+      report.ok += batch.ok;
+      report.recorded += batch.recorded;
+      report.problems.push(...batch.problems);
+      offset = batch.nextOffset;
+      onProgress?.(report.checked);
+    }
+    
+    report.orphans = (await invokeIntegrityCheck({ action: 'orphans' })).orphans;
+    
+    await logAuditEvent({
+      action: AUDIT_ACTIONS.FILE_INTEGRITY_CHECKED,
+      entityType: AUDIT_ENTITY_TYPES.FILE,
+      entityId: null,
+      metadata: {
+        checked: report.checked,
+        ok: report.ok,
+        recorded: report.recorded,
+        problems: report.problems.map(({ file_id, file_path, status }) => ({ file_id, file_path, status })),
+        orphans: report.orphans.map(orphan => orphan.path)
+      }
+    });
+    
+    return report;
+  } catch (error) {
+    console.error('Error checking storage integrity:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,168 @@
+import { createWorker } from 'tesseract.js';
+import { supabase } from '../config/supabase';
+import { isPdfFile } from './pdfSecurityService';
+import { openPdfData, renderPage } from './pdfViewerService';
+import { OCR_LANGUAGES, OCR_IMAGE_TYPES, OCR_MAX_PAGES, OCR_RESOLUTION, TEXT_SOURCES } from '../config/ocr';
+
+/**
+ * Get the page images of a scanned PDF
+ * Each page is drawn at OCR_RESOLUTION, whatever format the scanner stored
+ * it in. PDFs with text have a text layer of their own and are left to the
+ * extract-text function, so they return no images.
+ * @param {File} file - The PDF
+ * @param {number} maxPages - Most pages to draw
+ * @returns {Promise<Array<Blob>>} Page images, in page order
+ */
+const getPdfPageImages = async (file, maxPages = OCR_MAX_PAGES) => {
+  const loadingTask = openPdfData(await file.arrayBuffer());
+  const canvas = document.createElement('canvas');
+
+  try {
+    const pdf = await loadingTask.promise;
+
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const { items } = await page.getTextContent();
+      if (items.some(item => item.str?.trim())) return [];
+    }
+
+    const images = [];
+    for (let pageNumber = 1; pageNumber <= Math.min(pdf.numPages, maxPages); pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const viewport = page.getViewport({ scale: OCR_RESOLUTION / 72 });
+      await renderPage(page, canvas, viewport, 1).promise;
+      images.push(await new Promise(resolve => canvas.toBlob(resolve, 'image/png')));
+    }
+    return images;
+  } finally {
+    canvas.width = 0;
+    canvas.height = 0;
+    loadingTask.destroy();
+  }
+};
+
+/**
+ * Check whether a file may be a scan that OCR can read
+ * @param {File} file - Uploaded file
+ * @returns {boolean} True for images and PDFs
+ */
+export const isOcrCandidate = (file) => OCR_IMAGE_TYPES.includes(file.type) || isPdfFile(file);
+
+/**
+ * Read the text of images with OCR
+ * tesseract.js runs in a web worker, so the page stays responsive.
+ * @param {Array<Blob>} images - Page images
+ * @param {Function} onProgress - Called with the overall progress (0-1)
+ * @returns {Promise<Object>} { text, confidence, lines } - Confidence is the mean over pages with text (0-100);
+ * lines are { text, confidence } in reading order
+ */
+export const recognizeImages = async (images, onProgress) => {
+  let pageIndex = 0;
+  const worker = await createWorker({
+    logger: message => {
+      if (message.status === 'recognizing text') {
+        onProgress?.((pageIndex + message.progress) / images.length);
+      }
+    }
+  });
+
+  try {
+    await worker.loadLanguage(OCR_LANGUAGES);
+    await worker.initialize(OCR_LANGUAGES);
+
+    const pages = [];
+    for (pageIndex = 0; pageIndex < images.length; pageIndex++) {
+      const { data } = await worker.recognize(images[pageIndex]);
+      if (data.text.trim()) pages.push(data);
+    }
+
+    return {
+      text: pages.map(page => page.text.trim()).join('\n\n'),
+      confidence: pages.length > 0
+        ? pages.reduce((sum, page) => sum + page.confidence, 0) / pages.length
+        : null,
+      lines: pages.flatMap(page => page.lines.map(line => ({
+        text: line.text.trim(),
+        confidence: line.confidence
+      })))
+    };
+  } finally {
+    await worker.terminate();
+  }
+};
+
+/**
+ * Store the OCR text of a file, where search picks it up
+ * @param {string} fileId - The ID of the file record
+ * @param {Object} result - { text, confidence }
+ * @returns {Promise<Object>} Updated file record
+ */
+export const saveOcrResult = async (fileId, { text, confidence }) => {
+  try {
+    const { data, error } = await supabase
+      .from('v4_request_files')
+      .update({
+        extracted_text: text || null,
+        ocr_confidence: confidence === null ? null : Math.round(confidence * 100) / 100,
+        text_source: TEXT_SOURCES.OCR,
+        text_extracted_at: new Date().toISOString()
+      })
+      .eq('id', fileId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error(`Error saving OCR text of file ${fileId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Read the first page of a scanned letter with OCR
+ * Used to fill in a new request before the letter is saved anywhere.
+ * @param {File} file - Image or scanned PDF
+ * @param {Function} onProgress - Called with the progress (0-1)
+ * @returns {Promise<Object>} { text, confidence, lines }
+ */
+export const recognizeLetter = async (file, onProgress) => {
+  try {
+    if (!isOcrCandidate(file)) {
+      throw new Error('Only JPEG, PNG and PDF scans can be read.');
+    }
+
+    const images = isPdfFile(file) ? await getPdfPageImages(file, 1) : [file];
+    if (images.length === 0) {
+      throw new Error('This PDF has no scanned pages to read.');
+    }
+
+    return await recognizeImages(images, onProgress);
+  } catch (error) {
+    console.error(`Error reading letter ${file.name}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Read an uploaded scan with OCR and store its text
+ * Files that are not scans (other types, PDFs with a text layer) are skipped.
+ * @param {File} file - The uploaded file
+ * @param {string} fileId - The ID of its file record
+ * @param {Function} onProgress - Called with the progress (0-1)
+ * @returns {Promise<Object|null>} Updated file record, or null if skipped
+ */
+export const recognizeScannedFile = async (file, fileId, onProgress) => {
+  try {
+    if (!isOcrCandidate(file)) return null;
+
+    const images = isPdfFile(file) ? await getPdfPageImages(file) : [file];
+    if (images.length === 0) return null;
+
+    const result = await recognizeImages(images, onProgress);
+    return await saveOcrResult(fileId, result);
+  } catch (error) {
+    console.error(`Error reading text of ${file.name}:`, error);
+    throw error;
+  }
+};
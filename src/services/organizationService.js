@@ -1,4 +1,6 @@
 import { supabase } from '../config/supabase';
+import { logAuditEvent } from './auditService';
+import { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES } from '../config/audit';
 
 /**
  * Fetch all organizations
@@ -54,6 +56,14 @@ export const createOrganization = async (orgData) => {
       .single();
 
     if (error) throw error;
+
+    await logAuditEvent({
+      action: AUDIT_ACTIONS.ORGANIZATION_CREATED,
+      entityType: AUDIT_ENTITY_TYPES.ORGANIZATION,
+      entityId: data.id,
+      after: data
+    });
+
     return data;
   } catch (error) {
     console.error('Error creating organization:', error);
@@ -69,6 +79,12 @@ export const createOrganization = async (orgData) => {
  */
 export const updateOrganization = async (id, orgData) => {
   try {
+    const { data: before } = await supabase
+      .from('v4_organizations')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
     const { data, error } = await supabase
       .from('v4_organizations')
       .update(orgData)
@@ -77,6 +93,15 @@ export const updateOrganization = async (id, orgData) => {
       .single();
 
     if (error) throw error;
+
+    await logAuditEvent({
+      action: AUDIT_ACTIONS.ORGANIZATION_UPDATED,
+      entityType: AUDIT_ENTITY_TYPES.ORGANIZATION,
+      entityId: id,
+      before,
+      after: data
+    });
+
     return data;
   } catch (error) {
     console.error(`Error updating organization with ID ${id}:`, error);
@@ -91,12 +116,25 @@ export const updateOrganization = async (id, orgData) => {
  */
 export const deleteOrganization = async (id) => {
   try {
+    const { data: before } = await supabase
+      .from('v4_organizations')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
     const { error } = await supabase
       .from('v4_organizations')
       .delete()
       .eq('id', id);
 
     if (error) throw error;
+
+    await logAuditEvent({
+      action: AUDIT_ACTIONS.ORGANIZATION_DELETED,
+      entityType: AUDIT_ENTITY_TYPES.ORGANIZATION,
+      entityId: id,
+      before
+    });
   } catch (error) {
     console.error(`Error deleting organization with ID ${id}:`, error);
     throw error;
@@ -200,6 +238,15 @@ export const assignUserToOrganization = async (userId, orgId, isPrimary = false)
       .select();
 
     if (error) throw error;
+
+    await logAuditEvent({
+      action: AUDIT_ACTIONS.ORGANIZATION_USER_ADDED,
+      entityType: AUDIT_ENTITY_TYPES.ORGANIZATION,
+      entityId: orgId,
+      after: data[0],
+      metadata: { user_id: userId, is_primary: isPrimary }
+    });
+
     return data[0];
   } catch (error) {
     console.error(`Error assigning user ${userId} to organization ${orgId}:`, error);
@@ -222,6 +269,13 @@ export const removeUserFromOrganization = async (userId, orgId) => {
       .eq('organization_id', orgId);
 
     if (error) throw error;
+
+    await logAuditEvent({
+      action: AUDIT_ACTIONS.ORGANIZATION_USER_REMOVED,
+      entityType: AUDIT_ENTITY_TYPES.ORGANIZATION,
+      entityId: orgId,
+      metadata: { user_id: userId }
+    });
     
     // Check if this was the user's primary organization
     const { data: remaining } = await supabase
@@ -272,6 +326,13 @@ export const setPrimaryOrganization = async (userId, orgId) => {
       .eq('organization_id', orgId);
 
     if (error) throw error;
+
+    await logAuditEvent({
+      action: AUDIT_ACTIONS.ORGANIZATION_PRIMARY_SET,
+      entityType: AUDIT_ENTITY_TYPES.ORGANIZATION,
+      entityId: orgId,
+      metadata: { user_id: userId }
+    });
   } catch (error) {
     console.error(`Error setting primary organization for user ${userId}:`, error);
     throw error;
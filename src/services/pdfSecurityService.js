@@ -1,4 +1,7 @@
 import { PDFDocument } from 'pdf-lib';
+import { supabase } from '../config/supabase';
+import { getStoredSession } from './authService';
+import { CONVERTIBLE_IMAGE_TYPES, CONVERTIBLE_OFFICE_TYPES } from '../config/conversion';
 
 /**
  * Applies security settings to a PDF file
@@ -98,10 +101,80 @@ export const isPdfFile = (file) => {
 
 /**
  * Returns an array of file types that can be secured
- * Currently only PDFs are supported
+ * Images and Word or Excel documents are converted to PDF first
  * 
  * @returns {string[]} - Array of MIME types
  */
 export const getSecurableFileTypes = () => {
-  return ['application/pdf'];
+  return ['application/pdf', ...CONVERTIBLE_IMAGE_TYPES, ...CONVERTIBLE_OFFICE_TYPES];
+};
+
+/**
+ * Call the pdf-password function as the signed-in user
+ * 
+ * @param {Object} body - { action, ... }
+ * @returns {Promise<Object>} - The response body
+ */
+const invokePdfPassword = async (body) => {
+  const { data, error } = await supabase.functions.invoke('pdf-password', {
+    body,
+    headers: { 'x-session-token': getStoredSession()?.access_token || '' }
+  });
+  
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Get the open password of a protected PDF, or an organization's current one
+ * Every lookup is recorded in the audit log.
+ * 
+ * @param {Object} target - { fileId } or { organizationId }
+ * @returns {Promise<Object>} - { password, version }
+ */
+export const revealPdfPassword = async ({ fileId = null, organizationId = null }) => {
+  try {
+    return await invokePdfPassword({ action: 'reveal', fileId, organizationId });
+  } catch (error) {
+    console.error('Error revealing PDF password:', error);
+    throw error;
+  }
+};
+
+/**
+ * Start a new open password for an organization
+ * PDFs protected before keep the password they were encrypted with.
+ * 
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<Object>} - { version }
+ */
+export const rotatePdfPassword = async (organizationId) => {
+  try {
+    return await invokePdfPassword({ action: 'rotate', organizationId });
+  } catch (error) {
+    console.error(`Error rotating PDF password of organization ${organizationId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch the open password versions of an organization, newest first
+ * 
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<Array>} - [{ version, created_at, retired_at }]
+ */
+export const fetchPdfPasswordVersions = async (organizationId) => {
+  try {
+    const { data, error } = await supabase
+      .from('v4_pdf_passwords')
+      .select('version, created_at, retired_at')
+      .eq('organization_id', organizationId)
+      .order('version', { ascending: false });
+      
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error(`Error fetching PDF password versions of organization ${organizationId}:`, error);
+    throw error;
+  }
 };
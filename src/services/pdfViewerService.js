@@ -0,0 +1,194 @@
+import {
+  getDocument,
+  GlobalWorkerOptions,
+  PasswordResponses,
+  PermissionFlag,
+  TextLayer
+} from 'pdfjs-dist';
+import workerUrl from 'pdfjs-dist/build/pdf.worker.min.mjs?url';
+import { PRINT_RESOLUTION, SECURED_PDF_PRINTING } from '../config/viewer';
+
+// pdf.js parses documents in a web worker, so large files do not block the page
+GlobalWorkerOptions.workerSrc = workerUrl;
+
+// Text of each page, by document, kept for repeated searches
+const pageTexts = new WeakMap();
+
+/**
+ * Open a PDF for rendering
+ * Password-protected PDFs call onPassword with a function to submit the
+ * password and whether the last one was wrong.
+ * @param {string} url - URL of the PDF (an object URL of the downloaded file)
+ * @param {Function} onPassword - Called with (submit, incorrect)
+ * @returns {PDFDocumentLoadingTask} Loading task; its promise resolves to the document, destroy() closes it
+ */
+export const openPdf = (url, onPassword) => {
+  const loadingTask = getDocument({ url });
+  loadingTask.onPassword = (submit, reason) => onPassword(submit, reason === PasswordResponses.INCORRECT_PASSWORD);
+  return loadingTask;
+};
+
+/**
+ * Open a PDF from its contents, e.g. a file picked on the page
+ * pdf.js takes over the buffer it is given, so it reads a copy.
+ * @param {ArrayBuffer} bytes - Contents of the PDF
+ * @returns {PDFDocumentLoadingTask} Loading task; its promise resolves to the document, destroy() closes it
+ */
+export const openPdfData = (bytes) => getDocument({ data: new Uint8Array(bytes.slice(0)) });
+
+/**
+ * Check whether rendering failed only because it was cancelled
+ * @param {Error} error - The error a render or text layer rejected with
+ * @returns {boolean} True when the error can be ignored
+ */
+export const isRenderCancelled = (error) =>
+  error?.name === 'RenderingCancelledException' || error?.name === 'AbortException';
+
+/**
+ * Draw a page on a canvas, sharp on high-density screens
+ * @param {PDFPageProxy} page - The page
+ * @param {HTMLCanvasElement} canvas - The canvas to draw on
+ * @param {PageViewport} viewport - Scale and rotation to draw at
+ * @param {number} pixelRatio - Device pixels per CSS pixel
+ * @returns {RenderTask} Render task; its promise resolves when drawn, cancel() stops it
+ */
+export const renderPage = (page, canvas, viewport, pixelRatio = window.devicePixelRatio || 1) => {
+  canvas.width = Math.floor(viewport.width * pixelRatio);
+  canvas.height = Math.floor(viewport.height * pixelRatio);
+  canvas.style.width = `${Math.floor(viewport.width)}px`;
+  canvas.style.height = `${Math.floor(viewport.height)}px`;
+
+  return page.render({
+    canvasContext: canvas.getContext('2d'),
+    viewport,
+    transform: pixelRatio === 1 ? null : [pixelRatio, 0, 0, pixelRatio, 0, 0]
+  });
+};
+
+/**
+ * Lay the text of a page over its canvas, for selecting and highlighting
+ * Each text item of the page becomes one span, in page order.
+ * @param {PDFPageProxy} page - The page
+ * @param {HTMLElement} container - Element over the canvas
+ * @param {PageViewport} viewport - Viewport the canvas was drawn with
+ * @returns {TextLayer} Text layer; render() draws it, cancel() stops it
+ */
+export const createTextLayer = (page, container, viewport) => {
+  container.replaceChildren();
+  container.style.setProperty('--scale-factor', viewport.scale);
+  return new TextLayer({
+    textContentSource: page.streamTextContent(),
+    container,
+    viewport
+  });
+};
+
+/**
+ * Get the text items of every page of a document
+ * @param {PDFDocumentProxy} pdf - The document
+ * @returns {Promise<Array<Array<string>>>} Text items per page, in page order
+ */
+const getPageTexts = async (pdf) => {
+  if (!pageTexts.has(pdf)) {
+    const pages = [];
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const { items } = await page.getTextContent();
+      pages.push(items.filter(item => item.str).map(item => item.str.toLowerCase()));
+    }
+    pageTexts.set(pdf, pages);
+  }
+  return pageTexts.get(pdf);
+};
+
+/**
+ * Find text in a document
+ * Matches are text items containing the query, which is what the text layer
+ * highlights; text broken across lines is not found.
+ * @param {PDFDocumentProxy} pdf - The document
+ * @param {string} query - Text to find, in any case
+ * @returns {Promise<Array<Object>>} Matches in document order: { pageNumber, index }, index counting matches on the page
+ */
+export const findInPdf = async (pdf, query) => {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return [];
+
+  const pages = await getPageTexts(pdf);
+  return pages.flatMap((items, pageIndex) => items
+    .filter(item => item.includes(needle))
+    .map((item, index) => ({ pageNumber: pageIndex + 1, index })));
+};
+
+/**
+ * Check whether a document may be printed from the viewer
+ * Secured PDFs follow SECURED_PDF_PRINTING and the permissions stored in
+ * the document itself; other PDFs can always be printed.
+ * @param {PDFDocumentProxy} pdf - The document
+ * @param {boolean} isSecured - Whether the file was secured on upload
+ * @returns {Promise<boolean>} True when printing is allowed
+ */
+export const canPrintPdf = async (pdf, isSecured) => {
+  if (!isSecured) return true;
+  if (!SECURED_PDF_PRINTING) return false;
+
+  // null when the document sets no restrictions
+  const permissions = await pdf.getPermissions();
+  return !permissions ||
+    permissions.includes(PermissionFlag.PRINT) ||
+    permissions.includes(PermissionFlag.PRINT_HIGH_QUALITY);
+};
+
+/**
+ * Print a document
+ * Pages are rendered to images at PRINT_RESOLUTION and printed from a
+ * hidden frame, so the file itself is never handed to the browser's own
+ * PDF viewer.
+ * @param {PDFDocumentProxy} pdf - The document
+ * @param {number} rotation - Rotation applied in the viewer, in degrees
+ * @returns {Promise<void>} Resolves once the print dialog has been opened
+ */
+export const printPdf = async (pdf, rotation = 0) => {
+  const imageUrls = [];
+  const canvas = document.createElement('canvas');
+
+  try {
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const viewport = page.getViewport({ scale: PRINT_RESOLUTION / 72, rotation: (page.rotate + rotation) % 360 });
+      await renderPage(page, canvas, viewport, 1).promise;
+      const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+      imageUrls.push(URL.createObjectURL(blob));
+    }
+  } catch (error) {
+    imageUrls.forEach(url => URL.revokeObjectURL(url));
+    throw error;
+  } finally {
+    canvas.width = 0;
+    canvas.height = 0;
+  }
+
+  const frame = document.createElement('iframe');
+  frame.style.cssText = 'position:fixed;right:0;bottom:0;width:0;height:0;border:0';
+  document.body.appendChild(frame);
+
+  const cleanUp = () => {
+    imageUrls.forEach(url => URL.revokeObjectURL(url));
+    frame.remove();
+  };
+
+  const frameDocument = frame.contentDocument;
+  frameDocument.open();
+  frameDocument.write(`<!DOCTYPE html><html><head><style>
+    @page { margin: 0; }
+    body { margin: 0; }
+    img { display: block; width: 100%; page-break-after: always; break-after: page; }
+    img:last-child { page-break-after: auto; break-after: auto; }
+  </style></head><body>${imageUrls.map(url => `<img src="${url}">`).join('')}</body></html>`);
+  frameDocument.close();
+
+  await Promise.all(Array.from(frameDocument.images, image => image.decode().catch(() => {})));
+
+  frame.contentWindow.addEventListener('afterprint', cleanUp, { once: true });
+  frame.contentWindow.focus();
+  frame.contentWindow.print();
+};
@@ -0,0 +1,53 @@
+import { supabase } from '../config/supabase';
+import { getStoredSession } from './authService';
+
+/**
+ * Fetch the saved permissions of every role
+ * Roles that were saved without any permissions map to an empty list.
+ * @returns {Promise<Object>} Map of role to permission keys
+ */
+export const fetchRolePermissions = async () => {
+  try {
+    const [{ data: roles, error: rolesError }, { data, error }] = await Promise.all([
+      supabase.from('v4_permission_roles').select('role'),
+      supabase.from('v4_role_permissions').select('role, permission')
+    ]);
+
+    if (rolesError) throw rolesError;
+    if (error) throw error;
+
+    const configured = Object.fromEntries((roles || []).map(({ role }) => [role, []]));
+
+    return (data || []).reduce((rolePermissions, { role, permission }) => ({
+      ...rolePermissions,
+      [role]: [...(rolePermissions[role] || []), permission]
+    }), configured);
+  } catch (error) {
+    console.error('Error fetching role permissions:', error);
+    throw error;
+  }
+};
+
+/**
+ * Replace the permissions of a role
+ * Saved by the role-permissions function, which checks that the signed-in
+ * user may manage permissions and writes the change to the audit trail.
+ * @param {string} role - Role
+ * @param {Array<string>} permissions - Permission keys the role should have
+ * @returns {Promise<Object>} { added, removed }
+ */
+export const saveRolePermissions = async (role, permissions) => {
+  try {
+    const { data, error } = await supabase.functions.invoke('role-permissions', {
+      body: { action: 'save', role, permissions },
+      headers: { 'x-session-token': getStoredSession()?.access_token || '' }
+    });
+
+    if (error) throw error;
+    if (data?.error) throw new Error(data.error);
+    return data;
+  } catch (error) {
+    console.error(`Error saving permissions for ${role}:`, error);
+    throw error;
+  }
+};
@@ -1,6 +1,9 @@
 import { supabase } from '../config/supabase';
 import { format } from 'date-fns';
 import * as XLSX from 'xlsx';
+import { getActiveWorkflow } from './workflowService';
+import { getStatusLabel, getStatusChartColor, getStatusesByCategory } from '../utils/workflowUtils';
+import { STATUS_CATEGORIES } from '../config/workflow';
 
 /**
  * Service for handling report data from the database
@@ -30,11 +33,14 @@ class ReportService {
 
       if (error) throw error;
 
+      // Labels and colors follow the configured workflow
+      const workflow = await getActiveWorkflow();
+
       // Format data for charts
       return data.map(item => ({
-        name: this.formatStatus(item.status),
+        name: getStatusLabel(workflow, item.status),
         value: parseInt(item.count),
-        color: this.getStatusColor(item.status)
+        color: getStatusChartColor(workflow, item.status)
       }));
     } catch (error) {
       console.error('Error fetching status distribution:', error);
@@ -161,10 +167,13 @@ class ReportService {
   async getResponseTimeData(startDate, endDate, groupBy = 'priority') {
     try {
       if (groupBy === 'priority') {
+        // Every status of the completed category counts, as in the other reports
+        const workflow = await getActiveWorkflow();
+
         const { data, error } = await supabase
           .from('v4_requests')
           .select('priority, completed_at, created_at')
-          .eq('status', 'completed')
+          .in('status', getStatusesByCategory(workflow, STATUS_CATEGORIES.COMPLETED))
           .not('completed_at', 'is', null)
           .gte('date_received', startDate)
           .lte('date_received', endDate);
@@ -303,22 +312,6 @@ class ReportService {
       throw new Error('Failed to export data');
     }
   }
-
-  // Helper functions
-  formatStatus(status) {
-    return status.split('_').map(word => 
-      word.charAt(0).toUpperCase() + word.slice(1)
-    ).join(' ');
-  }
-
-  getStatusColor(status) {
-    const STATUS_COLORS = {
-      'pending': '#FFBB28',
-      'in_progress': '#0088FE',
-      'completed': '#00C49F'
-    };
-    return STATUS_COLORS[status] || '#8884d8';
-  }
 }
 
 // Colors for charts
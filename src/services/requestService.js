@@ -1,4 +1,23 @@
 import { supabase } from '../config/supabase';
+import { logAuditEvent } from './auditService';
+import { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES } from '../config/audit';
+import { NOTIFICATION_TYPES } from '../config/constants';
+import notificationService from './notificationService';
+
+/**
+ * Fetch the current row of a request so changes can be audited
+ * 
+ * @param {string} requestId - The request ID
+ * @returns {Promise<Object|null>} - The request row
+ */
+const fetchRequestRow = async (requestId) => {
+  const { data } = await supabase
+    .from('v4_requests')
+    .select('*')
+    .eq('id', requestId)
+    .maybeSingle();
+  return data;
+};
 
 /**
  * Create a new request
@@ -15,6 +34,14 @@ export const createRequest = async (requestData) => {
       .single();
       
     if (error) throw error;
+    
+    await logAuditEvent({
+      action: AUDIT_ACTIONS.REQUEST_CREATED,
+      entityType: AUDIT_ENTITY_TYPES.REQUEST,
+      entityId: data.id,
+      after: data
+    });
+    
     return data;
   } catch (error) {
     console.error('Error creating request:', error);
@@ -59,6 +86,8 @@ export const getRequestById = async (requestId) => {
  */
 export const updateRequest = async (requestId, updateData) => {
   try {
+    const before = await fetchRequestRow(requestId);
+    
     const { data, error } = await supabase
       .from('v4_requests')
       .update(updateData)
@@ -67,6 +96,15 @@ export const updateRequest = async (requestId, updateData) => {
       .single();
       
     if (error) throw error;
+    
+    await logAuditEvent({
+      action: AUDIT_ACTIONS.REQUEST_UPDATED,
+      entityType: AUDIT_ENTITY_TYPES.REQUEST,
+      entityId: requestId,
+      before,
+      after: data
+    });
+    
     return data;
   } catch (error) {
     console.error('Error updating request:', error);
@@ -75,52 +113,127 @@ export const updateRequest = async (requestId, updateData) => {
 };
 
 /**
- * Mark a request as completed
+ * Place or release a legal hold; documents of held requests are not deleted
  * 
  * @param {string} requestId - The request ID
- * @param {string} userId - The ID of the user completing the request
+ * @param {boolean} hold - Whether to hold the request
+ * @param {string} reason - Why the documents must be kept
+ * @param {string} userId - The ID of the user changing the hold
  * @returns {Promise<Object>} - The updated request
  */
-export const completeRequest = async (requestId, userId) => {
+export const setLegalHold = async (requestId, hold, reason, userId) => {
   try {
-    const now = new Date().toISOString();
+    const before = await fetchRequestRow(requestId);
     const { data, error } = await supabase
       .from('v4_requests')
-      .update({ 
-        status: 'completed',
-        completed_at: now,
-        updated_by: userId,
-        updated_at: now
+      .update({
+        legal_hold: hold,
+        legal_hold_reason: hold ? reason : null,
+        legal_hold_set_by: userId,
+        legal_hold_set_at: new Date().toISOString()
       })
       .eq('id', requestId)
       .select()
       .single();
       
     if (error) throw error;
+    
+    await logAuditEvent({
+      action: AUDIT_ACTIONS.REQUEST_LEGAL_HOLD_CHANGED,
+      entityType: AUDIT_ENTITY_TYPES.REQUEST,
+      entityId: requestId,
+      before,
+      after: data
+    });
+    
     return data;
   } catch (error) {
-    console.error('Error completing request:', error);
+    console.error('Error changing legal hold:', error);
     throw error;
   }
 };
 
+// Columns requests can be sorted by; anything else falls back to date received
+const SORTABLE_COLUMNS = [
+  'date_received',
+  'created_at',
+  'updated_at',
+  'due_at',
+  'reference_number',
+  'subject',
+  'priority',
+  'status'
+];
+
+/**
+ * Quote a value for use inside a PostgREST or() filter
+ * 
+ * @param {string} value - Raw value
+ * @returns {string} - Quoted value
+ */
+const quoteFilterValue = (value) => `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+
+/**
+ * Build the or() filter for an SLA state
+ * Mirrors getSlaState in slaUtils using the columns the database keeps up to date.
+ * 
+ * @param {string} state - SLA state
+ * @param {Object} statuses - { open, completed } status keys
+ * @param {string} now - Reference time (ISO string)
+ * @returns {string|null} - Filter, or null for an unknown state
+ */
+const buildSlaFilter = (state, { open = [], completed = [] }, now) => {
+  const openList = `status.in.(${open.map(quoteFilterValue).join(',')})`;
+  const completedList = `status.in.(${completed.map(quoteFilterValue).join(',')})`;
+  const at = quoteFilterValue(now);
+
+  switch (state) {
+    case 'on_track':
+      return `and(${openList},due_at.gte.${at},sla_at_risk_at.gt.${at})`;
+    case 'at_risk':
+      return `and(${openList},due_at.gte.${at},sla_at_risk_at.lte.${at})`;
+    case 'breached':
+      return `and(${openList},due_at.lt.${at}),and(${completedList},completed_late.is.true)`;
+    case 'met':
+      return `and(${completedList},completed_late.is.false)`;
+    default:
+      return null;
+  }
+};
+
 /**
- * Get all requests with filtering options
+ * Get one page of requests with filtering and sorting
  * 
  * @param {Object} filters - Filter options
- * @returns {Promise<Array>} - Array of requests
+ * @param {string} filters.status - Status key
+ * @param {string} filters.organization - Sender organization ID
+ * @param {Array<string>} filters.organizationIds - Only requests from these organizations
+ * @param {string} filters.priority - Priority
+ * @param {Object} filters.dateRange - { start, end } (yyyy-MM-dd) on the date received
+ * @param {string} filters.searchTerm - Text in the reference number or subject
+ * @param {string} filters.assignedTo - User ID, or 'unassigned'
+ * @param {string} filters.sla - SLA state
+ * @param {Object} filters.slaStatuses - { open, completed } status keys, needed for the SLA filter
+ * @param {string} filters.sortBy - Column to sort by
+ * @param {boolean} filters.ascending - Sort direction
+ * @param {number} filters.page - Page number (1-based)
+ * @param {number} filters.pageSize - Requests per page; omit to fetch everything
+ * @returns {Promise<Object>} - { data, count }
  */
 export const getRequests = async (filters = {}) => {
   try {
+    const sortBy = SORTABLE_COLUMNS.includes(filters.sortBy) ? filters.sortBy : 'date_received';
+    
     let query = supabase
       .from('v4_requests')
       .select(`
         *,
         organizations:sender (name),
-        files:v4_request_files (id),
-        comments:v4_comments (id)
-      `)
-      .order('date_received', { ascending: false });
+        files:v4_request_files!v4_request_files_request_id_fkey (count),
+        comments:v4_comments!v4_comments_request_id_fkey (count)
+      `, { count: 'exact' })
+      .order(sortBy, { ascending: Boolean(filters.ascending), nullsFirst: false })
+      .order('id');
     
     // Apply status filter
     if (filters.status && filters.status !== 'all') {
@@ -132,51 +245,61 @@ export const getRequests = async (filters = {}) => {
       query = query.eq('sender', filters.organization);
     }
     
+    // Users who only see some organizations
+    if (filters.organizationIds) {
+      query = query.in('sender', filters.organizationIds);
+    }
+    
     // Apply priority filter
     if (filters.priority && filters.priority !== 'all') {
       query = query.eq('priority', filters.priority);
     }
     
     // Apply date range filter
-    if (filters.dateRange) {
-      if (filters.dateRange.start) {
-        query = query.gte('date_received', filters.dateRange.start);
-      }
-      if (filters.dateRange.end) {
-        query = query.lte('date_received', filters.dateRange.end);
-      }
+    if (filters.dateRange?.start) {
+      query = query.gte('date_received', filters.dateRange.start);
+    }
+    if (filters.dateRange?.end) {
+      query = query.lte('date_received', filters.dateRange.end);
     }
     
     // Apply search term
     if (filters.searchTerm) {
-      query = query.or(
-        `reference_number.ilike.%${filters.searchTerm}%,subject.ilike.%${filters.searchTerm}%`
-      );
+      const pattern = quoteFilterValue(`%${filters.searchTerm}%`);
+      query = query.or(`reference_number.ilike.${pattern},subject.ilike.${pattern}`);
     }
     
     // Apply assigned to filter
-    if (filters.assignedTo) {
+    if (filters.assignedTo === 'unassigned') {
+      query = query.is('assigned_to', null);
+    } else if (filters.assignedTo && filters.assignedTo !== 'all') {
       query = query.eq('assigned_to', filters.assignedTo);
     }
     
-    // For organization users, filter by their organization
-    if (filters.organizationId) {
-      query = query.eq('sender', filters.organizationId);
+    // Apply SLA filter
+    if (filters.sla && filters.sla !== 'all' && filters.slaStatuses) {
+      const slaFilter = buildSlaFilter(filters.sla, filters.slaStatuses, new Date().toISOString());
+      if (slaFilter) query = query.or(slaFilter);
     }
     
-    const { data, error } = await query;
+    if (filters.pageSize) {
+      const from = ((filters.page || 1) - 1) * filters.pageSize;
+      query = query.range(from, from + filters.pageSize - 1);
+    }
+    
+    const { data, error, count } = await query;
     
     if (error) throw error;
     
     // Process request data
-    const processedRequests = data.map(request => ({
+    const processedRequests = (data || []).map(request => ({
       ...request,
-      sender_name: request.organizations.name,
-      files_count: request.files ? request.files.length : 0,
-      comments_count: request.comments ? request.comments.length : 0
+      sender_name: request.organizations?.name || 'Unknown',
+      files_count: request.files?.[0]?.count || 0,
+      comments_count: request.comments?.[0]?.count || 0
     }));
     
-    return processedRequests;
+    return { data: processedRequests, count: count || 0 };
   } catch (error) {
     console.error('Error fetching requests:', error);
     throw error;
@@ -191,12 +314,21 @@ export const getRequests = async (filters = {}) => {
  */
 export const deleteRequest = async (requestId) => {
   try {
+    const before = await fetchRequestRow(requestId);
+    
     const { error } = await supabase
       .from('v4_requests')
       .delete()
       .eq('id', requestId);
       
     if (error) throw error;
+    
+    await logAuditEvent({
+      action: AUDIT_ACTIONS.REQUEST_DELETED,
+      entityType: AUDIT_ENTITY_TYPES.REQUEST,
+      entityId: requestId,
+      before
+    });
   } catch (error) {
     console.error('Error deleting request:', error);
     throw error;
@@ -204,28 +336,57 @@ export const deleteRequest = async (requestId) => {
 };
 
 /**
- * Assign a request to a user
+ * Assign a request to a user, or clear the assignment
+ * The assignee is notified unless they assigned it to themselves.
  * 
  * @param {string} requestId - The request ID
- * @param {string} userId - The user ID to assign to
+ * @param {string|null} userId - The user ID to assign to, or null to unassign
  * @param {string} updatedBy - The ID of the user making the change
- * @returns {Promise<Object>} - The updated request
+ * @param {Object} options - Assignment options
+ * @param {boolean} options.onlyIfUnassigned - Fail instead of reassigning a request someone already has
+ * @returns {Promise<Object|null>} - The updated request, or null if it was already taken
  */
-export const assignRequest = async (requestId, userId, updatedBy) => {
+export const assignRequest = async (requestId, userId, updatedBy, options = {}) => {
   try {
-    const { data, error } = await supabase
+    const before = await fetchRequestRow(requestId);
+    
+    let query = supabase
       .from('v4_requests')
       .update({ 
         assigned_to: userId,
-        status: 'in_progress',
         updated_by: updatedBy,
         updated_at: new Date().toISOString()
       })
-      .eq('id', requestId)
-      .select()
-      .single();
+      .eq('id', requestId);
+    
+    if (options.onlyIfUnassigned) {
+      query = query.is('assigned_to', null);
+    }
+    
+    const { data, error } = await query.select().maybeSingle();
       
     if (error) throw error;
+    if (!data) return null;
+    
+    await logAuditEvent({
+      action: AUDIT_ACTIONS.REQUEST_ASSIGNED,
+      entityType: AUDIT_ENTITY_TYPES.REQUEST,
+      entityId: requestId,
+      before,
+      after: data,
+      metadata: { from: before?.assigned_to || null, to: userId }
+    });
+    
+    if (userId && userId !== updatedBy && userId !== before?.assigned_to) {
+      await notificationService.createNotification({
+        user_id: userId,
+        type: NOTIFICATION_TYPES.REQUEST_ASSIGNED,
+        title: 'Request assigned to you',
+        message: `Request ${data.reference_number} has been assigned to you.`,
+        related_request_id: requestId
+      });
+    }
+    
     return data;
   } catch (error) {
     console.error('Error assigning request:', error);
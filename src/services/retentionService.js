@@ -0,0 +1,115 @@
+import { supabase } from '../config/supabase';
+import { invokeSettings } from './settingsService';
+import { RETENTION_PREVIEW_DAYS } from '../config/retention';
+
+/**
+ * Fetch all retention policies
+ * A policy applies to the requests matching its organization, priority and
+ * file kind; empty fields match everything.
+ * @returns {Promise<Array>} Array of retention policies
+ */
+export const fetchRetentionPolicies = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('v4_retention_policies')
+      .select(`
+        *,
+        v4_organizations:organization_id (name)
+      `)
+      .order('created_at');
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error fetching retention policies:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create or update a retention policy
+ * Saved by the settings function, which writes the change to the audit trail.
+ * @param {Object} policy - Policy data (organization_id, priority, file_kind, retention_days)
+ * @returns {Promise<Object>} Saved policy
+ */
+export const saveRetentionPolicy = async (policy) => {
+  try {
+    const { policy: saved } = await invokeSettings({
+      action: 'save-retention-policy',
+      policy: {
+        id: policy.id || null,
+        organization_id: policy.organization_id || null,
+        priority: policy.priority || null,
+        file_kind: policy.file_kind || null,
+        retention_days: Number(policy.retention_days)
+      }
+    });
+
+    return saved;
+  } catch (error) {
+    console.error('Error saving retention policy:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a retention policy
+ * @param {string} id - Policy ID
+ * @returns {Promise<void>}
+ */
+export const deleteRetentionPolicy = async (id) => {
+  try {
+    await invokeSettings({ action: 'delete-retention-policy', id });
+  } catch (error) {
+    console.error(`Error deleting retention policy ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Recompute deletion dates of completed requests after policies change
+ * @returns {Promise<number>} Number of requests updated
+ */
+export const recalculateRetention = async () => {
+  try {
+    const { data, error } = await supabase.rpc('v4_recalculate_retention');
+
+    if (error) throw error;
+    return data || 0;
+  } catch (error) {
+    console.error('Error recalculating retention:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch the files the retention job will delete in the coming days
+ * Files of requests under a legal hold are left out, as they are kept.
+ * @param {number} days - How many days ahead to look
+ * @returns {Promise<Array>} Files ordered by deletion date, with their request
+ */
+export const fetchUpcomingDeletions = async (days = RETENTION_PREVIEW_DAYS) => {
+  try {
+    const horizon = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+    const { data, error } = await supabase
+      .from('v4_request_files')
+      .select(`
+        id, file_name, file_size, is_response, deletion_date,
+        request:request_id!inner (
+          id, reference_number, priority, legal_hold,
+          organizations:sender (name)
+        )
+      `)
+      .not('deletion_date', 'is', null)
+      .lte('deletion_date', horizon.toISOString())
+      .eq('request.legal_hold', false)
+      .order('deletion_date');
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error fetching upcoming deletions:', error);
+    throw error;
+  }
+};
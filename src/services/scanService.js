@@ -0,0 +1,153 @@
+import { supabase } from '../config/supabase';
+import { getStoredSession } from './authService';
+import { SCAN_STATUSES } from '../config/scanning';
+
+/**
+ * Call the scan-file function as the signed-in user
+ *
+ * @param {Object} body - { action, fileId }
+ * @returns {Promise<Object>} - The response body
+ */
+const invokeScanFile = async (body) => {
+  const { data, error } = await supabase.functions.invoke('scan-file', {
+    body,
+    headers: { 'x-session-token': getStoredSession()?.access_token || '' }
+  });
+
+  // Refusals (e.g. a release that cannot be finished) come back as error
+  // responses whose body says why
+  if (error) {
+    const response = await error.context?.json?.().catch(() => null);
+    throw new Error(response?.error || error.message);
+  }
+  if (data?.error) throw new Error(data.error);
+  return data;
+};
+
+/**
+ * Scan a newly uploaded file
+ * Suspicious files are moved to quarantine and the administrators are
+ * notified. Files that pass are finished on the server before they are
+ * marked clean: responses are password-protected or signed, and a new
+ * version becomes the current one.
+ *
+ * @param {string} fileId - The ID of the file record
+ * @returns {Promise<Object>} - { status, findings, filePath, file, warning } - file is the updated row
+ */
+export const scanUploadedFile = async (fileId) => {
+  try {
+    return await invokeScanFile({ action: 'scan', fileId, verifyBaseUrl: window.location.origin });
+  } catch (error) {
+    console.error(`Error scanning file ${fileId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch the scan result of a file, with its current storage path
+ *
+ * @param {string} fileId - The ID of the file record
+ * @returns {Promise<Object>} - { file_path, scan_status, scan_findings, scanned_at, quarantined_at }
+ */
+export const fetchFileScan = async (fileId) => {
+  try {
+    const { data, error } = await supabase
+      .from('v4_request_files')
+      .select('file_path, scan_status, scan_findings, scanned_at, quarantined_at')
+      .eq('id', fileId)
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error(`Error fetching scan of file ${fileId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Release a quarantined file, or one that could not be scanned, after
+ * review, so it can be viewed and downloaded
+ *
+ * @param {string} fileId - The ID of the file record
+ * @returns {Promise<Object>} - { status, filePath }
+ */
+export const releaseQuarantinedFile = async (fileId) => {
+  try {
+    return await invokeScanFile({ action: 'release', fileId });
+  } catch (error) {
+    console.error(`Error releasing file ${fileId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Whether a file is in quarantine and must not be opened
+ *
+ * @param {Object} file - v4_request_files row
+ * @returns {boolean}
+ */
+export const isQuarantined = (file) => file?.scan_status === SCAN_STATUSES.QUARANTINED;
+
+/**
+ * Whether a file is held by the upload scan and must not be opened
+ * Only files the scan found clean, or that an administrator released, are
+ * available; files still waiting for their scan and files that could not
+ * be scanned are held like quarantined ones.
+ *
+ * @param {Object} file - v4_request_files row
+ * @returns {boolean}
+ */
+export const isScanBlocked = (file) =>
+  [SCAN_STATUSES.PENDING, SCAN_STATUSES.QUARANTINED, SCAN_STATUSES.FAILED].includes(file?.scan_status);
+
+/**
+ * Whether a file is held until an administrator reviews it
+ * Quarantined files and files that could not be scanned or finished are;
+ * pending files are only waiting for their scan.
+ *
+ * @param {Object} file - v4_request_files row
+ * @returns {boolean}
+ */
+export const isHeldForReview = (file) =>
+  [SCAN_STATUSES.QUARANTINED, SCAN_STATUSES.FAILED].includes(file?.scan_status);
+
+/**
+ * Why a file was quarantined, for display
+ *
+ * @param {Object} file - v4_request_files row
+ * @returns {string} - The findings, separated by semicolons
+ */
+export const describeFindings = (file) =>
+  (file?.scan_findings || []).map(finding => finding.reason).join('; ');
+
+/**
+ * Why a file is held by the upload scan, for display
+ *
+ * @param {Object} file - v4_request_files row
+ * @returns {string} - Empty when the file is not held
+ */
+export const describeScanHold = (file) => {
+  switch (file?.scan_status) {
+    case SCAN_STATUSES.QUARANTINED:
+      return `Quarantined: ${describeFindings(file)}`;
+    case SCAN_STATUSES.FAILED:
+      return `Could not be scanned: ${describeFindings(file)}`;
+    case SCAN_STATUSES.PENDING:
+      return 'Waiting for the upload scan';
+    default:
+      return '';
+  }
+};
+
+/**
+ * Tell the uploader why a file they just uploaded is not available
+ *
+ * @param {Object} file - v4_request_files row
+ * @param {string} fileName - Name of the uploaded file
+ * @returns {string}
+ */
+export const describeUploadHold = (file, fileName) =>
+  isQuarantined(file)
+    ? `"${fileName}" was quarantined: ${describeFindings(file)}. An administrator will review it.`
+    : `"${fileName}" could not be scanned and stays unavailable until it is (${describeScanHold(file)}).`;
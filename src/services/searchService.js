@@ -0,0 +1,44 @@
+import { supabase } from '../config/supabase';
+import { getStoredSession } from './authService';
+import { SEARCH_PAGE_SIZE } from '../config/search';
+
+/**
+ * Search requests, their comments, documents and organizations
+ * The search-requests function limits the results to what the signed-in
+ * user's role may see: their organizations' requests unless they can view
+ * all, and internal comments only if they can process requests.
+ * @param {Object} options - Search options
+ * @param {string} options.text - Free text; empty to filter by the qualifiers only
+ * @param {string|null} options.ref - Part of the reference number
+ * @param {string|null} options.org - Part of the organization name
+ * @param {Array<string>|null} options.statuses - Status keys to keep
+ * @param {number} options.page - Page number, starting at 1
+ * @param {number} options.pageSize - Results per page
+ * @returns {Promise<Object>} { data, count } - Ranked results with a snippet, and the total
+ */
+export const searchRequests = async ({
+  text = '',
+  ref = null,
+  org = null,
+  statuses = null,
+  page = 1,
+  pageSize = SEARCH_PAGE_SIZE
+} = {}) => {
+  try {
+    const { data, error } = await supabase.functions.invoke('search-requests', {
+      body: { text, ref, org, statuses, page, pageSize },
+      headers: { 'x-session-token': getStoredSession()?.access_token || '' }
+    });
+
+    if (error) throw error;
+    if (data?.error) throw new Error(data.error);
+
+    return {
+      data: data?.data || [],
+      count: data?.count ?? 0
+    };
+  } catch (error) {
+    console.error('Error searching requests:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,110 @@
+import { supabase } from '../config/supabase';
+import { invokeSettings } from './settingsService';
+
+/**
+ * Fetch which roles must use two-factor authentication
+ * @returns {Promise<Object>} Map of role to required flag
+ */
+export const fetchMfaRolePolicies = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('v4_mfa_role_policies')
+      .select('role, required');
+
+    if (error) throw error;
+
+    return (data || []).reduce((policies, policy) => ({
+      ...policies,
+      [policy.role]: policy.required
+    }), {});
+  } catch (error) {
+    console.error('Error fetching two-factor policies:', error);
+    throw error;
+  }
+};
+
+/**
+ * Require (or stop requiring) two-factor authentication for a role
+ * Users of the role without 2FA are asked to set it up at their next login.
+ * Saved by the settings function, which writes the change to the audit trail.
+ * @param {string} role - user_role_v4 value
+ * @param {boolean} required - Whether 2FA is required
+ * @returns {Promise<Object>} Saved policy
+ */
+export const saveMfaRolePolicy = async (role, required) => {
+  try {
+    const { policy } = await invokeSettings({ action: 'save-mfa-role-policy', role, required });
+    return policy;
+  } catch (error) {
+    console.error(`Error saving two-factor policy for ${role}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch the users who have finished setting up two-factor authentication
+ * Secrets and recovery codes are not readable from the browser.
+ * @returns {Promise<Set<string>>} IDs of enrolled users
+ */
+export const fetchMfaEnrolledUserIds = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('v4_user_mfa')
+      .select('user_id, enabled_at')
+      .not('enabled_at', 'is', null);
+
+    if (error) throw error;
+    return new Set((data || []).map(row => row.user_id));
+  } catch (error) {
+    console.error('Error fetching two-factor enrolments:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch the idle timeout and session lifetime of each role
+ * @returns {Promise<Object>} Map of role to { idle_timeout_minutes, max_session_hours }
+ */
+export const fetchSessionPolicies = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('v4_session_policies')
+      .select('role, idle_timeout_minutes, max_session_hours');
+
+    if (error) throw error;
+
+    return (data || []).reduce((policies, { role, ...policy }) => ({
+      ...policies,
+      [role]: policy
+    }), {});
+  } catch (error) {
+    console.error('Error fetching session policies:', error);
+    throw error;
+  }
+};
+
+/**
+ * Save the idle timeout and session lifetime of a role
+ * New values apply from the next login. Saved by the settings function,
+ * which writes the change to the audit trail.
+ * @param {string} role - user_role_v4 value
+ * @param {Object} policy - { idle_timeout_minutes, max_session_hours }
+ * @returns {Promise<Object>} Saved policy
+ */
+export const saveSessionPolicy = async (role, policy) => {
+  try {
+    const { policy: saved } = await invokeSettings({
+      action: 'save-session-policy',
+      role,
+      policy: {
+        idle_timeout_minutes: Number(policy.idle_timeout_minutes),
+        max_session_hours: Number(policy.max_session_hours)
+      }
+    });
+
+    return saved;
+  } catch (error) {
+    console.error(`Error saving session policy for ${role}:`, error);
+    throw error;
+  }
+};
@@ -0,0 +1,25 @@
+import { supabase } from '../config/supabase';
+import { getStoredSession } from './authService';
+
+/**
+ * Call the settings function as the signed-in user
+ * Settings that functions and database rules act on can only be changed
+ * there; it checks the user's permission and writes the audit trail.
+ *
+ * @param {Object} body - { action, ... }
+ * @returns {Promise<Object>} - The response body
+ */
+export const invokeSettings = async (body) => {
+  const { data, error } = await supabase.functions.invoke('settings', {
+    body,
+    headers: { 'x-session-token': getStoredSession()?.access_token || '' }
+  });
+
+  // Refusals come back as error responses whose body says why
+  if (error) {
+    const response = await error.context?.json?.().catch(() => null);
+    throw new Error(response?.error || error.message);
+  }
+  if (data?.error) throw new Error(data.error);
+  return data;
+};
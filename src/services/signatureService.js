@@ -0,0 +1,98 @@
+import { supabase } from '../config/supabase';
+import { getStoredSession } from './authService';
+import { hashFile } from '../utils/fileUtils';
+
+/**
+ * Call the sign-pdf function as the signed-in user
+ *
+ * @param {Object} body - { action, ... }
+ * @returns {Promise<Object>} - The response body
+ */
+const invokeSignPdf = async (body) => {
+  const { data, error } = await supabase.functions.invoke('sign-pdf', {
+    body,
+    headers: { 'x-session-token': getStoredSession()?.access_token || '' }
+  });
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Read a file as base64 without its data URL prefix
+ *
+ * @param {File} file - The file to read
+ * @returns {Promise<string>} - Base64 contents
+ */
+const readAsBase64 = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(file);
+});
+
+/**
+ * Fetch the active signing certificate
+ *
+ * @returns {Promise<Object|null>} - Certificate details, or null if none is uploaded
+ */
+export const fetchSigningCertificate = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('v4_signing_certificates')
+      .select('id, signer_name, subject, issuer, serial_number, valid_from, valid_to, created_at')
+      .eq('is_active', true)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error fetching signing certificate:', error);
+    throw error;
+  }
+};
+
+/**
+ * Upload a new institution certificate and make it the active one
+ *
+ * @param {Object} certificate - { file, passphrase, signerName }
+ * @returns {Promise<Object>} - The saved certificate details
+ */
+export const saveSigningCertificate = async ({ file, passphrase, signerName }) => {
+  try {
+    const data = await invokeSignPdf({
+      action: 'certificate',
+      p12: await readAsBase64(file),
+      passphrase,
+      signerName
+    });
+
+    if (data?.error) throw new Error(data.error);
+    return data.certificate;
+  } catch (error) {
+    console.error('Error saving signing certificate:', error);
+    throw error;
+  }
+};
+
+/**
+ * Check a copy of a response against the signed original
+ * Works without signing in; the file itself is never sent, only its digest.
+ *
+ * @param {File} file - The copy to check
+ * @param {string} signatureId - Signature ID from the signature block, if known
+ * @returns {Promise<Object>} - { found, match, signature }
+ */
+export const verifyDocument = async (file, signatureId = null) => {
+  try {
+    const { data, error } = await supabase.functions.invoke('verify-document', {
+      body: { signatureId, sha256: await hashFile(file) }
+    });
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error verifying document:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,146 @@
+import { supabase } from '../config/supabase';
+
+/**
+ * Fetch all SLA policies
+ * Policies without an organization are the defaults for each priority.
+ * @returns {Promise<Array>} Array of SLA policies
+ */
+export const fetchSlaPolicies = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('v4_sla_policies')
+      .select(`
+        *,
+        v4_organizations:organization_id (name)
+      `)
+      .order('created_at');
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error fetching SLA policies:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create or update an SLA policy
+ * @param {Object} policy - Policy data (organization_id, priority, business_days)
+ * @returns {Promise<Object>} Saved policy
+ */
+export const saveSlaPolicy = async (policy) => {
+  try {
+    const payload = {
+      organization_id: policy.organization_id || null,
+      priority: policy.priority,
+      business_days: Number(policy.business_days),
+      updated_at: new Date().toISOString()
+    };
+
+    const query = policy.id
+      ? supabase.from('v4_sla_policies').update(payload).eq('id', policy.id)
+      : supabase.from('v4_sla_policies').insert([payload]);
+
+    const { data, error } = await query.select().single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error saving SLA policy:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete an SLA policy
+ * @param {string} id - Policy ID
+ * @returns {Promise<void>}
+ */
+export const deleteSlaPolicy = async (id) => {
+  try {
+    const { error } = await supabase
+      .from('v4_sla_policies')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+  } catch (error) {
+    console.error(`Error deleting SLA policy ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch the holiday calendar
+ * @returns {Promise<Array>} Holidays ordered by date
+ */
+export const fetchHolidays = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('v4_holidays')
+      .select('*')
+      .order('holiday_date');
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error fetching holidays:', error);
+    throw error;
+  }
+};
+
+/**
+ * Add a holiday to the calendar
+ * @param {Object} holiday - Holiday data (holiday_date, name)
+ * @returns {Promise<Object>} Created holiday
+ */
+export const addHoliday = async (holiday) => {
+  try {
+    const { data, error } = await supabase
+      .from('v4_holidays')
+      .insert([holiday])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error adding holiday:', error);
+    throw error;
+  }
+};
+
+/**
+ * Remove a holiday from the calendar
+ * @param {string} id - Holiday ID
+ * @returns {Promise<void>}
+ */
+export const deleteHoliday = async (id) => {
+  try {
+    const { error } = await supabase
+      .from('v4_holidays')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+  } catch (error) {
+    console.error(`Error deleting holiday ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Recompute due dates of open requests after policies or holidays change
+ * @returns {Promise<number>} Number of requests updated
+ */
+export const recalculateDueDates = async () => {
+  try {
+    const { data, error } = await supabase.rpc('v4_recalculate_due_dates');
+
+    if (error) throw error;
+    return data || 0;
+  } catch (error) {
+    console.error('Error recalculating due dates:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,327 @@
+import { supabase } from '../config/supabase';
+import { invokeSettings } from './settingsService';
+import { MAX_FILE_SIZE } from '../config/constants';
+import {
+  UPLOAD_CATEGORIES,
+  DEFAULT_UPLOAD_LIMITS_MB,
+  RESUMABLE_UPLOAD_URL,
+  UPLOAD_CHUNK_SIZE,
+  UPLOAD_RETRY_DELAYS,
+  UPLOAD_RESUME_HOURS
+} from '../config/upload';
+
+const STORAGE_KEY_PREFIX = 'resumableUpload:';
+const TUS_VERSION = '1.0.0';
+const anonKey = import.meta.env.VITE_SUPABASE_ANON_KEY;
+
+/**
+ * Fetch the upload size limits
+ *
+ * @returns {Promise<Object>} - Limit in MB per category, e.g. { pdf: 200 }
+ */
+export const fetchUploadLimits = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('v4_upload_limits')
+      .select('category, max_size_mb');
+
+    if (error) throw error;
+
+    const limits = { ...DEFAULT_UPLOAD_LIMITS_MB };
+    (data || []).forEach(row => { limits[row.category] = row.max_size_mb; });
+    return limits;
+  } catch (error) {
+    console.error('Error fetching upload limits:', error);
+    throw error;
+  }
+};
+
+/**
+ * Save the upload size limits
+ * Saved by the settings function, which writes the change to the audit
+ * trail. The scan-file function holds uploads over these limits.
+ *
+ * @param {Object} limits - Limit in MB per category
+ * @returns {Promise<void>}
+ */
+export const saveUploadLimits = async (limits) => {
+  try {
+    await invokeSettings({
+      action: 'save-upload-limits',
+      limits: Object.fromEntries(
+        Object.keys(UPLOAD_CATEGORIES).map(category => [category, Number(limits[category])])
+      )
+    });
+  } catch (error) {
+    console.error('Error saving upload limits:', error);
+    throw error;
+  }
+};
+
+/**
+ * Largest size a file may be uploaded at
+ * Types without a category of their own keep the general MAX_FILE_SIZE.
+ *
+ * @param {File} file - The file to check
+ * @param {Object} limits - Limit in MB per category
+ * @returns {Object} - { bytes, label }
+ */
+export const getUploadLimit = (file, limits = DEFAULT_UPLOAD_LIMITS_MB) => {
+  const category = Object.keys(UPLOAD_CATEGORIES)
+    .find(key => UPLOAD_CATEGORIES[key].types.includes(file.type));
+
+  if (!category) {
+    return { bytes: MAX_FILE_SIZE, label: null };
+  }
+
+  return {
+    bytes: Number(limits[category] || DEFAULT_UPLOAD_LIMITS_MB[category]) * 1024 * 1024,
+    label: UPLOAD_CATEGORIES[category].label
+  };
+};
+
+/**
+ * Whether an upload stopped because it was paused
+ *
+ * @param {Error} error - The error the upload rejected with
+ * @returns {boolean}
+ */
+export const isUploadPaused = (error) => error?.name === 'AbortError';
+
+/**
+ * Encode a tus metadata value (base64 of its UTF-8 bytes)
+ *
+ * @param {string} value - The value
+ * @returns {string} - Encoded value
+ */
+const encodeMetadata = (value) =>
+  btoa(Array.from(new TextEncoder().encode(value), byte => String.fromCharCode(byte)).join(''));
+
+/**
+ * Read, save or forget the unfinished upload of a fingerprint
+ * Entries older than UPLOAD_RESUME_HOURS are dropped, as Storage no longer
+ * knows their upload.
+ */
+const readStoredUpload = (fingerprint) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY_PREFIX + fingerprint));
+    if (stored && Date.now() - stored.createdAt < UPLOAD_RESUME_HOURS * 60 * 60 * 1000) {
+      return stored;
+    }
+  } catch (error) {
+    // An unreadable entry is treated as missing
+  }
+  localStorage.removeItem(STORAGE_KEY_PREFIX + fingerprint);
+  return null;
+};
+
+const storeUpload = (fingerprint, upload) => {
+  localStorage.setItem(STORAGE_KEY_PREFIX + fingerprint, JSON.stringify({ ...upload, createdAt: Date.now() }));
+};
+
+const forgetUpload = (fingerprint) => {
+  localStorage.removeItem(STORAGE_KEY_PREFIX + fingerprint);
+};
+
+/**
+ * Send one request of the tus protocol
+ * XMLHttpRequest is used for its upload progress events.
+ *
+ * @param {Object} options - { method, url, headers, body, signal, onUploadProgress }
+ * @returns {Promise<Object>} - { status, getHeader, text }
+ */
+const sendTusRequest = ({ method, url, headers = {}, body = null, signal, onUploadProgress }) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException('Upload paused', 'AbortError'));
+      return;
+    }
+
+    const xhr = new XMLHttpRequest();
+    xhr.open(method, url);
+    xhr.setRequestHeader('Tus-Resumable', TUS_VERSION);
+    xhr.setRequestHeader('Authorization', `Bearer ${anonKey}`);
+    xhr.setRequestHeader('apikey', anonKey);
+    Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+
+    if (onUploadProgress) {
+      xhr.upload.onprogress = (event) => onUploadProgress(event.loaded);
+    }
+
+    const onAbort = () => xhr.abort();
+    signal?.addEventListener('abort', onAbort);
+
+    xhr.onload = () => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve({ status: xhr.status, getHeader: name => xhr.getResponseHeader(name), text: xhr.responseText });
+    };
+    xhr.onerror = () => {
+      signal?.removeEventListener('abort', onAbort);
+      reject(Object.assign(new Error('The connection was lost during the upload'), { status: 0 }));
+    };
+    xhr.onabort = () => {
+      signal?.removeEventListener('abort', onAbort);
+      reject(new DOMException('Upload paused', 'AbortError'));
+    };
+
+    xhr.send(body);
+  });
+
+/**
+ * Turn a failed tus response into an error
+ *
+ * @param {Object} response - Response of sendTusRequest
+ * @returns {Error}
+ */
+const toUploadError = (response) => {
+  let message = response.text;
+  try {
+    message = JSON.parse(response.text).message || message;
+  } catch (error) {
+    // Plain text body
+  }
+  return Object.assign(new Error(message || `Upload failed (${response.status})`), { status: response.status });
+};
+
+// Connection drops, server errors and rate limits are worth another try
+const isRetryable = (error) =>
+  error.status === 0 || error.status === 423 || error.status === 429 || error.status >= 500;
+
+/**
+ * Wait before retrying, and until the browser is back online
+ *
+ * @param {number} delay - Milliseconds to wait
+ * @param {AbortSignal} signal - Stops waiting when the upload is paused
+ * @returns {Promise<void>}
+ */
+const waitToRetry = (delay, signal) => new Promise((resolve, reject) => {
+  const onAbort = () => {
+    clearTimeout(timer);
+    window.removeEventListener('online', onOnline);
+    reject(new DOMException('Upload paused', 'AbortError'));
+  };
+  const onOnline = () => {
+    window.removeEventListener('online', onOnline);
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  };
+  const timer = setTimeout(() => {
+    if (navigator.onLine) {
+      onOnline();
+    } else {
+      window.addEventListener('online', onOnline);
+    }
+  }, delay);
+
+  signal?.addEventListener('abort', onAbort);
+});
+
+/**
+ * Upload a file to Storage in resumable chunks
+ * The upload is remembered under its fingerprint, so after a pause, a lost
+ * connection or a reload the same fingerprint continues where it stopped.
+ * Lost connections are retried automatically.
+ *
+ * @param {Object} options - Upload options
+ * @param {Blob} options.file - The contents to upload
+ * @param {string} options.bucket - Storage bucket
+ * @param {string} options.filePath - Path in the bucket
+ * @param {string} options.contentType - MIME type of the contents
+ * @param {string} options.fingerprint - Identifies the upload for resuming
+ * @param {Function} options.onProgress - Called with (uploadedBytes, totalBytes)
+ * @param {AbortSignal} options.signal - Aborting it pauses the upload
+ * @returns {Promise<Object>} - { filePath }, the path of an earlier attempt if resumed
+ */
+export const uploadResumable = async ({
+  file,
+  bucket,
+  filePath,
+  contentType,
+  fingerprint,
+  onProgress,
+  signal
+}) => {
+  const stored = readStoredUpload(fingerprint);
+  let uploadUrl = stored?.uploadUrl || null;
+  let objectPath = stored?.filePath || filePath;
+  let offset = null;
+  let attempt = 0;
+
+  while (offset === null || offset < file.size) {
+    try {
+      if (!uploadUrl) {
+        const response = await sendTusRequest({
+          method: 'POST',
+          url: RESUMABLE_UPLOAD_URL,
+          headers: {
+            'Upload-Length': String(file.size),
+            'Upload-Metadata': [
+              `bucketName ${encodeMetadata(bucket)}`,
+              `objectName ${encodeMetadata(objectPath)}`,
+              `contentType ${encodeMetadata(contentType || 'application/octet-stream')}`,
+              `cacheControl ${encodeMetadata('3600')}`
+            ].join(','),
+            'x-upsert': 'false'
+          },
+          signal
+        });
+
+        if (response.status !== 201) throw toUploadError(response);
+
+        uploadUrl = new URL(response.getHeader('Location'), RESUMABLE_UPLOAD_URL).toString();
+        offset = 0;
+        storeUpload(fingerprint, { uploadUrl, filePath: objectPath });
+      } else if (offset === null) {
+        // Ask Storage how much of an earlier attempt arrived
+        const response = await sendTusRequest({ method: 'HEAD', url: uploadUrl, signal });
+
+        if ([403, 404, 410].includes(response.status)) {
+          // The earlier upload expired; start over under the new path
+          forgetUpload(fingerprint);
+          uploadUrl = null;
+          objectPath = filePath;
+          continue;
+        }
+        if (response.status !== 200) throw toUploadError(response);
+
+        offset = Number(response.getHeader('Upload-Offset'));
+      } else {
+        const start = offset;
+        const response = await sendTusRequest({
+          method: 'PATCH',
+          url: uploadUrl,
+          headers: {
+            'Upload-Offset': String(start),
+            'Content-Type': 'application/offset+octet-stream'
+          },
+          body: file.slice(start, start + UPLOAD_CHUNK_SIZE),
+          signal,
+          onUploadProgress: loaded => onProgress?.(start + loaded, file.size)
+        });
+
+        // Storage has a different offset; ask for it again
+        if (response.status === 409) {
+          offset = null;
+          continue;
+        }
+        if (response.status !== 204) throw toUploadError(response);
+
+        offset = Number(response.getHeader('Upload-Offset'));
+      }
+
+      onProgress?.(offset, file.size);
+      attempt = 0;
+    } catch (error) {
+      if (isUploadPaused(error) || !isRetryable(error) || attempt >= UPLOAD_RETRY_DELAYS.length) {
+        throw error;
+      }
+
+      // How much arrived is unknown after a failed chunk
+      if (uploadUrl) offset = null;
+      await waitToRetry(UPLOAD_RETRY_DELAYS[attempt++], signal);
+    }
+  }
+
+  forgetUpload(fingerprint);
+  return { filePath: objectPath };
+};
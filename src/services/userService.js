@@ -0,0 +1,176 @@
+import { supabase } from '../config/supabase';
+import { getStoredSession } from './authService';
+import { DEFAULT_CREDENTIAL_EXPIRY_HOURS, RESET_TOKEN_PARAM } from '../config/auth';
+
+// Columns of the users table the browser may read; passwords and
+// temporary passwords never leave the server
+export const USER_COLUMNS = 'id, username, full_name, user_role_v4, is_active, created_at, updated_at, created_by, updated_by, last_login, failed_login_attempts, locked_at, mfa_required';
+
+/**
+ * Call the manage-users function as the signed-in user
+ * Users can only be changed there; each change is written to the audit trail.
+ *
+ * @param {Object} body - { action, userId, ... }
+ * @returns {Promise<Object>} - The response body
+ */
+const invokeManageUsers = async (body) => {
+  const { data, error } = await supabase.functions.invoke('manage-users', {
+    body,
+    headers: { 'x-session-token': getStoredSession()?.access_token || '' }
+  });
+
+  // Refusals (e.g. a username that is taken) come back as error responses
+  // whose body says why
+  if (error) {
+    const response = await error.context?.json?.().catch(() => null);
+    throw new Error(response?.error || error.message);
+  }
+  if (data?.error) throw new Error(data.error);
+  return data;
+};
+
+/**
+ * Create a user with a temporary password
+ *
+ * @param {Object} user - { username, full_name, user_role_v4, is_active }
+ * @returns {Promise<Object>} - { user, password, expiresAt }
+ */
+export const createUser = async (user) => {
+  try {
+    return await invokeManageUsers({ action: 'create', user, expiresInHours: DEFAULT_CREDENTIAL_EXPIRY_HOURS });
+  } catch (error) {
+    console.error('Error creating user:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update a user's details
+ *
+ * @param {string} userId - The user ID
+ * @param {Object} user - Fields to change (username, full_name, user_role_v4, is_active)
+ * @returns {Promise<Object>} - The updated user
+ */
+export const updateUser = async (userId, user) => {
+  try {
+    const data = await invokeManageUsers({ action: 'update', userId, user });
+    return data.user;
+  } catch (error) {
+    console.error(`Error updating user ${userId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a user
+ * Users who still have requests or files cannot be deleted.
+ *
+ * @param {string} userId - The user ID
+ * @returns {Promise<void>}
+ */
+export const deleteUser = async (userId) => {
+  try {
+    await invokeManageUsers({ action: 'delete', userId });
+  } catch (error) {
+    console.error(`Error deleting user ${userId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Unlock an account locked after too many failed logins
+ *
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object>} - The updated user
+ */
+export const unlockUser = async (userId) => {
+  try {
+    const data = await invokeManageUsers({ action: 'unlock', userId });
+    return data.user;
+  } catch (error) {
+    console.error(`Error unlocking user ${userId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Replace a user's temporary password
+ * Only the bcrypt hash is stored; the password is shown to the
+ * administrator once and works for a single login.
+ *
+ * @param {string} userId - The user ID
+ * @param {number} expiresInHours - Lifetime in hours
+ * @returns {Promise<Object>} - { password, expiresAt }
+ */
+export const issueTempPassword = async (userId, expiresInHours = DEFAULT_CREDENTIAL_EXPIRY_HOURS) => {
+  try {
+    const { password, expiresAt } = await invokeManageUsers({ action: 'issue-temp-password', userId, expiresInHours });
+    return { password, expiresAt };
+  } catch (error) {
+    console.error('Error issuing temporary password:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create a one-time password reset link
+ * Earlier unused links for the user stop working.
+ *
+ * @param {string} userId - The user ID
+ * @param {number} expiresInHours - Lifetime in hours
+ * @returns {Promise<Object>} - { url, expiresAt }
+ */
+export const issueResetLink = async (userId, expiresInHours = DEFAULT_CREDENTIAL_EXPIRY_HOURS) => {
+  try {
+    const { token, expiresAt } = await invokeManageUsers({ action: 'issue-reset-link', userId, expiresInHours });
+    const url = `${window.location.origin}/login?${RESET_TOKEN_PARAM}=${token}`;
+    return { url, expiresAt };
+  } catch (error) {
+    console.error('Error issuing reset link:', error);
+    throw error;
+  }
+};
+
+/**
+ * Require (or stop requiring) two-factor authentication for one user
+ *
+ * @param {string} userId - The user ID
+ * @param {boolean} required - Whether 2FA is required
+ * @returns {Promise<void>}
+ */
+export const setUserMfaRequired = async (userId, required) => {
+  try {
+    await invokeManageUsers({ action: 'set-mfa-required', userId, required });
+  } catch (error) {
+    console.error(`Error updating two-factor requirement for user ${userId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Remove a user's authenticator app, e.g. after they lose their device
+ * They set up 2FA again at their next login if it is required.
+ *
+ * @param {string} userId - The user ID
+ * @returns {Promise<void>}
+ */
+export const resetUserMfa = async (userId) => {
+  try {
+    await invokeManageUsers({ action: 'reset-mfa', userId });
+  } catch (error) {
+    console.error(`Error resetting two-factor authentication for user ${userId}:`, error);
+    throw error;
+  }
+};
+
+export default {
+  USER_COLUMNS,
+  createUser,
+  updateUser,
+  deleteUser,
+  unlockUser,
+  issueTempPassword,
+  issueResetLink,
+  setUserMfaRequired,
+  resetUserMfa,
+};
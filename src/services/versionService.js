@@ -0,0 +1,66 @@
+import { supabase } from '../config/supabase';
+import { logAuditEvent } from './auditService';
+import { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES } from '../config/audit';
+
+/**
+ * Make a version the one listed for its document
+ *
+ * @param {Object} file - v4_request_files row of the version
+ * @returns {Promise<void>}
+ */
+export const setCurrentVersion = async (file) => {
+  try {
+    const { error: previousError } = await supabase
+      .from('v4_request_files')
+      .update({ is_current: false })
+      .eq('document_id', file.document_id)
+      .neq('id', file.id);
+
+    if (previousError) throw previousError;
+
+    const { error } = await supabase
+      .from('v4_request_files')
+      .update({ is_current: true })
+      .eq('id', file.id);
+
+    if (error) throw error;
+  } catch (error) {
+    console.error(`Error making file ${file.id} the current version:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Restore an earlier version, making it the current one again
+ * Later versions are kept in the history.
+ *
+ * @param {Object} file - v4_request_files row of the version to restore
+ * @returns {Promise<void>}
+ */
+export const restoreVersion = async (file) => {
+  try {
+    await setCurrentVersion(file);
+
+    await logAuditEvent({
+      action: AUDIT_ACTIONS.FILE_VERSION_RESTORED,
+      entityType: AUDIT_ENTITY_TYPES.FILE,
+      entityId: file.id,
+      metadata: { request_id: file.request_id, document_id: file.document_id, version: file.version }
+    });
+  } catch (error) {
+    console.error(`Error restoring version ${file.version} of document ${file.document_id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Group files into documents with their versions, newest first
+ *
+ * @param {Array} files - v4_request_files rows
+ * @returns {Object} - Versions by document ID
+ */
+export const groupVersions = (files) => files.reduce((groups, file) => {
+  const documentId = file.document_id || file.id;
+  groups[documentId] = [...(groups[documentId] || []), file].sort((a, b) => (b.version || 1) - (a.version || 1));
+  return groups;
+}, {});
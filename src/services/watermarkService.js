@@ -0,0 +1,290 @@
+import { PDFDocument, StandardFonts, degrees, rgb } from 'pdf-lib';
+import { format } from 'date-fns';
+import { supabase } from '../config/supabase';
+import { logAuditEvent } from './auditService';
+import { openPdfData } from './pdfViewerService';
+import { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES } from '../config/audit';
+import {
+  DEFAULT_WATERMARK_SETTINGS,
+  WATERMARK_ANGLE,
+  WATERMARK_ID_PREFIX
+} from '../config/watermark';
+
+/**
+ * Get the signed-in user a copy is stamped for
+ * @returns {Object|null} { id, username, full_name }
+ */
+const getCurrentUser = () => {
+  try {
+    const storedUser = localStorage.getItem('user');
+    return storedUser ? JSON.parse(storedUser) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Fill in the placeholders of a watermark template
+ * The standard PDF fonts only cover Latin-1, so other characters become "?".
+ * @param {string} template - Template, e.g. "{organization} • {reference}"
+ * @param {Object} values - { organization, reference, user, timestamp, id }
+ * @returns {string} Watermark text
+ */
+export const formatWatermarkText = (template, values) =>
+  template
+    .replace(/\{(\w+)\}/g, (placeholder, key) => values[key] ?? placeholder)
+    .replace(/[^\x20-\x7E\u00A0-\u00FF\u2022]/g, '?');
+
+/**
+ * Fetch the watermark settings
+ * @returns {Promise<Object>} { enabled, stamp_on, template, opacity, font_size }
+ */
+export const fetchWatermarkSettings = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('v4_watermark_settings')
+      .select('enabled, stamp_on, template, opacity, font_size')
+      .maybeSingle();
+
+    if (error) throw error;
+    return { ...DEFAULT_WATERMARK_SETTINGS, ...data };
+  } catch (error) {
+    console.error('Error fetching watermark settings:', error);
+    throw error;
+  }
+};
+
+/**
+ * Save the watermark settings
+ * @param {Object} settings - { enabled, stamp_on, template, opacity, font_size }
+ * @returns {Promise<Object>} Saved settings
+ */
+export const saveWatermarkSettings = async (settings) => {
+  try {
+    const payload = {
+      id: true,
+      enabled: Boolean(settings.enabled),
+      stamp_on: settings.stamp_on,
+      template: settings.template.trim(),
+      opacity: Number(settings.opacity),
+      font_size: Number(settings.font_size),
+      updated_at: new Date().toISOString()
+    };
+
+    const { data, error } = await supabase
+      .from('v4_watermark_settings')
+      .upsert(payload)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await logAuditEvent({
+      action: AUDIT_ACTIONS.SETTING_UPDATED,
+      entityType: AUDIT_ENTITY_TYPES.SETTING,
+      entityId: 'watermark',
+      after: payload
+    });
+
+    return data;
+  } catch (error) {
+    console.error('Error saving watermark settings:', error);
+    throw error;
+  }
+};
+
+/**
+ * Stamp a PDF with a visible diagonal watermark and a hidden copy identifier
+ * The identifier is stored in the document keywords and as invisible text
+ * on every page, where text extraction still finds it if the metadata was
+ * stripped.
+ * @param {ArrayBuffer|Uint8Array} pdfBytes - The PDF
+ * @param {Object} options - { text, identifier, opacity, fontSize }
+ * @returns {Promise<Uint8Array>} The stamped PDF
+ */
+export const stampPdf = async (pdfBytes, { text, identifier, opacity, fontSize }) => {
+  const pdfDoc = await PDFDocument.load(pdfBytes, { ignoreEncryption: true });
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const hiddenId = `${WATERMARK_ID_PREFIX}${identifier}`;
+  const angle = (WATERMARK_ANGLE * Math.PI) / 180;
+
+  pdfDoc.getPages().forEach(page => {
+    const { width, height } = page.getSize();
+    // Shrink long texts so they fit across the page diagonal
+    const size = Math.min(fontSize, (Math.hypot(width, height) * 0.8 * fontSize) / font.widthOfTextAtSize(text, fontSize));
+    const textWidth = font.widthOfTextAtSize(text, size);
+
+    page.drawText(text, {
+      x: width / 2 - (textWidth / 2) * Math.cos(angle) + (size / 2) * Math.sin(angle),
+      y: height / 2 - (textWidth / 2) * Math.sin(angle) - (size / 2) * Math.cos(angle),
+      size,
+      font,
+      color: rgb(0.5, 0.5, 0.5),
+      opacity,
+      rotate: degrees(WATERMARK_ANGLE)
+    });
+
+    page.drawText(hiddenId, { x: 2, y: 2, size: 4, font, opacity: 0 });
+  });
+
+  pdfDoc.setKeywords([...(pdfDoc.getKeywords() || '').split(' ').filter(Boolean), hiddenId]);
+  return pdfDoc.save();
+};
+
+/**
+ * Record a stamped copy, so its identifier can be traced
+ * @param {Object} watermark - { id, fileId, requestId, organizationId, userId, stampedOn, text }
+ * @returns {Promise<Object>} Saved record
+ */
+export const recordWatermark = async ({ id, fileId, requestId, organizationId, userId, stampedOn, text }) => {
+  try {
+    const { data, error } = await supabase
+      .from('v4_file_watermarks')
+      .insert({
+        id,
+        file_id: fileId,
+        request_id: requestId,
+        organization_id: organizationId,
+        user_id: userId,
+        stamped_on: stampedOn,
+        watermark_text: text
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error recording watermark:', error);
+    throw error;
+  }
+};
+
+/**
+ * Stamp a response PDF for the request it answers
+ * Files are only stamped at the moment the settings ask for. The caller
+ * records the copy with recordWatermark once it knows the file ID.
+ * @param {Blob|File} file - The PDF
+ * @param {string} requestId - The ID of the request
+ * @param {string} stampedOn - upload or download
+ * @returns {Promise<Object|null>} { blob, watermark }, or null when not stamped now
+ */
+export const stampResponsePdf = async (file, requestId, stampedOn) => {
+  try {
+    const { enabled, stamp_on, template, opacity, font_size } = await fetchWatermarkSettings();
+    if (!enabled || stamp_on !== stampedOn) return null;
+
+    const { data: request, error } = await supabase
+      .from('v4_requests')
+      .select('id, reference_number, sender, organizations:sender (name)')
+      .eq('id', requestId)
+      .single();
+
+    if (error) throw error;
+
+    const user = getCurrentUser();
+    const id = crypto.randomUUID();
+    const text = formatWatermarkText(template, {
+      organization: request.organizations?.name || '',
+      reference: request.reference_number,
+      user: user?.full_name || user?.username || '',
+      timestamp: format(new Date(), 'yyyy-MM-dd HH:mm'),
+      id
+    });
+
+    const stamped = await stampPdf(await file.arrayBuffer(), {
+      text,
+      identifier: id,
+      opacity: Number(opacity),
+      fontSize: Number(font_size)
+    });
+
+    return {
+      blob: new Blob([stamped], { type: 'application/pdf' }),
+      watermark: {
+        id,
+        requestId: request.id,
+        organizationId: request.sender,
+        userId: user?.id || null,
+        stampedOn,
+        text
+      }
+    };
+  } catch (error) {
+    console.error('Error watermarking PDF:', error);
+    throw error;
+  }
+};
+
+/**
+ * Find the copy identifier in the invisible text stamped on each page
+ * @param {ArrayBuffer} bytes - Contents of the PDF
+ * @param {RegExp} pattern - Pattern of the hidden identifier
+ * @returns {Promise<string|null>} The identifier, or null if no page has it
+ */
+const readPageWatermarkId = async (bytes, pattern) => {
+  const loadingTask = openPdfData(bytes);
+
+  try {
+    const pdf = await loadingTask.promise;
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const { items } = await page.getTextContent();
+      const match = items.map(item => item.str || '').join(' ').match(pattern);
+      if (match) return match[1];
+    }
+    return null;
+  } finally {
+    loadingTask.destroy();
+  }
+};
+
+/**
+ * Read the copy identifier hidden in a stamped PDF
+ * The document keywords are read first. Tools that rewrite a PDF often drop
+ * them, so the text of the pages is searched when they have no identifier.
+ * @param {File} file - A PDF, e.g. a leaked copy
+ * @returns {Promise<string|null>} The identifier, or null if the PDF is not stamped
+ */
+export const readWatermarkId = async (file) => {
+  try {
+    const bytes = await file.arrayBuffer();
+    const pattern = new RegExp(`${WATERMARK_ID_PREFIX}([0-9a-f-]{36})`, 'i');
+
+    const pdfDoc = await PDFDocument.load(bytes, { ignoreEncryption: true, updateMetadata: false });
+    const match = pdfDoc.getKeywords()?.match(pattern);
+    if (match) return match[1];
+
+    return await readPageWatermarkId(bytes, pattern);
+  } catch (error) {
+    console.error('Error reading watermark:', error);
+    throw error;
+  }
+};
+
+/**
+ * Look up who received a stamped copy
+ * @param {string} identifier - Copy identifier
+ * @returns {Promise<Object|null>} Watermark record with file, request, organization and user
+ */
+export const traceWatermark = async (identifier) => {
+  try {
+    const { data, error } = await supabase
+      .from('v4_file_watermarks')
+      .select(`
+        *,
+        file:file_id (file_name),
+        request:request_id (reference_number, subject),
+        organization:organization_id (name),
+        user:user_id (full_name, username)
+      `)
+      .eq('id', identifier)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error(`Error tracing watermark ${identifier}:`, error);
+    throw error;
+  }
+};
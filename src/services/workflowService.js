@@ -0,0 +1,222 @@
+import { supabase } from '../config/supabase';
+import { logAuditEvent } from './auditService';
+import { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES } from '../config/audit';
+import { DEFAULT_WORKFLOW, STATUS_CATEGORIES } from '../config/workflow';
+import {
+  findTransition,
+  getAvailableTransitions,
+  getRequiredTransitionFields,
+  getMissingTransitionFields,
+  getStatusCategory,
+  validateWorkflow,
+} from '../utils/workflowUtils';
+
+/**
+ * Get the active request workflow
+ * Falls back to the built-in default when none has been saved yet
+ *
+ * @returns {Promise<Object>} - The workflow definition
+ */
+export const getActiveWorkflow = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('v4_workflows')
+      .select('*')
+      .eq('is_active', true)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return DEFAULT_WORKFLOW;
+
+    return {
+      id: data.id,
+      name: data.name,
+      ...data.definition
+    };
+  } catch (error) {
+    console.error('Error fetching workflow:', error);
+    return DEFAULT_WORKFLOW;
+  }
+};
+
+/**
+ * Save a workflow and make it the active one
+ * Previous versions are kept (inactive) for reference. The database saves it
+ * in one step and refuses to drop a status that requests are still in.
+ *
+ * @param {Object} workflow - The workflow definition
+ * @param {string} userId - The ID of the administrator saving it
+ * @returns {Promise<Object>} - The saved workflow
+ */
+export const saveWorkflow = async (workflow, userId) => {
+  try {
+    const errors = validateWorkflow(workflow);
+    if (errors.length > 0) {
+      throw new Error(errors[0]);
+    }
+
+    const { data, error } = await supabase.rpc('v4_save_workflow', {
+      workflow_name: workflow.name,
+      workflow_definition: {
+        statuses: workflow.statuses,
+        transitions: workflow.transitions
+      },
+      saved_by: userId
+    });
+
+    if (error) throw error;
+
+    return {
+      id: data.id,
+      name: data.name,
+      ...data.definition
+    };
+  } catch (error) {
+    console.error('Error saving workflow:', error);
+    throw error;
+  }
+};
+
+/**
+ * Move a request to a new status
+ * Checks the transition is allowed for the user's role and that its
+ * required fields (including an SLA breach reason when completing late)
+ * are present, then records it in the status history
+ *
+ * @param {Object} workflow - The active workflow definition
+ * @param {Object} request - The request being changed
+ * @param {string} toStatus - The target status
+ * @param {Object} user - The user making the change
+ * @param {Object} options - Transition options
+ * @param {Object} options.values - Values captured for required fields
+ * @param {Array} options.files - Files attached to the request
+ * @returns {Promise<Object>} - The updated request
+ */
+export const transitionRequestStatus = async (workflow, request, toStatus, user, options = {}) => {
+  const { values = {}, files = [] } = options;
+
+  try {
+    const transition = findTransition(workflow, request.status, toStatus, user.role);
+    if (!transition) {
+      throw new Error(`You are not allowed to move this request to ${toStatus}.`);
+    }
+
+    const requiredFields = getRequiredTransitionFields(workflow, request, transition);
+    const missing = getMissingTransitionFields(requiredFields, values, { request, files });
+    if (missing.length > 0) {
+      throw new Error(`Required before this change: ${missing.join(', ')}.`);
+    }
+
+    const now = new Date().toISOString();
+    const isCompleted = getStatusCategory(workflow, toStatus) === STATUS_CATEGORIES.COMPLETED;
+
+    const updates = {
+      status: toStatus,
+      completed_at: isCompleted ? (request.completed_at || now) : null,
+      updated_by: user.id,
+      updated_at: now
+    };
+
+    // Keep the reason on the request so SLA reports can show it
+    if (requiredFields.includes('sla_breach_reason')) {
+      updates.sla_breach_reason = values.sla_breach_reason.trim();
+    }
+
+    const { data, error } = await supabase
+      .from('v4_requests')
+      .update(updates)
+      .eq('id', request.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const { error: historyError } = await supabase
+      .from('v4_request_status_history')
+      .insert([{
+        request_id: request.id,
+        from_status: request.status,
+        to_status: toStatus,
+        fields: values,
+        changed_by: user.id
+      }]);
+
+    if (historyError) console.error('Error recording status history:', historyError);
+
+    await logAuditEvent({
+      action: AUDIT_ACTIONS.REQUEST_STATUS_CHANGED,
+      entityType: AUDIT_ENTITY_TYPES.REQUEST,
+      entityId: request.id,
+      before: request,
+      after: data,
+      metadata: { fields: values }
+    });
+
+    return data;
+  } catch (error) {
+    console.error('Error changing request status:', error);
+    throw error;
+  }
+};
+
+/**
+ * Complete a request once its response has been uploaded
+ * Takes a transition from the request's status to a completed status that
+ * the user's role may take. The request is left as it is when there is
+ * none, or when the transition needs values only the status change form
+ * captures (such as an SLA breach reason).
+ *
+ * @param {string} requestId - The request ID
+ * @param {Object} user - The user who uploaded the response
+ * @returns {Promise<Object|null>} - The updated request, or null if it was left as it is
+ */
+export const completeRequest = async (requestId, user) => {
+  try {
+    const [workflow, { data: request, error: requestError }, { data: files, error: filesError }] = await Promise.all([
+      getActiveWorkflow(),
+      supabase.from('v4_requests').select('*').eq('id', requestId).single(),
+      supabase.from('v4_request_files').select('is_response').eq('request_id', requestId)
+    ]);
+
+    if (requestError) throw requestError;
+    if (filesError) throw filesError;
+
+    const transition = getAvailableTransitions(workflow, request.status, user.role).find(t =>
+      getStatusCategory(workflow, t.to) === STATUS_CATEGORIES.COMPLETED &&
+      getMissingTransitionFields(getRequiredTransitionFields(workflow, request, t), {}, { request, files }).length === 0
+    );
+    if (!transition) return null;
+
+    return await transitionRequestStatus(workflow, request, transition.to, user, { files });
+  } catch (error) {
+    console.error('Error completing request:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the status history of a request
+ *
+ * @param {string} requestId - The request ID
+ * @returns {Promise<Array>} - Status changes, newest first
+ */
+export const getStatusHistory = async (requestId) => {
+  try {
+    const { data, error } = await supabase
+      .from('v4_request_status_history')
+      .select(`
+        *,
+        changed_by_user:changed_by (full_name, username)
+      `)
+      .eq('request_id', requestId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error fetching status history:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,79 @@
+import { ASSIGNMENT_STRATEGIES, PRIORITY_RANK } from '../config/assignment';
+
+/**
+ * Find the first active rule that matches a request
+ * A rule without an organization or priority matches any.
+ * @param {Array<Object>} rules - Assignment rules
+ * @param {Object} request - Request with sender and priority
+ * @returns {Object|null} Matching rule
+ */
+export const findAssignmentRule = (rules, request) => {
+  return [...rules]
+    .filter(rule => rule.is_active)
+    .sort((a, b) => a.position - b.position)
+    .find(rule =>
+      (!rule.organization_id || rule.organization_id === request.sender) &&
+      (!rule.priority || rule.priority === request.priority)
+    ) || null;
+};
+
+/**
+ * Get the processors a rule can assign to
+ * An empty pool means every processor.
+ * @param {Object} rule - Assignment rule
+ * @param {Array<Object>} processors - Users who can process requests
+ * @returns {Array<Object>} Processors in pool order
+ */
+export const getRulePool = (rule, processors) => {
+  if (!rule.assignee_ids?.length) return processors;
+  return rule.assignee_ids
+    .map(id => processors.find(processor => processor.id === id))
+    .filter(Boolean);
+};
+
+/**
+ * Pick the processor a rule assigns the next request to
+ * @param {Object} rule - Assignment rule
+ * @param {Array<Object>} pool - Processors the rule can assign to
+ * @param {Object} workload - Open request count, keyed by user ID
+ * @returns {Object|null} Chosen processor
+ */
+export const pickAssignee = (rule, pool, workload = {}) => {
+  if (pool.length === 0) return null;
+
+  // Start after whoever was picked last, so ties are shared out in turn
+  const lastIndex = pool.findIndex(processor => processor.id === rule.last_assigned_to);
+  const ordered = [...pool.slice(lastIndex + 1), ...pool.slice(0, lastIndex + 1)];
+
+  if (rule.strategy === ASSIGNMENT_STRATEGIES.LEAST_LOADED) {
+    return ordered.reduce((least, processor) =>
+      (workload[processor.id] || 0) < (workload[least.id] || 0) ? processor : least
+    );
+  }
+
+  return ordered[0];
+};
+
+/**
+ * Sort requests in the order "claim next" hands them out:
+ * most urgent first, then earliest deadline, then oldest
+ * @param {Array<Object>} requests - Unassigned requests
+ * @returns {Array<Object>} Sorted requests
+ */
+export const sortByClaimOrder = (requests) => {
+  const rank = request => PRIORITY_RANK[request.priority] ?? PRIORITY_RANK.normal;
+  const time = value => (value ? new Date(value).getTime() : Infinity);
+
+  return [...requests].sort((a, b) =>
+    rank(a) - rank(b) ||
+    time(a.due_at) - time(b.due_at) ||
+    time(a.date_received) - time(b.date_received)
+  );
+};
+
+export default {
+  findAssignmentRule,
+  getRulePool,
+  pickAssignee,
+  sortByClaimOrder,
+};
@@ -6,7 +6,6 @@ import {
   parseISO, 
   differenceInDays,
   addDays,
-  addMonths,
   isAfter,
   isBefore,
   endOfDay,
@@ -16,7 +15,7 @@ import {
   endOfMonth
 } from 'date-fns';
 
-import { DATE_FORMATS } from '../config/constants';
+import { DATE_FORMATS, AUTO_DELETION_DAYS } from '../config/constants';
 
 /**
  * Format a date for display
@@ -85,7 +84,7 @@ export const calculateDays = (startDate, endDate) => {
 };
 
 /**
- * Calculate deletion date (3 months from completion date)
+ * Calculate deletion date (AUTO_DELETION_DAYS after completion date)
  * @param {Date|string} completionDate - Completion date
  * @returns {Date} Deletion date
  */
@@ -96,7 +95,7 @@ export const calculateDeletionDate = (completionDate) => {
   
   if (!isValid(date)) return null;
   
-  return addMonths(date, 3);
+  return addDays(date, AUTO_DELETION_DAYS);
 };
 
 /**
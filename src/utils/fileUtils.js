@@ -83,6 +83,16 @@ export const getFileIconByType = (fileType) => {
   }
 };
 
+/**
+ * SHA-256 of a file, as lowercase hex like the functions compute it
+ * @param {File|Blob} file - File to hash
+ * @returns {Promise<string>} Hex digest
+ */
+export const hashFile = async (file) => {
+  const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
 /**
  * Upload a file to Supabase storage
  * @param {File} file - File to upload
@@ -211,6 +221,7 @@ export default {
   getFileExtension,
   formatFileSize,
   getFileIconByType,
+  hashFile,
   uploadFile,
   downloadFile,
   getFileUrl,
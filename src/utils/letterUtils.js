@@ -0,0 +1,195 @@
+import { format, isAfter, subYears } from 'date-fns';
+import {
+  LETTER_DATES_DAY_FIRST,
+  LETTER_HEADER_LINES,
+  ORGANIZATION_MATCH_THRESHOLD
+} from '../config/ocr';
+
+// "Our ref: ABC/123/2024", "Reference No. 2024-15", "File number: X-9". The
+// value must contain a digit so words after a bare "Ref" are not taken.
+const REFERENCE_PATTERN = /\b(?:ref(?:erence)?|file)\b\.?\s*(?:no\b\.?|number\b|#)?\s*[:#.-]?\s*([A-Z0-9][A-Z0-9/._-]*\d[A-Z0-9/._-]*)/i;
+
+// "Subject: ...", "Re: ...", "Concerning: ..."
+const SUBJECT_PATTERN = /^\s*(?:subject|re|object|concerning|regarding)\s*[:.-]\s*(.+)$/i;
+
+const DATE_LABEL_PATTERN = /^\s*(?:date|dated)\b/i;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_NAME = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+
+/**
+ * Build a date, rejecting impossible ones such as 31/02
+ * @returns {Date|null}
+ */
+const toDate = (year, month, day) => {
+  const fullYear = year < 100 ? 2000 + year : year;
+  const date = new Date(fullYear, month - 1, day);
+  return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+};
+
+/**
+ * Find the first date written in a line of text
+ * @param {string} text - Line of text
+ * @returns {Date|null} The date
+ */
+export const findDate = (text) => {
+  let match = text.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/);
+  if (match) return toDate(Number(match[1]), Number(match[2]), Number(match[3]));
+
+  match = text.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_NAME}\\.?,?\\s+(\\d{4})\\b`, 'i'));
+  if (match) return toDate(Number(match[3]), MONTHS.indexOf(match[2].slice(0, 3).toLowerCase()) + 1, Number(match[1]));
+
+  match = text.match(new RegExp(`\\b${MONTH_NAME}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})\\b`, 'i'));
+  if (match) return toDate(Number(match[3]), MONTHS.indexOf(match[1].slice(0, 3).toLowerCase()) + 1, Number(match[2]));
+
+  match = text.match(/\b(\d{1,2})[./-](\d{1,2})[./-](\d{4}|\d{2})\b/);
+  if (match) {
+    const [first, second, year] = [Number(match[1]), Number(match[2]), Number(match[3])];
+    return LETTER_DATES_DAY_FIRST ? toDate(year, second, first) : toDate(year, first, second);
+  }
+
+  return null;
+};
+
+/**
+ * Lowercase a text and reduce it to letters, digits and single spaces
+ * @param {string} text - Text
+ * @returns {string} Normalized text
+ */
+const normalize = (text) =>
+  text
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+/**
+ * Similarity of two texts by shared letter pairs (Sørensen–Dice), 0-1
+ * Tolerant of the single-letter mistakes OCR makes.
+ * @param {string} a - Normalized text
+ * @param {string} b - Normalized text
+ * @returns {number} Similarity
+ */
+export const textSimilarity = (a, b) => {
+  const pairs = (text) => {
+    const compact = text.replace(/ /g, '');
+    return Array.from({ length: Math.max(compact.length - 1, 0) }, (_, i) => compact.slice(i, i + 2));
+  };
+
+  const pairsA = pairs(a);
+  const pairsB = pairs(b);
+  if (pairsA.length === 0 || pairsB.length === 0) return a === b ? 1 : 0;
+
+  const remaining = [...pairsB];
+  const shared = pairsA.filter(pair => {
+    const index = remaining.indexOf(pair);
+    if (index === -1) return false;
+    remaining.splice(index, 1);
+    return true;
+  }).length;
+
+  return (2 * shared) / (pairsA.length + pairsB.length);
+};
+
+/**
+ * Find the organization a letter is most likely from
+ * Each organization name is compared with every run of the same number of
+ * words in the letterhead lines, so addresses next to the name do not count
+ * against it.
+ * @param {Array<Object>} lines - Lines at the top of the letter { text, confidence }
+ * @param {Array<Object>} organizations - Organizations { id, name }
+ * @returns {Object|null} { organization, score, line }
+ */
+export const matchOrganization = (lines, organizations) => {
+  let best = null;
+
+  organizations.forEach(organization => {
+    const name = normalize(organization.name);
+    const nameLength = name.split(' ').length;
+    if (!name) return;
+
+    lines.forEach(line => {
+      const words = normalize(line.text).split(' ').filter(Boolean);
+
+      for (let size = Math.max(1, nameLength - 1); size <= nameLength + 1; size++) {
+        for (let start = 0; start + size <= words.length; start++) {
+          const score = textSimilarity(name, words.slice(start, start + size).join(' '));
+          if (!best || score > best.score) {
+            best = { organization, score, line };
+          }
+        }
+      }
+    });
+  });
+
+  return best && best.score >= ORGANIZATION_MATCH_THRESHOLD ? best : null;
+};
+
+/**
+ * Propose request fields from the OCR text of an incoming letter
+ * Each suggestion has a confidence (0-100) combining how sure OCR was of
+ * the line and how well the line fits the field.
+ * @param {Array<Object>} lines - OCR lines { text, confidence }
+ * @param {Array<Object>} organizations - Organizations the sender may be { id, name }
+ * @param {Date} today - Reference date for plausibility checks
+ * @returns {Object} Suggestions keyed by form field: { value, confidence, line, label? }
+ */
+export const suggestRequestFields = (lines, organizations = [], today = new Date()) => {
+  const textLines = lines.filter(line => line.text.trim());
+  const headerLines = textLines.slice(0, LETTER_HEADER_LINES);
+  const suggestions = {};
+
+  const referenceLine = textLines.find(line => REFERENCE_PATTERN.test(line.text));
+  if (referenceLine) {
+    suggestions.reference_number = {
+      value: referenceLine.text.match(REFERENCE_PATTERN)[1].replace(/[.,;:]+$/, ''),
+      confidence: referenceLine.confidence,
+      line: referenceLine.text
+    };
+  }
+
+  // A labelled date is the letter's own; otherwise the first date near the top
+  const datedLine = headerLines.find(line => DATE_LABEL_PATTERN.test(line.text) && findDate(line.text)) ||
+    headerLines.find(line => findDate(line.text));
+  if (datedLine) {
+    const date = findDate(datedLine.text);
+    // Letters dated in the future or long ago were most likely misread
+    const plausible = !isAfter(date, today) && isAfter(date, subYears(today, 1));
+    const labelled = DATE_LABEL_PATTERN.test(datedLine.text);
+
+    suggestions.date_received = {
+      value: format(date, 'yyyy-MM-dd'),
+      confidence: datedLine.confidence * (labelled ? 1 : 0.85) * (plausible ? 1 : 0.5),
+      line: datedLine.text
+    };
+  }
+
+  const sender = matchOrganization(headerLines, organizations);
+  if (sender) {
+    suggestions.sender = {
+      value: sender.organization.id,
+      label: sender.organization.name,
+      confidence: sender.line.confidence * sender.score,
+      line: sender.line.text
+    };
+  }
+
+  const subjectLine = textLines.find(line => SUBJECT_PATTERN.test(line.text));
+  if (subjectLine) {
+    suggestions.subject = {
+      value: subjectLine.text.match(SUBJECT_PATTERN)[1].trim().replace(/[.,;:]+$/, '').slice(0, 200),
+      confidence: subjectLine.confidence,
+      line: subjectLine.text
+    };
+  }
+
+  return suggestions;
+};
+
+export default {
+  findDate,
+  textSimilarity,
+  matchOrganization,
+  suggestRequestFields,
+};
@@ -0,0 +1,74 @@
+import {
+  PERMISSIONS,
+  LOCKED_ROLES,
+} from '../config/permissions';
+import { USER_ROLES } from '../config/constants';
+
+/**
+ * Get the permissions of a role
+ * Locked roles have every permission; other roles have the permissions
+ * stored for them, as hasPermission in supabase/functions/_shared/
+ * permissions.ts resolves them on the server.
+ * @param {Object} rolePermissions - Saved permissions, keyed by role
+ * @param {string} role - Role
+ * @returns {Array<string>} Permission keys
+ */
+export const getRolePermissions = (rolePermissions, role) => {
+  if (!role) return [];
+  if (LOCKED_ROLES.includes(role)) return Object.values(PERMISSIONS);
+
+  return rolePermissions?.[role] || [];
+};
+
+/**
+ * Get the roles that have a permission
+ * @param {Object} rolePermissions - Saved permissions, keyed by role
+ * @param {string} permission - Permission key
+ * @returns {Array<string>} Roles
+ */
+export const getRolesWithPermission = (rolePermissions, permission) => {
+  return Object.values(USER_ROLES).filter(role =>
+    getRolePermissions(rolePermissions, role).includes(permission)
+  );
+};
+
+/**
+ * Check whether a set of permissions allows something
+ * @param {Set<string>} permissions - Permissions the user has
+ * @param {string|Array<string>} required - A permission, or a list of which any is enough
+ * @returns {boolean} True if allowed
+ */
+export const hasPermission = (permissions, required) => {
+  if (!required) return true;
+  const list = Array.isArray(required) ? required : [required];
+  return list.some(permission => permissions.has(permission));
+};
+
+/**
+ * Get the navigation items a user may see
+ * Parents are kept only while at least one child is visible.
+ * @param {Array<Object>} items - Navigation items
+ * @param {Function} can - Permission check
+ * @param {string} role - The user's role, for role-specific paths
+ * @returns {Array<Object>} Visible items with resolved paths and names
+ */
+export const filterNavigation = (items, can, role) => {
+  return items.reduce((visible, item) => {
+    if (item.permission && !can(item.permission)) return visible;
+    if (item.hiddenWith && can(item.hiddenWith)) return visible;
+
+    const { getPath, scopedName, permission, hiddenWith, ...rest } = item;
+    const resolved = {
+      ...rest,
+      path: getPath ? getPath(role) : item.path,
+      name: scopedName && !can(PERMISSIONS.REQUESTS_VIEW_ALL) ? scopedName : item.name
+    };
+
+    if (item.children) {
+      resolved.children = filterNavigation(item.children, can, role);
+      if (resolved.children.length === 0) return visible;
+    }
+
+    return [...visible, resolved];
+  }, []);
+};
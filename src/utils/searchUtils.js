@@ -0,0 +1,79 @@
+import { SEARCH_QUALIFIERS, SEARCH_HIGHLIGHT } from '../config/search';
+
+const QUALIFIER_PATTERN = /(?:^|\s)(\w+):(?:"([^"]*)"?|(\S+))/g;
+
+/**
+ * Split a search query into free text and qualifiers
+ * Unknown qualifiers are kept as text, so `10:30` still searches for "10:30".
+ * @param {string} input - Query as typed, e.g. `invoice org:"City Council"`
+ * @returns {Object} { text, org, status, ref } - Missing qualifiers are null
+ */
+export const parseSearchQuery = (input = '') => {
+  const known = Object.values(SEARCH_QUALIFIERS);
+  const parsed = { org: null, status: null, ref: null };
+
+  const text = input.replace(QUALIFIER_PATTERN, (match, name, quoted, plain) => {
+    const key = name.toLowerCase();
+    if (!known.includes(key)) return match;
+
+    const value = (quoted ?? plain).trim();
+    if (value) parsed[key] = value;
+    return ' ';
+  });
+
+  return { text: text.replace(/\s+/g, ' ').trim(), ...parsed };
+};
+
+/**
+ * Find the status keys a status qualifier refers to
+ * The value matches a status key or label, ignoring case, spaces and
+ * underscores; a partial value matches every status starting with it.
+ * @param {Array<Object>} statuses - Workflow statuses
+ * @param {string} value - Qualifier value
+ * @returns {Array<string>} Matching status keys
+ */
+export const matchStatusKeys = (statuses, value) => {
+  const normalize = text => String(text || '').toLowerCase().replace(/[\s_-]+/g, '');
+  const wanted = normalize(value);
+
+  const exact = statuses.filter(status =>
+    normalize(status.key) === wanted || normalize(status.label) === wanted
+  );
+  if (exact.length > 0) return exact.map(status => status.key);
+
+  return statuses
+    .filter(status => normalize(status.key).startsWith(wanted) || normalize(status.label).startsWith(wanted))
+    .map(status => status.key);
+};
+
+/**
+ * Split a search snippet into plain and highlighted parts
+ * @param {string} snippet - Snippet with the matched words between highlight markers
+ * @returns {Array<Object>} Parts { text, highlighted }
+ */
+export const splitSnippet = (snippet = '') => {
+  const parts = [];
+  let rest = snippet || '';
+
+  while (rest) {
+    const start = rest.indexOf(SEARCH_HIGHLIGHT.START);
+    const stop = start === -1 ? -1 : rest.indexOf(SEARCH_HIGHLIGHT.STOP, start);
+
+    if (start === -1 || stop === -1) {
+      parts.push({ text: rest, highlighted: false });
+      break;
+    }
+
+    if (start > 0) parts.push({ text: rest.slice(0, start), highlighted: false });
+    parts.push({ text: rest.slice(start + SEARCH_HIGHLIGHT.START.length, stop), highlighted: true });
+    rest = rest.slice(stop + SEARCH_HIGHLIGHT.STOP.length);
+  }
+
+  return parts;
+};
+
+export default {
+  parseSearchQuery,
+  matchStatusKeys,
+  splitSnippet,
+};
@@ -0,0 +1,69 @@
+import { STATUS_CATEGORIES } from '../config/workflow';
+import { SLA_STATES, SLA_AT_RISK_RATIO } from '../config/sla';
+
+/**
+ * Check whether a request's deadline has passed
+ * @param {Object} request - Request with due_at
+ * @param {Date} now - Reference time
+ * @returns {boolean} True if the request is past its due date
+ */
+export const isPastDue = (request, now = new Date()) => {
+  if (!request?.due_at) return false;
+  return now > new Date(request.due_at);
+};
+
+/**
+ * Work out the SLA state of a request
+ * Deadlines themselves are computed in the database (business days and the
+ * holiday calendar); this only compares them against the current time.
+ * @param {Object} request - Request with due_at, date_received and completed_at
+ * @param {string} category - Workflow category of the request's status
+ * @param {Date} now - Reference time
+ * @returns {string|null} SLA state, or null when no SLA applies
+ */
+export const getSlaState = (request, category, now = new Date()) => {
+  if (!request?.due_at || category === STATUS_CATEGORIES.CANCELLED) return null;
+
+  const dueAt = new Date(request.due_at);
+
+  if (category === STATUS_CATEGORIES.COMPLETED) {
+    const completedAt = request.completed_at ? new Date(request.completed_at) : now;
+    return completedAt > dueAt ? SLA_STATES.BREACHED : SLA_STATES.MET;
+  }
+
+  if (now > dueAt) return SLA_STATES.BREACHED;
+
+  const startedAt = new Date(request.date_received || request.created_at);
+  const window = dueAt - startedAt;
+  const remaining = dueAt - now;
+
+  if (window > 0 && remaining <= window * SLA_AT_RISK_RATIO) {
+    return SLA_STATES.AT_RISK;
+  }
+
+  return SLA_STATES.ON_TRACK;
+};
+
+/**
+ * Count requests per SLA state
+ * @param {Array} requests - Requests with SLA fields
+ * @param {Function} getCategory - Maps a status key to its workflow category
+ * @param {Date} now - Reference time
+ * @returns {Object} Counts keyed by SLA state
+ */
+export const countSlaStates = (requests = [], getCategory, now = new Date()) => {
+  const counts = Object.values(SLA_STATES).reduce((acc, state) => ({ ...acc, [state]: 0 }), {});
+
+  requests.forEach(request => {
+    const state = getSlaState(request, getCategory(request.status), now);
+    if (state) counts[state] += 1;
+  });
+
+  return counts;
+};
+
+export default {
+  isPastDue,
+  getSlaState,
+  countSlaStates,
+};
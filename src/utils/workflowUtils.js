@@ -0,0 +1,248 @@
+import {
+  DEFAULT_WORKFLOW,
+  STATUS_CATEGORIES,
+  STATUS_COLOR_PALETTE,
+  TRANSITION_FIELDS,
+} from '../config/workflow';
+import { isPastDue } from './slaUtils';
+
+/**
+ * Format a status key for display when it is not part of the workflow
+ * @param {string} status - Status key (e.g. in_progress)
+ * @returns {string} Title-cased label
+ */
+export const formatStatusKey = (status) => {
+  if (!status) return 'Unknown';
+  return status.split('_').map(word =>
+    word.charAt(0).toUpperCase() + word.slice(1)
+  ).join(' ');
+};
+
+/**
+ * Find the definition of a status in a workflow
+ * @param {Object} workflow - Workflow definition
+ * @param {string} status - Status key
+ * @returns {Object|null} Status definition
+ */
+export const getStatusDefinition = (workflow, status) => {
+  const statuses = workflow?.statuses || DEFAULT_WORKFLOW.statuses;
+  return statuses.find(s => s.key === status) || null;
+};
+
+/**
+ * Get the display label for a status
+ * @param {Object} workflow - Workflow definition
+ * @param {string} status - Status key
+ * @returns {string} Status label
+ */
+export const getStatusLabel = (workflow, status) => {
+  return getStatusDefinition(workflow, status)?.label || formatStatusKey(status);
+};
+
+/**
+ * Get the Tailwind badge classes for a status
+ * @param {Object} workflow - Workflow definition
+ * @param {string} status - Status key
+ * @returns {string} Class names
+ */
+export const getStatusBadgeClasses = (workflow, status) => {
+  const color = getStatusDefinition(workflow, status)?.color;
+  return (STATUS_COLOR_PALETTE[color] || STATUS_COLOR_PALETTE.gray).badge;
+};
+
+/**
+ * Get the chart color (hex) for a status
+ * @param {Object} workflow - Workflow definition
+ * @param {string} status - Status key
+ * @returns {string} Hex color
+ */
+export const getStatusChartColor = (workflow, status) => {
+  const color = getStatusDefinition(workflow, status)?.color;
+  return (STATUS_COLOR_PALETTE[color] || STATUS_COLOR_PALETTE.gray).chart;
+};
+
+/**
+ * Get the category a status belongs to
+ * @param {Object} workflow - Workflow definition
+ * @param {string} status - Status key
+ * @returns {string|null} Category key
+ */
+export const getStatusCategory = (workflow, status) => {
+  return getStatusDefinition(workflow, status)?.category || null;
+};
+
+/**
+ * Get all status keys belonging to one or more categories
+ * @param {Object} workflow - Workflow definition
+ * @param {string|Array<string>} categories - Category key(s)
+ * @returns {Array<string>} Status keys
+ */
+export const getStatusesByCategory = (workflow, categories) => {
+  const wanted = Array.isArray(categories) ? categories : [categories];
+  const statuses = workflow?.statuses || DEFAULT_WORKFLOW.statuses;
+  return statuses.filter(s => wanted.includes(s.category)).map(s => s.key);
+};
+
+/**
+ * Get the status new requests start in
+ * @param {Object} workflow - Workflow definition
+ * @returns {string} Status key
+ */
+export const getInitialStatus = (workflow) => {
+  const statuses = workflow?.statuses || DEFAULT_WORKFLOW.statuses;
+  return (statuses.find(s => s.initial) || statuses[0]).key;
+};
+
+/**
+ * Check whether a status means the request is finished (completed or cancelled)
+ * @param {Object} workflow - Workflow definition
+ * @param {string} status - Status key
+ * @returns {boolean} True if the status is final
+ */
+export const isClosedStatus = (workflow, status) => {
+  const category = getStatusCategory(workflow, status);
+  return category === STATUS_CATEGORIES.COMPLETED || category === STATUS_CATEGORIES.CANCELLED;
+};
+
+/**
+ * Get the transitions a role may take from a status
+ * @param {Object} workflow - Workflow definition
+ * @param {string} fromStatus - Current status key
+ * @param {string} role - User role
+ * @returns {Array<Object>} Allowed transitions
+ */
+export const getAvailableTransitions = (workflow, fromStatus, role) => {
+  const transitions = workflow?.transitions || DEFAULT_WORKFLOW.transitions;
+  return transitions.filter(t =>
+    t.from === fromStatus && (t.roles || []).includes(role)
+  );
+};
+
+/**
+ * Find the transition between two statuses for a role
+ * @param {Object} workflow - Workflow definition
+ * @param {string} fromStatus - Current status key
+ * @param {string} toStatus - Target status key
+ * @param {string} role - User role
+ * @returns {Object|null} Transition definition
+ */
+export const findTransition = (workflow, fromStatus, toStatus, role) => {
+  return getAvailableTransitions(workflow, fromStatus, role)
+    .find(t => t.to === toStatus) || null;
+};
+
+/**
+ * Get every field a transition requires for a given request
+ * Completing a request after its SLA deadline also requires a breach reason.
+ * @param {Object} workflow - Workflow definition
+ * @param {Object} request - The request row
+ * @param {Object} transition - Transition definition
+ * @returns {Array<string>} Required field keys
+ */
+export const getRequiredTransitionFields = (workflow, request, transition) => {
+  if (!transition) return [];
+
+  const fields = [...(transition.requiredFields || [])];
+  const completes = getStatusCategory(workflow, transition.to) === STATUS_CATEGORIES.COMPLETED;
+
+  if (completes && isPastDue(request) && !fields.includes('sla_breach_reason')) {
+    fields.push('sla_breach_reason');
+  }
+
+  return fields;
+};
+
+/**
+ * List the required fields a transition is still missing
+ * @param {Array<string>} requiredFields - Field keys the transition requires
+ * @param {Object} values - Values captured in the status change form
+ * @param {Object} context - Current state of the request
+ * @param {Object} context.request - The request row
+ * @param {Array} context.files - Files attached to the request
+ * @returns {Array<string>} Labels of missing fields
+ */
+export const getMissingTransitionFields = (requiredFields = [], values = {}, context = {}) => {
+  const { request = {}, files = [] } = context;
+
+  return requiredFields.filter(field => {
+    switch (field) {
+      case 'assigned_to':
+        return !request.assigned_to;
+      case 'response_file':
+        return !files.some(file => file.is_response);
+      default:
+        return !values[field] || !String(values[field]).trim();
+    }
+  }).map(field => TRANSITION_FIELDS[field]?.label || formatStatusKey(field));
+};
+
+/**
+ * Validate a workflow definition before it is saved
+ * @param {Object} workflow - Workflow definition
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+export const validateWorkflow = (workflow) => {
+  const errors = [];
+  const statuses = workflow?.statuses || [];
+  const transitions = workflow?.transitions || [];
+  const keys = statuses.map(s => s.key);
+
+  if (statuses.length === 0) {
+    errors.push('A workflow needs at least one status.');
+  }
+
+  statuses.forEach(status => {
+    if (!status.key || !/^[a-z][a-z0-9_]*$/.test(status.key)) {
+      errors.push(`Status key "${status.key || ''}" must be lowercase letters, numbers and underscores.`);
+    }
+    if (!status.label) {
+      errors.push(`Status "${status.key}" needs a label.`);
+    }
+    if (!Object.values(STATUS_CATEGORIES).includes(status.category)) {
+      errors.push(`Status "${status.key}" has an unknown category.`);
+    }
+  });
+
+  if (new Set(keys).size !== keys.length) {
+    errors.push('Status keys must be unique.');
+  }
+
+  if (statuses.filter(s => s.initial).length !== 1) {
+    errors.push('Exactly one status must be marked as the initial status.');
+  }
+
+  if (!statuses.some(s => s.category === STATUS_CATEGORIES.COMPLETED)) {
+    errors.push('At least one status must be in the Completed category.');
+  }
+
+  transitions.forEach(transition => {
+    if (!keys.includes(transition.from) || !keys.includes(transition.to)) {
+      errors.push(`Transition ${transition.from} → ${transition.to} refers to an unknown status.`);
+    }
+    if (transition.from === transition.to) {
+      errors.push(`Transition ${transition.from} → ${transition.to} does not change the status.`);
+    }
+    if (!transition.roles || transition.roles.length === 0) {
+      errors.push(`Transition ${transition.from} → ${transition.to} must allow at least one role.`);
+    }
+  });
+
+  return errors;
+};
+
+export default {
+  formatStatusKey,
+  getStatusDefinition,
+  getStatusLabel,
+  getStatusBadgeClasses,
+  getStatusChartColor,
+  getStatusCategory,
+  getStatusesByCategory,
+  getInitialStatus,
+  isClosedStatus,
+  getAvailableTransitions,
+  findTransition,
+  getRequiredTransitionFields,
+  getMissingTransitionFields,
+  validateWorkflow,
+};
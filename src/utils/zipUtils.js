@@ -0,0 +1,183 @@
+// ZIP archives written in the browser. Entries are stored without
+// compression (documents are mostly compressed already) and produced one at
+// a time, so only one file is held in memory while the archive is written.
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+
+// Version 2.0, needed for folders
+const ZIP_VERSION = 20;
+
+// Bit 11: names are UTF-8
+const UTF8_FLAG = 0x0800;
+
+// Without ZIP64 sizes and offsets must fit in 32 bits
+const MAX_ZIP_SIZE = 0xffffffff;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * CRC-32 of some bytes, as ZIP requires for every entry
+ * @param {Uint8Array} bytes - The bytes
+ * @returns {number} The checksum
+ */
+export const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Date and time in the MS-DOS format ZIP uses
+ * @param {Date} date - The date
+ * @returns {Object} { time, date }
+ */
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: (Math.max(date.getFullYear() - 1980, 0) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+const localHeader = (entry) => {
+  const header = new DataView(new ArrayBuffer(30));
+  header.setUint32(0, LOCAL_HEADER_SIGNATURE, true);
+  header.setUint16(4, ZIP_VERSION, true);
+  header.setUint16(6, UTF8_FLAG, true);
+  header.setUint16(8, 0, true);
+  header.setUint16(10, entry.dos.time, true);
+  header.setUint16(12, entry.dos.date, true);
+  header.setUint32(14, entry.crc, true);
+  header.setUint32(18, entry.size, true);
+  header.setUint32(22, entry.size, true);
+  header.setUint16(26, entry.name.length, true);
+  header.setUint16(28, 0, true);
+  return new Uint8Array(header.buffer);
+};
+
+const centralHeader = (entry) => {
+  const header = new DataView(new ArrayBuffer(46));
+  header.setUint32(0, CENTRAL_HEADER_SIGNATURE, true);
+  header.setUint16(4, ZIP_VERSION, true);
+  header.setUint16(6, ZIP_VERSION, true);
+  header.setUint16(8, UTF8_FLAG, true);
+  header.setUint16(10, 0, true);
+  header.setUint16(12, entry.dos.time, true);
+  header.setUint16(14, entry.dos.date, true);
+  header.setUint32(16, entry.crc, true);
+  header.setUint32(20, entry.size, true);
+  header.setUint32(24, entry.size, true);
+  header.setUint16(28, entry.name.length, true);
+  header.setUint32(42, entry.offset, true);
+  return new Uint8Array(header.buffer);
+};
+
+const endOfCentralDirectory = (count, size, offset) => {
+  const record = new DataView(new ArrayBuffer(22));
+  record.setUint32(0, END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+  record.setUint16(8, count, true);
+  record.setUint16(10, count, true);
+  record.setUint32(12, size, true);
+  record.setUint32(16, offset, true);
+  return new Uint8Array(record.buffer);
+};
+
+/**
+ * Stream a ZIP archive of the given entries
+ * Each entry's contents are loaded only when the archive is read that far,
+ * so nothing is fetched before the stream is consumed.
+ * @param {Array} entries - [{ name, load, date }], load returning a Promise of a Uint8Array
+ * @returns {ReadableStream} The archive
+ */
+export const createZipStream = (entries) => {
+  const encoder = new TextEncoder();
+  const written = [];
+  let offset = 0;
+  let index = 0;
+
+  return new ReadableStream({
+    async pull(controller) {
+      if (index < entries.length) {
+        const { name, load, date = new Date() } = entries[index++];
+        const data = await load();
+        const entry = {
+          name: encoder.encode(name),
+          dos: toDosDateTime(date),
+          crc: crc32(data),
+          size: data.length,
+          offset
+        };
+
+        const header = localHeader(entry);
+        offset += header.length + entry.name.length + data.length;
+        if (offset > MAX_ZIP_SIZE) {
+          throw new Error('The archive would be larger than 4 GB. Please select fewer documents.');
+        }
+
+        controller.enqueue(header);
+        controller.enqueue(entry.name);
+        controller.enqueue(data);
+        written.push(entry);
+        return;
+      }
+
+      let directorySize = 0;
+      written.forEach(entry => {
+        const header = centralHeader(entry);
+        controller.enqueue(header);
+        controller.enqueue(entry.name);
+        directorySize += header.length + entry.name.length;
+      });
+
+      controller.enqueue(endOfCentralDirectory(written.length, directorySize, offset));
+      controller.close();
+    }
+  }, { highWaterMark: 0 });
+};
+
+/**
+ * Save a stream as a file
+ * Where the browser can write to disk directly the user picks the location
+ * and the archive is never held in memory; elsewhere it is downloaded as a
+ * Blob.
+ * @param {ReadableStream} stream - The contents
+ * @param {string} fileName - Suggested file name
+ * @returns {Promise<boolean>} False if the user cancelled
+ */
+export const saveStream = async (stream, fileName) => {
+  if (window.showSaveFilePicker) {
+    let handle;
+    try {
+      handle = await window.showSaveFilePicker({
+        suggestedName: fileName,
+        types: [{ description: 'ZIP archive', accept: { 'application/zip': ['.zip'] } }]
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        await stream.cancel();
+        return false;
+      }
+      throw error;
+    }
+    await stream.pipeTo(await handle.createWritable());
+    return true;
+  }
+
+  const blob = await new Response(stream, { headers: { 'Content-Type': 'application/zip' } }).blob();
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  URL.revokeObjectURL(url);
+  link.remove();
+  return true;
+};
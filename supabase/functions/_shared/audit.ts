@@ -0,0 +1,50 @@
+/**
+ * Append an entry to the audit log from a function, failing if it cannot
+ * be written
+ * Used where the entry must exist before the action goes ahead, such as
+ * deletion certificates. The acting user is the user the function is working
+ * for, and the entry is about them unless another entity is given.
+ * @param {Object} supabase - Admin client
+ * @param {Request} req - Incoming request (for the user agent and client IP)
+ * @param {Object} event - { action, user, metadata, entityType, entityId, changes, before, after }
+ * @returns {Promise<void>}
+ */
+export const writeAuditEvent = async (
+  supabase,
+  req: Request,
+  { action, user, metadata = {}, entityType = 'user', entityId = null, changes = {}, before = null, after = null }
+) => {
+  const { error } = await supabase
+    .from('v4_audit_logs')
+    .insert([{
+      actor_id: user.id,
+      actor_name: user.full_name || user.username,
+      action,
+      entity_type: entityType,
+      entity_id: String(entityId ?? user.id),
+      before_data: before,
+      after_data: after,
+      changes,
+      metadata,
+      user_agent: req.headers.get('user-agent'),
+      ip_address: req.headers.get('x-forwarded-for')?.split(',')[0].trim() || null
+    }]);
+
+  if (error) throw error;
+};
+
+/**
+ * Append an entry to the audit log from a function
+ * Failures are logged but never interrupt the action being audited.
+ * @param {Object} supabase - Admin client
+ * @param {Request} req - Incoming request (for the user agent and client IP)
+ * @param {Object} event - See writeAuditEvent
+ * @returns {Promise<void>}
+ */
+export const logAuditEvent = async (supabase, req: Request, event) => {
+  try {
+    await writeAuditEvent(supabase, req, event);
+  } catch (error) {
+    console.error(`Error writing audit log for ${event.action}:`, error);
+  }
+};
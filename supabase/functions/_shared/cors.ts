@@ -0,0 +1,18 @@
+// CORS headers for functions called from the browser
+export const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type, x-session-token, x-mfa-token',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+};
+
+/**
+ * Build a JSON response with the CORS headers
+ * @param {Object} body - Response body
+ * @param {number} status - HTTP status code
+ * @returns {Response}
+ */
+export const jsonResponse = (body: unknown, status = 200) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
@@ -0,0 +1,13 @@
+// SHA-256 digests as lowercase hex, like the browser computes them for
+// files; also used for tokens and recovery codes that are stored hashed
+
+/**
+ * SHA-256 of some bytes, or of a string as UTF-8
+ * @param {ArrayBuffer|Uint8Array|string} data - Bytes or text to hash
+ * @returns {Promise<string>} Hex digest
+ */
+export const sha256Hex = async (data: ArrayBuffer | Uint8Array | string) => {
+  const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
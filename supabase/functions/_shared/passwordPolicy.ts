@@ -0,0 +1,19 @@
+// Password policy, kept in step with PASSWORD_RULES in src/config/auth.js
+const PASSWORD_RULES = [
+  { test: (password: string) => password.length >= 8, message: 'Password must be at least 8 characters long' },
+  { test: (password: string) => /[A-Z]/.test(password), message: 'Must contain at least one uppercase letter' },
+  { test: (password: string) => /[a-z]/.test(password), message: 'Must contain at least one lowercase letter' },
+  { test: (password: string) => /[0-9]/.test(password), message: 'Must contain at least one number' },
+  { test: (password: string) => /[!@#$%^&*]/.test(password), message: 'Must contain at least one special character (!@#$%^&*)' },
+];
+
+/**
+ * Check a new password against the policy
+ * @param {string} password - The new password
+ * @returns {string|null} The first broken rule, or null if the password is valid
+ */
+export const validatePassword = (password: string) => {
+  if (typeof password !== 'string') return PASSWORD_RULES[0].message;
+  const broken = PASSWORD_RULES.find(rule => !rule.test(password));
+  return broken ? broken.message : null;
+};
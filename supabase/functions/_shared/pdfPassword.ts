@@ -0,0 +1,146 @@
+// Open passwords of response PDFs, per organization, and encrypting a
+// response with one. Passwords are stored encrypted with PDF_PASSWORD_KEY.
+import { PDFDocument } from 'npm:@cantoo/pdf-lib@2.3.1';
+import { sealSecret, openSecret } from './secrets.ts';
+import { sha256Hex } from './hash.ts';
+
+const STORAGE_BUCKET = 'request-files';
+const KEY_NAME = 'PDF_PASSWORD_KEY';
+
+// Readable passwords for reading out over the phone: no 0/O or 1/I/L
+const PASSWORD_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const PASSWORD_GROUPS = 4;
+const PASSWORD_GROUP_LENGTH = 4;
+
+const randomString = (alphabet: string, length: number) =>
+  Array.from(crypto.getRandomValues(new Uint32Array(length)), value => alphabet[value % alphabet.length]).join('');
+
+const generatePassword = () =>
+  Array.from({ length: PASSWORD_GROUPS }, () => randomString(PASSWORD_ALPHABET, PASSWORD_GROUP_LENGTH)).join('-');
+
+/**
+ * Start a new password version for an organization and retire the old one
+ * @returns {Promise<Object>} { version, password }
+ */
+export const rotatePassword = async (supabase, organizationId: string, userId: string | null) => {
+  const { data: latest, error: latestError } = await supabase
+    .from('v4_pdf_passwords')
+    .select('version')
+    .eq('organization_id', organizationId)
+    .order('version', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (latestError) throw latestError;
+
+  const password = generatePassword();
+  const version = (latest?.version || 0) + 1;
+
+  const { error: retireError } = await supabase
+    .from('v4_pdf_passwords')
+    .update({ retired_at: new Date().toISOString() })
+    .eq('organization_id', organizationId)
+    .is('retired_at', null);
+
+  if (retireError) throw retireError;
+
+  const { error: insertError } = await supabase
+    .from('v4_pdf_passwords')
+    .insert({
+      organization_id: organizationId,
+      version,
+      password_encrypted: await sealSecret(password, KEY_NAME),
+      created_by: userId
+    });
+
+  if (insertError) throw insertError;
+  return { version, password };
+};
+
+/**
+ * Get a password version of an organization, or its current one
+ * An organization without a password gets its first one here.
+ * @returns {Promise<Object>} { version, password }
+ */
+export const getPassword = async (supabase, organizationId: string, userId: string | null, version: number | null = null) => {
+  let query = supabase
+    .from('v4_pdf_passwords')
+    .select('version, password_encrypted')
+    .eq('organization_id', organizationId);
+
+  query = version ? query.eq('version', version) : query.is('retired_at', null);
+
+  const { data, error } = await query.maybeSingle();
+  if (error) throw error;
+
+  if (!data) {
+    if (version) throw new Error(`Password version ${version} not found`);
+    return rotatePassword(supabase, organizationId, userId);
+  }
+
+  return { version: data.version, password: await openSecret(data.password_encrypted, KEY_NAME) };
+};
+
+/**
+ * Encrypt a response PDF in storage with the current password of its
+ * request's organization, when the request or the organization requires it
+ * @param {Object} supabase - Admin client
+ * @param {Object} file - v4_request_files row with
+ *   request (sender, pdf_password_required, organizations (pdf_password_required))
+ * @returns {Promise<Object>} { protected, version }
+ */
+export const protectFile = async (supabase, file) => {
+  if (file.password_version) {
+    return { protected: true, version: file.password_version };
+  }
+
+  const required = file.request.pdf_password_required ?? file.request.organizations?.pdf_password_required;
+  if (!file.is_response || file.file_type !== 'application/pdf' || !required) {
+    return { protected: false, version: null };
+  }
+
+  const { version, password } = await getPassword(supabase, file.request.sender, file.uploaded_by);
+
+  const { data: blob, error: downloadError } = await supabase.storage
+    .from(STORAGE_BUCKET)
+    .download(file.file_path);
+
+  if (downloadError) throw downloadError;
+
+  const pdfDoc = await PDFDocument.load(new Uint8Array(await blob.arrayBuffer()), { ignoreEncryption: true });
+  pdfDoc.encrypt({
+    userPassword: password,
+    ownerPassword: randomString(PASSWORD_ALPHABET, 24),
+    permissions: {
+      printing: 'highResolution',
+      modifying: false,
+      copying: false,
+      annotating: false,
+      fillingForms: false,
+      contentAccessibility: true,
+      documentAssembly: false
+    }
+  });
+  const encrypted = await pdfDoc.save();
+
+  const { error: uploadError } = await supabase.storage
+    .from(STORAGE_BUCKET)
+    .upload(file.file_path, encrypted, { contentType: 'application/pdf', upsert: true });
+
+  if (uploadError) throw uploadError;
+
+  const { error: updateError } = await supabase
+    .from('v4_request_files')
+    .update({
+      is_secured: true,
+      password_version: version,
+      file_size: encrypted.length,
+      sha256: await sha256Hex(encrypted),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', file.id);
+
+  if (updateError) throw updateError;
+
+  return { protected: true, version };
+};
@@ -0,0 +1,22 @@
+/**
+ * Check a permission of a user's role; administrators have them all
+ * Other roles have the permissions stored in v4_role_permissions, as
+ * getRolePermissions in src/utils/permissionUtils.js resolves them in the
+ * browser; the defaults are seeded there by the migrations.
+ * @param {Object} supabase - Admin client
+ * @param {Object} user - Users row
+ * @param {string} permission - Permission key
+ * @returns {Promise<boolean>}
+ */
+export const hasPermission = async (supabase, user, permission: string) => {
+  if (user.user_role_v4 === 'administrator') return true;
+
+  const { data } = await supabase
+    .from('v4_role_permissions')
+    .select('permission')
+    .eq('role', user.user_role_v4)
+    .eq('permission', permission)
+    .maybeSingle();
+
+  return Boolean(data);
+};
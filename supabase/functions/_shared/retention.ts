@@ -0,0 +1,5 @@
+// Retention settings, kept in step with DELETION_REMINDER_DAYS in
+// src/config/constants.js
+
+// Days before deletion that organizations are reminded
+export const DELETION_REMINDER_DAYS = 14;
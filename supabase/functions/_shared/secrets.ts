@@ -0,0 +1,43 @@
+// Secrets kept in the database, encrypted with a key from the function's
+// environment (AES-GCM with the IV prepended, base64 encoded)
+
+export const toBase64 = (bytes: Uint8Array) => {
+  let binary = '';
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary);
+};
+
+export const fromBase64 = (value: string) => Uint8Array.from(atob(value), char => char.charCodeAt(0));
+
+const getKey = async (keyName: string) => {
+  const secret = Deno.env.get(keyName);
+  if (!secret) {
+    throw new Error(`${keyName} is not configured`);
+  }
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(secret));
+  return crypto.subtle.importKey('raw', digest, 'AES-GCM', false, ['encrypt', 'decrypt']);
+};
+
+/**
+ * Encrypt a secret for storage
+ * @param {string} value - Plain value
+ * @param {string} keyName - Environment variable holding the key
+ * @returns {Promise<string>} Base64 IV and ciphertext
+ */
+export const sealSecret = async (value: string, keyName: string) => {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, await getKey(keyName), new TextEncoder().encode(value));
+  return toBase64(new Uint8Array([...iv, ...new Uint8Array(ciphertext)]));
+};
+
+/**
+ * Decrypt a stored secret
+ * @param {string} sealed - Value from sealSecret
+ * @param {string} keyName - Environment variable holding the key
+ * @returns {Promise<string>} Plain value
+ */
+export const openSecret = async (sealed: string, keyName: string) => {
+  const bytes = fromBase64(sealed);
+  const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: bytes.slice(0, 12) }, await getKey(keyName), bytes.slice(12));
+  return new TextDecoder().decode(plain);
+};
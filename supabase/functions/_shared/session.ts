@@ -0,0 +1,133 @@
+import { SignJWT, jwtVerify } from 'npm:jose@5.2.3';
+
+// How long a session stays valid unless the role's session policy says otherwise
+export const SESSION_TTL_SECONDS = 8 * 60 * 60;
+
+// How long a user has to complete the two-factor step after the password
+export const MFA_TOKEN_TTL_SECONDS = 5 * 60;
+
+// How long a user signed in with a temporary password has to choose a new one
+export const PASSWORD_CHANGE_TOKEN_TTL_SECONDS = 15 * 60;
+
+const MFA_PURPOSE = 'mfa';
+const PASSWORD_CHANGE_PURPOSE = 'password_change';
+
+const getSecret = () => {
+  const secret = Deno.env.get('SESSION_JWT_SECRET');
+  if (!secret) {
+    throw new Error('SESSION_JWT_SECRET is not configured');
+  }
+  return new TextEncoder().encode(secret);
+};
+
+/**
+ * Sign a session for a user
+ * The token uses the `authenticated` role so it can be verified with the
+ * project JWT secret when SESSION_JWT_SECRET is set to it.
+ * @param {Object} user - Safe user row
+ * @param {Object} policy - Session policy of the user's role { idleTimeoutMinutes, maxSessionHours }
+ * @returns {Promise<Object>} { access_token, expires_at, idle_timeout_minutes }
+ */
+export const signSession = async (
+  user: Record<string, unknown>,
+  policy: { idleTimeoutMinutes?: number | null; maxSessionHours?: number | null } = {}
+) => {
+  const ttlSeconds = policy.maxSessionHours ? policy.maxSessionHours * 60 * 60 : SESSION_TTL_SECONDS;
+  const expiresAt = Math.floor(Date.now() / 1000) + ttlSeconds;
+
+  const accessToken = await new SignJWT({
+    role: 'authenticated',
+    app_role: user.user_role_v4,
+    username: user.username,
+  })
+    .setProtectedHeader({ alg: 'HS256', typ: 'JWT' })
+    .setSubject(String(user.id))
+    .setIssuedAt()
+    .setExpirationTime(expiresAt)
+    .sign(getSecret());
+
+  return {
+    access_token: accessToken,
+    expires_at: new Date(expiresAt * 1000).toISOString(),
+    // The browser signs out after this much inactivity (null: app default)
+    idle_timeout_minutes: policy.idleTimeoutMinutes ?? null,
+  };
+};
+
+/**
+ * Verify a session token
+ * @param {string} token - Token issued by signSession
+ * @returns {Promise<Object|null>} Token claims, or null if invalid or expired
+ */
+export const verifySession = async (token: string | null) => {
+  if (!token) return null;
+
+  try {
+    const { payload } = await jwtVerify(token, getSecret());
+    // Tokens for the two-factor step are not sessions
+    return payload.purpose ? null : payload;
+  } catch (_error) {
+    return null;
+  }
+};
+
+/**
+ * Sign a short-lived token proving the password step succeeded
+ * It can only be exchanged for a session by passing the two-factor step.
+ * @param {Object} user - Users row
+ * @param {boolean} passwordChangeRequired - Whether a temporary password was used
+ * @returns {Promise<string>} The token
+ */
+export const signMfaToken = async (user: Record<string, unknown>, passwordChangeRequired = false) =>
+  await new SignJWT({ purpose: MFA_PURPOSE, pwd_change: passwordChangeRequired })
+    .setProtectedHeader({ alg: 'HS256', typ: 'JWT' })
+    .setSubject(String(user.id))
+    .setIssuedAt()
+    .setExpirationTime(Math.floor(Date.now() / 1000) + MFA_TOKEN_TTL_SECONDS)
+    .sign(getSecret());
+
+/**
+ * Verify a token issued by signMfaToken
+ * @param {string} token - The token
+ * @returns {Promise<Object|null>} Token claims, or null if invalid or expired
+ */
+export const verifyMfaToken = async (token: string | null) => {
+  if (!token) return null;
+
+  try {
+    const { payload } = await jwtVerify(token, getSecret());
+    return payload.purpose === MFA_PURPOSE ? payload : null;
+  } catch (_error) {
+    return null;
+  }
+};
+
+/**
+ * Sign a short-lived token for a user who signed in with a temporary password
+ * It can only be exchanged for a session by setting a new password.
+ * @param {Object} user - Users row
+ * @returns {Promise<string>} The token
+ */
+export const signPasswordChangeToken = async (user: Record<string, unknown>) =>
+  await new SignJWT({ purpose: PASSWORD_CHANGE_PURPOSE })
+    .setProtectedHeader({ alg: 'HS256', typ: 'JWT' })
+    .setSubject(String(user.id))
+    .setIssuedAt()
+    .setExpirationTime(Math.floor(Date.now() / 1000) + PASSWORD_CHANGE_TOKEN_TTL_SECONDS)
+    .sign(getSecret());
+
+/**
+ * Verify a token issued by signPasswordChangeToken
+ * @param {string} token - The token
+ * @returns {Promise<Object|null>} Token claims, or null if invalid or expired
+ */
+export const verifyPasswordChangeToken = async (token: string | null) => {
+  if (!token) return null;
+
+  try {
+    const { payload } = await jwtVerify(token, getSecret());
+    return payload.purpose === PASSWORD_CHANGE_PURPOSE ? payload : null;
+  } catch (_error) {
+    return null;
+  }
+};
@@ -0,0 +1,156 @@
+// Signing response PDFs (PAdES) with the active institution certificate.
+// The certificate is stored encrypted with SIGNING_CERTIFICATE_KEY and its
+// private key never leaves the server.
+import { Buffer } from 'node:buffer';
+import { PDFDocument, StandardFonts, rgb } from 'npm:pdf-lib@1.17.1';
+import signpdf from 'npm:@signpdf/signpdf@3.2.4';
+import { P12Signer } from 'npm:@signpdf/signer-p12@3.2.4';
+import { pdflibAddPlaceholder } from 'npm:@signpdf/placeholder-pdf-lib@3.2.4';
+import { SUBFILTER_ETSI_CADES_DETACHED } from 'npm:@signpdf/utils@3.2.4';
+import { openSecret, fromBase64 } from './secrets.ts';
+import { sha256Hex } from './hash.ts';
+
+const STORAGE_BUCKET = 'request-files';
+export const SIGNING_KEY_NAME = 'SIGNING_CERTIFICATE_KEY';
+
+// Signature block in the bottom left corner of the last page, in points
+const BLOCK_MARGIN = 36;
+const BLOCK_FONT_SIZE = 8;
+const BLOCK_LINE_HEIGHT = 11;
+const BLOCK_PADDING = 6;
+
+/**
+ * Draw the signature block with the signer, date and where to verify
+ * @param {PDFDocument} pdfDoc - Document to sign
+ * @param {string[]} blockLines - Lines of the block
+ */
+const drawSignatureBlock = async (pdfDoc, blockLines: string[]) => {
+  // The standard font only has Latin-1 characters
+  const lines = blockLines.map(line => line.replace(/[^\x20-\x7E\u00A0-\u00FF]/g, '?'));
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const page = pdfDoc.getPage(pdfDoc.getPageCount() - 1);
+
+  const width = Math.max(...lines.map(line => font.widthOfTextAtSize(line, BLOCK_FONT_SIZE))) + BLOCK_PADDING * 2;
+  const height = lines.length * BLOCK_LINE_HEIGHT + BLOCK_PADDING * 2;
+
+  page.drawRectangle({
+    x: BLOCK_MARGIN,
+    y: BLOCK_MARGIN,
+    width,
+    height,
+    color: rgb(1, 1, 1),
+    borderColor: rgb(0.2, 0.4, 0.2),
+    borderWidth: 0.75
+  });
+
+  lines.forEach((line, index) => {
+    page.drawText(line, {
+      x: BLOCK_MARGIN + BLOCK_PADDING,
+      y: BLOCK_MARGIN + height - BLOCK_PADDING - (index + 1) * BLOCK_LINE_HEIGHT + 3,
+      size: BLOCK_FONT_SIZE,
+      font,
+      color: rgb(0.1, 0.1, 0.1)
+    });
+  });
+};
+
+/**
+ * Add a signature block to a response PDF and sign it in place in storage
+ * The SHA-256 of the signed file is kept so recipients can verify their
+ * copy. Password-protected PDFs, and responses uploaded while no valid
+ * certificate is active, are left unsigned.
+ * @param {Object} supabase - Admin client
+ * @param {Object} file - v4_request_files row
+ * @param {string} verifyBaseUrl - Address of the app, for the verification link
+ * @returns {Promise<Object>} { signed, signatureId, certificateId }
+ */
+export const signFile = async (supabase, file, verifyBaseUrl: string) => {
+  if (file.signature_id) {
+    return { signed: true, signatureId: file.signature_id, certificateId: null };
+  }
+
+  // Encrypted PDFs cannot be signed without breaking their encryption
+  if (!file.is_response || file.file_type !== 'application/pdf' || file.password_version) {
+    return { signed: false, signatureId: null, certificateId: null };
+  }
+
+  const { data: certificate, error: certificateError } = await supabase
+    .from('v4_signing_certificates')
+    .select('id, signer_name, valid_to, p12_encrypted, passphrase_encrypted')
+    .eq('is_active', true)
+    .maybeSingle();
+
+  if (certificateError) throw certificateError;
+  if (!certificate || new Date(certificate.valid_to) < new Date()) {
+    return { signed: false, signatureId: null, certificateId: null };
+  }
+
+  const { data: blob, error: downloadError } = await supabase.storage
+    .from(STORAGE_BUCKET)
+    .download(file.file_path);
+
+  if (downloadError) throw downloadError;
+
+  const signatureId = crypto.randomUUID();
+  const signedAt = new Date();
+  const verifyUrl = `${String(verifyBaseUrl || '').replace(/\/$/, '')}/verify/${signatureId}`;
+
+  const pdfDoc = await PDFDocument.load(new Uint8Array(await blob.arrayBuffer()));
+  await drawSignatureBlock(pdfDoc, [
+    `Digitally signed by ${certificate.signer_name}`,
+    `Date: ${signedAt.toISOString().replace('T', ' ').slice(0, 16)} UTC`,
+    `Verify: ${verifyUrl}`
+  ]);
+
+  pdflibAddPlaceholder({
+    pdfDoc,
+    reason: 'Response document',
+    contactInfo: '',
+    name: certificate.signer_name,
+    location: '',
+    signingTime: signedAt,
+    subFilter: SUBFILTER_ETSI_CADES_DETACHED
+  });
+
+  const signer = new P12Signer(
+    Buffer.from(fromBase64(await openSecret(certificate.p12_encrypted, SIGNING_KEY_NAME))),
+    { passphrase: await openSecret(certificate.passphrase_encrypted, SIGNING_KEY_NAME) }
+  );
+  const signed = await signpdf.sign(Buffer.from(await pdfDoc.save({ useObjectStreams: false })), signer, signedAt);
+  const sha256 = await sha256Hex(signed);
+
+  const { error: uploadError } = await supabase.storage
+    .from(STORAGE_BUCKET)
+    .upload(file.file_path, signed, { contentType: 'application/pdf', upsert: true });
+
+  if (uploadError) throw uploadError;
+
+  const { error: signatureError } = await supabase
+    .from('v4_document_signatures')
+    .insert({
+      id: signatureId,
+      file_id: file.id,
+      request_id: file.request_id,
+      certificate_id: certificate.id,
+      signer_name: certificate.signer_name,
+      sha256,
+      signed_by: file.uploaded_by,
+      signed_at: signedAt.toISOString()
+    });
+
+  if (signatureError) throw signatureError;
+
+  const { error: updateError } = await supabase
+    .from('v4_request_files')
+    .update({
+      signature_id: signatureId,
+      file_size: signed.length,
+      sha256,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', file.id);
+
+  if (updateError) throw updateError;
+
+  return { signed: true, signatureId, certificateId: certificate.id };
+};
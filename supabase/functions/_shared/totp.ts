@@ -0,0 +1,77 @@
+import * as OTPAuth from 'npm:otpauth@9.2.2';
+import QRCode from 'npm:qrcode@1.5.4';
+import { sha256Hex } from './hash.ts';
+
+const ISSUER = Deno.env.get('TOTP_ISSUER') ?? 'Go Digital';
+const PERIOD_SECONDS = 30;
+const RECOVERY_CODE_COUNT = 10;
+
+const buildTotp = (secret: string, label = '') =>
+  new OTPAuth.TOTP({
+    issuer: ISSUER,
+    label,
+    algorithm: 'SHA1',
+    digits: 6,
+    period: PERIOD_SECONDS,
+    secret: OTPAuth.Secret.fromBase32(secret),
+  });
+
+/**
+ * Create a new authenticator secret
+ * @param {string} username - Shown in the authenticator app
+ * @returns {Promise<Object>} { secret, otpauthUrl, qrCode } where qrCode is an SVG
+ */
+export const createTotpSecret = async (username: string) => {
+  const secret = new OTPAuth.Secret({ size: 20 }).base32;
+  const otpauthUrl = buildTotp(secret, username).toString();
+  const qrCode = await QRCode.toString(otpauthUrl, { type: 'svg', margin: 1 });
+
+  return { secret, otpauthUrl, qrCode };
+};
+
+/**
+ * Check a code from the authenticator app
+ * Codes from the previous and next period are accepted for clock drift,
+ * but a period can only be used once.
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Six-digit code
+ * @param {number|null} lastUsedStep - Period of the last accepted code
+ * @returns {number|null} The period of the accepted code, or null
+ */
+export const verifyTotpCode = (secret: string, code: string, lastUsedStep: number | null) => {
+  const token = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(token)) return null;
+
+  const delta = buildTotp(secret).validate({ token, window: 1 });
+  if (delta === null) return null;
+
+  const step = Math.floor(Date.now() / 1000 / PERIOD_SECONDS) + delta;
+  if (lastUsedStep !== null && step <= lastUsedStep) return null;
+
+  return step;
+};
+
+/**
+ * Hash a recovery code for storage
+ * @param {string} code - Recovery code
+ * @returns {Promise<string>} Hex digest
+ */
+export const hashRecoveryCode = async (code: string) => {
+  const normalized = String(code || '').replace(/[\s-]/g, '').toLowerCase();
+  return sha256Hex(normalized);
+};
+
+/**
+ * Create a set of single-use recovery codes
+ * @returns {Promise<Object>} { codes, hashes }
+ */
+export const createRecoveryCodes = async () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const bytes = new Uint8Array(5);
+    crypto.getRandomValues(bytes);
+    const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  return { codes, hashes: await Promise.all(codes.map(hashRecoveryCode)) };
+};
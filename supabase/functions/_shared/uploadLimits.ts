@@ -0,0 +1,57 @@
+// Upload size limits, kept in step with UPLOAD_CATEGORIES and
+// DEFAULT_UPLOAD_LIMITS_MB in src/config/upload.js and MAX_FILE_SIZE in
+// src/config/constants.js
+
+// Kinds of file with their own upload size limit, and the types they cover
+export const UPLOAD_CATEGORIES = {
+  pdf: { label: 'PDF', types: ['application/pdf'] },
+  word: {
+    label: 'Word',
+    types: [
+      'application/msword',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+    ]
+  },
+  excel: {
+    label: 'Excel',
+    types: [
+      'application/vnd.ms-excel',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    ]
+  },
+  image: { label: 'Image', types: ['image/jpeg', 'image/png'] }
+};
+
+// Limits in MB of categories without a row in v4_upload_limits
+export const DEFAULT_UPLOAD_LIMITS_MB = { pdf: 200, word: 50, excel: 50, image: 25 };
+
+// Limit in bytes of types without a category of their own
+export const MAX_FILE_SIZE = 20 * 1024 * 1024;
+
+/**
+ * Largest size a file of a type may be uploaded at
+ * @param {Object} supabase - Admin client
+ * @param {string} fileType - MIME type of the file
+ * @returns {Promise<Object>} { bytes, label }
+ */
+export const getUploadLimit = async (supabase, fileType: string) => {
+  const category = Object.keys(UPLOAD_CATEGORIES)
+    .find(key => UPLOAD_CATEGORIES[key].types.includes(fileType));
+
+  if (!category) {
+    return { bytes: MAX_FILE_SIZE, label: null };
+  }
+
+  const { data, error } = await supabase
+    .from('v4_upload_limits')
+    .select('max_size_mb')
+    .eq('category', category)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  return {
+    bytes: (data?.max_size_mb || DEFAULT_UPLOAD_LIMITS_MB[category]) * 1024 * 1024,
+    label: UPLOAD_CATEGORIES[category].label
+  };
+};
@@ -0,0 +1,163 @@
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import { jsonResponse } from './cors.ts';
+import { signPasswordChangeToken, signSession } from './session.ts';
+
+// Maximum number of failed login attempts allowed
+export const MAX_LOGIN_ATTEMPTS = 5;
+
+const LOCKED_MESSAGE = 'Account has been locked due to too many failed login attempts. Please contact an administrator.';
+
+/**
+ * Supabase client with the service role
+ * Only used inside functions; the key never reaches the browser.
+ */
+export const adminClient = () =>
+  createClient(
+    Deno.env.get('SUPABASE_URL') ?? '',
+    Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? '',
+    { auth: { persistSession: false } }
+  );
+
+/**
+ * Shape a user row for the client
+ * @param {Object} user - Row from the users table
+ * @returns {Object} The user without secrets and with `role` set
+ */
+export const toClientUser = (user: Record<string, unknown>) => {
+  const { password: _password, temp_password: _tempPassword, ...safeUser } = user;
+  return {
+    ...safeUser,
+    role: user.user_role_v4,
+  };
+};
+
+/**
+ * Count a failed attempt and lock the account when the limit is reached
+ * Wrong passwords and wrong two-factor codes share the same counter.
+ * @param {Object} supabase - Admin client
+ * @param {Object} user - Users row
+ * @param {string} message - Error shown while attempts remain
+ * @returns {Promise<Response>}
+ */
+export const recordFailedAttempt = async (supabase, user, message = 'Invalid credentials') => {
+  const newAttempts = (user.failed_login_attempts || 0) + 1;
+  const attemptsLeft = MAX_LOGIN_ATTEMPTS - newAttempts;
+
+  if (newAttempts >= MAX_LOGIN_ATTEMPTS) {
+    await supabase
+      .from('users')
+      .update({
+        failed_login_attempts: newAttempts,
+        is_active: false,
+        locked_at: new Date().toISOString()
+      })
+      .eq('id', user.id);
+
+    return jsonResponse({ error: LOCKED_MESSAGE, accountLocked: true, attemptsLeft: 0 }, 423);
+  }
+
+  await supabase
+    .from('users')
+    .update({ failed_login_attempts: newAttempts })
+    .eq('id', user.id);
+
+  return jsonResponse({
+    error: `${message}. ${attemptsLeft} login ${attemptsLeft === 1 ? 'attempt' : 'attempts'} remaining.`,
+    attemptsLeft
+  }, 401);
+};
+
+/**
+ * Whether a user has, or must set up, two-factor authentication
+ * @param {Object} supabase - Admin client
+ * @param {Object} user - Users row
+ * @returns {Promise<Object>} { enabled, required }
+ */
+export const getMfaState = async (supabase, user) => {
+  const [{ data: mfa }, { data: policy }] = await Promise.all([
+    supabase
+      .from('v4_user_mfa')
+      .select('enabled_at')
+      .eq('user_id', user.id)
+      .maybeSingle(),
+    supabase
+      .from('v4_mfa_role_policies')
+      .select('required')
+      .eq('role', user.user_role_v4)
+      .maybeSingle()
+  ]);
+
+  return {
+    enabled: Boolean(mfa?.enabled_at),
+    required: Boolean(user.mfa_required || policy?.required)
+  };
+};
+
+/**
+ * Get the session policy of a user's role
+ * @param {Object} supabase - Admin client
+ * @param {Object} user - Users row
+ * @returns {Promise<Object>} { idleTimeoutMinutes, maxSessionHours }, null where not set
+ */
+export const getSessionPolicy = async (supabase, user) => {
+  const { data: policy } = await supabase
+    .from('v4_session_policies')
+    .select('idle_timeout_minutes, max_session_hours')
+    .eq('role', user.user_role_v4)
+    .maybeSingle();
+
+  return {
+    idleTimeoutMinutes: policy?.idle_timeout_minutes ?? null,
+    maxSessionHours: policy?.max_session_hours ?? null
+  };
+};
+
+/**
+ * Finish a successful login and issue the session
+ * A user who signed in with a temporary password gets no session until
+ * they have chosen a new password; they get a token for the change-password
+ * function instead.
+ * @param {Object} supabase - Admin client
+ * @param {string} userId - User ID
+ * @param {boolean} passwordChangeRequired - Whether a temporary password was used
+ * @returns {Promise<Object>} { user, session, passwordChangeRequired, passwordChangeToken, error }
+ */
+export const completeLogin = async (supabase, userId, passwordChangeRequired = false) => {
+  // Reset failed login attempts and record the login
+  const loginUpdate = {
+    failed_login_attempts: 0,
+    last_login: new Date().toISOString()
+  };
+
+  // The temporary password stays valid until it is replaced, as the
+  // change-password function asks for it
+  if (passwordChangeRequired) {
+    Object.assign(loginUpdate, { password_change_required: true });
+  }
+
+  const { data: updatedUser, error } = await supabase
+    .from('users')
+    .update(loginUpdate)
+    .eq('id', userId)
+    .select('*')
+    .single();
+
+  if (error) throw error;
+
+  if (passwordChangeRequired) {
+    return {
+      user: toClientUser(updatedUser),
+      session: null,
+      passwordChangeRequired,
+      passwordChangeToken: await signPasswordChangeToken(updatedUser),
+      error: null
+    };
+  }
+
+  return {
+    user: toClientUser(updatedUser),
+    session: await signSession(updatedUser, await getSessionPolicy(supabase, updatedUser)),
+    passwordChangeRequired,
+    error: null
+  };
+};
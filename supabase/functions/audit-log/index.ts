@@ -0,0 +1,154 @@
+// Writes and reads the audit trail for the browser.
+// log: appends an entry about something the signed-in user did. The actor
+//   is the user of the session token, never a name sent by the browser.
+// list: returns entries matching the Audit Trail filters, for users allowed
+//   to view the audit trail.
+// The browser has no access to v4_audit_logs itself.
+import { corsHeaders, jsonResponse } from '../_shared/cors.ts';
+import { verifySession } from '../_shared/session.ts';
+import { adminClient } from '../_shared/users.ts';
+import { hasPermission } from '../_shared/permissions.ts';
+import { writeAuditEvent } from '../_shared/audit.ts';
+
+const ACTION_NAME = /^[a-z_]+(\.[a-z_]+)+$/;
+const ENTITY_TYPE = /^[a-z_]+$/;
+
+// Actions only the functions that perform them record
+const FUNCTION_ACTIONS = [
+  'file.quarantined',
+  'file.released',
+  'file.password_protected',
+  'file.password_viewed',
+  'file.signed',
+  'organization.pdf_password_rotated',
+  'request.files_purged'
+];
+const FUNCTION_ACTION_PREFIXES = ['user.'];
+
+const isFunctionAction = (action: string) =>
+  FUNCTION_ACTIONS.includes(action) || FUNCTION_ACTION_PREFIXES.some(prefix => action.startsWith(prefix));
+
+const isRecord = (value) => value === null || (typeof value === 'object' && !Array.isArray(value));
+
+/**
+ * Fetch audit entries, newest first
+ * @param {Object} supabase - Admin client
+ * @param {Object} filters - { entityType, action, actorId, entityId, dateRange, page, pageSize }
+ * @returns {Promise<Object>} { data, count }
+ */
+const listAuditLogs = async (supabase, filters) => {
+  let query = supabase
+    .from('v4_audit_logs')
+    .select('*', { count: 'exact' })
+    .order('created_at', { ascending: false });
+
+  if (filters.entityType && filters.entityType !== 'all') {
+    query = query.eq('entity_type', filters.entityType);
+  }
+
+  if (filters.action && filters.action !== 'all') {
+    query = query.eq('action', filters.action);
+  }
+
+  if (filters.actorId && filters.actorId !== 'all') {
+    query = query.eq('actor_id', filters.actorId);
+  }
+
+  if (filters.entityId) {
+    query = query.eq('entity_id', filters.entityId);
+  }
+
+  if (filters.dateRange?.start) {
+    query = query.gte('created_at', `${filters.dateRange.start}T00:00:00`);
+  }
+
+  if (filters.dateRange?.end) {
+    query = query.lte('created_at', `${filters.dateRange.end}T23:59:59`);
+  }
+
+  if (filters.pageSize) {
+    const from = ((Number(filters.page) || 1) - 1) * Number(filters.pageSize);
+    query = query.range(from, from + Number(filters.pageSize) - 1);
+  }
+
+  const { data, error, count } = await query;
+  if (error) throw error;
+
+  return { data: data || [], count: count || 0 };
+};
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  if (req.method !== 'POST') {
+    return jsonResponse({ error: 'Method not allowed' }, 405);
+  }
+
+  try {
+    const claims = await verifySession(req.headers.get('x-session-token'));
+
+    if (!claims?.sub) {
+      return jsonResponse({ error: 'Your session has expired. Please log in again.' }, 401);
+    }
+
+    const body = await req.json();
+    const supabase = adminClient();
+
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('id, username, full_name, user_role_v4, is_active')
+      .eq('id', claims.sub)
+      .single();
+
+    if (userError) throw userError;
+    if (!user.is_active) {
+      return jsonResponse({ error: 'This account is locked. Please contact an administrator.' }, 423);
+    }
+
+    switch (body.action) {
+      case 'log': {
+        const { event } = body;
+
+        if (!event || !ACTION_NAME.test(event.action || '') || !ENTITY_TYPE.test(event.entityType || '')) {
+          return jsonResponse({ error: 'Invalid audit event' }, 400);
+        }
+        if (isFunctionAction(event.action)) {
+          return jsonResponse({ error: 'This action is recorded by the server.' }, 403);
+        }
+        if (![event.before ?? null, event.after ?? null, event.changes ?? {}, event.metadata ?? {}].every(isRecord)) {
+          return jsonResponse({ error: 'Invalid audit event' }, 400);
+        }
+
+        await writeAuditEvent(supabase, req, {
+          action: event.action,
+          user,
+          entityType: event.entityType,
+          entityId: event.entityId ?? null,
+          before: event.before ?? null,
+          after: event.after ?? null,
+          changes: event.changes ?? {},
+          metadata: event.metadata ?? {}
+        });
+
+        return jsonResponse({ error: null });
+      }
+
+      case 'list': {
+        if (!(await hasPermission(supabase, user, 'audit.view'))) {
+          return jsonResponse({ error: 'You cannot view the audit trail.' }, 403);
+        }
+
+        const { data, count } = await listAuditLogs(supabase, body.filters || {});
+        return jsonResponse({ data, count, error: null });
+      }
+
+      default:
+        return jsonResponse({ error: 'Unknown action' }, 400);
+    }
+  } catch (error) {
+    console.error('Audit log error:', error);
+    return jsonResponse({ error: 'Failed to access the audit trail.' }, 500);
+  }
+});
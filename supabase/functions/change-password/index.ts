@@ -0,0 +1,106 @@
+// Sets a new password for the signed-in user, or for a user who has just
+// signed in with a temporary password (x-password-change-token), who then
+// gets their session. The token identifies the user, so one user cannot
+// change another's password, the current password must be given, and the
+// hash is created on the server.
+import bcrypt from 'npm:bcryptjs@2.4.3';
+import { corsHeaders, jsonResponse } from '../_shared/cors.ts';
+import { verifyPasswordChangeToken, verifySession } from '../_shared/session.ts';
+import { adminClient, completeLogin, recordFailedAttempt, toClientUser } from '../_shared/users.ts';
+import { validatePassword } from '../_shared/passwordPolicy.ts';
+
+/**
+ * Check the password the user says is their current one
+ * An unexpired temporary password counts, as users signed in with one
+ * have not chosen a password yet.
+ * @param {Object} user - Users row
+ * @param {string} password - Password given
+ * @returns {Promise<boolean>}
+ */
+const isCurrentPassword = async (user, password: string) => {
+  if (user.password && await bcrypt.compare(password, user.password)) {
+    return true;
+  }
+
+  const tempPasswordValid = user.temp_password_expires && new Date(user.temp_password_expires) > new Date();
+  return Boolean(user.temp_password && tempPasswordValid && await bcrypt.compare(password, user.temp_password));
+};
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  if (req.method !== 'POST') {
+    return jsonResponse({ error: 'Method not allowed' }, 405);
+  }
+
+  try {
+    const sessionClaims = await verifySession(req.headers.get('x-session-token'));
+    const changeClaims = sessionClaims
+      ? null
+      : await verifyPasswordChangeToken(req.headers.get('x-password-change-token'));
+    const userId = sessionClaims?.sub || changeClaims?.sub;
+
+    if (!userId) {
+      return jsonResponse({ error: 'Your session has expired. Please log in again.' }, 401);
+    }
+
+    const { currentPassword, newPassword } = await req.json();
+
+    if (!currentPassword) {
+      return jsonResponse({ error: 'Enter your current password' }, 400);
+    }
+
+    const validationError = validatePassword(newPassword);
+
+    if (validationError) {
+      return jsonResponse({ error: validationError }, 400);
+    }
+
+    const supabase = adminClient();
+
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('*')
+      .eq('id', userId)
+      .single();
+
+    if (userError) throw userError;
+    if (!user.is_active) {
+      return jsonResponse({ error: 'This account is locked. Please contact an administrator.', accountLocked: true }, 423);
+    }
+
+    if (!(await isCurrentPassword(user, currentPassword))) {
+      return await recordFailedAttempt(supabase, user, 'Your current password is not correct');
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+
+    const { data: updatedUser, error } = await supabase
+      .from('users')
+      .update({
+        password: hashedPassword,
+        temp_password: null,
+        temp_password_expires: null,
+        password_change_required: false,
+        failed_login_attempts: 0,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', userId)
+      .select('*')
+      .single();
+
+    if (error) throw error;
+
+    // Signing in with a temporary password ends here, with the session
+    if (changeClaims) {
+      return jsonResponse(await completeLogin(supabase, updatedUser.id));
+    }
+
+    return jsonResponse({ user: toClientUser(updatedUser), error: null });
+  } catch (error) {
+    console.error('Password change error:', error);
+    return jsonResponse({ error: 'Failed to update password. Please try again.' }, 500);
+  }
+});
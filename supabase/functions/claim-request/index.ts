@@ -0,0 +1,68 @@
+// Assigns the most pressing unassigned open request to the signed-in user
+// ("Claim Next" on the request list). The claimer is the user of the
+// session token and must be allowed to process requests; the database
+// picks the request and which statuses count as open.
+import { corsHeaders, jsonResponse } from '../_shared/cors.ts';
+import { verifySession } from '../_shared/session.ts';
+import { adminClient } from '../_shared/users.ts';
+import { hasPermission } from '../_shared/permissions.ts';
+import { logAuditEvent } from '../_shared/audit.ts';
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  if (req.method !== 'POST') {
+    return jsonResponse({ error: 'Method not allowed' }, 405);
+  }
+
+  try {
+    const claims = await verifySession(req.headers.get('x-session-token'));
+
+    if (!claims?.sub) {
+      return jsonResponse({ error: 'Your session has expired. Please log in again.' }, 401);
+    }
+
+    const supabase = adminClient();
+
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('id, username, full_name, user_role_v4, is_active')
+      .eq('id', claims.sub)
+      .single();
+
+    if (userError) throw userError;
+    if (!user.is_active) {
+      return jsonResponse({ error: 'This account is locked. Please contact an administrator.' }, 423);
+    }
+
+    if (!(await hasPermission(supabase, user, 'requests.process'))) {
+      return jsonResponse({ error: 'You cannot process requests.' }, 403);
+    }
+
+    const { data, error } = await supabase.rpc('v4_claim_next_request', { claimer_id: user.id });
+    if (error) throw error;
+
+    const claim = data?.[0];
+    if (!claim) {
+      return jsonResponse({ request: null, error: null });
+    }
+
+    await logAuditEvent(supabase, req, {
+      action: 'request.assigned',
+      user,
+      entityType: 'request',
+      entityId: claim.after.id,
+      before: claim.before,
+      after: claim.after,
+      changes: { assigned_to: { from: null, to: user.id } },
+      metadata: { from: null, to: user.id }
+    });
+
+    return jsonResponse({ request: claim.after, error: null });
+  } catch (error) {
+    console.error('Claim request error:', error);
+    return jsonResponse({ error: 'Failed to claim a request.' }, 500);
+  }
+});
@@ -0,0 +1,123 @@
+// Extracts the text of an uploaded document so it can be found by search.
+// Reads the file from storage with the service role and stores the text
+// in v4_request_files.extracted_text. PDFs with a text layer, Word
+// documents and plain text files are supported; other files are skipped.
+// Scanned images and PDFs are read with OCR in the browser instead.
+import { Buffer } from 'node:buffer';
+import { extractText, getDocumentProxy } from 'npm:unpdf@0.12.1';
+import mammoth from 'npm:mammoth@1.8.0';
+import { corsHeaders, jsonResponse } from '../_shared/cors.ts';
+import { verifySession } from '../_shared/session.ts';
+import { adminClient } from '../_shared/users.ts';
+
+const STORAGE_BUCKET = 'request-files';
+
+// Longer texts are cut; a tsvector cannot exceed 1 MB
+const MAX_TEXT_LENGTH = 200000;
+
+const DOCX_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+/**
+ * Extract the text of a file
+ * @param {Object} file - v4_request_files row
+ * @param {Uint8Array} bytes - File contents
+ * @returns {Promise<string|null>} The text, or null if the type is not supported
+ */
+const extractFileText = async (file: Record<string, string>, bytes: Uint8Array) => {
+  const name = file.file_name.toLowerCase();
+
+  if (file.file_type === 'application/pdf' || name.endsWith('.pdf')) {
+    const pdf = await getDocumentProxy(bytes);
+    const { text } = await extractText(pdf, { mergePages: true });
+    return text as string;
+  }
+
+  if (file.file_type === DOCX_TYPE || name.endsWith('.docx')) {
+    const { value } = await mammoth.extractRawText({ buffer: Buffer.from(bytes) });
+    return value;
+  }
+
+  if (file.file_type?.startsWith('text/') || /\.(txt|csv|md)$/.test(name)) {
+    return new TextDecoder().decode(bytes);
+  }
+
+  return null;
+};
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  if (req.method !== 'POST') {
+    return jsonResponse({ error: 'Method not allowed' }, 405);
+  }
+
+  try {
+    const claims = await verifySession(req.headers.get('x-session-token'));
+
+    if (!claims?.sub) {
+      return jsonResponse({ error: 'Your session has expired. Please log in again.' }, 401);
+    }
+
+    const { fileId } = await req.json();
+    if (!fileId) {
+      return jsonResponse({ error: 'fileId is required' }, 400);
+    }
+
+    const supabase = adminClient();
+
+    const { data: file, error: fileError } = await supabase
+      .from('v4_request_files')
+      .select('id, file_name, file_path, file_type, scan_status')
+      .eq('id', fileId)
+      .maybeSingle();
+
+    if (fileError) throw fileError;
+    if (!file) {
+      return jsonResponse({ error: 'File not found' }, 404);
+    }
+
+    // Files the upload scan has not cleared are not opened
+    if (['pending', 'quarantined', 'failed'].includes(file.scan_status)) {
+      return jsonResponse({ extracted: false, error: null });
+    }
+
+    const { data: blob, error: downloadError } = await supabase.storage
+      .from(STORAGE_BUCKET)
+      .download(file.file_path);
+
+    if (downloadError) throw downloadError;
+
+    const text = await extractFileText(file, new Uint8Array(await blob.arrayBuffer()));
+    if (text === null) {
+      return jsonResponse({ extracted: false, error: null });
+    }
+
+    // Null bytes are not allowed in TEXT columns
+    const cleaned = text.replace(/\u0000/g, '').replace(/[ \t]+/g, ' ').trim().slice(0, MAX_TEXT_LENGTH);
+
+    // Scanned PDFs have no text layer; their text comes from OCR in the
+    // browser and must not be overwritten
+    if (!cleaned) {
+      return jsonResponse({ extracted: false, error: null });
+    }
+
+    const { error: updateError } = await supabase
+      .from('v4_request_files')
+      .update({
+        extracted_text: cleaned,
+        text_source: 'document',
+        ocr_confidence: null,
+        text_extracted_at: new Date().toISOString()
+      })
+      .eq('id', file.id);
+
+    if (updateError) throw updateError;
+
+    return jsonResponse({ extracted: true, characters: cleaned.length, error: null });
+  } catch (error) {
+    console.error('Text extraction error:', error);
+    return jsonResponse({ error: 'Failed to extract the document text.' }, 500);
+  }
+});
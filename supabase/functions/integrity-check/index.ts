@@ -0,0 +1,194 @@
+// Integrity check of stored request files, run from Settings → Documents.
+// files: re-hashes a batch of stored files and compares each with the
+//   SHA-256 recorded for it. Files uploaded before checksums were kept get
+//   theirs recorded. The browser calls it batch by batch.
+// orphans: lists objects in the bucket that no file record points to.
+import { corsHeaders, jsonResponse } from '../_shared/cors.ts';
+import { verifySession } from '../_shared/session.ts';
+import { adminClient } from '../_shared/users.ts';
+import { hasPermission } from '../_shared/permissions.ts';
+import { sha256Hex } from '../_shared/hash.ts';
+
+const STORAGE_BUCKET = 'request-files';
+
+// Files downloaded and hashed per call, so one call stays within the
+// function time limit
+const BATCH_SIZE = 20;
+
+// Objects per storage listing page
+const LIST_PAGE_SIZE = 1000;
+
+// Supabase Storage keeps these in otherwise empty folders
+const PLACEHOLDER_NAME = '.emptyFolderPlaceholder';
+
+/**
+ * Every object in the bucket under a prefix, with its path
+ * @param {Object} supabase - Admin client
+ * @param {string} prefix - Folder to list, '' for the whole bucket
+ * @returns {Promise<Array>} [{ path, size, created_at }]
+ */
+const listObjects = async (supabase, prefix = '') => {
+  const objects = [];
+
+  for (let offset = 0; ; offset += LIST_PAGE_SIZE) {
+    const { data, error } = await supabase.storage
+      .from(STORAGE_BUCKET)
+      .list(prefix, { limit: LIST_PAGE_SIZE, offset, sortBy: { column: 'name', order: 'asc' } });
+
+    if (error) throw error;
+
+    for (const item of data || []) {
+      const path = prefix ? `${prefix}/${item.name}` : item.name;
+
+      // Folders have no ID
+      if (!item.id) {
+        objects.push(...await listObjects(supabase, path));
+      } else if (item.name !== PLACEHOLDER_NAME) {
+        objects.push({ path, size: item.metadata?.size ?? null, created_at: item.created_at });
+      }
+    }
+
+    if (!data || data.length < LIST_PAGE_SIZE) break;
+  }
+
+  return objects;
+};
+
+/**
+ * Re-hash a batch of stored files
+ * @param {Object} supabase - Admin client
+ * @param {number} offset - Files already checked
+ * @returns {Promise<Object>} { checked, ok, recorded, problems, nextOffset }
+ */
+const checkFiles = async (supabase, offset: number) => {
+  const { data: files, error } = await supabase
+    .from('v4_request_files')
+    .select('id, request_id, file_name, file_path, sha256, request:request_id (reference_number)')
+    .order('created_at')
+    .order('id')
+    .range(offset, offset + BATCH_SIZE - 1);
+
+  if (error) throw error;
+
+  let ok = 0;
+  let recorded = 0;
+  const problems = [];
+
+  for (const file of files || []) {
+    const { data: blob, error: downloadError } = await supabase.storage
+      .from(STORAGE_BUCKET)
+      .download(file.file_path);
+
+    const problem = {
+      file_id: file.id,
+      request_id: file.request_id,
+      reference_number: file.request?.reference_number || null,
+      file_name: file.file_name,
+      file_path: file.file_path
+    };
+
+    if (downloadError || !blob) {
+      problems.push({ ...problem, status: 'missing' });
+      continue;
+    }
+
+    const sha256 = await sha256Hex(await blob.arrayBuffer());
+
+    if (!file.sha256) {
+      const { error: updateError } = await supabase
+        .from('v4_request_files')
+        .update({ sha256 })
+        .eq('id', file.id);
+
+      if (updateError) throw updateError;
+      recorded++;
+    } else if (file.sha256 === sha256) {
+      ok++;
+    } else {
+      problems.push({ ...problem, status: 'mismatch', expected: file.sha256, actual: sha256 });
+    }
+  }
+
+  const checked = files?.length || 0;
+  return {
+    checked,
+    ok,
+    recorded,
+    problems,
+    nextOffset: checked === BATCH_SIZE ? offset + checked : null
+  };
+};
+
+/**
+ * Objects in the bucket without a file record
+ * @param {Object} supabase - Admin client
+ * @returns {Promise<Array>} [{ path, size, created_at }]
+ */
+const findOrphans = async (supabase) => {
+  const objects = await listObjects(supabase);
+  const known = new Set();
+
+  for (let offset = 0; ; offset += LIST_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('v4_request_files')
+      .select('file_path')
+      .order('id')
+      .range(offset, offset + LIST_PAGE_SIZE - 1);
+
+    if (error) throw error;
+    (data || []).forEach(row => known.add(row.file_path));
+    if (!data || data.length < LIST_PAGE_SIZE) break;
+  }
+
+  return objects.filter(object => !known.has(object.path));
+};
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  if (req.method !== 'POST') {
+    return jsonResponse({ error: 'Method not allowed' }, 405);
+  }
+
+  try {
+    const claims = await verifySession(req.headers.get('x-session-token'));
+
+    if (!claims?.sub) {
+      return jsonResponse({ error: 'Your session has expired. Please log in again.' }, 401);
+    }
+
+    const body = await req.json();
+    const supabase = adminClient();
+
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('id, user_role_v4, is_active')
+      .eq('id', claims.sub)
+      .single();
+
+    if (userError) throw userError;
+    if (!user.is_active) {
+      return jsonResponse({ error: 'This account is locked. Please contact an administrator.' }, 423);
+    }
+
+    if (!(await hasPermission(supabase, user, 'settings.documents.manage'))) {
+      return jsonResponse({ error: 'You cannot manage document settings.' }, 403);
+    }
+
+    switch (body.action) {
+      case 'files':
+        return jsonResponse({ ...await checkFiles(supabase, Math.max(0, Number(body.offset) || 0)), error: null });
+
+      case 'orphans':
+        return jsonResponse({ orphans: await findOrphans(supabase), error: null });
+
+      default:
+        return jsonResponse({ error: 'Unknown action' }, 400);
+    }
+  } catch (error) {
+    console.error('Integrity check error:', error);
+    return jsonResponse({ error: 'Failed to check stored files.' }, 500);
+  }
+});
@@ -0,0 +1,93 @@
+// Verifies a username and password and issues a signed session, or a
+// token for the two-factor step when the user has or needs 2FA, or for
+// choosing a new password after a temporary one.
+// Password hashes, temporary passwords and the failed-attempt counter
+// stay on the server.
+import bcrypt from 'npm:bcryptjs@2.4.3';
+import { corsHeaders, jsonResponse } from '../_shared/cors.ts';
+import { signMfaToken } from '../_shared/session.ts';
+import { adminClient, completeLogin, getMfaState, recordFailedAttempt } from '../_shared/users.ts';
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  if (req.method !== 'POST') {
+    return jsonResponse({ error: 'Method not allowed' }, 405);
+  }
+
+  try {
+    const { username, password } = await req.json();
+
+    if (!username || !password) {
+      return jsonResponse({ error: 'Username and password are required' }, 400);
+    }
+
+    const supabase = adminClient();
+
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('*')
+      .eq('username', username)
+      .maybeSingle();
+
+    if (userError) throw userError;
+
+    // Unknown users get the same answer as a wrong password
+    if (!user) {
+      return jsonResponse({ error: 'Invalid credentials', attemptsLeft: null }, 401);
+    }
+
+    // A temporary password works until it expires or is replaced
+    const isTempPassword = user.temp_password
+      ? await bcrypt.compare(password, user.temp_password)
+      : false;
+    const isValidPassword = !isTempPassword && user.password
+      ? await bcrypt.compare(password, user.password)
+      : false;
+
+    if (!isTempPassword && !isValidPassword) {
+      // The state of an account is only told to someone who knows its
+      // password, so a locked account answers like an unknown one
+      if (!user.is_active) {
+        return jsonResponse({ error: 'Invalid credentials', attemptsLeft: null }, 401);
+      }
+      return await recordFailedAttempt(supabase, user);
+    }
+
+    if (!user.is_active) {
+      return jsonResponse({
+        error: 'Account is locked due to too many failed login attempts. Please contact an administrator.',
+        accountInactive: true,
+        attemptsLeft: 0
+      }, 423);
+    }
+
+    if (isTempPassword && (!user.temp_password_expires || new Date(user.temp_password_expires) <= new Date())) {
+      return jsonResponse({
+        error: 'Your temporary password has expired. Please contact an administrator for a new one.',
+        tempPasswordExpired: true
+      }, 401);
+    }
+
+    const passwordChangeRequired = isTempPassword;
+
+    // A second factor is checked before any session is issued
+    const mfa = await getMfaState(supabase, user);
+
+    if (mfa.enabled || mfa.required) {
+      return jsonResponse({
+        mfaRequired: mfa.enabled,
+        mfaEnrollmentRequired: !mfa.enabled,
+        mfaToken: await signMfaToken(user, passwordChangeRequired),
+        error: null
+      });
+    }
+
+    return jsonResponse(await completeLogin(supabase, user.id, passwordChangeRequired));
+  } catch (error) {
+    console.error('Login error:', error);
+    return jsonResponse({ error: 'Unable to sign in right now. Please try again.' }, 500);
+  }
+});
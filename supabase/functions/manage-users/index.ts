@@ -0,0 +1,345 @@
+// Changes users for User Management: creating, editing, deleting and
+// unlocking them, issuing temporary passwords and reset links, and their
+// two-factor settings. The browser can only read the users columns without
+// secrets, so every change to a user is made here, by users allowed to
+// manage users, and written to the audit trail.
+import bcrypt from 'npm:bcryptjs@2.4.3';
+import { corsHeaders, jsonResponse } from '../_shared/cors.ts';
+import { verifySession } from '../_shared/session.ts';
+import { adminClient } from '../_shared/users.ts';
+import { hasPermission } from '../_shared/permissions.ts';
+import { logAuditEvent } from '../_shared/audit.ts';
+import { sha256Hex } from '../_shared/hash.ts';
+
+// Columns returned to the browser and recorded in the audit trail
+const USER_COLUMNS = 'id, username, full_name, user_role_v4, is_active, created_at, updated_at, created_by, updated_by, last_login, failed_login_attempts, locked_at, mfa_required';
+
+// Fields an administrator can set on the user form
+const EDITABLE_FIELDS = ['username', 'full_name', 'user_role_v4', 'is_active'];
+
+const ROLES = ['administrator', 'user', 'organization'];
+
+// Lifetime of temporary passwords and reset links (hours); the browser
+// sends the one the administrator chose
+const DEFAULT_CREDENTIAL_EXPIRY_HOURS = 24;
+const MAX_CREDENTIAL_EXPIRY_HOURS = 7 * 24;
+
+const TEMP_PASSWORD_CHARACTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789!@#$%^&*()';
+const TEMP_PASSWORD_LENGTH = 10;
+
+const randomHex = (length: number) => {
+  const bytes = new Uint8Array(length);
+  crypto.getRandomValues(bytes);
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+const generateTempPassword = () => {
+  const randomValues = new Uint32Array(TEMP_PASSWORD_LENGTH);
+  crypto.getRandomValues(randomValues);
+  return Array.from(randomValues, value => TEMP_PASSWORD_CHARACTERS[value % TEMP_PASSWORD_CHARACTERS.length]).join('');
+};
+
+const getExpiry = (expiresInHours: number) =>
+  new Date(Date.now() + expiresInHours * 60 * 60 * 1000).toISOString();
+
+const readExpiryHours = (expiresInHours) =>
+  Number.isInteger(expiresInHours) && expiresInHours > 0 && expiresInHours <= MAX_CREDENTIAL_EXPIRY_HOURS
+    ? expiresInHours
+    : DEFAULT_CREDENTIAL_EXPIRY_HOURS;
+
+/**
+ * Create a temporary password
+ * Only the bcrypt hash is stored; the password is shown to the
+ * administrator once and works for a single login.
+ * @param {number} expiresInHours - Lifetime in hours
+ * @returns {Promise<Object>} { password, expiresAt, fields } where fields are the users columns to save
+ */
+const prepareTempPassword = async (expiresInHours: number) => {
+  const password = generateTempPassword();
+  const expiresAt = getExpiry(expiresInHours);
+
+  return {
+    password,
+    expiresAt,
+    fields: {
+      temp_password: await bcrypt.hash(password, 10),
+      temp_password_expires: expiresAt,
+      password_change_required: true
+    }
+  };
+};
+
+/**
+ * Check the fields sent from the user form
+ * @param {Object} fields - Submitted fields
+ * @returns {Object} { values, error } with only the editable fields
+ */
+const readUserFields = (fields) => {
+  const values = Object.fromEntries(
+    EDITABLE_FIELDS.filter(field => fields?.[field] !== undefined).map(field => [field, fields[field]])
+  );
+
+  if ('username' in values && (typeof values.username !== 'string' || !values.username.trim())) {
+    return { values, error: 'Username is required' };
+  }
+  if ('user_role_v4' in values && !ROLES.includes(values.user_role_v4)) {
+    return { values, error: 'Unknown role' };
+  }
+  if ('is_active' in values && typeof values.is_active !== 'boolean') {
+    return { values, error: 'Invalid status' };
+  }
+
+  if (values.username) values.username = values.username.trim();
+  return { values, error: null };
+};
+
+/**
+ * Compare two versions of a user
+ * @param {Object} before - The user before the change
+ * @param {Object} after - The user after the change
+ * @returns {Object} Changed fields as { field: { from, to } }
+ */
+const diffUsers = (before, after) => Object.fromEntries(
+  Object.keys(after)
+    .filter(key => key !== 'updated_at' && JSON.stringify(before?.[key] ?? null) !== JSON.stringify(after[key] ?? null))
+    .map(key => [key, { from: before?.[key] ?? null, to: after[key] ?? null }])
+);
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  if (req.method !== 'POST') {
+    return jsonResponse({ error: 'Method not allowed' }, 405);
+  }
+
+  try {
+    const claims = await verifySession(req.headers.get('x-session-token'));
+
+    if (!claims?.sub) {
+      return jsonResponse({ error: 'Your session has expired. Please log in again.' }, 401);
+    }
+
+    const body = await req.json();
+    const supabase = adminClient();
+
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('id, username, full_name, user_role_v4, is_active')
+      .eq('id', claims.sub)
+      .single();
+
+    if (userError) throw userError;
+    if (!user.is_active) {
+      return jsonResponse({ error: 'This account is locked. Please contact an administrator.' }, 423);
+    }
+
+    if (!(await hasPermission(supabase, user, 'users.manage'))) {
+      return jsonResponse({ error: 'You cannot manage users.' }, 403);
+    }
+
+    if (body.action === 'create') {
+      const { values, error: fieldsError } = readUserFields(body.user);
+
+      if (fieldsError || !values.username || !values.user_role_v4) {
+        return jsonResponse({ error: fieldsError || 'Username and role are required' }, 400);
+      }
+
+      const tempPassword = await prepareTempPassword(readExpiryHours(body.expiresInHours));
+
+      const { data: created, error } = await supabase
+        .from('users')
+        .insert([{ ...values, ...tempPassword.fields, created_by: user.username }])
+        .select(USER_COLUMNS)
+        .single();
+
+      if (error?.code === '23505') {
+        return jsonResponse({ error: 'This username is already taken.' }, 409);
+      }
+      if (error) throw error;
+
+      await logAuditEvent(supabase, req, {
+        action: 'user.created',
+        user,
+        entityId: created.id,
+        after: created,
+        changes: diffUsers(null, created)
+      });
+
+      return jsonResponse({
+        user: created,
+        password: tempPassword.password,
+        expiresAt: tempPassword.expiresAt,
+        error: null
+      });
+    }
+
+    // Every other action changes an existing user
+    const { data: target, error: targetError } = await supabase
+      .from('users')
+      .select(USER_COLUMNS)
+      .eq('id', body.userId)
+      .maybeSingle();
+
+    if (targetError) throw targetError;
+    if (!target) {
+      return jsonResponse({ error: 'User not found' }, 404);
+    }
+
+    const updateUser = async (fields, action, metadata = {}) => {
+      const { data: updated, error } = await supabase
+        .from('users')
+        .update({ ...fields, updated_by: user.username, updated_at: new Date().toISOString() })
+        .eq('id', target.id)
+        .select(USER_COLUMNS)
+        .single();
+
+      if (error) throw error;
+
+      await logAuditEvent(supabase, req, {
+        action,
+        user,
+        entityId: target.id,
+        before: target,
+        after: updated,
+        changes: diffUsers(target, updated),
+        metadata
+      });
+
+      return updated;
+    };
+
+    switch (body.action) {
+      case 'update': {
+        const { values, error: fieldsError } = readUserFields(body.user);
+
+        if (fieldsError) {
+          return jsonResponse({ error: fieldsError }, 400);
+        }
+
+        const { data: taken } = values.username
+          ? await supabase.from('users').select('id').eq('username', values.username).neq('id', target.id).limit(1)
+          : { data: [] };
+
+        if (taken?.length) {
+          return jsonResponse({ error: 'This username is already taken.' }, 409);
+        }
+
+        return jsonResponse({ user: await updateUser(values, 'user.updated'), error: null });
+      }
+
+      case 'delete': {
+        if (target.id === user.id) {
+          return jsonResponse({ error: 'You cannot delete your own account.' }, 400);
+        }
+
+        const { error } = await supabase
+          .from('users')
+          .delete()
+          .eq('id', target.id);
+
+        // Requests, files and other records still point at the user
+        if (error?.code === '23503') {
+          return jsonResponse({ error: 'This user still has requests or files and cannot be deleted. Make the account inactive instead.' }, 409);
+        }
+        if (error) throw error;
+
+        await logAuditEvent(supabase, req, {
+          action: 'user.deleted',
+          user,
+          entityId: target.id,
+          before: target
+        });
+
+        return jsonResponse({ error: null });
+      }
+
+      case 'unlock': {
+        const updated = await updateUser(
+          { is_active: true, failed_login_attempts: 0, locked_at: null },
+          'user.unlocked'
+        );
+        return jsonResponse({ user: updated, error: null });
+      }
+
+      case 'issue-temp-password': {
+        const expiresInHours = readExpiryHours(body.expiresInHours);
+        const { password, expiresAt, fields } = await prepareTempPassword(expiresInHours);
+
+        // Only the temporary password fields change, NOT the actual password;
+        // the credential itself is never logged
+        await updateUser(fields, 'user.password_reset', { method: 'temp_password', expires_at: expiresAt });
+
+        return jsonResponse({ password, expiresAt, error: null });
+      }
+
+      case 'issue-reset-link': {
+        const expiresInHours = readExpiryHours(body.expiresInHours);
+        const token = randomHex(32);
+        const expiresAt = getExpiry(expiresInHours);
+
+        // Earlier unused links for the user stop working
+        const { error: revokeError } = await supabase
+          .from('v4_password_reset_tokens')
+          .delete()
+          .eq('user_id', target.id)
+          .is('used_at', null);
+
+        if (revokeError) throw revokeError;
+
+        const { error } = await supabase
+          .from('v4_password_reset_tokens')
+          .insert([{
+            user_id: target.id,
+            token_hash: await sha256Hex(token),
+            expires_at: expiresAt,
+            created_by: user.id
+          }]);
+
+        if (error) throw error;
+
+        await logAuditEvent(supabase, req, {
+          action: 'user.password_reset',
+          user,
+          entityId: target.id,
+          metadata: { method: 'reset_link', expires_at: expiresAt }
+        });
+
+        return jsonResponse({ token, expiresAt, error: null });
+      }
+
+      case 'set-mfa-required': {
+        if (typeof body.required !== 'boolean') {
+          return jsonResponse({ error: 'Invalid two-factor requirement' }, 400);
+        }
+
+        const updated = await updateUser({ mfa_required: body.required }, 'user.mfa_requirement_changed');
+        return jsonResponse({ user: updated, error: null });
+      }
+
+      case 'reset-mfa': {
+        const { error } = await supabase
+          .from('v4_user_mfa')
+          .delete()
+          .eq('user_id', target.id);
+
+        if (error) throw error;
+
+        await logAuditEvent(supabase, req, {
+          action: 'user.mfa_reset',
+          user,
+          entityId: target.id
+        });
+
+        return jsonResponse({ error: null });
+      }
+
+      default:
+        return jsonResponse({ error: 'Unknown action' }, 400);
+    }
+  } catch (error) {
+    console.error('Manage users error:', error);
+    return jsonResponse({ error: 'Failed to update the user.' }, 500);
+  }
+});
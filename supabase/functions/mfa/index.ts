@@ -0,0 +1,214 @@
+// Two-factor authentication with an authenticator app (TOTP).
+// Called either during login, with the token from the password step
+// (x-mfa-token), or by a signed-in user managing their own 2FA
+// (x-session-token). Secrets and recovery codes never leave the server
+// except once, when they are created.
+import { corsHeaders, jsonResponse } from '../_shared/cors.ts';
+import { verifyMfaToken, verifySession } from '../_shared/session.ts';
+import { adminClient, completeLogin, getMfaState, recordFailedAttempt } from '../_shared/users.ts';
+import { createRecoveryCodes, createTotpSecret, hashRecoveryCode, verifyTotpCode } from '../_shared/totp.ts';
+import { logAuditEvent } from '../_shared/audit.ts';
+
+/**
+ * Work out who is calling and how
+ * @param {Request} req - Incoming request
+ * @returns {Promise<Object|null>} { userId, duringLogin, passwordChangeRequired }
+ */
+const getCaller = async (req: Request) => {
+  const mfaClaims = await verifyMfaToken(req.headers.get('x-mfa-token'));
+  if (mfaClaims?.sub) {
+    return {
+      userId: mfaClaims.sub,
+      duringLogin: true,
+      passwordChangeRequired: Boolean(mfaClaims.pwd_change)
+    };
+  }
+
+  const sessionClaims = await verifySession(req.headers.get('x-session-token'));
+  if (sessionClaims?.sub) {
+    return { userId: sessionClaims.sub, duringLogin: false, passwordChangeRequired: false };
+  }
+
+  return null;
+};
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  if (req.method !== 'POST') {
+    return jsonResponse({ error: 'Method not allowed' }, 405);
+  }
+
+  try {
+    const caller = await getCaller(req);
+
+    if (!caller) {
+      return jsonResponse({ error: 'Your session has expired. Please log in again.', sessionExpired: true }, 401);
+    }
+
+    const { action, code, recoveryCode } = await req.json();
+    const supabase = adminClient();
+
+    const [{ data: user, error: userError }, { data: mfa, error: mfaError }] = await Promise.all([
+      supabase.from('users').select('*').eq('id', caller.userId).single(),
+      supabase.from('v4_user_mfa').select('*').eq('user_id', caller.userId).maybeSingle()
+    ]);
+
+    if (userError) throw userError;
+    if (mfaError) throw mfaError;
+
+    if (!user.is_active) {
+      return jsonResponse({ error: 'This account is locked. Please contact an administrator.', accountInactive: true }, 423);
+    }
+
+    const isEnabled = Boolean(mfa?.enabled_at);
+
+    switch (action) {
+      case 'status': {
+        const { required } = await getMfaState(supabase, user);
+        return jsonResponse({ enabled: isEnabled, required, error: null });
+      }
+
+      case 'enroll': {
+        if (isEnabled) {
+          return jsonResponse({ error: 'Two-factor authentication is already set up.' }, 409);
+        }
+
+        const { secret, otpauthUrl, qrCode } = await createTotpSecret(user.username);
+
+        const { error } = await supabase
+          .from('v4_user_mfa')
+          .upsert({
+            user_id: user.id,
+            secret,
+            enabled_at: null,
+            last_used_step: null,
+            recovery_codes: [],
+            updated_at: new Date().toISOString()
+          });
+
+        if (error) throw error;
+
+        return jsonResponse({ secret, otpauthUrl, qrCode, error: null });
+      }
+
+      case 'confirm': {
+        if (!mfa || isEnabled) {
+          return jsonResponse({ error: 'Start the set-up again to get a new QR code.' }, 409);
+        }
+
+        const step = verifyTotpCode(mfa.secret, code, null);
+
+        if (step === null) {
+          return jsonResponse({ error: 'That code is not valid. Check the time on your device and try again.' }, 400);
+        }
+
+        const { codes, hashes } = await createRecoveryCodes();
+        const now = new Date().toISOString();
+
+        const { error } = await supabase
+          .from('v4_user_mfa')
+          .update({ enabled_at: now, last_used_step: step, recovery_codes: hashes, updated_at: now })
+          .eq('user_id', user.id);
+
+        if (error) throw error;
+
+        await logAuditEvent(supabase, req, { action: 'user.mfa_enrolled', user });
+
+        // Set-up during login finishes the login
+        const login = caller.duringLogin
+          ? await completeLogin(supabase, user.id, caller.passwordChangeRequired)
+          : {};
+
+        return jsonResponse({ ...login, recoveryCodes: codes, error: null });
+      }
+
+      case 'verify': {
+        if (!caller.duringLogin || !isEnabled) {
+          return jsonResponse({ error: 'Two-factor verification is not expected.' }, 400);
+        }
+
+        const now = new Date().toISOString();
+
+        if (recoveryCode) {
+          const hash = await hashRecoveryCode(recoveryCode);
+
+          if (!mfa.recovery_codes?.includes(hash)) {
+            await logAuditEvent(supabase, req, { action: 'user.mfa_failed', user, metadata: { method: 'recovery_code' } });
+            return await recordFailedAttempt(supabase, user, 'Invalid recovery code');
+          }
+
+          // Each recovery code works once
+          const remaining = mfa.recovery_codes.filter(stored => stored !== hash);
+
+          const { error } = await supabase
+            .from('v4_user_mfa')
+            .update({ recovery_codes: remaining, updated_at: now })
+            .eq('user_id', user.id);
+
+          if (error) throw error;
+
+          await logAuditEvent(supabase, req, {
+            action: 'user.mfa_recovery_code_used',
+            user,
+            metadata: { remaining: remaining.length }
+          });
+
+          const login = await completeLogin(supabase, user.id, caller.passwordChangeRequired);
+          return jsonResponse({ ...login, recoveryCodesRemaining: remaining.length });
+        }
+
+        const step = verifyTotpCode(mfa.secret, code, mfa.last_used_step);
+
+        if (step === null) {
+          await logAuditEvent(supabase, req, { action: 'user.mfa_failed', user, metadata: { method: 'totp' } });
+          return await recordFailedAttempt(supabase, user, 'Invalid code');
+        }
+
+        const { error } = await supabase
+          .from('v4_user_mfa')
+          .update({ last_used_step: step, updated_at: now })
+          .eq('user_id', user.id);
+
+        if (error) throw error;
+
+        return jsonResponse(await completeLogin(supabase, user.id, caller.passwordChangeRequired));
+      }
+
+      case 'disable': {
+        if (caller.duringLogin || !isEnabled) {
+          return jsonResponse({ error: 'Two-factor authentication is not set up.' }, 400);
+        }
+
+        const { required } = await getMfaState(supabase, user);
+
+        if (required) {
+          return jsonResponse({ error: 'Two-factor authentication is required for your account.' }, 403);
+        }
+
+        if (verifyTotpCode(mfa.secret, code, mfa.last_used_step) === null) {
+          return jsonResponse({ error: 'That code is not valid.' }, 400);
+        }
+
+        const { error } = await supabase
+          .from('v4_user_mfa')
+          .delete()
+          .eq('user_id', user.id);
+
+        if (error) throw error;
+
+        await logAuditEvent(supabase, req, { action: 'user.mfa_disabled', user });
+
+        return jsonResponse({ enabled: false, error: null });
+      }
+
+      default:
+        return jsonResponse({ error: `Unknown action: ${action}` }, 400);
+    }
+  } catch (error) {
+    console.error('Two-factor error:', error);
+    return jsonResponse({ error: 'Two-factor authentication failed. Please try again.' }, 500);
+  }
+});
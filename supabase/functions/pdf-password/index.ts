@@ -0,0 +1,151 @@
+// Open passwords of response PDFs, per organization.
+// reveal: returns the password of a file (or an organization's current
+//   one) to users allowed to see it, so it can be passed on out of band.
+// rotate: starts a new password version for an organization.
+// Responses are encrypted with their organization's password by the
+// scan-file function, once their upload scan clears them. Passwords are
+// stored encrypted with PDF_PASSWORD_KEY and never leave the server except
+// through reveal, which is audited.
+import { corsHeaders, jsonResponse } from '../_shared/cors.ts';
+import { verifySession } from '../_shared/session.ts';
+import { adminClient } from '../_shared/users.ts';
+import { logAuditEvent } from '../_shared/audit.ts';
+import { hasPermission } from '../_shared/permissions.ts';
+import { getPassword, rotatePassword } from '../_shared/pdfPassword.ts';
+
+/**
+ * Check whether the caller may see an organization's passwords
+ * Users who see every request may; others only for their own organizations.
+ * @returns {Promise<boolean>}
+ */
+const canSeePasswords = async (supabase, user, organizationId: string) => {
+  if (!(await hasPermission(supabase, user, 'files.pdf_password.view'))) return false;
+  if (await hasPermission(supabase, user, 'requests.view_all')) return true;
+
+  const { data } = await supabase
+    .from('v4_user_organizations')
+    .select('organization_id')
+    .eq('user_id', user.id)
+    .eq('organization_id', organizationId)
+    .maybeSingle();
+
+  return Boolean(data);
+};
+
+/**
+ * Load a file with the organization and password settings of its request
+ * @returns {Promise<Object|null>} File row with request
+ */
+const getFile = async (supabase, fileId: string) => {
+  const { data, error } = await supabase
+    .from('v4_request_files')
+    .select(`
+      id, file_name, file_path, file_type, is_response, password_version,
+      request:request_id (id, sender, pdf_password_required, organizations:sender (pdf_password_required))
+    `)
+    .eq('id', fileId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  if (req.method !== 'POST') {
+    return jsonResponse({ error: 'Method not allowed' }, 405);
+  }
+
+  try {
+    const claims = await verifySession(req.headers.get('x-session-token'));
+
+    if (!claims?.sub) {
+      return jsonResponse({ error: 'Your session has expired. Please log in again.' }, 401);
+    }
+
+    const { action, fileId, organizationId } = await req.json();
+    const supabase = adminClient();
+
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('id, username, full_name, user_role_v4, is_active')
+      .eq('id', claims.sub)
+      .single();
+
+    if (userError) throw userError;
+    if (!user.is_active) {
+      return jsonResponse({ error: 'This account is locked. Please contact an administrator.' }, 423);
+    }
+
+    switch (action) {
+      case 'reveal': {
+        let targetOrganizationId = organizationId;
+        let version = null;
+        let file = null;
+
+        if (fileId) {
+          file = await getFile(supabase, fileId);
+          if (!file?.password_version) {
+            return jsonResponse({ error: 'This file is not password-protected.' }, 404);
+          }
+          targetOrganizationId = file.request.sender;
+          version = file.password_version;
+        }
+
+        if (!targetOrganizationId) {
+          return jsonResponse({ error: 'fileId or organizationId is required' }, 400);
+        }
+
+        const allowed = (await canSeePasswords(supabase, user, targetOrganizationId)) ||
+          (!file && await hasPermission(supabase, user, 'organizations.manage'));
+
+        if (!allowed) {
+          return jsonResponse({ error: 'You are not allowed to see this password.' }, 403);
+        }
+
+        const result = await getPassword(supabase, targetOrganizationId, user.id, version);
+
+        await logAuditEvent(supabase, req, {
+          action: 'file.password_viewed',
+          user,
+          entityType: file ? 'file' : 'organization',
+          entityId: file ? file.id : targetOrganizationId,
+          metadata: { organization_id: targetOrganizationId, version: result.version }
+        });
+
+        return jsonResponse({ ...result, error: null });
+      }
+
+      case 'rotate': {
+        if (!(await hasPermission(supabase, user, 'organizations.manage'))) {
+          return jsonResponse({ error: 'You cannot manage organizations.' }, 403);
+        }
+
+        if (!organizationId) {
+          return jsonResponse({ error: 'organizationId is required' }, 400);
+        }
+
+        const { version } = await rotatePassword(supabase, organizationId, user.id);
+
+        await logAuditEvent(supabase, req, {
+          action: 'organization.pdf_password_rotated',
+          user,
+          entityType: 'organization',
+          entityId: organizationId,
+          metadata: { version }
+        });
+
+        return jsonResponse({ version, error: null });
+      }
+
+      default:
+        return jsonResponse({ error: 'Unknown action' }, 400);
+    }
+  } catch (error) {
+    console.error('PDF password error:', error);
+    return jsonResponse({ error: 'Failed to process the PDF password request.' }, 500);
+  }
+});
@@ -0,0 +1,97 @@
+// Sets a new password from a one-time reset link and signs the user in
+// (through the two-factor step when the user has or needs 2FA).
+// Links are stored as SHA-256 hashes and are marked used before the
+// password changes, so a link can never be redeemed twice.
+import bcrypt from 'npm:bcryptjs@2.4.3';
+import { corsHeaders, jsonResponse } from '../_shared/cors.ts';
+import { signMfaToken } from '../_shared/session.ts';
+import { adminClient, completeLogin, getMfaState } from '../_shared/users.ts';
+import { validatePassword } from '../_shared/passwordPolicy.ts';
+import { sha256Hex } from '../_shared/hash.ts';
+
+const INVALID_LINK_MESSAGE = 'This reset link is invalid or has expired. Please ask an administrator for a new one.';
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  if (req.method !== 'POST') {
+    return jsonResponse({ error: 'Method not allowed' }, 405);
+  }
+
+  try {
+    const { token, newPassword } = await req.json();
+
+    if (!token) {
+      return jsonResponse({ error: INVALID_LINK_MESSAGE, invalidToken: true }, 400);
+    }
+
+    // Check the password first so a typo does not use up the link
+    const validationError = validatePassword(newPassword);
+
+    if (validationError) {
+      return jsonResponse({ error: validationError }, 400);
+    }
+
+    const supabase = adminClient();
+    const now = new Date().toISOString();
+
+    // Claim the token; only one request can set used_at
+    const { data: resetToken, error: tokenError } = await supabase
+      .from('v4_password_reset_tokens')
+      .update({ used_at: now })
+      .eq('token_hash', await sha256Hex(token))
+      .is('used_at', null)
+      .gt('expires_at', now)
+      .select('user_id')
+      .maybeSingle();
+
+    if (tokenError) throw tokenError;
+
+    if (!resetToken) {
+      return jsonResponse({ error: INVALID_LINK_MESSAGE, invalidToken: true }, 400);
+    }
+
+    const { data: updatedUser, error } = await supabase
+      .from('users')
+      .update({
+        password: await bcrypt.hash(newPassword, 10),
+        temp_password: null,
+        temp_password_expires: null,
+        password_change_required: false,
+        failed_login_attempts: 0,
+        updated_at: now
+      })
+      .eq('id', resetToken.user_id)
+      .eq('is_active', true)
+      .select('*')
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!updatedUser) {
+      return jsonResponse({
+        error: 'This account is locked. Please contact an administrator.',
+        accountInactive: true
+      }, 423);
+    }
+
+    // A reset link replaces the password, not the second factor
+    const mfa = await getMfaState(supabase, updatedUser);
+
+    if (mfa.enabled || mfa.required) {
+      return jsonResponse({
+        mfaRequired: mfa.enabled,
+        mfaEnrollmentRequired: !mfa.enabled,
+        mfaToken: await signMfaToken(updatedUser),
+        error: null
+      });
+    }
+
+    return jsonResponse(await completeLogin(supabase, updatedUser.id));
+  } catch (error) {
+    console.error('Password reset error:', error);
+    return jsonResponse({ error: 'Failed to reset password. Please try again.' }, 500);
+  }
+});
@@ -0,0 +1,199 @@
+// Nightly retention job, called by pg_cron with RETENTION_CRON_SECRET.
+// Organizations are reminded DELETION_REMINDER_DAYS before documents of a
+// completed request are deleted. Each file has its own deletion date, set
+// by the retention policies; once it has passed, a deletion certificate
+// listing the files of the request is written to the audit log, and the
+// files are removed from storage and v4_request_files. Requests under a
+// legal hold are skipped until the hold is released.
+import { corsHeaders, jsonResponse } from '../_shared/cors.ts';
+import { adminClient } from '../_shared/users.ts';
+import { writeAuditEvent } from '../_shared/audit.ts';
+import { DELETION_REMINDER_DAYS } from '../_shared/retention.ts';
+
+const STORAGE_BUCKET = 'request-files';
+
+// Requests reminded and files purged per run, so one run stays within the
+// function time limit; the rest are picked up the next night
+const BATCH_SIZE = 200;
+
+// Acts as the audit log actor
+const RETENTION_ACTOR = { id: null, full_name: 'Retention job' };
+
+const formatDate = (value: string) => new Date(value).toISOString().slice(0, 10);
+
+/**
+ * Remind the users of each organization whose documents are due for deletion
+ * @param {Object} supabase - Admin client
+ * @returns {Promise<number>} Requests reminded about
+ */
+const sendReminders = async (supabase) => {
+  const now = new Date();
+  const horizon = new Date(now.getTime() + DELETION_REMINDER_DAYS * 24 * 60 * 60 * 1000);
+
+  const { data: requests, error } = await supabase
+    .from('v4_requests')
+    .select('id, reference_number, sender, deletion_date')
+    .not('deletion_date', 'is', null)
+    .lte('deletion_date', horizon.toISOString())
+    .gt('deletion_date', now.toISOString())
+    .is('deletion_reminded_at', null)
+    .is('files_purged_at', null)
+    .eq('legal_hold', false)
+    .limit(BATCH_SIZE);
+
+  if (error) throw error;
+
+  for (const request of requests || []) {
+    const { data: members, error: membersError } = await supabase
+      .from('v4_user_organizations')
+      .select('user_id')
+      .eq('organization_id', request.sender);
+
+    if (membersError) throw membersError;
+
+    if (members?.length) {
+      const { error: notifyError } = await supabase
+        .from('v4_notifications')
+        .insert(members.map(member => ({
+          user_id: member.user_id,
+          type: 'deletion_reminder',
+          title: 'Documents will be deleted soon',
+          message: `Documents of request ${request.reference_number} will be deleted on ${formatDate(request.deletion_date)}. Download anything you need to keep before then.`,
+          related_request_id: request.id
+        })));
+
+      if (notifyError) throw notifyError;
+    }
+
+    const { error: updateError } = await supabase
+      .from('v4_requests')
+      .update({ deletion_reminded_at: now.toISOString() })
+      .eq('id', request.id);
+
+    if (updateError) throw updateError;
+  }
+
+  return requests?.length || 0;
+};
+
+/**
+ * Delete the files whose deletion date has passed
+ * @param {Object} supabase - Admin client
+ * @param {Request} req - Incoming request (for the audit log)
+ * @returns {Promise<Object>} { requests, files }
+ */
+const purgeExpired = async (supabase, req: Request) => {
+  const { data: files, error } = await supabase
+    .from('v4_request_files')
+    .select(`
+      id, request_id, file_name, file_path, file_size, file_type, is_response, created_at, deletion_date,
+      request:request_id!inner (reference_number, sender, priority, completed_at, legal_hold)
+    `)
+    .lte('deletion_date', new Date().toISOString())
+    .eq('request.legal_hold', false)
+    .order('deletion_date')
+    .limit(BATCH_SIZE);
+
+  if (error) throw error;
+
+  const byRequest = new Map();
+  (files || []).forEach(file => {
+    byRequest.set(file.request_id, [...(byRequest.get(file.request_id) || []), file]);
+  });
+
+  for (const [requestId, requestFiles] of byRequest) {
+    const { request } = requestFiles[0];
+
+    // Files with a later deletion date, e.g. responses kept longer, remain
+    const { count: total, error: countError } = await supabase
+      .from('v4_request_files')
+      .select('id', { count: 'exact', head: true })
+      .eq('request_id', requestId);
+
+    if (countError) throw countError;
+
+    const remaining = total - requestFiles.length;
+    const purgedAt = new Date().toISOString();
+
+    // The deletion certificate: what is deleted and when. It is written
+    // first, so no files are deleted without one; if a deletion below fails,
+    // the next run deletes the files and writes a new certificate.
+    await writeAuditEvent(supabase, req, {
+      action: 'request.files_purged',
+      user: RETENTION_ACTOR,
+      entityType: 'request',
+      entityId: requestId,
+      metadata: {
+        certificate_id: crypto.randomUUID(),
+        reference_number: request.reference_number,
+        organization_id: request.sender,
+        priority: request.priority,
+        completed_at: request.completed_at,
+        purged_at: purgedAt,
+        file_count: requestFiles.length,
+        files_remaining: remaining,
+        total_size: requestFiles.reduce((sum, file) => sum + (file.file_size || 0), 0),
+        files: requestFiles.map(file => ({
+          id: file.id,
+          file_name: file.file_name,
+          file_type: file.file_type,
+          file_size: file.file_size,
+          file_kind: file.is_response ? 'response' : 'original',
+          uploaded_at: file.created_at,
+          deletion_date: file.deletion_date
+        }))
+      }
+    });
+
+    const { error: removeError } = await supabase.storage
+      .from(STORAGE_BUCKET)
+      .remove(requestFiles.map(file => file.file_path));
+
+    if (removeError) throw removeError;
+
+    const { error: deleteError } = await supabase
+      .from('v4_request_files')
+      .delete()
+      .in('id', requestFiles.map(file => file.id));
+
+    if (deleteError) throw deleteError;
+
+    if (remaining === 0) {
+      const { error: updateError } = await supabase
+        .from('v4_requests')
+        .update({ files_purged_at: purgedAt })
+        .eq('id', requestId);
+
+      if (updateError) throw updateError;
+    }
+  }
+
+  return { requests: byRequest.size, files: files?.length || 0 };
+};
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  if (req.method !== 'POST') {
+    return jsonResponse({ error: 'Method not allowed' }, 405);
+  }
+
+  const secret = Deno.env.get('RETENTION_CRON_SECRET');
+  if (!secret || req.headers.get('x-cron-secret') !== secret) {
+    return jsonResponse({ error: 'Unauthorized' }, 401);
+  }
+
+  try {
+    const supabase = adminClient();
+
+    const reminded = await sendReminders(supabase);
+    const purged = await purgeExpired(supabase, req);
+
+    return jsonResponse({ reminded, purged, error: null });
+  } catch (error) {
+    console.error('Retention job error:', error);
+    return jsonResponse({ error: 'Retention job failed.' }, 500);
+  }
+});
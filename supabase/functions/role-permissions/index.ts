@@ -0,0 +1,139 @@
+// Saves the permissions of a role, from Settings → Permissions.
+// Functions check permissions against v4_role_permissions, so the browser
+// can only read that table and changes are made here, by users allowed to
+// manage permissions, and written to the audit trail.
+import { corsHeaders, jsonResponse } from '../_shared/cors.ts';
+import { verifySession } from '../_shared/session.ts';
+import { adminClient } from '../_shared/users.ts';
+import { hasPermission } from '../_shared/permissions.ts';
+import { logAuditEvent } from '../_shared/audit.ts';
+
+// Roles that always have every permission and are not stored
+const LOCKED_ROLES = ['administrator'];
+
+const ROLES = ['user', 'organization'];
+
+const PERMISSION_KEY = /^[a-z_]+(\.[a-z_]+)+$/;
+
+/**
+ * Replace the permissions of a role
+ * @param {Object} supabase - Admin client
+ * @param {string} role - Role
+ * @param {Array<string>} permissions - Permission keys the role should have
+ * @param {string} userId - The user saving them
+ * @returns {Promise<Object>} { previous, added, removed }
+ */
+const saveRolePermissions = async (supabase, role: string, permissions: string[], userId: string) => {
+  const { data: rows, error } = await supabase
+    .from('v4_role_permissions')
+    .select('permission')
+    .eq('role', role);
+
+  if (error) throw error;
+
+  const previous = (rows || []).map(row => row.permission);
+  const added = permissions.filter(permission => !previous.includes(permission));
+  const removed = previous.filter(permission => !permissions.includes(permission));
+
+  if (removed.length > 0) {
+    const { error: deleteError } = await supabase
+      .from('v4_role_permissions')
+      .delete()
+      .eq('role', role)
+      .in('permission', removed);
+
+    if (deleteError) throw deleteError;
+  }
+
+  if (added.length > 0) {
+    const { error: insertError } = await supabase
+      .from('v4_role_permissions')
+      .upsert(added.map(permission => ({ role, permission })));
+
+    if (insertError) throw insertError;
+  }
+
+  // Marks the role as configured, so saving it with no permissions does not
+  // bring back the defaults
+  const { error: roleError } = await supabase
+    .from('v4_permission_roles')
+    .upsert({ role, updated_at: new Date().toISOString(), updated_by: userId });
+
+  if (roleError) throw roleError;
+
+  return { previous, added, removed };
+};
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  if (req.method !== 'POST') {
+    return jsonResponse({ error: 'Method not allowed' }, 405);
+  }
+
+  try {
+    const claims = await verifySession(req.headers.get('x-session-token'));
+
+    if (!claims?.sub) {
+      return jsonResponse({ error: 'Your session has expired. Please log in again.' }, 401);
+    }
+
+    const body = await req.json();
+    const supabase = adminClient();
+
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('id, username, full_name, user_role_v4, is_active')
+      .eq('id', claims.sub)
+      .single();
+
+    if (userError) throw userError;
+    if (!user.is_active) {
+      return jsonResponse({ error: 'This account is locked. Please contact an administrator.' }, 423);
+    }
+
+    if (!(await hasPermission(supabase, user, 'settings.permissions.manage'))) {
+      return jsonResponse({ error: 'You cannot manage permissions.' }, 403);
+    }
+
+    switch (body.action) {
+      case 'save': {
+        const { role, permissions } = body;
+
+        if (LOCKED_ROLES.includes(role)) {
+          return jsonResponse({ error: 'The permissions of this role cannot be changed.' }, 400);
+        }
+        if (!ROLES.includes(role)) {
+          return jsonResponse({ error: 'Unknown role' }, 400);
+        }
+        if (!Array.isArray(permissions) || permissions.some(permission => typeof permission !== 'string' || !PERMISSION_KEY.test(permission))) {
+          return jsonResponse({ error: 'Invalid permissions' }, 400);
+        }
+
+        const unique = [...new Set(permissions)];
+        const { previous, added, removed } = await saveRolePermissions(supabase, role, unique, user.id);
+
+        if (added.length > 0 || removed.length > 0) {
+          await logAuditEvent(supabase, req, {
+            action: 'setting.updated',
+            user,
+            entityType: 'setting',
+            entityId: `permissions.${role}`,
+            changes: { permissions: { from: [...previous].sort(), to: [...unique].sort() } },
+            metadata: { added, removed }
+          });
+        }
+
+        return jsonResponse({ added, removed, error: null });
+      }
+
+      default:
+        return jsonResponse({ error: 'Unknown action' }, 400);
+    }
+  } catch (error) {
+    console.error('Role permissions error:', error);
+    return jsonResponse({ error: 'Failed to save permissions.' }, 500);
+  }
+});
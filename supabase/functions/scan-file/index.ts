@@ -0,0 +1,587 @@
+// Scans uploaded files before anything else reads them. New files are
+// 'pending' and cannot be opened until their scan marks them clean.
+// scan: runs every scanner on a newly uploaded file. Any finding moves the
+//   object under quarantine/ in the bucket, marks the file quarantined and
+//   notifies the administrators. A scanner that cannot run marks the file
+//   failed; it stays unavailable and the administrators are notified.
+//   A file that passes is finished before it is marked clean: responses
+//   are password-protected or signed, and a new version becomes current.
+//   A response that needs a password and cannot get one is marked failed.
+// release: finishes a quarantined or failed file the same way and makes
+//   it available once an administrator has reviewed it.
+// pg_cron calls the function with SCAN_CRON_SECRET to scan files still
+// pending, e.g. when the browser closed before it asked for the scan.
+// Signature verification links point at APP_URL, or at the address of the
+// app the upload came from.
+// The size scanner holds files over the upload limit of their type
+// (v4_upload_limits), which the browser only checks before it uploads.
+// The antivirus scanner talks to a ClamAV-compatible daemon (clamd) at
+// CLAMAV_HOST:CLAMAV_PORT and is skipped when CLAMAV_HOST is not set.
+import { corsHeaders, jsonResponse } from '../_shared/cors.ts';
+import { verifySession } from '../_shared/session.ts';
+import { adminClient } from '../_shared/users.ts';
+import { logAuditEvent } from '../_shared/audit.ts';
+import { hasPermission } from '../_shared/permissions.ts';
+import { protectFile } from '../_shared/pdfPassword.ts';
+import { signFile } from '../_shared/signing.ts';
+import { getUploadLimit } from '../_shared/uploadLimits.ts';
+
+const STORAGE_BUCKET = 'request-files';
+const QUARANTINE_PREFIX = 'quarantine/';
+
+const FILE_COLUMNS = `
+  id, request_id, file_name, file_path, file_type, uploaded_by, scan_status,
+  is_response, document_id, is_current, password_version, signature_id, processed_at,
+  request:request_id (reference_number, sender, pdf_password_required, organizations:sender (pdf_password_required))
+`;
+
+// Pending files scanned per pg_cron call
+const PENDING_BATCH_SIZE = 20;
+
+// Acts as the audit log actor of scans started by pg_cron
+const SCAN_ACTOR = { id: null, full_name: 'Upload scan' };
+
+const APP_URL = Deno.env.get('APP_URL');
+
+const CLAMAV_HOST = Deno.env.get('CLAMAV_HOST');
+const CLAMAV_PORT = Number(Deno.env.get('CLAMAV_PORT')) || 3310;
+
+// Size of each chunk streamed to clamd
+const CLAMAV_CHUNK_SIZE = 64 * 1024;
+
+const DOCX_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const ZIP_MAGIC = [0x50, 0x4B, 0x03, 0x04];
+const OLE_MAGIC = [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1];
+
+// Leading bytes of each accepted type. PDF readers accept the header
+// anywhere in the first 1024 bytes, so it is searched for there.
+const TYPE_SIGNATURES = {
+  'application/pdf': { label: 'PDF', magic: [0x25, 0x50, 0x44, 0x46, 0x2D], within: 1024 },
+  'application/msword': { label: 'Word', magic: OLE_MAGIC },
+  [DOCX_TYPE]: { label: 'Word', magic: ZIP_MAGIC },
+  'application/vnd.ms-excel': { label: 'Excel', magic: OLE_MAGIC },
+  [XLSX_TYPE]: { label: 'Excel', magic: ZIP_MAGIC },
+  'image/jpeg': { label: 'JPEG', magic: [0xFF, 0xD8, 0xFF] },
+  'image/png': { label: 'PNG', magic: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] }
+};
+
+// Programs renamed to look like documents
+const EXECUTABLE_SIGNATURES = [
+  { label: 'Windows program', magic: [0x4D, 0x5A] },
+  { label: 'Linux program', magic: [0x7F, 0x45, 0x4C, 0x46] },
+  { label: 'macOS program', magic: [0xCF, 0xFA, 0xED, 0xFE] },
+  { label: 'macOS program', magic: [0xCE, 0xFA, 0xED, 0xFE] },
+  { label: 'macOS program', magic: [0xCA, 0xFE, 0xBA, 0xBE] },
+  { label: 'script', magic: [0x23, 0x21] }
+];
+
+const encoder = new TextEncoder();
+
+const startsWith = (bytes: Uint8Array, magic: ArrayLike<number>, at = 0) => {
+  if (bytes.length < at + magic.length) return false;
+  for (let i = 0; i < magic.length; i++) {
+    if (bytes[at + i] !== magic[i]) return false;
+  }
+  return true;
+};
+
+/**
+ * Position of a byte sequence, or -1
+ * @param {Uint8Array} bytes - Where to search
+ * @param {ArrayLike<number>} pattern - What to find
+ * @param {number} end - Stop searching at this position
+ * @returns {number}
+ */
+const indexOfBytes = (bytes: Uint8Array, pattern: ArrayLike<number>, end = bytes.length) => {
+  const last = Math.min(end, bytes.length) - pattern.length;
+  for (let i = 0; i <= last; i++) {
+    if (startsWith(bytes, pattern, i)) return i;
+  }
+  return -1;
+};
+
+const utf16le = (text: string) =>
+  new Uint8Array(Array.from(text).flatMap(char => [char.charCodeAt(0), 0]));
+
+/**
+ * Compare the content with the type the browser reported
+ * @returns {Promise<Array>} Findings
+ */
+const checkContentType = async (file, bytes: Uint8Array) => {
+  const executable = EXECUTABLE_SIGNATURES.find(signature => startsWith(bytes, signature.magic));
+  if (executable) {
+    return [`The file is a ${executable.label}, not a document`];
+  }
+
+  const expected = TYPE_SIGNATURES[file.file_type];
+  if (!expected) return [];
+
+  const matches = expected.within
+    ? indexOfBytes(bytes, expected.magic, expected.within) !== -1
+    : startsWith(bytes, expected.magic);
+
+  return matches ? [] : [`The content is not a ${expected.label} file`];
+};
+
+/**
+ * Look for VBA macros in Word and Excel files
+ * Newer files keep them in a vbaProject.bin part, whose name is stored
+ * uncompressed in the zip; older ones in a _VBA_PROJECT stream, whose name
+ * is UTF-16 in the compound file directory.
+ * @returns {Promise<Array>} Findings
+ */
+const detectMacros = async (_file, bytes: Uint8Array) => {
+  if (startsWith(bytes, ZIP_MAGIC) && indexOfBytes(bytes, encoder.encode('vbaProject.bin')) !== -1) {
+    return ['The document contains macros'];
+  }
+
+  if (startsWith(bytes, OLE_MAGIC) && indexOfBytes(bytes, utf16le('_VBA_PROJECT')) !== -1) {
+    return ['The document contains macros'];
+  }
+
+  return [];
+};
+
+/**
+ * Compare the stored size with the upload limit of the file's type
+ * The browser checks the limit before uploading; this holds files that
+ * were sent around it.
+ * @returns {Promise<Array>} Findings
+ */
+const checkSize = async (file, bytes: Uint8Array, supabase) => {
+  const limit = await getUploadLimit(supabase, file.file_type);
+  if (bytes.length <= limit.bytes) return [];
+
+  const megabytes = Math.round(limit.bytes / (1024 * 1024));
+  return [`The file is larger than the ${megabytes} MB limit${limit.label ? ` for ${limit.label} files` : ''}`];
+};
+
+const writeAll = async (conn: Deno.Conn, data: Uint8Array) => {
+  for (let written = 0; written < data.length;) {
+    written += await conn.write(data.subarray(written));
+  }
+};
+
+/**
+ * Scan the content with clamd over its INSTREAM command
+ * clamd refuses streams over its StreamMaxLength, which must be at least
+ * the largest upload limit.
+ * @returns {Promise<Array>} Findings
+ */
+const scanWithClamav = async (_file, bytes: Uint8Array) => {
+  if (!CLAMAV_HOST) return [];
+
+  const conn = await Deno.connect({ hostname: CLAMAV_HOST, port: CLAMAV_PORT });
+  let reply = '';
+
+  try {
+    await writeAll(conn, encoder.encode('zINSTREAM\0'));
+
+    for (let offset = 0; offset < bytes.length; offset += CLAMAV_CHUNK_SIZE) {
+      const chunk = bytes.subarray(offset, offset + CLAMAV_CHUNK_SIZE);
+      const length = new Uint8Array(4);
+      new DataView(length.buffer).setUint32(0, chunk.length);
+      await writeAll(conn, length);
+      await writeAll(conn, chunk);
+    }
+    await writeAll(conn, new Uint8Array(4));
+
+    // The reply ends with a null byte, e.g. "stream: Eicar-Signature FOUND"
+    const buffer = new Uint8Array(1024);
+    const decoder = new TextDecoder();
+    while (!reply.includes('\0')) {
+      const read = await conn.read(buffer);
+      if (read === null) break;
+      reply += decoder.decode(buffer.subarray(0, read), { stream: true });
+    }
+  } finally {
+    conn.close();
+  }
+
+  reply = reply.replace(/\0.*$/s, '').trim();
+
+  if (reply.endsWith('FOUND')) {
+    return [`Antivirus found ${reply.replace(/^stream:\s*/, '').replace(/\s*FOUND$/, '')}`];
+  }
+  if (!reply.endsWith('OK')) {
+    throw new Error(`clamd replied "${reply}"`);
+  }
+  return [];
+};
+
+// Scanners run in this order on every upload; any finding quarantines the
+// file. Each is called with the file row, its content and the admin client
+// and returns the reasons it found.
+const SCANNERS = [
+  { name: 'size', scan: checkSize },
+  { name: 'content_type', scan: checkContentType },
+  { name: 'macros', scan: detectMacros },
+  { name: 'antivirus', scan: scanWithClamav }
+];
+
+/**
+ * Run every scanner on a file
+ * @param {Object} supabase - Admin client
+ * @param {Object} file - v4_request_files row
+ * @param {Uint8Array} bytes - File contents
+ * @returns {Promise<Object>} { findings, failures }
+ */
+const runScanners = async (supabase, file, bytes: Uint8Array) => {
+  const findings = [];
+  const failures = [];
+
+  for (const scanner of SCANNERS) {
+    try {
+      const reasons = await scanner.scan(file, bytes, supabase);
+      findings.push(...reasons.map(reason => ({ scanner: scanner.name, reason })));
+    } catch (error) {
+      console.error(`Scanner ${scanner.name} failed:`, error);
+      failures.push({ scanner: scanner.name, reason: 'The scanner could not run' });
+    }
+  }
+
+  return { findings, failures };
+};
+
+/**
+ * Tell every active administrator about a quarantined file, or one that
+ * could not be scanned
+ * @param {Object} supabase - Admin client
+ * @param {Object} file - v4_request_files row, with its request
+ * @param {string} status - 'quarantined' or 'failed'
+ * @param {Array} findings - Why it was quarantined, or which scanners failed
+ */
+const notifyAdministrators = async (supabase, file, status: string, findings) => {
+  const reasons = findings.map(finding => finding.reason).join('; ');
+
+  const { data: administrators, error } = await supabase
+    .from('users')
+    .select('id')
+    .eq('user_role_v4', 'administrator')
+    .eq('is_active', true);
+
+  if (error) throw error;
+  if (!administrators?.length) return;
+
+  const { error: notifyError } = await supabase
+    .from('v4_notifications')
+    .insert(administrators.map(administrator => ({
+      user_id: administrator.id,
+      type: 'file_quarantined',
+      title: status === 'quarantined' ? 'Upload quarantined' : 'Upload could not be scanned',
+      message: status === 'quarantined'
+        ? `"${file.file_name}" on request ${file.request?.reference_number || ''} was quarantined: ${reasons}.`
+        : `"${file.file_name}" on request ${file.request?.reference_number || ''} could not be scanned (${reasons}) and is held until it is reviewed.`,
+      related_request_id: file.request_id
+    })));
+
+  if (notifyError) throw notifyError;
+};
+
+/**
+ * Finish an upload the scan let through, before anyone can open it
+ * Responses are encrypted when their organization needs an open password
+ * and signed otherwise; a missing signature only warns. A new version of a
+ * document becomes the current one. Files are finished once.
+ * @param {Object} supabase - Admin client
+ * @param {Request} req - Incoming request (for the audit log)
+ * @param {Object} file - v4_request_files row, with its request
+ * @param {Object} user - User the scan runs for
+ * @param {string} verifyBaseUrl - Address of the app, for signature links
+ * @returns {Promise<Object>} { warning }
+ */
+const finishUpload = async (supabase, req: Request, file, user, verifyBaseUrl: string) => {
+  if (file.processed_at) return { warning: null };
+
+  let warning = null;
+
+  if (file.is_response && file.file_type === 'application/pdf') {
+    let protection;
+    try {
+      protection = await protectFile(supabase, file);
+    } catch (protectError) {
+      console.error(`Error password-protecting file ${file.id}:`, protectError);
+      throw new Error('The PDF could not be password-protected');
+    }
+
+    if (protection.protected && !file.password_version) {
+      await logAuditEvent(supabase, req, {
+        action: 'file.password_protected',
+        user,
+        entityType: 'file',
+        entityId: file.id,
+        metadata: { file_name: file.file_name, organization_id: file.request.sender, version: protection.version }
+      });
+    }
+
+    if (!protection.protected) {
+      try {
+        const signature = await signFile(supabase, file, verifyBaseUrl);
+        if (signature.signed && !file.signature_id) {
+          await logAuditEvent(supabase, req, {
+            action: 'file.signed',
+            user,
+            entityType: 'file',
+            entityId: file.id,
+            metadata: { file_name: file.file_name, signature_id: signature.signatureId, certificate_id: signature.certificateId }
+          });
+        }
+      } catch (signError) {
+        console.error(`Error signing file ${file.id}:`, signError);
+        warning = 'Could not sign this PDF';
+      }
+    }
+  }
+
+  // A new version replaces the current one of its document
+  if (!file.is_current && file.document_id) {
+    const { error: previousError } = await supabase
+      .from('v4_request_files')
+      .update({ is_current: false })
+      .eq('document_id', file.document_id)
+      .neq('id', file.id);
+
+    if (previousError) throw previousError;
+  }
+
+  const { error: updateError } = await supabase
+    .from('v4_request_files')
+    .update({ is_current: true, processed_at: new Date().toISOString() })
+    .eq('id', file.id);
+
+  if (updateError) throw updateError;
+
+  return { warning };
+};
+
+/**
+ * Run every scanner on a file and record the result
+ * @param {Object} supabase - Admin client
+ * @param {Request} req - Incoming request (for the audit log)
+ * @param {Object} file - v4_request_files row, with its request
+ * @param {Object} user - User the scan runs for
+ * @param {string} verifyBaseUrl - Address of the app, for signature links
+ * @returns {Promise<Object>} { status, findings, filePath, file, warning }
+ */
+const scanFile = async (supabase, req: Request, file, user, verifyBaseUrl: string) => {
+  const { data: blob, error: downloadError } = await supabase.storage
+    .from(STORAGE_BUCKET)
+    .download(file.file_path);
+
+  if (downloadError) throw downloadError;
+
+  const { findings, failures } = await runScanners(supabase, file, new Uint8Array(await blob.arrayBuffer()));
+  const scannedAt = new Date().toISOString();
+  let status = findings.length > 0 ? 'quarantined' : failures.length > 0 ? 'failed' : 'clean';
+  let filePath = file.file_path;
+
+  if (status === 'quarantined') {
+    filePath = QUARANTINE_PREFIX + file.file_path;
+
+    const { error: moveError } = await supabase.storage
+      .from(STORAGE_BUCKET)
+      .move(file.file_path, filePath);
+
+    if (moveError) throw moveError;
+  } else if (file.scan_status === 'released') {
+    // Rescanning a released file keeps it released
+    status = 'released';
+  }
+
+  let warning = null;
+  if (status !== 'quarantined' && status !== 'failed') {
+    try {
+      ({ warning } = await finishUpload(supabase, req, file, user, verifyBaseUrl));
+    } catch (finishError) {
+      status = 'failed';
+      failures.push({ scanner: 'processing', reason: finishError.message });
+    }
+  }
+
+  const { data: updated, error: updateError } = await supabase
+    .from('v4_request_files')
+    .update({
+      scan_status: status,
+      scan_findings: [...findings, ...failures],
+      scanned_at: scannedAt,
+      quarantined_at: status === 'quarantined' ? scannedAt : null,
+      file_path: filePath
+    })
+    .eq('id', file.id)
+    .select()
+    .single();
+
+  if (updateError) throw updateError;
+
+  if (status === 'quarantined' || status === 'failed') {
+    await notifyAdministrators(supabase, file, status, status === 'quarantined' ? findings : failures);
+  }
+
+  if (status === 'quarantined') {
+    await logAuditEvent(supabase, req, {
+      action: 'file.quarantined',
+      user,
+      entityType: 'file',
+      entityId: file.id,
+      metadata: { file_name: file.file_name, request_id: file.request_id, findings }
+    });
+  }
+
+  return { status, findings: [...findings, ...failures], filePath, file: updated, warning };
+};
+
+/**
+ * Scan files that are still pending, oldest first
+ * @param {Object} supabase - Admin client
+ * @param {Request} req - Incoming request (for the audit log)
+ * @returns {Promise<Object>} Number of files scanned and of scans that failed to run
+ */
+const scanPending = async (supabase, req: Request) => {
+  const { data: files, error } = await supabase
+    .from('v4_request_files')
+    .select(FILE_COLUMNS)
+    .eq('scan_status', 'pending')
+    .order('created_at')
+    .limit(PENDING_BATCH_SIZE);
+
+  if (error) throw error;
+
+  let scanned = 0;
+  let errors = 0;
+  for (const file of files || []) {
+    try {
+      await scanFile(supabase, req, file, SCAN_ACTOR, APP_URL);
+      scanned++;
+    } catch (scanError) {
+      // Stays pending and is tried again on the next run
+      console.error(`Error scanning file ${file.id}:`, scanError);
+      errors++;
+    }
+  }
+
+  return { scanned, errors };
+};
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  if (req.method !== 'POST') {
+    return jsonResponse({ error: 'Method not allowed' }, 405);
+  }
+
+  try {
+    // pg_cron picks up files whose scan the browser never asked for
+    const cronSecret = req.headers.get('x-cron-secret');
+    if (cronSecret) {
+      if (cronSecret !== Deno.env.get('SCAN_CRON_SECRET')) {
+        return jsonResponse({ error: 'Unauthorized' }, 401);
+      }
+
+      return jsonResponse({ ...(await scanPending(adminClient(), req)), error: null });
+    }
+
+    const claims = await verifySession(req.headers.get('x-session-token'));
+
+    if (!claims?.sub) {
+      return jsonResponse({ error: 'Your session has expired. Please log in again.' }, 401);
+    }
+
+    const body = await req.json();
+    const supabase = adminClient();
+
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('id, username, full_name, user_role_v4, is_active')
+      .eq('id', claims.sub)
+      .single();
+
+    if (userError) throw userError;
+    if (!user.is_active) {
+      return jsonResponse({ error: 'This account is locked. Please contact an administrator.' }, 423);
+    }
+
+    const { data: file, error: fileError } = await supabase
+      .from('v4_request_files')
+      .select(FILE_COLUMNS)
+      .eq('id', body.fileId)
+      .maybeSingle();
+
+    if (fileError) throw fileError;
+    if (!file) {
+      return jsonResponse({ error: 'File not found' }, 404);
+    }
+
+    const canManage = await hasPermission(supabase, user, 'files.quarantine.manage');
+
+    switch (body.action) {
+      case 'scan': {
+        if (file.uploaded_by !== user.id && !canManage) {
+          return jsonResponse({ error: 'You cannot scan this file.' }, 403);
+        }
+
+        if (file.scan_status === 'quarantined') {
+          return jsonResponse({ status: file.scan_status, filePath: file.file_path, file: null, error: null });
+        }
+
+        return jsonResponse({ ...(await scanFile(supabase, req, file, user, APP_URL || body.verifyBaseUrl)), error: null });
+      }
+
+      case 'release': {
+        if (!canManage) {
+          return jsonResponse({ error: 'You cannot release files held by the scan.' }, 403);
+        }
+
+        if (file.scan_status !== 'quarantined' && file.scan_status !== 'failed') {
+          return jsonResponse({ error: 'This file is not held by the scan.' }, 400);
+        }
+
+        // A response that needs a password stays held until it has one
+        let warning = null;
+        try {
+          ({ warning } = await finishUpload(supabase, req, file, user, APP_URL || body.verifyBaseUrl));
+        } catch (finishError) {
+          return jsonResponse({ error: `${finishError.message}, so the file stays held.` }, 409);
+        }
+
+        const filePath = file.file_path.startsWith(QUARANTINE_PREFIX)
+          ? file.file_path.slice(QUARANTINE_PREFIX.length)
+          : file.file_path;
+
+        if (filePath !== file.file_path) {
+          const { error: moveError } = await supabase.storage
+            .from(STORAGE_BUCKET)
+            .move(file.file_path, filePath);
+
+          if (moveError) throw moveError;
+        }
+
+        const { error: updateError } = await supabase
+          .from('v4_request_files')
+          .update({ scan_status: 'released', quarantined_at: null, file_path: filePath })
+          .eq('id', file.id);
+
+        if (updateError) throw updateError;
+
+        await logAuditEvent(supabase, req, {
+          action: 'file.released',
+          user,
+          entityType: 'file',
+          entityId: file.id,
+          metadata: { file_name: file.file_name, request_id: file.request_id }
+        });
+
+        return jsonResponse({ status: 'released', filePath, warning, error: null });
+      }
+
+      default:
+        return jsonResponse({ error: 'Unknown action' }, 400);
+    }
+  } catch (error) {
+    console.error('File scan error:', error);
+    return jsonResponse({ error: 'Failed to scan the file.' }, 500);
+  }
+});
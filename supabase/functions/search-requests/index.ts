@@ -0,0 +1,88 @@
+// Searches requests, their comments, documents and organizations for the
+// signed-in user. What they may find follows from their role, not from the
+// browser: internal comments only for users who can process requests, and
+// only the requests of their own organizations unless they can view all.
+import { corsHeaders, jsonResponse } from '../_shared/cors.ts';
+import { verifySession } from '../_shared/session.ts';
+import { adminClient } from '../_shared/users.ts';
+import { hasPermission } from '../_shared/permissions.ts';
+
+const MAX_PAGE_SIZE = 100;
+
+const toText = (value) => (typeof value === 'string' && value.trim() ? value : null);
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  if (req.method !== 'POST') {
+    return jsonResponse({ error: 'Method not allowed' }, 405);
+  }
+
+  try {
+    const claims = await verifySession(req.headers.get('x-session-token'));
+
+    if (!claims?.sub) {
+      return jsonResponse({ error: 'Your session has expired. Please log in again.' }, 401);
+    }
+
+    const body = await req.json();
+    const supabase = adminClient();
+
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('id, username, full_name, user_role_v4, is_active')
+      .eq('id', claims.sub)
+      .single();
+
+    if (userError) throw userError;
+    if (!user.is_active) {
+      return jsonResponse({ error: 'This account is locked. Please contact an administrator.' }, 423);
+    }
+
+    const [canViewAll, includeInternal] = await Promise.all([
+      hasPermission(supabase, user, 'requests.view_all'),
+      hasPermission(supabase, user, 'requests.process')
+    ]);
+
+    let organizationIds = null;
+    if (!canViewAll) {
+      const { data: memberships, error } = await supabase
+        .from('v4_user_organizations')
+        .select('organization_id')
+        .eq('user_id', user.id);
+
+      if (error) throw error;
+
+      organizationIds = (memberships || []).map(membership => membership.organization_id);
+      if (organizationIds.length === 0) {
+        return jsonResponse({ data: [], count: 0, error: null });
+      }
+    }
+
+    const statuses = Array.isArray(body.statuses)
+      ? body.statuses.filter(status => typeof status === 'string')
+      : null;
+    const pageSize = Math.min(Math.max(Number(body.pageSize) || 20, 1), MAX_PAGE_SIZE);
+    const page = Math.max(Number(body.page) || 1, 1);
+
+    const { data, error } = await supabase.rpc('v4_search_requests', {
+      search_text: toText(body.text),
+      ref_text: toText(body.ref),
+      org_text: toText(body.org),
+      status_filter: statuses,
+      organization_filter: organizationIds,
+      include_internal: includeInternal,
+      page_size: pageSize,
+      page_offset: (page - 1) * pageSize
+    });
+
+    if (error) throw error;
+
+    return jsonResponse({ data: data || [], count: data?.[0]?.total_count ?? 0, error: null });
+  } catch (error) {
+    console.error('Search error:', error);
+    return jsonResponse({ error: 'Search failed. Please try again.' }, 500);
+  }
+});
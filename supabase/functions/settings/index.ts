@@ -0,0 +1,301 @@
+// Saves the settings that functions and database rules act on, from the
+// Settings pages. The browser can only read these tables, so changes are
+// made here, by users allowed to manage each setting, and written to the
+// audit trail.
+import { corsHeaders, jsonResponse } from '../_shared/cors.ts';
+import { verifySession } from '../_shared/session.ts';
+import { adminClient } from '../_shared/users.ts';
+import { hasPermission } from '../_shared/permissions.ts';
+import { logAuditEvent } from '../_shared/audit.ts';
+import { UPLOAD_CATEGORIES } from '../_shared/uploadLimits.ts';
+
+const ROLES = ['administrator', 'user', 'organization'];
+const PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+const FILE_KINDS = ['original', 'response'];
+
+// Permission needed for each action
+const ACTION_PERMISSIONS = {
+  'save-retention-policy': 'settings.retention.manage',
+  'delete-retention-policy': 'settings.retention.manage',
+  'save-mfa-role-policy': 'settings.security.manage',
+  'save-session-policy': 'settings.security.manage',
+  'save-upload-limits': 'settings.documents.manage'
+};
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Fields that differ between two versions of a row
+ * @param {Object|null} before - Row before the change
+ * @param {Object|null} after - Row after the change
+ * @returns {Object} { field: { from, to } }
+ */
+const changedFields = (before, after) => {
+  const keys = Object.keys(after || before || {}).filter(key => key !== 'updated_at');
+
+  return keys.reduce((changes, key) => {
+    const from = before?.[key] ?? null;
+    const to = after?.[key] ?? null;
+    return JSON.stringify(from) === JSON.stringify(to) ? changes : { ...changes, [key]: { from, to } };
+  }, {});
+};
+
+/**
+ * Create or update a retention policy
+ * @param {Object} supabase - Admin client
+ * @param {Object} policy - { id?, organization_id, priority, file_kind, retention_days }
+ * @returns {Promise<Object>} { before, after }
+ */
+const saveRetentionPolicy = async (supabase, policy) => {
+  const payload = {
+    organization_id: policy.organization_id || null,
+    priority: policy.priority || null,
+    file_kind: policy.file_kind || null,
+    retention_days: Number(policy.retention_days),
+    updated_at: new Date().toISOString()
+  };
+
+  let before = null;
+  if (policy.id) {
+    const { data, error } = await supabase
+      .from('v4_retention_policies')
+      .select('*')
+      .eq('id', policy.id)
+      .single();
+
+    if (error) throw error;
+    before = data;
+  }
+
+  const query = policy.id
+    ? supabase.from('v4_retention_policies').update(payload).eq('id', policy.id)
+    : supabase.from('v4_retention_policies').insert([payload]);
+
+  const { data: after, error } = await query.select().single();
+  if (error) throw error;
+
+  return { before, after };
+};
+
+/**
+ * Save the policy row of a role in a table keyed by role
+ * @param {Object} supabase - Admin client
+ * @param {string} table - Policy table
+ * @param {string} role - user_role_v4 value
+ * @param {Object} values - Columns to save
+ * @returns {Promise<Object>} { before, after }
+ */
+const saveRolePolicy = async (supabase, table: string, role: string, values) => {
+  const { data: before, error: beforeError } = await supabase
+    .from(table)
+    .select('*')
+    .eq('role', role)
+    .maybeSingle();
+
+  if (beforeError) throw beforeError;
+
+  const { data: after, error } = await supabase
+    .from(table)
+    .upsert({ role, ...values, updated_at: new Date().toISOString() })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return { before, after };
+};
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  if (req.method !== 'POST') {
+    return jsonResponse({ error: 'Method not allowed' }, 405);
+  }
+
+  try {
+    const claims = await verifySession(req.headers.get('x-session-token'));
+
+    if (!claims?.sub) {
+      return jsonResponse({ error: 'Your session has expired. Please log in again.' }, 401);
+    }
+
+    const body = await req.json();
+    const supabase = adminClient();
+
+    const permission = ACTION_PERMISSIONS[body.action];
+    if (!permission) {
+      return jsonResponse({ error: 'Unknown action' }, 400);
+    }
+
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('id, username, full_name, user_role_v4, is_active')
+      .eq('id', claims.sub)
+      .single();
+
+    if (userError) throw userError;
+    if (!user.is_active) {
+      return jsonResponse({ error: 'This account is locked. Please contact an administrator.' }, 423);
+    }
+
+    if (!(await hasPermission(supabase, user, permission))) {
+      return jsonResponse({ error: 'You cannot change these settings.' }, 403);
+    }
+
+    switch (body.action) {
+      case 'save-retention-policy': {
+        const { policy } = body;
+
+        if (!policy || !isPositiveInteger(Number(policy.retention_days))) {
+          return jsonResponse({ error: 'Documents must be kept for at least one day.' }, 400);
+        }
+        if ((policy.priority && !PRIORITIES.includes(policy.priority)) ||
+            (policy.file_kind && !FILE_KINDS.includes(policy.file_kind))) {
+          return jsonResponse({ error: 'Invalid retention rule' }, 400);
+        }
+
+        const { before, after } = await saveRetentionPolicy(supabase, policy);
+
+        await logAuditEvent(supabase, req, {
+          action: 'setting.updated',
+          user,
+          entityType: 'setting',
+          entityId: `retention_policies.${after.id}`,
+          before,
+          after,
+          changes: changedFields(before, after)
+        });
+
+        return jsonResponse({ policy: after, error: null });
+      }
+
+      case 'delete-retention-policy': {
+        const { data: deleted, error } = await supabase
+          .from('v4_retention_policies')
+          .delete()
+          .eq('id', body.id)
+          .select()
+          .maybeSingle();
+
+        if (error) throw error;
+        if (!deleted) {
+          return jsonResponse({ error: 'Retention rule not found' }, 404);
+        }
+
+        await logAuditEvent(supabase, req, {
+          action: 'setting.updated',
+          user,
+          entityType: 'setting',
+          entityId: `retention_policies.${deleted.id}`,
+          before: deleted,
+          changes: changedFields(deleted, null),
+          metadata: { deleted: true }
+        });
+
+        return jsonResponse({ error: null });
+      }
+
+      case 'save-mfa-role-policy': {
+        const { role, required } = body;
+
+        if (!ROLES.includes(role)) {
+          return jsonResponse({ error: 'Unknown role' }, 400);
+        }
+        if (typeof required !== 'boolean') {
+          return jsonResponse({ error: 'Invalid two-factor policy' }, 400);
+        }
+
+        const { before, after } = await saveRolePolicy(supabase, 'v4_mfa_role_policies', role, { required });
+
+        await logAuditEvent(supabase, req, {
+          action: 'setting.updated',
+          user,
+          entityType: 'setting',
+          entityId: `mfa_required.${role}`,
+          before,
+          after,
+          changes: changedFields(before, after)
+        });
+
+        return jsonResponse({ policy: after, error: null });
+      }
+
+      case 'save-session-policy': {
+        const { role } = body;
+        const idleTimeoutMinutes = Number(body.policy?.idle_timeout_minutes);
+        const maxSessionHours = Number(body.policy?.max_session_hours);
+
+        if (!ROLES.includes(role)) {
+          return jsonResponse({ error: 'Unknown role' }, 400);
+        }
+        if (!isPositiveInteger(idleTimeoutMinutes) || !isPositiveInteger(maxSessionHours)) {
+          return jsonResponse({ error: 'Timeouts must be whole numbers greater than zero.' }, 400);
+        }
+
+        const { before, after } = await saveRolePolicy(supabase, 'v4_session_policies', role, {
+          idle_timeout_minutes: idleTimeoutMinutes,
+          max_session_hours: maxSessionHours
+        });
+
+        await logAuditEvent(supabase, req, {
+          action: 'setting.updated',
+          user,
+          entityType: 'setting',
+          entityId: `session_policy.${role}`,
+          before,
+          after,
+          changes: changedFields(before, after)
+        });
+
+        return jsonResponse({ policy: after, error: null });
+      }
+
+      case 'save-upload-limits': {
+        const limits = body.limits || {};
+        const categories = Object.keys(UPLOAD_CATEGORIES);
+
+        if (categories.some(category => !isPositiveInteger(Number(limits[category])))) {
+          return jsonResponse({ error: 'Upload limits must be whole numbers of MB greater than zero.' }, 400);
+        }
+
+        const { data: rows, error: rowsError } = await supabase
+          .from('v4_upload_limits')
+          .select('category, max_size_mb');
+
+        if (rowsError) throw rowsError;
+
+        const before = Object.fromEntries((rows || []).map(row => [row.category, row.max_size_mb]));
+        const after = Object.fromEntries(categories.map(category => [category, Number(limits[category])]));
+
+        const { error } = await supabase
+          .from('v4_upload_limits')
+          .upsert(categories.map(category => ({
+            category,
+            max_size_mb: after[category],
+            updated_at: new Date().toISOString()
+          })));
+
+        if (error) throw error;
+
+        await logAuditEvent(supabase, req, {
+          action: 'setting.updated',
+          user,
+          entityType: 'setting',
+          entityId: 'upload_limits',
+          before,
+          after,
+          changes: changedFields(before, after)
+        });
+
+        return jsonResponse({ limits: after, error: null });
+      }
+
+      default:
+        return jsonResponse({ error: 'Unknown action' }, 400);
+    }
+  } catch (error) {
+    console.error('Settings error:', error);
+    return jsonResponse({ error: 'Failed to save settings.' }, 500);
+  }
+});
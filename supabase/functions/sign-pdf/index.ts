@@ -0,0 +1,152 @@
+// Digital signatures on response PDFs.
+// certificate: stores a new institution certificate (PKCS#12) and makes it
+//   the active one.
+// Responses are signed with it by the scan-file function, once their upload
+// scan clears them. The certificate is stored encrypted with
+// SIGNING_CERTIFICATE_KEY and its private key never leaves the server.
+import forge from 'npm:node-forge@1.3.1';
+import { corsHeaders, jsonResponse } from '../_shared/cors.ts';
+import { verifySession } from '../_shared/session.ts';
+import { adminClient } from '../_shared/users.ts';
+import { logAuditEvent } from '../_shared/audit.ts';
+import { hasPermission } from '../_shared/permissions.ts';
+import { sealSecret } from '../_shared/secrets.ts';
+import { SIGNING_KEY_NAME } from '../_shared/signing.ts';
+
+const formatName = (name) =>
+  name.attributes.map(attribute => `${attribute.shortName || attribute.name}=${attribute.value}`).join(', ');
+
+/**
+ * Read a PKCS#12 file and check it holds a private key and a valid certificate
+ * Errors are meant for the administrator uploading it.
+ * @param {string} p12Base64 - The file, base64 encoded
+ * @param {string} passphrase - Its passphrase
+ * @returns {Object} { subject, issuer, serialNumber, validFrom, validTo, commonName }
+ */
+const readCertificate = (p12Base64: string, passphrase: string) => {
+  let p12;
+  try {
+    p12 = forge.pkcs12.pkcs12FromAsn1(
+      forge.asn1.fromDer(forge.util.decode64(p12Base64)),
+      false,
+      passphrase
+    );
+  } catch (_error) {
+    throw new Error('The certificate could not be read. Please check the file and passphrase.');
+  }
+
+  const keyBags = p12.getBags({ bagType: forge.pki.oids.pkcs8ShroudedKeyBag })[forge.pki.oids.pkcs8ShroudedKeyBag] || [];
+  const certBags = p12.getBags({ bagType: forge.pki.oids.certBag })[forge.pki.oids.certBag] || [];
+
+  if (keyBags.length === 0 || certBags.length === 0) {
+    throw new Error('The file must contain a certificate and its private key.');
+  }
+
+  const { cert } = certBags[0];
+  const now = new Date();
+  if (cert.validity.notAfter < now || cert.validity.notBefore > now) {
+    throw new Error('This certificate is not valid today.');
+  }
+
+  return {
+    subject: formatName(cert.subject),
+    issuer: formatName(cert.issuer),
+    serialNumber: cert.serialNumber,
+    validFrom: cert.validity.notBefore.toISOString(),
+    validTo: cert.validity.notAfter.toISOString(),
+    commonName: cert.subject.getField('CN')?.value || ''
+  };
+};
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  if (req.method !== 'POST') {
+    return jsonResponse({ error: 'Method not allowed' }, 405);
+  }
+
+  try {
+    const claims = await verifySession(req.headers.get('x-session-token'));
+
+    if (!claims?.sub) {
+      return jsonResponse({ error: 'Your session has expired. Please log in again.' }, 401);
+    }
+
+    const body = await req.json();
+    const supabase = adminClient();
+
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('id, username, full_name, user_role_v4, is_active')
+      .eq('id', claims.sub)
+      .single();
+
+    if (userError) throw userError;
+    if (!user.is_active) {
+      return jsonResponse({ error: 'This account is locked. Please contact an administrator.' }, 423);
+    }
+
+    switch (body.action) {
+      case 'certificate': {
+        if (!(await hasPermission(supabase, user, 'settings.documents.manage'))) {
+          return jsonResponse({ error: 'You cannot manage document settings.' }, 403);
+        }
+
+        const { p12, passphrase = '', signerName } = body;
+        if (!p12) {
+          return jsonResponse({ error: 'Choose a certificate file.' }, 400);
+        }
+
+        let certificate;
+        try {
+          certificate = readCertificate(p12, passphrase);
+        } catch (error) {
+          return jsonResponse({ error: error.message }, 400);
+        }
+
+        const { error: retireError } = await supabase
+          .from('v4_signing_certificates')
+          .update({ is_active: false })
+          .eq('is_active', true);
+
+        if (retireError) throw retireError;
+
+        const { data: saved, error: insertError } = await supabase
+          .from('v4_signing_certificates')
+          .insert({
+            signer_name: signerName?.trim() || certificate.commonName,
+            subject: certificate.subject,
+            issuer: certificate.issuer,
+            serial_number: certificate.serialNumber,
+            valid_from: certificate.validFrom,
+            valid_to: certificate.validTo,
+            p12_encrypted: await sealSecret(p12, SIGNING_KEY_NAME),
+            passphrase_encrypted: await sealSecret(passphrase, SIGNING_KEY_NAME),
+            uploaded_by: user.id
+          })
+          .select('id, signer_name, subject, issuer, serial_number, valid_from, valid_to, is_active, created_at')
+          .single();
+
+        if (insertError) throw insertError;
+
+        await logAuditEvent(supabase, req, {
+          action: 'setting.updated',
+          user,
+          entityType: 'setting',
+          entityId: 'signing_certificate',
+          metadata: { subject: saved.subject, serial_number: saved.serial_number, valid_to: saved.valid_to }
+        });
+
+        return jsonResponse({ certificate: saved, error: null });
+      }
+
+      default:
+        return jsonResponse({ error: 'Unknown action' }, 400);
+    }
+  } catch (error) {
+    console.error('PDF signing error:', error);
+    return jsonResponse({ error: 'Failed to process the signing request.' }, 500);
+  }
+});
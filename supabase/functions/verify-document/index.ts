@@ -0,0 +1,74 @@
+// Public verification of signed response PDFs. Recipients do not sign in:
+// the verification page hashes their copy in the browser and sends the
+// SHA-256 with the signature ID printed in the signature block. Details of
+// the document are only returned when the copy matches the signed file.
+import { corsHeaders, jsonResponse } from '../_shared/cors.ts';
+import { adminClient } from '../_shared/users.ts';
+
+const SHA256_PATTERN = /^[0-9a-f]{64}$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  if (req.method !== 'POST') {
+    return jsonResponse({ error: 'Method not allowed' }, 405);
+  }
+
+  try {
+    const { signatureId = null, sha256 } = await req.json();
+
+    if (!SHA256_PATTERN.test(String(sha256))) {
+      return jsonResponse({ error: 'sha256 must be a hex SHA-256 digest' }, 400);
+    }
+
+    if (signatureId && !UUID_PATTERN.test(String(signatureId))) {
+      return jsonResponse({ found: false, match: false, error: null });
+    }
+
+    const supabase = adminClient();
+
+    // With a signature ID the copy must match that signature; without one,
+    // any signed file with the same digest matches
+    let query = supabase
+      .from('v4_document_signatures')
+      .select(`
+        id, signer_name, sha256, signed_at,
+        certificate:certificate_id (subject, issuer, valid_to),
+        file:file_id (file_name),
+        request:request_id (reference_number)
+      `);
+
+    query = signatureId ? query.eq('id', signatureId) : query.eq('sha256', sha256).limit(1);
+
+    const { data: signature, error } = await query.maybeSingle();
+    if (error) throw error;
+
+    if (!signature) {
+      return jsonResponse({ found: false, match: false, error: null });
+    }
+
+    if (signature.sha256 !== sha256) {
+      return jsonResponse({ found: true, match: false, error: null });
+    }
+
+    return jsonResponse({
+      found: true,
+      match: true,
+      signature: {
+        id: signature.id,
+        signer_name: signature.signer_name,
+        signed_at: signature.signed_at,
+        certificate: signature.certificate,
+        file_name: signature.file?.file_name || null,
+        reference_number: signature.request?.reference_number || null
+      },
+      error: null
+    });
+  } catch (error) {
+    console.error('Document verification error:', error);
+    return jsonResponse({ error: 'Failed to verify the document.' }, 500);
+  }
+});